@@ -0,0 +1,182 @@
+const BankAccount = require("../models/BankAccount");
+const BankAccountService = require("../services/bankAccountService");
+
+// @desc    Get bank accounts with their ledger balances
+// @route   GET /api/bank-accounts
+// @access  Private
+exports.getBankAccounts = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+
+    const filter = { tenantId: req.tenantId };
+    if (query.isActive !== undefined) {
+      filter.isActive = query.isActive === "true";
+    }
+
+    const bankAccounts = await BankAccount.find(filter).sort({ name: 1 });
+
+    const data = [];
+    for (const bankAccount of bankAccounts) {
+      data.push({
+        ...bankAccount.toObject(),
+        balance: await BankAccountService.getBalance(bankAccount),
+      });
+    }
+
+    res.json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    console.error("Get bank accounts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching bank accounts",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single bank account with its ledger balance
+// @route   GET /api/bank-accounts/:id
+// @access  Private
+exports.getBankAccountById = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const bankAccount = await BankAccount.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    }).populate("account", "code name accountType");
+
+    if (!bankAccount) {
+      return res.status(404).json({
+        success: false,
+        message: "Bank account not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...bankAccount.toObject(),
+        balance: await BankAccountService.getBalance(
+          bankAccount,
+          query.asOfDate ? new Date(query.asOfDate) : new Date()
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get bank account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching bank account",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create bank account (creates or links its ledger account)
+// @route   POST /api/bank-accounts
+// @access  Private/Admin
+exports.createBankAccount = async (req, res) => {
+  try {
+    const { name, bankName, accountNumber } = req.body;
+
+    if (!name || !bankName || !accountNumber) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide name, bank name and account number",
+      });
+    }
+
+    const existing = await BankAccount.findOne({
+      tenantId: req.tenantId,
+      bankName,
+      accountNumber,
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "This bank account already exists",
+      });
+    }
+
+    let bankAccount;
+    try {
+      bankAccount = await BankAccountService.createBankAccount(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (bankError) {
+      return res.status(400).json({
+        success: false,
+        message: bankError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Bank account created successfully",
+      data: bankAccount,
+    });
+  } catch (error) {
+    console.error("Create bank account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating bank account",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update bank account details (the ledger account stays linked)
+// @route   PUT /api/bank-accounts/:id
+// @access  Private/Admin
+exports.updateBankAccount = async (req, res) => {
+  try {
+    const bankAccount = await BankAccount.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!bankAccount) {
+      return res.status(404).json({
+        success: false,
+        message: "Bank account not found",
+      });
+    }
+
+    const { name, bankName, accountNumber, branch, iban, isActive } = req.body;
+    if (name) bankAccount.name = name;
+    if (bankName) bankAccount.bankName = bankName;
+    if (accountNumber) bankAccount.accountNumber = accountNumber;
+    if (branch !== undefined) bankAccount.branch = branch;
+    if (iban !== undefined) bankAccount.iban = iban;
+    if (isActive !== undefined) bankAccount.isActive = isActive;
+
+    await bankAccount.save();
+
+    res.json({
+      success: true,
+      message: "Bank account updated successfully",
+      data: bankAccount,
+    });
+  } catch (error) {
+    console.error("Update bank account error:", error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "This bank account already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error updating bank account",
+      error: error.message,
+    });
+  }
+};
@@ -1,5 +1,16 @@
+const mongoose = require("mongoose");
 const BankPayment = require("../models/BankPayment");
+const Cheque = require("../models/Cheque");
 const ChartOfAccount = require("../models/ChartOfAccount");
+const JournalEntry = require("../models/JournalEntry");
+const AccountingService = require("../services/accountingService");
+const TaxService = require("../services/taxService");
+const FiscalPeriodService = require("../services/fiscalPeriodService");
+const PayablesService = require("../services/payablesService");
+const TransactionService = require("../services/transactionService");
+const BankAccountService = require("../services/bankAccountService");
+const ChequeService = require("../services/chequeService");
+const ProjectBudgetService = require("../services/projectBudgetService");
 
 // @desc    Get all bank payments
 // @route   GET /api/bankpayments
@@ -73,21 +84,46 @@ const createBankPayment = async (req, res) => {
       project,
       jobDescription,
       employeeRef,
+      bankAccountRef,
       bankAccount,
       bankAccountNumber,
       chequeNo,
       chequeDate,
       paymentLines,
+      payeeName,
+      withholdingTaxCode,
+      withholdingTaxRate,
     } = req.body;
 
     // Validate required fields
-    if (!date || !bankAccount || !paymentLines || paymentLines.length === 0) {
+    if (
+      !date ||
+      (!bankAccountRef && !bankAccount) ||
+      !paymentLines ||
+      paymentLines.length === 0
+    ) {
       return res.status(400).json({
         success: false,
         message: "Please provide all required fields",
       });
     }
 
+    // Bank account paid from
+    let selectedBank = null;
+    if (bankAccountRef) {
+      try {
+        selectedBank = await BankAccountService.resolveBankAccount(
+          req.tenantId,
+          bankAccountRef
+        );
+      } catch (bankError) {
+        return res.status(400).json({
+          success: false,
+          message: bankError.message,
+        });
+      }
+    }
+
     // Validate payment lines
     for (const line of paymentLines) {
       if (!line.accountCode || !line.accountName || !line.amount) {
@@ -98,28 +134,135 @@ const createBankPayment = async (req, res) => {
       }
     }
 
+    // Cost codes the lines are budgeted under
+    try {
+      await ProjectBudgetService.resolveCostCodes(req.tenantId, paymentLines);
+    } catch (costCodeError) {
+      return res.status(400).json({
+        success: false,
+        message: costCodeError.message,
+      });
+    }
+
     // Calculate total amount
     const totalAmount = paymentLines.reduce(
       (sum, line) => sum + Number(line.amount),
       0
     );
 
-    // Create payment
-    const payment = await BankPayment.create({
-      tenantId: req.tenantId,
-      serialNo: serialNo || undefined, // Will be auto-generated if not provided
-      cancel: cancel || false,
-      date,
-      project: project || undefined,
-      jobDescription,
-      employeeRef: employeeRef || undefined,
-      bankAccount,
-      bankAccountNumber,
-      chequeNo,
-      chequeDate: chequeDate || undefined,
-      paymentLines,
-      totalAmount,
-      createdBy: req.user._id,
+    // Resolve withholding tax deducted from the payment
+    let withholding;
+    try {
+      withholding = await TaxService.resolveWithholding(
+        req.tenantId,
+        withholdingTaxCode,
+        withholdingTaxRate
+      );
+    } catch (taxError) {
+      return res.status(400).json({
+        success: false,
+        message: taxError.message,
+      });
+    }
+
+    // Supplier bills settled by this payment
+    let billSettlement;
+    try {
+      billSettlement = await PayablesService.prepareBillAllocations(
+        req.tenantId,
+        null,
+        req.body.billAllocations
+      );
+    } catch (billError) {
+      return res.status(400).json({
+        success: false,
+        message: billError.message,
+      });
+    }
+    const billedAmount = billSettlement.allocations.reduce(
+      (sum, allocation) => sum + allocation.amount,
+      0
+    );
+    if (billedAmount > totalAmount + 0.01) {
+      return res.status(400).json({
+        success: false,
+        message: "Bill allocations cannot exceed the payment amount",
+      });
+    }
+
+    // A cheque payment is registered so it can be tracked until it clears;
+    // the entry posted on save needs the register ID up front
+    const chequeId = chequeNo ? new mongoose.Types.ObjectId() : undefined;
+
+    // Payment, journal entry, cheque and bill settlements commit together
+    const payment = await TransactionService.run(async (session) => {
+      const [created] = await BankPayment.create(
+        [
+          {
+            tenantId: req.tenantId,
+            serialNo: serialNo || undefined, // Will be auto-generated if not provided
+            cancel: cancel || false,
+            date,
+            project: project || undefined,
+            jobDescription,
+            employeeRef: employeeRef || undefined,
+            bankAccountRef: selectedBank ? selectedBank._id : undefined,
+            bankAccount: selectedBank ? selectedBank.bankName : bankAccount,
+            bankAccountNumber: selectedBank
+              ? selectedBank.accountNumber
+              : bankAccountNumber,
+            chequeNo,
+            chequeDate: chequeDate || undefined,
+            cheque: chequeId,
+            paymentLines,
+            totalAmount,
+            payeeName: payeeName || "",
+            ...withholding,
+            billAllocations: billSettlement.allocations,
+            createdBy: req.user._id,
+          },
+        ],
+        { session }
+      );
+
+      if (chequeId) {
+        await ChequeService.registerCheque(
+          {
+            _id: chequeId,
+            tenantId: req.tenantId,
+            direction: "Issued",
+            chequeNo,
+            chequeDate: chequeDate || date,
+            amount: created.netAmount,
+            bankAccountRef: created.bankAccountRef,
+            bankName: created.bankAccount,
+            project: created.project,
+            partyName: created.payeeName,
+            source: {
+              model: "BankPayment",
+              id: created._id,
+              reference: created.serialNo,
+            },
+          },
+          req.user._id,
+          session
+        );
+      }
+
+      await PayablesService.recordBillPayments(
+        billSettlement.purchases,
+        created.billAllocations,
+        {
+          paymentModel: "BankPayment",
+          paymentId: created._id,
+          reference: created.serialNo,
+          date: created.date,
+          description: `Bank payment ${created.serialNo}`,
+        },
+        session
+      );
+
+      return created;
     });
 
     // Populate references
@@ -145,7 +288,7 @@ const createBankPayment = async (req, res) => {
       });
     }
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Server Error",
       error: error.message,
@@ -164,11 +307,15 @@ const updateBankPayment = async (req, res) => {
       project,
       jobDescription,
       employeeRef,
+      bankAccountRef,
       bankAccount,
       bankAccountNumber,
       chequeNo,
       chequeDate,
       paymentLines,
+      payeeName,
+      withholdingTaxCode,
+      withholdingTaxRate,
     } = req.body;
 
     let payment = await BankPayment.findOne({
@@ -183,6 +330,42 @@ const updateBankPayment = async (req, res) => {
       });
     }
 
+    // Once the bank has paid or returned the cheque the payment is settled
+    const cheque = payment.cheque
+      ? await Cheque.findOne({ _id: payment.cheque, tenantId: req.tenantId })
+      : null;
+    if (cheque && ["Cleared", "Bounced"].includes(cheque.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cheque ${cheque.chequeNo} has ${cheque.status.toLowerCase()}; the payment can no longer be changed`,
+      });
+    }
+    if (cheque && cheque.status === "Cancelled" && cancel === false) {
+      return res.status(400).json({
+        success: false,
+        message: `Cheque ${cheque.chequeNo} was cancelled; record a new payment instead`,
+      });
+    }
+
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      payment.date,
+      req.user._id
+    );
+    if (req.body.date) {
+      await FiscalPeriodService.assertPeriodOpen(
+        req.tenantId,
+        req.body.date,
+        req.user._id
+      );
+    }
+
+    // Cancelling a payment reopens the bills it settled
+    const billsToReopen =
+      cancel === true && !payment.cancel ? payment.billAllocations : [];
+    if (billsToReopen.length > 0) payment.billAllocations = [];
+
     // Update fields
     if (cancel !== undefined) payment.cancel = cancel;
     if (date) payment.date = date;
@@ -194,16 +377,135 @@ const updateBankPayment = async (req, res) => {
       payment.bankAccountNumber = bankAccountNumber;
     if (chequeNo !== undefined) payment.chequeNo = chequeNo;
     if (chequeDate !== undefined) payment.chequeDate = chequeDate;
+    if (payeeName !== undefined) payment.payeeName = payeeName;
+
+    let paymentLinesChanged = false;
+    if (
+      bankAccountRef &&
+      String(bankAccountRef) !== String(payment.bankAccountRef)
+    ) {
+      try {
+        const selectedBank = await BankAccountService.resolveBankAccount(
+          req.tenantId,
+          bankAccountRef
+        );
+        payment.bankAccountRef = selectedBank._id;
+        payment.bankAccount = selectedBank.bankName;
+        payment.bankAccountNumber = selectedBank.accountNumber;
+      } catch (bankError) {
+        return res.status(400).json({
+          success: false,
+          message: bankError.message,
+        });
+      }
+      // The entry moves to the new bank's ledger account
+      paymentLinesChanged = true;
+    }
+
+    if (withholdingTaxCode !== undefined || withholdingTaxRate !== undefined) {
+      try {
+        Object.assign(
+          payment,
+          await TaxService.resolveWithholding(
+            req.tenantId,
+            withholdingTaxCode,
+            withholdingTaxRate
+          )
+        );
+      } catch (taxError) {
+        return res.status(400).json({
+          success: false,
+          message: taxError.message,
+        });
+      }
+      paymentLinesChanged = true;
+    }
 
     if (paymentLines && paymentLines.length > 0) {
+      try {
+        await ProjectBudgetService.resolveCostCodes(
+          req.tenantId,
+          paymentLines
+        );
+      } catch (costCodeError) {
+        return res.status(400).json({
+          success: false,
+          message: costCodeError.message,
+        });
+      }
       payment.paymentLines = paymentLines;
       payment.totalAmount = paymentLines.reduce(
         (sum, line) => sum + Number(line.amount),
         0
       );
+      paymentLinesChanged = true;
     }
 
-    await payment.save();
+    // The payment and its accounting entries are kept in sync in one transaction
+    await TransactionService.run(async (session) => {
+      await PayablesService.reverseBillPayments(
+        req.tenantId,
+        billsToReopen,
+        payment._id,
+        session
+      );
+
+      await payment.save({ session });
+
+      // Keep the pending cheque in step with the payment
+      if (cheque && payment.cancel) {
+        await ChequeService.releaseCheque(
+          cheque._id,
+          req.tenantId,
+          req.user._id,
+          `Bank Payment ${payment.serialNo} cancelled`,
+          session
+        );
+      } else if (cheque && cheque.status === "Pending") {
+        cheque.chequeNo = payment.chequeNo || cheque.chequeNo;
+        cheque.chequeDate = payment.chequeDate || cheque.chequeDate;
+        cheque.amount = payment.netAmount;
+        cheque.bankAccountRef = payment.bankAccountRef;
+        cheque.bankName = payment.bankAccount;
+        cheque.partyName = payment.payeeName;
+        await cheque.save({ session });
+      }
+
+      const existingEntry = await JournalEntry.findOne({
+        tenantId: req.tenantId,
+        status: "Posted",
+        "sourceTransaction.model": "BankPayment",
+        "sourceTransaction.id": payment._id,
+      }).session(session);
+
+      // If cancelled, reverse existing journal entry
+      if (payment.cancel && existingEntry) {
+        await AccountingService.reverseJournalEntry(
+          existingEntry._id,
+          req.user._id,
+          `Bank Payment ${payment.serialNo} cancelled`,
+          session
+        );
+      }
+      // If active and lines changed, repost the journal entry
+      else if (!payment.cancel) {
+        if (existingEntry && paymentLinesChanged) {
+          await AccountingService.reverseJournalEntry(
+            existingEntry._id,
+            req.user._id,
+            `Bank Payment ${payment.serialNo} updated`,
+            session
+          );
+        }
+        if (!existingEntry || paymentLinesChanged) {
+          await AccountingService.createBankPaymentJournalEntry(
+            payment,
+            req.user._id,
+            session
+          );
+        }
+      }
+    });
 
     // Populate references
     await payment.populate([
@@ -219,7 +521,7 @@ const updateBankPayment = async (req, res) => {
     });
   } catch (error) {
     console.error("Error updating bank payment:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Server Error",
       error: error.message,
@@ -244,7 +546,49 @@ const deleteBankPayment = async (req, res) => {
       });
     }
 
-    await payment.deleteOne();
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      payment.date,
+      req.user._id
+    );
+
+    // Reversal, cheque, bill settlements and the delete commit together
+    await TransactionService.run(async (session) => {
+      if (payment.cheque) {
+        await ChequeService.releaseCheque(
+          payment.cheque,
+          req.tenantId,
+          req.user._id,
+          `Bank Payment ${payment.serialNo} deleted`,
+          session
+        );
+      }
+
+      const existingEntry = await JournalEntry.findOne({
+        tenantId: req.tenantId,
+        status: "Posted",
+        "sourceTransaction.model": "BankPayment",
+        "sourceTransaction.id": payment._id,
+      }).session(session);
+      if (existingEntry) {
+        await AccountingService.reverseJournalEntry(
+          existingEntry._id,
+          req.user._id,
+          `Bank Payment ${payment.serialNo} deleted`,
+          session
+        );
+      }
+
+      await PayablesService.reverseBillPayments(
+        req.tenantId,
+        payment.billAllocations,
+        payment._id,
+        session
+      );
+
+      await payment.deleteOne({ session });
+    });
 
     res.status(200).json({
       success: true,
@@ -253,7 +597,7 @@ const deleteBankPayment = async (req, res) => {
     });
   } catch (error) {
     console.error("Error deleting bank payment:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Server Error",
       error: error.message,
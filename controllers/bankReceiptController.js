@@ -0,0 +1,466 @@
+const BankReceipt = require("../models/BankReceipt");
+const Customer = require("../models/Customer");
+const JournalEntry = require("../models/JournalEntry");
+const AccountingService = require("../services/accountingService");
+const FiscalPeriodService = require("../services/fiscalPeriodService");
+const TransactionService = require("../services/transactionService");
+const BankAccountService = require("../services/bankAccountService");
+
+/**
+ * Validate receipt lines and fill in customer lines
+ * Customer lines credit Accounts Receivable unless another code is given
+ */
+const prepareReceiptLines = async (tenantId, receiptLines) => {
+  const lines = [];
+  for (const line of receiptLines) {
+    if (!line.amount || Number(line.amount) <= 0) {
+      throw new Error("Each receipt line must have an amount");
+    }
+
+    if (line.customer) {
+      const customer = await Customer.findOne({
+        _id: line.customer,
+        tenantId,
+      });
+      if (!customer) {
+        throw new Error("Customer not found");
+      }
+      lines.push({
+        ...line,
+        accountCode: line.accountCode || "1200",
+        accountName: line.accountName || "Accounts Receivable",
+        customer: customer._id,
+        customerName: customer.name,
+        amount: Number(line.amount),
+      });
+      continue;
+    }
+
+    if (!line.accountCode || !line.accountName) {
+      throw new Error(
+        "Each receipt line must have account code, name, and amount"
+      );
+    }
+    lines.push({ ...line, customer: undefined, amount: Number(line.amount) });
+  }
+  return lines;
+};
+
+/**
+ * Reduce (or, with direction -1, restore) the balances of customers paid
+ * through receipt lines
+ */
+const applyCustomerBalances = async (receiptLines, direction, session) => {
+  for (const line of receiptLines) {
+    if (!line.customer) continue;
+    await Customer.findByIdAndUpdate(
+      line.customer,
+      { $inc: { balance: -line.amount * direction } },
+      { session }
+    );
+  }
+};
+
+// @desc    Get all bank receipts
+// @route   GET /api/bank-receipts
+// @access  Private
+const getBankReceipts = async (req, res) => {
+  try {
+    const receipts = await BankReceipt.find({ tenantId: req.tenantId })
+      .populate("project", "name description")
+      .populate("bankAccountRef", "name bankName accountNumber")
+      .populate("createdBy", "name email")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: receipts.length,
+      data: receipts,
+    });
+  } catch (error) {
+    console.error("Error fetching bank receipts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single bank receipt by ID
+// @route   GET /api/bank-receipts/:id
+// @access  Private
+const getBankReceiptById = async (req, res) => {
+  try {
+    const receipt = await BankReceipt.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("project", "name description")
+      .populate("bankAccountRef", "name bankName accountNumber")
+      .populate("receiptLines.customer", "name code")
+      .populate("createdBy", "name email");
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: "Bank Receipt not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: receipt,
+    });
+  } catch (error) {
+    console.error("Error fetching bank receipt:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new bank receipt
+// @route   POST /api/bank-receipts
+// @access  Private
+const createBankReceipt = async (req, res) => {
+  try {
+    const {
+      serialNo,
+      date,
+      project,
+      bankAccountRef,
+      payerName,
+      chequeNo,
+      chequeDate,
+      receiptLines,
+    } = req.body;
+
+    // Validate required fields
+    if (!date || !bankAccountRef || !receiptLines || receiptLines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide all required fields",
+      });
+    }
+
+    let selectedBank;
+    let lines;
+    try {
+      selectedBank = await BankAccountService.resolveBankAccount(
+        req.tenantId,
+        bankAccountRef
+      );
+      lines = await prepareReceiptLines(req.tenantId, receiptLines);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    const totalAmount = lines.reduce((sum, line) => sum + line.amount, 0);
+
+    // Receipt, journal entry and customer balances commit together
+    const receipt = await TransactionService.run(async (session) => {
+      const [created] = await BankReceipt.create(
+        [
+          {
+            tenantId: req.tenantId,
+            serialNo: serialNo || undefined, // Will be auto-generated if not provided
+            date,
+            project: project || undefined,
+            bankAccountRef: selectedBank._id,
+            bankAccount: selectedBank.bankName,
+            bankAccountNumber: selectedBank.accountNumber,
+            payerName: payerName || "",
+            chequeNo,
+            chequeDate: chequeDate || undefined,
+            receiptLines: lines,
+            totalAmount,
+            createdBy: req.user._id,
+          },
+        ],
+        { session }
+      );
+
+      await applyCustomerBalances(created.receiptLines, 1, session);
+
+      return created;
+    });
+
+    // Populate references
+    await receipt.populate([
+      { path: "project", select: "name description" },
+      { path: "bankAccountRef", select: "name bankName accountNumber" },
+      { path: "createdBy", select: "name email" },
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: "Bank Receipt created successfully",
+      data: receipt,
+    });
+  } catch (error) {
+    console.error("Error creating bank receipt:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update bank receipt
+// @route   PUT /api/bank-receipts/:id
+// @access  Private
+const updateBankReceipt = async (req, res) => {
+  try {
+    const {
+      cancel,
+      date,
+      project,
+      bankAccountRef,
+      payerName,
+      chequeNo,
+      chequeDate,
+      receiptLines,
+    } = req.body;
+
+    const receipt = await BankReceipt.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: "Bank Receipt not found",
+      });
+    }
+
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      receipt.date,
+      req.user._id
+    );
+    if (date) {
+      await FiscalPeriodService.assertPeriodOpen(
+        req.tenantId,
+        date,
+        req.user._id
+      );
+    }
+
+    // Customer balances the receipt currently accounts for
+    const previousLines = receipt.cancel
+      ? []
+      : receipt.receiptLines.map((line) => line.toObject());
+
+    let linesChanged = false;
+    try {
+      if (
+        bankAccountRef &&
+        String(bankAccountRef) !== String(receipt.bankAccountRef)
+      ) {
+        const selectedBank = await BankAccountService.resolveBankAccount(
+          req.tenantId,
+          bankAccountRef
+        );
+        receipt.bankAccountRef = selectedBank._id;
+        receipt.bankAccount = selectedBank.bankName;
+        receipt.bankAccountNumber = selectedBank.accountNumber;
+        linesChanged = true;
+      }
+
+      if (receiptLines && receiptLines.length > 0) {
+        receipt.receiptLines = await prepareReceiptLines(
+          req.tenantId,
+          receiptLines
+        );
+        receipt.totalAmount = receipt.receiptLines.reduce(
+          (sum, line) => sum + line.amount,
+          0
+        );
+        linesChanged = true;
+      }
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    // Update fields
+    if (cancel !== undefined) receipt.cancel = cancel;
+    if (date) receipt.date = date;
+    if (project !== undefined) receipt.project = project || undefined;
+    if (payerName !== undefined) receipt.payerName = payerName;
+    if (chequeNo !== undefined) receipt.chequeNo = chequeNo;
+    if (chequeDate !== undefined) receipt.chequeDate = chequeDate;
+
+    // The receipt, its accounting entries and customer balances are kept in
+    // sync in one transaction
+    await TransactionService.run(async (session) => {
+      await applyCustomerBalances(previousLines, -1, session);
+
+      await receipt.save({ session });
+
+      if (!receipt.cancel) {
+        await applyCustomerBalances(receipt.receiptLines, 1, session);
+      }
+
+      const existingEntry = await JournalEntry.findOne({
+        tenantId: req.tenantId,
+        status: "Posted",
+        "sourceTransaction.model": "BankReceipt",
+        "sourceTransaction.id": receipt._id,
+      }).session(session);
+
+      // If cancelled, reverse existing journal entry
+      if (receipt.cancel && existingEntry) {
+        await AccountingService.reverseJournalEntry(
+          existingEntry._id,
+          req.user._id,
+          `Bank Receipt ${receipt.serialNo} cancelled`,
+          session
+        );
+      }
+      // If active and lines changed, repost the journal entry
+      else if (!receipt.cancel) {
+        if (existingEntry && (linesChanged || date)) {
+          await AccountingService.reverseJournalEntry(
+            existingEntry._id,
+            req.user._id,
+            `Bank Receipt ${receipt.serialNo} updated`,
+            session
+          );
+        }
+        if (!existingEntry || linesChanged || date) {
+          await AccountingService.createBankReceiptJournalEntry(
+            receipt,
+            req.user._id,
+            session
+          );
+        }
+      }
+    });
+
+    // Populate references
+    await receipt.populate([
+      { path: "project", select: "name description" },
+      { path: "bankAccountRef", select: "name bankName accountNumber" },
+      { path: "createdBy", select: "name email" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Bank Receipt updated successfully",
+      data: receipt,
+    });
+  } catch (error) {
+    console.error("Error updating bank receipt:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete bank receipt
+// @route   DELETE /api/bank-receipts/:id
+// @access  Private
+const deleteBankReceipt = async (req, res) => {
+  try {
+    const receipt = await BankReceipt.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: "Bank Receipt not found",
+      });
+    }
+
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      receipt.date,
+      req.user._id
+    );
+
+    // Reversal, customer balances and the delete commit together
+    await TransactionService.run(async (session) => {
+      const existingEntry = await JournalEntry.findOne({
+        tenantId: req.tenantId,
+        status: "Posted",
+        "sourceTransaction.model": "BankReceipt",
+        "sourceTransaction.id": receipt._id,
+      }).session(session);
+      if (existingEntry) {
+        await AccountingService.reverseJournalEntry(
+          existingEntry._id,
+          req.user._id,
+          `Bank Receipt ${receipt.serialNo} deleted`,
+          session
+        );
+      }
+
+      if (!receipt.cancel) {
+        await applyCustomerBalances(receipt.receiptLines, -1, session);
+      }
+
+      await receipt.deleteOne({ session });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Bank Receipt deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Error deleting bank receipt:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Generate next serial number
+// @route   GET /api/bank-receipts/generate-serial
+// @access  Private
+const generateSerialNumber = async (req, res) => {
+  try {
+    const count = await BankReceipt.countDocuments({ tenantId: req.tenantId });
+    const serialNo = `BR${String(count + 1).padStart(6, "0")}`;
+
+    res.status(200).json({
+      success: true,
+      data: { serialNo },
+    });
+  } catch (error) {
+    console.error("Error generating serial number:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getBankReceipts,
+  getBankReceiptById,
+  createBankReceipt,
+  updateBankReceipt,
+  deleteBankReceipt,
+  generateSerialNumber,
+};
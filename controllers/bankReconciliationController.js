@@ -0,0 +1,363 @@
+const BankReconciliation = require("../models/BankReconciliation");
+const BankReconciliationService = require("../services/bankReconciliationService");
+
+// Load a reconciliation of the tenant or send 404
+const findReconciliation = async (req, res) => {
+  const reconciliation = await BankReconciliation.findOne({
+    _id: req.params.id,
+    tenantId: req.tenantId,
+  });
+
+  if (!reconciliation) {
+    res.status(404).json({
+      success: false,
+      message: "Bank reconciliation not found",
+    });
+  }
+
+  return reconciliation;
+};
+
+// @desc    Get bank reconciliations
+// @route   GET /api/bank-reconciliations
+// @access  Private
+exports.getReconciliations = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const { bankAccount, status } = query;
+
+    const filter = { tenantId: req.tenantId };
+    if (bankAccount) filter.bankAccount = bankAccount;
+    if (status) filter.status = status;
+
+    const reconciliations = await BankReconciliation.find(filter)
+      .select("-lines")
+      .populate("bankAccount", "name bankName accountNumber")
+      .populate("createdBy", "name email")
+      .sort({ statementEndDate: -1 });
+
+    res.json({
+      success: true,
+      count: reconciliations.length,
+      data: reconciliations,
+    });
+  } catch (error) {
+    console.error("Get bank reconciliations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching bank reconciliations",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single bank reconciliation with its statement lines
+// @route   GET /api/bank-reconciliations/:id
+// @access  Private
+exports.getReconciliationById = async (req, res) => {
+  try {
+    const reconciliation = await BankReconciliation.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("bankAccount", "name bankName accountNumber accountCode")
+      .populate(
+        "lines.ledgerEntries",
+        "date entryNumber description debit credit sourceTransaction"
+      )
+      .populate("completedBy", "name email");
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: "Bank reconciliation not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: reconciliation,
+    });
+  } catch (error) {
+    console.error("Get bank reconciliation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching bank reconciliation",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Import a bank statement CSV and auto-match it
+// @route   POST /api/bank-reconciliations/import
+// @access  Private
+exports.importStatement = async (req, res) => {
+  try {
+    const { bankAccount, csv } = req.body;
+
+    if (!bankAccount || !csv) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the bank account and the statement CSV",
+      });
+    }
+
+    let reconciliation;
+    try {
+      reconciliation = await BankReconciliationService.importStatement(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (importError) {
+      return res.status(400).json({
+        success: false,
+        message: importError.message,
+      });
+    }
+
+    const matched = reconciliation.lines.filter(
+      (line) => line.status === "Matched"
+    ).length;
+
+    res.status(201).json({
+      success: true,
+      message: `Statement imported: ${matched} of ${reconciliation.lines.length} lines matched`,
+      data: reconciliation,
+    });
+  } catch (error) {
+    console.error("Import bank statement error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error importing bank statement",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get uncleared ledger entries available for manual matching
+// @route   GET /api/bank-reconciliations/:id/candidates
+// @access  Private
+exports.getCandidates = async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req, res);
+    if (!reconciliation) return;
+
+    const matched = new Set();
+    reconciliation.lines.forEach((line) => {
+      line.ledgerEntries.forEach((id) => matched.add(String(id)));
+    });
+
+    const candidates = (
+      await BankReconciliationService.getCandidateEntries(reconciliation)
+    ).filter((row) => !matched.has(String(row._id)));
+
+    res.json({
+      success: true,
+      count: candidates.length,
+      data: candidates,
+    });
+  } catch (error) {
+    console.error("Get reconciliation candidates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching ledger entries",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Re-run automatic matching on unmatched lines
+// @route   PUT /api/bank-reconciliations/:id/auto-match
+// @access  Private
+exports.autoMatch = async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req, res);
+    if (!reconciliation) return;
+
+    try {
+      await BankReconciliationService.autoMatch(reconciliation, req.user._id);
+    } catch (matchError) {
+      return res.status(400).json({
+        success: false,
+        message: matchError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Automatic matching completed",
+      data: reconciliation,
+    });
+  } catch (error) {
+    console.error("Auto-match bank reconciliation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error matching statement lines",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Match a statement line to ledger entries
+// @route   PUT /api/bank-reconciliations/:id/lines/:lineId/match
+// @access  Private
+exports.matchLine = async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req, res);
+    if (!reconciliation) return;
+
+    try {
+      await BankReconciliationService.matchLine(
+        reconciliation,
+        req.params.lineId,
+        req.body.ledgerEntries,
+        req.user._id
+      );
+    } catch (matchError) {
+      return res.status(400).json({
+        success: false,
+        message: matchError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Statement line matched successfully",
+      data: reconciliation,
+    });
+  } catch (error) {
+    console.error("Match statement line error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error matching statement line",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Unmatch a statement line
+// @route   PUT /api/bank-reconciliations/:id/lines/:lineId/unmatch
+// @access  Private
+exports.unmatchLine = async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req, res);
+    if (!reconciliation) return;
+
+    try {
+      await BankReconciliationService.unmatchLine(
+        reconciliation,
+        req.params.lineId
+      );
+    } catch (matchError) {
+      return res.status(400).json({
+        success: false,
+        message: matchError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Statement line unmatched successfully",
+      data: reconciliation,
+    });
+  } catch (error) {
+    console.error("Unmatch statement line error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error unmatching statement line",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get reconciliation report (uncleared cheques, deposits in transit)
+// @route   GET /api/bank-reconciliations/:id/report
+// @access  Private
+exports.getReconciliationReport = async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req, res);
+    if (!reconciliation) return;
+
+    const report = await BankReconciliationService.getReport(reconciliation);
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Bank reconciliation report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating bank reconciliation report",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Complete a reconciliation once it agrees with the books
+// @route   PUT /api/bank-reconciliations/:id/complete
+// @access  Private/Admin
+exports.completeReconciliation = async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req, res);
+    if (!reconciliation) return;
+
+    try {
+      await BankReconciliationService.completeReconciliation(
+        reconciliation,
+        req.user._id
+      );
+    } catch (completeError) {
+      return res.status(400).json({
+        success: false,
+        message: completeError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Bank reconciliation completed successfully",
+      data: reconciliation,
+    });
+  } catch (error) {
+    console.error("Complete bank reconciliation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error completing bank reconciliation",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a draft reconciliation
+// @route   DELETE /api/bank-reconciliations/:id
+// @access  Private
+exports.deleteReconciliation = async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req, res);
+    if (!reconciliation) return;
+
+    try {
+      await BankReconciliationService.deleteReconciliation(reconciliation);
+    } catch (deleteError) {
+      return res.status(400).json({
+        success: false,
+        message: deleteError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Bank reconciliation deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Delete bank reconciliation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting bank reconciliation",
+      error: error.message,
+    });
+  }
+};
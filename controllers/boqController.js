@@ -0,0 +1,181 @@
+const BoqService = require("../services/boqService");
+
+// @desc    Get the bill of quantities of a project
+// @route   GET /api/projects/:id/boq
+// @access  Private
+const getProjectBoq = async (req, res) => {
+  try {
+    await BoqService.getProject(req.tenantId, req.params.id);
+    const boq = await BoqService.getBoq(req.tenantId, req.params.id);
+    await boq.populate("project", "name code valueOfJob");
+    await boq.populate("updatedBy", "name email");
+
+    const variations = await BoqService.getVariationSummary(req.tenantId, boq);
+
+    res.status(200).json({
+      success: true,
+      data: { ...boq.toObject(), variations },
+    });
+  } catch (error) {
+    console.error("Get project BOQ error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Error fetching BOQ",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create or revise the bill of quantities of a project
+// @route   PUT /api/projects/:id/boq
+// @access  Private/Admin
+const saveProjectBoq = async (req, res) => {
+  try {
+    let boq;
+    try {
+      boq = await BoqService.saveBoq(
+        req.tenantId,
+        req.params.id,
+        req.body,
+        req.user._id
+      );
+    } catch (boqError) {
+      return res.status(boqError.statusCode || 400).json({
+        success: false,
+        message: boqError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `BOQ saved as revision ${boq.revision}`,
+      data: boq,
+    });
+  } catch (error) {
+    console.error("Save project BOQ error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error saving BOQ",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the revision history of a project's BOQ
+// @route   GET /api/projects/:id/boq/revisions
+// @access  Private
+const getBoqRevisions = async (req, res) => {
+  try {
+    const revisions = await BoqService.getRevisions(
+      req.tenantId,
+      req.params.id
+    );
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions,
+    });
+  } catch (error) {
+    console.error("Get BOQ revisions error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Error fetching revisions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get one revision of a project's BOQ with its lines
+// @route   GET /api/projects/:id/boq/revisions/:revision
+// @access  Private
+const getBoqRevision = async (req, res) => {
+  try {
+    const revision = await BoqService.getRevision(
+      req.tenantId,
+      req.params.id,
+      req.params.revision
+    );
+
+    res.status(200).json({
+      success: true,
+      data: revision,
+    });
+  } catch (error) {
+    console.error("Get BOQ revision error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Error fetching revision",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Material consumption against BOQ quantities
+// @route   GET /api/projects/:id/boq/consumption
+// @access  Private
+const getMaterialConsumption = async (req, res) => {
+  try {
+    const report = await BoqService.getMaterialConsumption(
+      req.tenantId,
+      req.params.id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Get material consumption error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode
+        ? error.message
+        : "Error fetching material consumption",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Replace the project budget with the BOQ cost per cost code
+// @route   PUT /api/projects/:id/budget/from-boq
+// @access  Private/Admin
+const buildBudgetFromBoq = async (req, res) => {
+  try {
+    let budget;
+    try {
+      budget = await BoqService.buildBudgetFromBoq(
+        req.tenantId,
+        req.params.id,
+        req.user._id
+      );
+    } catch (budgetError) {
+      return res.status(budgetError.statusCode || 400).json({
+        success: false,
+        message: budgetError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Project budget set from the BOQ",
+      data: budget,
+    });
+  } catch (error) {
+    console.error("Build budget from BOQ error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error setting budget from BOQ",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getProjectBoq,
+  saveProjectBoq,
+  getBoqRevisions,
+  getBoqRevision,
+  getMaterialConsumption,
+  buildBudgetFromBoq,
+};
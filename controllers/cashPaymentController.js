@@ -4,6 +4,11 @@ const User = require("../models/User");
 const ChartOfAccount = require("../models/ChartOfAccount");
 const JournalEntry = require("../models/JournalEntry");
 const AccountingService = require("../services/accountingService");
+const TaxService = require("../services/taxService");
+const FiscalPeriodService = require("../services/fiscalPeriodService");
+const PayablesService = require("../services/payablesService");
+const TransactionService = require("../services/transactionService");
+const ProjectBudgetService = require("../services/projectBudgetService");
 
 // @desc    Get all cash payments
 // @route   GET /api/cash-payments
@@ -126,12 +131,62 @@ exports.createCashPayment = async (req, res) => {
       }
     }
 
+    // Cost codes the lines are budgeted under
+    try {
+      await ProjectBudgetService.resolveCostCodes(req.tenantId, paymentLines);
+    } catch (costCodeError) {
+      return res.status(400).json({
+        success: false,
+        message: costCodeError.message,
+      });
+    }
+
     // Calculate total amount
     const totalAmount = paymentLines.reduce(
       (sum, line) => sum + line.amount,
       0
     );
 
+    // Resolve withholding tax deducted from the payment
+    let withholding;
+    try {
+      withholding = await TaxService.resolveWithholding(
+        req.tenantId,
+        req.body.withholdingTaxCode,
+        req.body.withholdingTaxRate
+      );
+    } catch (taxError) {
+      return res.status(400).json({
+        success: false,
+        message: taxError.message,
+      });
+    }
+
+    // Supplier bills settled by this payment
+    let billSettlement;
+    try {
+      billSettlement = await PayablesService.prepareBillAllocations(
+        req.tenantId,
+        null,
+        req.body.billAllocations
+      );
+    } catch (billError) {
+      return res.status(400).json({
+        success: false,
+        message: billError.message,
+      });
+    }
+    const billedAmount = billSettlement.allocations.reduce(
+      (sum, allocation) => sum + allocation.amount,
+      0
+    );
+    if (billedAmount > totalAmount + 0.01) {
+      return res.status(400).json({
+        success: false,
+        message: "Bill allocations cannot exceed the payment amount",
+      });
+    }
+
     // Create cash payment data
     const cashPaymentData = {
       tenantId: req.tenantId,
@@ -141,12 +196,34 @@ exports.createCashPayment = async (req, res) => {
       employeeRef: employeeRef || null,
       paymentLines: paymentLines,
       totalAmount: totalAmount,
+      payeeName: req.body.payeeName || "",
+      ...withholding,
+      billAllocations: billSettlement.allocations,
       remarks: remarks || "",
       createdBy: req.user._id,
     };
 
-    // Create new cash payment
-    const cashPayment = await CashPayment.create(cashPaymentData);
+    // Payment, journal entry and bill settlements commit together
+    const cashPayment = await TransactionService.run(async (session) => {
+      const [payment] = await CashPayment.create([cashPaymentData], {
+        session,
+      });
+
+      await PayablesService.recordBillPayments(
+        billSettlement.purchases,
+        payment.billAllocations,
+        {
+          paymentModel: "CashPayment",
+          paymentId: payment._id,
+          reference: payment.serialNo,
+          date: payment.date,
+          description: `Cash payment ${payment.serialNo}`,
+        },
+        session
+      );
+
+      return payment;
+    });
 
     // Populate references before sending response
     await cashPayment.populate("project", "name code");
@@ -160,7 +237,7 @@ exports.createCashPayment = async (req, res) => {
     });
   } catch (error) {
     console.error("Create cash payment error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error creating cash payment",
       error: error.message,
@@ -191,6 +268,20 @@ exports.updateCashPayment = async (req, res) => {
       });
     }
 
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      cashPayment.date,
+      req.user._id
+    );
+    if (req.body.date) {
+      await FiscalPeriodService.assertPeriodOpen(
+        req.tenantId,
+        req.body.date,
+        req.user._id
+      );
+    }
+
     const {
       date,
       project,
@@ -199,6 +290,9 @@ exports.updateCashPayment = async (req, res) => {
       paymentLines,
       remarks,
       cancel,
+      payeeName,
+      withholdingTaxCode,
+      withholdingTaxRate,
     } = req.body;
 
     // Update fields
@@ -208,10 +302,44 @@ exports.updateCashPayment = async (req, res) => {
       cashPayment.jobDescription = jobDescription;
     if (employeeRef !== undefined) cashPayment.employeeRef = employeeRef;
     if (remarks !== undefined) cashPayment.remarks = remarks;
+    // Cancelling a payment reopens the bills it settled
+    const billsToReopen =
+      cancel === true && !cashPayment.cancel ? cashPayment.billAllocations : [];
+    if (billsToReopen.length > 0) cashPayment.billAllocations = [];
     if (typeof cancel === "boolean") cashPayment.cancel = cancel;
+    if (payeeName !== undefined) cashPayment.payeeName = payeeName;
 
     let paymentLinesChanged = false;
+    if (withholdingTaxCode !== undefined || withholdingTaxRate !== undefined) {
+      try {
+        Object.assign(
+          cashPayment,
+          await TaxService.resolveWithholding(
+            req.tenantId,
+            withholdingTaxCode,
+            withholdingTaxRate
+          )
+        );
+      } catch (taxError) {
+        return res.status(400).json({
+          success: false,
+          message: taxError.message,
+        });
+      }
+      paymentLinesChanged = true;
+    }
     if (paymentLines && paymentLines.length > 0) {
+      try {
+        await ProjectBudgetService.resolveCostCodes(
+          req.tenantId,
+          paymentLines
+        );
+      } catch (costCodeError) {
+        return res.status(400).json({
+          success: false,
+          message: costCodeError.message,
+        });
+      }
       // Recalculate total amount
       const totalAmount = paymentLines.reduce(
         (sum, line) => sum + line.amount,
@@ -222,33 +350,31 @@ exports.updateCashPayment = async (req, res) => {
       paymentLinesChanged = true;
     }
 
-    await cashPayment.save();
-
-    // Populate references before sending response
-    await cashPayment.populate("project", "name code");
-    await cashPayment.populate("employeeRef", "name email");
-    await cashPayment.populate("createdBy", "name email");
+    // The payment and its accounting entries are kept in sync in one transaction
+    await TransactionService.run(async (session) => {
+      await PayablesService.reverseBillPayments(
+        req.tenantId,
+        billsToReopen,
+        cashPayment._id,
+        session
+      );
 
-    res.status(200).json({
-      success: true,
-      message: "Cash payment updated successfully",
-      data: cashPayment,
-    });
+      await cashPayment.save({ session });
 
-    // Keep accounting entries in sync
-    try {
       const existingEntry = await JournalEntry.findOne({
+        tenantId: req.tenantId,
         status: "Posted",
         "sourceTransaction.model": "CashPayment",
         "sourceTransaction.id": cashPayment._id,
-      });
+      }).session(session);
 
       // If cancelled, reverse existing journal entry
       if (cashPayment.cancel && existingEntry) {
         await AccountingService.reverseJournalEntry(
           existingEntry._id,
           req.user._id,
-          `Cash Payment ${cashPayment.serialNo} cancelled`
+          `Cash Payment ${cashPayment.serialNo} cancelled`,
+          session
         );
       }
       // If active and lines changed or amounts changed, refresh JE
@@ -257,24 +383,34 @@ exports.updateCashPayment = async (req, res) => {
           await AccountingService.reverseJournalEntry(
             existingEntry._id,
             req.user._id,
-            `Cash Payment ${cashPayment.serialNo} updated`
+            `Cash Payment ${cashPayment.serialNo} updated`,
+            session
           );
         }
         // Create fresh JE if none exists or after reversal
         if (!existingEntry || paymentLinesChanged) {
           await AccountingService.createCashPaymentJournalEntry(
             cashPayment,
-            req.user._id
+            req.user._id,
+            session
           );
         }
       }
-    } catch (accErr) {
-      console.error("Accounting sync (cash payment update) error:", accErr);
-      // Do not fail the API due to accounting sync; it's logged for admins
-    }
+    });
+
+    // Populate references before sending response
+    await cashPayment.populate("project", "name code");
+    await cashPayment.populate("employeeRef", "name email");
+    await cashPayment.populate("createdBy", "name email");
+
+    res.status(200).json({
+      success: true,
+      message: "Cash payment updated successfully",
+      data: cashPayment,
+    });
   } catch (error) {
     console.error("Update cash payment error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error updating cash payment",
       error: error.message,
@@ -299,27 +435,42 @@ exports.deleteCashPayment = async (req, res) => {
       });
     }
 
-    // Reverse associated journal entry if exists
-    try {
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      cashPayment.date,
+      req.user._id
+    );
+
+    // Reversal, bill settlements and the delete commit together
+    await TransactionService.run(async (session) => {
+      // Reverse associated journal entry if exists
       const existingEntry = await JournalEntry.findOne({
+        tenantId: req.tenantId,
         status: "Posted",
         "sourceTransaction.model": "CashPayment",
         "sourceTransaction.id": cashPayment._id,
-      });
+      }).session(session);
       if (existingEntry) {
         await AccountingService.reverseJournalEntry(
           existingEntry._id,
           req.user._id,
-          `Cash Payment ${cashPayment.serialNo} deleted`
+          `Cash Payment ${cashPayment.serialNo} deleted`,
+          session
         );
       }
-    } catch (accErr) {
-      console.error("Accounting reversal (cash payment delete) error:", accErr);
-    }
 
-    await CashPayment.findOneAndDelete({
-      _id: req.params.id,
-      tenantId: req.tenantId,
+      await PayablesService.reverseBillPayments(
+        req.tenantId,
+        cashPayment.billAllocations,
+        cashPayment._id,
+        session
+      );
+
+      await CashPayment.findOneAndDelete(
+        { _id: req.params.id, tenantId: req.tenantId },
+        { session }
+      );
     });
 
     res.status(200).json({
@@ -328,7 +479,7 @@ exports.deleteCashPayment = async (req, res) => {
     });
   } catch (error) {
     console.error("Delete cash payment error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error deleting cash payment",
       error: error.message,
@@ -0,0 +1,220 @@
+const Cheque = require("../models/Cheque");
+const ChequeService = require("../services/chequeService");
+
+// Load a cheque of the tenant or send 404
+const findCheque = async (req, res) => {
+  const cheque = await Cheque.findOne({
+    _id: req.params.id,
+    tenantId: req.tenantId,
+  });
+
+  if (!cheque) {
+    res.status(404).json({
+      success: false,
+      message: "Cheque not found",
+    });
+  }
+
+  return cheque;
+};
+
+// @desc    Get cheque register
+// @route   GET /api/cheques
+// @access  Private
+exports.getCheques = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const { direction, status, customer, supplier, plot, startDate, endDate } =
+      query;
+
+    const filter = { tenantId: req.tenantId };
+    if (direction) filter.direction = direction;
+    if (status) filter.status = status;
+    if (customer) filter.customer = customer;
+    if (supplier) filter.supplier = supplier;
+    if (plot) filter.plot = plot;
+    if (startDate || endDate) {
+      filter.chequeDate = {};
+      if (startDate) filter.chequeDate.$gte = new Date(startDate);
+      if (endDate) filter.chequeDate.$lte = new Date(endDate);
+    }
+
+    const cheques = await Cheque.find(filter)
+      .populate("customer", "name code")
+      .populate("supplier", "name code")
+      .populate("plot", "plotNumber")
+      .populate("bankAccountRef", "name bankName accountNumber")
+      .sort({ chequeDate: 1, chequeNo: 1 });
+
+    res.json({
+      success: true,
+      count: cheques.length,
+      data: cheques,
+    });
+  } catch (error) {
+    console.error("Get cheques error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching cheques",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get uncleared cheques by maturity date
+// @route   GET /api/cheques/maturity
+// @access  Private
+exports.getMaturityCalendar = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const calendar = await ChequeService.getMaturityCalendar(req.tenantId, {
+      startDate: query.startDate,
+      endDate: query.endDate,
+      direction: query.direction,
+    });
+
+    res.json({
+      success: true,
+      data: calendar,
+    });
+  } catch (error) {
+    console.error("Get cheque maturity calendar error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching cheque maturity calendar",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single cheque with its status history
+// @route   GET /api/cheques/:id
+// @access  Private
+exports.getChequeById = async (req, res) => {
+  try {
+    const cheque = await Cheque.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("customer", "name code")
+      .populate("supplier", "name code")
+      .populate("plot", "plotNumber")
+      .populate("bankAccountRef", "name bankName accountNumber")
+      .populate("statusHistory.changedBy", "name email");
+
+    if (!cheque) {
+      return res.status(404).json({
+        success: false,
+        message: "Cheque not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: cheque,
+    });
+  } catch (error) {
+    console.error("Get cheque error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching cheque",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Deposit a received cheque
+// @route   PUT /api/cheques/:id/deposit
+// @access  Private
+exports.depositCheque = async (req, res) => {
+  try {
+    const cheque = await findCheque(req, res);
+    if (!cheque) return;
+
+    try {
+      await ChequeService.depositCheque(cheque, req.body, req.user._id);
+    } catch (chequeError) {
+      return res.status(chequeError.statusCode || 400).json({
+        success: false,
+        message: chequeError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Cheque deposited",
+      data: cheque,
+    });
+  } catch (error) {
+    console.error("Deposit cheque error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error depositing cheque",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Mark a cheque cleared and post the bank entry
+// @route   PUT /api/cheques/:id/clear
+// @access  Private
+exports.clearCheque = async (req, res) => {
+  try {
+    const cheque = await findCheque(req, res);
+    if (!cheque) return;
+
+    try {
+      await ChequeService.clearCheque(cheque, req.body, req.user._id);
+    } catch (chequeError) {
+      return res.status(chequeError.statusCode || 400).json({
+        success: false,
+        message: chequeError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Cheque cleared",
+      data: cheque,
+    });
+  } catch (error) {
+    console.error("Clear cheque error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error clearing cheque",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Mark a cheque bounced and reverse the receipt or payment
+// @route   PUT /api/cheques/:id/bounce
+// @access  Private
+exports.bounceCheque = async (req, res) => {
+  try {
+    const cheque = await findCheque(req, res);
+    if (!cheque) return;
+
+    try {
+      await ChequeService.bounceCheque(cheque, req.body, req.user._id);
+    } catch (chequeError) {
+      return res.status(chequeError.statusCode || 400).json({
+        success: false,
+        message: chequeError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Cheque marked as bounced",
+      data: cheque,
+    });
+  } catch (error) {
+    console.error("Bounce cheque error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error recording bounced cheque",
+      error: error.message,
+    });
+  }
+};
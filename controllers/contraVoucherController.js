@@ -0,0 +1,442 @@
+const ContraVoucher = require("../models/ContraVoucher");
+const JournalEntry = require("../models/JournalEntry");
+const AccountingService = require("../services/accountingService");
+const FiscalPeriodService = require("../services/fiscalPeriodService");
+const TransactionService = require("../services/transactionService");
+const BankAccountService = require("../services/bankAccountService");
+
+const TRANSFER_TYPES = ["Cash Deposit", "Cash Withdrawal", "Bank Transfer"];
+
+/**
+ * Check the bank accounts a transfer type needs and return them
+ * Deposits need the bank paid into, withdrawals the bank drawn from and
+ * transfers both, which must differ
+ */
+const resolveTransferAccounts = async (
+  tenantId,
+  transferType,
+  fromBankAccountRef,
+  toBankAccountRef
+) => {
+  if (!TRANSFER_TYPES.includes(transferType)) {
+    throw new Error(`Transfer type must be one of ${TRANSFER_TYPES.join(", ")}`);
+  }
+
+  const needsFrom = transferType !== "Cash Deposit";
+  const needsTo = transferType !== "Cash Withdrawal";
+  if (needsFrom && !fromBankAccountRef) {
+    throw new Error(`${transferType} requires the bank account drawn from`);
+  }
+  if (needsTo && !toBankAccountRef) {
+    throw new Error(`${transferType} requires the bank account paid into`);
+  }
+  if (
+    needsFrom &&
+    needsTo &&
+    String(fromBankAccountRef) === String(toBankAccountRef)
+  ) {
+    throw new Error("Cannot transfer to the same bank account");
+  }
+
+  return {
+    fromBankAccountRef: needsFrom
+      ? (
+          await BankAccountService.resolveBankAccount(
+            tenantId,
+            fromBankAccountRef
+          )
+        )._id
+      : undefined,
+    toBankAccountRef: needsTo
+      ? (await BankAccountService.resolveBankAccount(tenantId, toBankAccountRef))
+          ._id
+      : undefined,
+  };
+};
+
+// @desc    Get all contra vouchers
+// @route   GET /api/contra-vouchers
+// @access  Private
+const getContraVouchers = async (req, res) => {
+  try {
+    const query = { tenantId: req.tenantId };
+    if (req.query.transferType) query.transferType = req.query.transferType;
+
+    const vouchers = await ContraVoucher.find(query)
+      .populate("fromBankAccountRef", "name bankName accountNumber")
+      .populate("toBankAccountRef", "name bankName accountNumber")
+      .populate("createdBy", "name email")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: vouchers.length,
+      data: vouchers,
+    });
+  } catch (error) {
+    console.error("Error fetching contra vouchers:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single contra voucher by ID
+// @route   GET /api/contra-vouchers/:id
+// @access  Private
+const getContraVoucherById = async (req, res) => {
+  try {
+    const voucher = await ContraVoucher.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("fromBankAccountRef", "name bankName accountNumber")
+      .populate("toBankAccountRef", "name bankName accountNumber")
+      .populate("createdBy", "name email");
+
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: "Contra Voucher not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: voucher,
+    });
+  } catch (error) {
+    console.error("Error fetching contra voucher:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new contra voucher
+// @route   POST /api/contra-vouchers
+// @access  Private
+const createContraVoucher = async (req, res) => {
+  try {
+    const {
+      serialNo,
+      date,
+      transferType,
+      fromBankAccountRef,
+      toBankAccountRef,
+      amount,
+      chequeNo,
+      description,
+    } = req.body;
+
+    // Validate required fields
+    if (!date || !transferType || !amount || Number(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide all required fields",
+      });
+    }
+
+    let accounts;
+    try {
+      accounts = await resolveTransferAccounts(
+        req.tenantId,
+        transferType,
+        fromBankAccountRef,
+        toBankAccountRef
+      );
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    // Voucher and journal entry commit together
+    const voucher = await TransactionService.run(async (session) => {
+      const [created] = await ContraVoucher.create(
+        [
+          {
+            tenantId: req.tenantId,
+            serialNo: serialNo || undefined, // Will be auto-generated if not provided
+            date,
+            transferType,
+            ...accounts,
+            amount: Number(amount),
+            chequeNo,
+            description,
+            createdBy: req.user._id,
+          },
+        ],
+        { session }
+      );
+      return created;
+    });
+
+    // Populate references
+    await voucher.populate([
+      { path: "fromBankAccountRef", select: "name bankName accountNumber" },
+      { path: "toBankAccountRef", select: "name bankName accountNumber" },
+      { path: "createdBy", select: "name email" },
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: "Contra Voucher created successfully",
+      data: voucher,
+    });
+  } catch (error) {
+    console.error("Error creating contra voucher:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update contra voucher
+// @route   PUT /api/contra-vouchers/:id
+// @access  Private
+const updateContraVoucher = async (req, res) => {
+  try {
+    const {
+      cancel,
+      date,
+      transferType,
+      fromBankAccountRef,
+      toBankAccountRef,
+      amount,
+      chequeNo,
+      description,
+    } = req.body;
+
+    const voucher = await ContraVoucher.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: "Contra Voucher not found",
+      });
+    }
+
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      voucher.date,
+      req.user._id
+    );
+    if (date) {
+      await FiscalPeriodService.assertPeriodOpen(
+        req.tenantId,
+        date,
+        req.user._id
+      );
+    }
+
+    // Any change to the accounts, amount or date reposts the entry
+    const entryChanged =
+      Boolean(date) ||
+      transferType !== undefined ||
+      fromBankAccountRef !== undefined ||
+      toBankAccountRef !== undefined ||
+      amount !== undefined;
+
+    if (entryChanged) {
+      if (amount !== undefined && !(Number(amount) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: "Amount must be greater than zero",
+        });
+      }
+
+      const nextType = transferType || voucher.transferType;
+      try {
+        const accounts = await resolveTransferAccounts(
+          req.tenantId,
+          nextType,
+          fromBankAccountRef !== undefined
+            ? fromBankAccountRef
+            : voucher.fromBankAccountRef,
+          toBankAccountRef !== undefined
+            ? toBankAccountRef
+            : voucher.toBankAccountRef
+        );
+        voucher.transferType = nextType;
+        voucher.fromBankAccountRef = accounts.fromBankAccountRef;
+        voucher.toBankAccountRef = accounts.toBankAccountRef;
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+        });
+      }
+      if (amount !== undefined) voucher.amount = Number(amount);
+      if (date) voucher.date = date;
+    }
+
+    // Update fields
+    if (cancel !== undefined) voucher.cancel = cancel;
+    if (chequeNo !== undefined) voucher.chequeNo = chequeNo;
+    if (description !== undefined) voucher.description = description;
+
+    // The voucher and its accounting entry are kept in sync in one transaction
+    await TransactionService.run(async (session) => {
+      await voucher.save({ session });
+
+      const existingEntry = await JournalEntry.findOne({
+        tenantId: req.tenantId,
+        status: "Posted",
+        "sourceTransaction.model": "ContraVoucher",
+        "sourceTransaction.id": voucher._id,
+      }).session(session);
+
+      // If cancelled, reverse existing journal entry
+      if (voucher.cancel && existingEntry) {
+        await AccountingService.reverseJournalEntry(
+          existingEntry._id,
+          req.user._id,
+          `Contra Voucher ${voucher.serialNo} cancelled`,
+          session
+        );
+      }
+      // If active and the transfer changed, repost the journal entry
+      else if (!voucher.cancel) {
+        if (existingEntry && entryChanged) {
+          await AccountingService.reverseJournalEntry(
+            existingEntry._id,
+            req.user._id,
+            `Contra Voucher ${voucher.serialNo} updated`,
+            session
+          );
+        }
+        if (!existingEntry || entryChanged) {
+          await AccountingService.createContraJournalEntry(
+            voucher,
+            req.user._id,
+            session
+          );
+        }
+      }
+    });
+
+    // Populate references
+    await voucher.populate([
+      { path: "fromBankAccountRef", select: "name bankName accountNumber" },
+      { path: "toBankAccountRef", select: "name bankName accountNumber" },
+      { path: "createdBy", select: "name email" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Contra Voucher updated successfully",
+      data: voucher,
+    });
+  } catch (error) {
+    console.error("Error updating contra voucher:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete contra voucher
+// @route   DELETE /api/contra-vouchers/:id
+// @access  Private
+const deleteContraVoucher = async (req, res) => {
+  try {
+    const voucher = await ContraVoucher.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: "Contra Voucher not found",
+      });
+    }
+
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      voucher.date,
+      req.user._id
+    );
+
+    // Reversal and the delete commit together
+    await TransactionService.run(async (session) => {
+      const existingEntry = await JournalEntry.findOne({
+        tenantId: req.tenantId,
+        status: "Posted",
+        "sourceTransaction.model": "ContraVoucher",
+        "sourceTransaction.id": voucher._id,
+      }).session(session);
+      if (existingEntry) {
+        await AccountingService.reverseJournalEntry(
+          existingEntry._id,
+          req.user._id,
+          `Contra Voucher ${voucher.serialNo} deleted`,
+          session
+        );
+      }
+
+      await voucher.deleteOne({ session });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Contra Voucher deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Error deleting contra voucher:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Generate next serial number
+// @route   GET /api/contra-vouchers/generate-serial
+// @access  Private
+const generateSerialNumber = async (req, res) => {
+  try {
+    const count = await ContraVoucher.countDocuments({
+      tenantId: req.tenantId,
+    });
+    const serialNo = `CV${String(count + 1).padStart(6, "0")}`;
+
+    res.status(200).json({
+      success: true,
+      data: { serialNo },
+    });
+  } catch (error) {
+    console.error("Error generating serial number:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getContraVouchers,
+  getContraVoucherById,
+  createContraVoucher,
+  updateContraVoucher,
+  deleteContraVoucher,
+  generateSerialNumber,
+};
@@ -0,0 +1,187 @@
+const CostCode = require("../models/CostCode");
+
+// @desc    Get all cost codes
+// @route   GET /api/cost-codes
+// @access  Private
+const getAllCostCodes = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const filter = { tenantId: req.tenantId };
+    if (query.includeInactive !== "true") filter.isActive = true;
+
+    const costCodes = await CostCode.find(filter).sort({ code: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: costCodes.length,
+      data: costCodes,
+    });
+  } catch (error) {
+    console.error("Get all cost codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching cost codes",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single cost code by ID
+// @route   GET /api/cost-codes/:id
+// @access  Private
+const getCostCodeById = async (req, res) => {
+  try {
+    const costCode = await CostCode.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!costCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Cost code not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: costCode,
+    });
+  } catch (error) {
+    console.error("Get cost code by ID error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching cost code",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new cost code
+// @route   POST /api/cost-codes
+// @access  Private/Admin
+const createCostCode = async (req, res) => {
+  try {
+    const { code, name, description } = req.body;
+
+    // Validation
+    if (!code || !name) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide code and name",
+      });
+    }
+
+    const costCode = await CostCode.create({
+      tenantId: req.tenantId,
+      code: code.toUpperCase(),
+      name,
+      description: description || "",
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Cost code created successfully",
+      data: costCode,
+    });
+  } catch (error) {
+    console.error("Create cost code error:", error);
+
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Cost code already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error creating cost code",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update cost code (the code itself stays fixed once used)
+// @route   PUT /api/cost-codes/:id
+// @access  Private/Admin
+const updateCostCode = async (req, res) => {
+  try {
+    const costCode = await CostCode.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!costCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Cost code not found",
+      });
+    }
+
+    const { name, description, isActive } = req.body;
+
+    if (name) costCode.name = name;
+    if (description !== undefined) costCode.description = description;
+    if (typeof isActive === "boolean") costCode.isActive = isActive;
+
+    await costCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Cost code updated successfully",
+      data: costCode,
+    });
+  } catch (error) {
+    console.error("Update cost code error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating cost code",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Deactivate cost code (kept for documents and budgets that use it)
+// @route   DELETE /api/cost-codes/:id
+// @access  Private/Admin
+const deleteCostCode = async (req, res) => {
+  try {
+    const costCode = await CostCode.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!costCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Cost code not found",
+      });
+    }
+
+    costCode.isActive = false;
+    await costCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Cost code deactivated successfully",
+    });
+  } catch (error) {
+    console.error("Delete cost code error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting cost code",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllCostCodes,
+  getCostCodeById,
+  createCostCode,
+  updateCostCode,
+  deleteCostCode,
+};
@@ -0,0 +1,332 @@
+const CustomerReceipt = require("../models/CustomerReceipt");
+const SalesInvoice = require("../models/SalesInvoice");
+const Plot = require("../models/Plot");
+const ReceiptService = require("../services/receiptService");
+
+// @desc    Get all customer receipts
+// @route   GET /api/receipts
+// @access  Private
+exports.getReceipts = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const { customer, status, paymentMethod, startDate, endDate } = query;
+
+    const filter = { tenantId: req.tenantId };
+    if (customer) filter.customer = customer;
+    if (status) filter.status = status;
+    if (paymentMethod) filter.paymentMethod = paymentMethod;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const receipts = await CustomerReceipt.find(filter)
+      .populate("customer", "name code")
+      .populate("project", "name code")
+      .populate("createdBy", "name email")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: receipts.length,
+      data: receipts,
+    });
+  } catch (error) {
+    console.error("Get receipts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching receipts",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single customer receipt
+// @route   GET /api/receipts/:id
+// @access  Private
+exports.getReceiptById = async (req, res) => {
+  try {
+    const receipt = await CustomerReceipt.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("customer", "name code email phone address")
+      .populate("project", "name code")
+      .populate("allocations.salesInvoice", "serialNo date netTotal balance")
+      .populate("allocations.plot", "plotNumber finalPrice balance")
+      .populate("journalEntry", "entryNumber status")
+      .populate("createdBy", "name email")
+      .populate("cancelledBy", "name email");
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: "Receipt not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: receipt,
+    });
+  } catch (error) {
+    console.error("Get receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching receipt",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a customer's open invoices and plot installments for allocation
+// @route   GET /api/receipts/open-items/:customerId
+// @access  Private
+exports.getOpenItems = async (req, res) => {
+  try {
+    const invoices = await SalesInvoice.find({
+      tenantId: req.tenantId,
+      customer: req.params.customerId,
+      status: { $in: ["pending", "partial"] },
+    })
+      .select("serialNo date netTotal amountReceived balance status")
+      .sort({ date: 1 });
+
+    const plots = await Plot.find({
+      tenantId: req.tenantId,
+      customer: req.params.customerId,
+      balance: { $gt: 0 },
+    }).select("plotNumber finalPrice amountReceived balance installments");
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        plots: plots.map((plot) => ({
+          _id: plot._id,
+          plotNumber: plot.plotNumber,
+          finalPrice: plot.finalPrice,
+          amountReceived: plot.amountReceived,
+          balance: plot.balance,
+          installments: plot.installments.filter(
+            (inst) => inst.status !== "Paid"
+          ),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get open items error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching open items",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create customer receipt
+// @route   POST /api/receipts
+// @access  Private
+exports.createReceipt = async (req, res) => {
+  try {
+    const { customer, amount, paymentMethod } = req.body;
+
+    if (!customer || !amount || !paymentMethod) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide customer, amount and payment method",
+      });
+    }
+
+    if (Number(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Amount must be greater than zero",
+      });
+    }
+
+    let receipt;
+    try {
+      receipt = await ReceiptService.createReceipt(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (receiptError) {
+      return res.status(400).json({
+        success: false,
+        message: receiptError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Receipt recorded successfully",
+      data: receipt,
+    });
+  } catch (error) {
+    console.error("Create receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error recording receipt",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update receipt details (amounts and allocations are fixed once posted)
+// @route   PUT /api/receipts/:id
+// @access  Private
+exports.updateReceipt = async (req, res) => {
+  try {
+    const receipt = await CustomerReceipt.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: "Receipt not found",
+      });
+    }
+
+    if (receipt.status === "Cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cancelled receipts cannot be edited",
+      });
+    }
+
+    const { bankName, chequeNo, chequeDate, reference, description } =
+      req.body;
+    if (bankName !== undefined) receipt.bankName = bankName;
+    if (chequeNo !== undefined) receipt.chequeNo = chequeNo;
+    if (chequeDate !== undefined) receipt.chequeDate = chequeDate;
+    if (reference !== undefined) receipt.reference = reference;
+    if (description !== undefined) receipt.description = description;
+
+    await receipt.save();
+
+    res.json({
+      success: true,
+      message: "Receipt updated successfully",
+      data: receipt,
+    });
+  } catch (error) {
+    console.error("Update receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating receipt",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Allocate a receipt's unallocated advance
+// @route   PUT /api/receipts/:id/allocate
+// @access  Private
+exports.allocateReceipt = async (req, res) => {
+  try {
+    const receipt = await CustomerReceipt.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: "Receipt not found",
+      });
+    }
+
+    try {
+      await ReceiptService.allocateAdvance(
+        receipt,
+        req.body.allocations,
+        req.user._id
+      );
+    } catch (allocationError) {
+      return res.status(400).json({
+        success: false,
+        message: allocationError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Advance allocated successfully",
+      data: receipt,
+    });
+  } catch (error) {
+    console.error("Allocate receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error allocating receipt",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel receipt (reverses allocations and journal entries)
+// @route   PUT /api/receipts/:id/cancel
+// @access  Private
+exports.cancelReceipt = async (req, res) => {
+  try {
+    const receipt = await CustomerReceipt.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: "Receipt not found",
+      });
+    }
+
+    if (receipt.status === "Cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Receipt is already cancelled",
+      });
+    }
+
+    await ReceiptService.cancelReceipt(receipt, req.user._id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: "Receipt cancelled successfully",
+      data: receipt,
+    });
+  } catch (error) {
+    console.error("Cancel receipt error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Error cancelling receipt",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Generate next receipt number
+// @route   GET /api/receipts/generate-serial
+// @access  Private
+exports.generateReceiptNo = async (req, res) => {
+  try {
+    const receiptNo = await ReceiptService.generateReceiptNo(req.tenantId);
+
+    res.json({
+      success: true,
+      data: { receiptNo },
+    });
+  } catch (error) {
+    console.error("Generate receipt number error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating receipt number",
+      error: error.message,
+    });
+  }
+};
@@ -1,4 +1,5 @@
 const Project = require("../models/Project");
+const ProjectBudget = require("../models/ProjectBudget");
 const SalesInvoice = require("../models/SalesInvoice");
 const Purchase = require("../models/Purchase");
 const BankPayment = require("../models/BankPayment");
@@ -8,6 +9,9 @@ const Item = require("../models/Item");
 const Supplier = require("../models/Supplier");
 const Customer = require("../models/Customer");
 const ChartOfAccount = require("../models/ChartOfAccount");
+const ItemCategory = require("../models/ItemCategory");
+const StockService = require("../services/stockService");
+const ItemCategoryService = require("../services/itemCategoryService");
 
 // @desc    Get dashboard statistics
 // @route   GET /api/dashboard/stats
@@ -237,7 +241,11 @@ const getRecentProjects = async (req, res) => {
         const spent = purchaseSpent + bankPaymentSpent + cashPaymentSpent;
 
         // Calculate progress percentage based on budget
-        const budget = project.valueOfJob || project.estimatedCost || 0;
+        const budget =
+          budgetTotals.get(project._id.toString()) ||
+          project.valueOfJob ||
+          project.estimatedCost ||
+          0;
         const progress = budget > 0 ? Math.min((spent / budget) * 100, 100) : 0;
 
         return {
@@ -328,20 +336,54 @@ const getInventoryStats = async (req, res) => {
       itemType: { $ne: "Plot" },
     });
 
+    const isLowStock = (item) =>
+      item.currentStock > 0 && item.currentStock <= (item.minStockLevel || 0);
+    const isOutOfStock = (item) => item.currentStock <= 0;
+    // Ledger value, or purchase price for stock not yet on the ledger
+    const stockValue = (item) =>
+      item.stockValue || (item.currentStock || 0) * (item.purchasePrice || 0);
+
+    // Stock by category, each category including those below it
+    const categoryTotals = new Map();
+    items.forEach((item) => {
+      const key = item.category ? String(item.category) : null;
+      if (!categoryTotals.has(key)) {
+        categoryTotals.set(key, {
+          stockValue: 0,
+          itemCount: 0,
+          lowStockCount: 0,
+          outOfStockCount: 0,
+        });
+      }
+      const totals = categoryTotals.get(key);
+      totals.stockValue += stockValue(item);
+      totals.itemCount += 1;
+      if (isLowStock(item)) totals.lowStockCount += 1;
+      if (isOutOfStock(item)) totals.outOfStockCount += 1;
+    });
+    const byCategory = await ItemCategoryService.rollUp(
+      req.tenantId,
+      categoryTotals,
+      ["stockValue", "itemCount", "lowStockCount", "outOfStockCount"]
+    );
+
+    const treeCategories = await ItemCategory.countDocuments({
+      tenantId: req.tenantId,
+      isActive: true,
+    });
+
     const stats = {
       totalItems: items.length,
-      lowStockCount: items.filter(
-        (item) =>
-          item.currentStock > 0 &&
-          item.currentStock <= (item.minStockLevel || 0)
-      ).length,
-      outOfStockCount: items.filter((item) => item.currentStock <= 0).length,
+      lowStockCount: items.filter(isLowStock).length,
+      outOfStockCount: items.filter(isOutOfStock).length,
       totalInventoryValue: items.reduce(
-        (sum, item) =>
-          sum + (item.currentStock || 0) * (item.purchasePrice || 0),
+        (sum, item) => sum + stockValue(item),
         0
       ),
-      categories: [...new Set(items.map((item) => item.categoryName))].length,
+      categories:
+        treeCategories ||
+        [...new Set(items.map((item) => item.categoryName))].length,
+      byCategory,
     };
 
     res.status(200).json({
@@ -384,6 +426,44 @@ const getExpenseBreakdown = async (req, res) => {
       0
     );
 
+    // Material spending by item category: each bill's net amount shared
+    // over its lines by line amount
+    const lineItems = await Item.find({
+      tenantId: req.tenantId,
+      _id: {
+        $in: purchases.flatMap((purchase) =>
+          (purchase.lines || []).map((line) => line.item).filter(Boolean)
+        ),
+      },
+    }).select("category");
+    const categoryOf = new Map(
+      lineItems.map((item) => [
+        String(item._id),
+        item.category ? String(item.category) : null,
+      ])
+    );
+    const lineAmount = (line) =>
+      (line.grossAmount || 0) - (line.discount || 0);
+    const materialTotals = new Map();
+    purchases.forEach((purchase) => {
+      const lines = purchase.lines || [];
+      const billLines = lines.reduce((sum, line) => sum + lineAmount(line), 0);
+      lines.forEach((line) => {
+        const key = categoryOf.get(String(line.item)) || null;
+        const share = billLines
+          ? lineAmount(line) / billLines
+          : 1 / lines.length;
+        const amount = (purchase.netAmount || 0) * share;
+        if (!materialTotals.has(key)) materialTotals.set(key, { value: 0 });
+        materialTotals.get(key).value += amount;
+      });
+    });
+    const materialsByCategory = await ItemCategoryService.rollUp(
+      req.tenantId,
+      materialTotals,
+      ["value"]
+    );
+
     // Categorize bank and cash payments by account type
     let laborTotal = 0;
     let equipmentTotal = 0;
@@ -451,7 +531,12 @@ const getExpenseBreakdown = async (req, res) => {
     });
 
     const data = [
-      { name: "Materials", value: materialsTotal, color: "#f59e0b" },
+      {
+        name: "Materials",
+        value: materialsTotal,
+        color: "#f59e0b",
+        categories: materialsByCategory,
+      },
       { name: "Labor", value: laborTotal, color: "#8b5cf6" },
       { name: "Equipment", value: equipmentTotal, color: "#ec4899" },
       { name: "Administrative", value: adminTotal, color: "#06b6d4" },
@@ -756,6 +841,12 @@ const getProjectsOverBudget = async (req, res) => {
   try {
     const projects = await Project.find({ tenantId: req.tenantId });
 
+    // Projects budgeted by cost code are measured against that budget
+    const budgets = await ProjectBudget.find({ tenantId: req.tenantId });
+    const budgetTotals = new Map(
+      budgets.map((b) => [b.project.toString(), b.totalAmount])
+    );
+
     const projectsWithBudget = await Promise.all(
       projects.map(async (project) => {
         const purchases = await Purchase.find({
@@ -923,28 +1014,31 @@ const getAccountsPayable = async (req, res) => {
   }
 };
 
-// @desc    Get low stock alerts
+// @desc    Get low stock alerts per location
 // @route   GET /api/dashboard/low-stock-alerts
 // @access  Private
 const getLowStockAlerts = async (req, res) => {
   try {
-    const items = await Item.find({
-      tenantId: req.tenantId,
-      isActive: true,
-      itemType: { $ne: "Plot" },
+    const query = req.sanitizedQuery || req.query;
+    const stock = await StockService.getStockByLocation(req.tenantId, {
+      warehouse: query.warehouse,
     });
 
-    const lowStockItems = items
-      .filter((item) => {
-        const stock = item.currentStock || 0;
-        const minLevel = item.minStockLevel || 0;
-        return stock > 0 && stock <= minLevel;
-      })
-      .map((item) => ({
-        name: item.name,
-        currentStock: item.currentStock || 0,
-        minStock: item.minStockLevel || 0,
-        unit: item.unit || "units",
+    const lowStockItems = stock
+      .filter(
+        (row) =>
+          row.item.isActive &&
+          row.item.itemType !== "Plot" &&
+          row.stockStatus === "Low Stock"
+      )
+      .map((row) => ({
+        name: row.item.name,
+        itemCode: row.item.itemCode,
+        warehouse: row.warehouse,
+        currentStock: row.quantity,
+        inTransit: row.inTransit,
+        minStock: row.minStockLevel,
+        unit: row.item.unit || "units",
       }))
       .slice(0, 10); // Limit to top 10
 
@@ -0,0 +1,407 @@
+const FiscalPeriod = require("../models/FiscalPeriod");
+const Tenant = require("../models/Tenant");
+const YearEndClose = require("../models/YearEndClose");
+const FiscalPeriodService = require("../services/fiscalPeriodService");
+const YearEndService = require("../services/yearEndService");
+
+// Apply a status change to one period and send the response
+const changePeriodStatus = async (req, res, status, message) => {
+  const period = await FiscalPeriod.findOne({
+    _id: req.params.id,
+    tenantId: req.tenantId,
+  });
+
+  if (!period) {
+    return res.status(404).json({
+      success: false,
+      message: "Fiscal period not found",
+    });
+  }
+
+  try {
+    await FiscalPeriodService.changeStatus(
+      period,
+      status,
+      req.user._id,
+      req.body.reason
+    );
+  } catch (statusError) {
+    return res.status(400).json({
+      success: false,
+      message: statusError.message,
+    });
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: period,
+  });
+};
+
+// @desc    Get fiscal periods
+// @route   GET /api/fiscal-periods
+// @access  Private
+exports.getFiscalPeriods = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const { fiscalYear, status } = query;
+
+    const filter = { tenantId: req.tenantId };
+    if (fiscalYear) filter.fiscalYear = Number(fiscalYear);
+    if (status) filter.status = status;
+
+    const periods = await FiscalPeriod.find(filter)
+      .populate("closedBy", "name email")
+      .sort({ fiscalYear: -1, period: 1 });
+
+    res.json({
+      success: true,
+      count: periods.length,
+      data: periods,
+    });
+  } catch (error) {
+    console.error("Get fiscal periods error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching fiscal periods",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single fiscal period with its status history
+// @route   GET /api/fiscal-periods/:id
+// @access  Private
+exports.getFiscalPeriodById = async (req, res) => {
+  try {
+    const period = await FiscalPeriod.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("closedBy", "name email")
+      .populate("history.user", "name email");
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: "Fiscal period not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: period,
+    });
+  } catch (error) {
+    console.error("Get fiscal period error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching fiscal period",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the tenant's fiscal calendar
+// @route   GET /api/fiscal-periods/calendar
+// @access  Private
+exports.getFiscalCalendar = async (req, res) => {
+  try {
+    const startMonth = await FiscalPeriodService.getStartMonth(req.tenantId);
+    const current = FiscalPeriodService.getFiscalPosition(
+      new Date(),
+      startMonth
+    );
+
+    res.json({
+      success: true,
+      data: {
+        fiscalYearStartMonth: startMonth,
+        currentFiscalYear: current.fiscalYear,
+        currentPeriod: current.fiscalPeriod,
+      },
+    });
+  } catch (error) {
+    console.error("Get fiscal calendar error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching fiscal calendar",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Set the first month of the tenant's fiscal year
+// @route   PUT /api/fiscal-periods/calendar
+// @access  Private/Admin
+exports.updateFiscalCalendar = async (req, res) => {
+  try {
+    const startMonth = Number(req.body.fiscalYearStartMonth);
+
+    if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+      return res.status(400).json({
+        success: false,
+        message: "fiscalYearStartMonth must be a month number from 1 to 12",
+      });
+    }
+
+    const periodCount = await FiscalPeriod.countDocuments({
+      tenantId: req.tenantId,
+    });
+    if (periodCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "The fiscal calendar cannot be changed after fiscal periods have been opened",
+      });
+    }
+
+    const tenant = await Tenant.findOneAndUpdate(
+      { tenantId: req.tenantId },
+      { fiscalYearStartMonth: startMonth },
+      { new: true, runValidators: true }
+    );
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: "Tenant not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Fiscal calendar updated successfully",
+      data: { fiscalYearStartMonth: tenant.fiscalYearStartMonth },
+    });
+  } catch (error) {
+    console.error("Update fiscal calendar error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating fiscal calendar",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Open a fiscal year (creates its twelve periods)
+// @route   POST /api/fiscal-periods/open-year
+// @access  Private/Admin
+exports.openFiscalYear = async (req, res) => {
+  try {
+    const fiscalYear = Number(req.body.fiscalYear);
+
+    if (!Number.isInteger(fiscalYear) || fiscalYear < 1900) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid fiscalYear",
+      });
+    }
+
+    let periods;
+    try {
+      periods = await FiscalPeriodService.generatePeriods(
+        req.tenantId,
+        fiscalYear,
+        req.user._id
+      );
+    } catch (periodError) {
+      return res.status(400).json({
+        success: false,
+        message: periodError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Fiscal year ${fiscalYear} opened successfully`,
+      count: periods.length,
+      data: periods,
+    });
+  } catch (error) {
+    console.error("Open fiscal year error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error opening fiscal year",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Soft-close a period (only admins can still post)
+// @route   PUT /api/fiscal-periods/:id/soft-close
+// @access  Private/Admin
+exports.softCloseFiscalPeriod = async (req, res) => {
+  try {
+    await changePeriodStatus(
+      req,
+      res,
+      "Soft Closed",
+      "Fiscal period soft-closed successfully"
+    );
+  } catch (error) {
+    console.error("Soft-close fiscal period error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error closing fiscal period",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Hard-close a period (no postings until reopened)
+// @route   PUT /api/fiscal-periods/:id/hard-close
+// @access  Private/Admin
+exports.hardCloseFiscalPeriod = async (req, res) => {
+  try {
+    await changePeriodStatus(
+      req,
+      res,
+      "Hard Closed",
+      "Fiscal period hard-closed successfully"
+    );
+  } catch (error) {
+    console.error("Hard-close fiscal period error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error closing fiscal period",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get year-end closes
+// @route   GET /api/fiscal-periods/year-end
+// @access  Private
+exports.getYearEndCloses = async (req, res) => {
+  try {
+    const closes = await YearEndClose.find({ tenantId: req.tenantId })
+      .populate("closingEntry", "entryNumber date totalDebit")
+      .populate("balanceCloseEntry", "entryNumber date totalDebit")
+      .populate("openingEntry", "entryNumber date totalDebit")
+      .populate("closedBy", "name email")
+      .sort({ fiscalYear: -1 });
+
+    res.json({
+      success: true,
+      count: closes.length,
+      data: closes,
+    });
+  } catch (error) {
+    console.error("Get year-end closes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching year-end closes",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Preview the entries a year-end close would post
+// @route   GET /api/fiscal-periods/year-end/:fiscalYear/preview
+// @access  Private/Admin
+exports.previewYearEndClose = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const fiscalYear = Number(req.params.fiscalYear);
+
+    if (!Number.isInteger(fiscalYear) || fiscalYear < 1900) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid fiscal year",
+      });
+    }
+
+    let preview;
+    try {
+      preview = await YearEndService.previewYearEnd(
+        req.tenantId,
+        fiscalYear,
+        query.retainedEarningsAccountCode
+      );
+    } catch (previewError) {
+      return res.status(400).json({
+        success: false,
+        message: previewError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    console.error("Preview year-end close error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error previewing year-end close",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Close a fiscal year and carry its balances forward
+// @route   POST /api/fiscal-periods/year-end/:fiscalYear/close
+// @access  Private/Admin
+exports.closeFiscalYear = async (req, res) => {
+  try {
+    const fiscalYear = Number(req.params.fiscalYear);
+
+    if (!Number.isInteger(fiscalYear) || fiscalYear < 1900) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid fiscal year",
+      });
+    }
+
+    let yearEndClose;
+    try {
+      yearEndClose = await YearEndService.closeYear(
+        req.tenantId,
+        fiscalYear,
+        req.user._id,
+        req.body.retainedEarningsAccountCode
+      );
+    } catch (closeError) {
+      return res.status(closeError.statusCode || 400).json({
+        success: false,
+        message: closeError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Fiscal year ${fiscalYear} closed successfully`,
+      data: yearEndClose,
+    });
+  } catch (error) {
+    console.error("Close fiscal year error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error closing fiscal year",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reopen a closed period (reason is logged)
+// @route   PUT /api/fiscal-periods/:id/reopen
+// @access  Private/Admin
+exports.reopenFiscalPeriod = async (req, res) => {
+  try {
+    await changePeriodStatus(
+      req,
+      res,
+      "Open",
+      "Fiscal period reopened successfully"
+    );
+  } catch (error) {
+    console.error("Reopen fiscal period error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reopening fiscal period",
+      error: error.message,
+    });
+  }
+};
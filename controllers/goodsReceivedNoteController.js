@@ -0,0 +1,358 @@
+const GoodsReceivedNote = require("../models/GoodsReceivedNote");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const AccountingService = require("../services/accountingService");
+const PurchaseMatchingService = require("../services/purchaseMatchingService");
+const StockService = require("../services/stockService");
+const UnitService = require("../services/unitService");
+const TransactionService = require("../services/transactionService");
+
+// @desc    Get all goods received notes
+// @route   GET /api/goods-received-notes
+// @access  Private
+exports.getGoodsReceivedNotes = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const { purchaseOrder, status } = query;
+
+    const filter = { tenantId: req.tenantId };
+    if (purchaseOrder) filter.purchaseOrder = purchaseOrder;
+    if (status) filter.status = status;
+
+    const goodsReceivedNotes = await GoodsReceivedNote.find(filter)
+      .populate("purchaseOrder", "poNumber status")
+      .populate("supplier", "name code")
+      .populate("receivedBy", "name email")
+      .sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: goodsReceivedNotes.length,
+      data: goodsReceivedNotes,
+    });
+  } catch (error) {
+    console.error("Get goods received notes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching goods received notes",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single goods received note
+// @route   GET /api/goods-received-notes/:id
+// @access  Private
+exports.getGoodsReceivedNoteById = async (req, res) => {
+  try {
+    const goodsReceivedNote = await GoodsReceivedNote.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("purchaseOrder", "poNumber status date")
+      .populate("supplier", "name code")
+      .populate("project", "name code")
+      .populate("warehouse", "code name")
+      .populate("lines.item", "name itemCode measurement")
+      .populate("receivedBy", "name email")
+      .populate("journalEntry", "entryNumber date totalDebit status");
+
+    if (!goodsReceivedNote) {
+      return res.status(404).json({
+        success: false,
+        message: "Goods received note not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: goodsReceivedNote,
+    });
+  } catch (error) {
+    console.error("Get goods received note by ID error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching goods received note",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Record goods received against an approved purchase order
+// @route   POST /api/goods-received-notes
+// @access  Private
+exports.createGoodsReceivedNote = async (req, res) => {
+  try {
+    const {
+      purchaseOrder,
+      date,
+      deliveryChallanNo,
+      warehouse,
+      lines,
+      remarks,
+    } = req.body;
+
+    // Validation
+    if (!purchaseOrder || !Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the purchase order and at least one line",
+      });
+    }
+
+    const order = await PurchaseOrder.findOne({
+      _id: purchaseOrder,
+      tenantId: req.tenantId,
+    });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    if (!["Approved", "Partially Received"].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot receive goods against a purchase order that is ${order.status.toLowerCase()}`,
+      });
+    }
+
+    // Location the goods are received into (the default when not given)
+    let location;
+    try {
+      location = await StockService.resolveWarehouse(req.tenantId, warehouse);
+    } catch (warehouseError) {
+      return res.status(warehouseError.statusCode || 400).json({
+        success: false,
+        message: warehouseError.message,
+      });
+    }
+
+    const tolerance = await PurchaseMatchingService.getTolerance(
+      req.tenantId
+    );
+
+    const grnLines = [];
+    for (const line of lines) {
+      const orderLine = order.lines.id(line.poLine);
+      if (!orderLine) {
+        return res.status(400).json({
+          success: false,
+          message: "Purchase order line not found",
+        });
+      }
+
+      const receivedQty = Number(line.receivedQty) || 0;
+      if (receivedQty <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Received quantity for ${orderLine.itemCode} must be greater than zero`,
+        });
+      }
+
+      // Over-receipt is only allowed within the quantity tolerance
+      const maxReceivable =
+        orderLine.quantity * (1 + tolerance.quantityPercent / 100) -
+        orderLine.receivedQty;
+      if (receivedQty > maxReceivable + 0.0001) {
+        return res.status(400).json({
+          success: false,
+          message: `Received quantity for ${orderLine.itemCode} exceeds the outstanding order quantity`,
+        });
+      }
+
+      const grnLine = {
+        poLine: orderLine._id,
+        item: orderLine.item,
+        itemCode: orderLine.itemCode,
+        itemName: orderLine.itemName,
+        unit: orderLine.unit,
+        conversionFactor: orderLine.conversionFactor,
+        orderedQty: orderLine.quantity,
+        receivedQty,
+        rate: orderLine.rate,
+        remarks: line.remarks || "",
+      };
+      grnLine.baseQuantity = UnitService.baseQuantity(grnLine, "receivedQty");
+      grnLines.push(grnLine);
+    }
+
+    const count = await GoodsReceivedNote.countDocuments({
+      tenantId: req.tenantId,
+    });
+
+    const goodsReceivedNote = new GoodsReceivedNote({
+      tenantId: req.tenantId,
+      grnNumber: `GRN${String(count + 1).padStart(6, "0")}`,
+      date: date || new Date(),
+      purchaseOrder: order._id,
+      poNumber: order.poNumber,
+      supplier: order.supplier,
+      vendorName: order.vendorName,
+      project: order.project,
+      deliveryChallanNo: deliveryChallanNo || "",
+      warehouse: location._id,
+      lines: grnLines,
+      remarks: remarks || "",
+      receivedBy: req.user._id,
+    });
+
+    // Update order received quantities and status
+    for (const grnLine of grnLines) {
+      order.lines.id(grnLine.poLine).receivedQty += grnLine.receivedQty;
+    }
+    order.refreshReceiptStatus();
+
+    // Note, journal entry, order and stock commit together
+    await TransactionService.run(async (session) => {
+      // Inventory is owed to the supplier as goods received not invoiced
+      // until the bill clears it
+      const journalEntry =
+        await AccountingService.createGoodsReceiptJournalEntry(
+          goodsReceivedNote,
+          req.user._id,
+          session
+        );
+      if (journalEntry) goodsReceivedNote.journalEntry = journalEntry._id;
+
+      await goodsReceivedNote.save({ session });
+      await order.save({ session });
+
+      // Stock increases when goods are received, valued at the order rate
+      // (converted to the item's base unit)
+      for (const grnLine of grnLines) {
+        await StockService.adjust(
+          req.tenantId,
+          grnLine.item,
+          location._id,
+          UnitService.baseQuantity(grnLine, "receivedQty"),
+          session,
+          {
+            movementType: "Goods Receipt",
+            unitCost: grnLine.rate / (grnLine.conversionFactor || 1),
+            source: {
+              model: "GoodsReceivedNote",
+              id: goodsReceivedNote._id,
+              reference: goodsReceivedNote.grnNumber,
+            },
+            date: goodsReceivedNote.date,
+          }
+        );
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Goods received note created successfully",
+      data: goodsReceivedNote,
+    });
+  } catch (error) {
+    console.error("Create goods received note error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Error creating goods received note",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel an unbilled goods received note (reverses stock and its
+//          journal entry)
+// @route   PUT /api/goods-received-notes/:id/cancel
+// @access  Private
+exports.cancelGoodsReceivedNote = async (req, res) => {
+  try {
+    const goodsReceivedNote = await GoodsReceivedNote.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!goodsReceivedNote) {
+      return res.status(404).json({
+        success: false,
+        message: "Goods received note not found",
+      });
+    }
+
+    if (goodsReceivedNote.status !== "Received") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a goods received note that is ${goodsReceivedNote.status.toLowerCase()}`,
+      });
+    }
+
+    const order = await PurchaseOrder.findOne({
+      _id: goodsReceivedNote.purchaseOrder,
+      tenantId: req.tenantId,
+    });
+    if (order) {
+      for (const grnLine of goodsReceivedNote.lines) {
+        const orderLine = order.lines.id(grnLine.poLine);
+        if (orderLine) {
+          orderLine.receivedQty = Math.max(
+            0,
+            orderLine.receivedQty - grnLine.receivedQty
+          );
+        }
+      }
+      order.refreshReceiptStatus();
+    }
+
+    goodsReceivedNote.status = "Cancelled";
+
+    // Order, stock and journal entry reversals and the note commit together
+    await TransactionService.run(async (session) => {
+      if (order) await order.save({ session });
+
+      if (goodsReceivedNote.journalEntry) {
+        await AccountingService.reverseJournalEntry(
+          goodsReceivedNote.journalEntry,
+          req.user._id,
+          `Goods received note ${goodsReceivedNote.grnNumber} cancelled`,
+          session
+        );
+      }
+
+      // Reverse the stock received
+      const warehouseId = await StockService.warehouseIdFor(
+        req.tenantId,
+        goodsReceivedNote.warehouse,
+        session
+      );
+      for (const grnLine of goodsReceivedNote.lines) {
+        await StockService.adjust(
+          req.tenantId,
+          grnLine.item,
+          warehouseId,
+          -UnitService.baseQuantity(grnLine, "receivedQty"),
+          session,
+          {
+            allowNegative: true,
+            movementType: "Goods Receipt",
+            source: {
+              model: "GoodsReceivedNote",
+              id: goodsReceivedNote._id,
+              reference: goodsReceivedNote.grnNumber,
+            },
+            date: goodsReceivedNote.date,
+          }
+        );
+      }
+
+      await goodsReceivedNote.save({ session });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Goods received note cancelled successfully",
+      data: goodsReceivedNote,
+    });
+  } catch (error) {
+    console.error("Cancel goods received note error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Error cancelling goods received note",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,266 @@
+const Item = require("../models/Item");
+const ItemCategory = require("../models/ItemCategory");
+const ItemCategoryService = require("../services/itemCategoryService");
+
+// @desc    Get item categories, as a list or as a tree (?tree=true)
+// @route   GET /api/item-categories
+// @access  Private
+const getAllItemCategories = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const includeInactive = query.includeInactive === "true";
+
+    if (query.tree === "true") {
+      const tree = await ItemCategoryService.getTree(
+        req.tenantId,
+        includeInactive
+      );
+      return res.status(200).json({
+        success: true,
+        count: tree.length,
+        data: tree,
+      });
+    }
+
+    const filter = { tenantId: req.tenantId };
+    if (!includeInactive) filter.isActive = true;
+    if (query.parent) {
+      filter.parent = query.parent === "none" ? null : query.parent;
+    }
+
+    const categories = await ItemCategory.find(filter)
+      .populate("parent", "code name")
+      .sort({ level: 1, code: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: categories,
+    });
+  } catch (error) {
+    console.error("Get item categories error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching item categories",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single item category with its path, sub-categories,
+//          item count and the defaults its items inherit
+// @route   GET /api/item-categories/:id
+// @access  Private
+const getItemCategoryById = async (req, res) => {
+  try {
+    let category;
+    try {
+      category = await ItemCategoryService.getCategory(
+        req.tenantId,
+        req.params.id
+      );
+    } catch (categoryError) {
+      return res.status(categoryError.statusCode || 400).json({
+        success: false,
+        message: categoryError.message,
+      });
+    }
+
+    const lineage = await ItemCategoryService.getLineage(category);
+    const children = await ItemCategory.find({
+      tenantId: req.tenantId,
+      parent: category._id,
+    }).sort({ code: 1 });
+    const itemCount = await Item.countDocuments({
+      tenantId: req.tenantId,
+      category: { $in: await ItemCategoryService.getBranchIds(category) },
+      isActive: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...category.toObject(),
+        path: lineage.map((entry) => ({
+          _id: entry._id,
+          code: entry.code,
+          name: entry.name,
+        })),
+        children,
+        itemCount,
+        effectiveDefaults: ItemCategoryService.resolveDefaults(lineage),
+      },
+    });
+  } catch (error) {
+    console.error("Get item category by ID error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching item category",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new item category
+// @route   POST /api/item-categories
+// @access  Private/Admin
+const createItemCategory = async (req, res) => {
+  try {
+    const { code, name } = req.body;
+
+    // Validation
+    if (!code || !name) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide code and name",
+      });
+    }
+
+    let category;
+    try {
+      category = await ItemCategoryService.createCategory(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (categoryError) {
+      if (categoryError.code === 11000) throw categoryError;
+      return res.status(categoryError.statusCode || 400).json({
+        success: false,
+        message: categoryError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Item category created successfully",
+      data: category,
+    });
+  } catch (error) {
+    console.error("Create item category error:", error);
+
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Item category code already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error creating item category",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update item category, or move it (with its branch) under
+//          another parent
+// @route   PUT /api/item-categories/:id
+// @access  Private/Admin
+const updateItemCategory = async (req, res) => {
+  try {
+    let category;
+    try {
+      category = await ItemCategoryService.updateCategory(
+        req.tenantId,
+        req.params.id,
+        req.body
+      );
+    } catch (categoryError) {
+      if (categoryError.code === 11000) throw categoryError;
+      return res.status(categoryError.statusCode || 400).json({
+        success: false,
+        message: categoryError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Item category updated successfully",
+      data: category,
+    });
+  } catch (error) {
+    console.error("Update item category error:", error);
+
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Item category code already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error updating item category",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Deactivate item category (kept for the items that used it)
+// @route   DELETE /api/item-categories/:id
+// @access  Private/Admin
+const deleteItemCategory = async (req, res) => {
+  try {
+    try {
+      await ItemCategoryService.deactivateCategory(
+        req.tenantId,
+        req.params.id
+      );
+    } catch (categoryError) {
+      return res.status(categoryError.statusCode || 400).json({
+        success: false,
+        message: categoryError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Item category deactivated successfully",
+    });
+  } catch (error) {
+    console.error("Delete item category error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting item category",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Build item categories from the category codes of existing items
+// @route   POST /api/item-categories/import
+// @access  Private/Admin
+const importItemCategories = async (req, res) => {
+  try {
+    const result = await ItemCategoryService.importFromItems(
+      req.tenantId,
+      req.user._id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.created} categories created, ${result.linked} items linked`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Import item categories error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error importing item categories",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllItemCategories,
+  getItemCategoryById,
+  createItemCategory,
+  updateItemCategory,
+  deleteItemCategory,
+  importItemCategories,
+};
@@ -1,4 +1,12 @@
 const Item = require("../models/Item");
+const ItemCategory = require("../models/ItemCategory");
+const Supplier = require("../models/Supplier");
+const StockBalance = require("../models/StockBalance");
+const StockMovement = require("../models/StockMovement");
+const StockService = require("../services/stockService");
+const InventoryCostingService = require("../services/inventoryCostingService");
+const UnitService = require("../services/unitService");
+const ItemCategoryService = require("../services/itemCategoryService");
 
 // @desc    Get all items
 // @route   GET /api/items
@@ -55,12 +63,119 @@ exports.getItemById = async (req, res) => {
   }
 };
 
+// @desc    Get an item's stock ledger (every movement with its cost)
+// @route   GET /api/items/:id/ledger
+// @access  Private
+exports.getItemStockLedger = async (req, res) => {
+  try {
+    const item = await Item.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found",
+      });
+    }
+
+    const query = req.sanitizedQuery || req.query;
+
+    // Quantities can be shown in any of the item's units
+    let display;
+    try {
+      display = UnitService.getUnit(item, query.unit);
+    } catch (unitError) {
+      return res.status(400).json({
+        success: false,
+        message: unitError.message,
+      });
+    }
+
+    const movements = await InventoryCostingService.getItemLedger(
+      req.tenantId,
+      item._id,
+      {
+        warehouse: query.warehouse,
+        startDate: query.startDate,
+        endDate: query.endDate,
+      }
+    );
+
+    const inUnit = (quantity) => UnitService.fromBase(quantity, display.factor);
+
+    res.status(200).json({
+      success: true,
+      count: movements.length,
+      data: {
+        item: {
+          _id: item._id,
+          itemCode: item.itemCode,
+          name: item.name,
+          unit: display.unit,
+          baseUnit: item.measurement,
+          conversionFactor: display.factor,
+          currentStock: inUnit(item.currentStock),
+          averageCost:
+            Math.round(item.averageCost * display.factor * 100) / 100,
+          stockValue: item.stockValue,
+        },
+        costingMethod: await InventoryCostingService.getMethod(req.tenantId),
+        movements: display.isBase
+          ? movements
+          : movements.map((movement) => ({
+              ...movement.toObject(),
+              quantity: inUnit(movement.quantity),
+              unitCost:
+                Math.round(movement.unitCost * display.factor * 100) / 100,
+              balanceQuantity: inUnit(movement.balanceQuantity),
+            })),
+      },
+    });
+  } catch (error) {
+    console.error("Get item stock ledger error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching stock ledger",
+      error: error.message,
+    });
+  }
+};
+
+// Copy the reorder settings given in the body onto an item; null clears
+// a setting, so the reorder point goes back to being worked out
+// Returns { status, message } on failure
+const applyReorderSettings = async (tenantId, item, body) => {
+  ["reorderPoint", "reorderQuantity", "leadTimeDays"].forEach((field) => {
+    if (typeof body[field] === "number") item[field] = body[field];
+    else if (body[field] === null) item[field] = undefined;
+  });
+
+  if (body.preferredSupplier !== undefined) {
+    if (!body.preferredSupplier) {
+      item.preferredSupplier = undefined;
+      return null;
+    }
+    const supplier = await Supplier.findOne({
+      _id: body.preferredSupplier,
+      tenantId,
+    });
+    if (!supplier) {
+      return { status: 404, message: "Preferred supplier not found" };
+    }
+    item.preferredSupplier = supplier._id;
+  }
+  return null;
+};
+
 // @desc    Create new item
 // @route   POST /api/items
 // @access  Private
 exports.createItem = async (req, res) => {
   try {
     const {
+      category,
       categoryCode,
       categoryName,
       subCategoryCode,
@@ -70,6 +185,7 @@ exports.createItem = async (req, res) => {
       description,
       brand,
       measurement,
+      unitConversions,
       purchasePrice,
       saleTaxRate,
       quantity,
@@ -87,6 +203,21 @@ exports.createItem = async (req, res) => {
       });
     }
 
+    let conversions = [];
+    if (unitConversions !== undefined) {
+      try {
+        conversions = UnitService.buildConversions(
+          measurement,
+          unitConversions
+        );
+      } catch (unitError) {
+        return res.status(400).json({
+          success: false,
+          message: unitError.message,
+        });
+      }
+    }
+
     // Check if item code already exists
     const existingItem = await Item.findOne({
       tenantId: req.tenantId,
@@ -102,7 +233,7 @@ exports.createItem = async (req, res) => {
     // Create item data
     const itemData = {
       tenantId: req.tenantId,
-      categoryCode: categoryCode.toUpperCase(),
+      categoryCode: categoryCode ? categoryCode.toUpperCase() : "",
       categoryName,
       subCategoryCode: subCategoryCode ? subCategoryCode.toUpperCase() : "",
       subCategoryName: subCategoryName || "",
@@ -111,6 +242,7 @@ exports.createItem = async (req, res) => {
       description: description || "",
       brand: brand || "",
       measurement,
+      unitConversions: conversions,
       purchasePrice: purchasePrice || 0,
       saleTaxRate: saleTaxRate || 0,
       quantity: quantity || 0,
@@ -118,6 +250,44 @@ exports.createItem = async (req, res) => {
       minStockLevel: minStockLevel || 0,
     };
 
+    // Items go in the category tree, matched by code when no category is
+    // given; free-text codes stay for categories not in the tree
+    let treeCategory = category;
+    if (!treeCategory) {
+      const match = await ItemCategoryService.findByCodes(
+        req.tenantId,
+        categoryCode,
+        subCategoryCode
+      );
+      if (match) treeCategory = match._id;
+    }
+    if (treeCategory) {
+      try {
+        await ItemCategoryService.assignItem(
+          req.tenantId,
+          itemData,
+          treeCategory
+        );
+      } catch (categoryError) {
+        return res.status(categoryError.statusCode || 400).json({
+          success: false,
+          message: categoryError.message,
+        });
+      }
+    }
+
+    const reorderError = await applyReorderSettings(
+      req.tenantId,
+      itemData,
+      req.body
+    );
+    if (reorderError) {
+      return res.status(reorderError.status).json({
+        success: false,
+        message: reorderError.message,
+      });
+    }
+
     // Only set currentStock if explicitly provided, otherwise let pre-save hook handle it
     if (typeof currentStock === "number") {
       itemData.currentStock = currentStock;
@@ -147,6 +317,7 @@ exports.createItem = async (req, res) => {
 exports.updateItem = async (req, res) => {
   try {
     const {
+      category,
       categoryCode,
       categoryName,
       subCategoryCode,
@@ -156,6 +327,7 @@ exports.updateItem = async (req, res) => {
       description,
       brand,
       measurement,
+      unitConversions,
       purchasePrice,
       saleTaxRate,
       quantity,
@@ -178,14 +350,44 @@ exports.updateItem = async (req, res) => {
     }
 
     // Update fields
-    if (categoryCode) item.categoryCode = categoryCode.toUpperCase();
-    if (categoryName) item.categoryName = categoryName;
-    if (subCategoryCode !== undefined)
-      item.subCategoryCode = subCategoryCode
-        ? subCategoryCode.toUpperCase()
-        : "";
-    if (subCategoryName !== undefined)
-      item.subCategoryName = subCategoryName || "";
+    let treeCategory = category;
+    if (category === undefined && (categoryCode || subCategoryCode)) {
+      const match = await ItemCategoryService.findByCodes(
+        req.tenantId,
+        categoryCode,
+        subCategoryCode
+      );
+      if (match) treeCategory = match._id;
+      else if (item.category) {
+        // Codes of items in the tree follow their category
+        return res.status(400).json({
+          success: false,
+          message: `Item category ${subCategoryCode || categoryCode} not found`,
+        });
+      }
+    }
+
+    if (treeCategory) {
+      try {
+        await ItemCategoryService.assignItem(req.tenantId, item, treeCategory);
+      } catch (categoryError) {
+        return res.status(categoryError.statusCode || 400).json({
+          success: false,
+          message: categoryError.message,
+        });
+      }
+    } else {
+      // category null takes the item out of the tree
+      if (category === null || category === "") item.category = undefined;
+      if (categoryCode) item.categoryCode = categoryCode.toUpperCase();
+      if (categoryName) item.categoryName = categoryName;
+      if (subCategoryCode !== undefined)
+        item.subCategoryCode = subCategoryCode
+          ? subCategoryCode.toUpperCase()
+          : "";
+      if (subCategoryName !== undefined)
+        item.subCategoryName = subCategoryName || "";
+    }
 
     if (itemCode) {
       // Check if item code is already taken by another item
@@ -205,13 +407,74 @@ exports.updateItem = async (req, res) => {
     if (name) item.name = name;
     if (description !== undefined) item.description = description;
     if (brand !== undefined) item.brand = brand;
-    if (measurement) item.measurement = measurement;
+    if (measurement && measurement !== item.measurement) {
+      // Stock is kept in the base unit, so it is fixed once stock has moved
+      const moved = await StockMovement.exists({
+        tenantId: req.tenantId,
+        item: item._id,
+      });
+      if (moved) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Measurement unit cannot be changed after stock has moved; add a unit conversion instead",
+        });
+      }
+      item.measurement = measurement;
+    }
+    if (unitConversions !== undefined) {
+      try {
+        item.unitConversions = UnitService.buildConversions(
+          item.measurement,
+          unitConversions
+        );
+      } catch (unitError) {
+        return res.status(400).json({
+          success: false,
+          message: unitError.message,
+        });
+      }
+    }
+
+    const reorderError = await applyReorderSettings(
+      req.tenantId,
+      item,
+      req.body
+    );
+    if (reorderError) {
+      return res.status(reorderError.status).json({
+        success: false,
+        message: reorderError.message,
+      });
+    }
 
     if (typeof purchasePrice === "number") item.purchasePrice = purchasePrice;
     if (typeof saleTaxRate === "number") item.saleTaxRate = saleTaxRate;
     if (typeof quantity === "number") item.quantity = quantity;
     if (typeof sellingPrice === "number") item.sellingPrice = sellingPrice;
-    if (typeof currentStock === "number") item.currentStock = currentStock;
+    if (
+      typeof currentStock === "number" &&
+      currentStock !== item.currentStock
+    ) {
+      // Stock is kept per location; the correction lands at the default one
+      try {
+        const warehouse = await StockService.getDefaultWarehouse(req.tenantId);
+        await StockService.adjust(
+          req.tenantId,
+          item._id,
+          warehouse._id,
+          currentStock - item.currentStock,
+          null,
+          { movementType: "Adjustment" }
+        );
+      } catch (stockError) {
+        return res.status(stockError.statusCode || 400).json({
+          success: false,
+          message: stockError.message,
+        });
+      }
+      item.currentStock = currentStock;
+    }
     if (typeof minStockLevel === "number") item.minStockLevel = minStockLevel;
     if (typeof isActive === "boolean") item.isActive = isActive;
 
@@ -255,7 +518,7 @@ exports.deleteItem = async (req, res) => {
 
     const purchaseCount = await Purchase.countDocuments({
       tenantId: req.tenantId,
-      item: req.params.id,
+      "lines.item": req.params.id,
     });
     const salesCount = await SalesInvoice.countDocuments({
       tenantId: req.tenantId,
@@ -320,15 +583,37 @@ exports.getItemByCode = async (req, res) => {
   }
 };
 
-// @desc    Get items by category
+// Items filed under a category code: every item in the category's branch
+// of the tree, and items still carrying the code as free text
+const categoryCodeFilter = async (tenantId, field, code) => {
+  const filter = { tenantId, [field]: code.toUpperCase() };
+  const category = await ItemCategory.findOne({
+    tenantId,
+    code: code.toUpperCase(),
+  });
+  if (!category) return filter;
+
+  return {
+    tenantId,
+    $or: [
+      { category: { $in: await ItemCategoryService.getBranchIds(category) } },
+      { ...filter, category: null },
+    ],
+  };
+};
+
+// @desc    Get items by category, including its sub-categories
 // @route   GET /api/items/category/:categoryCode
 // @access  Private
 exports.getItemsByCategory = async (req, res) => {
   try {
-    const items = await Item.find({
-      tenantId: req.tenantId,
-      categoryCode: req.params.categoryCode.toUpperCase(),
-    }).sort({ name: 1 });
+    const items = await Item.find(
+      await categoryCodeFilter(
+        req.tenantId,
+        "categoryCode",
+        req.params.categoryCode
+      )
+    ).sort({ name: 1 });
 
     res.status(200).json({
       success: true,
@@ -350,10 +635,13 @@ exports.getItemsByCategory = async (req, res) => {
 // @access  Private
 exports.getItemsBySubCategory = async (req, res) => {
   try {
-    const items = await Item.find({
-      tenantId: req.tenantId,
-      subCategoryCode: req.params.subCategoryCode.toUpperCase(),
-    }).sort({ name: 1 });
+    const items = await Item.find(
+      await categoryCodeFilter(
+        req.tenantId,
+        "subCategoryCode",
+        req.params.subCategoryCode
+      )
+    ).sort({ name: 1 });
 
     res.status(200).json({
       success: true,
@@ -375,10 +663,15 @@ exports.getItemsBySubCategory = async (req, res) => {
 // @access  Private (Admin only)
 exports.syncItemStock = async (req, res) => {
   try {
-    // Find all items where currentStock is 0 but quantity > 0
+    // Find all items where currentStock is 0 but quantity > 0, leaving
+    // items whose stock is already tracked by location
+    const tracked = await StockBalance.distinct("item", {
+      tenantId: req.tenantId,
+    });
     const result = await Item.updateMany(
       {
         tenantId: req.tenantId,
+        _id: { $nin: tracked },
         currentStock: 0,
         quantity: { $gt: 0 },
       },
@@ -1,5 +1,7 @@
 const JournalEntry = require("../models/JournalEntry");
 const AccountingService = require("../services/accountingService");
+const TransactionService = require("../services/transactionService");
+const ProjectBudgetService = require("../services/projectBudgetService");
 
 // @desc    Get all journal entries
 // @route   GET /api/journal-entries
@@ -84,6 +86,10 @@ const getJournalEntryById = async (req, res) => {
 const createJournalEntry = async (req, res) => {
   try {
     const entryData = req.body;
+    await ProjectBudgetService.resolveCostCodes(
+      req.tenantId,
+      entryData.lines || []
+    );
 
     // Create journal entry using accounting service
     const entry = await AccountingService.createJournalEntry(
@@ -135,7 +141,10 @@ const updateJournalEntry = async (req, res) => {
 
     if (date) entry.date = date;
     if (description) entry.description = description;
-    if (lines) entry.lines = lines;
+    if (lines) {
+      await ProjectBudgetService.resolveCostCodes(req.tenantId, lines);
+      entry.lines = lines;
+    }
     if (notes) entry.notes = notes;
     if (project) entry.project = project;
 
@@ -292,10 +301,11 @@ const postJournalEntry = async (req, res) => {
     entry.approvedBy = req.user._id;
     entry.approvedAt = new Date();
 
-    await entry.save();
-
-    // Post to general ledger
-    await AccountingService.postToGeneralLedger(entry);
+    // The entry and its general ledger rows commit together
+    await TransactionService.run(async (session) => {
+      await entry.save({ session });
+      await AccountingService.postToGeneralLedger(entry, session);
+    });
 
     res.status(200).json({
       success: true,
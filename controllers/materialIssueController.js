@@ -0,0 +1,190 @@
+const MaterialIssue = require("../models/MaterialIssue");
+const MaterialIssueService = require("../services/materialIssueService");
+
+// @desc    Get material issue and return notes
+// @route   GET /api/material-issues
+// @access  Private
+const getAllMaterialNotes = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const filter = { tenantId: req.tenantId };
+    if (query.type) filter.type = query.type;
+    if (query.project) filter.project = query.project;
+    if (query.warehouse) filter.warehouse = query.warehouse;
+    if (query.status) filter.status = query.status;
+    if (query.item) filter["lines.item"] = query.item;
+    if (query.startDate || query.endDate) {
+      filter.date = {};
+      if (query.startDate) filter.date.$gte = new Date(query.startDate);
+      if (query.endDate) filter.date.$lte = new Date(query.endDate);
+    }
+
+    const notes = await MaterialIssue.find(filter)
+      .populate("project", "name code")
+      .populate("warehouse", "code name")
+      .populate("createdBy", "name email")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      data: notes,
+    });
+  } catch (error) {
+    console.error("Get material notes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching material notes",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single material issue or return note
+// @route   GET /api/material-issues/:id
+// @access  Private
+const getMaterialNoteById = async (req, res) => {
+  try {
+    const note = await MaterialIssue.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("project", "name code")
+      .populate("warehouse", "code name")
+      .populate("journalEntry", "entryNumber date totalDebit status")
+      .populate("createdBy", "name email")
+      .populate("cancelledBy", "name email");
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: "Material note not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: note,
+    });
+  } catch (error) {
+    console.error("Get material note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching material note",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Issue material from store to a project site
+// @route   POST /api/material-issues
+// @access  Private
+const createMaterialIssue = async (req, res) => {
+  try {
+    let note;
+    try {
+      note = await MaterialIssueService.createNote(
+        req.tenantId,
+        "Issue",
+        req.body,
+        req.user._id
+      );
+    } catch (noteError) {
+      return res.status(noteError.statusCode || 400).json({
+        success: false,
+        message: noteError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Material issued successfully",
+      data: note,
+    });
+  } catch (error) {
+    console.error("Create material issue error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error issuing material",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Return material from a project site to store
+// @route   POST /api/material-issues/returns
+// @access  Private
+const createMaterialReturn = async (req, res) => {
+  try {
+    let note;
+    try {
+      note = await MaterialIssueService.createNote(
+        req.tenantId,
+        "Return",
+        req.body,
+        req.user._id
+      );
+    } catch (noteError) {
+      return res.status(noteError.statusCode || 400).json({
+        success: false,
+        message: noteError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Material returned successfully",
+      data: note,
+    });
+  } catch (error) {
+    console.error("Create material return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error returning material",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a material issue or return note
+// @route   PUT /api/material-issues/:id/cancel
+// @access  Private/Admin
+const cancelMaterialNote = async (req, res) => {
+  try {
+    let note;
+    try {
+      note = await MaterialIssueService.cancelNote(
+        req.tenantId,
+        req.params.id,
+        req.body.reason,
+        req.user._id
+      );
+    } catch (noteError) {
+      return res.status(noteError.statusCode || 400).json({
+        success: false,
+        message: noteError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Material note cancelled",
+      data: note,
+    });
+  } catch (error) {
+    console.error("Cancel material note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling material note",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllMaterialNotes,
+  getMaterialNoteById,
+  createMaterialIssue,
+  createMaterialReturn,
+  cancelMaterialNote,
+};
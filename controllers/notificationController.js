@@ -183,7 +183,11 @@ exports.createNotification = async (notificationData) => {
 // Create notification for all admins
 exports.notifyAdmins = async (notificationData) => {
   try {
-    const admins = await User.find({ role: "admin", isActive: true });
+    const adminFilter = { role: "admin", isActive: true };
+    if (notificationData.tenantId) {
+      adminFilter.tenantId = notificationData.tenantId;
+    }
+    const admins = await User.find(adminFilter);
 
     const notifications = admins.map((admin) => ({
       ...notificationData,
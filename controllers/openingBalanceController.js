@@ -0,0 +1,100 @@
+const OpeningBalance = require("../models/OpeningBalance");
+const OpeningBalanceService = require("../services/openingBalanceService");
+
+// @desc    Get the tenant's imported opening balances
+// @route   GET /api/opening-balances
+// @access  Private
+exports.getOpeningBalances = async (req, res) => {
+  try {
+    const openingBalance = await OpeningBalance.findOne({
+      tenantId: req.tenantId,
+    })
+      .populate("journalEntry", "entryNumber date totalDebit totalCredit")
+      .populate("importedBy", "name email");
+
+    if (!openingBalance) {
+      return res.status(404).json({
+        success: false,
+        message: "Opening balances have not been imported",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: openingBalance,
+    });
+  } catch (error) {
+    console.error("Get opening balances error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching opening balances",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Validate opening balances and preview the journal entry
+// @route   POST /api/opening-balances/preview
+// @access  Private/Admin
+exports.previewOpeningBalances = async (req, res) => {
+  try {
+    let preview;
+    try {
+      preview = await OpeningBalanceService.previewOpeningBalances(
+        req.tenantId,
+        req.body
+      );
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    console.error("Preview opening balances error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error previewing opening balances",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Import opening balances
+// @route   POST /api/opening-balances
+// @access  Private/Admin
+exports.importOpeningBalances = async (req, res) => {
+  try {
+    let openingBalance;
+    try {
+      openingBalance = await OpeningBalanceService.importOpeningBalances(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (importError) {
+      return res.status(importError.statusCode || 400).json({
+        success: false,
+        message: importError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Opening balances imported successfully",
+      data: openingBalance,
+    });
+  } catch (error) {
+    console.error("Import opening balances error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error importing opening balances",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,240 @@
+const PaymentCertificate = require("../models/PaymentCertificate");
+const PaymentCertificateService = require("../services/paymentCertificateService");
+
+// @desc    Billed to date, retention held and remaining contract value
+// @route   GET /api/projects/:id/billing-summary
+// @access  Private
+const getBillingSummary = async (req, res) => {
+  try {
+    const summary = await PaymentCertificateService.getBillingSummary(
+      req.tenantId,
+      req.params.id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    console.error("Get billing summary error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode
+        ? error.message
+        : "Error fetching billing summary",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get payment certificates
+// @route   GET /api/payment-certificates
+// @access  Private
+const getAllCertificates = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const filter = { tenantId: req.tenantId };
+    if (query.project) filter.project = query.project;
+    if (query.customer) filter.customer = query.customer;
+    if (query.status) filter.status = query.status;
+
+    const certificates = await PaymentCertificate.find(filter)
+      .select("-lines")
+      .populate("project", "name code")
+      .populate("salesInvoice", "serialNo netTotal balance status")
+      .sort({ date: -1, sequence: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: certificates.length,
+      data: certificates,
+    });
+  } catch (error) {
+    console.error("Get payment certificates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching payment certificates",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single payment certificate
+// @route   GET /api/payment-certificates/:id
+// @access  Private
+const getCertificateById = async (req, res) => {
+  try {
+    const certificate = await PaymentCertificate.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("project", "name code orderNo")
+      .populate("customer", "name code address phone")
+      .populate("salesInvoice", "serialNo netTotal balance status")
+      .populate("createdBy", "name email")
+      .populate("approvedBy", "name email");
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment certificate not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: certificate,
+    });
+  } catch (error) {
+    console.error("Get payment certificate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching payment certificate",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Draft the next payment certificate of a project
+// @route   POST /api/payment-certificates
+// @access  Private
+const createCertificate = async (req, res) => {
+  try {
+    let certificate;
+    try {
+      certificate = await PaymentCertificateService.createCertificate(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (certificateError) {
+      return res.status(certificateError.statusCode || 400).json({
+        success: false,
+        message: certificateError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Payment certificate created successfully",
+      data: certificate,
+    });
+  } catch (error) {
+    console.error("Create payment certificate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating payment certificate",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update a draft payment certificate
+// @route   PUT /api/payment-certificates/:id
+// @access  Private
+const updateCertificate = async (req, res) => {
+  try {
+    let certificate;
+    try {
+      certificate = await PaymentCertificateService.updateCertificate(
+        req.tenantId,
+        req.params.id,
+        req.body
+      );
+    } catch (certificateError) {
+      return res.status(certificateError.statusCode || 400).json({
+        success: false,
+        message: certificateError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Payment certificate updated successfully",
+      data: certificate,
+    });
+  } catch (error) {
+    console.error("Update payment certificate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating payment certificate",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a draft payment certificate
+// @route   DELETE /api/payment-certificates/:id
+// @access  Private
+const deleteCertificate = async (req, res) => {
+  try {
+    try {
+      await PaymentCertificateService.deleteCertificate(
+        req.tenantId,
+        req.params.id
+      );
+    } catch (certificateError) {
+      return res.status(certificateError.statusCode || 400).json({
+        success: false,
+        message: certificateError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Payment certificate deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Delete payment certificate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting payment certificate",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve a payment certificate and raise its sales invoice
+// @route   PUT /api/payment-certificates/:id/approve
+// @access  Private/Admin
+const approveCertificate = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await PaymentCertificateService.approveCertificate(
+        req.tenantId,
+        req.params.id,
+        req.user._id
+      );
+    } catch (certificateError) {
+      return res.status(certificateError.statusCode || 400).json({
+        success: false,
+        message: certificateError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Payment certificate approved and invoice ${result.salesInvoice.serialNo} raised`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Approve payment certificate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error approving payment certificate",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getBillingSummary,
+  getAllCertificates,
+  getCertificateById,
+  createCertificate,
+  updateCertificate,
+  deleteCertificate,
+  approveCertificate,
+};
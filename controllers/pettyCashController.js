@@ -0,0 +1,565 @@
+const PettyCashFund = require("../models/PettyCashFund");
+const PettyCashExpense = require("../models/PettyCashExpense");
+const PettyCashReplenishment = require("../models/PettyCashReplenishment");
+const PettyCashService = require("../services/pettyCashService");
+
+// Load a fund of the tenant or send 404
+const findFund = async (req, res, id = req.params.id) => {
+  const fund = await PettyCashFund.findOne({
+    _id: id,
+    tenantId: req.tenantId,
+  });
+
+  if (!fund) {
+    res.status(404).json({
+      success: false,
+      message: "Petty cash fund not found",
+    });
+  }
+
+  return fund;
+};
+
+// Only the custodian of a fund (or an admin) spends from it
+const canUseFund = (req, fund) =>
+  req.user.role === "admin" || String(fund.custodian) === String(req.user._id);
+
+// @desc    Get petty cash funds with their float status
+// @route   GET /api/petty-cash/funds
+// @access  Private
+exports.getFunds = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const filter = { tenantId: req.tenantId };
+    if (query.custodian) filter.custodian = query.custodian;
+    if (query.project) filter.project = query.project;
+    if (query.isActive !== undefined) {
+      filter.isActive = query.isActive === "true";
+    }
+
+    const funds = await PettyCashFund.find(filter)
+      .populate("custodian", "name email")
+      .populate("project", "name")
+      .sort({ name: 1 });
+
+    const data = [];
+    for (const fund of funds) {
+      data.push({
+        ...fund.toObject(),
+        status: await PettyCashService.getFundStatus(fund),
+      });
+    }
+
+    res.json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    console.error("Get petty cash funds error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching petty cash funds",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single petty cash fund with its float status
+// @route   GET /api/petty-cash/funds/:id
+// @access  Private
+exports.getFundById = async (req, res) => {
+  try {
+    const fund = await PettyCashFund.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("custodian", "name email")
+      .populate("project", "name");
+
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        message: "Petty cash fund not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...fund.toObject(),
+        status: await PettyCashService.getFundStatus(fund),
+      },
+    });
+  } catch (error) {
+    console.error("Get petty cash fund error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching petty cash fund",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create petty cash fund
+// @route   POST /api/petty-cash/funds
+// @access  Private/Admin
+exports.createFund = async (req, res) => {
+  try {
+    let fund;
+    try {
+      fund = await PettyCashService.createFund(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (fundError) {
+      if (fundError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "A petty cash fund with this name already exists",
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: fundError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Petty cash fund created successfully",
+      data: fund,
+    });
+  } catch (error) {
+    console.error("Create petty cash fund error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating petty cash fund",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update petty cash fund (name, custodian, project, imprest amount)
+// @route   PUT /api/petty-cash/funds/:id
+// @access  Private/Admin
+exports.updateFund = async (req, res) => {
+  try {
+    const fund = await findFund(req, res);
+    if (!fund) return;
+
+    const { name, custodian, project, imprestAmount, isActive } = req.body;
+
+    try {
+      await PettyCashService.validateFundLinks(req.tenantId, {
+        custodian,
+        project,
+      });
+    } catch (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError.message,
+      });
+    }
+
+    if (imprestAmount !== undefined) {
+      if (!(Number(imprestAmount) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: "Imprest amount must be greater than zero",
+        });
+      }
+      // The next replenishment tops the fund up to the new amount
+      fund.imprestAmount = Number(imprestAmount);
+    }
+    if (name) fund.name = name;
+    if (custodian) fund.custodian = custodian;
+    if (project !== undefined) fund.project = project || undefined;
+    if (isActive !== undefined) fund.isActive = isActive;
+
+    await fund.save();
+
+    res.json({
+      success: true,
+      message: "Petty cash fund updated successfully",
+      data: fund,
+    });
+  } catch (error) {
+    console.error("Update petty cash fund error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating petty cash fund",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get expenses of a fund
+// @route   GET /api/petty-cash/funds/:id/expenses
+// @access  Private
+exports.getExpenses = async (req, res) => {
+  try {
+    const fund = await findFund(req, res);
+    if (!fund) return;
+
+    const query = req.sanitizedQuery || req.query;
+    const filter = { tenantId: req.tenantId, fund: fund._id };
+    if (query.status) filter.status = query.status;
+
+    const expenses = await PettyCashExpense.find(filter)
+      .populate("project", "name")
+      .populate("createdBy", "name email")
+      .populate("approvedBy", "name email")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: expenses.length,
+      data: expenses,
+    });
+  } catch (error) {
+    console.error("Get petty cash expenses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching petty cash expenses",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Record an expense paid from a fund
+// @route   POST /api/petty-cash/funds/:id/expenses
+// @access  Private (custodian or admin)
+exports.createExpense = async (req, res) => {
+  try {
+    const fund = await findFund(req, res);
+    if (!fund) return;
+
+    if (!canUseFund(req, fund)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the fund's custodian can record expenses against it",
+      });
+    }
+
+    let expense;
+    try {
+      expense = await PettyCashService.recordExpense(
+        fund,
+        req.body,
+        req.user._id
+      );
+    } catch (expenseError) {
+      return res.status(400).json({
+        success: false,
+        message: expenseError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Petty cash expense recorded successfully",
+      data: expense,
+    });
+  } catch (error) {
+    console.error("Create petty cash expense error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error recording petty cash expense",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update a pending expense
+// @route   PUT /api/petty-cash/expenses/:expenseId
+// @access  Private (custodian or admin)
+exports.updateExpense = async (req, res) => {
+  try {
+    const expense = await PettyCashExpense.findOne({
+      _id: req.params.expenseId,
+      tenantId: req.tenantId,
+    });
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: "Petty cash expense not found",
+      });
+    }
+
+    const fund = await findFund(req, res, expense.fund);
+    if (!fund) return;
+    if (!canUseFund(req, fund)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the fund's custodian can change its expenses",
+      });
+    }
+    if (expense.status !== "Pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Expense ${expense.expenseNo} is already ${expense.status.toLowerCase()}`,
+      });
+    }
+
+    const fields = [
+      "date",
+      "accountCode",
+      "accountName",
+      "description",
+      "payee",
+      "billNo",
+      "project",
+    ];
+    for (const field of fields) {
+      if (req.body[field] !== undefined) expense[field] = req.body[field];
+    }
+
+    if (req.body.amount !== undefined) {
+      const amount = Math.round(Number(req.body.amount) * 100) / 100;
+      const { cashInHand } = await PettyCashService.getFundStatus(fund);
+      // The expense's current amount is already out of the cash in hand
+      if (!(amount > 0) || amount > cashInHand + expense.amount + 0.01) {
+        return res.status(400).json({
+          success: false,
+          message: `Amount must be greater than zero and within the cash in hand of ${fund.name}`,
+        });
+      }
+      expense.amount = amount;
+    }
+
+    await expense.save();
+
+    res.json({
+      success: true,
+      message: "Petty cash expense updated successfully",
+      data: expense,
+    });
+  } catch (error) {
+    console.error("Update petty cash expense error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating petty cash expense",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a pending expense
+// @route   DELETE /api/petty-cash/expenses/:expenseId
+// @access  Private (custodian or admin)
+exports.deleteExpense = async (req, res) => {
+  try {
+    const expense = await PettyCashExpense.findOne({
+      _id: req.params.expenseId,
+      tenantId: req.tenantId,
+    });
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: "Petty cash expense not found",
+      });
+    }
+
+    const fund = await findFund(req, res, expense.fund);
+    if (!fund) return;
+    if (!canUseFund(req, fund)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the fund's custodian can delete its expenses",
+      });
+    }
+    if (expense.status !== "Pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Expense ${expense.expenseNo} is already ${expense.status.toLowerCase()}`,
+      });
+    }
+
+    await expense.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Petty cash expense deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Delete petty cash expense error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting petty cash expense",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve a batch of pending expenses
+// @route   PUT /api/petty-cash/funds/:id/expenses/approve
+// @access  Private/Admin
+exports.approveExpenses = async (req, res) => {
+  try {
+    const fund = await findFund(req, res);
+    if (!fund) return;
+
+    let result;
+    try {
+      result = await PettyCashService.approveExpenses(
+        fund,
+        req.body.expenseIds,
+        req.user._id,
+        req.body.date
+      );
+    } catch (approvalError) {
+      return res.status(approvalError.statusCode || 400).json({
+        success: false,
+        message: approvalError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.expenses.length} expense(s) approved`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Approve petty cash expenses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error approving petty cash expenses",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reject a batch of pending expenses
+// @route   PUT /api/petty-cash/funds/:id/expenses/reject
+// @access  Private/Admin
+exports.rejectExpenses = async (req, res) => {
+  try {
+    const fund = await findFund(req, res);
+    if (!fund) return;
+
+    let expenses;
+    try {
+      expenses = await PettyCashService.rejectExpenses(
+        fund,
+        req.body.expenseIds,
+        req.body.reason,
+        req.user._id
+      );
+    } catch (rejectionError) {
+      return res.status(400).json({
+        success: false,
+        message: rejectionError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${expenses.length} expense(s) rejected`,
+      data: expenses,
+    });
+  } catch (error) {
+    console.error("Reject petty cash expenses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error rejecting petty cash expenses",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get replenishments of a fund
+// @route   GET /api/petty-cash/funds/:id/replenishments
+// @access  Private
+exports.getReplenishments = async (req, res) => {
+  try {
+    const fund = await findFund(req, res);
+    if (!fund) return;
+
+    const replenishments = await PettyCashReplenishment.find({
+      tenantId: req.tenantId,
+      fund: fund._id,
+    })
+      .populate("bankAccountRef", "name bankName accountNumber")
+      .populate("createdBy", "name email")
+      .sort({ date: -1 });
+
+    res.json({
+      success: true,
+      count: replenishments.length,
+      data: replenishments,
+    });
+  } catch (error) {
+    console.error("Get petty cash replenishments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching petty cash replenishments",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Top a fund back up to its imprest amount
+// @route   POST /api/petty-cash/funds/:id/replenish
+// @access  Private/Admin
+exports.replenishFund = async (req, res) => {
+  try {
+    const fund = await findFund(req, res);
+    if (!fund) return;
+
+    let replenishment;
+    try {
+      replenishment = await PettyCashService.replenishFund(
+        fund,
+        req.body,
+        req.user._id
+      );
+    } catch (replenishError) {
+      return res.status(replenishError.statusCode || 400).json({
+        success: false,
+        message: replenishError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Petty cash fund replenished with ${replenishment.amount}`,
+      data: replenishment,
+    });
+  } catch (error) {
+    console.error("Replenish petty cash fund error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error replenishing petty cash fund",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Float status of each custodian's fund
+// @route   GET /api/petty-cash/report
+// @access  Private
+exports.getFloatReport = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const report = await PettyCashService.getFloatReport(req.tenantId, {
+      custodian: query.custodian,
+      project: query.project,
+      includeInactive: query.includeInactive === "true",
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Get petty cash float report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching petty cash float report",
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,7 @@
 const Plot = require("../models/Plot");
 const Project = require("../models/Project");
-const Customer = require("../models/Customer");
+const TransactionService = require("../services/transactionService");
+const ReceiptService = require("../services/receiptService");
 
 // @desc    Get all plots
 // @route   GET /api/plots
@@ -241,7 +242,8 @@ exports.updatePlot = async (req, res) => {
       plot.createdBy = req.user._id;
     }
 
-    await plot.save();
+    // Booking and sale entries are posted by the save hook in this transaction
+    await TransactionService.run((session) => plot.save({ session }));
 
     // Populate references
     await plot.populate("project", "name code");
@@ -255,7 +257,7 @@ exports.updatePlot = async (req, res) => {
     });
   } catch (error) {
     console.error("Update plot error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error updating plot",
       error: error.message,
@@ -374,3 +376,295 @@ exports.getPlotSummary = async (req, res) => {
     });
   }
 };
+
+// @desc    Get installment plan, schedule and receipts for a plot
+// @route   GET /api/plots/:id/installments
+// @access  Private
+exports.getPlotInstallments = async (req, res) => {
+  try {
+    const plot = await Plot.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("customer", "name email phone")
+      .populate("installmentReceipts.receivedBy", "name email");
+
+    if (!plot) {
+      return res.status(404).json({
+        success: false,
+        message: "Plot not found",
+      });
+    }
+
+    const overdue = plot.getOverdueInstallments();
+    const totalScheduled = plot.installments.reduce(
+      (sum, inst) => sum + (inst.amount || 0),
+      0
+    );
+    const totalPaid = plot.installments.reduce(
+      (sum, inst) => sum + (inst.amountPaid || 0),
+      0
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        plotNumber: plot.plotNumber,
+        customer: plot.customer,
+        contractPrice: plot.getContractPrice(),
+        installmentPlan: plot.installmentPlan,
+        installments: plot.installments,
+        receipts: plot.installmentReceipts,
+        summary: {
+          totalScheduled,
+          totalPaid,
+          totalOutstanding: totalScheduled - totalPaid,
+          overdueCount: overdue.length,
+          overdueAmount: overdue.reduce((sum, inst) => sum + inst.outstanding, 0),
+          lateFeeDue: overdue.reduce((sum, inst) => sum + inst.lateFeeDue, 0),
+          nextDue:
+            plot.installments
+              .filter((inst) => inst.status !== "Paid")
+              .sort((a, b) => a.dueDate - b.dueDate)[0] || null,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get plot installments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching plot installments",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create or replace the installment plan of a plot
+// @route   POST /api/plots/:id/installments/plan
+// @access  Private
+exports.createInstallmentPlan = async (req, res) => {
+  try {
+    const {
+      downPayment,
+      numberOfInstallments,
+      frequency,
+      balloonPayment,
+      startDate,
+      balloonDueDate,
+      lateFeeType,
+      lateFeeValue,
+      graceDays,
+    } = req.body;
+
+    // Validation
+    if (!numberOfInstallments || !startDate) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide numberOfInstallments and startDate",
+      });
+    }
+
+    const plot = await Plot.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!plot) {
+      return res.status(404).json({
+        success: false,
+        message: "Plot not found",
+      });
+    }
+
+    if (!plot.customer || !["Booked", "Sold"].includes(plot.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Installment plans can only be created for booked or sold plots",
+      });
+    }
+
+    if (plot.installmentReceipts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Cannot replace the installment plan after installment receipts have been recorded",
+      });
+    }
+
+    try {
+      plot.generateInstallmentSchedule({
+        downPayment: Number(downPayment) || 0,
+        numberOfInstallments: Number(numberOfInstallments),
+        frequency: frequency || "Monthly",
+        balloonPayment: Number(balloonPayment) || 0,
+        startDate,
+        balloonDueDate,
+        lateFeeType: lateFeeType || "None",
+        lateFeeValue: Number(lateFeeValue) || 0,
+        graceDays: Number(graceDays) || 0,
+      });
+    } catch (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError.message,
+      });
+    }
+
+    await TransactionService.run((session) => plot.save({ session }));
+
+    res.status(201).json({
+      success: true,
+      message: "Installment plan created successfully",
+      data: {
+        installmentPlan: plot.installmentPlan,
+        installments: plot.installments,
+      },
+    });
+  } catch (error) {
+    console.error("Create installment plan error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating installment plan",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get overdue installments of a plot with late fees
+// @route   GET /api/plots/:id/installments/overdue
+// @access  Private
+exports.getOverdueInstallments = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const asOf = query.asOf ? new Date(query.asOf) : new Date();
+
+    const plot = await Plot.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    }).populate("customer", "name email phone");
+
+    if (!plot) {
+      return res.status(404).json({
+        success: false,
+        message: "Plot not found",
+      });
+    }
+
+    const overdue = plot.getOverdueInstallments(asOf);
+
+    res.status(200).json({
+      success: true,
+      count: overdue.length,
+      data: {
+        plotNumber: plot.plotNumber,
+        customer: plot.customer,
+        asOf,
+        installments: overdue,
+        totalOutstanding: overdue.reduce(
+          (sum, inst) => sum + inst.outstanding,
+          0
+        ),
+        totalLateFee: overdue.reduce((sum, inst) => sum + inst.lateFeeDue, 0),
+      },
+    });
+  } catch (error) {
+    console.error("Get overdue installments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching overdue installments",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Record an installment receipt against a plot
+// @route   POST /api/plots/:id/installments/receipts
+// @access  Private
+exports.recordInstallmentReceipt = async (req, res) => {
+  try {
+    const {
+      amount,
+      lateFee,
+      date,
+      paymentMethod,
+      bankName,
+      chequeNo,
+      chequeDate,
+      reference,
+      allocations,
+    } = req.body;
+
+    // Validation
+    if (!amount || Number(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid amount",
+      });
+    }
+
+    const plot = await Plot.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!plot) {
+      return res.status(404).json({
+        success: false,
+        message: "Plot not found",
+      });
+    }
+
+    if (plot.installments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Plot does not have an installment schedule",
+      });
+    }
+
+    // Journal entry, plot and customer balance commit together
+    let receipt;
+    try {
+      ({ receipt } = await TransactionService.run((session) =>
+        ReceiptService.recordPlotReceipt(
+          plot,
+          {
+            amount,
+            lateFee,
+            date,
+            paymentMethod,
+            bankName,
+            chequeNo,
+            chequeDate,
+            reference,
+            allocations,
+          },
+          req.user._id,
+          session
+        )
+      ));
+    } catch (receiptError) {
+      return res.status(receiptError.statusCode || 400).json({
+        success: false,
+        message: receiptError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Installment receipt recorded successfully",
+      data: {
+        receipt,
+        installments: plot.installments,
+        amountReceived: plot.amountReceived,
+        balance: plot.balance,
+      },
+    });
+  } catch (error) {
+    console.error("Record installment receipt error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Error recording installment receipt",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,113 @@
+const ProjectBudget = require("../models/ProjectBudget");
+const ProjectBudgetService = require("../services/projectBudgetService");
+
+// @desc    Get the budget of a project
+// @route   GET /api/projects/:id/budget
+// @access  Private
+const getProjectBudget = async (req, res) => {
+  try {
+    await ProjectBudgetService.getProject(req.tenantId, req.params.id);
+
+    const budget = await ProjectBudget.findOne({
+      tenantId: req.tenantId,
+      project: req.params.id,
+    })
+      .populate("project", "name code estimatedCost")
+      .populate("updatedBy", "name email");
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: "No budget has been set for this project",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: budget,
+    });
+  } catch (error) {
+    console.error("Get project budget error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Error fetching budget",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create or replace the budget of a project
+// @route   PUT /api/projects/:id/budget
+// @access  Private/Admin
+const saveProjectBudget = async (req, res) => {
+  try {
+    let budget;
+    try {
+      budget = await ProjectBudgetService.saveBudget(
+        req.tenantId,
+        req.params.id,
+        req.body,
+        req.user._id
+      );
+    } catch (budgetError) {
+      return res.status(budgetError.statusCode || 400).json({
+        success: false,
+        message: budgetError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Project budget saved successfully",
+      data: budget,
+    });
+  } catch (error) {
+    console.error("Save project budget error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error saving budget",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Budget vs committed and actual cost per cost code
+// @route   GET /api/projects/:id/budget-vs-actual
+// @access  Private
+const getBudgetVsActual = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+
+    let report;
+    try {
+      report = await ProjectBudgetService.getBudgetVsActual(
+        req.tenantId,
+        req.params.id,
+        { asOfDate: query.asOfDate }
+      );
+    } catch (reportError) {
+      return res.status(reportError.statusCode || 400).json({
+        success: false,
+        message: reportError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Get budget vs actual error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching budget vs actual",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getProjectBudget,
+  saveProjectBudget,
+  getBudgetVsActual,
+};
@@ -1,4 +1,5 @@
 const Project = require("../models/Project");
+const Customer = require("../models/Customer");
 
 // @desc    Create new project
 // @route   POST /api/projects
@@ -31,6 +32,10 @@ exports.createProject = async (req, res) => {
       projectIncharge,
       jobIncharge,
       status,
+      customer,
+      retentionPercent,
+      advanceAmount,
+      advanceRecoveryPercent,
     } = req.body;
 
     // Use frontend names if provided, otherwise fall back to backend names
@@ -66,6 +71,20 @@ exports.createProject = async (req, res) => {
       });
     }
 
+    // Customer account billed by progress billing
+    if (customer) {
+      const customerExists = await Customer.findOne({
+        _id: customer,
+        tenantId: req.tenantId,
+      });
+      if (!customerExists) {
+        return res.status(404).json({
+          success: false,
+          message: "Customer not found",
+        });
+      }
+    }
+
     // Validate dates
     if (new Date(startDate) > new Date(completionDate)) {
       return res.status(400).json({
@@ -97,6 +116,10 @@ exports.createProject = async (req, res) => {
       jobIncharge: mappedJobIncharge,
       // Sync status with jobCompleted: if completed, status is "Completed", otherwise use provided status or "Active"
       status: mappedJobCompleted ? "Completed" : status || "Active",
+      customer: customer || undefined,
+      retentionPercent,
+      advanceAmount,
+      advanceRecoveryPercent,
       createdBy: req.user.id,
     };
 
@@ -207,6 +230,10 @@ exports.updateProject = async (req, res) => {
       projectIncharge,
       jobIncharge,
       status,
+      customer,
+      retentionPercent,
+      advanceAmount,
+      advanceRecoveryPercent,
     } = req.body;
 
     // Use frontend names if provided, otherwise fall back to backend names
@@ -238,6 +265,20 @@ exports.updateProject = async (req, res) => {
       });
     }
 
+    // Customer account billed by progress billing
+    if (customer) {
+      const customerExists = await Customer.findOne({
+        _id: customer,
+        tenantId: req.tenantId,
+      });
+      if (!customerExists) {
+        return res.status(404).json({
+          success: false,
+          message: "Customer not found",
+        });
+      }
+    }
+
     // Validate dates if both are provided
     const newStartDate = startDate || project.startDate;
     const newCompletionDate = completionDate || project.completionDate;
@@ -281,6 +322,12 @@ exports.updateProject = async (req, res) => {
     // Allow manual status override only if jobCompleted is not being changed
     if (status !== undefined && mappedJobCompleted === undefined)
       project.status = status;
+    if (customer !== undefined) project.customer = customer || null;
+    if (retentionPercent !== undefined)
+      project.retentionPercent = retentionPercent;
+    if (advanceAmount !== undefined) project.advanceAmount = advanceAmount;
+    if (advanceRecoveryPercent !== undefined)
+      project.advanceRecoveryPercent = advanceRecoveryPercent;
 
     await project.save();
 
@@ -323,6 +370,7 @@ exports.deleteProject = async (req, res) => {
     const Purchase = require("../models/Purchase");
     const SalesInvoice = require("../models/SalesInvoice");
     const BankPayment = require("../models/BankPayment");
+    const MaterialIssue = require("../models/MaterialIssue");
 
     const purchaseCount = await Purchase.countDocuments({
       tenantId: req.tenantId,
@@ -336,8 +384,17 @@ exports.deleteProject = async (req, res) => {
       tenantId: req.tenantId,
       project: req.params.id,
     });
+    const materialNoteCount = await MaterialIssue.countDocuments({
+      tenantId: req.tenantId,
+      project: req.params.id,
+    });
 
-    if (purchaseCount > 0 || salesCount > 0 || paymentCount > 0) {
+    if (
+      purchaseCount > 0 ||
+      salesCount > 0 ||
+      paymentCount > 0 ||
+      materialNoteCount > 0
+    ) {
       return res.status(400).json({
         success: false,
         message: "Cannot delete project with existing transactions",
@@ -345,6 +402,7 @@ exports.deleteProject = async (req, res) => {
           purchases: purchaseCount,
           salesInvoices: salesCount,
           bankPayments: paymentCount,
+          materialNotes: materialNoteCount,
         },
       });
     }
@@ -354,6 +412,38 @@ exports.deleteProject = async (req, res) => {
       tenantId: req.tenantId,
     });
 
+    // The project's schedule, budget, BOQ and draft certificates go with it
+    const ProjectTask = require("../models/ProjectTask");
+    const ProjectBudget = require("../models/ProjectBudget");
+    const Boq = require("../models/Boq");
+    const BoqRevision = require("../models/BoqRevision");
+    const VariationOrder = require("../models/VariationOrder");
+    const PaymentCertificate = require("../models/PaymentCertificate");
+    await ProjectTask.deleteMany({
+      tenantId: req.tenantId,
+      project: req.params.id,
+    });
+    await ProjectBudget.deleteMany({
+      tenantId: req.tenantId,
+      project: req.params.id,
+    });
+    await Boq.deleteMany({
+      tenantId: req.tenantId,
+      project: req.params.id,
+    });
+    await BoqRevision.deleteMany({
+      tenantId: req.tenantId,
+      project: req.params.id,
+    });
+    await VariationOrder.deleteMany({
+      tenantId: req.tenantId,
+      project: req.params.id,
+    });
+    await PaymentCertificate.deleteMany({
+      tenantId: req.tenantId,
+      project: req.params.id,
+    });
+
     res.status(200).json({
       success: true,
       message: "Project deleted successfully",
@@ -377,6 +467,7 @@ exports.getProjectLedger = async (req, res) => {
     const BankPayment = require("../models/BankPayment");
     const CashPayment = require("../models/CashPayment");
     const SalesInvoice = require("../models/SalesInvoice");
+    const MaterialIssue = require("../models/MaterialIssue");
 
     const project = await Project.findOne({
       _id: req.params.id,
@@ -395,7 +486,7 @@ exports.getProjectLedger = async (req, res) => {
       tenantId: req.tenantId,
       project: req.params.id,
     })
-      .populate("item", "name itemCode")
+      .populate("lines.item", "name itemCode")
       .populate("employeeReference", "name email")
       .sort({ date: 1 });
 
@@ -426,6 +517,15 @@ exports.getProjectLedger = async (req, res) => {
       .populate("employeeReference", "name email")
       .sort({ date: 1 });
 
+    // Get posted material issued from store to this project and returned
+    const materialNotes = await MaterialIssue.find({
+      tenantId: req.tenantId,
+      project: req.params.id,
+      status: "Posted",
+    })
+      .populate("createdBy", "name email")
+      .sort({ date: 1 });
+
     // Calculate totals
     const totalPurchases = purchases.reduce((sum, p) => sum + p.netAmount, 0);
     const totalBankPayments = bankPayments.reduce(
@@ -448,8 +548,15 @@ exports.getProjectLedger = async (req, res) => {
       (sum, si) => sum + si.balance,
       0
     );
+    const totalMaterialsIssued = materialNotes
+      .filter((n) => n.type === "Issue")
+      .reduce((sum, n) => sum + n.totalAmount, 0);
+    const totalMaterialsReturned = materialNotes
+      .filter((n) => n.type === "Return")
+      .reduce((sum, n) => sum + n.totalAmount, 0);
+    const netMaterialCost = totalMaterialsIssued - totalMaterialsReturned;
     const totalExpenses =
-      totalPurchases + totalBankPayments + totalCashPayments;
+      totalPurchases + totalBankPayments + totalCashPayments + netMaterialCost;
 
     // Calculate profit/loss - actual revenue from sales invoices
     const actualRevenue = totalSalesInvoices;
@@ -536,6 +643,9 @@ exports.getProjectLedger = async (req, res) => {
           totalPurchases,
           totalBankPayments,
           totalCashPayments,
+          totalMaterialsIssued,
+          totalMaterialsReturned,
+          netMaterialCost,
           totalExpenses,
           totalSalesInvoices,
           totalSalesReceived,
@@ -549,6 +659,8 @@ exports.getProjectLedger = async (req, res) => {
         bankPayments,
         cashPayments,
         salesInvoices,
+        materialIssues: materialNotes.filter((n) => n.type === "Issue"),
+        materialReturns: materialNotes.filter((n) => n.type === "Return"),
         purchasesByVendor: Object.values(purchasesByVendor),
         paymentsByAccount: Object.values(paymentsByAccount),
       },
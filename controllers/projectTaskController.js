@@ -0,0 +1,200 @@
+const ProjectScheduleService = require("../services/projectScheduleService");
+const { notifyAdmins } = require("./notificationController");
+
+// Let admins know a project milestone has been reached
+const notifyMilestonesCompleted = async (req, milestones) => {
+  for (const milestone of milestones) {
+    if (!milestone.notifyOnCompletion) continue;
+    try {
+      const project = await ProjectScheduleService.getProject(
+        req.tenantId,
+        milestone.project
+      );
+      const { isDelayed, delayDays } =
+        ProjectScheduleService.getDelay(milestone);
+      await notifyAdmins({
+        tenantId: req.tenantId,
+        sender: req.user._id,
+        type: "milestone_completed",
+        title: "Project Milestone Reached",
+        message: `${project.name}: ${milestone.wbsCode} ${milestone.name} was completed${
+          isDelayed ? ` ${delayDays} day(s) late` : ""
+        } (project ${project.progress}% complete)`,
+        entityType: "project",
+        entityId: project._id,
+        metadata: {
+          taskId: milestone._id,
+          wbsCode: milestone.wbsCode,
+          delayDays,
+        },
+      });
+    } catch (error) {
+      console.error("Error notifying admins of milestone:", error);
+    }
+  }
+};
+
+// @desc    Get the work breakdown structure with progress and delays
+// @route   GET /api/projects/:id/tasks
+// @access  Private
+const getProjectSchedule = async (req, res) => {
+  try {
+    const schedule = await ProjectScheduleService.getSchedule(
+      req.tenantId,
+      req.params.id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    console.error("Get project schedule error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Error fetching schedule",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get project milestones with their delay
+// @route   GET /api/projects/:id/milestones
+// @access  Private
+const getProjectMilestones = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const milestones = await ProjectScheduleService.getMilestones(
+      req.tenantId,
+      req.params.id,
+      { delayed: query.delayed === "true" }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: milestones.length,
+      data: milestones,
+    });
+  } catch (error) {
+    console.error("Get project milestones error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Error fetching milestones",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Add a phase, task or milestone to a project
+// @route   POST /api/projects/:id/tasks
+// @access  Private
+const createProjectTask = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await ProjectScheduleService.createTask(
+        req.tenantId,
+        req.params.id,
+        req.body,
+        req.user._id
+      );
+    } catch (taskError) {
+      return res.status(taskError.statusCode || 400).json({
+        success: false,
+        message: taskError.message,
+      });
+    }
+
+    await notifyMilestonesCompleted(req, result.completedMilestones);
+
+    res.status(201).json({
+      success: true,
+      message: `${result.task.type} created successfully`,
+      data: result.task,
+    });
+  } catch (error) {
+    console.error("Create project task error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating task",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update a task, its progress or its place in the structure
+// @route   PUT /api/projects/:id/tasks/:taskId
+// @access  Private
+const updateProjectTask = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await ProjectScheduleService.updateTask(
+        req.tenantId,
+        req.params.id,
+        req.params.taskId,
+        req.body
+      );
+    } catch (taskError) {
+      return res.status(taskError.statusCode || 400).json({
+        success: false,
+        message: taskError.message,
+      });
+    }
+
+    await notifyMilestonesCompleted(req, result.completedMilestones);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.task.type} updated successfully`,
+      data: result.task,
+    });
+  } catch (error) {
+    console.error("Update project task error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating task",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a task that has nothing under it
+// @route   DELETE /api/projects/:id/tasks/:taskId
+// @access  Private
+const deleteProjectTask = async (req, res) => {
+  try {
+    try {
+      await ProjectScheduleService.deleteTask(
+        req.tenantId,
+        req.params.id,
+        req.params.taskId
+      );
+    } catch (taskError) {
+      return res.status(taskError.statusCode || 400).json({
+        success: false,
+        message: taskError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Task deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete project task error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting task",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getProjectSchedule,
+  getProjectMilestones,
+  createProjectTask,
+  updateProjectTask,
+  deleteProjectTask,
+};
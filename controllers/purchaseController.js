@@ -1,6 +1,223 @@
 const Purchase = require("../models/Purchase");
 const Item = require("../models/Item");
 const User = require("../models/User");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const GoodsReceivedNote = require("../models/GoodsReceivedNote");
+const Supplier = require("../models/Supplier");
+const JournalEntry = require("../models/JournalEntry");
+const AccountingService = require("../services/accountingService");
+const PurchaseMatchingService = require("../services/purchaseMatchingService");
+const TaxService = require("../services/taxService");
+const FiscalPeriodService = require("../services/fiscalPeriodService");
+const TransactionService = require("../services/transactionService");
+const ProjectBudgetService = require("../services/projectBudgetService");
+const StockService = require("../services/stockService");
+const UnitService = require("../services/unitService");
+
+// Build bill lines from the request body
+// Accepts a `lines` array or a legacy single-item payload
+const buildPurchaseLines = (body) => {
+  const rawLines =
+    Array.isArray(body.lines) && body.lines.length > 0
+      ? body.lines
+      : body.item
+      ? [
+          {
+            item: body.item,
+            itemCode: body.itemCode,
+            itemName: body.itemName,
+            description: body.description,
+            quantity: body.quantity,
+            unit: body.unit,
+            rate: body.rate,
+            discount: body.discount,
+          },
+        ]
+      : [];
+
+  return rawLines.map((line) => ({
+    poLine: line.poLine || undefined,
+    item: line.item,
+    itemCode: line.itemCode ? line.itemCode.toUpperCase() : "",
+    itemName: line.itemName,
+    description: line.description || "",
+    quantity: line.quantity,
+    unit: line.unit,
+    rate: line.rate,
+    discountPercent: line.discountPercent || 0,
+    discount: line.discount || 0,
+    taxCode: line.taxCode || "",
+    taxPercent: line.taxPercent || 0,
+    taxAmount: line.taxAmount || 0,
+    costCode: line.costCode,
+  }));
+};
+
+// Default bill lines for a PO-based bill: goods received but not yet billed
+const buildLinesFromOrder = (order) =>
+  order.lines
+    .filter((line) => line.receivedQty > line.billedQty)
+    .map((line) => ({
+      poLine: line._id,
+      item: line.item,
+      itemCode: line.itemCode,
+      itemName: line.itemName,
+      description: line.description || "",
+      quantity: line.receivedQty - line.billedQty,
+      unit: line.unit,
+      conversionFactor: line.conversionFactor,
+      rate: line.rate,
+      discountPercent: 0,
+      discount: 0,
+      taxPercent: 0,
+      taxAmount: 0,
+      costCode: line.costCode,
+    }));
+
+// Validate bill lines, verify every item belongs to the tenant, convert
+// quantities to the item's base unit and apply input tax codes to the line
+// tax rates
+// Returns { status, message } on failure or null when the lines are valid
+const validatePurchaseLines = async (lines, tenantId) => {
+  if (lines.length === 0) {
+    return { status: 400, message: "Please provide at least one line" };
+  }
+
+  for (const line of lines) {
+    if (
+      !line.item ||
+      !line.itemCode ||
+      !line.itemName ||
+      !line.quantity ||
+      !line.unit ||
+      line.rate === undefined
+    ) {
+      return {
+        status: 400,
+        message:
+          "Each line requires item, itemCode, itemName, quantity, unit and rate",
+      };
+    }
+  }
+
+  const itemIds = [...new Set(lines.map((line) => line.item.toString()))];
+  const items = await Item.find({
+    _id: { $in: itemIds },
+    tenantId,
+  });
+  if (items.length !== itemIds.length) {
+    return { status: 404, message: "Item not found in inventory" };
+  }
+
+  const itemsById = new Map(items.map((item) => [item._id.toString(), item]));
+  for (const line of lines) {
+    try {
+      Object.assign(
+        line,
+        UnitService.convert(
+          itemsById.get(line.item.toString()),
+          line.quantity,
+          line.unit
+        )
+      );
+    } catch (unitError) {
+      return { status: 400, message: unitError.message };
+    }
+  }
+
+  for (const line of lines) {
+    if (!line.taxCode) continue;
+    try {
+      const taxCode = await TaxService.resolveTaxCode(
+        tenantId,
+        line.taxCode,
+        "Input"
+      );
+      line.taxCode = taxCode.code;
+      line.taxPercent = taxCode.rate;
+    } catch (taxError) {
+      return { status: 400, message: taxError.message };
+    }
+  }
+
+  try {
+    await ProjectBudgetService.resolveCostCodes(tenantId, lines);
+  } catch (costCodeError) {
+    return { status: 400, message: costCodeError.message };
+  }
+
+  return null;
+};
+
+// Apply the stock effect of bill lines at a location
+// (direction 1 = receive, -1 = reverse), in the items' base units. Stock is
+// received at its landed cost: the line net of discount plus its share of
+// freight less the bill-level discount, as debited to inventory.
+const applyLineStock = async (
+  tenantId,
+  bill,
+  lines,
+  warehouseId,
+  direction,
+  session = null
+) => {
+  const linesTotal = bill.lines.reduce(
+    (sum, line) => sum + line.grossAmount - (line.discount || 0),
+    0
+  );
+  const landedFactor =
+    linesTotal > 0
+      ? (linesTotal +
+          (bill.carriageFreight || 0) -
+          (bill.additionalDiscount || 0)) /
+        linesTotal
+      : 1;
+
+  for (const line of lines) {
+    const quantity = UnitService.baseQuantity(line);
+    await StockService.adjust(
+      tenantId,
+      line.item,
+      warehouseId,
+      direction * quantity,
+      session,
+      {
+        allowNegative: direction < 0,
+        movementType: "Purchase",
+        unitCost:
+          direction > 0 && quantity > 0
+            ? ((line.grossAmount - (line.discount || 0)) * landedFactor) /
+              quantity
+            : undefined,
+        source: { model: "Purchase", id: bill._id, reference: bill.serialNo },
+        date: bill.date,
+      }
+    );
+  }
+};
+
+// Bill fields the purchase journal entry is built from
+const POSTING_FIELDS = [
+  "date",
+  "lines",
+  "additionalDiscount",
+  "carriageFreight",
+  "project",
+  "status",
+  "vendorName",
+  "vendorInvoiceNo",
+  "purchaseOrderNo",
+];
+
+// Add an amount to a supplier's purchases and payable balance
+const adjustSupplierPayable = async (tenantId, vendorCode, amount, session) => {
+  if (!vendorCode || amount === 0) return;
+  await Supplier.findOneAndUpdate(
+    { tenantId, code: vendorCode.toUpperCase() },
+    { $inc: { totalPurchases: amount, balance: amount } },
+    { session }
+  );
+};
 
 // @desc    Get all purchases
 // @route   GET /api/purchases
@@ -8,7 +225,7 @@ const User = require("../models/User");
 exports.getAllPurchases = async (req, res) => {
   try {
     const purchases = await Purchase.find({ tenantId: req.tenantId })
-      .populate("item", "name itemCode measurement")
+      .populate("lines.item", "name itemCode measurement")
       .populate("employeeReference", "name email")
       .populate("project", "name code")
       .sort({ date: -1 });
@@ -37,7 +254,7 @@ exports.getPurchaseById = async (req, res) => {
       _id: req.params.id,
       tenantId: req.tenantId,
     })
-      .populate("item", "name itemCode measurement categoryName")
+      .populate("lines.item", "name itemCode measurement categoryName")
       .populate("employeeReference", "name email")
       .populate("project", "name code");
 
@@ -70,6 +287,7 @@ exports.createPurchase = async (req, res) => {
     const {
       serialNo,
       date,
+      dueDate,
       purchaseOrderNo,
       vendorInvoiceNo,
       vendorCode,
@@ -77,33 +295,51 @@ exports.createPurchase = async (req, res) => {
       vendorAddress,
       vendorPhone,
       inventoryLocation,
+      warehouse,
       employeeReference,
-      item,
-      itemCode,
-      itemName,
-      description,
-      quantity,
-      unit,
-      rate,
-      grossAmount,
-      discount,
-      netAmount,
+      additionalDiscount,
+      carriageFreight,
       project,
+      purchaseOrder,
+      goodsReceivedNotes,
     } = req.body;
 
+    // Load the purchase order for PO-based bills
+    let order = null;
+    if (purchaseOrder) {
+      order = await PurchaseOrder.findOne({
+        _id: purchaseOrder,
+        tenantId: req.tenantId,
+      });
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Purchase order not found",
+        });
+      }
+      if (
+        !["Partially Received", "Received"].includes(order.status) ||
+        !order.lines.some((line) => line.receivedQty > 0)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Goods must be received against the purchase order before billing",
+        });
+      }
+    }
+
+    const billOrderNo = purchaseOrderNo || (order && order.poNumber);
+    const billVendorName = vendorName || (order && order.vendorName);
+    const billVendorCode = vendorCode || (order && order.vendorCode);
+
     // Validation
     if (
       !serialNo ||
       !date ||
-      !purchaseOrderNo ||
+      !billOrderNo ||
       !vendorInvoiceNo ||
-      !vendorName ||
-      !item ||
-      !itemCode ||
-      !itemName ||
-      !quantity ||
-      !unit ||
-      !rate
+      !billVendorName
     ) {
       return res.status(400).json({
         success: false,
@@ -111,15 +347,15 @@ exports.createPurchase = async (req, res) => {
       });
     }
 
-    // Verify item exists
-    const itemExists = await Item.findOne({
-      _id: item,
-      tenantId: req.tenantId,
-    });
-    if (!itemExists) {
-      return res.status(404).json({
+    let lines = buildPurchaseLines(req.body);
+    if (lines.length === 0 && order) {
+      lines = buildLinesFromOrder(order);
+    }
+    const lineError = await validatePurchaseLines(lines, req.tenantId);
+    if (lineError) {
+      return res.status(lineError.status).json({
         success: false,
-        message: "Item not found in inventory",
+        message: lineError.message,
       });
     }
 
@@ -137,57 +373,101 @@ exports.createPurchase = async (req, res) => {
       }
     }
 
+    // Location the stock goes into (the default when not given)
+    let location;
+    try {
+      location = await StockService.resolveWarehouse(req.tenantId, warehouse);
+    } catch (warehouseError) {
+      return res.status(warehouseError.statusCode || 400).json({
+        success: false,
+        message: warehouseError.message,
+      });
+    }
+
     // Create purchase data
     const purchaseData = {
       tenantId: req.tenantId,
       serialNo: serialNo.toUpperCase(),
       date,
-      purchaseOrderNo,
+      dueDate: dueDate || undefined,
+      purchaseOrderNo: billOrderNo,
       vendorInvoiceNo,
-      vendorCode: vendorCode ? vendorCode.toUpperCase() : "",
-      vendorName,
+      vendorCode: billVendorCode ? billVendorCode.toUpperCase() : "",
+      vendorName: billVendorName,
       vendorAddress: vendorAddress || "",
       vendorPhone: vendorPhone || "",
-      inventoryLocation: inventoryLocation || "",
+      inventoryLocation: inventoryLocation || location.name,
+      warehouse: location._id,
       employeeReference: employeeReference || null,
-      item,
-      itemCode: itemCode.toUpperCase(),
-      itemName,
-      description: description || "",
-      quantity,
-      unit,
-      rate,
-      grossAmount: grossAmount || quantity * rate,
-      discount: discount || 0,
-      netAmount: netAmount || quantity * rate - (discount || 0),
-      project: project || null,
+      lines,
+      additionalDiscount: additionalDiscount || 0,
+      carriageFreight: carriageFreight || 0,
+      project: project || (order && order.project) || null,
       createdBy: req.user ? req.user._id : null,
     };
 
-    // Create new purchase
-    const purchase = await Purchase.create(purchaseData);
+    // Three-way match: PO vs GRN vs bill
+    if (order) {
+      const tolerance = await PurchaseMatchingService.getTolerance(
+        req.tenantId
+      );
+      const match = PurchaseMatchingService.matchBill(lines, order, tolerance);
+
+      const billedNotes =
+        goodsReceivedNotes ||
+        (
+          await GoodsReceivedNote.find({
+            tenantId: req.tenantId,
+            purchaseOrder: order._id,
+            status: "Received",
+          }).select("_id")
+        ).map((note) => note._id);
+
+      purchaseData.purchaseOrder = order._id;
+      purchaseData.goodsReceivedNotes = billedNotes;
+      purchaseData.matchStatus = match.matchStatus;
+      purchaseData.matchVariances = match.variances;
+    }
 
-    // Update item stock - increment currentStock by purchased quantity
-    await Item.findByIdAndUpdate(item, {
-      $inc: { currentStock: quantity },
-    });
+    // Bill, journal entry, stock and supplier balance commit together
+    const purchase = await TransactionService.run(async (session) => {
+      // Amounts are calculated in the pre-save hook
+      const [bill] = await Purchase.create([purchaseData], { session });
+
+      if (order) {
+        // Stock was received on the GRNs; record the billed quantities
+        PurchaseMatchingService.applyBilledQuantities(order, bill.lines, 1);
+        await order.save({ session });
+        await PurchaseMatchingService.setGoodsReceivedNotesBilled(
+          bill.goodsReceivedNotes,
+          true,
+          session
+        );
+      } else {
+        // Update item stock - receive every line at the bill's location
+        await applyLineStock(
+          req.tenantId,
+          bill,
+          bill.lines,
+          bill.warehouse,
+          1,
+          session
+        );
+      }
 
-    // Update supplier balance (add to payables)
-    if (vendorCode) {
-      const Supplier = require("../models/Supplier");
-      await Supplier.findOneAndUpdate(
-        { code: vendorCode },
-        {
-          $inc: {
-            totalPurchases: purchaseData.netAmount,
-            balance: purchaseData.netAmount,
-          },
-        }
+      // Update supplier balance (add to payables)
+      await adjustSupplierPayable(
+        req.tenantId,
+        billVendorCode,
+        bill.netAmount,
+        session
       );
-    }
+
+      return bill;
+    });
 
     // Populate references before sending response
-    await purchase.populate("item", "name itemCode measurement");
+    await purchase.populate("lines.item", "name itemCode measurement");
     await purchase.populate("employeeReference", "name email");
 
     res.status(201).json({
@@ -197,7 +477,7 @@ exports.createPurchase = async (req, res) => {
     });
   } catch (error) {
     console.error("Create purchase error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error creating purchase",
       error: error.message,
@@ -222,9 +502,28 @@ exports.updatePurchase = async (req, res) => {
       });
     }
 
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      purchase.date,
+      req.user._id
+    );
+    if (req.body.date) {
+      await FiscalPeriodService.assertPeriodOpen(
+        req.tenantId,
+        req.body.date,
+        req.user._id
+      );
+    }
+
+    // The payable moves with the bill's amount and supplier
+    const previousNetAmount = purchase.netAmount || 0;
+    const previousVendorCode = purchase.vendorCode;
+
     const {
       serialNo,
       date,
+      dueDate,
       purchaseOrderNo,
       vendorInvoiceNo,
       vendorCode,
@@ -232,18 +531,11 @@ exports.updatePurchase = async (req, res) => {
       vendorAddress,
       vendorPhone,
       inventoryLocation,
+      warehouse,
       jobNo,
       employeeReference,
-      item,
-      itemCode,
-      itemName,
-      description,
-      quantity,
-      unit,
-      rate,
-      grossAmount,
-      discount,
-      netAmount,
+      additionalDiscount,
+      carriageFreight,
       project,
       status,
       isActive,
@@ -252,6 +544,7 @@ exports.updatePurchase = async (req, res) => {
     // Update fields
     if (serialNo) purchase.serialNo = serialNo.toUpperCase();
     if (date) purchase.date = date;
+    if (dueDate !== undefined) purchase.dueDate = dueDate || undefined;
     if (purchaseOrderNo) purchase.purchaseOrderNo = purchaseOrderNo;
     if (vendorInvoiceNo) purchase.vendorInvoiceNo = vendorInvoiceNo;
     if (vendorCode !== undefined)
@@ -265,48 +558,170 @@ exports.updatePurchase = async (req, res) => {
     if (employeeReference !== undefined)
       purchase.employeeReference = employeeReference;
 
-    // Verify item if being updated
-    if (item) {
-      const itemExists = await Item.findOne({
-        _id: item,
-        tenantId: req.tenantId,
-      });
-      if (!itemExists) {
-        return res.status(404).json({
+    // Moving the bill to another location moves its stock with it
+    const previousWarehouse = await StockService.warehouseIdFor(
+      req.tenantId,
+      purchase.warehouse
+    );
+    if (warehouse !== undefined) {
+      let location;
+      try {
+        location = await StockService.resolveWarehouse(
+          req.tenantId,
+          warehouse
+        );
+      } catch (warehouseError) {
+        return res.status(warehouseError.statusCode || 400).json({
           success: false,
-          message: "Item not found in inventory",
+          message: warehouseError.message,
         });
       }
-      purchase.item = item;
+      purchase.warehouse = location._id;
+      if (inventoryLocation === undefined) {
+        purchase.inventoryLocation = location.name;
+      }
     }
+    const nextWarehouse = purchase.warehouse || previousWarehouse;
+
+    // Replace lines with stock adjustment
+    let updatedOrder = null;
+    let stockLines = null;
+    if (req.body.lines || req.body.item) {
+      const lines = buildPurchaseLines(req.body);
+      const lineError = await validatePurchaseLines(lines, req.tenantId);
+      if (lineError) {
+        return res.status(lineError.status).json({
+          success: false,
+          message: lineError.message,
+        });
+      }
 
-    if (itemCode) purchase.itemCode = itemCode.toUpperCase();
-    if (itemName) purchase.itemName = itemName;
-    if (description !== undefined) purchase.description = description;
-
-    // Handle quantity update with stock adjustment
-    if (typeof quantity === "number" && quantity !== purchase.quantity) {
-      const quantityDiff = quantity - purchase.quantity;
-      // Update item stock based on quantity difference
-      await Item.findByIdAndUpdate(purchase.item, {
-        $inc: { currentStock: quantityDiff },
-      });
-      purchase.quantity = quantity;
+      if (purchase.purchaseOrder) {
+        // PO-based bill: stock stays with the GRNs, re-run the match
+        const order = await PurchaseOrder.findOne({
+          _id: purchase.purchaseOrder,
+          tenantId: req.tenantId,
+        });
+        if (order) {
+          PurchaseMatchingService.applyBilledQuantities(
+            order,
+            purchase.lines,
+            -1
+          );
+          const tolerance = await PurchaseMatchingService.getTolerance(
+            req.tenantId
+          );
+          const match = PurchaseMatchingService.matchBill(
+            lines,
+            order,
+            tolerance
+          );
+          PurchaseMatchingService.applyBilledQuantities(order, lines, 1);
+          updatedOrder = order;
+
+          purchase.matchStatus = match.matchStatus;
+          purchase.matchVariances = match.variances;
+        }
+      } else {
+        stockLines = { previous: purchase.lines };
+      }
+      purchase.lines = lines;
+    }
+    if (
+      !purchase.purchaseOrder &&
+      !stockLines &&
+      String(previousWarehouse) !== String(nextWarehouse)
+    ) {
+      stockLines = { previous: purchase.lines };
     }
 
-    if (unit) purchase.unit = unit;
-    if (typeof rate === "number") purchase.rate = rate;
-    if (typeof grossAmount === "number") purchase.grossAmount = grossAmount;
-    if (typeof discount === "number") purchase.discount = discount;
-    if (typeof netAmount === "number") purchase.netAmount = netAmount;
+    if (typeof additionalDiscount === "number")
+      purchase.additionalDiscount = additionalDiscount;
+    if (typeof carriageFreight === "number")
+      purchase.carriageFreight = carriageFreight;
     if (project !== undefined) purchase.project = project;
     if (status) purchase.status = status;
     if (typeof isActive === "boolean") purchase.isActive = isActive;
+    const reposting = purchase.isModified(POSTING_FIELDS);
+
+    // Stock, order, bill, journal entry and supplier balance changes commit
+    // together
+    await TransactionService.run(async (session) => {
+      if (updatedOrder) await updatedOrder.save({ session });
+      if (stockLines) {
+        // Reverse stock for old lines before the new lines are saved
+        await applyLineStock(
+          req.tenantId,
+          purchase,
+          stockLines.previous,
+          previousWarehouse,
+          -1,
+          session
+        );
+      }
+      await purchase.save({ session });
+      if (stockLines) {
+        // Receive the saved lines so they carry their calculated amounts
+        await applyLineStock(
+          req.tenantId,
+          purchase,
+          purchase.lines,
+          nextWarehouse,
+          1,
+          session
+        );
+      }
+
+      // Replace the journal entry with one at the saved amounts
+      if (reposting) {
+        const existingEntry = await JournalEntry.findOne({
+          tenantId: req.tenantId,
+          status: "Posted",
+          "sourceTransaction.model": "Purchase",
+          "sourceTransaction.id": purchase._id,
+        }).session(session);
+        if (existingEntry) {
+          await AccountingService.reverseJournalEntry(
+            existingEntry._id,
+            req.user._id,
+            `Purchase ${purchase.serialNo} updated`,
+            session
+          );
+        }
+        if (purchase.status !== "cancelled") {
+          await AccountingService.createPurchaseJournalEntry(
+            purchase,
+            req.user._id,
+            session
+          );
+        }
+      }
 
-    await purchase.save();
+      if (previousVendorCode === purchase.vendorCode) {
+        await adjustSupplierPayable(
+          req.tenantId,
+          purchase.vendorCode,
+          Math.round((purchase.netAmount - previousNetAmount) * 100) / 100,
+          session
+        );
+      } else {
+        await adjustSupplierPayable(
+          req.tenantId,
+          previousVendorCode,
+          -previousNetAmount,
+          session
+        );
+        await adjustSupplierPayable(
+          req.tenantId,
+          purchase.vendorCode,
+          purchase.netAmount,
+          session
+        );
+      }
+    });
 
     // Populate references before sending response
-    await purchase.populate("item", "name itemCode measurement");
+    await purchase.populate("lines.item", "name itemCode measurement");
     await purchase.populate("employeeReference", "name email");
 
     res.status(200).json({
@@ -316,7 +731,7 @@ exports.updatePurchase = async (req, res) => {
     });
   } catch (error) {
     console.error("Update purchase error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error updating purchase",
       error: error.message,
@@ -341,12 +756,67 @@ exports.deletePurchase = async (req, res) => {
       });
     }
 
-    // Decrement item stock by purchased quantity (reversing the purchase)
-    await Item.findByIdAndUpdate(purchase.item, {
-      $inc: { currentStock: -purchase.quantity },
-    });
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      purchase.date,
+      req.user._id
+    );
+
+    // Reversal, stock, order and the delete commit together
+    await TransactionService.run(async (session) => {
+      const existingEntry = await JournalEntry.findOne({
+        tenantId: req.tenantId,
+        status: "Posted",
+        "sourceTransaction.model": "Purchase",
+        "sourceTransaction.id": purchase._id,
+      }).session(session);
+      if (existingEntry) {
+        await AccountingService.reverseJournalEntry(
+          existingEntry._id,
+          req.user._id,
+          `Purchase ${purchase.serialNo} deleted`,
+          session
+        );
+      }
+
+      if (purchase.purchaseOrder) {
+        // PO-based bill: release the billed quantities, stock stays with the GRNs
+        const order = await PurchaseOrder.findOne({
+          _id: purchase.purchaseOrder,
+          tenantId: req.tenantId,
+        }).session(session);
+        if (order) {
+          PurchaseMatchingService.applyBilledQuantities(
+            order,
+            purchase.lines,
+            -1
+          );
+          await order.save({ session });
+        }
+        await PurchaseMatchingService.setGoodsReceivedNotesBilled(
+          purchase.goodsReceivedNotes,
+          false,
+          session
+        );
+      } else {
+        // Decrement item stock for every line (reversing the purchase)
+        await applyLineStock(
+          req.tenantId,
+          purchase,
+          purchase.lines,
+          await StockService.warehouseIdFor(
+            req.tenantId,
+            purchase.warehouse,
+            session
+          ),
+          -1,
+          session
+        );
+      }
 
-    await Purchase.findByIdAndDelete(req.params.id);
+      await Purchase.findByIdAndDelete(req.params.id, { session });
+    });
 
     res.status(200).json({
       success: true,
@@ -354,7 +824,7 @@ exports.deletePurchase = async (req, res) => {
     });
   } catch (error) {
     console.error("Delete purchase error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error deleting purchase",
       error: error.message,
@@ -370,7 +840,7 @@ exports.getPurchasesByVendor = async (req, res) => {
     const purchases = await Purchase.find({
       vendorName: new RegExp(req.params.vendorName, "i"),
     })
-      .populate("item", "name itemCode measurement")
+      .populate("lines.item", "name itemCode measurement")
       .sort({ date: -1 });
 
     res.status(200).json({
@@ -408,7 +878,7 @@ exports.getPurchasesByDateRange = async (req, res) => {
         $lte: new Date(endDate),
       },
     })
-      .populate("item", "name itemCode measurement")
+      .populate("lines.item", "name itemCode measurement")
       .populate("employeeReference", "name email")
       .sort({ date: -1 });
 
@@ -0,0 +1,512 @@
+const PurchaseOrder = require("../models/PurchaseOrder");
+const GoodsReceivedNote = require("../models/GoodsReceivedNote");
+const Purchase = require("../models/Purchase");
+const Supplier = require("../models/Supplier");
+const Item = require("../models/Item");
+const ProjectBudgetService = require("../services/projectBudgetService");
+const UnitService = require("../services/unitService");
+const { notifyAdmins } = require("./notificationController");
+
+// Build order lines from the request body and verify the items
+// Returns { lines } or { status, message } on failure
+const buildOrderLines = async (lines, tenantId) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { status: 400, message: "Please provide at least one line" };
+  }
+
+  const orderLines = [];
+  for (const line of lines) {
+    if (!line.item || !line.quantity || line.rate === undefined) {
+      return {
+        status: 400,
+        message: "Each line requires item, quantity and rate",
+      };
+    }
+
+    const item = await Item.findOne({ _id: line.item, tenantId });
+    if (!item) {
+      return { status: 404, message: "Item not found in inventory" };
+    }
+
+    let unit;
+    try {
+      unit = UnitService.convert(item, line.quantity, line.unit);
+    } catch (unitError) {
+      return { status: 400, message: unitError.message };
+    }
+
+    orderLines.push({
+      item: item._id,
+      itemCode: item.itemCode,
+      itemName: item.name,
+      description: line.description || "",
+      quantity: line.quantity,
+      ...unit,
+      rate: line.rate,
+      costCode: line.costCode,
+    });
+  }
+
+  try {
+    await ProjectBudgetService.resolveCostCodes(tenantId, orderLines);
+  } catch (costCodeError) {
+    return { status: 400, message: costCodeError.message };
+  }
+
+  return { lines: orderLines };
+};
+
+// Let admins know a purchase order is waiting for approval
+const notifyPurchaseOrderSubmitted = async (req, purchaseOrder) => {
+  try {
+    await notifyAdmins({
+      tenantId: req.tenantId,
+      sender: req.user._id,
+      type: "purchase_order_submitted",
+      title: "Purchase Order Awaiting Approval",
+      message: `${purchaseOrder.poNumber} for ${
+        purchaseOrder.vendorName
+      } (${purchaseOrder.totalAmount.toLocaleString()}) needs approval`,
+      entityType: "purchase_order",
+      entityId: purchaseOrder._id,
+      metadata: { poNumber: purchaseOrder.poNumber },
+    });
+  } catch (error) {
+    console.error("Error notifying admins of purchase order:", error);
+  }
+};
+
+// @desc    Get all purchase orders
+// @route   GET /api/purchase-orders
+// @access  Private
+exports.getPurchaseOrders = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const { status, supplier, project } = query;
+
+    const filter = { tenantId: req.tenantId };
+    if (status) filter.status = status;
+    if (supplier) filter.supplier = supplier;
+    if (project) filter.project = project;
+
+    const purchaseOrders = await PurchaseOrder.find(filter)
+      .populate("supplier", "name code")
+      .populate("project", "name code")
+      .populate("createdBy", "name email")
+      .populate("approvedBy", "name email")
+      .sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: purchaseOrders.length,
+      data: purchaseOrders,
+    });
+  } catch (error) {
+    console.error("Get purchase orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching purchase orders",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single purchase order with its GRNs and bills
+// @route   GET /api/purchase-orders/:id
+// @access  Private
+exports.getPurchaseOrderById = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("supplier", "name code email phone address")
+      .populate("project", "name code")
+      .populate("lines.item", "name itemCode measurement")
+      .populate("createdBy", "name email")
+      .populate("approvedBy", "name email");
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    const goodsReceivedNotes = await GoodsReceivedNote.find({
+      tenantId: req.tenantId,
+      purchaseOrder: purchaseOrder._id,
+    }).sort({ date: 1 });
+
+    const bills = await Purchase.find({
+      tenantId: req.tenantId,
+      purchaseOrder: purchaseOrder._id,
+    })
+      .select(
+        "serialNo date vendorInvoiceNo netAmount matchStatus matchVariances paymentStatus"
+      )
+      .sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...purchaseOrder.toObject(),
+        goodsReceivedNotes,
+        bills,
+      },
+    });
+  } catch (error) {
+    console.error("Get purchase order by ID error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching purchase order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new purchase order
+// @route   POST /api/purchase-orders
+// @access  Private
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    const {
+      date,
+      expectedDeliveryDate,
+      supplier,
+      project,
+      deliveryLocation,
+      lines,
+      remarks,
+      submit,
+    } = req.body;
+
+    // Validation
+    if (!supplier) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a supplier",
+      });
+    }
+
+    const supplierExists = await Supplier.findOne({
+      _id: supplier,
+      tenantId: req.tenantId,
+    });
+    if (!supplierExists) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found",
+      });
+    }
+
+    const orderLines = await buildOrderLines(lines, req.tenantId);
+    if (!orderLines.lines) {
+      return res.status(orderLines.status).json({
+        success: false,
+        message: orderLines.message,
+      });
+    }
+
+    const count = await PurchaseOrder.countDocuments({
+      tenantId: req.tenantId,
+    });
+
+    const purchaseOrder = await PurchaseOrder.create({
+      tenantId: req.tenantId,
+      poNumber: `PO${String(count + 1).padStart(6, "0")}`,
+      date: date || new Date(),
+      expectedDeliveryDate,
+      supplier: supplierExists._id,
+      vendorCode: supplierExists.code,
+      vendorName: supplierExists.name,
+      project: project || null,
+      deliveryLocation: deliveryLocation || "",
+      lines: orderLines.lines,
+      remarks: remarks || "",
+      status: submit ? "Pending Approval" : "Draft",
+      createdBy: req.user._id,
+    });
+
+    if (purchaseOrder.status === "Pending Approval") {
+      await notifyPurchaseOrderSubmitted(req, purchaseOrder);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Purchase order created successfully",
+      data: purchaseOrder,
+    });
+  } catch (error) {
+    console.error("Create purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating purchase order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update purchase order (draft or pending approval only)
+// @route   PUT /api/purchase-orders/:id
+// @access  Private
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    if (!["Draft", "Pending Approval"].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a purchase order that is ${purchaseOrder.status.toLowerCase()}`,
+      });
+    }
+
+    const {
+      date,
+      expectedDeliveryDate,
+      project,
+      deliveryLocation,
+      lines,
+      remarks,
+    } = req.body;
+
+    if (lines) {
+      const orderLines = await buildOrderLines(lines, req.tenantId);
+      if (!orderLines.lines) {
+        return res.status(orderLines.status).json({
+          success: false,
+          message: orderLines.message,
+        });
+      }
+      purchaseOrder.lines = orderLines.lines;
+    }
+
+    if (date) purchaseOrder.date = date;
+    if (expectedDeliveryDate !== undefined)
+      purchaseOrder.expectedDeliveryDate = expectedDeliveryDate;
+    if (project !== undefined) purchaseOrder.project = project || null;
+    if (deliveryLocation !== undefined)
+      purchaseOrder.deliveryLocation = deliveryLocation;
+    if (remarks !== undefined) purchaseOrder.remarks = remarks;
+
+    await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Purchase order updated successfully",
+      data: purchaseOrder,
+    });
+  } catch (error) {
+    console.error("Update purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating purchase order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Submit a draft purchase order for approval
+// @route   PUT /api/purchase-orders/:id/submit
+// @access  Private
+exports.submitPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    if (purchaseOrder.status !== "Draft") {
+      return res.status(400).json({
+        success: false,
+        message: "Only draft purchase orders can be submitted",
+      });
+    }
+
+    purchaseOrder.status = "Pending Approval";
+    await purchaseOrder.save();
+
+    await notifyPurchaseOrderSubmitted(req, purchaseOrder);
+
+    res.status(200).json({
+      success: true,
+      message: "Purchase order submitted for approval",
+      data: purchaseOrder,
+    });
+  } catch (error) {
+    console.error("Submit purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error submitting purchase order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve a purchase order
+// @route   PUT /api/purchase-orders/:id/approve
+// @access  Private/Admin
+exports.approvePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    if (!["Draft", "Pending Approval"].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Purchase order is already ${purchaseOrder.status.toLowerCase()}`,
+      });
+    }
+
+    purchaseOrder.status = "Approved";
+    purchaseOrder.approvedBy = req.user._id;
+    purchaseOrder.approvedAt = new Date();
+    await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Purchase order approved successfully",
+      data: purchaseOrder,
+    });
+  } catch (error) {
+    console.error("Approve purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error approving purchase order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a purchase order (nothing received yet)
+// @route   PUT /api/purchase-orders/:id/cancel
+// @access  Private
+exports.cancelPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    if (purchaseOrder.lines.some((line) => line.receivedQty > 0)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Cannot cancel a purchase order with goods received against it",
+      });
+    }
+
+    purchaseOrder.status = "Cancelled";
+    await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Purchase order cancelled successfully",
+      data: purchaseOrder,
+    });
+  } catch (error) {
+    console.error("Cancel purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling purchase order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a draft purchase order
+// @route   DELETE /api/purchase-orders/:id
+// @access  Private
+exports.deletePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    if (purchaseOrder.status !== "Draft") {
+      return res.status(400).json({
+        success: false,
+        message: "Only draft purchase orders can be deleted; cancel it instead",
+      });
+    }
+
+    await PurchaseOrder.findByIdAndDelete(purchaseOrder._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Purchase order deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting purchase order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Generate next PO number
+// @route   GET /api/purchase-orders/generate-serial
+// @access  Private
+exports.generatePONumber = async (req, res) => {
+  try {
+    const count = await PurchaseOrder.countDocuments({
+      tenantId: req.tenantId,
+    });
+    const poNumber = `PO${String(count + 1).padStart(6, "0")}`;
+
+    res.status(200).json({
+      success: true,
+      data: { poNumber },
+    });
+  } catch (error) {
+    console.error("Error generating PO number:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,351 @@
+const PurchaseRequisition = require("../models/PurchaseRequisition");
+const PurchaseRequisitionService = require("../services/purchaseRequisitionService");
+const { notifyAdmins } = require("./notificationController");
+
+// Let admins know the reorder engine raised requisitions
+const notifyRequisitionsGenerated = async (req, requisitions) => {
+  try {
+    const total = requisitions.reduce(
+      (sum, requisition) => sum + requisition.totalAmount,
+      0
+    );
+    await notifyAdmins({
+      tenantId: req.tenantId,
+      sender: req.user._id,
+      type: "purchase_requisition_generated",
+      title: "Purchase Requisitions Generated",
+      message: `${requisitions.length} draft requisition${
+        requisitions.length === 1 ? "" : "s"
+      } (${requisitions
+        .map((requisition) => requisition.requisitionNo)
+        .join(", ")}) raised for items at their reorder point, estimated ${total.toLocaleString()}`,
+      entityType: "purchase_requisition",
+      entityId: requisitions[0]._id,
+      metadata: {
+        requisitions: requisitions.map((requisition) => requisition._id),
+      },
+    });
+  } catch (error) {
+    console.error("Error notifying admins of requisitions:", error);
+  }
+};
+
+// Let admins know a requisition is waiting for approval
+const notifyRequisitionSubmitted = async (req, requisition, request) => {
+  try {
+    await notifyAdmins({
+      tenantId: req.tenantId,
+      sender: req.user._id,
+      type: "request_created",
+      title: "New Purchase Order from Requisition Request",
+      message: `${req.user.name} has submitted requisition ${
+        requisition.requisitionNo
+      } (${requisition.totalAmount.toLocaleString()}) to be ordered`,
+      entityType: "request_approval",
+      entityId: request._id,
+      metadata: {
+        requestType: request.requestType,
+        requisitionNo: requisition.requisitionNo,
+      },
+    });
+  } catch (error) {
+    console.error("Error notifying admins of requisition:", error);
+  }
+};
+
+// @desc    Get purchase requisitions
+// @route   GET /api/purchase-requisitions
+// @access  Private
+const getAllPurchaseRequisitions = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const filter = { tenantId: req.tenantId };
+    if (query.status) filter.status = query.status;
+    if (query.source) filter.source = query.source;
+    if (query.supplier) filter.supplier = query.supplier;
+
+    const requisitions = await PurchaseRequisition.find(filter)
+      .populate("supplier", "code name")
+      .populate("warehouse", "code name")
+      .populate("createdBy", "name email")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: requisitions.length,
+      data: requisitions,
+    });
+  } catch (error) {
+    console.error("Get purchase requisitions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching purchase requisitions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get items due for reordering with suggested quantities
+// @route   GET /api/purchase-requisitions/suggestions
+// @access  Private
+const getReorderSuggestions = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const suggestions = await PurchaseRequisitionService.getSuggestions(
+      req.tenantId,
+      {
+        lookbackDays: query.lookbackDays,
+        leadTimeDays: query.leadTimeDays,
+        coverDays: query.coverDays,
+        item: query.item,
+        all: query.all === "true",
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions,
+    });
+  } catch (error) {
+    console.error("Get reorder suggestions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reorder suggestions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Raise draft requisitions for items due for reordering
+// @route   POST /api/purchase-requisitions/generate
+// @access  Private
+const generatePurchaseRequisitions = async (req, res) => {
+  try {
+    let requisitions;
+    try {
+      requisitions = await PurchaseRequisitionService.generateRequisitions(
+        req.tenantId,
+        req.user._id,
+        req.body
+      );
+    } catch (requisitionError) {
+      return res.status(requisitionError.statusCode || 400).json({
+        success: false,
+        message: requisitionError.message,
+      });
+    }
+
+    if (requisitions.length > 0) {
+      await notifyRequisitionsGenerated(req, requisitions);
+    }
+
+    res.status(201).json({
+      success: true,
+      message:
+        requisitions.length > 0
+          ? `${requisitions.length} purchase requisition${
+              requisitions.length === 1 ? "" : "s"
+            } generated`
+          : "No items are due for reordering",
+      count: requisitions.length,
+      data: requisitions,
+    });
+  } catch (error) {
+    console.error("Generate purchase requisitions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating purchase requisitions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single purchase requisition
+// @route   GET /api/purchase-requisitions/:id
+// @access  Private
+const getPurchaseRequisitionById = async (req, res) => {
+  try {
+    const requisition = await PurchaseRequisition.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("supplier", "code name")
+      .populate("lines.supplier", "code name")
+      .populate("warehouse", "code name")
+      .populate("project", "name code")
+      .populate("approvalRequest", "status adminResponse")
+      .populate("purchaseOrders", "poNumber vendorName totalAmount status")
+      .populate("createdBy", "name email")
+      .populate("submittedBy", "name email")
+      .populate("approvedBy", "name email");
+
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase requisition not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: requisition,
+    });
+  } catch (error) {
+    console.error("Get purchase requisition error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching purchase requisition",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Raise a purchase requisition
+// @route   POST /api/purchase-requisitions
+// @access  Private
+const createPurchaseRequisition = async (req, res) => {
+  try {
+    let requisition;
+    try {
+      requisition = await PurchaseRequisitionService.createRequisition(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (requisitionError) {
+      return res.status(requisitionError.statusCode || 400).json({
+        success: false,
+        message: requisitionError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Purchase requisition created successfully",
+      data: requisition,
+    });
+  } catch (error) {
+    console.error("Create purchase requisition error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating purchase requisition",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update a draft purchase requisition
+// @route   PUT /api/purchase-requisitions/:id
+// @access  Private
+const updatePurchaseRequisition = async (req, res) => {
+  try {
+    let requisition;
+    try {
+      requisition = await PurchaseRequisitionService.updateRequisition(
+        req.tenantId,
+        req.params.id,
+        req.body
+      );
+    } catch (requisitionError) {
+      return res.status(requisitionError.statusCode || 400).json({
+        success: false,
+        message: requisitionError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Purchase requisition updated successfully",
+      data: requisition,
+    });
+  } catch (error) {
+    console.error("Update purchase requisition error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating purchase requisition",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Submit a purchase requisition for approval
+// @route   PUT /api/purchase-requisitions/:id/submit
+// @access  Private
+const submitPurchaseRequisition = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await PurchaseRequisitionService.submitRequisition(
+        req.tenantId,
+        req.params.id,
+        req.user._id
+      );
+    } catch (requisitionError) {
+      return res.status(requisitionError.statusCode || 400).json({
+        success: false,
+        message: requisitionError.message,
+      });
+    }
+
+    await notifyRequisitionSubmitted(req, result.requisition, result.request);
+
+    res.status(200).json({
+      success: true,
+      message: "Purchase requisition submitted. Waiting for admin approval.",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Submit purchase requisition error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error submitting purchase requisition",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a purchase requisition that has not been ordered
+// @route   PUT /api/purchase-requisitions/:id/cancel
+// @access  Private
+const cancelPurchaseRequisition = async (req, res) => {
+  try {
+    let requisition;
+    try {
+      requisition = await PurchaseRequisitionService.cancelRequisition(
+        req.tenantId,
+        req.params.id,
+        req.body.reason
+      );
+    } catch (requisitionError) {
+      return res.status(requisitionError.statusCode || 400).json({
+        success: false,
+        message: requisitionError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Purchase requisition cancelled",
+      data: requisition,
+    });
+  } catch (error) {
+    console.error("Cancel purchase requisition error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling purchase requisition",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllPurchaseRequisitions,
+  getReorderSuggestions,
+  generatePurchaseRequisitions,
+  getPurchaseRequisitionById,
+  createPurchaseRequisition,
+  updatePurchaseRequisition,
+  submitPurchaseRequisition,
+  cancelPurchaseRequisition,
+};
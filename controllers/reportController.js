@@ -2,6 +2,9 @@ const SalesInvoice = require("../models/SalesInvoice");
 const Purchase = require("../models/Purchase");
 const BankPayment = require("../models/BankPayment");
 const Item = require("../models/Item");
+const TransactionService = require("../services/transactionService");
+const InventoryCostingService = require("../services/inventoryCostingService");
+const UnitService = require("../services/unitService");
 
 // @desc    Get Income Statement
 // @route   GET /api/reports/income-statement
@@ -25,12 +28,14 @@ const getIncomeStatement = async (req, res) => {
       0
     );
 
-    // Get all purchases (Direct Costs)
-    const purchases = await Purchase.find(dateFilter);
-    const totalPurchases = purchases.reduce(
-      (sum, purchase) => sum + (purchase.netAmount || 0),
-      0
-    );
+    // Purchases go into inventory; cost is recognised as stock is sold or
+    // issued to project sites, valued from the stock ledger
+    const { costOfGoodsSold, materialsIssued } =
+      await InventoryCostingService.getCostOfSales(
+        req.tenantId,
+        startDate,
+        endDate
+      );
 
     // Get all bank payments (Operating Expenses)
     const bankPayments = await BankPayment.find(dateFilter);
@@ -89,8 +94,8 @@ const getIncomeStatement = async (req, res) => {
       }
     });
 
-    // Add purchases to material expense
-    expenseCategories.materialExpense += totalPurchases;
+    // Add material consumed on project sites to material expense
+    expenseCategories.materialExpense += materialsIssued;
 
     // Calculate totals
     const totalOperatingExpenses = Object.values(expenseCategories).reduce(
@@ -98,7 +103,7 @@ const getIncomeStatement = async (req, res) => {
       0
     );
 
-    const grossProfit = totalRevenue - totalOperatingExpenses;
+    const grossProfit = totalRevenue - costOfGoodsSold;
 
     // For now, other income is from any received payments not categorized
     const otherIncome = salesInvoices.reduce(
@@ -107,12 +112,13 @@ const getIncomeStatement = async (req, res) => {
       0
     );
 
-    const netIncome = grossProfit + otherIncome;
+    const netIncome = grossProfit - totalOperatingExpenses + otherIncome;
 
     res.status(200).json({
       success: true,
       data: {
         revenue: totalRevenue,
+        costOfGoodsSold,
         expenses: expenseCategories,
         totalOperatingExpenses,
         grossProfit,
@@ -154,9 +160,14 @@ const getInventoryReport = async (req, res) => {
     const inventoryReport = await Promise.all(
       items.map(async (item) => {
         // Calculate total purchased quantity
-        const purchasedQty = purchases
-          .filter((p) => p.itemCode === item.itemCode)
-          .reduce((sum, p) => sum + (p.quantity || 0), 0);
+        let purchasedQty = 0;
+        purchases.forEach((purchase) => {
+          (purchase.lines || []).forEach((line) => {
+            if (line.itemCode === item.itemCode) {
+              purchasedQty += UnitService.baseQuantity(line);
+            }
+          });
+        });
 
         // Calculate total sold quantity from sales invoices
         let soldQty = 0;
@@ -164,7 +175,7 @@ const getInventoryReport = async (req, res) => {
           const invoiceItems = invoice.items || [];
           invoiceItems.forEach((invItem) => {
             if (invItem.itemCode === item.itemCode) {
-              soldQty += invItem.quantity || 0;
+              soldQty += UnitService.baseQuantity(invItem);
             }
           });
         });
@@ -298,15 +309,18 @@ const getSupplierLedger = async (req, res) => {
         date: purchase.date,
         type: "Purchase",
         reference: purchase.purchaseNo || "N/A",
-        description: `${purchase.itemName || "Purchase"} - Qty: ${
-          purchase.quantity
-        }`,
+        description: purchase.lines
+          .map((line) => `${line.itemName} - Qty: ${line.quantity}`)
+          .join(", "),
         debit: purchase.netAmount || 0,
         credit: 0,
-        itemCode: purchase.itemCode,
-        itemName: purchase.itemName,
-        quantity: purchase.quantity,
-        rate: purchase.rate,
+        lines: purchase.lines.map((line) => ({
+          itemCode: line.itemCode,
+          itemName: line.itemName,
+          quantity: line.quantity,
+          rate: line.rate,
+          netAmount: line.netAmount,
+        })),
       });
     });
 
@@ -382,6 +396,7 @@ const getProjectLedger = async (req, res) => {
     const { startDate, endDate } = req.query;
 
     const AccountingService = require("../services/accountingService");
+    const MaterialIssueService = require("../services/materialIssueService");
     const Project = require("../models/Project");
 
     // Verify project exists
@@ -398,6 +413,10 @@ const getProjectLedger = async (req, res) => {
       startDate,
       endDate
     );
+    const materials = await MaterialIssueService.getProjectMaterials(
+      req.tenantId,
+      projectId
+    );
 
     res.status(200).json({
       success: true,
@@ -411,6 +430,7 @@ const getProjectLedger = async (req, res) => {
           status: project.status,
         },
         ...ledger,
+        materials,
       },
     });
   } catch (error) {
@@ -490,7 +510,10 @@ const getInventoryReportV2 = async (req, res) => {
   try {
     const AccountingService = require("../services/accountingService");
 
-    const report = await AccountingService.getInventoryReport();
+    const query = req.sanitizedQuery || req.query;
+    const report = await AccountingService.getInventoryReport(req.tenantId, {
+      unit: query.unit,
+    });
 
     res.status(200).json({
       success: true,
@@ -521,6 +544,9 @@ const recordPaymentReceipt = async (req, res) => {
       date,
       reference,
       description,
+      plotId,
+      chequeNo,
+      chequeDate,
     } = req.body;
 
     // Validation
@@ -532,11 +558,15 @@ const recordPaymentReceipt = async (req, res) => {
     }
 
     const AccountingService = require("../services/accountingService");
+    const ReceiptService = require("../services/receiptService");
     const Customer = require("../models/Customer");
     const SalesInvoice = require("../models/SalesInvoice");
 
     // Verify customer exists
-    const customer = await Customer.findById(customerId);
+    const customer = await Customer.findOne({
+      _id: customerId,
+      tenantId: req.tenantId,
+    });
     if (!customer) {
       return res.status(404).json({
         success: false,
@@ -544,49 +574,104 @@ const recordPaymentReceipt = async (req, res) => {
       });
     }
 
-    // If invoice reference provided, update the invoice
-    if (invoiceRef) {
-      const invoice = await SalesInvoice.findOne({
+    // If a plot is provided, the payment is recorded as one of its receipts
+    let plot = null;
+    if (plotId) {
+      const Plot = require("../models/Plot");
+      plot = await Plot.findOne({
+        _id: plotId,
         tenantId: req.tenantId,
-        serialNo: invoiceRef,
+        customer: customer._id,
       });
-      if (invoice) {
-        invoice.amountReceived += amount;
-        invoice.balance = invoice.netTotal - invoice.amountReceived;
-
-        // Update status
-        if (invoice.amountReceived >= invoice.netTotal) {
-          invoice.status = "paid";
-          invoice.balance = 0;
-        } else if (invoice.amountReceived > 0) {
-          invoice.status = "partial";
-        }
-
-        await invoice.save();
+      if (!plot) {
+        return res.status(404).json({
+          success: false,
+          message: "Plot not found for this customer",
+        });
       }
     }
 
-    // Update customer balance
-    await Customer.findByIdAndUpdate(customerId, {
-      $inc: { balance: -amount },
-    });
+    // Invoice, customer balance, plot and journal entry commit together
+    let journalEntry;
+    try {
+      journalEntry = await TransactionService.run(async (session) => {
+        // If invoice reference provided, update the invoice
+        if (invoiceRef) {
+          const invoice = await SalesInvoice.findOne({
+            tenantId: req.tenantId,
+            serialNo: invoiceRef,
+          }).session(session);
+          if (invoice) {
+            invoice.amountReceived += amount;
+            invoice.amountAllocated = (invoice.amountAllocated || 0) + amount;
+            invoice.balance = invoice.netTotal - invoice.amountReceived;
+
+            // Update status
+            if (invoice.amountReceived >= invoice.netTotal) {
+              invoice.status = "paid";
+              invoice.balance = 0;
+            } else if (invoice.amountReceived > 0) {
+              invoice.status = "partial";
+            }
 
-    // Create journal entry
-    const payment = {
-      customerName,
-      amount,
-      paymentMethod,
-      bankName,
-      invoiceRef,
-      date: date || new Date(),
-      reference: reference || `PR-${Date.now()}`,
-      description: description || `Payment received from ${customerName}`,
-    };
+            await invoice.save({ session });
+          }
+        }
 
-    const journalEntry = await AccountingService.createPaymentReceiptEntry(
-      payment,
-      req.user._id
-    );
+        // Plot receipts post their own entry and customer balance
+        if (plot) {
+          const recorded = await ReceiptService.recordPlotReceipt(
+            plot,
+            {
+              amount,
+              date,
+              paymentMethod:
+                paymentMethod === "Cash" || paymentMethod === "Cheque"
+                  ? paymentMethod
+                  : "Bank Transfer",
+              bankName,
+              chequeNo,
+              chequeDate,
+              reference,
+            },
+            req.user._id,
+            session
+          );
+          return recorded.journalEntry;
+        }
+
+        // Update customer balance
+        await Customer.findByIdAndUpdate(
+          customerId,
+          { $inc: { balance: -amount } },
+          { session }
+        );
+
+        // Create journal entry
+        const payment = {
+          tenantId: req.tenantId,
+          customerName,
+          amount,
+          paymentMethod,
+          bankName,
+          invoiceRef,
+          date: date || new Date(),
+          reference: reference || `PR-${Date.now()}`,
+          description: description || `Payment received from ${customerName}`,
+        };
+
+        return AccountingService.createPaymentReceiptEntry(
+          payment,
+          req.user._id,
+          session
+        );
+      });
+    } catch (receiptError) {
+      return res.status(receiptError.statusCode || 400).json({
+        success: false,
+        message: receiptError.message,
+      });
+    }
 
     res.status(201).json({
       success: true,
@@ -599,7 +684,7 @@ const recordPaymentReceipt = async (req, res) => {
     });
   } catch (error) {
     console.error("Error recording payment receipt:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error recording payment receipt",
       error: error.message,
@@ -648,49 +733,54 @@ const recordSupplierPayment = async (req, res) => {
       });
     }
 
-    // If purchase reference provided, update the purchase
-    if (purchaseRef) {
-      const purchase = await Purchase.findOne({
-        tenantId: req.tenantId,
-        purchaseOrderNo: purchaseRef,
-      });
-      if (purchase) {
-        purchase.amountPaid = (purchase.amountPaid || 0) + amount;
-
-        // Update payment status
-        if (purchase.amountPaid >= purchase.netAmount) {
-          purchase.paymentStatus = "paid";
-        } else if (purchase.amountPaid > 0) {
-          purchase.paymentStatus = "partial";
-        }
-
-        // Add to payments array
-        purchase.payments.push({
-          amount: amount,
-          date: date || new Date(),
-          description: description || `Payment to ${supplierName}`,
-        });
+    // Bill and journal entry commit together
+    const journalEntry = await TransactionService.run(async (session) => {
+      // If purchase reference provided, update the purchase
+      if (purchaseRef) {
+        const purchase = await Purchase.findOne({
+          tenantId: req.tenantId,
+          purchaseOrderNo: purchaseRef,
+        }).session(session);
+        if (purchase) {
+          purchase.amountPaid = (purchase.amountPaid || 0) + amount;
+
+          // Update payment status
+          if (purchase.amountPaid >= purchase.netAmount) {
+            purchase.paymentStatus = "paid";
+          } else if (purchase.amountPaid > 0) {
+            purchase.paymentStatus = "partial";
+          }
+
+          // Add to payments array
+          purchase.payments.push({
+            amount: amount,
+            date: date || new Date(),
+            description: description || `Payment to ${supplierName}`,
+          });
 
-        await purchase.save();
+          await purchase.save({ session });
+        }
       }
-    }
 
-    // Create journal entry
-    const payment = {
-      supplierName,
-      amount,
-      paymentMethod,
-      bankName,
-      purchaseRef,
-      date: date || new Date(),
-      reference: reference || `SP-${Date.now()}`,
-      description: description || `Payment to ${supplierName}`,
-    };
-
-    const journalEntry = await AccountingService.createSupplierPaymentEntry(
-      payment,
-      req.user._id
-    );
+      // Create journal entry
+      const payment = {
+        tenantId: req.tenantId,
+        supplierName,
+        amount,
+        paymentMethod,
+        bankName,
+        purchaseRef,
+        date: date || new Date(),
+        reference: reference || `SP-${Date.now()}`,
+        description: description || `Payment to ${supplierName}`,
+      };
+
+      return AccountingService.createSupplierPaymentEntry(
+        payment,
+        req.user._id,
+        session
+      );
+    });
 
     res.status(201).json({
       success: true,
@@ -703,7 +793,7 @@ const recordSupplierPayment = async (req, res) => {
     });
   } catch (error) {
     console.error("Error recording supplier payment:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error recording supplier payment",
       error: error.message,
@@ -878,6 +968,86 @@ const getPlotsReport = async (req, res) => {
   }
 };
 
+// @desc    Get Tax Summary (output, input and withholding tax)
+// @route   GET /api/reports/tax-summary
+// @access  Private
+const getTaxSummary = async (req, res) => {
+  try {
+    const TaxService = require("../services/taxService");
+    const { startDate, endDate } = req.query;
+
+    // Default to the current month
+    const now = new Date();
+    const periodStart = startDate
+      ? new Date(startDate)
+      : new Date(now.getFullYear(), now.getMonth(), 1);
+    const periodEnd = endDate
+      ? new Date(endDate)
+      : new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+
+    if (isNaN(periodStart.getTime()) || isNaN(periodEnd.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid startDate or endDate",
+      });
+    }
+
+    const summary = await TaxService.getTaxSummary(
+      req.tenantId,
+      periodStart,
+      periodEnd
+    );
+
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    console.error("Error generating tax summary:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating tax summary",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get Aged Payables (open bills by supplier and age)
+// @route   GET /api/reports/aged-payables
+// @access  Private
+const getAgedPayables = async (req, res) => {
+  try {
+    const PayablesService = require("../services/payablesService");
+    const { asOfDate, supplierCode } = req.query;
+
+    const ageingDate = asOfDate ? new Date(asOfDate) : new Date();
+    if (isNaN(ageingDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid asOfDate",
+      });
+    }
+
+    const report = await PayablesService.getAgedPayables(
+      req.tenantId,
+      ageingDate,
+      supplierCode
+    );
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Error generating aged payables:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating aged payables",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getIncomeStatement,
   getInventoryReport,
@@ -889,4 +1059,6 @@ module.exports = {
   recordPaymentReceipt,
   recordSupplierPayment,
   getPlotsReport,
+  getTaxSummary,
+  getAgedPayables,
 };
@@ -8,6 +8,8 @@ const Purchase = require("../models/Purchase");
 const Plot = require("../models/Plot");
 const Customer = require("../models/Customer");
 const Supplier = require("../models/Supplier");
+const PurchaseRequisitionService = require("../services/purchaseRequisitionService");
+const TransactionService = require("../services/transactionService");
 const { notifyAdmins } = require("./notificationController");
 
 // @desc    Create a new request for any entity creation/editing
@@ -155,9 +157,11 @@ exports.createRequest = async (req, res) => {
       edit_supplier: "Supplier Update",
       create_user: "User Creation",
       edit_user: "User Update",
+      create_purchase_order: "Purchase Order from Requisition",
     };
 
     await notifyAdmins({
+      tenantId: req.tenantId,
       sender: req.user.id,
       type: "request_created",
       title: `New ${requestTypeLabels[requestType]} Request`,
@@ -314,50 +318,52 @@ exports.approveRequest = async (req, res) => {
     // Handle based on request type
     const requestTypeHandlers = {
       // Project handlers
-      create_project: async () => {
+      create_project: async (session) => {
         const projectData = { ...request.requestData };
 
         // No ObjectId references in Project model that need cleaning
 
-        entity = await Project.create({
+        entity = new Project({
           ...projectData,
           createdBy: request.userId._id,
         });
+        await entity.save({ session });
         await entity.populate("createdBy", "name email role");
       },
-      edit_project: async () => {
+      edit_project: async (session) => {
         entity = await Project.findOne({
           _id: entityId,
           tenantId: req.tenantId,
-        });
+        }).session(session);
         if (!entity) throw new Error("Project not found");
 
         const projectData = { ...request.requestData };
 
         Object.assign(entity, projectData);
-        await entity.save();
+        await entity.save({ session });
         await entity.populate("createdBy", "name email role");
       },
 
       // Sales Invoice handlers
-      create_sales_invoice: async () => {
+      create_sales_invoice: async (session) => {
         const invoiceData = { ...request.requestData };
 
         // Clean up empty string references
         if (invoiceData.customer === "") invoiceData.customer = undefined;
         if (invoiceData.project === "") invoiceData.project = undefined;
 
-        entity = await SalesInvoice.create({
+        entity = new SalesInvoice({
           ...invoiceData,
           tenantId: req.tenantId,
           createdBy: request.userId._id,
         });
+        await entity.save({ session });
       },
-      edit_sales_invoice: async () => {
+      edit_sales_invoice: async (session) => {
         entity = await SalesInvoice.findOne({
           _id: entityId,
           tenantId: req.tenantId,
-        });
+        }).session(session);
         if (!entity) throw new Error("Sales Invoice not found");
 
         const invoiceData = { ...request.requestData };
@@ -367,11 +373,11 @@ exports.approveRequest = async (req, res) => {
         if (invoiceData.project === "") invoiceData.project = undefined;
 
         Object.assign(entity, invoiceData);
-        await entity.save();
+        await entity.save({ session });
       },
 
       // Cash Payment handlers
-      create_cash_payment: async () => {
+      create_cash_payment: async (session) => {
         const paymentData = { ...request.requestData };
 
         // Clean up empty string references
@@ -386,17 +392,18 @@ exports.approveRequest = async (req, res) => {
           );
         }
 
-        entity = await CashPayment.create({
+        entity = new CashPayment({
           ...paymentData,
           tenantId: req.tenantId,
           createdBy: request.userId._id,
         });
+        await entity.save({ session });
       },
-      edit_cash_payment: async () => {
+      edit_cash_payment: async (session) => {
         entity = await CashPayment.findOne({
           _id: entityId,
           tenantId: req.tenantId,
-        });
+        }).session(session);
         if (!entity) throw new Error("Cash Payment not found");
 
         const paymentData = { ...request.requestData };
@@ -414,11 +421,11 @@ exports.approveRequest = async (req, res) => {
         }
 
         Object.assign(entity, paymentData);
-        await entity.save();
+        await entity.save({ session });
       },
 
       // Bank Payment handlers
-      create_bank_payment: async () => {
+      create_bank_payment: async (session) => {
         const paymentData = { ...request.requestData };
 
         // Clean up empty string references
@@ -433,17 +440,18 @@ exports.approveRequest = async (req, res) => {
           );
         }
 
-        entity = await BankPayment.create({
+        entity = new BankPayment({
           ...paymentData,
           tenantId: req.tenantId,
           createdBy: request.userId._id,
         });
+        await entity.save({ session });
       },
-      edit_bank_payment: async () => {
+      edit_bank_payment: async (session) => {
         entity = await BankPayment.findOne({
           _id: entityId,
           tenantId: req.tenantId,
-        });
+        }).session(session);
         if (!entity) throw new Error("Bank Payment not found");
 
         const paymentData = { ...request.requestData };
@@ -461,30 +469,32 @@ exports.approveRequest = async (req, res) => {
         }
 
         Object.assign(entity, paymentData);
-        await entity.save();
+        await entity.save({ session });
       },
 
       // Purchase handlers
-      create_purchase: async () => {
+      create_purchase: async (session) => {
         const purchaseData = { ...request.requestData };
 
         // Clean up empty string references
         if (purchaseData.project === "") purchaseData.project = undefined;
         if (purchaseData.employeeReference === "")
           purchaseData.employeeReference = undefined;
-        if (purchaseData.item === "") purchaseData.item = undefined;
+        if (purchaseData.lines)
+          purchaseData.lines = purchaseData.lines.filter((line) => line.item);
 
-        entity = await Purchase.create({
+        entity = new Purchase({
           ...purchaseData,
           tenantId: req.tenantId,
           createdBy: request.userId._id,
         });
+        await entity.save({ session });
       },
-      edit_purchase: async () => {
+      edit_purchase: async (session) => {
         entity = await Purchase.findOne({
           _id: entityId,
           tenantId: req.tenantId,
-        });
+        }).session(session);
         if (!entity) throw new Error("Purchase not found");
 
         const purchaseData = { ...request.requestData };
@@ -493,28 +503,30 @@ exports.approveRequest = async (req, res) => {
         if (purchaseData.project === "") purchaseData.project = undefined;
         if (purchaseData.employeeReference === "")
           purchaseData.employeeReference = undefined;
-        if (purchaseData.item === "") purchaseData.item = undefined;
+        if (purchaseData.lines)
+          purchaseData.lines = purchaseData.lines.filter((line) => line.item);
 
         Object.assign(entity, purchaseData);
-        await entity.save();
+        await entity.save({ session });
       },
 
       // Plot handlers
-      create_plot: async () => {
+      create_plot: async (session) => {
         const plotData = { ...request.requestData };
 
         // Clean up empty string references
         if (plotData.project === "") plotData.project = undefined;
         if (plotData.customer === "") plotData.customer = undefined;
 
-        entity = await Plot.create({
+        entity = new Plot({
           ...plotData,
           tenantId: req.tenantId,
           createdBy: request.userId._id,
         });
+        await entity.save({ session });
       },
-      edit_plot: async () => {
-        entity = await Plot.findOne({ _id: entityId, tenantId: req.tenantId });
+      edit_plot: async (session) => {
+        entity = await Plot.findOne({ _id: entityId, tenantId: req.tenantId }).session(session);
         if (!entity) throw new Error("Plot not found");
 
         const plotData = { ...request.requestData };
@@ -524,75 +536,91 @@ exports.approveRequest = async (req, res) => {
         if (plotData.customer === "") plotData.customer = undefined;
 
         Object.assign(entity, plotData);
-        await entity.save();
+        await entity.save({ session });
       },
 
       // Customer handlers
-      create_customer: async () => {
-        entity = await Customer.create({
+      create_customer: async (session) => {
+        entity = new Customer({
           ...request.requestData,
           tenantId: req.tenantId,
         });
+        await entity.save({ session });
       },
-      edit_customer: async () => {
+      edit_customer: async (session) => {
         entity = await Customer.findOne({
           _id: entityId,
           tenantId: req.tenantId,
-        });
+        }).session(session);
         if (!entity) throw new Error("Customer not found");
         Object.assign(entity, request.requestData);
-        await entity.save();
+        await entity.save({ session });
       },
 
       // Supplier handlers
-      create_supplier: async () => {
-        entity = await Supplier.create({
+      create_supplier: async (session) => {
+        entity = new Supplier({
           ...request.requestData,
           tenantId: req.tenantId,
         });
+        await entity.save({ session });
       },
-      edit_supplier: async () => {
+      edit_supplier: async (session) => {
         entity = await Supplier.findOne({
           _id: entityId,
           tenantId: req.tenantId,
-        });
+        }).session(session);
         if (!entity) throw new Error("Supplier not found");
         Object.assign(entity, request.requestData);
-        await entity.save();
+        await entity.save({ session });
       },
 
       // User handlers
-      create_user: async () => {
-        entity = await User.create({
+      create_user: async (session) => {
+        entity = new User({
           ...request.requestData,
           tenantId: req.tenantId,
         });
+        await entity.save({ session });
       },
-      edit_user: async () => {
-        entity = await User.findOne({ _id: entityId, tenantId: req.tenantId });
+      edit_user: async (session) => {
+        entity = await User.findOne({ _id: entityId, tenantId: req.tenantId }).session(session);
         if (!entity) throw new Error("User not found");
         Object.assign(entity, request.requestData);
-        await entity.save();
+        await entity.save({ session });
+      },
+
+      // Purchase requisition handler, raises its purchase orders
+      create_purchase_order: async (session) => {
+        entity = await PurchaseRequisitionService.convertToOrders(
+          req.tenantId,
+          entityId,
+          req.user.id,
+          session
+        );
       },
     };
 
-    // Execute the appropriate handler
     const handler = requestTypeHandlers[request.requestType];
-    if (handler) {
-      await handler();
-    } else {
+    if (!handler) {
       return res.status(400).json({
         success: false,
         message: "Invalid request type",
       });
     }
 
-    // Update request status
-    request.status = "approved";
-    request.adminResponse = adminResponse || "Approved";
-    request.approvedBy = req.user.id;
-    request.approvedAt = new Date();
-    await request.save();
+    // The entity, its journal entries and the approval commit together
+    await TransactionService.run(async (session) => {
+      // Execute the appropriate handler
+      await handler(session);
+
+      // Update request status
+      request.status = "approved";
+      request.adminResponse = adminResponse || "Approved";
+      request.approvedBy = req.user.id;
+      request.approvedAt = new Date();
+      await request.save({ session });
+    });
 
     await request.populate("approvedBy", "name email");
     if (request.projectId) {
@@ -619,10 +647,12 @@ exports.approveRequest = async (req, res) => {
       edit_supplier: "Supplier Update",
       create_user: "User Creation",
       edit_user: "User Update",
+      create_purchase_order: "Purchase Order from Requisition",
     };
 
     const Notification = require("../models/Notification");
     await Notification.create({
+      tenantId: req.tenantId,
       recipient: request.userId._id,
       sender: req.user.id,
       type: "request_approved",
@@ -649,7 +679,7 @@ exports.approveRequest = async (req, res) => {
     });
   } catch (error) {
     console.error("Approve request error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error approving request",
       error: error.message,
@@ -696,6 +726,22 @@ exports.rejectRequest = async (req, res) => {
       });
     }
 
+    // A rejected requisition is closed rather than ordered
+    if (request.requestType === "create_purchase_order") {
+      try {
+        await PurchaseRequisitionService.rejectRequisition(
+          req.tenantId,
+          request.entityId,
+          adminResponse
+        );
+      } catch (requisitionError) {
+        return res.status(requisitionError.statusCode || 400).json({
+          success: false,
+          message: requisitionError.message,
+        });
+      }
+    }
+
     // Update request status
     request.status = "rejected";
     request.adminResponse = adminResponse;
@@ -725,10 +771,12 @@ exports.rejectRequest = async (req, res) => {
       edit_supplier: "Supplier Update",
       create_user: "User Creation",
       edit_user: "User Update",
+      create_purchase_order: "Purchase Order from Requisition",
     };
 
     const Notification = require("../models/Notification");
     await Notification.create({
+      tenantId: req.tenantId,
       recipient: request.userId._id,
       sender: req.user.id,
       type: "request_rejected",
@@ -792,6 +840,24 @@ exports.deleteRequest = async (req, res) => {
       });
     }
 
+    // Withdrawing a requisition's request takes it back to draft
+    if (
+      request.requestType === "create_purchase_order" &&
+      request.status === "pending"
+    ) {
+      try {
+        await PurchaseRequisitionService.withdrawRequisition(
+          req.tenantId,
+          request.entityId
+        );
+      } catch (requisitionError) {
+        return res.status(requisitionError.statusCode || 400).json({
+          success: false,
+          message: requisitionError.message,
+        });
+      }
+    }
+
     await request.deleteOne();
 
     res.status(200).json({
@@ -4,6 +4,97 @@ const User = require("../models/User");
 const Project = require("../models/Project");
 const Item = require("../models/Item");
 const Plot = require("../models/Plot");
+const JournalEntry = require("../models/JournalEntry");
+const AccountingService = require("../services/accountingService");
+const TaxService = require("../services/taxService");
+const FiscalPeriodService = require("../services/fiscalPeriodService");
+const TransactionService = require("../services/transactionService");
+const StockService = require("../services/stockService");
+const UnitService = require("../services/unitService");
+const ItemCategoryService = require("../services/itemCategoryService");
+
+// Resolve the sales tax of each invoice line
+// A line tax code wins, then an explicit taxPercent, then the item's saleTaxRate,
+// then the tax code the item's category (or a category above it) names
+// Returns [{ taxCode, taxPercent }] aligned with the lines; throws on an unknown code
+const resolveItemTaxes = async (items, tenantId) => {
+  const taxes = [];
+
+  for (const item of items) {
+    if (item.taxCode) {
+      const taxCode = await TaxService.resolveTaxCode(
+        tenantId,
+        item.taxCode,
+        "Output"
+      );
+      taxes.push({ taxCode: taxCode.code, taxPercent: taxCode.rate });
+    } else if (item.taxPercent !== undefined) {
+      taxes.push({ taxCode: "", taxPercent: Number(item.taxPercent) || 0 });
+    } else if (item.itemType !== "Plot") {
+      const itemRecord = await Item.findOne({
+        tenantId,
+        itemCode: item.itemCode.toUpperCase(),
+      }).select("saleTaxRate category");
+      const [categoryDefaults] =
+        itemRecord && !itemRecord.saleTaxRate && itemRecord.category
+          ? await ItemCategoryService.getItemDefaults(tenantId, [
+              { item: itemRecord._id },
+            ])
+          : [{}];
+      if (categoryDefaults.taxCode) {
+        const taxCode = await TaxService.resolveTaxCode(
+          tenantId,
+          categoryDefaults.taxCode,
+          "Output"
+        );
+        taxes.push({ taxCode: taxCode.code, taxPercent: taxCode.rate });
+      } else {
+        taxes.push({
+          taxCode: "",
+          taxPercent: itemRecord ? itemRecord.saleTaxRate || 0 : 0,
+        });
+      }
+    } else {
+      taxes.push({ taxCode: "", taxPercent: 0 });
+    }
+  }
+
+  return taxes;
+};
+
+// Convert each invoice line to its item's base unit
+// Returns [{ unit, conversionFactor, baseQuantity }] aligned with the lines;
+// throws on a unit the item is not sold in
+const resolveItemUnits = async (items, tenantId) => {
+  const units = [];
+
+  for (const item of items) {
+    const itemRecord =
+      item.itemType !== "Plot" &&
+      (await Item.findOne({
+        tenantId,
+        itemCode: item.itemCode.toUpperCase(),
+      }).select("itemCode measurement unitConversions"));
+    units.push(
+      itemRecord
+        ? UnitService.convert(itemRecord, item.quantity, item.unit)
+        : { unit: item.unit, conversionFactor: 1, baseQuantity: item.quantity }
+    );
+  }
+
+  return units;
+};
+
+// Stock ledger details for stock moved by an invoice
+const saleMovement = (invoice) => ({
+  movementType: "Sale",
+  source: {
+    model: "SalesInvoice",
+    id: invoice._id,
+    reference: invoice.serialNo,
+  },
+  date: invoice.date,
+});
 
 // @desc    Get all sales invoices
 // @route   GET /api/sales-invoices
@@ -83,6 +174,7 @@ exports.createSalesInvoice = async (req, res) => {
       telephone,
       items,
       inventoryLocation,
+      warehouse,
       project,
       jobNo,
       jobDescription,
@@ -147,6 +239,30 @@ exports.createSalesInvoice = async (req, res) => {
       }
     }
 
+    // Resolve sales tax and units for every line
+    let itemTaxes;
+    let itemUnits;
+    try {
+      itemTaxes = await resolveItemTaxes(items, req.tenantId);
+      itemUnits = await resolveItemUnits(items, req.tenantId);
+    } catch (lineError) {
+      return res.status(400).json({
+        success: false,
+        message: lineError.message,
+      });
+    }
+
+    // Location the stock is sold from (the default when not given)
+    let location;
+    try {
+      location = await StockService.resolveWarehouse(req.tenantId, warehouse);
+    } catch (warehouseError) {
+      return res.status(warehouseError.statusCode || 400).json({
+        success: false,
+        message: warehouseError.message,
+      });
+    }
+
     // Create sales invoice data
     const salesInvoiceData = {
       tenantId: req.tenantId,
@@ -160,22 +276,24 @@ exports.createSalesInvoice = async (req, res) => {
       customerName,
       address: address || "",
       telephone: telephone || "",
-      items: items.map((item) => ({
+      items: items.map((item, index) => ({
         itemType: item.itemType || "Inventory",
         itemCode: item.itemCode.toUpperCase(),
         description: item.description || "",
         quantity: item.quantity,
-        unit: item.unit,
+        ...itemUnits[index],
         rate: item.rate,
         grossAmount: item.grossAmount || item.quantity * item.rate,
         discountPercent: item.discountPercent || 0,
         discount: item.discount || 0,
+        ...itemTaxes[index],
         netAmount:
           item.netAmount || item.quantity * item.rate - (item.discount || 0),
         plot: item.plot || null,
         item: item.item || null,
       })),
-      inventoryLocation: inventoryLocation || "",
+      inventoryLocation: inventoryLocation || location.name,
+      warehouse: location._id,
       project: project || null,
       jobNo: jobNo || "",
       jobDescription: jobDescription || "",
@@ -192,6 +310,7 @@ exports.createSalesInvoice = async (req, res) => {
       if (item.itemType === "Plot") {
         // Validate plot stock
         const plotRecord = await Plot.findOne({
+          tenantId: req.tenantId,
           plotNumber: item.itemCode.toUpperCase(),
         });
         if (plotRecord) {
@@ -252,16 +371,23 @@ exports.createSalesInvoice = async (req, res) => {
       } else {
         // Validate inventory item stock
         const itemRecord = await Item.findOne({
+          tenantId: req.tenantId,
           itemCode: item.itemCode.toUpperCase(),
         });
         if (itemRecord) {
-          const availableStock = itemRecord.currentStock || 0;
-          if (availableStock < item.quantity) {
+          const availableStock = await StockService.getAvailable(
+            req.tenantId,
+            itemRecord,
+            location._id
+          );
+          const requested = itemUnits[items.indexOf(item)].baseQuantity;
+          if (availableStock < requested) {
             stockValidation.push({
               itemCode: item.itemCode,
               itemName: itemRecord.name,
-              requested: item.quantity,
+              requested,
               available: availableStock,
+              unit: itemRecord.measurement,
               type: "Inventory",
             });
           }
@@ -278,56 +404,85 @@ exports.createSalesInvoice = async (req, res) => {
       });
     }
 
-    // Create new sales invoice
-    const salesInvoice = await SalesInvoice.create(salesInvoiceData);
+    // Invoice, journal entry, stock and customer balance commit together
+    const salesInvoice = await TransactionService.run(async (session) => {
+      const [invoice] = await SalesInvoice.create([salesInvoiceData], {
+        session,
+      });
 
-    // Deduct stock for all items in the invoice
-    for (const item of salesInvoice.items) {
-      if (item.itemType === "Plot") {
-        // Update plot stock
-        const plotRecord = await Plot.findOne({ plotNumber: item.itemCode });
-        if (plotRecord) {
-          // Increment sold stock
-          plotRecord.soldStock = (plotRecord.soldStock || 0) + item.quantity;
-          // Calculate available stock
-          plotRecord.availableStock =
-            plotRecord.totalStock - plotRecord.soldStock;
-
-          // If all stock is sold, mark as Sold and link customer
-          if (plotRecord.availableStock === 0) {
-            plotRecord.status = "Sold";
-            plotRecord.customer = customer;
-          }
+      // Deduct stock for all items in the invoice
+      for (const item of invoice.items) {
+        if (item.itemType === "Plot") {
+          // Update plot stock
+          const plotRecord = await Plot.findOne({
+            tenantId: req.tenantId,
+            plotNumber: item.itemCode,
+          }).session(session);
+          if (plotRecord) {
+            // Increment sold stock
+            plotRecord.soldStock = (plotRecord.soldStock || 0) + item.quantity;
+            // Calculate available stock
+            plotRecord.availableStock =
+              plotRecord.totalStock - plotRecord.soldStock;
 
-          // Update amount received and balance
-          const itemTotal = item.netAmount || item.quantity * item.rate;
-          plotRecord.amountReceived =
-            (plotRecord.amountReceived || 0) + (amountReceived || 0);
-          plotRecord.balance =
-            plotRecord.grossAmount - plotRecord.amountReceived;
+            // If all stock is sold, mark as Sold and link customer
+            if (plotRecord.availableStock === 0) {
+              plotRecord.status = "Sold";
+              plotRecord.customer = customer;
+            }
 
-          await plotRecord.save();
-        }
-      } else {
-        // Update inventory item stock
-        const itemRecord = await Item.findOne({ itemCode: item.itemCode });
-        if (itemRecord) {
-          await Item.findByIdAndUpdate(itemRecord._id, {
-            $inc: { currentStock: -item.quantity },
-          });
+            // Update amount received and balance
+            plotRecord.amountReceived =
+              (plotRecord.amountReceived || 0) + (amountReceived || 0);
+            plotRecord.balance =
+              plotRecord.grossAmount - plotRecord.amountReceived;
+
+            await plotRecord.save({ session });
+          }
+        } else {
+          // Update inventory item stock at the invoice's location
+          const itemRecord = await Item.findOne({
+            tenantId: req.tenantId,
+            itemCode: item.itemCode,
+          }).session(session);
+          if (itemRecord) {
+            const valuation = await StockService.adjust(
+              req.tenantId,
+              itemRecord._id,
+              invoice.warehouse,
+              -UnitService.baseQuantity(item),
+              session,
+              saleMovement(invoice)
+            );
+            item.costAmount = -valuation.value;
+          }
         }
       }
-    }
 
-    // Update customer balance
-    const netTotal = salesInvoice.netTotal;
-    const balance = salesInvoice.balance;
+      // Cost of goods sold comes off inventory at its ledger cost
+      const costEntry = await AccountingService.createCostOfSalesJournalEntry(
+        invoice,
+        req.user._id,
+        session
+      );
+      if (costEntry) {
+        invoice.costOfSalesEntry = costEntry._id;
+        await invoice.save({ session });
+      }
 
-    await Customer.findByIdAndUpdate(customer, {
-      $inc: {
-        totalPurchase: netTotal,
-        balance: balance,
-      },
+      // Update customer balance
+      await Customer.findByIdAndUpdate(
+        customer,
+        {
+          $inc: {
+            totalPurchase: invoice.netTotal,
+            balance: invoice.balance,
+          },
+        },
+        { session }
+      );
+
+      return invoice;
     });
 
     // Populate references before sending response
@@ -342,7 +497,7 @@ exports.createSalesInvoice = async (req, res) => {
     });
   } catch (error) {
     console.error("Create sales invoice error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error creating sales invoice",
       error: error.message,
@@ -350,6 +505,19 @@ exports.createSalesInvoice = async (req, res) => {
   }
 };
 
+// Invoice fields the sale's journal entry is built from
+const SALE_POSTING_FIELDS = [
+  "serialNo",
+  "date",
+  "customerName",
+  "project",
+  "items",
+  "additionalDiscount",
+  "carriageFreight",
+  "amountReceived",
+  "status",
+];
+
 // @desc    Update sales invoice
 // @route   PUT /api/sales-invoices/:id
 // @access  Private
@@ -367,6 +535,29 @@ exports.updateSalesInvoice = async (req, res) => {
       });
     }
 
+    // Progress billing invoices are fixed by their approved certificate
+    if (salesInvoice.paymentCertificate) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This invoice was raised by a payment certificate and cannot be changed; correct it on the next certificate",
+      });
+    }
+
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      salesInvoice.date,
+      req.user._id
+    );
+    if (req.body.date) {
+      await FiscalPeriodService.assertPeriodOpen(
+        req.tenantId,
+        req.body.date,
+        req.user._id
+      );
+    }
+
     // Store old values for customer balance adjustment and stock reversal
     const oldNetTotal = salesInvoice.netTotal;
     const oldBalance = salesInvoice.balance;
@@ -386,6 +577,7 @@ exports.updateSalesInvoice = async (req, res) => {
       telephone,
       items,
       inventoryLocation,
+      warehouse,
       project,
       jobNo,
       jobDescription,
@@ -398,6 +590,70 @@ exports.updateSalesInvoice = async (req, res) => {
       isActive,
     } = req.body;
 
+    // Receipts allocated to the invoice are part of amountReceived and are
+    // only undone by cancelling the receipt
+    const amountAllocated = salesInvoice.amountAllocated || 0;
+    if (
+      typeof amountReceived === "number" &&
+      amountReceived < amountAllocated
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount received cannot be less than the ${amountAllocated} already received through receipts`,
+      });
+    }
+
+    // Resolve sales tax and units before any stock is adjusted
+    let itemTaxes = [];
+    let itemUnits = [];
+    if (items && items.length > 0) {
+      try {
+        itemTaxes = await resolveItemTaxes(items, req.tenantId);
+        itemUnits = await resolveItemUnits(items, req.tenantId);
+      } catch (lineError) {
+        return res.status(400).json({
+          success: false,
+          message: lineError.message,
+        });
+      }
+    }
+
+    // Stock is restored where it was sold from and taken from the new
+    // location, so a location change needs the items sent again
+    const oldWarehouse = await StockService.warehouseIdFor(
+      req.tenantId,
+      salesInvoice.warehouse
+    );
+    let newWarehouse = oldWarehouse;
+    if (warehouse !== undefined) {
+      let location;
+      try {
+        location = await StockService.resolveWarehouse(
+          req.tenantId,
+          warehouse
+        );
+      } catch (warehouseError) {
+        return res.status(warehouseError.statusCode || 400).json({
+          success: false,
+          message: warehouseError.message,
+        });
+      }
+      if (
+        String(location._id) !== String(oldWarehouse) &&
+        !(items && items.length > 0)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Send the invoice items to move it to another location",
+        });
+      }
+      newWarehouse = location._id;
+      salesInvoice.warehouse = location._id;
+      if (inventoryLocation === undefined) {
+        salesInvoice.inventoryLocation = location.name;
+      }
+    }
+
     // Update fields
     if (date) salesInvoice.date = date;
     if (purchaseOrderNo !== undefined)
@@ -427,277 +683,361 @@ exports.updateSalesInvoice = async (req, res) => {
     if (address !== undefined) salesInvoice.address = address;
     if (telephone !== undefined) salesInvoice.telephone = telephone;
 
-    // Handle item changes with stock adjustment
-    if (items && items.length > 0) {
-      // First, restore stock for old items
-      for (const oldItem of oldItems) {
-        if (oldItem.itemType === "Plot") {
-          const plotRecord = await Plot.findOne({
-            plotNumber: oldItem.itemCode,
-          });
-          if (plotRecord) {
-            // Restore sold stock
-            plotRecord.soldStock = Math.max(
-              0,
-              (plotRecord.soldStock || 0) - oldItem.quantity
-            );
-            plotRecord.availableStock =
-              plotRecord.totalStock - plotRecord.soldStock;
-
-            // If stock becomes available, change status
-            if (plotRecord.availableStock > 0 && plotRecord.status === "Sold") {
-              plotRecord.status = "Available";
-              plotRecord.customer = null;
+    // Stock, invoice and customer balance changes commit together
+    try {
+      await TransactionService.run(async (session) => {
+        // Handle item changes with stock adjustment
+        if (items && items.length > 0) {
+          // First, restore stock for old items
+          for (const oldItem of oldItems) {
+            if (oldItem.itemType === "Plot") {
+              const plotRecord = await Plot.findOne({
+                tenantId: req.tenantId,
+                plotNumber: oldItem.itemCode,
+              }).session(session);
+              if (plotRecord) {
+                // Restore sold stock
+                plotRecord.soldStock = Math.max(
+                  0,
+                  (plotRecord.soldStock || 0) - oldItem.quantity
+                );
+                plotRecord.availableStock =
+                  plotRecord.totalStock - plotRecord.soldStock;
+
+                // If stock becomes available, change status
+                if (
+                  plotRecord.availableStock > 0 &&
+                  plotRecord.status === "Sold"
+                ) {
+                  plotRecord.status = "Available";
+                  plotRecord.customer = null;
+                }
+
+                await plotRecord.save({ session });
+              }
+            } else {
+              const itemRecord = await Item.findOne({
+                tenantId: req.tenantId,
+                itemCode: oldItem.itemCode,
+              }).session(session);
+              if (itemRecord) {
+                await StockService.adjust(
+                  req.tenantId,
+                  itemRecord._id,
+                  oldWarehouse,
+                  UnitService.baseQuantity(oldItem),
+                  session,
+                  saleMovement(salesInvoice)
+                );
+              }
             }
-
-            await plotRecord.save();
           }
-        } else {
-          const itemRecord = await Item.findOne({ itemCode: oldItem.itemCode });
-          if (itemRecord) {
-            await Item.findByIdAndUpdate(itemRecord._id, {
-              $inc: { currentStock: oldItem.quantity },
-            });
-          }
-        }
-      }
 
-      // Validate stock availability for new items
-      const stockValidation = [];
-      for (const item of items) {
-        if (item.itemType === "Plot") {
-          const plotRecord = await Plot.findOne({
-            plotNumber: item.itemCode.toUpperCase(),
-          });
-          if (plotRecord) {
-            // For plots, check if it's already Sold AND has no available stock
-            const allowedStatuses = [
-              "Available",
-              "Booked",
-              "Hold",
-              "Under Construction",
-            ];
-
-            // Check if plot is sold with no stock available
-            if (
-              plotRecord.status === "Sold" &&
-              plotRecord.availableStock === 0
-            ) {
-              stockValidation.push({
-                itemCode: item.itemCode,
-                itemName: plotRecord.plotType + " Plot",
-                requested: item.quantity,
-                available: 0,
-                type: "Plot",
-                reason: "Plot is already sold",
-              });
-            } else if (
-              plotRecord.status === "Sold" &&
-              plotRecord.totalStock - plotRecord.soldStock < item.quantity
-            ) {
-              // If status is Sold but has some stock, check calculated available stock
-              stockValidation.push({
-                itemCode: item.itemCode,
-                itemName: plotRecord.plotType + " Plot",
-                requested: item.quantity,
-                available: plotRecord.totalStock - plotRecord.soldStock,
-                type: "Plot",
-                reason: "Insufficient available stock",
-              });
-            } else if (
-              plotRecord.status !== "Sold" &&
-              !allowedStatuses.includes(plotRecord.status)
-            ) {
-              stockValidation.push({
-                itemCode: item.itemCode,
-                itemName: plotRecord.plotType + " Plot",
-                requested: item.quantity,
-                available: 0,
-                type: "Plot",
-                reason: `Plot status is ${plotRecord.status}`,
-              });
-            } else if (plotRecord.totalStock < item.quantity) {
-              stockValidation.push({
-                itemCode: item.itemCode,
-                itemName: plotRecord.plotType + " Plot",
-                requested: item.quantity,
-                available: plotRecord.totalStock,
-                type: "Plot",
-                reason: "Requested quantity exceeds total stock",
-              });
+          // Validate stock availability for new items
+          const stockValidation = [];
+          for (const item of items) {
+            if (item.itemType === "Plot") {
+              const plotRecord = await Plot.findOne({
+                tenantId: req.tenantId,
+                plotNumber: item.itemCode.toUpperCase(),
+              }).session(session);
+              if (plotRecord) {
+                // For plots, check if it's already Sold AND has no available stock
+                const allowedStatuses = [
+                  "Available",
+                  "Booked",
+                  "Hold",
+                  "Under Construction",
+                ];
+
+                // Check if plot is sold with no stock available
+                if (
+                  plotRecord.status === "Sold" &&
+                  plotRecord.availableStock === 0
+                ) {
+                  stockValidation.push({
+                    itemCode: item.itemCode,
+                    itemName: plotRecord.plotType + " Plot",
+                    requested: item.quantity,
+                    available: 0,
+                    type: "Plot",
+                    reason: "Plot is already sold",
+                  });
+                } else if (
+                  plotRecord.status === "Sold" &&
+                  plotRecord.totalStock - plotRecord.soldStock < item.quantity
+                ) {
+                  // If status is Sold but has some stock, check calculated available stock
+                  stockValidation.push({
+                    itemCode: item.itemCode,
+                    itemName: plotRecord.plotType + " Plot",
+                    requested: item.quantity,
+                    available: plotRecord.totalStock - plotRecord.soldStock,
+                    type: "Plot",
+                    reason: "Insufficient available stock",
+                  });
+                } else if (
+                  plotRecord.status !== "Sold" &&
+                  !allowedStatuses.includes(plotRecord.status)
+                ) {
+                  stockValidation.push({
+                    itemCode: item.itemCode,
+                    itemName: plotRecord.plotType + " Plot",
+                    requested: item.quantity,
+                    available: 0,
+                    type: "Plot",
+                    reason: `Plot status is ${plotRecord.status}`,
+                  });
+                } else if (plotRecord.totalStock < item.quantity) {
+                  stockValidation.push({
+                    itemCode: item.itemCode,
+                    itemName: plotRecord.plotType + " Plot",
+                    requested: item.quantity,
+                    available: plotRecord.totalStock,
+                    type: "Plot",
+                    reason: "Requested quantity exceeds total stock",
+                  });
+                }
+              }
+            } else {
+              const itemRecord = await Item.findOne({
+                tenantId: req.tenantId,
+                itemCode: item.itemCode.toUpperCase(),
+              }).session(session);
+              if (itemRecord) {
+                const availableStock = await StockService.getAvailable(
+                  req.tenantId,
+                  itemRecord,
+                  newWarehouse,
+                  session
+                );
+                const requested = itemUnits[items.indexOf(item)].baseQuantity;
+                if (availableStock < requested) {
+                  stockValidation.push({
+                    itemCode: item.itemCode,
+                    itemName: itemRecord.name,
+                    requested,
+                    available: availableStock,
+                    unit: itemRecord.measurement,
+                    type: "Inventory",
+                  });
+                }
+              }
             }
           }
-        } else {
-          const itemRecord = await Item.findOne({
-            itemCode: item.itemCode.toUpperCase(),
-          });
-          if (itemRecord) {
-            const availableStock = itemRecord.currentStock || 0;
-            if (availableStock < item.quantity) {
-              stockValidation.push({
-                itemCode: item.itemCode,
-                itemName: itemRecord.name,
-                requested: item.quantity,
-                available: availableStock,
-                type: "Inventory",
-              });
-            }
+
+          // Abort so the stock restored above rolls back
+          if (stockValidation.length > 0) {
+            const stockError = new Error(
+              "Insufficient stock for one or more items"
+            );
+            stockError.insufficientStock = stockValidation;
+            throw stockError;
           }
-        }
-      }
 
-      // If insufficient stock, restore old items and return error
-      if (stockValidation.length > 0) {
-        // Restore old stock state
-        for (const oldItem of oldItems) {
-          if (oldItem.itemType === "Plot") {
-            const plotRecord = await Plot.findOne({
-              plotNumber: oldItem.itemCode,
-            });
-            if (plotRecord) {
-              // Restore sold stock
-              plotRecord.soldStock =
-                (plotRecord.soldStock || 0) + oldItem.quantity;
-              plotRecord.availableStock =
-                plotRecord.totalStock - plotRecord.soldStock;
-
-              // Restore status if it was sold
-              if (plotRecord.availableStock === 0) {
-                plotRecord.status = "Sold";
-                plotRecord.customer = oldCustomer;
+          // Deduct stock for new items
+          const lineCosts = [];
+          for (const item of items) {
+            if (item.itemType === "Plot") {
+              const plotRecord = await Plot.findOne({
+                tenantId: req.tenantId,
+                plotNumber: item.itemCode.toUpperCase(),
+              }).session(session);
+              if (plotRecord) {
+                // Increment sold stock
+                plotRecord.soldStock =
+                  (plotRecord.soldStock || 0) + item.quantity;
+                plotRecord.availableStock =
+                  plotRecord.totalStock - plotRecord.soldStock;
+
+                // If all stock sold, mark as Sold and link customer
+                if (plotRecord.availableStock === 0) {
+                  plotRecord.status = "Sold";
+                  plotRecord.customer = customer || salesInvoice.customer;
+                }
+
+                // Update amount received
+                const newAmountReceived =
+                  amountReceived !== undefined
+                    ? amountReceived
+                    : salesInvoice.amountReceived;
+                plotRecord.amountReceived =
+                  (plotRecord.amountReceived || 0) + newAmountReceived;
+                plotRecord.balance =
+                  plotRecord.grossAmount - plotRecord.amountReceived;
+
+                await plotRecord.save({ session });
+              }
+            } else {
+              const itemRecord = await Item.findOne({
+                tenantId: req.tenantId,
+                itemCode: item.itemCode.toUpperCase(),
+              }).session(session);
+              if (itemRecord) {
+                const valuation = await StockService.adjust(
+                  req.tenantId,
+                  itemRecord._id,
+                  newWarehouse,
+                  -itemUnits[items.indexOf(item)].baseQuantity,
+                  session,
+                  saleMovement(salesInvoice)
+                );
+                lineCosts[items.indexOf(item)] = -valuation.value;
               }
-
-              await plotRecord.save();
-            }
-          } else {
-            const itemRecord = await Item.findOne({
-              itemCode: oldItem.itemCode,
-            });
-            if (itemRecord) {
-              await Item.findByIdAndUpdate(itemRecord._id, {
-                $inc: { currentStock: -oldItem.quantity },
-              });
             }
           }
+
+          salesInvoice.items = items.map((item, index) => ({
+            itemType: item.itemType || "Inventory",
+            itemCode: item.itemCode.toUpperCase(),
+            description: item.description || "",
+            quantity: item.quantity,
+            ...itemUnits[index],
+            rate: item.rate,
+            grossAmount: item.grossAmount || item.quantity * item.rate,
+            discountPercent: item.discountPercent || 0,
+            discount: item.discount || 0,
+            ...itemTaxes[index],
+            netAmount:
+              item.netAmount ||
+              item.quantity * item.rate - (item.discount || 0),
+            plot: item.plot || null,
+            item: item.item || null,
+            costAmount: lineCosts[index] || 0,
+          }));
         }
 
-        return res.status(400).json({
-          success: false,
-          message: "Insufficient stock for one or more items",
-          insufficientStock: stockValidation,
-        });
-      }
+        if (inventoryLocation !== undefined)
+          salesInvoice.inventoryLocation = inventoryLocation;
+        if (project !== undefined) salesInvoice.project = project;
+        if (jobNo !== undefined) salesInvoice.jobNo = jobNo;
+        if (jobDescription !== undefined)
+          salesInvoice.jobDescription = jobDescription;
+        if (employeeReference !== undefined)
+          salesInvoice.employeeReference = employeeReference;
+        if (remarks !== undefined) salesInvoice.remarks = remarks;
+        if (typeof additionalDiscount === "number")
+          salesInvoice.additionalDiscount = additionalDiscount;
+        if (typeof carriageFreight === "number")
+          salesInvoice.carriageFreight = carriageFreight;
+        if (typeof amountReceived === "number")
+          salesInvoice.amountReceived = amountReceived;
+        if (status) salesInvoice.status = status;
+        if (typeof isActive === "boolean") salesInvoice.isActive = isActive;
+
+        // Re-post cost of goods sold for the new items
+        if (items && items.length > 0) {
+          if (salesInvoice.costOfSalesEntry) {
+            await AccountingService.reverseJournalEntry(
+              salesInvoice.costOfSalesEntry,
+              req.user._id,
+              `Sales Invoice ${salesInvoice.serialNo} items changed`,
+              session
+            );
+          }
+          const costEntry =
+            await AccountingService.createCostOfSalesJournalEntry(
+              salesInvoice,
+              req.user._id,
+              session
+            );
+          salesInvoice.costOfSalesEntry = costEntry ? costEntry._id : null;
+        }
 
-      // Deduct stock for new items
-      for (const item of items) {
-        if (item.itemType === "Plot") {
-          const plotRecord = await Plot.findOne({
-            plotNumber: item.itemCode.toUpperCase(),
-          });
-          if (plotRecord) {
-            // Increment sold stock
-            plotRecord.soldStock = (plotRecord.soldStock || 0) + item.quantity;
-            plotRecord.availableStock =
-              plotRecord.totalStock - plotRecord.soldStock;
+        const reposting = salesInvoice.isModified(SALE_POSTING_FIELDS);
+        await salesInvoice.save({ session });
+
+        // Replace the sale's revenue, receivable and tax entry with one at
+        // the saved amounts; its cost of goods sold entry is handled above
+        if (reposting) {
+          const saleEntries = await JournalEntry.find({
+            tenantId: req.tenantId,
+            status: "Posted",
+            "sourceTransaction.model": "SalesInvoice",
+            "sourceTransaction.id": salesInvoice._id,
+            _id: { $ne: salesInvoice.costOfSalesEntry },
+          }).session(session);
+          for (const saleEntry of saleEntries) {
+            await AccountingService.reverseJournalEntry(
+              saleEntry._id,
+              req.user._id,
+              `Sales Invoice ${salesInvoice.serialNo} updated`,
+              session
+            );
+          }
 
-            // If all stock sold, mark as Sold and link customer
-            if (plotRecord.availableStock === 0) {
-              plotRecord.status = "Sold";
-              plotRecord.customer = customer || salesInvoice.customer;
+          if (salesInvoice.status !== "cancelled") {
+            const hasPlots = salesInvoice.items.some(
+              (item) => item.itemType === "Plot"
+            );
+            if (hasPlots) {
+              await AccountingService.createPlotSalesInvoiceJournalEntry(
+                salesInvoice,
+                req.user._id,
+                session
+              );
+            } else {
+              await AccountingService.createSalesJournalEntry(
+                salesInvoice,
+                req.user._id,
+                session
+              );
             }
-
-            // Update amount received
-            const newAmountReceived =
-              amountReceived !== undefined
-                ? amountReceived
-                : salesInvoice.amountReceived;
-            plotRecord.amountReceived =
-              (plotRecord.amountReceived || 0) + newAmountReceived;
-            plotRecord.balance =
-              plotRecord.grossAmount - plotRecord.amountReceived;
-
-            await plotRecord.save();
-          }
-        } else {
-          const itemRecord = await Item.findOne({
-            itemCode: item.itemCode.toUpperCase(),
-          });
-          if (itemRecord) {
-            await Item.findByIdAndUpdate(itemRecord._id, {
-              $inc: { currentStock: -item.quantity },
-            });
           }
         }
-      }
-
-      salesInvoice.items = items.map((item) => ({
-        itemType: item.itemType || "Inventory",
-        itemCode: item.itemCode.toUpperCase(),
-        description: item.description || "",
-        quantity: item.quantity,
-        unit: item.unit,
-        rate: item.rate,
-        grossAmount: item.grossAmount || item.quantity * item.rate,
-        discountPercent: item.discountPercent || 0,
-        discount: item.discount || 0,
-        netAmount:
-          item.netAmount || item.quantity * item.rate - (item.discount || 0),
-        plot: item.plot || null,
-        item: item.item || null,
-      }));
-    }
 
-    if (inventoryLocation !== undefined)
-      salesInvoice.inventoryLocation = inventoryLocation;
-    if (project !== undefined) salesInvoice.project = project;
-    if (jobNo !== undefined) salesInvoice.jobNo = jobNo;
-    if (jobDescription !== undefined)
-      salesInvoice.jobDescription = jobDescription;
-    if (employeeReference !== undefined)
-      salesInvoice.employeeReference = employeeReference;
-    if (remarks !== undefined) salesInvoice.remarks = remarks;
-    if (typeof additionalDiscount === "number")
-      salesInvoice.additionalDiscount = additionalDiscount;
-    if (typeof carriageFreight === "number")
-      salesInvoice.carriageFreight = carriageFreight;
-    if (typeof amountReceived === "number")
-      salesInvoice.amountReceived = amountReceived;
-    if (status) salesInvoice.status = status;
-    if (typeof isActive === "boolean") salesInvoice.isActive = isActive;
-
-    await salesInvoice.save();
-
-    // Update customer balance (remove old values, add new values)
-    const newNetTotal = salesInvoice.netTotal;
-    const newBalance = salesInvoice.balance;
-
-    // If customer changed
-    if (customer && customer !== oldCustomer.toString()) {
-      // Decrease old customer balance
-      await Customer.findByIdAndUpdate(oldCustomer, {
-        $inc: {
-          totalPurchase: -oldNetTotal,
-          balance: -oldBalance,
-        },
-      });
+        // Update customer balance (remove old values, add new values)
+        const newNetTotal = salesInvoice.netTotal;
+        const newBalance = salesInvoice.balance;
+
+        // If customer changed
+        if (customer && customer !== oldCustomer.toString()) {
+          // Decrease old customer balance
+          await Customer.findByIdAndUpdate(
+            oldCustomer,
+            {
+              $inc: {
+                totalPurchase: -oldNetTotal,
+                balance: -oldBalance,
+              },
+            },
+            { session }
+          );
 
-      // Increase new customer balance
-      await Customer.findByIdAndUpdate(customer, {
-        $inc: {
-          totalPurchase: newNetTotal,
-          balance: newBalance,
-        },
+          // Increase new customer balance
+          await Customer.findByIdAndUpdate(
+            customer,
+            {
+              $inc: {
+                totalPurchase: newNetTotal,
+                balance: newBalance,
+              },
+            },
+            { session }
+          );
+        } else {
+          // Same customer, just update the difference
+          const netTotalDiff = newNetTotal - oldNetTotal;
+          const balanceDiff = newBalance - oldBalance;
+
+          await Customer.findByIdAndUpdate(
+            oldCustomer,
+            {
+              $inc: {
+                totalPurchase: netTotalDiff,
+                balance: balanceDiff,
+              },
+            },
+            { session }
+          );
+        }
       });
-    } else {
-      // Same customer, just update the difference
-      const netTotalDiff = newNetTotal - oldNetTotal;
-      const balanceDiff = newBalance - oldBalance;
-
-      await Customer.findByIdAndUpdate(oldCustomer, {
-        $inc: {
-          totalPurchase: netTotalDiff,
-          balance: balanceDiff,
-        },
+    } catch (updateError) {
+      if (!updateError.insufficientStock) throw updateError;
+      return res.status(400).json({
+        success: false,
+        message: updateError.message,
+        insufficientStock: updateError.insufficientStock,
       });
     }
 
@@ -713,7 +1053,7 @@ exports.updateSalesInvoice = async (req, res) => {
     });
   } catch (error) {
     console.error("Update sales invoice error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error updating sales invoice",
       error: error.message,
@@ -738,56 +1078,111 @@ exports.deleteSalesInvoice = async (req, res) => {
       });
     }
 
-    // Restore stock for all items in the invoice (reverse the sale)
-    for (const item of salesInvoice.items) {
-      if (item.itemType === "Plot") {
-        const plotRecord = await Plot.findOne({ plotNumber: item.itemCode });
-        if (plotRecord) {
-          // Decrement sold stock
-          plotRecord.soldStock = Math.max(
-            0,
-            (plotRecord.soldStock || 0) - item.quantity
-          );
-          // Recalculate available stock
-          plotRecord.availableStock =
-            plotRecord.totalStock - plotRecord.soldStock;
-
-          // If stock becomes available again, change status back to Available
-          if (plotRecord.availableStock > 0 && plotRecord.status === "Sold") {
-            plotRecord.status = "Available";
-            plotRecord.customer = null; // Remove customer link
-          }
+    // Progress billing invoices are fixed by their approved certificate
+    if (salesInvoice.paymentCertificate) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This invoice was raised by a payment certificate and cannot be changed; correct it on the next certificate",
+      });
+    }
 
-          // Adjust amount received and balance
-          plotRecord.amountReceived = Math.max(
-            0,
-            (plotRecord.amountReceived || 0) -
-              (salesInvoice.amountReceived || 0)
-          );
-          plotRecord.balance =
-            plotRecord.grossAmount - plotRecord.amountReceived;
+    // Documents dated in a closed fiscal period cannot be changed
+    await FiscalPeriodService.assertPeriodOpen(
+      req.tenantId,
+      salesInvoice.date,
+      req.user._id
+    );
+
+    // Reversal, stock, customer balance and the delete commit together
+    await TransactionService.run(async (session) => {
+      // Both the sale and its cost of goods sold are reversed
+      const existingEntries = await JournalEntry.find({
+        tenantId: req.tenantId,
+        status: "Posted",
+        "sourceTransaction.model": "SalesInvoice",
+        "sourceTransaction.id": salesInvoice._id,
+      }).session(session);
+      for (const existingEntry of existingEntries) {
+        await AccountingService.reverseJournalEntry(
+          existingEntry._id,
+          req.user._id,
+          `Sales Invoice ${salesInvoice.serialNo} deleted`,
+          session
+        );
+      }
 
-          await plotRecord.save();
-        }
-      } else {
-        const itemRecord = await Item.findOne({ itemCode: item.itemCode });
-        if (itemRecord) {
-          await Item.findByIdAndUpdate(itemRecord._id, {
-            $inc: { currentStock: item.quantity },
-          });
+      // Restore stock for all items in the invoice (reverse the sale)
+      const warehouseId = await StockService.warehouseIdFor(
+        req.tenantId,
+        salesInvoice.warehouse,
+        session
+      );
+      for (const item of salesInvoice.items) {
+        if (item.itemType === "Plot") {
+          const plotRecord = await Plot.findOne({
+            tenantId: req.tenantId,
+            plotNumber: item.itemCode,
+          }).session(session);
+          if (plotRecord) {
+            // Decrement sold stock
+            plotRecord.soldStock = Math.max(
+              0,
+              (plotRecord.soldStock || 0) - item.quantity
+            );
+            // Recalculate available stock
+            plotRecord.availableStock =
+              plotRecord.totalStock - plotRecord.soldStock;
+
+            // If stock becomes available again, change status back to Available
+            if (plotRecord.availableStock > 0 && plotRecord.status === "Sold") {
+              plotRecord.status = "Available";
+              plotRecord.customer = null; // Remove customer link
+            }
+
+            // Adjust amount received and balance
+            plotRecord.amountReceived = Math.max(
+              0,
+              (plotRecord.amountReceived || 0) -
+                (salesInvoice.amountReceived || 0)
+            );
+            plotRecord.balance =
+              plotRecord.grossAmount - plotRecord.amountReceived;
+
+            await plotRecord.save({ session });
+          }
+        } else {
+          const itemRecord = await Item.findOne({
+            tenantId: req.tenantId,
+            itemCode: item.itemCode,
+          }).session(session);
+          if (itemRecord) {
+            await StockService.adjust(
+              req.tenantId,
+              itemRecord._id,
+              warehouseId,
+              UnitService.baseQuantity(item),
+              session,
+              saleMovement(salesInvoice)
+            );
+          }
         }
       }
-    }
 
-    // Update customer balance (subtract invoice amounts)
-    await Customer.findByIdAndUpdate(salesInvoice.customer, {
-      $inc: {
-        totalPurchase: -salesInvoice.netTotal,
-        balance: -salesInvoice.balance,
-      },
-    });
+      // Update customer balance (subtract invoice amounts)
+      await Customer.findByIdAndUpdate(
+        salesInvoice.customer,
+        {
+          $inc: {
+            totalPurchase: -salesInvoice.netTotal,
+            balance: -salesInvoice.balance,
+          },
+        },
+        { session }
+      );
 
-    await SalesInvoice.findByIdAndDelete(req.params.id);
+      await SalesInvoice.findByIdAndDelete(req.params.id, { session });
+    });
 
     res.status(200).json({
       success: true,
@@ -795,7 +1190,7 @@ exports.deleteSalesInvoice = async (req, res) => {
     });
   } catch (error) {
     console.error("Delete sales invoice error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error deleting sales invoice",
       error: error.message,
@@ -0,0 +1,287 @@
+const StockCount = require("../models/StockCount");
+const StockCountService = require("../services/stockCountService");
+
+// @desc    Get stock counts
+// @route   GET /api/stock-counts
+// @access  Private
+const getAllStockCounts = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const filter = { tenantId: req.tenantId };
+    if (query.status) filter.status = query.status;
+    if (query.warehouse) filter.warehouse = query.warehouse;
+
+    const counts = await StockCount.find(filter)
+      .select("-lines")
+      .populate("warehouse", "code name type")
+      .populate("createdBy", "name email")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: counts.length,
+      data: counts,
+    });
+  } catch (error) {
+    console.error("Get stock counts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching stock counts",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single stock count with its variance summary
+// @route   GET /api/stock-counts/:id
+// @access  Private
+const getStockCountById = async (req, res) => {
+  try {
+    const count = await StockCount.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("warehouse", "code name type")
+      .populate("journalEntry", "entryNumber date status")
+      .populate("createdBy", "name email")
+      .populate("submittedBy", "name email")
+      .populate("approvedBy", "name email");
+
+    if (!count) {
+      return res.status(404).json({
+        success: false,
+        message: "Stock count not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...count.toObject(),
+        summary: StockCountService.getVarianceSummary(count),
+      },
+    });
+  } catch (error) {
+    console.error("Get stock count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching stock count",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Start a stock count at a location
+// @route   POST /api/stock-counts
+// @access  Private
+const createStockCount = async (req, res) => {
+  try {
+    let count;
+    try {
+      count = await StockCountService.createCount(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (countError) {
+      return res.status(countError.statusCode || 400).json({
+        success: false,
+        message: countError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Stock count started successfully",
+      data: count,
+    });
+  } catch (error) {
+    console.error("Create stock count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating stock count",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Enter counted quantities
+// @route   PUT /api/stock-counts/:id/lines
+// @access  Private
+const enterStockCounts = async (req, res) => {
+  try {
+    let count;
+    try {
+      count = await StockCountService.enterCounts(
+        req.tenantId,
+        req.params.id,
+        req.body.lines
+      );
+    } catch (countError) {
+      return res.status(countError.statusCode || 400).json({
+        success: false,
+        message: countError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Counted quantities saved",
+      data: count,
+    });
+  } catch (error) {
+    console.error("Enter stock counts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error saving counted quantities",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Submit a stock count for approval
+// @route   PUT /api/stock-counts/:id/submit
+// @access  Private
+const submitStockCount = async (req, res) => {
+  try {
+    let count;
+    try {
+      count = await StockCountService.submitCount(
+        req.tenantId,
+        req.params.id,
+        req.user._id
+      );
+    } catch (countError) {
+      return res.status(countError.statusCode || 400).json({
+        success: false,
+        message: countError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Stock count submitted for approval",
+      data: count,
+    });
+  } catch (error) {
+    console.error("Submit stock count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error submitting stock count",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve a stock count and post its variances
+// @route   PUT /api/stock-counts/:id/approve
+// @access  Private/Admin
+const approveStockCount = async (req, res) => {
+  try {
+    let count;
+    try {
+      count = await StockCountService.approveCount(
+        req.tenantId,
+        req.params.id,
+        req.user._id
+      );
+    } catch (countError) {
+      return res.status(countError.statusCode || 400).json({
+        success: false,
+        message: countError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Stock count approved and adjustments posted",
+      data: count,
+    });
+  } catch (error) {
+    console.error("Approve stock count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error approving stock count",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Send a stock count back for recounting
+// @route   PUT /api/stock-counts/:id/reject
+// @access  Private/Admin
+const rejectStockCount = async (req, res) => {
+  try {
+    let count;
+    try {
+      count = await StockCountService.rejectCount(
+        req.tenantId,
+        req.params.id,
+        req.body.reason
+      );
+    } catch (countError) {
+      return res.status(countError.statusCode || 400).json({
+        success: false,
+        message: countError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Stock count sent back for recounting",
+      data: count,
+    });
+  } catch (error) {
+    console.error("Reject stock count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error rejecting stock count",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a stock count that has not been posted
+// @route   PUT /api/stock-counts/:id/cancel
+// @access  Private
+const cancelStockCount = async (req, res) => {
+  try {
+    let count;
+    try {
+      count = await StockCountService.cancelCount(
+        req.tenantId,
+        req.params.id,
+        req.body.reason
+      );
+    } catch (countError) {
+      return res.status(countError.statusCode || 400).json({
+        success: false,
+        message: countError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Stock count cancelled",
+      data: count,
+    });
+  } catch (error) {
+    console.error("Cancel stock count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling stock count",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllStockCounts,
+  getStockCountById,
+  createStockCount,
+  enterStockCounts,
+  submitStockCount,
+  approveStockCount,
+  rejectStockCount,
+  cancelStockCount,
+};
@@ -0,0 +1,182 @@
+const StockTransfer = require("../models/StockTransfer");
+const StockTransferService = require("../services/stockTransferService");
+
+// @desc    Get stock transfers
+// @route   GET /api/stock-transfers
+// @access  Private
+const getAllStockTransfers = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const filter = { tenantId: req.tenantId };
+    if (query.status) filter.status = query.status;
+    if (query.fromWarehouse) filter.fromWarehouse = query.fromWarehouse;
+    if (query.toWarehouse) filter.toWarehouse = query.toWarehouse;
+    if (query.item) filter["lines.item"] = query.item;
+
+    const transfers = await StockTransfer.find(filter)
+      .populate("fromWarehouse", "code name type")
+      .populate("toWarehouse", "code name type")
+      .populate("dispatchedBy", "name email")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: transfers.length,
+      data: transfers,
+    });
+  } catch (error) {
+    console.error("Get stock transfers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching stock transfers",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single stock transfer
+// @route   GET /api/stock-transfers/:id
+// @access  Private
+const getStockTransferById = async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("fromWarehouse", "code name type")
+      .populate("toWarehouse", "code name type")
+      .populate("dispatchedBy", "name email")
+      .populate("receivedBy", "name email")
+      .populate("cancelledBy", "name email");
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: "Stock transfer not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: transfer,
+    });
+  } catch (error) {
+    console.error("Get stock transfer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching stock transfer",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Dispatch stock to another location
+// @route   POST /api/stock-transfers
+// @access  Private
+const createStockTransfer = async (req, res) => {
+  try {
+    let transfer;
+    try {
+      transfer = await StockTransferService.createTransfer(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (transferError) {
+      return res.status(transferError.statusCode || 400).json({
+        success: false,
+        message: transferError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Stock transfer dispatched successfully",
+      data: transfer,
+    });
+  } catch (error) {
+    console.error("Create stock transfer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating stock transfer",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Receive a stock transfer at its destination
+// @route   PUT /api/stock-transfers/:id/receive
+// @access  Private
+const receiveStockTransfer = async (req, res) => {
+  try {
+    let transfer;
+    try {
+      transfer = await StockTransferService.receiveTransfer(
+        req.tenantId,
+        req.params.id,
+        req.user._id
+      );
+    } catch (transferError) {
+      return res.status(transferError.statusCode || 400).json({
+        success: false,
+        message: transferError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Stock transfer received",
+      data: transfer,
+    });
+  } catch (error) {
+    console.error("Receive stock transfer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error receiving stock transfer",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a stock transfer in transit
+// @route   PUT /api/stock-transfers/:id/cancel
+// @access  Private
+const cancelStockTransfer = async (req, res) => {
+  try {
+    let transfer;
+    try {
+      transfer = await StockTransferService.cancelTransfer(
+        req.tenantId,
+        req.params.id,
+        req.body.reason,
+        req.user._id
+      );
+    } catch (transferError) {
+      return res.status(transferError.statusCode || 400).json({
+        success: false,
+        message: transferError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Stock transfer cancelled",
+      data: transfer,
+    });
+  } catch (error) {
+    console.error("Cancel stock transfer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling stock transfer",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllStockTransfers,
+  getStockTransferById,
+  createStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer,
+};
@@ -0,0 +1,331 @@
+const SupplierPayment = require("../models/SupplierPayment");
+const Supplier = require("../models/Supplier");
+const Purchase = require("../models/Purchase");
+const PayablesService = require("../services/payablesService");
+
+// @desc    Get all supplier payment vouchers
+// @route   GET /api/supplier-payments
+// @access  Private
+exports.getSupplierPayments = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const { supplier, status, paymentMethod, startDate, endDate } = query;
+
+    const filter = { tenantId: req.tenantId };
+    if (supplier) filter.supplier = supplier;
+    if (status) filter.status = status;
+    if (paymentMethod) filter.paymentMethod = paymentMethod;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const payments = await SupplierPayment.find(filter)
+      .populate("supplier", "name code")
+      .populate("project", "name code")
+      .populate("createdBy", "name email")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: payments.length,
+      data: payments,
+    });
+  } catch (error) {
+    console.error("Get supplier payments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching supplier payments",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single supplier payment voucher
+// @route   GET /api/supplier-payments/:id
+// @access  Private
+exports.getSupplierPaymentById = async (req, res) => {
+  try {
+    const payment = await SupplierPayment.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("supplier", "name code company phone address")
+      .populate("project", "name code")
+      .populate(
+        "allocations.purchase",
+        "serialNo vendorInvoiceNo date netAmount amountPaid paymentStatus"
+      )
+      .populate("journalEntry", "entryNumber status")
+      .populate("createdBy", "name email")
+      .populate("cancelledBy", "name email");
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier payment not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payment,
+    });
+  } catch (error) {
+    console.error("Get supplier payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching supplier payment",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a supplier's open (unpaid/partial) bills
+// @route   GET /api/supplier-payments/open-bills/:supplierId
+// @access  Private
+exports.getOpenBills = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.supplierId,
+      tenantId: req.tenantId,
+    });
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found",
+      });
+    }
+
+    const bills = await Purchase.find({
+      tenantId: req.tenantId,
+      vendorCode: supplier.code.toUpperCase(),
+      status: { $ne: "cancelled" },
+      paymentStatus: { $in: ["unpaid", "partial"] },
+    })
+      .select(
+        "serialNo vendorInvoiceNo date dueDate netAmount amountPaid paymentStatus"
+      )
+      .sort({ date: 1 });
+
+    res.json({
+      success: true,
+      count: bills.length,
+      data: bills.map((bill) => ({
+        ...bill.toObject(),
+        outstanding: bill.netAmount - (bill.amountPaid || 0),
+      })),
+    });
+  } catch (error) {
+    console.error("Get open bills error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching open bills",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create supplier payment voucher
+// @route   POST /api/supplier-payments
+// @access  Private
+exports.createSupplierPayment = async (req, res) => {
+  try {
+    const { supplier, amount, paymentMethod } = req.body;
+
+    if (!supplier || !amount || !paymentMethod) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide supplier, amount and payment method",
+      });
+    }
+
+    if (Number(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Amount must be greater than zero",
+      });
+    }
+
+    let payment;
+    try {
+      payment = await PayablesService.createPayment(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (paymentError) {
+      return res.status(400).json({
+        success: false,
+        message: paymentError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Supplier payment recorded successfully",
+      data: payment,
+    });
+  } catch (error) {
+    console.error("Create supplier payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error recording supplier payment",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update voucher details (amounts and allocations are fixed once posted)
+// @route   PUT /api/supplier-payments/:id
+// @access  Private
+exports.updateSupplierPayment = async (req, res) => {
+  try {
+    const payment = await SupplierPayment.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier payment not found",
+      });
+    }
+
+    if (payment.status === "Cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cancelled payments cannot be edited",
+      });
+    }
+
+    const { bankName, chequeNo, chequeDate, reference, description } =
+      req.body;
+    if (bankName !== undefined) payment.bankName = bankName;
+    if (chequeNo !== undefined) payment.chequeNo = chequeNo;
+    if (chequeDate !== undefined) payment.chequeDate = chequeDate;
+    if (reference !== undefined) payment.reference = reference;
+    if (description !== undefined) payment.description = description;
+
+    await payment.save();
+
+    res.json({
+      success: true,
+      message: "Supplier payment updated successfully",
+      data: payment,
+    });
+  } catch (error) {
+    console.error("Update supplier payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating supplier payment",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Allocate the unallocated part of a voucher to bills
+// @route   PUT /api/supplier-payments/:id/allocate
+// @access  Private
+exports.allocateSupplierPayment = async (req, res) => {
+  try {
+    const payment = await SupplierPayment.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier payment not found",
+      });
+    }
+
+    try {
+      await PayablesService.allocatePayment(payment, req.body.allocations);
+    } catch (allocationError) {
+      return res.status(400).json({
+        success: false,
+        message: allocationError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Payment allocated successfully",
+      data: payment,
+    });
+  } catch (error) {
+    console.error("Allocate supplier payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error allocating supplier payment",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel supplier payment (reopens bills, reverses journal entry)
+// @route   PUT /api/supplier-payments/:id/cancel
+// @access  Private
+exports.cancelSupplierPayment = async (req, res) => {
+  try {
+    const payment = await SupplierPayment.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier payment not found",
+      });
+    }
+
+    if (payment.status === "Cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Payment is already cancelled",
+      });
+    }
+
+    await PayablesService.cancelPayment(payment, req.user._id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: "Supplier payment cancelled successfully",
+      data: payment,
+    });
+  } catch (error) {
+    console.error("Cancel supplier payment error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Error cancelling supplier payment",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Generate next voucher number
+// @route   GET /api/supplier-payments/generate-serial
+// @access  Private
+exports.generateVoucherNo = async (req, res) => {
+  try {
+    const voucherNo = await PayablesService.generateVoucherNo(req.tenantId);
+
+    res.json({
+      success: true,
+      data: { voucherNo },
+    });
+  } catch (error) {
+    console.error("Generate voucher number error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating voucher number",
+      error: error.message,
+    });
+  }
+};
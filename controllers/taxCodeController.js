@@ -0,0 +1,205 @@
+const TaxCode = require("../models/TaxCode");
+
+// @desc    Get all tax codes
+// @route   GET /api/tax-codes
+// @access  Private
+const getAllTaxCodes = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const filter = { tenantId: req.tenantId };
+    if (query.taxType) filter.taxType = query.taxType;
+    if (query.includeInactive !== "true") filter.isActive = true;
+
+    const taxCodes = await TaxCode.find(filter).sort({ taxType: 1, code: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: taxCodes.length,
+      data: taxCodes,
+    });
+  } catch (error) {
+    console.error("Get all tax codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching tax codes",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single tax code by ID
+// @route   GET /api/tax-codes/:id
+// @access  Private
+const getTaxCodeById = async (req, res) => {
+  try {
+    const taxCode = await TaxCode.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!taxCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax code not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: taxCode,
+    });
+  } catch (error) {
+    console.error("Get tax code by ID error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching tax code",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new tax code
+// @route   POST /api/tax-codes
+// @access  Private/Admin
+const createTaxCode = async (req, res) => {
+  try {
+    const { code, name, taxType, rate, accountCode, accountName, description } =
+      req.body;
+
+    // Validation
+    if (!code || !name || !taxType || rate === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide code, name, taxType, and rate",
+      });
+    }
+
+    const taxCode = await TaxCode.create({
+      tenantId: req.tenantId,
+      code: code.toUpperCase(),
+      name,
+      taxType,
+      rate,
+      accountCode: accountCode || "",
+      accountName: accountName || "",
+      description: description || "",
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Tax code created successfully",
+      data: taxCode,
+    });
+  } catch (error) {
+    console.error("Create tax code error:", error);
+
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Tax code already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error creating tax code",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update tax code
+// @route   PUT /api/tax-codes/:id
+// @access  Private/Admin
+const updateTaxCode = async (req, res) => {
+  try {
+    const taxCode = await TaxCode.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!taxCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax code not found",
+      });
+    }
+
+    const {
+      name,
+      taxType,
+      rate,
+      accountCode,
+      accountName,
+      description,
+      isActive,
+    } = req.body;
+
+    if (name) taxCode.name = name;
+    if (taxType) taxCode.taxType = taxType;
+    if (typeof rate === "number") taxCode.rate = rate;
+    if (accountCode !== undefined) taxCode.accountCode = accountCode;
+    if (accountName !== undefined) taxCode.accountName = accountName;
+    if (description !== undefined) taxCode.description = description;
+    if (typeof isActive === "boolean") taxCode.isActive = isActive;
+
+    await taxCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Tax code updated successfully",
+      data: taxCode,
+    });
+  } catch (error) {
+    console.error("Update tax code error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating tax code",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Deactivate tax code (kept for documents that already use it)
+// @route   DELETE /api/tax-codes/:id
+// @access  Private/Admin
+const deleteTaxCode = async (req, res) => {
+  try {
+    const taxCode = await TaxCode.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!taxCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax code not found",
+      });
+    }
+
+    taxCode.isActive = false;
+    await taxCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Tax code deactivated successfully",
+    });
+  } catch (error) {
+    console.error("Delete tax code error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting tax code",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllTaxCodes,
+  getTaxCodeById,
+  createTaxCode,
+  updateTaxCode,
+  deleteTaxCode,
+};
@@ -1,5 +1,6 @@
 const Tenant = require("../models/Tenant");
 const User = require("../models/User");
+const StockMovement = require("../models/StockMovement");
 const bcrypt = require("bcryptjs");
 
 // Register new portal/tenant (called from Users page when creating Admin)
@@ -149,6 +150,71 @@ exports.getTenant = async (req, res) => {
   }
 };
 
+// Update settings of the current tenant
+exports.updateTenantSettings = async (req, res) => {
+  try {
+    const tenant = await Tenant.findOne({ tenantId: req.tenantId });
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: "Portal not found",
+      });
+    }
+
+    const { purchaseMatchTolerance, inventoryCostingMethod } = req.body;
+
+    if (purchaseMatchTolerance) {
+      const { quantityPercent, pricePercent } = purchaseMatchTolerance;
+      if (typeof quantityPercent === "number")
+        tenant.purchaseMatchTolerance.quantityPercent = quantityPercent;
+      if (typeof pricePercent === "number")
+        tenant.purchaseMatchTolerance.pricePercent = pricePercent;
+    }
+
+    if (
+      inventoryCostingMethod &&
+      inventoryCostingMethod !== tenant.inventoryCostingMethod
+    ) {
+      const methods = Tenant.schema.path("inventoryCostingMethod").enumValues;
+      if (!methods.includes(inventoryCostingMethod)) {
+        return res.status(400).json({
+          success: false,
+          message: `Costing method must be one of: ${methods.join(", ")}`,
+        });
+      }
+
+      // Stock already valued under one method cannot be revalued
+      const stockMoved = await StockMovement.exists({
+        tenantId: req.tenantId,
+      });
+      if (stockMoved) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "The costing method cannot be changed once stock has been moved",
+        });
+      }
+      tenant.inventoryCostingMethod = inventoryCostingMethod;
+    }
+
+    await tenant.save();
+
+    const updatedTenant = await Tenant.findById(tenant._id).select("-password");
+    res.json({
+      success: true,
+      message: "Portal settings updated successfully",
+      data: updatedTenant,
+    });
+  } catch (error) {
+    console.error("Error updating tenant settings:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating portal settings",
+      error: error.message,
+    });
+  }
+};
+
 // Get tenant by tenantId (public route for checking if tenant exists)
 exports.getTenantById = async (req, res) => {
   try {
@@ -0,0 +1,242 @@
+const VariationOrder = require("../models/VariationOrder");
+const BoqService = require("../services/boqService");
+
+// @desc    Get variation orders
+// @route   GET /api/variation-orders
+// @access  Private
+const getAllVariationOrders = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const filter = { tenantId: req.tenantId };
+    if (query.project) filter.project = query.project;
+    if (query.status) filter.status = query.status;
+
+    const variationOrders = await VariationOrder.find(filter)
+      .populate("project", "name code")
+      .populate("createdBy", "name email")
+      .sort({ date: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: variationOrders.length,
+      data: variationOrders,
+    });
+  } catch (error) {
+    console.error("Get variation orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching variation orders",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single variation order
+// @route   GET /api/variation-orders/:id
+// @access  Private
+const getVariationOrderById = async (req, res) => {
+  try {
+    const variationOrder = await VariationOrder.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    })
+      .populate("project", "name code")
+      .populate("createdBy", "name email")
+      .populate("approvedBy", "name email");
+
+    if (!variationOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Variation order not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: variationOrder,
+    });
+  } catch (error) {
+    console.error("Get variation order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching variation order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Raise a variation order against a project's BOQ
+// @route   POST /api/variation-orders
+// @access  Private
+const createVariationOrder = async (req, res) => {
+  try {
+    let variationOrder;
+    try {
+      variationOrder = await BoqService.createVariationOrder(
+        req.tenantId,
+        req.body,
+        req.user._id
+      );
+    } catch (voError) {
+      return res.status(voError.statusCode || 400).json({
+        success: false,
+        message: voError.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Variation order created successfully",
+      data: variationOrder,
+    });
+  } catch (error) {
+    console.error("Create variation order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating variation order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update a draft variation order
+// @route   PUT /api/variation-orders/:id
+// @access  Private
+const updateVariationOrder = async (req, res) => {
+  try {
+    let variationOrder;
+    try {
+      variationOrder = await BoqService.updateVariationOrder(
+        req.tenantId,
+        req.params.id,
+        req.body
+      );
+    } catch (voError) {
+      return res.status(voError.statusCode || 400).json({
+        success: false,
+        message: voError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Variation order updated successfully",
+      data: variationOrder,
+    });
+  } catch (error) {
+    console.error("Update variation order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating variation order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a draft variation order
+// @route   DELETE /api/variation-orders/:id
+// @access  Private
+const deleteVariationOrder = async (req, res) => {
+  try {
+    try {
+      await BoqService.deleteVariationOrder(req.tenantId, req.params.id);
+    } catch (voError) {
+      return res.status(voError.statusCode || 400).json({
+        success: false,
+        message: voError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Variation order deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Delete variation order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting variation order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve a variation order and apply it to the BOQ
+// @route   PUT /api/variation-orders/:id/approve
+// @access  Private/Admin
+const approveVariationOrder = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await BoqService.approveVariationOrder(
+        req.tenantId,
+        req.params.id,
+        req.user._id
+      );
+    } catch (voError) {
+      return res.status(voError.statusCode || 400).json({
+        success: false,
+        message: voError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Variation order approved; BOQ is now at revision ${result.boq.revision}`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Approve variation order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error approving variation order",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reject a variation order
+// @route   PUT /api/variation-orders/:id/reject
+// @access  Private/Admin
+const rejectVariationOrder = async (req, res) => {
+  try {
+    let variationOrder;
+    try {
+      variationOrder = await BoqService.rejectVariationOrder(
+        req.tenantId,
+        req.params.id,
+        req.body.reason,
+        req.user._id
+      );
+    } catch (voError) {
+      return res.status(voError.statusCode || 400).json({
+        success: false,
+        message: voError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Variation order rejected",
+      data: variationOrder,
+    });
+  } catch (error) {
+    console.error("Reject variation order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error rejecting variation order",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllVariationOrders,
+  getVariationOrderById,
+  createVariationOrder,
+  updateVariationOrder,
+  deleteVariationOrder,
+  approveVariationOrder,
+  rejectVariationOrder,
+};
@@ -0,0 +1,356 @@
+const Warehouse = require("../models/Warehouse");
+const Project = require("../models/Project");
+const StockService = require("../services/stockService");
+
+// Site stores must belong to one of the tenant's projects
+const checkSiteProject = async (type, project, tenantId) => {
+  if (type !== "Site Store") return null;
+  if (!project) return "A site store must be linked to a project";
+
+  const projectExists = await Project.findOne({ _id: project, tenantId });
+  return projectExists ? null : "Project not found";
+};
+
+// @desc    Get all warehouses and site stores
+// @route   GET /api/warehouses
+// @access  Private
+const getAllWarehouses = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    // Make sure the default location exists before listing
+    await StockService.getDefaultWarehouse(req.tenantId);
+
+    const filter = { tenantId: req.tenantId };
+    if (query.includeInactive !== "true") filter.isActive = true;
+    if (query.type) filter.type = query.type;
+    if (query.project) filter.project = query.project;
+
+    const warehouses = await Warehouse.find(filter)
+      .populate("project", "name code")
+      .sort({ isDefault: -1, code: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: warehouses.length,
+      data: warehouses,
+    });
+  } catch (error) {
+    console.error("Get all warehouses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching warehouses",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get stock on hand per item per location
+// @route   GET /api/warehouses/stock
+// @access  Private
+const getStockLevels = async (req, res) => {
+  try {
+    const query = req.sanitizedQuery || req.query;
+    const stock = await StockService.getStockByLocation(req.tenantId, {
+      item: query.item,
+      warehouse: query.warehouse,
+      unit: query.unit,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: stock.length,
+      data: stock,
+    });
+  } catch (error) {
+    console.error("Get stock levels error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching stock levels",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single warehouse with its stock
+// @route   GET /api/warehouses/:id
+// @access  Private
+const getWarehouseById = async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    }).populate("project", "name code");
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: "Warehouse not found",
+      });
+    }
+
+    const query = req.sanitizedQuery || req.query;
+    const stock = await StockService.getStockByLocation(req.tenantId, {
+      warehouse: warehouse._id,
+      unit: query.unit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...warehouse.toObject(),
+        stock,
+      },
+    });
+  } catch (error) {
+    console.error("Get warehouse by ID error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching warehouse",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new warehouse or site store
+// @route   POST /api/warehouses
+// @access  Private/Admin
+const createWarehouse = async (req, res) => {
+  try {
+    const { code, name, type, project, address, isDefault } = req.body;
+
+    // Validation
+    if (!code || !name) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide code and name",
+      });
+    }
+
+    const projectError = await checkSiteProject(type, project, req.tenantId);
+    if (projectError) {
+      return res.status(400).json({
+        success: false,
+        message: projectError,
+      });
+    }
+
+    const warehouse = await Warehouse.create({
+      tenantId: req.tenantId,
+      code: code.toUpperCase(),
+      name,
+      type: type || "Warehouse",
+      project: type === "Site Store" ? project : undefined,
+      address: address || "",
+      isDefault: isDefault === true,
+      createdBy: req.user._id,
+    });
+
+    // Only one location is the default
+    if (warehouse.isDefault) {
+      await Warehouse.updateMany(
+        { tenantId: req.tenantId, _id: { $ne: warehouse._id } },
+        { isDefault: false }
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Warehouse created successfully",
+      data: warehouse,
+    });
+  } catch (error) {
+    console.error("Create warehouse error:", error);
+
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Warehouse code already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error creating warehouse",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update warehouse (the code itself stays fixed once used)
+// @route   PUT /api/warehouses/:id
+// @access  Private/Admin
+const updateWarehouse = async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: "Warehouse not found",
+      });
+    }
+
+    const { name, type, project, address, isDefault } = req.body;
+
+    const nextType = type || warehouse.type;
+    const nextProject = project !== undefined ? project : warehouse.project;
+    const projectError = await checkSiteProject(
+      nextType,
+      nextProject,
+      req.tenantId
+    );
+    if (projectError) {
+      return res.status(400).json({
+        success: false,
+        message: projectError,
+      });
+    }
+
+    if (isDefault === false && warehouse.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: "Make another location the default instead",
+      });
+    }
+
+    if (name) warehouse.name = name;
+    warehouse.type = nextType;
+    warehouse.project = nextType === "Site Store" ? nextProject : undefined;
+    if (address !== undefined) warehouse.address = address;
+    if (isDefault === true) warehouse.isDefault = true;
+
+    await warehouse.save();
+
+    if (isDefault === true) {
+      await Warehouse.updateMany(
+        { tenantId: req.tenantId, _id: { $ne: warehouse._id } },
+        { isDefault: false }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Warehouse updated successfully",
+      data: warehouse,
+    });
+  } catch (error) {
+    console.error("Update warehouse error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating warehouse",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Deactivate an empty warehouse (kept for the documents that use it)
+// @route   DELETE /api/warehouses/:id
+// @access  Private/Admin
+const deleteWarehouse = async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: "Warehouse not found",
+      });
+    }
+
+    if (warehouse.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: "The default location cannot be deactivated",
+      });
+    }
+
+    const stock = await StockService.getStockByLocation(req.tenantId, {
+      warehouse: warehouse._id,
+    });
+    if (stock.some((row) => row.quantity !== 0 || row.inTransit !== 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Transfer the stock out before deactivating the location",
+      });
+    }
+
+    warehouse.isActive = false;
+    await warehouse.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Warehouse deactivated successfully",
+    });
+  } catch (error) {
+    console.error("Delete warehouse error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting warehouse",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Set an item's low-stock level at a location
+// @route   PUT /api/warehouses/:id/stock/:itemId
+// @access  Private/Admin
+const setStockLevel = async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: "Warehouse not found",
+      });
+    }
+
+    let balance;
+    try {
+      balance = await StockService.setMinStockLevel(
+        req.tenantId,
+        req.params.itemId,
+        warehouse._id,
+        req.body.minStockLevel === undefined ? null : req.body.minStockLevel
+      );
+    } catch (stockError) {
+      return res.status(stockError.statusCode || 400).json({
+        success: false,
+        message: stockError.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Stock level updated successfully",
+      data: balance,
+    });
+  } catch (error) {
+    console.error("Set stock level error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating stock level",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllWarehouses,
+  getStockLevels,
+  getWarehouseById,
+  createWarehouse,
+  updateWarehouse,
+  deleteWarehouse,
+  setStockLevel,
+};
@@ -222,6 +222,28 @@ const cashPaymentRoutes = require("./routes/cashPaymentRoutes");
 const plotRoutes = require("./routes/plotRoutes");
 const requestApprovalRoutes = require("./routes/requestApprovalRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
+const purchaseOrderRoutes = require("./routes/purchaseOrderRoutes");
+const goodsReceivedNoteRoutes = require("./routes/goodsReceivedNoteRoutes");
+const taxCodeRoutes = require("./routes/taxCodeRoutes");
+const customerReceiptRoutes = require("./routes/customerReceiptRoutes");
+const supplierPaymentRoutes = require("./routes/supplierPaymentRoutes");
+const fiscalPeriodRoutes = require("./routes/fiscalPeriodRoutes");
+const openingBalanceRoutes = require("./routes/openingBalanceRoutes");
+const bankAccountRoutes = require("./routes/bankAccountRoutes");
+const bankReconciliationRoutes = require("./routes/bankReconciliationRoutes");
+const bankReceiptRoutes = require("./routes/bankReceiptRoutes");
+const contraVoucherRoutes = require("./routes/contraVoucherRoutes");
+const chequeRoutes = require("./routes/chequeRoutes");
+const pettyCashRoutes = require("./routes/pettyCashRoutes");
+const costCodeRoutes = require("./routes/costCodeRoutes");
+const paymentCertificateRoutes = require("./routes/paymentCertificateRoutes");
+const variationOrderRoutes = require("./routes/variationOrderRoutes");
+const materialIssueRoutes = require("./routes/materialIssueRoutes");
+const warehouseRoutes = require("./routes/warehouseRoutes");
+const stockTransferRoutes = require("./routes/stockTransferRoutes");
+const stockCountRoutes = require("./routes/stockCountRoutes");
+const itemCategoryRoutes = require("./routes/itemCategoryRoutes");
+const purchaseRequisitionRoutes = require("./routes/purchaseRequisitionRoutes");
 
 app.use("/api/auth", authRoutes);
 app.use("/api/tenant", tenantRoutes);
@@ -243,6 +265,28 @@ app.use("/api/journal-entries", journalEntryRoutes);
 app.use("/api/general-ledger", generalLedgerRoutes);
 app.use("/api/request-approvals", requestApprovalRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/purchase-orders", purchaseOrderRoutes);
+app.use("/api/goods-received-notes", goodsReceivedNoteRoutes);
+app.use("/api/tax-codes", taxCodeRoutes);
+app.use("/api/receipts", customerReceiptRoutes);
+app.use("/api/supplier-payments", supplierPaymentRoutes);
+app.use("/api/fiscal-periods", fiscalPeriodRoutes);
+app.use("/api/opening-balances", openingBalanceRoutes);
+app.use("/api/bank-accounts", bankAccountRoutes);
+app.use("/api/bank-reconciliations", bankReconciliationRoutes);
+app.use("/api/bank-receipts", bankReceiptRoutes);
+app.use("/api/contra-vouchers", contraVoucherRoutes);
+app.use("/api/cheques", chequeRoutes);
+app.use("/api/petty-cash", pettyCashRoutes);
+app.use("/api/cost-codes", costCodeRoutes);
+app.use("/api/payment-certificates", paymentCertificateRoutes);
+app.use("/api/variation-orders", variationOrderRoutes);
+app.use("/api/material-issues", materialIssueRoutes);
+app.use("/api/warehouses", warehouseRoutes);
+app.use("/api/stock-transfers", stockTransferRoutes);
+app.use("/api/stock-counts", stockCountRoutes);
+app.use("/api/item-categories", itemCategoryRoutes);
+app.use("/api/purchase-requisitions", purchaseRequisitionRoutes);
 
 // Root route
 app.get("/", (req, res) => {
@@ -283,6 +327,28 @@ app.get("/api", (req, res) => {
       journalEntries: "/api/journal-entries",
       generalLedger: "/api/general-ledger",
       requestApprovals: "/api/request-approvals",
+      purchaseOrders: "/api/purchase-orders",
+      goodsReceivedNotes: "/api/goods-received-notes",
+      taxCodes: "/api/tax-codes",
+      receipts: "/api/receipts",
+      supplierPayments: "/api/supplier-payments",
+      fiscalPeriods: "/api/fiscal-periods",
+      openingBalances: "/api/opening-balances",
+      bankAccounts: "/api/bank-accounts",
+      bankReconciliations: "/api/bank-reconciliations",
+      bankReceipts: "/api/bank-receipts",
+      contraVouchers: "/api/contra-vouchers",
+      cheques: "/api/cheques",
+      pettyCash: "/api/petty-cash",
+      costCodes: "/api/cost-codes",
+      paymentCertificates: "/api/payment-certificates",
+      variationOrders: "/api/variation-orders",
+      materialIssues: "/api/material-issues",
+      warehouses: "/api/warehouses",
+      stockTransfers: "/api/stock-transfers",
+      stockCounts: "/api/stock-counts",
+      itemCategories: "/api/item-categories",
+      purchaseRequisitions: "/api/purchase-requisitions",
     },
   });
 });
@@ -333,6 +399,28 @@ app.use((req, res, next) => {
       reports: "/api/reports",
       journalEntries: "/api/journal-entries",
       generalLedger: "/api/general-ledger",
+      purchaseOrders: "/api/purchase-orders",
+      goodsReceivedNotes: "/api/goods-received-notes",
+      taxCodes: "/api/tax-codes",
+      receipts: "/api/receipts",
+      supplierPayments: "/api/supplier-payments",
+      fiscalPeriods: "/api/fiscal-periods",
+      openingBalances: "/api/opening-balances",
+      bankAccounts: "/api/bank-accounts",
+      bankReconciliations: "/api/bank-reconciliations",
+      bankReceipts: "/api/bank-receipts",
+      contraVouchers: "/api/contra-vouchers",
+      cheques: "/api/cheques",
+      pettyCash: "/api/petty-cash",
+      costCodes: "/api/cost-codes",
+      paymentCertificates: "/api/payment-certificates",
+      variationOrders: "/api/variation-orders",
+      materialIssues: "/api/material-issues",
+      warehouses: "/api/warehouses",
+      stockTransfers: "/api/stock-transfers",
+      stockCounts: "/api/stock-counts",
+      itemCategories: "/api/item-categories",
+      purchaseRequisitions: "/api/purchase-requisitions",
     },
   });
 });
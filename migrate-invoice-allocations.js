@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Connect to MongoDB
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => console.log("MongoDB connected for migration"))
+  .catch((err) => {
+    console.error("MongoDB connection error:", err);
+    process.exit(1);
+  });
+
+const PAYMENT_LINE_PREFIX = "Payment against Invoice ";
+
+async function migrateInvoiceAllocations() {
+  try {
+    console.log(
+      "Starting migration: sales invoice amounts received through receipts"
+    );
+
+    await mongoose.connection.asPromise();
+
+    const salesInvoices = mongoose.connection.collection("salesinvoices");
+    const allocatedByInvoice = new Map();
+    const addAllocated = (invoiceId, amount) => {
+      const key = String(invoiceId);
+      allocatedByInvoice.set(key, (allocatedByInvoice.get(key) || 0) + amount);
+    };
+
+    // Customer receipts allocated to invoices
+    const receipts = await mongoose.connection
+      .collection("customerreceipts")
+      .find({ status: "Posted", "allocations.salesInvoice": { $exists: true } })
+      .toArray();
+    for (const receipt of receipts) {
+      for (const allocation of receipt.allocations || []) {
+        if (allocation.salesInvoice) {
+          addAllocated(allocation.salesInvoice, allocation.amount || 0);
+        }
+      }
+    }
+
+    // Payment receipts recorded against an invoice reference
+    const paymentEntries = await mongoose.connection
+      .collection("journalentries")
+      .find({
+        transactionType: "Receipt",
+        status: "Posted",
+        "sourceTransaction.model": "Manual",
+        "lines.description": { $regex: `^${PAYMENT_LINE_PREFIX}\\S` },
+      })
+      .toArray();
+    for (const entry of paymentEntries) {
+      for (const line of entry.lines) {
+        if (!line.credit || !line.description) continue;
+        if (!line.description.startsWith(PAYMENT_LINE_PREFIX)) continue;
+
+        const invoice = await salesInvoices.findOne({
+          tenantId: entry.tenantId,
+          serialNo: line.description.slice(PAYMENT_LINE_PREFIX.length),
+        });
+        if (invoice) addAllocated(invoice._id, line.credit);
+      }
+    }
+
+    console.log(`Found ${allocatedByInvoice.size} invoices with receipts`);
+
+    for (const [invoiceId, allocated] of allocatedByInvoice) {
+      const invoice = await salesInvoices.findOne({
+        _id: new mongoose.Types.ObjectId(invoiceId),
+      });
+      if (!invoice) continue;
+
+      const amountAllocated =
+        Math.round(Math.min(allocated, invoice.amountReceived || 0) * 100) /
+        100;
+      await salesInvoices.updateOne(
+        { _id: invoice._id },
+        { $set: { amountAllocated } }
+      );
+
+      console.log(
+        `✓ Invoice ${invoice.serialNo}: ${amountAllocated} received through receipts`
+      );
+    }
+
+    console.log("\n✅ Migration completed successfully!");
+    console.log(`Total invoices updated: ${allocatedByInvoice.size}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrateInvoiceAllocations();
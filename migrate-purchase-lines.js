@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Connect to MongoDB
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => console.log("MongoDB connected for migration"))
+  .catch((err) => {
+    console.error("MongoDB connection error:", err);
+    process.exit(1);
+  });
+
+async function migratePurchaseLines() {
+  try {
+    console.log("Starting migration: single-item purchases -> purchase lines");
+
+    await mongoose.connection.asPromise();
+
+    // Read the raw collection: the single-item fields are no longer in the schema
+    const purchases = mongoose.connection.collection("purchases");
+    const legacyPurchases = await purchases
+      .find({ item: { $exists: true }, lines: { $exists: false } })
+      .toArray();
+
+    console.log(`Found ${legacyPurchases.length} purchases to migrate`);
+
+    for (const purchase of legacyPurchases) {
+      const grossAmount =
+        purchase.grossAmount || (purchase.quantity || 0) * (purchase.rate || 0);
+      const discount = purchase.discount || 0;
+
+      const line = {
+        _id: new mongoose.Types.ObjectId(),
+        item: purchase.item,
+        itemCode: (purchase.itemCode || "").toUpperCase(),
+        itemName: purchase.itemName,
+        description: purchase.description || "",
+        quantity: purchase.quantity || 0,
+        unit: purchase.unit,
+        rate: purchase.rate || 0,
+        grossAmount,
+        discountPercent: 0,
+        discount,
+        taxPercent: 0,
+        taxAmount: 0,
+        netAmount: grossAmount - discount,
+      };
+
+      await purchases.updateOne(
+        { _id: purchase._id },
+        {
+          $set: {
+            lines: [line],
+            grossAmount,
+            lineDiscount: discount,
+            taxAmount: 0,
+            additionalDiscount: 0,
+            carriageFreight: 0,
+            netAmount: grossAmount - discount,
+          },
+          $unset: {
+            item: "",
+            itemCode: "",
+            itemName: "",
+            description: "",
+            quantity: "",
+            unit: "",
+            rate: "",
+            discount: "",
+          },
+        }
+      );
+
+      console.log(
+        `✓ Migrated purchase: ${purchase.serialNo} (${line.itemCode} x ${line.quantity})`
+      );
+    }
+
+    console.log("\n✅ Migration completed successfully!");
+    console.log(`Total purchases migrated: ${legacyPurchases.length}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run migration
+migratePurchaseLines();
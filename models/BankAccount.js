@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+const bankAccountSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    // Display name, e.g. "HBL Current - Main Branch"
+    name: {
+      type: String,
+      required: [true, "Account name is required"],
+      trim: true,
+    },
+    bankName: {
+      type: String,
+      required: [true, "Bank name is required"],
+      trim: true,
+    },
+    accountNumber: {
+      type: String,
+      required: [true, "Account number is required"],
+      trim: true,
+    },
+    branch: {
+      type: String,
+      trim: true,
+    },
+    iban: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    // Asset account in the chart of accounts the bank posts to
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChartOfAccount",
+      required: [true, "Ledger account is required"],
+    },
+    accountCode: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+bankAccountSchema.index(
+  { tenantId: 1, bankName: 1, accountNumber: 1 },
+  { unique: true }
+);
+bankAccountSchema.index({ tenantId: 1, accountCode: 1 }, { unique: true });
+
+module.exports = mongoose.model("BankAccount", bankAccountSchema);
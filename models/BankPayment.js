@@ -20,6 +20,12 @@ const PaymentLineSchema = new mongoose.Schema({
     required: true,
     min: 0,
   },
+  // Cost code the amount is budgeted under (project cost reporting)
+  costCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
 });
 
 const BankPaymentSchema = new mongoose.Schema(
@@ -53,20 +59,15 @@ const BankPaymentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // Bank account paid from; bankAccount keeps the bank name for display
+    bankAccountRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+    },
     bankAccount: {
       type: String,
       required: true,
-      enum: [
-        "Meezan Bank",
-        "HBL",
-        "Allied Bank",
-        "UBL",
-        "MCB",
-        "Standard Chartered",
-        "Faysal Bank",
-        "Bank Alfalah",
-        "Al Makramah Bank",
-      ],
+      trim: true,
     },
     bankAccountNumber: {
       type: String,
@@ -79,12 +80,62 @@ const BankPaymentSchema = new mongoose.Schema(
     chequeDate: {
       type: Date,
     },
+    // Cheque register entry; the payment stays in Issued Cheques Payable
+    // until the cheque clears
+    cheque: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cheque",
+    },
     paymentLines: [PaymentLineSchema],
     totalAmount: {
       type: Number,
       required: true,
       min: 0,
     },
+    // Withholding tax deducted from the payment (e.g. supplier payments)
+    payeeName: {
+      type: String,
+      trim: true,
+    },
+    withholdingTaxCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    withholdingTaxRate: {
+      type: Number,
+      default: 0,
+      min: [0, "Withholding tax rate cannot be negative"],
+    },
+    withholdingTaxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Withholding tax amount cannot be negative"],
+    },
+    // Amount actually paid out (total less withholding tax)
+    netAmount: {
+      type: Number,
+      min: 0,
+    },
+    // Supplier bills settled by this payment
+    billAllocations: [
+      {
+        purchase: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Purchase",
+          required: true,
+        },
+        serialNo: {
+          type: String,
+          trim: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, "Allocated amount must be greater than zero"],
+        },
+      },
+    ],
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -110,30 +161,30 @@ BankPaymentSchema.pre("save", async function () {
     const count = await mongoose.model("BankPayment").countDocuments();
     this.serialNo = `BP${String(count + 1).padStart(6, "0")}`;
   }
+
+  // Withholding tax and the net amount paid out
+  this.withholdingTaxAmount =
+    Math.round(this.totalAmount * (this.withholdingTaxRate || 0)) / 100;
+  this.netAmount = this.totalAmount - this.withholdingTaxAmount;
 });
 
 // Post-save middleware to create journal entry for accounting
+// Posts in the session the payment was saved with; a posting failure fails
+// the save so the caller's transaction rolls back
 BankPaymentSchema.post("save", async function (doc) {
   // Only create journal entry if this is a new payment (not an update)
-  if (this.wasNew && !doc.cancel) {
-    try {
-      const AccountingService = require("../services/accountingService");
+  if (!this.wasNew || doc.cancel) return;
 
-      // Use the createdBy field as the userId
-      const userId = doc.createdBy;
+  const AccountingService = require("../services/accountingService");
 
-      if (userId) {
-        await AccountingService.createBankPaymentJournalEntry(doc, userId);
-      }
-    } catch (error) {
-      console.error(
-        "Error creating journal entry for bank payment:",
-        error.message
-      );
-      // Don't throw error to prevent payment creation failure
-    }
-  }
+  // Use the createdBy field as the userId
+  await AccountingService.createBankPaymentJournalEntry(
+    doc,
+    doc.createdBy,
+    doc.$session()
+  );
 });
+
 // Indexes for tenant isolation and queries
 BankPaymentSchema.index({ tenantId: 1 });
 BankPaymentSchema.index({ tenantId: 1, serialNo: 1 });
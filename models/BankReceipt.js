@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+
+const ReceiptLineSchema = new mongoose.Schema({
+  accountCode: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  accountName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Set when the line settles a customer's receivable
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+  },
+  customerName: {
+    type: String,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+const BankReceiptSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    serialNo: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    cancel: {
+      type: Boolean,
+      default: false,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    // Bank account received into; bankAccount keeps the bank name for display
+    bankAccountRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+      required: [true, "Bank account is required"],
+    },
+    bankAccount: {
+      type: String,
+      trim: true,
+    },
+    bankAccountNumber: {
+      type: String,
+      trim: true,
+    },
+    payerName: {
+      type: String,
+      trim: true,
+    },
+    chequeNo: {
+      type: String,
+      trim: true,
+    },
+    chequeDate: {
+      type: Date,
+    },
+    receiptLines: [ReceiptLineSchema],
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Generate serial number before saving and track if document is new
+BankReceiptSchema.pre("save", async function () {
+  // Track if document is new (for post-save hook)
+  this.wasNew = this.isNew;
+
+  if (!this.serialNo || this.serialNo === "") {
+    const count = await mongoose
+      .model("BankReceipt")
+      .countDocuments({ tenantId: this.tenantId })
+      .session(this.$session());
+    this.serialNo = `BR${String(count + 1).padStart(6, "0")}`;
+  }
+});
+
+// Post-save middleware to create journal entry for accounting
+// Posts in the session the receipt was saved with; a posting failure fails
+// the save so the caller's transaction rolls back
+BankReceiptSchema.post("save", async function (doc) {
+  // Only create journal entry if this is a new receipt (not an update)
+  if (!this.wasNew || doc.cancel) return;
+
+  const AccountingService = require("../services/accountingService");
+
+  await AccountingService.createBankReceiptJournalEntry(
+    doc,
+    doc.createdBy,
+    doc.$session()
+  );
+});
+
+// Indexes for tenant isolation and queries
+BankReceiptSchema.index({ tenantId: 1, serialNo: 1 });
+BankReceiptSchema.index({ tenantId: 1, date: -1 });
+BankReceiptSchema.index({ tenantId: 1, bankAccountRef: 1 });
+const BankReceipt = mongoose.model("BankReceipt", BankReceiptSchema);
+
+module.exports = BankReceipt;
@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+
+const statementLineSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, "Statement line date is required"],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  // Cheque or transfer reference printed on the statement
+  reference: {
+    type: String,
+    trim: true,
+  },
+  withdrawal: {
+    type: Number,
+    default: 0,
+    min: [0, "Withdrawal cannot be negative"],
+  },
+  deposit: {
+    type: Number,
+    default: 0,
+    min: [0, "Deposit cannot be negative"],
+  },
+  // Running balance printed on the statement, when the CSV has one
+  balance: {
+    type: Number,
+  },
+  status: {
+    type: String,
+    enum: ["Unmatched", "Matched"],
+    default: "Unmatched",
+  },
+  matchType: {
+    type: String,
+    enum: ["Auto", "Manual"],
+  },
+  // Ledger rows on the bank account this line clears
+  ledgerEntries: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GeneralLedger",
+    },
+  ],
+  matchedAt: {
+    type: Date,
+  },
+  matchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+const bankReconciliationSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    bankAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+      required: [true, "Bank account is required"],
+    },
+    accountCode: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    statementStartDate: {
+      type: Date,
+    },
+    statementEndDate: {
+      type: Date,
+      required: [true, "Statement end date is required"],
+    },
+    openingBalance: {
+      type: Number,
+      default: 0,
+    },
+    closingBalance: {
+      type: Number,
+      default: 0,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    lines: [statementLineSchema],
+    status: {
+      type: String,
+      enum: ["Draft", "Completed"],
+      default: "Draft",
+    },
+    completedAt: {
+      type: Date,
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+bankReconciliationSchema.index({
+  tenantId: 1,
+  bankAccount: 1,
+  statementEndDate: -1,
+});
+bankReconciliationSchema.index({ tenantId: 1, status: 1 });
+
+module.exports = mongoose.model(
+  "BankReconciliation",
+  bankReconciliationSchema
+);
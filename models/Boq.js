@@ -0,0 +1,181 @@
+const mongoose = require("mongoose");
+
+// One resource in the build-up of a BOQ rate, per unit of the BOQ line
+const rateAnalysisSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: ["Material", "Labour", "Equipment", "Subcontract", "Other"],
+    default: "Material",
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+  },
+  itemCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  description: {
+    type: String,
+    required: [true, "Description is required"],
+    trim: true,
+  },
+  unit: {
+    type: String,
+    trim: true,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [0, "Quantity cannot be negative"],
+  },
+  rate: {
+    type: Number,
+    required: [true, "Rate is required"],
+    min: [0, "Rate cannot be negative"],
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const boqLineSchema = new mongoose.Schema({
+  // Item number as printed in the contract, e.g. 2.04
+  itemNo: {
+    type: String,
+    trim: true,
+  },
+  description: {
+    type: String,
+    required: [true, "Description is required"],
+    trim: true,
+  },
+  unit: {
+    type: String,
+    required: [true, "Unit is required"],
+    trim: true,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [0, "Quantity cannot be negative"],
+  },
+  rate: {
+    type: Number,
+    required: [true, "Rate is required"],
+    min: [0, "Rate cannot be negative"],
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  // Material supplied under this line, for consumption tracking
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+  },
+  itemCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  // Cost code the line's cost is budgeted under
+  costCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  // Rate build-up; when given, the rate is its direct cost per unit plus
+  // overhead and profit
+  rateAnalysis: [rateAnalysisSchema],
+  overheadPercent: {
+    type: Number,
+    default: 0,
+    min: [0, "Overhead percent cannot be negative"],
+  },
+  profitPercent: {
+    type: Number,
+    default: 0,
+    min: [0, "Profit percent cannot be negative"],
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+  },
+  // Set on lines added by a variation order
+  variationOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "VariationOrder",
+  },
+});
+
+// Bill of quantities of a client contract; progress is billed against it
+const boqSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project is required"],
+    },
+    lines: [boqLineSchema],
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Bumped on every change; each revision is kept in BoqRevision
+    revision: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Calculate rates from their analysis, line amounts and the BOQ total
+boqSchema.pre("save", function () {
+  this.lines.forEach((line) => {
+    if (line.rateAnalysis.length > 0) {
+      line.rateAnalysis.forEach((resource) => {
+        resource.amount =
+          Math.round(resource.quantity * resource.rate * 100) / 100;
+      });
+      line.unitCost =
+        Math.round(
+          line.rateAnalysis.reduce((sum, r) => sum + r.amount, 0) * 100
+        ) / 100;
+      line.rate =
+        Math.round(
+          line.unitCost *
+            (1 + (line.overheadPercent + line.profitPercent) / 100) *
+            100
+        ) / 100;
+    } else {
+      line.unitCost = 0;
+    }
+    line.amount = Math.round(line.quantity * line.rate * 100) / 100;
+  });
+  this.totalAmount =
+    Math.round(this.lines.reduce((sum, line) => sum + line.amount, 0) * 100) /
+    100;
+});
+
+// A project has one BOQ per tenant
+boqSchema.index({ tenantId: 1, project: 1 }, { unique: true });
+
+module.exports = mongoose.model("Boq", boqSchema);
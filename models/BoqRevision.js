@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+// A BOQ line as it stood at the revision
+const revisionLineSchema = new mongoose.Schema(
+  {
+    boqLine: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    itemNo: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    unit: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+    },
+    rate: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    itemCode: {
+      type: String,
+      trim: true,
+    },
+    costCode: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Snapshot of a project's BOQ after each change, for its revision history
+const boqRevisionSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    boq: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Boq",
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    // Set when the revision came from approving a variation order
+    variationOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VariationOrder",
+    },
+    lines: [revisionLineSchema],
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+boqRevisionSchema.index(
+  { tenantId: 1, project: 1, revision: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("BoqRevision", boqRevisionSchema);
@@ -20,6 +20,12 @@ const CashPaymentLineSchema = new mongoose.Schema({
     required: true,
     min: 0,
   },
+  // Cost code the amount is budgeted under (project cost reporting)
+  costCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
 });
 
 const CashPaymentSchema = new mongoose.Schema(
@@ -58,6 +64,50 @@ const CashPaymentSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Withholding tax deducted from the payment (e.g. supplier payments)
+    payeeName: {
+      type: String,
+      trim: true,
+    },
+    withholdingTaxCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    withholdingTaxRate: {
+      type: Number,
+      default: 0,
+      min: [0, "Withholding tax rate cannot be negative"],
+    },
+    withholdingTaxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Withholding tax amount cannot be negative"],
+    },
+    // Amount actually paid out (total less withholding tax)
+    netAmount: {
+      type: Number,
+      min: 0,
+    },
+    // Supplier bills settled by this payment
+    billAllocations: [
+      {
+        purchase: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Purchase",
+          required: true,
+        },
+        serialNo: {
+          type: String,
+          trim: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, "Allocated amount must be greater than zero"],
+        },
+      },
+    ],
     remarks: {
       type: String,
       trim: true,
@@ -93,33 +143,33 @@ CashPaymentSchema.pre("validate", async function () {
   }
 });
 
-// Track if document is new for post-save hook
+// Track if document is new for post-save hook and apply withholding tax
 CashPaymentSchema.pre("save", function () {
   this.wasNew = this.isNew;
+
+  // Withholding tax and the net amount paid out
+  this.withholdingTaxAmount =
+    Math.round(this.totalAmount * (this.withholdingTaxRate || 0)) / 100;
+  this.netAmount = this.totalAmount - this.withholdingTaxAmount;
 });
 
 // Post-save middleware to create journal entry for accounting
+// Posts in the session the payment was saved with; a posting failure fails
+// the save so the caller's transaction rolls back
 CashPaymentSchema.post("save", async function (doc) {
   // Only create journal entry if this is a new payment (not an update)
-  if (this.wasNew && !doc.cancel) {
-    try {
-      const AccountingService = require("../services/accountingService");
+  if (!this.wasNew || doc.cancel) return;
 
-      // Use the createdBy field as the userId
-      const userId = doc.createdBy;
+  const AccountingService = require("../services/accountingService");
 
-      if (userId) {
-        await AccountingService.createCashPaymentJournalEntry(doc, userId);
-      }
-    } catch (error) {
-      console.error(
-        "Error creating journal entry for cash payment:",
-        error.message
-      );
-      // Don't throw error to prevent payment creation failure
-    }
-  }
+  // Use the createdBy field as the userId
+  await AccountingService.createCashPaymentJournalEntry(
+    doc,
+    doc.createdBy,
+    doc.$session()
+  );
 });
+
 // Indexes for tenant isolation and queries
 CashPaymentSchema.index({ tenantId: 1 });
 CashPaymentSchema.index({ tenantId: 1, serialNo: 1 });
@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+const chequeStatusSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { _id: false }
+);
+
+// Cheques received from customers and issued to payees, tracked until the
+// bank pays or returns them
+const chequeSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    direction: {
+      type: String,
+      enum: ["Received", "Issued"],
+      required: [true, "Cheque direction is required"],
+    },
+    chequeNo: {
+      type: String,
+      required: [true, "Cheque number is required"],
+      trim: true,
+    },
+    chequeDate: {
+      type: Date,
+      required: [true, "Cheque date is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be greater than zero"],
+    },
+    // Bank the cheque is drawn on (the customer's bank for received cheques)
+    drawerBank: {
+      type: String,
+      trim: true,
+    },
+    // Our bank account: deposited into (received) or drawn on (issued)
+    bankAccountRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+    },
+    bankName: {
+      type: String,
+      trim: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+    },
+    plot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Plot",
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    partyName: {
+      type: String,
+      trim: true,
+    },
+    // Receipt or payment the cheque was given or taken against
+    source: {
+      model: {
+        type: String,
+        enum: ["Plot", "CustomerReceipt", "SupplierPayment", "BankPayment"],
+        required: true,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      reference: {
+        type: String,
+        trim: true,
+      },
+    },
+    // Pending: post-dated or not yet presented
+    status: {
+      type: String,
+      enum: ["Pending", "Deposited", "Cleared", "Bounced", "Cancelled"],
+      default: "Pending",
+    },
+    statusHistory: [chequeStatusSchema],
+    depositedDate: {
+      type: Date,
+    },
+    clearedDate: {
+      type: Date,
+    },
+    clearingEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    bouncedDate: {
+      type: Date,
+    },
+    bounceReason: {
+      type: String,
+      trim: true,
+    },
+    bounceFee: {
+      type: Number,
+      default: 0,
+      min: [0, "Bounce fee cannot be negative"],
+    },
+    bounceFeeEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+chequeSchema.index({ tenantId: 1, status: 1, chequeDate: 1 });
+chequeSchema.index({ tenantId: 1, chequeNo: 1 });
+chequeSchema.index({ tenantId: 1, "source.model": 1, "source.id": 1 });
+
+module.exports = mongoose.model("Cheque", chequeSchema);
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+// Money moved between the tenant's own cash and bank accounts
+const ContraVoucherSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    serialNo: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    cancel: {
+      type: Boolean,
+      default: false,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    // Cash Deposit: cash to bank, Cash Withdrawal: bank to cash,
+    // Bank Transfer: bank to bank
+    transferType: {
+      type: String,
+      required: [true, "Transfer type is required"],
+      enum: ["Cash Deposit", "Cash Withdrawal", "Bank Transfer"],
+    },
+    // Bank account the money leaves (withdrawals and transfers)
+    fromBankAccountRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+    },
+    // Bank account the money arrives in (deposits and transfers)
+    toBankAccountRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be greater than zero"],
+    },
+    chequeNo: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Generate serial number before saving and track if document is new
+ContraVoucherSchema.pre("save", async function () {
+  // Track if document is new (for post-save hook)
+  this.wasNew = this.isNew;
+
+  if (!this.serialNo || this.serialNo === "") {
+    const count = await mongoose
+      .model("ContraVoucher")
+      .countDocuments({ tenantId: this.tenantId })
+      .session(this.$session());
+    this.serialNo = `CV${String(count + 1).padStart(6, "0")}`;
+  }
+});
+
+// Post-save middleware to create journal entry for accounting
+// Posts in the session the voucher was saved with; a posting failure fails
+// the save so the caller's transaction rolls back
+ContraVoucherSchema.post("save", async function (doc) {
+  // Only create journal entry if this is a new voucher (not an update)
+  if (!this.wasNew || doc.cancel) return;
+
+  const AccountingService = require("../services/accountingService");
+
+  await AccountingService.createContraJournalEntry(
+    doc,
+    doc.createdBy,
+    doc.$session()
+  );
+});
+
+// Indexes for tenant isolation and queries
+ContraVoucherSchema.index({ tenantId: 1, serialNo: 1 });
+ContraVoucherSchema.index({ tenantId: 1, date: -1 });
+const ContraVoucher = mongoose.model("ContraVoucher", ContraVoucherSchema);
+
+module.exports = ContraVoucher;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Cost heads project spending is budgeted and reported by, e.g. civil
+// works, steel, labour, electrical
+const costCodeSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    code: {
+      type: String,
+      required: [true, "Cost code is required"],
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Cost code name is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+costCodeSchema.index({ tenantId: 1 });
+costCodeSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model("CostCode", costCodeSchema);
@@ -46,6 +46,11 @@ const customerSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Unallocated receipts held on account
+    advanceBalance: {
+      type: Number,
+      default: 0,
+    },
     creditLimit: {
       type: Number,
       default: 0,
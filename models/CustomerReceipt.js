@@ -0,0 +1,183 @@
+const mongoose = require("mongoose");
+
+const receiptAllocationSchema = new mongoose.Schema({
+  allocationType: {
+    type: String,
+    enum: ["SalesInvoice", "PlotInstallment"],
+    required: [true, "Allocation type is required"],
+  },
+  salesInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SalesInvoice",
+  },
+  invoiceNo: {
+    type: String,
+    trim: true,
+  },
+  plot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Plot",
+  },
+  plotNumber: {
+    type: String,
+    trim: true,
+  },
+  // Installments settled on the plot ([{ installmentNo, amount }])
+  installments: [
+    {
+      _id: false,
+      installmentNo: Number,
+      amount: Number,
+    },
+  ],
+  amount: {
+    type: Number,
+    required: [true, "Allocated amount is required"],
+    min: [0.01, "Allocated amount must be greater than zero"],
+  },
+  allocatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "JournalEntry",
+  },
+});
+
+const customerReceiptSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    receiptNo: {
+      type: String,
+      required: [true, "Receipt number is required"],
+      trim: true,
+      uppercase: true,
+    },
+    date: {
+      type: Date,
+      required: [true, "Receipt date is required"],
+      default: Date.now,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: [true, "Customer is required"],
+    },
+    customerCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    customerName: {
+      type: String,
+      required: [true, "Customer name is required"],
+      trim: true,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ["Cash", "Cheque", "Bank Transfer"],
+      required: [true, "Payment method is required"],
+    },
+    // Bank account the money moved through (not used for cash)
+    bankAccountRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+    },
+    bankName: {
+      type: String,
+      trim: true,
+    },
+    chequeNo: {
+      type: String,
+      trim: true,
+    },
+    chequeDate: {
+      type: Date,
+    },
+    // Cheque register entry, set for cheque payments
+    cheque: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cheque",
+    },
+    reference: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be greater than zero"],
+    },
+    allocations: [receiptAllocationSchema],
+    allocatedAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Amount held as a customer advance until it is allocated
+    unallocatedAmount: {
+      type: Number,
+      default: 0,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["Posted", "Cancelled"],
+      default: "Posted",
+    },
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Keep allocated/unallocated totals in step with the allocations
+customerReceiptSchema.pre("validate", function () {
+  this.allocatedAmount =
+    Math.round(
+      this.allocations.reduce((sum, a) => sum + (a.amount || 0), 0) * 100
+    ) / 100;
+  this.unallocatedAmount =
+    Math.round((this.amount - this.allocatedAmount) * 100) / 100;
+
+  if (this.unallocatedAmount < -0.01) {
+    throw new Error("Allocated amounts cannot exceed the receipt amount");
+  }
+});
+
+// Indexes for tenant isolation and queries
+customerReceiptSchema.index({ tenantId: 1 });
+customerReceiptSchema.index({ tenantId: 1, receiptNo: 1 }, { unique: true });
+customerReceiptSchema.index({ tenantId: 1, customer: 1, date: -1 });
+customerReceiptSchema.index({ tenantId: 1, "allocations.salesInvoice": 1 });
+
+module.exports = mongoose.model("CustomerReceipt", customerReceiptSchema);
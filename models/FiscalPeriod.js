@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+const periodLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ["Opened", "Soft Closed", "Hard Closed", "Reopened"],
+    required: true,
+  },
+  fromStatus: {
+    type: String,
+  },
+  toStatus: {
+    type: String,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const fiscalPeriodSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    // Named after the calendar year the fiscal year ends in (Jul 2024 - Jun 2025 is 2025)
+    fiscalYear: {
+      type: Number,
+      required: [true, "Fiscal year is required"],
+    },
+    period: {
+      type: Number,
+      required: [true, "Period number is required"],
+      min: 1,
+      max: 12,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    // Soft Closed: only admins may post; Hard Closed: nobody may post
+    status: {
+      type: String,
+      enum: ["Open", "Soft Closed", "Hard Closed"],
+      default: "Open",
+    },
+    closedAt: {
+      type: Date,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Audit trail of every status change, including reopenings
+    history: [periodLogSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and date lookups
+fiscalPeriodSchema.index(
+  { tenantId: 1, fiscalYear: 1, period: 1 },
+  { unique: true }
+);
+fiscalPeriodSchema.index({ tenantId: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model("FiscalPeriod", fiscalPeriodSchema);
@@ -58,12 +58,19 @@ const GeneralLedgerSchema = new mongoose.Schema(
         "Opening Balance",
         "Adjustment",
         "Booking",
+        "Closing",
+        "Transfer",
       ],
     },
     project: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Project",
     },
+    costCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
     debit: {
       type: Number,
       default: 0,
@@ -86,9 +93,21 @@ const GeneralLedgerSchema = new mongoose.Schema(
         enum: [
           "SalesInvoice",
           "Purchase",
+          "GoodsReceivedNote",
           "BankPayment",
           "CashPayment",
           "Plot",
+          "CustomerReceipt",
+          "SupplierPayment",
+          "BankReceipt",
+          "ContraVoucher",
+          "Cheque",
+          "PettyCashFund",
+          "PettyCashReplenishment",
+          "MaterialIssue",
+          "StockCount",
+          "YearEndClose",
+          "OpeningBalance",
           "Manual",
         ],
       },
@@ -116,6 +135,15 @@ const GeneralLedgerSchema = new mongoose.Schema(
       enum: ["Active", "Reversed", "Cancelled"],
       default: "Active",
     },
+    // Bank reconciliation that matched this row to a statement line, and
+    // the statement date it cleared on
+    bankReconciliation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankReconciliation",
+    },
+    clearedDate: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -126,12 +154,17 @@ const GeneralLedgerSchema = new mongoose.Schema(
 GeneralLedgerSchema.index({ tenantId: 1, accountCode: 1, date: 1 });
 GeneralLedgerSchema.index({ tenantId: 1, accountType: 1, date: 1 });
 GeneralLedgerSchema.index({ tenantId: 1, project: 1, date: 1 });
+GeneralLedgerSchema.index({ tenantId: 1, project: 1, costCode: 1 });
 GeneralLedgerSchema.index({ tenantId: 1, fiscalYear: 1, fiscalPeriod: 1 });
 GeneralLedgerSchema.index({ tenantId: 1, date: -1 });
 GeneralLedgerSchema.index({ tenantId: 1, journalEntry: 1 });
+GeneralLedgerSchema.index({ tenantId: 1, accountCode: 1, clearedDate: 1 });
 
 // Pre-save middleware to set fiscal year and period
+// Falls back to the calendar year when AccountingService has not set them
+// from the tenant's fiscal calendar
 GeneralLedgerSchema.pre("save", function () {
+  if (this.fiscalYear && this.fiscalPeriod) return;
   const date = new Date(this.date);
   this.fiscalYear = date.getFullYear();
   this.fiscalPeriod = date.getMonth() + 1;
@@ -375,9 +408,12 @@ GeneralLedgerSchema.statics.getProfitAndLoss = async function (
   startDate,
   endDate
 ) {
+  // Year-end closing entries zero the accounts and are left out so a closed
+  // year still reports its result
   const query = {
     status: "Active",
     accountType: { $in: ["Revenue", "Expense"] },
+    transactionType: { $ne: "Closing" },
   };
 
   if (startDate || endDate) {
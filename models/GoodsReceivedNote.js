@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+
+const grnLineSchema = new mongoose.Schema({
+  // _id of the matching purchase order line
+  poLine: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, "Purchase order line is required"],
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: [true, "Item is required"],
+  },
+  itemCode: {
+    type: String,
+    required: [true, "Item code is required"],
+    trim: true,
+    uppercase: true,
+  },
+  itemName: {
+    type: String,
+    trim: true,
+  },
+  unit: {
+    type: String,
+    trim: true,
+  },
+  // Base units of the item in one `unit`, and the received quantity in
+  // base units
+  conversionFactor: {
+    type: Number,
+    default: 1,
+  },
+  baseQuantity: {
+    type: Number,
+  },
+  orderedQty: {
+    type: Number,
+    default: 0,
+    min: [0, "Ordered quantity cannot be negative"],
+  },
+  receivedQty: {
+    type: Number,
+    required: [true, "Received quantity is required"],
+    min: [0, "Received quantity cannot be negative"],
+  },
+  rate: {
+    type: Number,
+    default: 0,
+    min: [0, "Rate cannot be negative"],
+  },
+  remarks: {
+    type: String,
+    trim: true,
+  },
+});
+
+const goodsReceivedNoteSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    grnNumber: {
+      type: String,
+      required: [true, "GRN number is required"],
+      trim: true,
+      uppercase: true,
+    },
+    date: {
+      type: Date,
+      required: [true, "Receipt date is required"],
+      default: Date.now,
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+      required: [true, "Purchase order is required"],
+    },
+    poNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+    },
+    vendorName: {
+      type: String,
+      trim: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    deliveryChallanNo: {
+      type: String,
+      trim: true,
+    },
+    // Location the stock is received into
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+    },
+    lines: {
+      type: [grnLineSchema],
+      required: [true, "At least one line is required"],
+      validate: {
+        validator: function (v) {
+          return v && v.length > 0;
+        },
+        message: "GRN must have at least one line",
+      },
+    },
+    status: {
+      type: String,
+      enum: ["Received", "Billed", "Cancelled"],
+      default: "Received",
+    },
+    // Inventory / Goods Received Not Invoiced entry posted on receipt
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+goodsReceivedNoteSchema.index({ tenantId: 1 });
+goodsReceivedNoteSchema.index({ tenantId: 1, grnNumber: 1 }, { unique: true });
+goodsReceivedNoteSchema.index({ tenantId: 1, purchaseOrder: 1 });
+
+module.exports = mongoose.model("GoodsReceivedNote", goodsReceivedNoteSchema);
@@ -6,6 +6,14 @@ const itemSchema = new mongoose.Schema(
       type: String,
       required: [true, "Tenant ID is required"],
     },
+    // Category in the item category tree; the codes and names below are
+    // kept in step with it (top-level category, then the item's own
+    // category when it sits deeper)
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ItemCategory",
+    },
+
     // Inventory Category
     categoryCode: {
       type: String,
@@ -59,6 +67,23 @@ const itemSchema = new mongoose.Schema(
       required: [true, "Measurement unit is required"],
       trim: true,
     },
+    // Other units the item is bought, sold or issued in; factor is the
+    // number of base units (measurement) in one of them
+    unitConversions: [
+      {
+        _id: false,
+        unit: {
+          type: String,
+          required: [true, "Unit is required"],
+          trim: true,
+        },
+        factor: {
+          type: Number,
+          required: [true, "Conversion factor is required"],
+          min: [0, "Conversion factor cannot be negative"],
+        },
+      },
+    ],
 
     // Pricing Information
     purchasePrice: {
@@ -95,6 +120,36 @@ const itemSchema = new mongoose.Schema(
       min: [0, "Minimum stock level cannot be negative"],
     },
 
+    // Reordering (see PurchaseRequisitionService); quantities in the base
+    // unit. Without a reorder point one is worked out from consumption
+    // over the lead time, on top of minStockLevel.
+    reorderPoint: {
+      type: Number,
+      min: [0, "Reorder point cannot be negative"],
+    },
+    reorderQuantity: {
+      type: Number,
+      min: [0, "Reorder quantity cannot be negative"],
+    },
+    leadTimeDays: {
+      type: Number,
+      min: [0, "Lead time cannot be negative"],
+    },
+    preferredSupplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+    },
+
+    // Valuation from the stock ledger (see InventoryCostingService)
+    averageCost: {
+      type: Number,
+      default: 0,
+    },
+    stockValue: {
+      type: Number,
+      default: 0,
+    },
+
     // Status
     isActive: {
       type: Boolean,
@@ -108,6 +163,7 @@ const itemSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 itemSchema.index({ tenantId: 1 });
+itemSchema.index({ tenantId: 1, category: 1 });
 itemSchema.index({ tenantId: 1, categoryCode: 1 });
 itemSchema.index({ tenantId: 1, subCategoryCode: 1 });
 itemSchema.index({ tenantId: 1, name: 1 });
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+// Ledger accounts used when neither an item's category nor any category
+// above it names its own account
+const DEFAULT_ITEM_ACCOUNTS = {
+  inventory: { code: "1300", name: "Inventory", type: "Asset" },
+  cogs: { code: "5000", name: "Cost of Goods Sold", type: "Expense" },
+  revenue: { code: "4000", name: "Sales Revenue", type: "Revenue" },
+};
+
+// Item categories form a tree of any depth, e.g. Civil > Cement > OPC.
+// Each category keeps the IDs of the categories above it (top-level
+// first) so a branch can be found with one query.
+const itemCategorySchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    code: {
+      type: String,
+      required: [true, "Category code is required"],
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ItemCategory",
+      default: null,
+    },
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ItemCategory",
+      },
+    ],
+    // 0 for a top-level category
+    level: {
+      type: Number,
+      default: 0,
+    },
+    // Default ledger accounts and output tax of the category's items;
+    // left empty to use the parent category's
+    inventoryAccountCode: {
+      type: String,
+      trim: true,
+    },
+    cogsAccountCode: {
+      type: String,
+      trim: true,
+    },
+    revenueAccountCode: {
+      type: String,
+      trim: true,
+    },
+    taxCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ledger account (code, name, type) items post to for inventory, cogs or
+// revenue when no category names one
+itemCategorySchema.statics.getDefaultAccount = function (kind) {
+  return DEFAULT_ITEM_ACCOUNTS[kind];
+};
+
+// Indexes for tenant isolation and queries
+itemCategorySchema.index({ tenantId: 1, code: 1 }, { unique: true });
+itemCategorySchema.index({ tenantId: 1, parent: 1 });
+itemCategorySchema.index({ tenantId: 1, ancestors: 1 });
+
+module.exports = mongoose.model("ItemCategory", itemCategorySchema);
@@ -36,6 +36,12 @@ const JournalEntryLineSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Cost code the amount is budgeted under (project cost reporting)
+  costCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
 });
 
 // Main Journal Entry Schema
@@ -67,6 +73,8 @@ const JournalEntrySchema = new mongoose.Schema(
         "Opening Balance",
         "Adjustment",
         "Booking",
+        "Closing",
+        "Transfer",
       ],
     },
     // Reference to the source transaction
@@ -76,9 +84,21 @@ const JournalEntrySchema = new mongoose.Schema(
         enum: [
           "SalesInvoice",
           "Purchase",
+          "GoodsReceivedNote",
           "BankPayment",
           "CashPayment",
           "Plot",
+          "CustomerReceipt",
+          "SupplierPayment",
+          "BankReceipt",
+          "ContraVoucher",
+          "Cheque",
+          "PettyCashFund",
+          "PettyCashReplenishment",
+          "MaterialIssue",
+          "StockCount",
+          "YearEndClose",
+          "OpeningBalance",
           "Manual",
         ],
       },
@@ -235,15 +255,22 @@ JournalEntrySchema.pre("save", function (next) {
 JournalEntrySchema.pre("save", async function () {
   if (!this.entryNumber || this.entryNumber === "") {
     const year = new Date(this.date).getFullYear();
+    // Count inside the caller's transaction so entries posted together
+    // in one session get distinct numbers
     const count = await mongoose
       .model("JournalEntry")
-      .countDocuments({ date: { $gte: new Date(year, 0, 1) } });
+      .countDocuments({ date: { $gte: new Date(year, 0, 1) } })
+      .session(this.$session());
     this.entryNumber = `JE-${year}-${String(count + 1).padStart(6, "0")}`;
   }
 });
 
 // Method to reverse a journal entry
-JournalEntrySchema.methods.reverse = async function (userId, reason) {
+JournalEntrySchema.methods.reverse = async function (
+  userId,
+  reason,
+  session = null
+) {
   if (this.status !== "Posted") {
     throw new Error("Only posted journal entries can be reversed");
   }
@@ -257,29 +284,39 @@ JournalEntrySchema.methods.reverse = async function (userId, reason) {
     debit: line.credit, // Swap debit and credit
     credit: line.debit,
     description: `Reversal of ${line.description}`,
+    costCode: line.costCode,
   }));
 
   const JournalEntry = mongoose.model("JournalEntry");
-  const reversalEntry = await JournalEntry.create({
-    date: new Date(),
-    transactionType: "Adjustment",
-    sourceTransaction: {
-      model: "Manual",
-      reference: `Reversal of ${this.entryNumber}`,
-    },
-    project: this.project,
-    description: `Reversal: ${reason || this.description}`,
-    lines: reversalLines,
-    status: "Posted",
-    isPosted: true,
-    reversalOf: this._id,
-    createdBy: userId,
-  });
+  const [reversalEntry] = await JournalEntry.create(
+    [
+      {
+        tenantId: this.tenantId,
+        date: new Date(),
+        transactionType: "Adjustment",
+        sourceTransaction: {
+          model: "Manual",
+          reference: `Reversal of ${this.entryNumber}`,
+        },
+        project: this.project,
+        description: `Reversal: ${reason || this.description}`,
+        lines: reversalLines,
+        // Required fields are validated before the totals hook runs
+        totalDebit: this.totalCredit,
+        totalCredit: this.totalDebit,
+        status: "Posted",
+        isPosted: true,
+        reversalOf: this._id,
+        createdBy: userId,
+      },
+    ],
+    { session }
+  );
 
   // Mark original as reversed
   this.status = "Reversed";
   this.reversedBy = reversalEntry._id;
-  await this.save();
+  await this.save({ session });
 
   return reversalEntry;
 };
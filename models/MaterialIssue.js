@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+const materialIssueLineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: [true, "Item is required"],
+  },
+  itemCode: {
+    type: String,
+    required: [true, "Item code is required"],
+    trim: true,
+    uppercase: true,
+  },
+  itemName: {
+    type: String,
+    trim: true,
+  },
+  unit: {
+    type: String,
+    trim: true,
+  },
+  // Base units of the item in one `unit`, and the quantity in base units
+  conversionFactor: {
+    type: Number,
+    default: 1,
+  },
+  baseQuantity: {
+    type: Number,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [0, "Quantity cannot be negative"],
+  },
+  // Cost per unit the line is charged to (or credited back from) the project
+  rate: {
+    type: Number,
+    default: 0,
+    min: [0, "Rate cannot be negative"],
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  costCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+});
+
+// Material issue note (store to project site) or material return note
+// (site back to store). Issues charge the project with the stock's cost;
+// returns credit it back.
+const materialIssueSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    noteNo: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["Issue", "Return"],
+      default: "Issue",
+    },
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+      default: Date.now,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project is required"],
+    },
+    // Location the material leaves from or returns to
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+    },
+    // Site person who received (or sent back) the material
+    siteContact: {
+      type: String,
+      trim: true,
+    },
+    lines: {
+      type: [materialIssueLineSchema],
+      validate: {
+        validator: function (v) {
+          return v && v.length > 0;
+        },
+        message: "A note must have at least one line",
+      },
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["Posted", "Cancelled"],
+      default: "Posted",
+    },
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Calculate line amounts and the note total
+materialIssueSchema.pre("save", function () {
+  this.lines.forEach((line) => {
+    line.amount = Math.round(line.quantity * line.rate * 100) / 100;
+  });
+  this.totalAmount =
+    Math.round(this.lines.reduce((sum, line) => sum + line.amount, 0) * 100) /
+    100;
+});
+
+// Indexes for tenant isolation and queries
+materialIssueSchema.index({ tenantId: 1, noteNo: 1 });
+materialIssueSchema.index({ tenantId: 1, project: 1, date: -1 });
+materialIssueSchema.index({ tenantId: 1, "lines.item": 1 });
+
+module.exports = mongoose.model("MaterialIssue", materialIssueSchema);
@@ -32,6 +32,9 @@ const notificationSchema = new mongoose.Schema(
         "customer_created",
         "supplier_created",
         "user_created",
+        "purchase_order_submitted",
+        "purchase_requisition_generated",
+        "milestone_completed",
         "system_notification",
       ],
       required: true,
@@ -57,6 +60,8 @@ const notificationSchema = new mongoose.Schema(
         "supplier",
         "user",
         "request_approval",
+        "purchase_order",
+        "purchase_requisition",
       ],
       required: false,
     },
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+const openingCustomerSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true,
+  },
+  code: {
+    type: String,
+    trim: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, "Amount cannot be negative"],
+  },
+});
+
+const openingSupplierSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Supplier",
+    required: true,
+  },
+  code: {
+    type: String,
+    trim: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, "Amount cannot be negative"],
+  },
+});
+
+const openingItemSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+  },
+  itemCode: {
+    type: String,
+    trim: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, "Quantity cannot be negative"],
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: [0, "Unit cost cannot be negative"],
+  },
+  value: {
+    type: Number,
+    default: 0,
+  },
+  // Location the stock is held at; the default location when unset
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Warehouse",
+  },
+});
+
+// Opening balances a tenant brought in when it started using the system
+const openingBalanceSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    asOfDate: {
+      type: Date,
+      required: [true, "Opening balance date is required"],
+    },
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    customers: [openingCustomerSchema],
+    suppliers: [openingSupplierSchema],
+    items: [openingItemSchema],
+    totalDebit: {
+      type: Number,
+      default: 0,
+    },
+    totalCredit: {
+      type: Number,
+      default: 0,
+    },
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Opening balances are imported once per tenant
+openingBalanceSchema.index({ tenantId: 1 }, { unique: true });
+
+module.exports = mongoose.model("OpeningBalance", openingBalanceSchema);
@@ -0,0 +1,204 @@
+const mongoose = require("mongoose");
+
+// Work certified against one BOQ line; quantities and amounts are
+// cumulative to date with the previous certificate's figures alongside
+const certificateLineSchema = new mongoose.Schema({
+  boqLine: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  itemNo: {
+    type: String,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  unit: {
+    type: String,
+    trim: true,
+  },
+  contractQuantity: {
+    type: Number,
+    default: 0,
+  },
+  rate: {
+    type: Number,
+    default: 0,
+  },
+  contractAmount: {
+    type: Number,
+    default: 0,
+  },
+  previousPercent: {
+    type: Number,
+    default: 0,
+  },
+  cumulativePercent: {
+    type: Number,
+    required: true,
+    min: [0, "Percent complete cannot be negative"],
+    max: [100, "Percent complete cannot exceed 100"],
+  },
+  previousQuantity: {
+    type: Number,
+    default: 0,
+  },
+  cumulativeQuantity: {
+    type: Number,
+    default: 0,
+  },
+  previousAmount: {
+    type: Number,
+    default: 0,
+  },
+  cumulativeAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Work billed by this certificate
+  currentQuantity: {
+    type: Number,
+    default: 0,
+  },
+  currentAmount: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Interim payment certificate: bills the client for progress on a contract
+// project. Approving it raises the sales invoice.
+const paymentCertificateSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    certificateNo: {
+      type: String,
+      trim: true,
+    },
+    // Running number of the certificate within its project (IPC 1, 2, ...)
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project is required"],
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: [true, "Customer is required"],
+    },
+    customerName: {
+      type: String,
+      trim: true,
+    },
+    date: {
+      type: Date,
+      required: [true, "Certificate date is required"],
+      default: Date.now,
+    },
+    periodFrom: {
+      type: Date,
+    },
+    periodTo: {
+      type: Date,
+    },
+    lines: [certificateLineSchema],
+
+    // Value of work done: to date, up to the previous certificate and the
+    // difference billed now
+    grossToDate: {
+      type: Number,
+      default: 0,
+    },
+    previousGross: {
+      type: Number,
+      default: 0,
+    },
+    grossAmount: {
+      type: Number,
+      default: 0,
+    },
+    retentionPercent: {
+      type: Number,
+      default: 0,
+    },
+    retentionAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Retention cannot be negative"],
+    },
+    advanceRecoveryPercent: {
+      type: Number,
+      default: 0,
+    },
+    advanceRecovery: {
+      type: Number,
+      default: 0,
+      min: [0, "Advance recovery cannot be negative"],
+    },
+    taxCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    taxPercent: {
+      type: Number,
+      default: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Amount due from the client on this certificate
+    netAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    status: {
+      type: String,
+      enum: ["Draft", "Approved"],
+      default: "Draft",
+    },
+    salesInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SalesInvoice",
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+paymentCertificateSchema.index({ tenantId: 1, certificateNo: 1 });
+paymentCertificateSchema.index(
+  { tenantId: 1, project: 1, sequence: 1 },
+  { unique: true }
+);
+paymentCertificateSchema.index({ tenantId: 1, status: 1 });
+
+module.exports = mongoose.model("PaymentCertificate", paymentCertificateSchema);
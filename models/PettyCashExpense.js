@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+// Expense a custodian paid out of a petty cash fund
+const pettyCashExpenseSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    fund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PettyCashFund",
+      required: [true, "Petty cash fund is required"],
+    },
+    expenseNo: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    date: {
+      type: Date,
+      required: [true, "Expense date is required"],
+    },
+    accountCode: {
+      type: String,
+      required: [true, "Expense account is required"],
+      trim: true,
+    },
+    accountName: {
+      type: String,
+      required: [true, "Expense account name is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    payee: {
+      type: String,
+      trim: true,
+    },
+    // Shop bill or slip number
+    billNo: {
+      type: String,
+      trim: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be greater than zero"],
+    },
+    // Pending until approved; Replenished once a replenishment covered it
+    status: {
+      type: String,
+      enum: ["Pending", "Approved", "Rejected", "Replenished"],
+      default: "Pending",
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    // Entry posted for the approval batch the expense was in
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    replenishment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PettyCashReplenishment",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pettyCashExpenseSchema.index({ tenantId: 1, fund: 1, status: 1 });
+pettyCashExpenseSchema.index({ tenantId: 1, expenseNo: 1 });
+
+module.exports = mongoose.model("PettyCashExpense", pettyCashExpenseSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// Imprest float held by a custodian, e.g. a site supervisor
+const pettyCashFundSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Fund name is required"],
+      trim: true,
+    },
+    custodian: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Custodian is required"],
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    // Float the fund is topped back up to on each replenishment
+    imprestAmount: {
+      type: Number,
+      required: [true, "Imprest amount is required"],
+      min: [0.01, "Imprest amount must be greater than zero"],
+    },
+    // Asset account in the chart of accounts holding the float
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChartOfAccount",
+      required: [true, "Ledger account is required"],
+    },
+    accountCode: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    lastReplenishedAt: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+pettyCashFundSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+pettyCashFundSchema.index({ tenantId: 1, accountCode: 1 }, { unique: true });
+pettyCashFundSchema.index({ tenantId: 1, custodian: 1 });
+
+module.exports = mongoose.model("PettyCashFund", pettyCashFundSchema);
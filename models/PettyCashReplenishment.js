@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// Voucher topping a petty cash fund back up to its imprest amount
+const pettyCashReplenishmentSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    voucherNo: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    fund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PettyCashFund",
+      required: [true, "Petty cash fund is required"],
+    },
+    date: {
+      type: Date,
+      required: [true, "Replenishment date is required"],
+    },
+    paymentMethod: {
+      type: String,
+      enum: ["Cash", "Bank Transfer"],
+      default: "Cash",
+    },
+    // Bank account paid from (not used for cash)
+    bankAccountRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+    },
+    // Fund balance before and after the top-up
+    balanceBefore: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, "Amount must be greater than zero"],
+    },
+    imprestAmount: {
+      type: Number,
+      required: true,
+    },
+    // Approved expenses the top-up covers
+    expenses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PettyCashExpense",
+      },
+    ],
+    expensesTotal: {
+      type: Number,
+      default: 0,
+    },
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pettyCashReplenishmentSchema.index({ tenantId: 1, fund: 1, date: -1 });
+pettyCashReplenishmentSchema.index({ tenantId: 1, voucherNo: 1 });
+
+module.exports = mongoose.model(
+  "PettyCashReplenishment",
+  pettyCashReplenishmentSchema
+);
@@ -1,5 +1,182 @@
 const mongoose = require("mongoose");
 
+// Months between two consecutive installments for each plan frequency
+const INSTALLMENT_FREQUENCY_MONTHS = {
+  Monthly: 1,
+  Quarterly: 3,
+  "Half-Yearly": 6,
+  Yearly: 12,
+};
+
+const InstallmentPlanSchema = new mongoose.Schema(
+  {
+    downPayment: {
+      type: Number,
+      default: 0,
+      min: [0, "Down payment cannot be negative"],
+    },
+    numberOfInstallments: {
+      type: Number,
+      required: [true, "Number of installments is required"],
+      min: [1, "There must be at least one installment"],
+    },
+    frequency: {
+      type: String,
+      enum: Object.keys(INSTALLMENT_FREQUENCY_MONTHS),
+      default: "Monthly",
+    },
+    balloonPayment: {
+      type: Number,
+      default: 0,
+      min: [0, "Balloon payment cannot be negative"],
+    },
+    // Due date of the first regular installment
+    startDate: {
+      type: Date,
+      required: [true, "Installment start date is required"],
+    },
+    // Defaults to the due date of the last regular installment
+    balloonDueDate: {
+      type: Date,
+    },
+    // Late fee settings
+    // Fixed: flat amount per overdue installment
+    // Percentage: percent of the outstanding amount per 30 days overdue
+    lateFeeType: {
+      type: String,
+      enum: ["None", "Fixed", "Percentage"],
+      default: "None",
+    },
+    lateFeeValue: {
+      type: Number,
+      default: 0,
+      min: [0, "Late fee cannot be negative"],
+    },
+    graceDays: {
+      type: Number,
+      default: 0,
+      min: [0, "Grace days cannot be negative"],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const InstallmentSchema = new mongoose.Schema({
+  installmentNo: {
+    type: Number,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["Down Payment", "Installment", "Balloon"],
+    default: "Installment",
+  },
+  dueDate: {
+    type: Date,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, "Installment amount cannot be negative"],
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: [0, "Amount paid cannot be negative"],
+  },
+  lateFeePaid: {
+    type: Number,
+    default: 0,
+    min: [0, "Late fee paid cannot be negative"],
+  },
+  paidDate: {
+    type: Date,
+  },
+  status: {
+    type: String,
+    enum: ["Pending", "Partial", "Paid"],
+    default: "Pending",
+  },
+});
+
+const InstallmentReceiptSchema = new mongoose.Schema({
+  receiptNo: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, "Receipt amount cannot be negative"],
+  },
+  lateFee: {
+    type: Number,
+    default: 0,
+    min: [0, "Late fee cannot be negative"],
+  },
+  paymentMethod: {
+    type: String,
+    enum: ["Cash", "Cheque", "Bank Transfer"],
+    default: "Cash",
+  },
+  bankName: {
+    type: String,
+    trim: true,
+  },
+  chequeNo: {
+    type: String,
+    trim: true,
+  },
+  chequeDate: {
+    type: Date,
+  },
+  // Cheque register entry, set for cheque payments
+  cheque: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Cheque",
+  },
+  reference: {
+    type: String,
+    trim: true,
+  },
+  allocations: [
+    {
+      installmentNo: {
+        type: Number,
+        required: true,
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0, "Allocated amount cannot be negative"],
+      },
+      lateFee: {
+        type: Number,
+        default: 0,
+        min: [0, "Late fee cannot be negative"],
+      },
+    },
+  ],
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "JournalEntry",
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
 const PlotSchema = new mongoose.Schema(
   {
     tenantId: {
@@ -132,6 +309,19 @@ const PlotSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Installment Plan
+    installmentPlan: {
+      type: InstallmentPlanSchema,
+      default: null,
+    },
+    installments: {
+      type: [InstallmentSchema],
+      default: [],
+    },
+    installmentReceipts: {
+      type: [InstallmentReceiptSchema],
+      default: [],
+    },
     registrationDate: {
       type: Date,
     },
@@ -194,94 +384,370 @@ PlotSchema.pre("save", function () {
   }
 });
 
-// Post-save middleware to create journal entry when plot is booked or sold
-PlotSchema.post("save", async function (doc, next) {
-  try {
-    // Skip if plot is being soft-deleted
-    if (!doc.isActive) {
-      return;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Add calendar months to a date, clamping to the last day of shorter months
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setMonth(result.getMonth() + months);
+  if (result.getDate() < day) {
+    result.setDate(0);
+  }
+  return result;
+};
+
+// Total contract price used for installment schedules
+PlotSchema.methods.getContractPrice = function () {
+  return this.finalPrice || this.grossAmount || this.basePrice || 0;
+};
+
+// Generate the installment schedule from a plan
+// Amounts already received (e.g. the booking amount) are carried over oldest first
+PlotSchema.methods.generateInstallmentSchedule = function (plan) {
+  const totalPrice = this.getContractPrice();
+  const downPayment = plan.downPayment || 0;
+  const balloonPayment = plan.balloonPayment || 0;
+  const numberOfInstallments = plan.numberOfInstallments;
+  const financedAmount = roundAmount(
+    totalPrice - downPayment - balloonPayment
+  );
+
+  if (financedAmount < 0) {
+    throw new Error(
+      "Down payment and balloon payment cannot exceed the plot price"
+    );
+  }
+
+  const intervalMonths =
+    INSTALLMENT_FREQUENCY_MONTHS[plan.frequency || "Monthly"];
+  const startDate = new Date(plan.startDate);
+  const regularAmount =
+    Math.floor((financedAmount / numberOfInstallments) * 100) / 100;
+
+  const installments = [];
+  let installmentNo = 1;
+
+  if (downPayment > 0) {
+    installments.push({
+      installmentNo: installmentNo++,
+      type: "Down Payment",
+      dueDate: this.bookingDate || startDate,
+      amount: downPayment,
+    });
+  }
+
+  let lastDueDate = startDate;
+  for (let i = 0; i < numberOfInstallments; i++) {
+    // Last installment absorbs the rounding difference
+    const amount =
+      i === numberOfInstallments - 1
+        ? roundAmount(financedAmount - regularAmount * (numberOfInstallments - 1))
+        : regularAmount;
+    lastDueDate = addMonths(startDate, i * intervalMonths);
+
+    installments.push({
+      installmentNo: installmentNo++,
+      type: "Installment",
+      dueDate: lastDueDate,
+      amount,
+    });
+  }
+
+  if (balloonPayment > 0) {
+    installments.push({
+      installmentNo: installmentNo++,
+      type: "Balloon",
+      dueDate: plan.balloonDueDate || lastDueDate,
+      amount: balloonPayment,
+    });
+  }
+
+  this.installmentPlan = plan;
+  this.installments = installments;
+
+  if (this.amountReceived > 0) {
+    this.allocateInstallmentPayment(
+      Math.min(this.amountReceived, totalPrice),
+      this.bookingDate || new Date()
+    );
+  }
+
+  return this.installments;
+};
+
+// Apply a payment to the installment schedule
+// Uses the given allocations ([{ installmentNo, amount, lateFee }]) or,
+// when none are given, settles the oldest open installments first
+PlotSchema.methods.allocateInstallmentPayment = function (
+  amount,
+  date,
+  allocations = null,
+  lateFee = 0
+) {
+  if (!this.installments || this.installments.length === 0) {
+    throw new Error("Plot does not have an installment schedule");
+  }
+
+  const applied = [];
+  const applyToInstallment = (installment, payAmount, feeAmount = 0) => {
+    installment.amountPaid = roundAmount(
+      (installment.amountPaid || 0) + payAmount
+    );
+    installment.lateFeePaid = roundAmount(
+      (installment.lateFeePaid || 0) + feeAmount
+    );
+
+    if (installment.amountPaid >= installment.amount - 0.01) {
+      installment.status = "Paid";
+      installment.paidDate = date;
+    } else if (installment.amountPaid > 0) {
+      installment.status = "Partial";
     }
 
-    const AccountingService = require("../services/accountingService");
-    const Customer = require("./Customer");
-    const JournalEntry = require("./JournalEntry");
-
-    // Check if this is a booking
-    if (doc.status === "Booked" && doc.customer && doc.bookingDate) {
-      // Check if journal entry already exists for this booking
-      const existingBookingEntry = await JournalEntry.findOne({
-        "sourceTransaction.model": "Plot",
-        "sourceTransaction.id": doc._id,
-        "sourceTransaction.reference": doc.plotNumber,
-        transactionType: "Booking",
-      });
-
-      if (!existingBookingEntry && doc.createdBy) {
-        // Create journal entry for booking
-        await AccountingService.createPlotBookingJournalEntry(
-          doc,
-          doc.createdBy
+    applied.push({
+      installmentNo: installment.installmentNo,
+      amount: payAmount,
+      lateFee: feeAmount,
+    });
+  };
+
+  if (allocations && allocations.length > 0) {
+    const allocatedTotal = allocations.reduce(
+      (sum, allocation) => sum + (Number(allocation.amount) || 0),
+      0
+    );
+    if (Math.abs(allocatedTotal - amount) > 0.01) {
+      throw new Error(
+        `Allocated amounts (${allocatedTotal}) must equal the receipt amount (${amount})`
+      );
+    }
+
+    for (const allocation of allocations) {
+      const installment = this.installments.find(
+        (inst) => inst.installmentNo === Number(allocation.installmentNo)
+      );
+      if (!installment) {
+        throw new Error(`Installment ${allocation.installmentNo} not found`);
+      }
+
+      const outstanding = installment.amount - (installment.amountPaid || 0);
+      if (Number(allocation.amount) > outstanding + 0.01) {
+        throw new Error(
+          `Allocation exceeds the outstanding amount of installment ${installment.installmentNo}`
         );
+      }
+
+      applyToInstallment(
+        installment,
+        Number(allocation.amount),
+        Number(allocation.lateFee) || 0
+      );
+    }
+  } else {
+    let remaining = amount;
+    const openInstallments = this.installments
+      .filter((inst) => inst.status !== "Paid")
+      .sort((a, b) => a.dueDate - b.dueDate);
+
+    for (const installment of openInstallments) {
+      if (remaining <= 0.01) break;
+
+      const outstanding = installment.amount - (installment.amountPaid || 0);
+      const payAmount = roundAmount(Math.min(outstanding, remaining));
+      // Late fee on an auto-allocated receipt goes to the oldest installment
+      applyToInstallment(
+        installment,
+        payAmount,
+        applied.length === 0 ? lateFee : 0
+      );
+      remaining = roundAmount(remaining - payAmount);
+    }
+
+    if (remaining > 0.01) {
+      throw new Error(
+        "Receipt amount exceeds the outstanding installment balance"
+      );
+    }
+  }
 
-        // Update customer balance
-        if (doc.customer) {
-          const totalAmount =
-            doc.finalPrice || doc.grossAmount || doc.basePrice || 0;
-          const balanceDue = totalAmount - (doc.amountReceived || 0);
+  return applied;
+};
 
-          await Customer.findByIdAndUpdate(doc.customer, {
+// Undo a payment previously applied with allocateInstallmentPayment
+// Takes the applied allocations ([{ installmentNo, amount, lateFee }])
+PlotSchema.methods.reverseInstallmentPayment = function (allocations = []) {
+  for (const allocation of allocations) {
+    const installment = this.installments.find(
+      (inst) => inst.installmentNo === Number(allocation.installmentNo)
+    );
+    if (!installment) continue;
+
+    installment.amountPaid = Math.max(
+      roundAmount((installment.amountPaid || 0) - (allocation.amount || 0)),
+      0
+    );
+    installment.lateFeePaid = Math.max(
+      roundAmount((installment.lateFeePaid || 0) - (allocation.lateFee || 0)),
+      0
+    );
+
+    if (installment.amountPaid >= installment.amount - 0.01) {
+      installment.status = "Paid";
+    } else {
+      installment.status = installment.amountPaid > 0 ? "Partial" : "Pending";
+      installment.paidDate = undefined;
+    }
+  }
+};
+
+// Late fee accrued on an installment as of a date
+PlotSchema.methods.calculateLateFee = function (
+  installment,
+  asOfDate = new Date()
+) {
+  const plan = this.installmentPlan;
+  if (!plan || plan.lateFeeType === "None" || !plan.lateFeeValue) {
+    return 0;
+  }
+
+  const daysLate =
+    Math.floor((new Date(asOfDate) - new Date(installment.dueDate)) / DAY_MS) -
+    (plan.graceDays || 0);
+  if (daysLate <= 0) {
+    return 0;
+  }
+
+  if (plan.lateFeeType === "Fixed") {
+    return plan.lateFeeValue;
+  }
+
+  const outstanding = installment.amount - (installment.amountPaid || 0);
+  const periods = Math.ceil(daysLate / 30);
+  return roundAmount((outstanding * plan.lateFeeValue * periods) / 100);
+};
+
+// Get unpaid installments past their due date (plus grace days)
+PlotSchema.methods.getOverdueInstallments = function (asOfDate = new Date()) {
+  const asOf = new Date(asOfDate);
+  const graceDays = this.installmentPlan?.graceDays || 0;
+
+  return this.installments
+    .filter(
+      (inst) =>
+        inst.status !== "Paid" &&
+        new Date(inst.dueDate).getTime() + graceDays * DAY_MS < asOf.getTime()
+    )
+    .map((inst) => {
+      const lateFee = this.calculateLateFee(inst, asOf);
+      return {
+        installmentNo: inst.installmentNo,
+        type: inst.type,
+        dueDate: inst.dueDate,
+        amount: inst.amount,
+        amountPaid: inst.amountPaid,
+        outstanding: roundAmount(inst.amount - (inst.amountPaid || 0)),
+        daysOverdue: Math.floor((asOf - new Date(inst.dueDate)) / DAY_MS),
+        lateFee,
+        lateFeePaid: inst.lateFeePaid || 0,
+        lateFeeDue: Math.max(0, roundAmount(lateFee - (inst.lateFeePaid || 0))),
+      };
+    });
+};
+
+// Post-save middleware to create journal entry when plot is booked or sold
+// Posts in the session the plot was saved with; a posting failure fails the
+// save so the caller's transaction rolls back
+PlotSchema.post("save", async function (doc) {
+  // Skip if plot is being soft-deleted
+  if (!doc.isActive) {
+    return;
+  }
+
+  const AccountingService = require("../services/accountingService");
+  const Customer = require("./Customer");
+  const JournalEntry = require("./JournalEntry");
+  const session = doc.$session();
+
+  // Check if this is a booking
+  if (doc.status === "Booked" && doc.customer && doc.bookingDate) {
+    // Check if journal entry already exists for this booking
+    const existingBookingEntry = await JournalEntry.findOne({
+      "sourceTransaction.model": "Plot",
+      "sourceTransaction.id": doc._id,
+      "sourceTransaction.reference": doc.plotNumber,
+      transactionType: "Booking",
+    }).session(session);
+
+    if (!existingBookingEntry && doc.createdBy) {
+      // Create journal entry for booking
+      await AccountingService.createPlotBookingJournalEntry(
+        doc,
+        doc.createdBy,
+        session
+      );
+
+      // Update customer balance
+      const totalAmount =
+        doc.finalPrice || doc.grossAmount || doc.basePrice || 0;
+      const balanceDue = totalAmount - (doc.amountReceived || 0);
+
+      await Customer.findByIdAndUpdate(
+        doc.customer,
+        {
+          $inc: {
+            totalPurchase: totalAmount,
+            balance: balanceDue,
+          },
+        },
+        { session }
+      );
+    }
+  }
+  // Check if this is a sale (after booking)
+  else if (doc.status === "Sold" && doc.finalPrice && doc.saleDate) {
+    // Check if journal entry already exists for this sale
+    const existingSaleEntry = await JournalEntry.findOne({
+      "sourceTransaction.model": "Plot",
+      "sourceTransaction.id": doc._id,
+      "sourceTransaction.reference": doc.plotNumber,
+      transactionType: "Sale",
+    }).session(session);
+
+    if (!existingSaleEntry && doc.createdBy) {
+      // Create journal entry for sale
+      await AccountingService.createPlotSaleJournalEntry(
+        doc,
+        doc.createdBy,
+        session
+      );
+
+      // Update customer balance if not already updated during booking
+      if (doc.customer) {
+        const totalAmount =
+          doc.finalPrice || doc.grossAmount || doc.basePrice || 0;
+        const balanceDue = totalAmount - (doc.amountReceived || 0);
+
+        await Customer.findByIdAndUpdate(
+          doc.customer,
+          {
             $inc: {
               totalPurchase: totalAmount,
               balance: balanceDue,
             },
-          });
-        }
-      }
-    }
-    // Check if this is a sale (after booking)
-    else if (doc.status === "Sold" && doc.finalPrice && doc.saleDate) {
-      // Check if journal entry already exists for this sale
-      const existingSaleEntry = await JournalEntry.findOne({
-        "sourceTransaction.model": "Plot",
-        "sourceTransaction.id": doc._id,
-        "sourceTransaction.reference": doc.plotNumber,
-        transactionType: "Sale",
-      });
-
-      if (!existingSaleEntry && doc.createdBy) {
-        // Create journal entry for sale
-        await AccountingService.createPlotSaleJournalEntry(doc, doc.createdBy);
-
-        // Update customer balance if not already updated during booking
-        if (doc.customer) {
-          const customer = await Customer.findById(doc.customer);
-          if (customer) {
-            const totalAmount =
-              doc.finalPrice || doc.grossAmount || doc.basePrice || 0;
-            const balanceDue = totalAmount - (doc.amountReceived || 0);
-
-            // Only update if not already accounted for
-            await Customer.findByIdAndUpdate(doc.customer, {
-              $inc: {
-                totalPurchase: totalAmount,
-                balance: balanceDue,
-              },
-            });
-          }
-        }
+          },
+          { session }
+        );
       }
     }
-  } catch (error) {
-    console.error(
-      "Error creating journal entry or updating customer for plot:",
-      error.message
-    );
-    // Don't throw error to prevent plot update failure
   }
 });
 
 // Index for tenant isolation and queries
 PlotSchema.index({ tenantId: 1 });
 PlotSchema.index({ tenantId: 1, plotNumber: 1 });
+PlotSchema.index({ tenantId: 1, "installments.dueDate": 1 });
 
 module.exports = mongoose.model("Plot", PlotSchema);
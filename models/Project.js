@@ -84,6 +84,37 @@ const projectSchema = new mongoose.Schema(
       enum: ["Active", "Completed", "On Hold", "Cancelled"],
       default: "Active",
     },
+    // Contract billing terms used by interim payment certificates: the
+    // customer account billed, retention withheld from each certificate and
+    // recovery of the client's mobilisation advance
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    retentionPercent: {
+      type: Number,
+      default: 0,
+      min: [0, "Retention percent cannot be negative"],
+      max: [100, "Retention percent cannot exceed 100"],
+    },
+    advanceAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Advance amount cannot be negative"],
+    },
+    advanceRecoveryPercent: {
+      type: Number,
+      default: 0,
+      min: [0, "Advance recovery percent cannot be negative"],
+      max: [100, "Advance recovery percent cannot exceed 100"],
+    },
+    // Overall percent complete, rolled up from the project's tasks
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
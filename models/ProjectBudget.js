@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+// Part of a budget line planned for one calendar month (YYYY-MM)
+const budgetPhaseSchema = new mongoose.Schema({
+  month: {
+    type: String,
+    required: [true, "Phase month is required"],
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, "Phase month must be in YYYY-MM format"],
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, "Amount cannot be negative"],
+  },
+});
+
+const budgetLineSchema = new mongoose.Schema({
+  costCode: {
+    type: String,
+    required: [true, "Cost code is required"],
+    trim: true,
+    uppercase: true,
+  },
+  costCodeName: {
+    type: String,
+    trim: true,
+  },
+  amount: {
+    type: Number,
+    required: [true, "Budget amount is required"],
+    min: [0, "Amount cannot be negative"],
+  },
+  // Optional monthly phasing; when given it adds up to the line amount
+  phasing: [budgetPhaseSchema],
+  notes: {
+    type: String,
+    trim: true,
+  },
+});
+
+// Cost budget of a project broken down by cost code
+const projectBudgetSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project is required"],
+    },
+    lines: [budgetLineSchema],
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Calculate the budget total from its lines
+projectBudgetSchema.pre("save", function () {
+  this.totalAmount =
+    Math.round(this.lines.reduce((sum, line) => sum + line.amount, 0) * 100) /
+    100;
+});
+
+// A project has one budget per tenant
+projectBudgetSchema.index({ tenantId: 1, project: 1 }, { unique: true });
+
+module.exports = mongoose.model("ProjectBudget", projectBudgetSchema);
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+
+// One node of a project's work breakdown structure. Phases group tasks and
+// milestones; a parent's progress and actual dates are rolled up from its
+// children.
+const projectTaskSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project is required"],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProjectTask",
+      default: null,
+    },
+    // Position among its siblings; the WBS code (1, 1.2, 1.2.3) follows it
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    wbsCode: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["Phase", "Task", "Milestone"],
+      default: "Task",
+    },
+    name: {
+      type: String,
+      required: [true, "Task name is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    plannedStart: {
+      type: Date,
+    },
+    // Due date for milestones
+    plannedEnd: {
+      type: Date,
+    },
+    actualStart: {
+      type: Date,
+    },
+    actualEnd: {
+      type: Date,
+    },
+    percentComplete: {
+      type: Number,
+      default: 0,
+      min: [0, "Percent complete cannot be negative"],
+      max: [100, "Percent complete cannot exceed 100"],
+    },
+    status: {
+      type: String,
+      enum: ["Not Started", "In Progress", "Completed"],
+      default: "Not Started",
+    },
+    responsible: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Finish-to-start: these must be complete before this task starts
+    dependencies: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ProjectTask",
+      },
+    ],
+    // Milestones only: tell the admins when it is reached
+    notifyOnCompletion: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Keep the status in step with the progress
+projectTaskSchema.pre("save", function () {
+  this.status =
+    this.percentComplete >= 100
+      ? "Completed"
+      : this.percentComplete > 0 || this.actualStart
+      ? "In Progress"
+      : "Not Started";
+});
+
+// Indexes for tenant isolation and queries
+projectTaskSchema.index({ tenantId: 1, project: 1, parent: 1, sequence: 1 });
+projectTaskSchema.index({ tenantId: 1, project: 1, type: 1, plannedEnd: 1 });
+projectTaskSchema.index({ tenantId: 1, responsible: 1 });
+
+module.exports = mongoose.model("ProjectTask", projectTaskSchema);
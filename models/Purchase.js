@@ -1,5 +1,103 @@
 const mongoose = require("mongoose");
 
+const purchaseLineSchema = new mongoose.Schema({
+  // _id of the matching purchase order line (PO-based bills only)
+  poLine: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: [true, "Item is required"],
+  },
+  itemCode: {
+    type: String,
+    required: [true, "Item code is required"],
+    trim: true,
+    uppercase: true,
+  },
+  itemName: {
+    type: String,
+    required: [true, "Item name is required"],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [0, "Quantity cannot be negative"],
+  },
+  unit: {
+    type: String,
+    required: [true, "Unit is required"],
+    trim: true,
+  },
+  // Base units of the item in one `unit`, and the quantity in base units
+  conversionFactor: {
+    type: Number,
+    default: 1,
+  },
+  baseQuantity: {
+    type: Number,
+  },
+  rate: {
+    type: Number,
+    required: [true, "Rate is required"],
+    min: [0, "Rate cannot be negative"],
+  },
+  grossAmount: {
+    type: Number,
+    default: 0,
+    min: [0, "Gross amount cannot be negative"],
+  },
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: [0, "Discount percent cannot be negative"],
+    max: [100, "Discount percent cannot exceed 100"],
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, "Discount cannot be negative"],
+  },
+  taxCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  taxPercent: {
+    type: Number,
+    default: 0,
+    min: [0, "Tax percent cannot be negative"],
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, "Tax amount cannot be negative"],
+  },
+  netAmount: {
+    type: Number,
+    default: 0,
+    min: [0, "Net amount cannot be negative"],
+  },
+  // Value the line's goods were received at on GRNs (order rate); the bill
+  // clears it from Goods Received Not Invoiced (PO-based bills only)
+  receivedValue: {
+    type: Number,
+    default: 0,
+  },
+  // Cost code the amount is budgeted under (project cost reporting)
+  costCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+});
+
 const purchaseSchema = new mongoose.Schema(
   {
     tenantId: {
@@ -18,6 +116,10 @@ const purchaseSchema = new mongoose.Schema(
       required: [true, "Purchase date is required"],
       default: Date.now,
     },
+    // Payment due date used for payables ageing (falls back to the bill date)
+    dueDate: {
+      type: Date,
+    },
     purchaseOrderNo: {
       type: String,
       required: [true, "Purchase order number is required"],
@@ -54,6 +156,11 @@ const purchaseSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Location the stock is received into
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+    },
     employeeReference: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -65,58 +172,77 @@ const purchaseSchema = new mongoose.Schema(
       ref: "Project",
     },
 
-    // Item Details - Reference to Item model
-    item: {
+    // Purchase order / GRNs this bill is matched against
+    purchaseOrder: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "Item",
-      required: [true, "Item is required"],
+      ref: "PurchaseOrder",
     },
-    itemCode: {
-      type: String,
-      required: [true, "Item code is required"],
-      trim: true,
-    },
-    itemName: {
+    goodsReceivedNotes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "GoodsReceivedNote",
+      },
+    ],
+    matchStatus: {
       type: String,
-      required: [true, "Item name is required"],
-      trim: true,
+      enum: ["Not Applicable", "Matched", "Variance"],
+      default: "Not Applicable",
     },
-    description: {
-      type: String,
-      trim: true,
+    matchVariances: [
+      {
+        itemCode: String,
+        itemName: String,
+        varianceType: {
+          type: String,
+          enum: ["Quantity", "Price", "Unordered"],
+        },
+        expected: Number,
+        actual: Number,
+        variancePercent: Number,
+      },
+    ],
+
+    // Bill Lines
+    lines: {
+      type: [purchaseLineSchema],
+      required: [true, "At least one line is required"],
+      validate: {
+        validator: function (v) {
+          return v && v.length > 0;
+        },
+        message: "Purchase must have at least one line",
+      },
     },
 
-    // Quantity and Pricing
-    quantity: {
+    // Amounts
+    grossAmount: {
       type: Number,
-      required: [true, "Quantity is required"],
-      min: [0, "Quantity cannot be negative"],
+      default: 0,
+      min: [0, "Gross amount cannot be negative"],
     },
-    unit: {
-      type: String,
-      required: [true, "Unit is required"],
-      trim: true,
+    lineDiscount: {
+      type: Number,
+      default: 0,
+      min: [0, "Line discount cannot be negative"],
     },
-    rate: {
+    taxAmount: {
       type: Number,
-      required: [true, "Rate is required"],
-      min: [0, "Rate cannot be negative"],
+      default: 0,
+      min: [0, "Tax amount cannot be negative"],
     },
-
-    // Amounts
-    grossAmount: {
+    additionalDiscount: {
       type: Number,
       default: 0,
-      min: [0, "Gross amount cannot be negative"],
+      min: [0, "Additional discount cannot be negative"],
     },
-    discount: {
+    carriageFreight: {
       type: Number,
       default: 0,
-      min: [0, "Discount cannot be negative"],
+      min: [0, "Carriage freight cannot be negative"],
     },
     netAmount: {
       type: Number,
-      required: [true, "Net amount is required"],
+      default: 0,
       min: [0, "Net amount cannot be negative"],
     },
 
@@ -150,9 +276,18 @@ const purchaseSchema = new mongoose.Schema(
     },
     payments: [
       {
+        paymentModel: {
+          type: String,
+          enum: ["BankPayment", "CashPayment", "SupplierPayment"],
+          default: "BankPayment",
+        },
         paymentId: {
           type: mongoose.Schema.Types.ObjectId,
-          ref: "BankPayment",
+          refPath: "payments.paymentModel",
+        },
+        reference: {
+          type: String,
+          trim: true,
         },
         amount: {
           type: Number,
@@ -175,24 +310,50 @@ const purchaseSchema = new mongoose.Schema(
 purchaseSchema.index({ serialNo: 1 });
 purchaseSchema.index({ date: -1 });
 purchaseSchema.index({ vendorName: 1 });
-purchaseSchema.index({ item: 1 });
+purchaseSchema.index({ "lines.item": 1 });
 purchaseSchema.index({ purchaseOrderNo: 1 });
-purchaseSchema.index({ item: 1, date: -1 });
+purchaseSchema.index({ "lines.item": 1, date: -1 });
+purchaseSchema.index({ "lines.itemCode": 1 });
 purchaseSchema.index({ project: 1, date: -1 });
 purchaseSchema.index({ paymentStatus: 1 });
+purchaseSchema.index({ purchaseOrder: 1 });
+purchaseSchema.index({ tenantId: 1, vendorCode: 1, paymentStatus: 1 });
 
 // Pre-save middleware to calculate amounts, payment status, and track if document is new
 purchaseSchema.pre("save", async function () {
   // Track if document is new (for post-save hook)
   this.wasNew = this.isNew;
 
-  // Calculate gross amount if not provided
-  if (!this.grossAmount || this.grossAmount === 0) {
-    this.grossAmount = this.quantity * this.rate;
-  }
+  // Calculate line amounts
+  this.lines.forEach((line) => {
+    line.grossAmount = line.quantity * line.rate;
+
+    if (line.discountPercent > 0) {
+      line.discount = (line.grossAmount * line.discountPercent) / 100;
+    }
 
-  // Calculate net amount
-  this.netAmount = this.grossAmount - (this.discount || 0);
+    if (line.taxPercent > 0) {
+      line.taxAmount =
+        ((line.grossAmount - (line.discount || 0)) * line.taxPercent) / 100;
+    }
+
+    line.netAmount =
+      line.grossAmount - (line.discount || 0) + (line.taxAmount || 0);
+  });
+
+  // Calculate bill totals
+  this.grossAmount = this.lines.reduce((sum, line) => sum + line.grossAmount, 0);
+  this.lineDiscount = this.lines.reduce(
+    (sum, line) => sum + (line.discount || 0),
+    0
+  );
+  this.taxAmount = this.lines.reduce(
+    (sum, line) => sum + (line.taxAmount || 0),
+    0
+  );
+  const linesTotal = this.lines.reduce((sum, line) => sum + line.netAmount, 0);
+  this.netAmount =
+    linesTotal - (this.additionalDiscount || 0) + (this.carriageFreight || 0);
 
   // Update payment status based on amountPaid
   if (this.amountPaid === 0) {
@@ -205,45 +366,33 @@ purchaseSchema.pre("save", async function () {
 });
 
 // Post-save middleware to create journal entry for accounting
+// Posts in the session the bill was saved with; a posting failure fails
+// the save so the caller's transaction rolls back
 purchaseSchema.post("save", async function (doc) {
   // Only create journal entry if this is a new purchase (not an update)
-  if (this.wasNew && doc.status !== "cancelled") {
-    try {
-      const AccountingService = require("../services/accountingService");
-
-      // Get the user who created the purchase (default to first admin if not available)
-      let userId = doc.createdBy;
-      if (!userId) {
-        const User = require("./User");
-        const admin = await User.findOne({ role: "admin" });
-        userId = admin ? admin._id : null;
-      }
-
-      if (userId) {
-        console.log(
-          "Creating journal entry for purchase:",
-          doc.purchaseOrderNo
-        );
-        const journalEntry = await AccountingService.createPurchaseJournalEntry(
-          doc,
-          userId
-        );
-        console.log(
-          "✓ Journal entry created successfully:",
-          journalEntry.entryNumber
-        );
-      } else {
-        console.error("❌ No user ID found for journal entry creation");
-      }
-    } catch (error) {
-      console.error(
-        "❌ Error creating journal entry for purchase:",
-        error.message
-      );
-      console.error("Error stack:", error.stack);
-      // Don't throw error to prevent purchase creation failure
-    }
+  if (!this.wasNew || doc.status === "cancelled") return;
+
+  const AccountingService = require("../services/accountingService");
+  const session = doc.$session();
+
+  // Get the user who created the purchase (default to first admin if not available)
+  let userId = doc.createdBy;
+  if (!userId) {
+    const User = require("./User");
+    const admin = await User.findOne({
+      tenantId: doc.tenantId,
+      role: "admin",
+    }).session(session);
+    userId = admin ? admin._id : null;
+  }
+
+  if (!userId) {
+    throw new Error(
+      `No user available to post the journal entry for purchase ${doc.purchaseOrderNo}`
+    );
   }
+
+  await AccountingService.createPurchaseJournalEntry(doc, userId, session);
 });
 
 // Indexes for tenant isolation and queries
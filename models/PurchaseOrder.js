@@ -0,0 +1,208 @@
+const mongoose = require("mongoose");
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: [true, "Item is required"],
+  },
+  itemCode: {
+    type: String,
+    required: [true, "Item code is required"],
+    trim: true,
+    uppercase: true,
+  },
+  itemName: {
+    type: String,
+    required: [true, "Item name is required"],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [0, "Quantity cannot be negative"],
+  },
+  unit: {
+    type: String,
+    required: [true, "Unit is required"],
+    trim: true,
+  },
+  // Base units of the item in one `unit`, and the quantity in base units
+  conversionFactor: {
+    type: Number,
+    default: 1,
+  },
+  baseQuantity: {
+    type: Number,
+  },
+  rate: {
+    type: Number,
+    required: [true, "Rate is required"],
+    min: [0, "Rate cannot be negative"],
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, "Amount cannot be negative"],
+  },
+  // Running totals maintained by GRNs and supplier bills
+  receivedQty: {
+    type: Number,
+    default: 0,
+    min: [0, "Received quantity cannot be negative"],
+  },
+  billedQty: {
+    type: Number,
+    default: 0,
+    min: [0, "Billed quantity cannot be negative"],
+  },
+  // Cost code the amount is budgeted under (project cost reporting)
+  costCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    poNumber: {
+      type: String,
+      required: [true, "PO number is required"],
+      trim: true,
+      uppercase: true,
+    },
+    date: {
+      type: Date,
+      required: [true, "Order date is required"],
+      default: Date.now,
+    },
+    expectedDeliveryDate: {
+      type: Date,
+    },
+
+    // Supplier Details
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Supplier is required"],
+    },
+    vendorCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    vendorName: {
+      type: String,
+      required: [true, "Vendor name is required"],
+      trim: true,
+    },
+
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    deliveryLocation: {
+      type: String,
+      trim: true,
+    },
+    // Requisition the order was raised from
+    purchaseRequisition: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseRequisition",
+    },
+
+    lines: {
+      type: [purchaseOrderLineSchema],
+      required: [true, "At least one line is required"],
+      validate: {
+        validator: function (v) {
+          return v && v.length > 0;
+        },
+        message: "Purchase order must have at least one line",
+      },
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Total amount cannot be negative"],
+    },
+
+    // Approval and fulfilment state
+    status: {
+      type: String,
+      enum: [
+        "Draft",
+        "Pending Approval",
+        "Approved",
+        "Partially Received",
+        "Received",
+        "Closed",
+        "Cancelled",
+      ],
+      default: "Draft",
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: {
+      type: Date,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Calculate line amounts and the order total
+purchaseOrderSchema.pre("save", function () {
+  this.lines.forEach((line) => {
+    line.amount = line.quantity * line.rate;
+  });
+  this.totalAmount = this.lines.reduce((sum, line) => sum + line.amount, 0);
+});
+
+// Update receiving status from the line totals
+purchaseOrderSchema.methods.refreshReceiptStatus = function () {
+  if (!["Approved", "Partially Received", "Received"].includes(this.status)) {
+    return;
+  }
+
+  const fullyReceived = this.lines.every(
+    (line) => line.receivedQty >= line.quantity
+  );
+  const anyReceived = this.lines.some((line) => line.receivedQty > 0);
+
+  if (fullyReceived) {
+    this.status = "Received";
+  } else if (anyReceived) {
+    this.status = "Partially Received";
+  } else {
+    this.status = "Approved";
+  }
+};
+
+// Indexes for tenant isolation and queries
+purchaseOrderSchema.index({ tenantId: 1 });
+purchaseOrderSchema.index({ tenantId: 1, poNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ tenantId: 1, supplier: 1, date: -1 });
+purchaseOrderSchema.index({ tenantId: 1, status: 1 });
+
+module.exports = mongoose.model("PurchaseOrder", purchaseOrderSchema);
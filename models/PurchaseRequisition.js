@@ -0,0 +1,193 @@
+const mongoose = require("mongoose");
+
+const purchaseRequisitionLineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: [true, "Item is required"],
+  },
+  itemCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  itemName: {
+    type: String,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [0, "Quantity cannot be negative"],
+  },
+  unit: {
+    type: String,
+    trim: true,
+  },
+  // Base units of the item in one `unit`, and the quantity in base units
+  conversionFactor: {
+    type: Number,
+    default: 1,
+  },
+  baseQuantity: {
+    type: Number,
+  },
+  // Estimated rate per unit, from the item's purchase price
+  rate: {
+    type: Number,
+    default: 0,
+    min: [0, "Rate cannot be negative"],
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  // Supplier to order from; the requisition's supplier when not set
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Supplier",
+  },
+  costCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  // Figures the reorder engine based the quantity on (base units)
+  reorder: {
+    available: Number,
+    reorderPoint: Number,
+    averageDailyUsage: Number,
+    leadTimeDays: Number,
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PurchaseOrder",
+  },
+});
+
+// Request to buy stock, raised by hand or by the reorder engine. Once
+// approved through a request approval it becomes one purchase order per
+// supplier.
+const purchaseRequisitionSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    requisitionNo: {
+      type: String,
+      required: [true, "Requisition number is required"],
+      trim: true,
+      uppercase: true,
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    requiredBy: {
+      type: Date,
+    },
+    source: {
+      type: String,
+      enum: ["Manual", "Reorder"],
+      default: "Manual",
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+    },
+    // Location the stock is to be delivered to
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    lines: {
+      type: [purchaseRequisitionLineSchema],
+      validate: {
+        validator: function (v) {
+          return v && v.length > 0;
+        },
+        message: "Purchase requisition must have at least one line",
+      },
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["Draft", "Pending Approval", "Ordered", "Rejected", "Cancelled"],
+      default: "Draft",
+    },
+    approvalRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RequestApproval",
+    },
+    purchaseOrders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PurchaseOrder",
+      },
+    ],
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    submittedAt: {
+      type: Date,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Calculate line amounts and the estimated total
+purchaseRequisitionSchema.pre("save", function () {
+  this.lines.forEach((line) => {
+    line.amount = Math.round(line.quantity * line.rate * 100) / 100;
+  });
+  this.totalAmount =
+    Math.round(this.lines.reduce((sum, line) => sum + line.amount, 0) * 100) /
+    100;
+});
+
+// Indexes for tenant isolation and queries
+purchaseRequisitionSchema.index(
+  { tenantId: 1, requisitionNo: 1 },
+  { unique: true }
+);
+purchaseRequisitionSchema.index({ tenantId: 1, status: 1, date: -1 });
+purchaseRequisitionSchema.index({ tenantId: 1, "lines.item": 1, status: 1 });
+
+module.exports = mongoose.model(
+  "PurchaseRequisition",
+  purchaseRequisitionSchema
+);
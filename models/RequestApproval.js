@@ -32,6 +32,7 @@ const requestApprovalSchema = new mongoose.Schema(
         "edit_supplier",
         "create_user",
         "edit_user",
+        "create_purchase_order",
       ],
       required: true,
     },
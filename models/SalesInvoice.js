@@ -34,6 +34,14 @@ const salesInvoiceItemSchema = new mongoose.Schema({
     required: [true, "Unit is required"],
     trim: true,
   },
+  // Base units of the item in one `unit`, and the quantity in base units
+  conversionFactor: {
+    type: Number,
+    default: 1,
+  },
+  baseQuantity: {
+    type: Number,
+  },
   rate: {
     type: Number,
     required: [true, "Rate is required"],
@@ -55,11 +63,31 @@ const salesInvoiceItemSchema = new mongoose.Schema({
     default: 0,
     min: [0, "Discount cannot be negative"],
   },
+  taxCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  taxPercent: {
+    type: Number,
+    default: 0,
+    min: [0, "Tax percent cannot be negative"],
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, "Tax amount cannot be negative"],
+  },
   netAmount: {
     type: Number,
     required: [true, "Net amount is required"],
     min: [0, "Net amount cannot be negative"],
   },
+  // Cost of the stock sold on this line, from the stock ledger
+  costAmount: {
+    type: Number,
+    default: 0,
+  },
 });
 
 const salesInvoiceSchema = new mongoose.Schema(
@@ -140,6 +168,11 @@ const salesInvoiceSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Location the stock is sold from
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+    },
     project: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Project",
@@ -172,6 +205,27 @@ const salesInvoiceSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Carriage freight cannot be negative"],
     },
+    // Deductions on progress billing invoices raised by an interim payment
+    // certificate: retention withheld and client advance recovered
+    paymentCertificate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentCertificate",
+    },
+    retentionAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Retention cannot be negative"],
+    },
+    advanceRecovery: {
+      type: Number,
+      default: 0,
+      min: [0, "Advance recovery cannot be negative"],
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Tax amount cannot be negative"],
+    },
     netTotal: {
       type: Number,
       default: 0,
@@ -182,10 +236,25 @@ const salesInvoiceSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Amount received cannot be negative"],
     },
+    // Part of amountReceived paid by later receipts, which post their own
+    // cash entries; the rest was taken on the invoice itself
+    amountAllocated: {
+      type: Number,
+      default: 0,
+      min: [0, "Amount allocated cannot be negative"],
+    },
     balance: {
       type: Number,
       default: 0,
     },
+    costOfSales: {
+      type: Number,
+      default: 0,
+    },
+    costOfSalesEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
 
     // Status
     status: {
@@ -252,17 +321,36 @@ salesInvoiceSchema.pre("save", async function (next) {
       item.discount = (item.grossAmount * item.discountPercent) / 100;
     }
 
+    // Calculate sales tax on the discounted amount
+    item.taxAmount =
+      ((item.grossAmount - item.discount) * (item.taxPercent || 0)) / 100;
+
     // Calculate net amount
-    item.netAmount = item.grossAmount - item.discount;
+    item.netAmount = item.grossAmount - item.discount + item.taxAmount;
   });
 
+  this.taxAmount = this.items.reduce(
+    (sum, item) => sum + (item.taxAmount || 0),
+    0
+  );
+
   // Calculate net total
   const itemsTotal = this.items.reduce((sum, item) => sum + item.netAmount, 0);
-  this.netTotal = itemsTotal - this.additionalDiscount + this.carriageFreight;
+  this.netTotal =
+    itemsTotal -
+    this.additionalDiscount +
+    this.carriageFreight -
+    (this.retentionAmount || 0) -
+    (this.advanceRecovery || 0);
 
   // Calculate balance
   this.balance = this.netTotal - this.amountReceived;
 
+  this.costOfSales =
+    Math.round(
+      this.items.reduce((sum, item) => sum + (item.costAmount || 0), 0) * 100
+    ) / 100;
+
   // Update status based on payment
   if (this.amountReceived === 0) {
     this.status = "pending";
@@ -275,42 +363,45 @@ salesInvoiceSchema.pre("save", async function (next) {
 });
 
 // Post-save middleware to create journal entry for accounting
+// Posts in the session the invoice was saved with; a posting failure fails
+// the save so the caller's transaction rolls back
 salesInvoiceSchema.post("save", async function (doc) {
   // Only create journal entry if this is a new invoice (not an update)
-  if (this.wasNew && doc.status !== "cancelled") {
-    try {
-      const AccountingService = require("../services/accountingService");
+  if (!this.wasNew || doc.status === "cancelled") return;
 
-      // Get the user who created the invoice (default to first admin if not available)
-      let userId = doc.createdBy;
-      if (!userId) {
-        const User = require("./User");
-        const admin = await User.findOne({ role: "admin" });
-        userId = admin ? admin._id : null;
-      }
+  const AccountingService = require("../services/accountingService");
+  const session = doc.$session();
+
+  // Get the user who created the invoice (default to first admin if not available)
+  let userId = doc.createdBy;
+  if (!userId) {
+    const User = require("./User");
+    const admin = await User.findOne({
+      tenantId: doc.tenantId,
+      role: "admin",
+    }).session(session);
+    userId = admin ? admin._id : null;
+  }
 
-      if (userId) {
-        // Check if this invoice contains plots
-        const hasPlots = doc.items.some((item) => item.itemType === "Plot");
+  if (!userId) {
+    throw new Error(
+      `No user available to post the journal entry for invoice ${doc.serialNo}`
+    );
+  }
 
-        if (hasPlots) {
-          // Create plot sales invoice journal entry
-          await AccountingService.createPlotSalesInvoiceJournalEntry(
-            doc,
-            userId
-          );
-        } else {
-          // Create regular sales journal entry
-          await AccountingService.createSalesJournalEntry(doc, userId);
-        }
-      }
-    } catch (error) {
-      console.error(
-        "Error creating journal entry for sales invoice:",
-        error.message
-      );
-      // Don't throw error to prevent invoice creation failure
-    }
+  // Check if this invoice contains plots
+  const hasPlots = doc.items.some((item) => item.itemType === "Plot");
+
+  if (hasPlots) {
+    // Create plot sales invoice journal entry
+    await AccountingService.createPlotSalesInvoiceJournalEntry(
+      doc,
+      userId,
+      session
+    );
+  } else {
+    // Create regular sales journal entry
+    await AccountingService.createSalesJournalEntry(doc, userId, session);
   }
 });
 
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Quantity of an item held at one location. Item.currentStock is the total
+// across all locations.
+const stockBalanceSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Item is required"],
+    },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: [true, "Warehouse is required"],
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+    },
+    // Low-stock level at this location; the item's minStockLevel when unset
+    minStockLevel: {
+      type: Number,
+      min: [0, "Minimum stock level cannot be negative"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+stockBalanceSchema.index(
+  { tenantId: 1, item: 1, warehouse: 1 },
+  { unique: true }
+);
+stockBalanceSchema.index({ tenantId: 1, warehouse: 1 });
+
+module.exports = mongoose.model("StockBalance", stockBalanceSchema);
@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+
+const stockCountLineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: [true, "Item is required"],
+  },
+  itemCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  itemName: {
+    type: String,
+    trim: true,
+  },
+  unit: {
+    type: String,
+    trim: true,
+  },
+  // Quantity on the books when the count started
+  systemQuantity: {
+    type: Number,
+    default: 0,
+  },
+  countedQuantity: {
+    type: Number,
+    min: [0, "Counted quantity cannot be negative"],
+  },
+  varianceQuantity: {
+    type: Number,
+    default: 0,
+  },
+  // Average cost when the count started, used to value gains
+  unitCost: {
+    type: Number,
+    default: 0,
+  },
+  varianceValue: {
+    type: Number,
+    default: 0,
+  },
+  reason: {
+    type: String,
+    enum: ["Count Difference", "Wastage", "Breakage", "Theft", "Expiry"],
+    default: "Count Difference",
+  },
+  remarks: {
+    type: String,
+    trim: true,
+  },
+});
+
+const stockCountSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    countNo: {
+      type: String,
+      required: [true, "Count number is required"],
+      trim: true,
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: [true, "Warehouse is required"],
+    },
+    categoryCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    lines: [stockCountLineSchema],
+    status: {
+      type: String,
+      enum: ["Counting", "Submitted", "Posted", "Cancelled"],
+      default: "Counting",
+    },
+    // Net value of the variances posted (negative for a loss)
+    totalVarianceValue: {
+      type: Number,
+      default: 0,
+    },
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    submittedAt: {
+      type: Date,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Work out each counted line's variance and the estimated total. Lines
+// not counted yet carry no variance.
+stockCountSchema.pre("save", function () {
+  this.lines.forEach((line) => {
+    const counted =
+      line.countedQuantity !== undefined && line.countedQuantity !== null;
+    line.varianceQuantity = counted
+      ? Math.round((line.countedQuantity - line.systemQuantity) * 1000) / 1000
+      : 0;
+    if (this.status !== "Posted") {
+      line.varianceValue =
+        Math.round(line.varianceQuantity * line.unitCost * 100) / 100;
+    }
+  });
+  this.totalVarianceValue =
+    Math.round(
+      this.lines.reduce((sum, line) => sum + line.varianceValue, 0) * 100
+    ) / 100;
+});
+
+// Indexes for tenant isolation and queries
+stockCountSchema.index({ tenantId: 1, countNo: 1 }, { unique: true });
+stockCountSchema.index({ tenantId: 1, warehouse: 1, status: 1 });
+stockCountSchema.index({ tenantId: 1, date: -1 });
+
+module.exports = mongoose.model("StockCount", stockCountSchema);
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+// Stock ledger: one row per item per location for every stock movement,
+// valued at the tenant's costing method. Quantity and value are signed
+// (positive in, negative out); the balances are the item's totals across
+// all locations after the movement.
+const stockMovementSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Item is required"],
+    },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: [true, "Warehouse is required"],
+    },
+    movementType: {
+      type: String,
+      required: [true, "Movement type is required"],
+      enum: [
+        "Opening",
+        "Purchase",
+        "Goods Receipt",
+        "Sale",
+        "Material Issue",
+        "Material Return",
+        "Transfer Out",
+        "Transfer In",
+        "Adjustment",
+      ],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+    },
+    unitCost: {
+      type: Number,
+      default: 0,
+    },
+    value: {
+      type: Number,
+      default: 0,
+    },
+    balanceQuantity: {
+      type: Number,
+      default: 0,
+    },
+    balanceValue: {
+      type: Number,
+      default: 0,
+    },
+    // FIFO: quantity of an incoming movement not yet consumed
+    remainingQuantity: {
+      type: Number,
+    },
+    // Document that moved the stock
+    sourceTransaction: {
+      model: {
+        type: String,
+        enum: [
+          "Item",
+          "Purchase",
+          "GoodsReceivedNote",
+          "SalesInvoice",
+          "MaterialIssue",
+          "StockTransfer",
+          "StockCount",
+          "OpeningBalance",
+        ],
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: "sourceTransaction.model",
+      },
+      reference: {
+        type: String,
+        trim: true,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+stockMovementSchema.index({ tenantId: 1, item: 1, date: 1, createdAt: 1 });
+stockMovementSchema.index({ tenantId: 1, warehouse: 1, item: 1 });
+stockMovementSchema.index({
+  tenantId: 1,
+  "sourceTransaction.model": 1,
+  "sourceTransaction.id": 1,
+});
+stockMovementSchema.index(
+  { tenantId: 1, item: 1, remainingQuantity: 1 },
+  { sparse: true }
+);
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
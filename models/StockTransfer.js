@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+
+const stockTransferLineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: [true, "Item is required"],
+  },
+  itemCode: {
+    type: String,
+    required: [true, "Item code is required"],
+    trim: true,
+    uppercase: true,
+  },
+  itemName: {
+    type: String,
+    trim: true,
+  },
+  unit: {
+    type: String,
+    trim: true,
+  },
+  // Base units of the item in one `unit`, and the quantity in base units
+  conversionFactor: {
+    type: Number,
+    default: 1,
+  },
+  baseQuantity: {
+    type: Number,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [0, "Quantity cannot be negative"],
+  },
+});
+
+// Stock moved from one location to another. Stock leaves the source when
+// the transfer is dispatched and reaches the destination when received.
+const stockTransferSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    transferNo: {
+      type: String,
+      trim: true,
+    },
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+      default: Date.now,
+    },
+    fromWarehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: [true, "Source location is required"],
+    },
+    toWarehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: [true, "Destination location is required"],
+    },
+    lines: {
+      type: [stockTransferLineSchema],
+      validate: {
+        validator: function (v) {
+          return v && v.length > 0;
+        },
+        message: "A transfer must have at least one line",
+      },
+    },
+    status: {
+      type: String,
+      enum: ["In Transit", "Received", "Cancelled"],
+      default: "In Transit",
+    },
+    // Vehicle, driver or delivery challan the stock travels with
+    vehicleNo: {
+      type: String,
+      trim: true,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    dispatchedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    receivedAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+stockTransferSchema.index({ tenantId: 1, transferNo: 1 });
+stockTransferSchema.index({ tenantId: 1, status: 1 });
+stockTransferSchema.index({ tenantId: 1, fromWarehouse: 1 });
+stockTransferSchema.index({ tenantId: 1, toWarehouse: 1 });
+
+module.exports = mongoose.model("StockTransfer", stockTransferSchema);
@@ -0,0 +1,163 @@
+const mongoose = require("mongoose");
+
+const billAllocationSchema = new mongoose.Schema({
+  purchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Purchase",
+    required: [true, "Purchase bill is required"],
+  },
+  serialNo: {
+    type: String,
+    trim: true,
+  },
+  vendorInvoiceNo: {
+    type: String,
+    trim: true,
+  },
+  amount: {
+    type: Number,
+    required: [true, "Allocated amount is required"],
+    min: [0.01, "Allocated amount must be greater than zero"],
+  },
+  allocatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const supplierPaymentSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    voucherNo: {
+      type: String,
+      required: [true, "Voucher number is required"],
+      trim: true,
+      uppercase: true,
+    },
+    date: {
+      type: Date,
+      required: [true, "Payment date is required"],
+      default: Date.now,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Supplier is required"],
+    },
+    supplierCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    supplierName: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      trim: true,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ["Cash", "Cheque", "Bank Transfer"],
+      required: [true, "Payment method is required"],
+    },
+    // Bank account the money moved through (not used for cash)
+    bankAccountRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+    },
+    bankName: {
+      type: String,
+      trim: true,
+    },
+    chequeNo: {
+      type: String,
+      trim: true,
+    },
+    chequeDate: {
+      type: Date,
+    },
+    // Cheque register entry, set for cheque payments
+    cheque: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cheque",
+    },
+    reference: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be greater than zero"],
+    },
+    allocations: [billAllocationSchema],
+    allocatedAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Paid on account, not yet settled against a bill
+    unallocatedAmount: {
+      type: Number,
+      default: 0,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["Posted", "Cancelled"],
+      default: "Posted",
+    },
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Keep allocated/unallocated totals in step with the allocations
+supplierPaymentSchema.pre("validate", function () {
+  this.allocatedAmount =
+    Math.round(
+      this.allocations.reduce((sum, a) => sum + (a.amount || 0), 0) * 100
+    ) / 100;
+  this.unallocatedAmount =
+    Math.round((this.amount - this.allocatedAmount) * 100) / 100;
+
+  if (this.unallocatedAmount < -0.01) {
+    throw new Error("Allocated amounts cannot exceed the payment amount");
+  }
+});
+
+// Indexes for tenant isolation and queries
+supplierPaymentSchema.index({ tenantId: 1 });
+supplierPaymentSchema.index({ tenantId: 1, voucherNo: 1 }, { unique: true });
+supplierPaymentSchema.index({ tenantId: 1, supplier: 1, date: -1 });
+supplierPaymentSchema.index({ tenantId: 1, "allocations.purchase": 1 });
+
+module.exports = mongoose.model("SupplierPayment", supplierPaymentSchema);
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// Ledger accounts used when a tax code does not name its own account
+const DEFAULT_TAX_ACCOUNTS = {
+  Output: { code: "2100", name: "Sales Tax Payable", type: "Liability" },
+  Input: { code: "1400", name: "Input Tax", type: "Asset" },
+  Withholding: {
+    code: "2200",
+    name: "Withholding Tax Payable",
+    type: "Liability",
+  },
+};
+
+const taxCodeSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    code: {
+      type: String,
+      required: [true, "Tax code is required"],
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Tax name is required"],
+      trim: true,
+    },
+    // Output = tax charged on sales, Input = tax paid on purchases,
+    // Withholding = tax deducted from payments to suppliers
+    taxType: {
+      type: String,
+      enum: ["Output", "Input", "Withholding"],
+      required: [true, "Tax type is required"],
+    },
+    rate: {
+      type: Number,
+      required: [true, "Tax rate is required"],
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100%"],
+    },
+    // Optional ledger account override
+    accountCode: {
+      type: String,
+      trim: true,
+    },
+    accountName: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ledger account (code, name, type) a tax of this type posts to
+taxCodeSchema.statics.getDefaultAccount = function (taxType) {
+  return DEFAULT_TAX_ACCOUNTS[taxType];
+};
+
+// Indexes for tenant isolation and queries
+taxCodeSchema.index({ tenantId: 1 });
+taxCodeSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+taxCodeSchema.index({ tenantId: 1, taxType: 1 });
+
+module.exports = mongoose.model("TaxCode", taxCodeSchema);
@@ -57,6 +57,32 @@ const tenantSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // First month of the fiscal year (1 = January, 7 = July)
+    fiscalYearStartMonth: {
+      type: Number,
+      default: 1,
+      min: [1, "Fiscal year start month must be between 1 and 12"],
+      max: [12, "Fiscal year start month must be between 1 and 12"],
+    },
+    // Three-way match tolerance (PO vs GRN vs supplier bill)
+    purchaseMatchTolerance: {
+      quantityPercent: {
+        type: Number,
+        default: 0,
+        min: [0, "Quantity tolerance cannot be negative"],
+      },
+      pricePercent: {
+        type: Number,
+        default: 2,
+        min: [0, "Price tolerance cannot be negative"],
+      },
+    },
+    // How stock leaving inventory is costed; fixed once stock has moved
+    inventoryCostingMethod: {
+      type: String,
+      enum: ["Weighted Average", "FIFO"],
+      default: "Weighted Average",
+    },
   },
   {
     timestamps: true,
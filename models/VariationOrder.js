@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+
+// A change to the contract BOQ: more or less of an existing line at its
+// contract rate, or a new item at an agreed rate
+const variationLineSchema = new mongoose.Schema({
+  changeType: {
+    type: String,
+    enum: ["Add", "Change"],
+    required: true,
+  },
+  // BOQ line whose quantity changes (Change lines only)
+  boqLine: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  itemNo: {
+    type: String,
+    trim: true,
+  },
+  description: {
+    type: String,
+    required: [true, "Description is required"],
+    trim: true,
+  },
+  unit: {
+    type: String,
+    required: [true, "Unit is required"],
+    trim: true,
+  },
+  // Quantity added; negative on a Change line to omit work
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+  },
+  rate: {
+    type: Number,
+    required: [true, "Rate is required"],
+    min: [0, "Rate cannot be negative"],
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+  },
+  itemCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  costCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+});
+
+const variationOrderSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    voNumber: {
+      type: String,
+      trim: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project is required"],
+    },
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+      default: Date.now,
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+    },
+    // Client instruction or site condition behind the change
+    reason: {
+      type: String,
+      trim: true,
+    },
+    lines: [variationLineSchema],
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["Draft", "Approved", "Rejected"],
+      default: "Draft",
+    },
+    // BOQ revision the order produced when approved
+    boqRevision: {
+      type: Number,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Calculate line amounts and the order total
+variationOrderSchema.pre("save", function () {
+  this.lines.forEach((line) => {
+    line.amount = Math.round(line.quantity * line.rate * 100) / 100;
+  });
+  this.totalAmount =
+    Math.round(this.lines.reduce((sum, line) => sum + line.amount, 0) * 100) /
+    100;
+});
+
+// Indexes for tenant isolation and queries
+variationOrderSchema.index({ tenantId: 1, voNumber: 1 });
+variationOrderSchema.index({ tenantId: 1, project: 1, status: 1 });
+
+module.exports = mongoose.model("VariationOrder", variationOrderSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// A place stock is kept: the central warehouse or a store at a project site
+const warehouseSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    code: {
+      type: String,
+      required: [true, "Warehouse code is required"],
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Warehouse name is required"],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["Warehouse", "Site Store"],
+      default: "Warehouse",
+    },
+    // Project a site store serves
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    // Location used by documents that do not name one
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for tenant isolation and queries
+warehouseSchema.index({ tenantId: 1 });
+warehouseSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+warehouseSchema.index({ tenantId: 1, project: 1 });
+
+module.exports = mongoose.model("Warehouse", warehouseSchema);
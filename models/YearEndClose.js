@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const yearEndCloseSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: [true, "Tenant ID is required"],
+    },
+    fiscalYear: {
+      type: Number,
+      required: [true, "Fiscal year is required"],
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    retainedEarningsAccountCode: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Profit (positive) or loss (negative) moved into retained earnings
+    netProfit: {
+      type: Number,
+      default: 0,
+    },
+    // Moves Revenue and Expense balances into retained earnings
+    closingEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    // Zeroes balance-sheet accounts at the end of the closed year
+    balanceCloseEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    // Brings the same balances back on the first day of the next year
+    openingEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    closedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A fiscal year can only be closed once per tenant
+yearEndCloseSchema.index({ tenantId: 1, fiscalYear: 1 }, { unique: true });
+
+module.exports = mongoose.model("YearEndClose", yearEndCloseSchema);
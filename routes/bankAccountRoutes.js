@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getBankAccounts,
+  getBankAccountById,
+  createBankAccount,
+  updateBankAccount,
+} = require("../controllers/bankAccountController");
+const { protect, admin } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/bank-accounts
+// @desc    Get bank accounts
+// @access  Private
+router.get("/", getBankAccounts);
+
+// @route   POST /api/bank-accounts
+// @desc    Create bank account
+// @access  Private/Admin
+router.post("/", admin, createBankAccount);
+
+// @route   GET /api/bank-accounts/:id
+// @desc    Get single bank account
+// @access  Private
+router.get("/:id", getBankAccountById);
+
+// @route   PUT /api/bank-accounts/:id
+// @desc    Update bank account
+// @access  Private/Admin
+router.put("/:id", admin, updateBankAccount);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getBankReceipts,
+  getBankReceiptById,
+  createBankReceipt,
+  updateBankReceipt,
+  deleteBankReceipt,
+  generateSerialNumber,
+} = require("../controllers/bankReceiptController");
+const { protect } = require("../middleware/authMiddleware");
+
+// Specific routes must come BEFORE parameterized routes
+router.get("/generate-serial", protect, generateSerialNumber);
+
+// CRUD operations
+router.route("/").get(protect, getBankReceipts).post(protect, createBankReceipt);
+
+router
+  .route("/:id")
+  .get(protect, getBankReceiptById)
+  .put(protect, updateBankReceipt)
+  .delete(protect, deleteBankReceipt);
+
+module.exports = router;
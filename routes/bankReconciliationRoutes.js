@@ -0,0 +1,70 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getReconciliations,
+  getReconciliationById,
+  importStatement,
+  getCandidates,
+  autoMatch,
+  matchLine,
+  unmatchLine,
+  getReconciliationReport,
+  completeReconciliation,
+  deleteReconciliation,
+} = require("../controllers/bankReconciliationController");
+const { protect, admin } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+// @route   POST /api/bank-reconciliations/import
+// @desc    Import a bank statement CSV
+// @access  Private
+router.post("/import", importStatement);
+
+// @route   GET /api/bank-reconciliations
+// @desc    Get bank reconciliations
+// @access  Private
+router.get("/", getReconciliations);
+
+// @route   GET /api/bank-reconciliations/:id/candidates
+// @desc    Get uncleared ledger entries for manual matching
+// @access  Private
+router.get("/:id/candidates", getCandidates);
+
+// @route   GET /api/bank-reconciliations/:id/report
+// @desc    Get reconciliation report
+// @access  Private
+router.get("/:id/report", getReconciliationReport);
+
+// @route   PUT /api/bank-reconciliations/:id/auto-match
+// @desc    Re-run automatic matching
+// @access  Private
+router.put("/:id/auto-match", autoMatch);
+
+// @route   PUT /api/bank-reconciliations/:id/lines/:lineId/match
+// @desc    Match a statement line to ledger entries
+// @access  Private
+router.put("/:id/lines/:lineId/match", matchLine);
+
+// @route   PUT /api/bank-reconciliations/:id/lines/:lineId/unmatch
+// @desc    Unmatch a statement line
+// @access  Private
+router.put("/:id/lines/:lineId/unmatch", unmatchLine);
+
+// @route   PUT /api/bank-reconciliations/:id/complete
+// @desc    Complete a reconciliation
+// @access  Private/Admin
+router.put("/:id/complete", admin, completeReconciliation);
+
+// @route   GET /api/bank-reconciliations/:id
+// @desc    Get single bank reconciliation
+// @access  Private
+router.get("/:id", getReconciliationById);
+
+// @route   DELETE /api/bank-reconciliations/:id
+// @desc    Delete a draft reconciliation
+// @access  Private
+router.delete("/:id", deleteReconciliation);
+
+module.exports = router;
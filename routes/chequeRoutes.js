@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCheques,
+  getMaturityCalendar,
+  getChequeById,
+  depositCheque,
+  clearCheque,
+  bounceCheque,
+} = require("../controllers/chequeController");
+const { protect } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/cheques
+// @desc    Get cheque register
+// @access  Private
+router.get("/", getCheques);
+
+// @route   GET /api/cheques/maturity
+// @desc    Get uncleared cheques by maturity date
+// @access  Private
+router.get("/maturity", getMaturityCalendar);
+
+// @route   PUT /api/cheques/:id/deposit
+// @desc    Deposit a received cheque
+// @access  Private
+router.put("/:id/deposit", depositCheque);
+
+// @route   PUT /api/cheques/:id/clear
+// @desc    Mark a cheque cleared
+// @access  Private
+router.put("/:id/clear", clearCheque);
+
+// @route   PUT /api/cheques/:id/bounce
+// @desc    Mark a cheque bounced
+// @access  Private
+router.put("/:id/bounce", bounceCheque);
+
+// @route   GET /api/cheques/:id
+// @desc    Get single cheque
+// @access  Private
+router.get("/:id", getChequeById);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getContraVouchers,
+  getContraVoucherById,
+  createContraVoucher,
+  updateContraVoucher,
+  deleteContraVoucher,
+  generateSerialNumber,
+} = require("../controllers/contraVoucherController");
+const { protect } = require("../middleware/authMiddleware");
+
+// Specific routes must come BEFORE parameterized routes
+router.get("/generate-serial", protect, generateSerialNumber);
+
+// CRUD operations
+router.route("/").get(protect, getContraVouchers).post(protect, createContraVoucher);
+
+router
+  .route("/:id")
+  .get(protect, getContraVoucherById)
+  .put(protect, updateContraVoucher)
+  .delete(protect, deleteContraVoucher);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const { protect, admin } = require("../middleware/authMiddleware");
+const {
+  getAllCostCodes,
+  getCostCodeById,
+  createCostCode,
+  updateCostCode,
+  deleteCostCode,
+} = require("../controllers/costCodeController");
+
+// @route   GET /api/cost-codes
+// @desc    Get all cost codes
+// @access  Private
+router.get("/", protect, getAllCostCodes);
+
+// @route   GET /api/cost-codes/:id
+// @desc    Get single cost code
+// @access  Private
+router.get("/:id", protect, getCostCodeById);
+
+// @route   POST /api/cost-codes
+// @desc    Create new cost code
+// @access  Private/Admin
+router.post("/", protect, admin, createCostCode);
+
+// @route   PUT /api/cost-codes/:id
+// @desc    Update cost code
+// @access  Private/Admin
+router.put("/:id", protect, admin, updateCostCode);
+
+// @route   DELETE /api/cost-codes/:id
+// @desc    Deactivate cost code
+// @access  Private/Admin
+router.delete("/:id", protect, admin, deleteCostCode);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getReceipts,
+  getReceiptById,
+  getOpenItems,
+  createReceipt,
+  updateReceipt,
+  allocateReceipt,
+  cancelReceipt,
+  generateReceiptNo,
+} = require("../controllers/customerReceiptController");
+const { protect } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/receipts/generate-serial
+// @desc    Generate next receipt number
+router.get("/generate-serial", generateReceiptNo);
+
+// @route   GET /api/receipts/open-items/:customerId
+// @desc    Get open invoices and plot installments for a customer
+router.get("/open-items/:customerId", getOpenItems);
+
+// @route   GET /api/receipts
+// @desc    Get all customer receipts
+router.get("/", getReceipts);
+
+// @route   POST /api/receipts
+// @desc    Record customer receipt
+router.post("/", createReceipt);
+
+// @route   PUT /api/receipts/:id/allocate
+// @desc    Allocate unallocated advance to open items
+router.put("/:id/allocate", allocateReceipt);
+
+// @route   PUT /api/receipts/:id/cancel
+// @desc    Cancel receipt
+router.put("/:id/cancel", cancelReceipt);
+
+// @route   GET /api/receipts/:id
+// @desc    Get single receipt
+router.get("/:id", getReceiptById);
+
+// @route   PUT /api/receipts/:id
+// @desc    Update receipt details
+router.put("/:id", updateReceipt);
+
+module.exports = router;
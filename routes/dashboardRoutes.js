@@ -86,7 +86,7 @@ router.get("/accounts-receivable", protect, getAccountsReceivable);
 router.get("/accounts-payable", protect, getAccountsPayable);
 
 // @route   GET /api/dashboard/low-stock-alerts
-// @desc    Get low stock alerts
+// @desc    Get low stock alerts per location (filter by warehouse)
 // @access  Private
 router.get("/low-stock-alerts", protect, getLowStockAlerts);
 
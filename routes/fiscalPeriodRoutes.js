@@ -0,0 +1,76 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getFiscalPeriods,
+  getFiscalPeriodById,
+  getFiscalCalendar,
+  updateFiscalCalendar,
+  openFiscalYear,
+  softCloseFiscalPeriod,
+  hardCloseFiscalPeriod,
+  reopenFiscalPeriod,
+  getYearEndCloses,
+  previewYearEndClose,
+  closeFiscalYear,
+} = require("../controllers/fiscalPeriodController");
+const { protect, admin } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/fiscal-periods/calendar
+// @desc    Get the fiscal calendar
+// @access  Private
+router.get("/calendar", getFiscalCalendar);
+
+// @route   PUT /api/fiscal-periods/calendar
+// @desc    Set the fiscal year start month
+// @access  Private/Admin
+router.put("/calendar", admin, updateFiscalCalendar);
+
+// @route   POST /api/fiscal-periods/open-year
+// @desc    Open a fiscal year
+// @access  Private/Admin
+router.post("/open-year", admin, openFiscalYear);
+
+// @route   GET /api/fiscal-periods/year-end
+// @desc    Get year-end closes
+// @access  Private
+router.get("/year-end", getYearEndCloses);
+
+// @route   GET /api/fiscal-periods/year-end/:fiscalYear/preview
+// @desc    Preview the year-end closing and opening entries
+// @access  Private/Admin
+router.get("/year-end/:fiscalYear/preview", admin, previewYearEndClose);
+
+// @route   POST /api/fiscal-periods/year-end/:fiscalYear/close
+// @desc    Post the year-end closing and opening entries
+// @access  Private/Admin
+router.post("/year-end/:fiscalYear/close", admin, closeFiscalYear);
+
+// @route   GET /api/fiscal-periods
+// @desc    Get fiscal periods
+// @access  Private
+router.get("/", getFiscalPeriods);
+
+// @route   PUT /api/fiscal-periods/:id/soft-close
+// @desc    Soft-close a period
+// @access  Private/Admin
+router.put("/:id/soft-close", admin, softCloseFiscalPeriod);
+
+// @route   PUT /api/fiscal-periods/:id/hard-close
+// @desc    Hard-close a period
+// @access  Private/Admin
+router.put("/:id/hard-close", admin, hardCloseFiscalPeriod);
+
+// @route   PUT /api/fiscal-periods/:id/reopen
+// @desc    Reopen a closed period
+// @access  Private/Admin
+router.put("/:id/reopen", admin, reopenFiscalPeriod);
+
+// @route   GET /api/fiscal-periods/:id
+// @desc    Get single fiscal period
+// @access  Private
+router.get("/:id", getFiscalPeriodById);
+
+module.exports = router;
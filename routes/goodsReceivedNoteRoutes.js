@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getGoodsReceivedNotes,
+  getGoodsReceivedNoteById,
+  createGoodsReceivedNote,
+  cancelGoodsReceivedNote,
+} = require("../controllers/goodsReceivedNoteController");
+const { protect } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/goods-received-notes
+// @desc    Get all goods received notes
+router.get("/", getGoodsReceivedNotes);
+
+// @route   POST /api/goods-received-notes
+// @desc    Record goods received against a purchase order
+router.post("/", createGoodsReceivedNote);
+
+// @route   PUT /api/goods-received-notes/:id/cancel
+// @desc    Cancel an unbilled goods received note
+router.put("/:id/cancel", cancelGoodsReceivedNote);
+
+// @route   GET /api/goods-received-notes/:id
+// @desc    Get single goods received note
+router.get("/:id", getGoodsReceivedNoteById);
+
+module.exports = router;
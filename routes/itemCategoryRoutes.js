@@ -0,0 +1,43 @@
+const express = require("express");
+const router = express.Router();
+const { protect, admin } = require("../middleware/authMiddleware");
+const {
+  getAllItemCategories,
+  getItemCategoryById,
+  createItemCategory,
+  updateItemCategory,
+  deleteItemCategory,
+  importItemCategories,
+} = require("../controllers/itemCategoryController");
+
+// @route   GET /api/item-categories
+// @desc    Get all item categories (?tree=true for the tree)
+// @access  Private
+router.get("/", protect, getAllItemCategories);
+
+// @route   POST /api/item-categories/import
+// @desc    Build categories from the category codes of existing items
+// @access  Private/Admin
+router.post("/import", protect, admin, importItemCategories);
+
+// @route   GET /api/item-categories/:id
+// @desc    Get single item category
+// @access  Private
+router.get("/:id", protect, getItemCategoryById);
+
+// @route   POST /api/item-categories
+// @desc    Create new item category
+// @access  Private/Admin
+router.post("/", protect, admin, createItemCategory);
+
+// @route   PUT /api/item-categories/:id
+// @desc    Update or move item category
+// @access  Private/Admin
+router.put("/:id", protect, admin, updateItemCategory);
+
+// @route   DELETE /api/item-categories/:id
+// @desc    Deactivate item category
+// @access  Private/Admin
+router.delete("/:id", protect, admin, deleteItemCategory);
+
+module.exports = router;
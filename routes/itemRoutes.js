@@ -3,6 +3,7 @@ const router = express.Router();
 const {
   getAllItems,
   getItemById,
+  getItemStockLedger,
   createItem,
   updateItem,
   deleteItem,
@@ -36,6 +37,10 @@ router.get("/category/:categoryCode", getItemsByCategory);
 // @desc    Get items by subcategory
 router.get("/subcategory/:subCategoryCode", getItemsBySubCategory);
 
+// @route   GET /api/items/:id/ledger
+// @desc    Get item stock ledger (filter by warehouse, dates)
+router.get("/:id/ledger", getItemStockLedger);
+
 // @route   GET /api/items/:id
 // @desc    Get single item by ID
 router.get("/:id", getItemById);
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const { protect, admin } = require("../middleware/authMiddleware");
+const {
+  getAllMaterialNotes,
+  getMaterialNoteById,
+  createMaterialIssue,
+  createMaterialReturn,
+  cancelMaterialNote,
+} = require("../controllers/materialIssueController");
+
+// @route   GET /api/material-issues
+// @desc    Get material notes (filter by type, project, warehouse, item, status)
+// @access  Private
+router.get("/", protect, getAllMaterialNotes);
+
+// @route   POST /api/material-issues/returns
+// @desc    Return material from a project site to store
+// @access  Private
+router.post("/returns", protect, createMaterialReturn);
+
+// @route   GET /api/material-issues/:id
+// @desc    Get single material note
+// @access  Private
+router.get("/:id", protect, getMaterialNoteById);
+
+// @route   POST /api/material-issues
+// @desc    Issue material from store to a project site
+// @access  Private
+router.post("/", protect, createMaterialIssue);
+
+// @route   PUT /api/material-issues/:id/cancel
+// @desc    Cancel a material note, reversing its stock and journal entry
+// @access  Private/Admin
+router.put("/:id/cancel", protect, admin, cancelMaterialNote);
+
+module.exports = router;
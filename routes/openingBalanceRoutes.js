@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getOpeningBalances,
+  previewOpeningBalances,
+  importOpeningBalances,
+} = require("../controllers/openingBalanceController");
+const { protect, admin } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+// @route   POST /api/opening-balances/preview
+// @desc    Validate opening balances and preview the journal entry
+// @access  Private/Admin
+router.post("/preview", admin, previewOpeningBalances);
+
+// @route   GET /api/opening-balances
+// @desc    Get imported opening balances
+// @access  Private
+router.get("/", getOpeningBalances);
+
+// @route   POST /api/opening-balances
+// @desc    Import opening balances
+// @access  Private/Admin
+router.post("/", admin, importOpeningBalances);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require("express");
+const router = express.Router();
+const { protect, admin } = require("../middleware/authMiddleware");
+const {
+  getAllCertificates,
+  getCertificateById,
+  createCertificate,
+  updateCertificate,
+  deleteCertificate,
+  approveCertificate,
+} = require("../controllers/paymentCertificateController");
+
+// @route   GET /api/payment-certificates
+// @desc    Get payment certificates (filter by project, customer, status)
+// @access  Private
+router.get("/", protect, getAllCertificates);
+
+// @route   GET /api/payment-certificates/:id
+// @desc    Get single payment certificate
+// @access  Private
+router.get("/:id", protect, getCertificateById);
+
+// @route   POST /api/payment-certificates
+// @desc    Draft the next payment certificate of a project
+// @access  Private
+router.post("/", protect, createCertificate);
+
+// @route   PUT /api/payment-certificates/:id/approve
+// @desc    Approve a certificate and raise its sales invoice
+// @access  Private/Admin
+router.put("/:id/approve", protect, admin, approveCertificate);
+
+// @route   PUT /api/payment-certificates/:id
+// @desc    Update a draft payment certificate
+// @access  Private
+router.put("/:id", protect, updateCertificate);
+
+// @route   DELETE /api/payment-certificates/:id
+// @desc    Delete a draft payment certificate
+// @access  Private
+router.delete("/:id", protect, deleteCertificate);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getFunds,
+  getFundById,
+  createFund,
+  updateFund,
+  getExpenses,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  approveExpenses,
+  rejectExpenses,
+  getReplenishments,
+  replenishFund,
+  getFloatReport,
+} = require("../controllers/pettyCashController");
+const { protect, admin } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/petty-cash/report
+// @desc    Float status of each custodian's fund
+// @access  Private
+router.get("/report", getFloatReport);
+
+// @route   GET /api/petty-cash/funds
+// @desc    Get petty cash funds
+// @access  Private
+router.get("/funds", getFunds);
+
+// @route   POST /api/petty-cash/funds
+// @desc    Create petty cash fund
+// @access  Private/Admin
+router.post("/funds", admin, createFund);
+
+// @route   GET /api/petty-cash/funds/:id
+// @desc    Get single petty cash fund
+// @access  Private
+router.get("/funds/:id", getFundById);
+
+// @route   PUT /api/petty-cash/funds/:id
+// @desc    Update petty cash fund
+// @access  Private/Admin
+router.put("/funds/:id", admin, updateFund);
+
+// @route   GET /api/petty-cash/funds/:id/expenses
+// @desc    Get expenses of a fund
+// @access  Private
+router.get("/funds/:id/expenses", getExpenses);
+
+// @route   POST /api/petty-cash/funds/:id/expenses
+// @desc    Record an expense paid from a fund
+// @access  Private (custodian or admin)
+router.post("/funds/:id/expenses", createExpense);
+
+// @route   PUT /api/petty-cash/funds/:id/expenses/approve
+// @desc    Approve a batch of pending expenses
+// @access  Private/Admin
+router.put("/funds/:id/expenses/approve", admin, approveExpenses);
+
+// @route   PUT /api/petty-cash/funds/:id/expenses/reject
+// @desc    Reject a batch of pending expenses
+// @access  Private/Admin
+router.put("/funds/:id/expenses/reject", admin, rejectExpenses);
+
+// @route   GET /api/petty-cash/funds/:id/replenishments
+// @desc    Get replenishments of a fund
+// @access  Private
+router.get("/funds/:id/replenishments", getReplenishments);
+
+// @route   POST /api/petty-cash/funds/:id/replenish
+// @desc    Top a fund back up to its imprest amount
+// @access  Private/Admin
+router.post("/funds/:id/replenish", admin, replenishFund);
+
+// @route   PUT /api/petty-cash/expenses/:expenseId
+// @desc    Update a pending expense
+// @access  Private (custodian or admin)
+router.put("/expenses/:expenseId", updateExpense);
+
+// @route   DELETE /api/petty-cash/expenses/:expenseId
+// @desc    Delete a pending expense
+// @access  Private (custodian or admin)
+router.delete("/expenses/:expenseId", deleteExpense);
+
+module.exports = router;
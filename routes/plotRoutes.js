@@ -8,6 +8,10 @@ const {
   deletePlot,
   getPlotsByProject,
   getPlotSummary,
+  getPlotInstallments,
+  createInstallmentPlan,
+  getOverdueInstallments,
+  recordInstallmentReceipt,
 } = require("../controllers/plotController");
 const { protect } = require("../middleware/authMiddleware");
 
@@ -23,6 +27,12 @@ router.get("/project/:projectId", getPlotsByProject);
 // Main routes
 router.route("/").get(getAllPlots).post(createPlot);
 
+// Installment routes
+router.get("/:id/installments", getPlotInstallments);
+router.post("/:id/installments/plan", createInstallmentPlan);
+router.get("/:id/installments/overdue", getOverdueInstallments);
+router.post("/:id/installments/receipts", recordInstallmentReceipt);
+
 // Individual plot routes
 router.route("/:id").get(getPlotById).put(updatePlot).delete(deletePlot);
 
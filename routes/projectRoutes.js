@@ -8,7 +8,30 @@ const {
   deleteProject,
   getProjectLedger,
 } = require("../controllers/projectController");
-const { protect } = require("../middleware/authMiddleware");
+const {
+  getProjectBudget,
+  saveProjectBudget,
+  getBudgetVsActual,
+} = require("../controllers/projectBudgetController");
+const {
+  getProjectSchedule,
+  getProjectMilestones,
+  createProjectTask,
+  updateProjectTask,
+  deleteProjectTask,
+} = require("../controllers/projectTaskController");
+const {
+  getProjectBoq,
+  saveProjectBoq,
+  getBoqRevisions,
+  getBoqRevision,
+  getMaterialConsumption,
+  buildBudgetFromBoq,
+} = require("../controllers/boqController");
+const {
+  getBillingSummary,
+} = require("../controllers/paymentCertificateController");
+const { protect, admin } = require("../middleware/authMiddleware");
 
 // All routes are protected
 router.use(protect);
@@ -25,6 +48,66 @@ router.get("/", getAllProjects);
 // @desc    Get project ledger with expenses and profit
 router.get("/:id/ledger", getProjectLedger);
 
+// @route   GET /api/projects/:id/budget
+// @desc    Get project budget by cost code
+router.get("/:id/budget", getProjectBudget);
+
+// @route   PUT /api/projects/:id/budget
+// @desc    Create or replace project budget (admin)
+router.put("/:id/budget", admin, saveProjectBudget);
+
+// @route   PUT /api/projects/:id/budget/from-boq
+// @desc    Replace the budget with the BOQ cost per cost code (admin)
+router.put("/:id/budget/from-boq", admin, buildBudgetFromBoq);
+
+// @route   GET /api/projects/:id/budget-vs-actual
+// @desc    Get budget, committed, actual and remaining per cost code
+router.get("/:id/budget-vs-actual", getBudgetVsActual);
+
+// @route   GET /api/projects/:id/tasks
+// @desc    Get work breakdown structure with progress and delays
+router.get("/:id/tasks", getProjectSchedule);
+
+// @route   POST /api/projects/:id/tasks
+// @desc    Add a phase, task or milestone
+router.post("/:id/tasks", createProjectTask);
+
+// @route   PUT /api/projects/:id/tasks/:taskId
+// @desc    Update a task or its progress
+router.put("/:id/tasks/:taskId", updateProjectTask);
+
+// @route   DELETE /api/projects/:id/tasks/:taskId
+// @desc    Delete a task
+router.delete("/:id/tasks/:taskId", deleteProjectTask);
+
+// @route   GET /api/projects/:id/milestones
+// @desc    Get milestones with their delay (delayed=true for late ones)
+router.get("/:id/milestones", getProjectMilestones);
+
+// @route   GET /api/projects/:id/boq
+// @desc    Get the bill of quantities of a contract project
+router.get("/:id/boq", getProjectBoq);
+
+// @route   PUT /api/projects/:id/boq
+// @desc    Create or revise the bill of quantities (admin)
+router.put("/:id/boq", admin, saveProjectBoq);
+
+// @route   GET /api/projects/:id/boq/revisions
+// @desc    Get the revision history of the BOQ
+router.get("/:id/boq/revisions", getBoqRevisions);
+
+// @route   GET /api/projects/:id/boq/revisions/:revision
+// @desc    Get one BOQ revision with its lines
+router.get("/:id/boq/revisions/:revision", getBoqRevision);
+
+// @route   GET /api/projects/:id/boq/consumption
+// @desc    Get material consumption against BOQ quantities
+router.get("/:id/boq/consumption", getMaterialConsumption);
+
+// @route   GET /api/projects/:id/billing-summary
+// @desc    Get billed to date, retention held and remaining contract value
+router.get("/:id/billing-summary", getBillingSummary);
+
 // @route   GET /api/projects/:id
 // @desc    Get single project by ID
 router.get("/:id", getProjectById);
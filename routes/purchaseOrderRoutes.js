@@ -0,0 +1,55 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  submitPurchaseOrder,
+  approvePurchaseOrder,
+  cancelPurchaseOrder,
+  deletePurchaseOrder,
+  generatePONumber,
+} = require("../controllers/purchaseOrderController");
+const { protect, admin } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/purchase-orders/generate-serial
+// @desc    Generate next PO number
+router.get("/generate-serial", generatePONumber);
+
+// @route   GET /api/purchase-orders
+// @desc    Get all purchase orders
+router.get("/", getPurchaseOrders);
+
+// @route   POST /api/purchase-orders
+// @desc    Create new purchase order
+router.post("/", createPurchaseOrder);
+
+// @route   PUT /api/purchase-orders/:id/submit
+// @desc    Submit purchase order for approval
+router.put("/:id/submit", submitPurchaseOrder);
+
+// @route   PUT /api/purchase-orders/:id/approve
+// @desc    Approve purchase order (admin only)
+router.put("/:id/approve", admin, approvePurchaseOrder);
+
+// @route   PUT /api/purchase-orders/:id/cancel
+// @desc    Cancel purchase order
+router.put("/:id/cancel", cancelPurchaseOrder);
+
+// @route   GET /api/purchase-orders/:id
+// @desc    Get single purchase order
+router.get("/:id", getPurchaseOrderById);
+
+// @route   PUT /api/purchase-orders/:id
+// @desc    Update purchase order
+router.put("/:id", updatePurchaseOrder);
+
+// @route   DELETE /api/purchase-orders/:id
+// @desc    Delete draft purchase order
+router.delete("/:id", deletePurchaseOrder);
+
+module.exports = router;
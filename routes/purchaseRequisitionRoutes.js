@@ -0,0 +1,55 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/authMiddleware");
+const {
+  getAllPurchaseRequisitions,
+  getReorderSuggestions,
+  generatePurchaseRequisitions,
+  getPurchaseRequisitionById,
+  createPurchaseRequisition,
+  updatePurchaseRequisition,
+  submitPurchaseRequisition,
+  cancelPurchaseRequisition,
+} = require("../controllers/purchaseRequisitionController");
+
+// @route   GET /api/purchase-requisitions
+// @desc    Get purchase requisitions (filter by status, source, supplier)
+// @access  Private
+router.get("/", protect, getAllPurchaseRequisitions);
+
+// @route   GET /api/purchase-requisitions/suggestions
+// @desc    Get items due for reordering with suggested quantities
+// @access  Private
+router.get("/suggestions", protect, getReorderSuggestions);
+
+// @route   POST /api/purchase-requisitions/generate
+// @desc    Raise draft requisitions for items due for reordering
+// @access  Private
+router.post("/generate", protect, generatePurchaseRequisitions);
+
+// @route   GET /api/purchase-requisitions/:id
+// @desc    Get single purchase requisition
+// @access  Private
+router.get("/:id", protect, getPurchaseRequisitionById);
+
+// @route   POST /api/purchase-requisitions
+// @desc    Raise a purchase requisition
+// @access  Private
+router.post("/", protect, createPurchaseRequisition);
+
+// @route   PUT /api/purchase-requisitions/:id
+// @desc    Update a draft purchase requisition
+// @access  Private
+router.put("/:id", protect, updatePurchaseRequisition);
+
+// @route   PUT /api/purchase-requisitions/:id/submit
+// @desc    Submit a purchase requisition for approval
+// @access  Private
+router.put("/:id/submit", protect, submitPurchaseRequisition);
+
+// @route   PUT /api/purchase-requisitions/:id/cancel
+// @desc    Cancel a purchase requisition that has not been ordered
+// @access  Private
+router.put("/:id/cancel", protect, cancelPurchaseRequisition);
+
+module.exports = router;
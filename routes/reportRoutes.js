@@ -12,6 +12,8 @@ const {
   recordPaymentReceipt,
   recordSupplierPayment,
   getPlotsReport,
+  getTaxSummary,
+  getAgedPayables,
 } = require("../controllers/reportController");
 
 // @route   GET /api/reports/income-statement
@@ -64,4 +66,14 @@ router.post("/supplier-payment", protect, recordSupplierPayment);
 // @access  Private
 router.get("/plots", protect, getPlotsReport);
 
+// @route   GET /api/reports/tax-summary
+// @desc    Get output, input and withholding tax totals for a period
+// @access  Private
+router.get("/tax-summary", protect, getTaxSummary);
+
+// @route   GET /api/reports/aged-payables
+// @desc    Get aged payables per supplier from open bills
+// @access  Private
+router.get("/aged-payables", protect, getAgedPayables);
+
 module.exports = router;
@@ -0,0 +1,55 @@
+const express = require("express");
+const router = express.Router();
+const { protect, admin } = require("../middleware/authMiddleware");
+const {
+  getAllStockCounts,
+  getStockCountById,
+  createStockCount,
+  enterStockCounts,
+  submitStockCount,
+  approveStockCount,
+  rejectStockCount,
+  cancelStockCount,
+} = require("../controllers/stockCountController");
+
+// @route   GET /api/stock-counts
+// @desc    Get stock counts (filter by status, warehouse)
+// @access  Private
+router.get("/", protect, getAllStockCounts);
+
+// @route   GET /api/stock-counts/:id
+// @desc    Get single stock count with its variance summary
+// @access  Private
+router.get("/:id", protect, getStockCountById);
+
+// @route   POST /api/stock-counts
+// @desc    Start a stock count at a location
+// @access  Private
+router.post("/", protect, createStockCount);
+
+// @route   PUT /api/stock-counts/:id/lines
+// @desc    Enter counted quantities
+// @access  Private
+router.put("/:id/lines", protect, enterStockCounts);
+
+// @route   PUT /api/stock-counts/:id/submit
+// @desc    Submit a stock count for approval
+// @access  Private
+router.put("/:id/submit", protect, submitStockCount);
+
+// @route   PUT /api/stock-counts/:id/approve
+// @desc    Approve a stock count and post its variances
+// @access  Private/Admin
+router.put("/:id/approve", protect, admin, approveStockCount);
+
+// @route   PUT /api/stock-counts/:id/reject
+// @desc    Send a stock count back for recounting
+// @access  Private/Admin
+router.put("/:id/reject", protect, admin, rejectStockCount);
+
+// @route   PUT /api/stock-counts/:id/cancel
+// @desc    Cancel a stock count that has not been posted
+// @access  Private
+router.put("/:id/cancel", protect, cancelStockCount);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/authMiddleware");
+const {
+  getAllStockTransfers,
+  getStockTransferById,
+  createStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer,
+} = require("../controllers/stockTransferController");
+
+// @route   GET /api/stock-transfers
+// @desc    Get stock transfers (filter by status, locations, item)
+// @access  Private
+router.get("/", protect, getAllStockTransfers);
+
+// @route   GET /api/stock-transfers/:id
+// @desc    Get single stock transfer
+// @access  Private
+router.get("/:id", protect, getStockTransferById);
+
+// @route   POST /api/stock-transfers
+// @desc    Dispatch stock to another location
+// @access  Private
+router.post("/", protect, createStockTransfer);
+
+// @route   PUT /api/stock-transfers/:id/receive
+// @desc    Receive a stock transfer at its destination
+// @access  Private
+router.put("/:id/receive", protect, receiveStockTransfer);
+
+// @route   PUT /api/stock-transfers/:id/cancel
+// @desc    Cancel a stock transfer in transit
+// @access  Private
+router.put("/:id/cancel", protect, cancelStockTransfer);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getSupplierPayments,
+  getSupplierPaymentById,
+  getOpenBills,
+  createSupplierPayment,
+  updateSupplierPayment,
+  allocateSupplierPayment,
+  cancelSupplierPayment,
+  generateVoucherNo,
+} = require("../controllers/supplierPaymentController");
+const { protect } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/supplier-payments/generate-serial
+// @desc    Generate next voucher number
+router.get("/generate-serial", generateVoucherNo);
+
+// @route   GET /api/supplier-payments/open-bills/:supplierId
+// @desc    Get unpaid and partially paid bills for a supplier
+router.get("/open-bills/:supplierId", getOpenBills);
+
+// @route   GET /api/supplier-payments
+// @desc    Get all supplier payment vouchers
+router.get("/", getSupplierPayments);
+
+// @route   POST /api/supplier-payments
+// @desc    Record supplier payment voucher
+router.post("/", createSupplierPayment);
+
+// @route   PUT /api/supplier-payments/:id/allocate
+// @desc    Allocate unallocated amount to bills
+router.put("/:id/allocate", allocateSupplierPayment);
+
+// @route   PUT /api/supplier-payments/:id/cancel
+// @desc    Cancel supplier payment voucher
+router.put("/:id/cancel", cancelSupplierPayment);
+
+// @route   GET /api/supplier-payments/:id
+// @desc    Get single supplier payment voucher
+router.get("/:id", getSupplierPaymentById);
+
+// @route   PUT /api/supplier-payments/:id
+// @desc    Update supplier payment voucher details
+router.put("/:id", updateSupplierPayment);
+
+module.exports = router;
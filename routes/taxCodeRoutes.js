@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const { protect, admin } = require("../middleware/authMiddleware");
+const {
+  getAllTaxCodes,
+  getTaxCodeById,
+  createTaxCode,
+  updateTaxCode,
+  deleteTaxCode,
+} = require("../controllers/taxCodeController");
+
+// @route   GET /api/tax-codes
+// @desc    Get all tax codes
+// @access  Private
+router.get("/", protect, getAllTaxCodes);
+
+// @route   GET /api/tax-codes/:id
+// @desc    Get single tax code
+// @access  Private
+router.get("/:id", protect, getTaxCodeById);
+
+// @route   POST /api/tax-codes
+// @desc    Create new tax code
+// @access  Private/Admin
+router.post("/", protect, admin, createTaxCode);
+
+// @route   PUT /api/tax-codes/:id
+// @desc    Update tax code
+// @access  Private/Admin
+router.put("/:id", protect, admin, updateTaxCode);
+
+// @route   DELETE /api/tax-codes/:id
+// @desc    Deactivate tax code
+// @access  Private/Admin
+router.delete("/:id", protect, admin, deleteTaxCode);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const tenantController = require("../controllers/tenantController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, admin } = require("../middleware/authMiddleware");
 
 // Public routes
 router.post("/register", tenantController.registerTenant);
@@ -9,6 +9,12 @@ router.get("/all", tenantController.getAllTenants);
 
 // Protected routes (must be before dynamic routes)
 router.get("/current/info", protect, tenantController.getTenant);
+router.put(
+  "/current/settings",
+  protect,
+  admin,
+  tenantController.updateTenantSettings
+);
 
 // Dynamic routes (must be last)
 router.get("/:tenantId", tenantController.getTenantById);
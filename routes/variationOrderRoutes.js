@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const { protect, admin } = require("../middleware/authMiddleware");
+const {
+  getAllVariationOrders,
+  getVariationOrderById,
+  createVariationOrder,
+  updateVariationOrder,
+  deleteVariationOrder,
+  approveVariationOrder,
+  rejectVariationOrder,
+} = require("../controllers/variationOrderController");
+
+// @route   GET /api/variation-orders
+// @desc    Get variation orders (filter by project, status)
+// @access  Private
+router.get("/", protect, getAllVariationOrders);
+
+// @route   GET /api/variation-orders/:id
+// @desc    Get single variation order
+// @access  Private
+router.get("/:id", protect, getVariationOrderById);
+
+// @route   POST /api/variation-orders
+// @desc    Raise a variation order against a project's BOQ
+// @access  Private
+router.post("/", protect, createVariationOrder);
+
+// @route   PUT /api/variation-orders/:id/approve
+// @desc    Approve a variation order and apply it to the BOQ
+// @access  Private/Admin
+router.put("/:id/approve", protect, admin, approveVariationOrder);
+
+// @route   PUT /api/variation-orders/:id/reject
+// @desc    Reject a variation order
+// @access  Private/Admin
+router.put("/:id/reject", protect, admin, rejectVariationOrder);
+
+// @route   PUT /api/variation-orders/:id
+// @desc    Update a draft variation order
+// @access  Private
+router.put("/:id", protect, updateVariationOrder);
+
+// @route   DELETE /api/variation-orders/:id
+// @desc    Delete a draft variation order
+// @access  Private
+router.delete("/:id", protect, deleteVariationOrder);
+
+module.exports = router;
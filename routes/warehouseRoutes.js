@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const { protect, admin } = require("../middleware/authMiddleware");
+const {
+  getAllWarehouses,
+  getStockLevels,
+  getWarehouseById,
+  createWarehouse,
+  updateWarehouse,
+  deleteWarehouse,
+  setStockLevel,
+} = require("../controllers/warehouseController");
+
+// @route   GET /api/warehouses
+// @desc    Get all warehouses and site stores
+// @access  Private
+router.get("/", protect, getAllWarehouses);
+
+// @route   GET /api/warehouses/stock
+// @desc    Get stock per item per location (filter by item, warehouse)
+// @access  Private
+router.get("/stock", protect, getStockLevels);
+
+// @route   GET /api/warehouses/:id
+// @desc    Get single warehouse with its stock
+// @access  Private
+router.get("/:id", protect, getWarehouseById);
+
+// @route   POST /api/warehouses
+// @desc    Create new warehouse or site store
+// @access  Private/Admin
+router.post("/", protect, admin, createWarehouse);
+
+// @route   PUT /api/warehouses/:id/stock/:itemId
+// @desc    Set an item's low-stock level at a location
+// @access  Private/Admin
+router.put("/:id/stock/:itemId", protect, admin, setStockLevel);
+
+// @route   PUT /api/warehouses/:id
+// @desc    Update warehouse
+// @access  Private/Admin
+router.put("/:id", protect, admin, updateWarehouse);
+
+// @route   DELETE /api/warehouses/:id
+// @desc    Deactivate warehouse
+// @access  Private/Admin
+router.delete("/:id", protect, admin, deleteWarehouse);
+
+module.exports = router;
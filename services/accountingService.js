@@ -1,6 +1,12 @@
 const JournalEntry = require("../models/JournalEntry");
 const GeneralLedger = require("../models/GeneralLedger");
 const ChartOfAccount = require("../models/ChartOfAccount");
+const TaxCode = require("../models/TaxCode");
+const BankAccount = require("../models/BankAccount");
+const ItemCategory = require("../models/ItemCategory");
+const ItemCategoryService = require("./itemCategoryService");
+const TransactionService = require("./transactionService");
+const FiscalPeriodService = require("./fiscalPeriodService");
 
 /**
  * Accounting Service - Handles all double-entry bookkeeping operations
@@ -10,65 +16,91 @@ class AccountingService {
    * Create a journal entry and post to general ledger
    * @param {Object} entryData - Journal entry data
    * @param {String} userId - ID of the user creating the entry
+   * @param {Object} session - Session of the caller's transaction; when
+   *   omitted the entry runs in its own transaction
+   * @param {Object} options - { yearEndClose } (optional); see
+   *   postToGeneralLedger
    * @returns {Promise<Object>} Created journal entry
    */
-  static async createJournalEntry(entryData, userId) {
-    const session = await JournalEntry.startSession();
-    session.startTransaction();
-
-    try {
-      // Validate that debits equal credits
-      const totalDebit = entryData.lines.reduce(
-        (sum, line) => sum + (line.debit || 0),
-        0
-      );
-      const totalCredit = entryData.lines.reduce(
-        (sum, line) => sum + (line.credit || 0),
-        0
+  static async createJournalEntry(
+    entryData,
+    userId,
+    session = null,
+    options = {}
+  ) {
+    if (!session) {
+      return await TransactionService.run((ownSession) =>
+        this.createJournalEntry(entryData, userId, ownSession, options)
       );
+    }
 
-      if (Math.abs(totalDebit - totalCredit) > 0.01) {
-        throw new Error(
-          `Journal entry is not balanced. Debits (${totalDebit}) must equal Credits (${totalCredit})`
-        );
-      }
+    // Validate that debits equal credits
+    const totalDebit = entryData.lines.reduce(
+      (sum, line) => sum + (line.debit || 0),
+      0
+    );
+    const totalCredit = entryData.lines.reduce(
+      (sum, line) => sum + (line.credit || 0),
+      0
+    );
 
-      // Create journal entry with calculated totals
-      const journalEntry = await JournalEntry.create(
-        [
-          {
-            ...entryData,
-            totalDebit,
-            totalCredit,
-            createdBy: userId,
-            isPosted: true,
-            status: "Posted",
-          },
-        ],
-        { session }
+    if (Math.abs(totalDebit - totalCredit) > 0.01) {
+      throw new Error(
+        `Journal entry is not balanced. Debits (${totalDebit}) must equal Credits (${totalCredit})`
       );
+    }
 
-      // Post to general ledger if status is Posted
-      if (journalEntry[0].isPosted) {
-        await this.postToGeneralLedger(journalEntry[0], session);
-      }
+    // Create journal entry with calculated totals
+    const journalEntry = await JournalEntry.create(
+      [
+        {
+          ...entryData,
+          totalDebit,
+          totalCredit,
+          createdBy: userId,
+          isPosted: true,
+          status: "Posted",
+        },
+      ],
+      { session }
+    );
 
-      await session.commitTransaction();
-      return journalEntry[0];
-    } catch (error) {
-      await session.abortTransaction();
-      throw error;
-    } finally {
-      session.endSession();
+    // Post to general ledger if status is Posted
+    if (journalEntry[0].isPosted) {
+      await this.postToGeneralLedger(journalEntry[0], session, options);
     }
+
+    return journalEntry[0];
   }
 
   /**
    * Post journal entry to general ledger
    * @param {Object} journalEntry - Journal entry document
    * @param {Object} session - Mongoose session for transaction
+   * @param {Object} options - { yearEndClose } (optional); year-end close
+   *   entries are dated in the closed year's last period, which is closed
+   *   by then, so they skip the period lock
    */
-  static async postToGeneralLedger(journalEntry, session = null) {
+  static async postToGeneralLedger(journalEntry, session = null, options = {}) {
+    // Nothing else may be posted into a closed period
+    if (!options.yearEndClose) {
+      await FiscalPeriodService.assertPeriodOpen(
+        journalEntry.tenantId,
+        journalEntry.date,
+        journalEntry.approvedBy || journalEntry.createdBy,
+        session
+      );
+    }
+
+    const startMonth = await FiscalPeriodService.getStartMonth(
+      journalEntry.tenantId,
+      session
+    );
+    const { fiscalYear, fiscalPeriod } = FiscalPeriodService.getFiscalPosition(
+      journalEntry.date,
+      startMonth
+    );
+
     const ledgerEntries = [];
 
     for (const line of journalEntry.lines) {
@@ -94,6 +126,7 @@ class AccountingService {
       }
 
       const ledgerEntry = {
+        tenantId: journalEntry.tenantId,
         account: line.account,
         accountCode: line.accountCode,
         accountName: line.accountName,
@@ -104,10 +137,13 @@ class AccountingService {
         description: line.description || journalEntry.description,
         transactionType: journalEntry.transactionType,
         project: journalEntry.project,
+        costCode: line.costCode,
         debit: line.debit || 0,
         credit: line.credit || 0,
         balance: newBalance,
         sourceTransaction: journalEntry.sourceTransaction,
+        fiscalYear,
+        fiscalPeriod,
         status: "Active",
       };
 
@@ -124,68 +160,147 @@ class AccountingService {
   /**
    * Create journal entry for a sales transaction
    * Properly handles partial payments:
-   * - Debit: Cash Account (amount received)
+   * - Debit: Cash Account (amount received on the invoice)
    * - Debit: Accounts Receivable (balance due)
+   * - Debit: Retention Receivable / Customer Advances (certificate deductions)
    * - Credit: Sales Revenue (total amount)
    */
-  static async createSalesJournalEntry(salesInvoice, userId) {
+  static async createSalesJournalEntry(salesInvoice, userId, session = null) {
     // Determine accounts
-    const revenueAccount = await this.getOrCreateAccount(
-      "4000",
-      "Sales Revenue",
-      "Revenue"
-    );
     const receivableAccount = await this.getOrCreateAccount(
       "1200",
       "Accounts Receivable",
-      "Asset"
+      "Asset",
+      salesInvoice.tenantId,
+      session
     );
     const cashAccount = await this.getOrCreateAccount(
       "1000",
       "Cash Account",
-      "Asset"
+      "Asset",
+      salesInvoice.tenantId,
+      session
     );
 
     const lines = [];
 
+    // Receipts allocated later posted their own cash against receivables,
+    // so the sale keeps that part as receivable
+    const amountAllocated = salesInvoice.amountAllocated || 0;
+    const cashReceived = salesInvoice.amountReceived - amountAllocated;
+    const balanceDue = salesInvoice.balance + amountAllocated;
+
     // If cash received, debit cash account
-    if (salesInvoice.amountReceived > 0) {
+    if (cashReceived > 0) {
       lines.push({
         account: cashAccount._id,
         accountCode: cashAccount.code || "1000",
         accountName: cashAccount.name || "Cash Account",
         accountType: "Asset",
-        debit: salesInvoice.amountReceived,
+        debit: cashReceived,
         credit: 0,
         description: `Cash received from ${salesInvoice.customerName}`,
       });
     }
 
     // If balance due, debit accounts receivable
-    if (salesInvoice.balance > 0) {
+    if (balanceDue > 0) {
       lines.push({
         account: receivableAccount._id,
         accountCode: receivableAccount.code || "1200",
         accountName: receivableAccount.name || "Accounts Receivable",
         accountType: "Asset",
-        debit: salesInvoice.balance,
+        debit: balanceDue,
         credit: 0,
         description: `Balance due from ${salesInvoice.customerName}`,
       });
     }
 
-    // Credit revenue account for full amount
-    lines.push({
-      account: revenueAccount._id,
-      accountCode: revenueAccount.code || "4000",
-      accountName: revenueAccount.name || "Sales Revenue",
-      accountType: "Revenue",
-      debit: 0,
-      credit: salesInvoice.netTotal,
-      description: `Sales revenue from Invoice ${salesInvoice.serialNo}`,
+    // Retention is still owed by the client but only falls due later
+    const retentionAmount = salesInvoice.retentionAmount || 0;
+    if (retentionAmount > 0) {
+      const retentionAccount = await this.getOrCreateAccount(
+        "1210",
+        "Retention Receivable",
+        "Asset",
+        salesInvoice.tenantId,
+        session
+      );
+      lines.push({
+        account: retentionAccount._id,
+        accountCode: retentionAccount.code || "1210",
+        accountName: retentionAccount.name || "Retention Receivable",
+        accountType: "Asset",
+        debit: retentionAmount,
+        credit: 0,
+        description: `Retention withheld by ${salesInvoice.customerName}`,
+      });
+    }
+
+    // Advance recovered reduces what the client already paid up front
+    const advanceRecovery = salesInvoice.advanceRecovery || 0;
+    if (advanceRecovery > 0) {
+      const advanceAccount = await this.getOrCreateAccount(
+        "2300",
+        "Customer Advances",
+        "Liability",
+        salesInvoice.tenantId,
+        session
+      );
+      lines.push({
+        account: advanceAccount._id,
+        accountCode: advanceAccount.code || "2300",
+        accountName: advanceAccount.name || "Customer Advances",
+        accountType: "Liability",
+        debit: advanceRecovery,
+        credit: 0,
+        description: `Advance recovered from ${salesInvoice.customerName}`,
+      });
+    }
+
+    // Credit revenue for the amount net of sales tax, split over the
+    // revenue accounts of the item categories by line amount
+    const taxAmount = salesInvoice.taxAmount || 0;
+    const revenueLines = salesInvoice.items.map((item) =>
+      item.itemType === "Plot" ? {} : item
+    );
+    const revenueAccounts = await this.getItemAccounts(
+      "revenue",
+      revenueLines.length > 0 ? revenueLines : [{}],
+      salesInvoice.tenantId,
+      session
+    );
+    const revenueShares = this.allocateByAccount(
+      salesInvoice.netTotal - taxAmount + retentionAmount + advanceRecovery,
+      revenueAccounts.map((account, index) => {
+        const item = salesInvoice.items[index] || {};
+        return {
+          account,
+          weight: (item.grossAmount || 0) - (item.discount || 0),
+        };
+      })
+    );
+    revenueShares.forEach(({ account, amount }) => {
+      lines.push({
+        ...this.itemAccountLine("revenue", account),
+        debit: 0,
+        credit: amount,
+        description: `Sales revenue from Invoice ${salesInvoice.serialNo}`,
+      });
     });
 
+    // Credit output tax collected on the invoice
+    const taxLines = await this.buildTaxLines(
+      "Output",
+      salesInvoice.items,
+      salesInvoice.tenantId,
+      `Output tax on Invoice ${salesInvoice.serialNo}`,
+      session
+    );
+    lines.push(...taxLines);
+
     const entryData = {
+      tenantId: salesInvoice.tenantId,
       date: salesInvoice.date,
       transactionType: "Sale",
       sourceTransaction: {
@@ -198,47 +313,307 @@ class AccountingService {
       lines: lines,
     };
 
-    return await this.createJournalEntry(entryData, userId);
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry for the cost of inventory sold on an invoice
+   * - Debit: Cost of Goods Sold (each line's stock ledger cost)
+   * - Credit: Inventory
+   * Each item posts to the accounts of its category.
+   * @returns {Promise<Object|null>} Journal entry, or null when nothing
+   *   was taken from stock
+   */
+  static async createCostOfSalesJournalEntry(
+    salesInvoice,
+    userId,
+    session = null
+  ) {
+    const costLines = salesInvoice.items.filter(
+      (item) => item.itemType !== "Plot" && item.costAmount > 0
+    );
+    if (costLines.length === 0) return null;
+
+    const costAccounts = await this.getItemAccounts(
+      "cogs",
+      costLines,
+      salesInvoice.tenantId,
+      session
+    );
+    const inventoryAccounts = await this.getItemAccounts(
+      "inventory",
+      costLines,
+      salesInvoice.tenantId,
+      session
+    );
+
+    const lines = costLines.map((item, index) => ({
+      ...this.itemAccountLine("cogs", costAccounts[index]),
+      debit: item.costAmount,
+      credit: 0,
+      description: `${item.itemCode} - Qty: ${item.quantity} ${item.unit}`,
+    }));
+
+    this.totalByAccount(
+      inventoryAccounts.map((account, index) => ({
+        account,
+        amount: costLines[index].costAmount,
+      }))
+    ).forEach(({ account, amount }) => {
+      lines.push({
+        ...this.itemAccountLine("inventory", account),
+        debit: 0,
+        credit: amount,
+        description: `Stock sold on Invoice ${salesInvoice.serialNo}`,
+      });
+    });
+
+    const entryData = {
+      tenantId: salesInvoice.tenantId,
+      date: salesInvoice.date,
+      transactionType: "Sale",
+      sourceTransaction: {
+        model: "SalesInvoice",
+        id: salesInvoice._id,
+        reference: salesInvoice.serialNo,
+      },
+      project: salesInvoice.project,
+      description: `Cost of sales - Invoice ${salesInvoice.serialNo}`,
+      lines: lines,
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
   }
 
   /**
-   * Create journal entry for a purchase transaction
+   * Create journal entry for goods received against a purchase order
+   * - Debit: Inventory (received quantity at the order rate)
+   * - Credit: Goods Received Not Invoiced
+   * The supplier's bill later clears Goods Received Not Invoiced against
+   * Accounts Payable. Inventory is posted to the accounts of the items'
+   * categories.
+   * @returns {Promise<Object|null>} Journal entry, or null when the goods
+   *   were ordered at no cost
    */
-  static async createPurchaseJournalEntry(purchase, userId) {
+  static async createGoodsReceiptJournalEntry(
+    goodsReceivedNote,
+    userId,
+    session = null
+  ) {
+    const receivedLines = goodsReceivedNote.lines.filter(
+      (line) => line.receivedQty * line.rate > 0
+    );
+    if (receivedLines.length === 0) return null;
+
+    const grniAccount = await this.getOrCreateAccount(
+      "2050",
+      "Goods Received Not Invoiced",
+      "Liability",
+      goodsReceivedNote.tenantId,
+      session
+    );
+    const inventoryAccounts = await this.getItemAccounts(
+      "inventory",
+      receivedLines,
+      goodsReceivedNote.tenantId,
+      session
+    );
+
+    const lines = receivedLines.map((line, index) => ({
+      ...this.itemAccountLine("inventory", inventoryAccounts[index]),
+      debit: Math.round(line.receivedQty * line.rate * 100) / 100,
+      credit: 0,
+      description: `${line.itemName} - Qty: ${line.receivedQty} ${line.unit}`,
+    }));
+    lines.push({
+      account: grniAccount._id,
+      accountCode: grniAccount.code || "2050",
+      accountName: grniAccount.name || "Goods Received Not Invoiced",
+      accountType: "Liability",
+      debit: 0,
+      credit:
+        Math.round(lines.reduce((sum, line) => sum + line.debit, 0) * 100) /
+        100,
+      description: `Goods received from ${goodsReceivedNote.vendorName}`,
+    });
+
+    const entryData = {
+      tenantId: goodsReceivedNote.tenantId,
+      date: goodsReceivedNote.date,
+      transactionType: "Purchase",
+      sourceTransaction: {
+        model: "GoodsReceivedNote",
+        id: goodsReceivedNote._id,
+        reference: goodsReceivedNote.grnNumber,
+      },
+      project: goodsReceivedNote.project,
+      description: `Goods received ${goodsReceivedNote.grnNumber} - Purchase Order ${goodsReceivedNote.poNumber}`,
+      lines: lines,
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry for a purchase bill
+   * One balanced entry per bill:
+   * - Debit: Inventory (each line net of discount, plus freight)
+   * - Debit: Goods Received Not Invoiced (lines received on GRNs, at the
+   *   value the GRN posted)
+   * - Debit/Credit: Purchase Price Variance (the rest of those lines)
+   * - Debit: Input Tax (line taxes)
+   * - Credit: Inventory (bill-level discount)
+   * - Credit: Accounts Payable (bill net amount)
+   * Each line debits the inventory account of its item's category; freight
+   * and the bill discount are shared over them by line amount. Stock on
+   * GRN lines was valued at the order rate, so their share goes to the
+   * variance account instead.
+   */
+  static async createPurchaseJournalEntry(purchase, userId, session = null) {
     // Determine accounts
-    const inventoryAccount = await this.getOrCreateAccount(
-      "1300",
-      "Inventory",
-      "Asset"
+    const inventoryAccounts = await this.getItemAccounts(
+      "inventory",
+      purchase.lines,
+      purchase.tenantId,
+      session
     );
     const payableAccount = await this.getOrCreateAccount(
       "2000",
       "Accounts Payable",
-      "Liability"
+      "Liability",
+      purchase.tenantId,
+      session
     );
+    const isReceived = (line) => line.receivedValue > 0;
+    const hasReceivedLines = purchase.lines.some(isReceived);
+    const grniAccount = hasReceivedLines
+      ? await this.getOrCreateAccount(
+          "2050",
+          "Goods Received Not Invoiced",
+          "Liability",
+          purchase.tenantId,
+          session
+        )
+      : null;
+    const varianceAccount = hasReceivedLines
+      ? await this.getOrCreateAccount(
+          "5300",
+          "Purchase Price Variance",
+          "Expense",
+          purchase.tenantId,
+          session
+        )
+      : null;
+
+    const goodsLine = (account, debit, credit, description, costCode) => ({
+      ...this.itemAccountLine("inventory", account),
+      debit,
+      credit,
+      description,
+      costCode,
+    });
+    // Where each line's cost beyond the goods received posts
+    const goodsAccounts = purchase.lines.map((line, index) =>
+      isReceived(line) ? varianceAccount : inventoryAccounts[index]
+    );
+    const lineShares = purchase.lines.map((line, index) => ({
+      account: goodsAccounts[index],
+      weight: line.grossAmount - (line.discount || 0),
+    }));
 
-    const lines = [
-      {
-        account: inventoryAccount._id,
-        accountCode: inventoryAccount.code || "1300",
-        accountName: inventoryAccount.name || "Inventory",
-        accountType: "Asset",
-        debit: purchase.netAmount,
-        credit: 0,
-        description: `Purchase of ${purchase.itemName}`,
-      },
-      {
-        account: payableAccount._id,
-        accountCode: payableAccount.code || "2000",
-        accountName: payableAccount.name || "Accounts Payable",
+    const lines = [];
+    purchase.lines.forEach((line, index) => {
+      const amount = line.grossAmount - (line.discount || 0);
+      const description = `Purchase of ${line.itemName} - Qty: ${line.quantity} ${line.unit}`;
+      if (!isReceived(line)) {
+        lines.push(
+          goodsLine(
+            inventoryAccounts[index],
+            amount,
+            0,
+            description,
+            line.costCode
+          )
+        );
+        return;
+      }
+
+      lines.push({
+        account: grniAccount._id,
+        accountCode: grniAccount.code || "2050",
+        accountName: grniAccount.name || "Goods Received Not Invoiced",
         accountType: "Liability",
-        debit: 0,
-        credit: purchase.netAmount,
-        description: `Purchase from ${purchase.vendorName}`,
-      },
-    ];
+        debit: line.receivedValue,
+        credit: 0,
+        description,
+        costCode: line.costCode,
+      });
+      const variance = Math.round((amount - line.receivedValue) * 100) / 100;
+      if (variance !== 0) {
+        lines.push(
+          goodsLine(
+            varianceAccount,
+            Math.max(variance, 0),
+            Math.max(-variance, 0),
+            `Price variance on ${line.itemName}`,
+            line.costCode
+          )
+        );
+      }
+    });
+
+    if (purchase.carriageFreight > 0) {
+      this.allocateByAccount(purchase.carriageFreight, lineShares).forEach(
+        ({ account, amount }) => {
+          lines.push(
+            goodsLine(
+              account,
+              amount,
+              0,
+              `Carriage/freight on bill ${purchase.vendorInvoiceNo}`
+            )
+          );
+        }
+      );
+    }
+
+    // Debit input tax recoverable on the bill
+    const taxLines = await this.buildTaxLines(
+      "Input",
+      purchase.lines,
+      purchase.tenantId,
+      `Input tax on bill ${purchase.vendorInvoiceNo}`,
+      session
+    );
+    lines.push(...taxLines);
+
+    if (purchase.additionalDiscount > 0) {
+      this.allocateByAccount(purchase.additionalDiscount, lineShares).forEach(
+        ({ account, amount }) => {
+          lines.push(
+            goodsLine(
+              account,
+              0,
+              amount,
+              `Discount on bill ${purchase.vendorInvoiceNo}`
+            )
+          );
+        }
+      );
+    }
+
+    lines.push({
+      account: payableAccount._id,
+      accountCode: payableAccount.code || "2000",
+      accountName: payableAccount.name || "Accounts Payable",
+      accountType: "Liability",
+      debit: 0,
+      credit: purchase.netAmount,
+      description: `Purchase from ${purchase.vendorName}`,
+    });
 
     const entryData = {
+      tenantId: purchase.tenantId,
       date: purchase.date,
       transactionType: "Purchase",
       sourceTransaction: {
@@ -247,22 +622,34 @@ class AccountingService {
         reference: purchase.purchaseOrderNo,
       },
       project: purchase.project,
-      description: `Purchase Order ${purchase.purchaseOrderNo} - ${purchase.vendorName}`,
+      description: `Purchase Order ${purchase.purchaseOrderNo} - ${purchase.vendorName} (${purchase.lines.length} item(s))`,
       lines: lines,
     };
 
-    return await this.createJournalEntry(entryData, userId);
+    return await this.createJournalEntry(entryData, userId, session);
   }
 
   /**
    * Create journal entry for a bank payment
    */
-  static async createBankPaymentJournalEntry(bankPayment, userId) {
-    const bankAccount = await this.getOrCreateAccount(
-      "1100",
-      `Bank - ${bankPayment.bankAccount}`,
-      "Asset"
-    );
+  static async createBankPaymentJournalEntry(
+    bankPayment,
+    userId,
+    session = null
+  ) {
+    // A registered cheque leaves the bank only when it clears
+    const bankAccount = bankPayment.cheque
+      ? await this.getChequeHoldingAccount(
+          "Issued",
+          bankPayment.tenantId,
+          session
+        )
+      : await this.getBankLedgerAccount(
+          bankPayment.tenantId,
+          bankPayment.bankAccountRef,
+          bankPayment.bankAccount,
+          session
+        );
 
     const lines = [];
 
@@ -271,32 +658,58 @@ class AccountingService {
       account: bankAccount._id,
       accountCode: bankAccount.code || "1100",
       accountName: bankAccount.name || `Bank - ${bankPayment.bankAccount}`,
-      accountType: "Asset",
+      accountType: bankAccount.accountType || "Asset",
       debit: 0,
-      credit: bankPayment.totalAmount,
+      credit:
+        bankPayment.totalAmount - (bankPayment.withholdingTaxAmount || 0),
       description: `Payment via ${bankPayment.bankAccount}`,
     });
 
+    // Credit withholding tax deducted from the payment
+    if (bankPayment.withholdingTaxAmount > 0) {
+      lines.push(
+        ...(await this.buildTaxLines(
+          "Withholding",
+          [
+            {
+              taxCode: bankPayment.withholdingTaxCode,
+              taxAmount: bankPayment.withholdingTaxAmount,
+            },
+          ],
+          bankPayment.tenantId,
+          `Withholding tax deducted${
+            bankPayment.payeeName ? ` from ${bankPayment.payeeName}` : ""
+          }`,
+          session
+        ))
+      );
+    }
+
     // Debit expense accounts based on payment lines
     for (const paymentLine of bankPayment.paymentLines) {
       // Try to find the account or create a default expense account
       let expenseAccount;
       try {
         expenseAccount = await ChartOfAccount.findOne({
+          tenantId: bankPayment.tenantId,
           code: paymentLine.accountCode,
-        });
+        }).session(session);
         if (!expenseAccount) {
           expenseAccount = await this.getOrCreateAccount(
             paymentLine.accountCode,
             paymentLine.accountName,
-            "Expense"
+            "Expense",
+            bankPayment.tenantId,
+            session
           );
         }
       } catch (error) {
         expenseAccount = await this.getOrCreateAccount(
           paymentLine.accountCode,
           paymentLine.accountName,
-          "Expense"
+          "Expense",
+          bankPayment.tenantId,
+          session
         );
       }
 
@@ -308,10 +721,12 @@ class AccountingService {
         debit: paymentLine.amount,
         credit: 0,
         description: paymentLine.description || `Expense payment`,
+        costCode: paymentLine.costCode,
       });
     }
 
     const entryData = {
+      tenantId: bankPayment.tenantId,
       date: bankPayment.date,
       transactionType: "Payment",
       sourceTransaction: {
@@ -324,17 +739,23 @@ class AccountingService {
       lines: lines,
     };
 
-    return await this.createJournalEntry(entryData, userId);
+    return await this.createJournalEntry(entryData, userId, session);
   }
 
   /**
    * Create journal entry for a cash payment
    */
-  static async createCashPaymentJournalEntry(cashPayment, userId) {
+  static async createCashPaymentJournalEntry(
+    cashPayment,
+    userId,
+    session = null
+  ) {
     const cashAccount = await this.getOrCreateAccount(
       "1000",
       "Cash Account",
-      "Asset"
+      "Asset",
+      cashPayment.tenantId,
+      session
     );
 
     const lines = [];
@@ -346,30 +767,56 @@ class AccountingService {
       accountName: cashAccount.name || "Cash Account",
       accountType: "Asset",
       debit: 0,
-      credit: cashPayment.totalAmount,
+      credit:
+        cashPayment.totalAmount - (cashPayment.withholdingTaxAmount || 0),
       description: `Cash payment`,
     });
 
+    // Credit withholding tax deducted from the payment
+    if (cashPayment.withholdingTaxAmount > 0) {
+      lines.push(
+        ...(await this.buildTaxLines(
+          "Withholding",
+          [
+            {
+              taxCode: cashPayment.withholdingTaxCode,
+              taxAmount: cashPayment.withholdingTaxAmount,
+            },
+          ],
+          cashPayment.tenantId,
+          `Withholding tax deducted${
+            cashPayment.payeeName ? ` from ${cashPayment.payeeName}` : ""
+          }`,
+          session
+        ))
+      );
+    }
+
     // Debit expense accounts based on payment lines
     for (const paymentLine of cashPayment.paymentLines) {
       // Try to find the account or create a default expense account
       let expenseAccount;
       try {
         expenseAccount = await ChartOfAccount.findOne({
+          tenantId: cashPayment.tenantId,
           code: paymentLine.accountCode,
-        });
+        }).session(session);
         if (!expenseAccount) {
           expenseAccount = await this.getOrCreateAccount(
             paymentLine.accountCode,
             paymentLine.accountName,
-            "Expense"
+            "Expense",
+            cashPayment.tenantId,
+            session
           );
         }
       } catch (error) {
         expenseAccount = await this.getOrCreateAccount(
           paymentLine.accountCode,
           paymentLine.accountName,
-          "Expense"
+          "Expense",
+          cashPayment.tenantId,
+          session
         );
       }
 
@@ -381,43 +828,499 @@ class AccountingService {
         debit: paymentLine.amount,
         credit: 0,
         description: paymentLine.description || `Expense payment`,
+        costCode: paymentLine.costCode,
+      });
+    }
+
+    const entryData = {
+      tenantId: cashPayment.tenantId,
+      date: cashPayment.date,
+      transactionType: "Payment",
+      sourceTransaction: {
+        model: "CashPayment",
+        id: cashPayment._id,
+        reference: cashPayment.serialNo,
+      },
+      project: cashPayment.project,
+      description: `Cash Payment ${cashPayment.serialNo}`,
+      lines: lines,
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry for a bank receipt
+   * Customer lines credit Accounts Receivable; other lines credit their
+   * own account, created as Revenue when it does not exist yet
+   */
+  static async createBankReceiptJournalEntry(
+    bankReceipt,
+    userId,
+    session = null
+  ) {
+    const bankAccount = await this.getBankLedgerAccount(
+      bankReceipt.tenantId,
+      bankReceipt.bankAccountRef,
+      bankReceipt.bankAccount,
+      session
+    );
+
+    const lines = [];
+
+    // Debit bank account (money in)
+    lines.push({
+      account: bankAccount._id,
+      accountCode: bankAccount.code || "1100",
+      accountName: bankAccount.name || `Bank - ${bankReceipt.bankAccount}`,
+      accountType: "Asset",
+      debit: bankReceipt.totalAmount,
+      credit: 0,
+      description: `Receipt into ${bankReceipt.bankAccount}${
+        bankReceipt.payerName ? ` from ${bankReceipt.payerName}` : ""
+      }`,
+    });
+
+    // Credit the accounts the money was received against
+    for (const receiptLine of bankReceipt.receiptLines) {
+      let creditAccount;
+      if (receiptLine.customer) {
+        creditAccount = await this.getOrCreateAccount(
+          "1200",
+          "Accounts Receivable",
+          "Asset",
+          bankReceipt.tenantId,
+          session
+        );
+      } else {
+        creditAccount =
+          (await ChartOfAccount.findOne({
+            tenantId: bankReceipt.tenantId,
+            code: receiptLine.accountCode,
+          }).session(session)) ||
+          (await this.getOrCreateAccount(
+            receiptLine.accountCode,
+            receiptLine.accountName,
+            "Revenue",
+            bankReceipt.tenantId,
+            session
+          ));
+      }
+
+      lines.push({
+        account: creditAccount._id,
+        accountCode: receiptLine.accountCode,
+        accountName: receiptLine.accountName,
+        accountType: creditAccount.accountType || "Revenue",
+        debit: 0,
+        credit: receiptLine.amount,
+        description:
+          receiptLine.description ||
+          (receiptLine.customerName
+            ? `Receipt from ${receiptLine.customerName}`
+            : "Bank receipt"),
+      });
+    }
+
+    const entryData = {
+      tenantId: bankReceipt.tenantId,
+      date: bankReceipt.date,
+      transactionType: "Receipt",
+      sourceTransaction: {
+        model: "BankReceipt",
+        id: bankReceipt._id,
+        reference: bankReceipt.serialNo,
+      },
+      project: bankReceipt.project,
+      description: `Bank Receipt ${bankReceipt.serialNo} - ${bankReceipt.bankAccount}`,
+      lines: lines,
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry for a contra voucher
+   * Debits the account the money arrives in and credits the one it leaves
+   */
+  static async createContraJournalEntry(voucher, userId, session = null) {
+    const cashAccount = () =>
+      this.getOrCreateAccount(
+        "1000",
+        "Cash Account",
+        "Asset",
+        voucher.tenantId,
+        session
+      );
+    const bankAccount = (bankAccountRef) =>
+      this.getBankLedgerAccount(
+        voucher.tenantId,
+        bankAccountRef,
+        null,
+        session
+      );
+
+    const fromAccount =
+      voucher.transferType === "Cash Deposit"
+        ? await cashAccount()
+        : await bankAccount(voucher.fromBankAccountRef);
+    const toAccount =
+      voucher.transferType === "Cash Withdrawal"
+        ? await cashAccount()
+        : await bankAccount(voucher.toBankAccountRef);
+
+    const description =
+      voucher.description ||
+      `${voucher.transferType} from ${fromAccount.name} to ${toAccount.name}`;
+
+    const entryData = {
+      tenantId: voucher.tenantId,
+      date: voucher.date,
+      transactionType: "Transfer",
+      sourceTransaction: {
+        model: "ContraVoucher",
+        id: voucher._id,
+        reference: voucher.serialNo,
+      },
+      description: `Contra Voucher ${voucher.serialNo} - ${voucher.transferType}`,
+      lines: [
+        {
+          account: toAccount._id,
+          accountCode: toAccount.code,
+          accountName: toAccount.name,
+          accountType: "Asset",
+          debit: voucher.amount,
+          credit: 0,
+          description,
+        },
+        {
+          account: fromAccount._id,
+          accountCode: fromAccount.code,
+          accountName: fromAccount.name,
+          accountType: "Asset",
+          debit: 0,
+          credit: voucher.amount,
+          description,
+        },
+      ],
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry for a batch of approved petty cash expenses
+   * Debits each expense account and credits the fund's petty cash account
+   */
+  static async createPettyCashExpenseJournalEntry(
+    fund,
+    expenses,
+    date,
+    userId,
+    session = null
+  ) {
+    const fundAccount = await this.getOrCreateAccount(
+      fund.accountCode,
+      `Petty Cash - ${fund.name}`,
+      "Asset",
+      fund.tenantId,
+      session
+    );
+
+    const lines = [];
+    let total = 0;
+    for (const expense of expenses) {
+      const expenseAccount =
+        (await ChartOfAccount.findOne({
+          tenantId: fund.tenantId,
+          code: expense.accountCode,
+        }).session(session)) ||
+        (await this.getOrCreateAccount(
+          expense.accountCode,
+          expense.accountName,
+          "Expense",
+          fund.tenantId,
+          session
+        ));
+
+      lines.push({
+        account: expenseAccount._id,
+        accountCode: expense.accountCode,
+        accountName: expense.accountName,
+        accountType: expenseAccount.accountType || "Expense",
+        debit: expense.amount,
+        credit: 0,
+        description: `${expense.expenseNo} - ${
+          expense.description || expense.accountName
+        }`,
+      });
+      total += expense.amount;
+    }
+
+    lines.push({
+      account: fundAccount._id,
+      accountCode: fundAccount.code || fund.accountCode,
+      accountName: fundAccount.name || `Petty Cash - ${fund.name}`,
+      accountType: "Asset",
+      debit: 0,
+      credit: Math.round(total * 100) / 100,
+      description: `Petty cash expenses paid by ${fund.name}`,
+    });
+
+    const entryData = {
+      tenantId: fund.tenantId,
+      date: date || new Date(),
+      transactionType: "Payment",
+      sourceTransaction: {
+        model: "PettyCashFund",
+        id: fund._id,
+        reference: fund.name,
+      },
+      project: fund.project,
+      description: `Petty cash expenses approved - ${fund.name} (${expenses.length})`,
+      lines: lines,
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry topping a petty cash fund back up
+   * Debits the fund's petty cash account from cash or a bank account
+   */
+  static async createPettyCashReplenishmentJournalEntry(
+    fund,
+    replenishment,
+    userId,
+    session = null
+  ) {
+    const fundAccount = await this.getOrCreateAccount(
+      fund.accountCode,
+      `Petty Cash - ${fund.name}`,
+      "Asset",
+      fund.tenantId,
+      session
+    );
+    const paymentAccount =
+      replenishment.paymentMethod === "Cash"
+        ? await this.getOrCreateAccount(
+            "1000",
+            "Cash Account",
+            "Asset",
+            fund.tenantId,
+            session
+          )
+        : await this.getBankLedgerAccount(
+            fund.tenantId,
+            replenishment.bankAccountRef,
+            null,
+            session
+          );
+
+    const entryData = {
+      tenantId: fund.tenantId,
+      date: replenishment.date || new Date(),
+      transactionType: "Transfer",
+      sourceTransaction: {
+        model: "PettyCashReplenishment",
+        id: replenishment._id,
+        reference: replenishment.voucherNo,
+      },
+      project: fund.project,
+      description: `Petty cash replenishment ${replenishment.voucherNo} - ${fund.name}`,
+      lines: [
+        {
+          account: fundAccount._id,
+          accountCode: fundAccount.code || fund.accountCode,
+          accountName: fundAccount.name || `Petty Cash - ${fund.name}`,
+          accountType: "Asset",
+          debit: replenishment.amount,
+          credit: 0,
+          description: `Top up to imprest of ${replenishment.imprestAmount}`,
+        },
+        {
+          account: paymentAccount._id,
+          accountCode: paymentAccount.code,
+          accountName: paymentAccount.name,
+          accountType: "Asset",
+          debit: 0,
+          credit: replenishment.amount,
+          description: `Petty cash replenishment for ${fund.name}`,
+        },
+      ],
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry for material issued to or returned from a project
+   * - Issue: Debit Project Material Cost, Credit Inventory
+   * - Return: Debit Inventory, Credit Project Material Cost
+   * Inventory is posted to the accounts of the items' categories.
+   */
+  static async createMaterialIssueJournalEntry(note, userId, session = null) {
+    const materialCostAccount = await this.getOrCreateAccount(
+      "5100",
+      "Project Material Cost",
+      "Expense",
+      note.tenantId,
+      session
+    );
+    const inventoryAccounts = await this.getItemAccounts(
+      "inventory",
+      note.lines,
+      note.tenantId,
+      session
+    );
+
+    const isIssue = note.type === "Issue";
+    const lines = note.lines.map((line) => ({
+      account: materialCostAccount._id,
+      accountCode: materialCostAccount.code || "5100",
+      accountName: materialCostAccount.name || "Project Material Cost",
+      accountType: "Expense",
+      debit: isIssue ? line.amount : 0,
+      credit: isIssue ? 0 : line.amount,
+      description: `${line.itemName || line.itemCode} - Qty: ${line.quantity} ${
+        line.unit || ""
+      }`.trim(),
+      costCode: line.costCode,
+    }));
+
+    this.totalByAccount(
+      inventoryAccounts.map((account, index) => ({
+        account,
+        amount: note.lines[index].amount,
+      }))
+    ).forEach(({ account, amount }) => {
+      lines.push({
+        ...this.itemAccountLine("inventory", account),
+        debit: isIssue ? 0 : amount,
+        credit: isIssue ? amount : 0,
+        description: isIssue
+          ? `Material issued from ${note.store || "store"}`
+          : `Material returned to ${note.store || "store"}`,
+      });
+    });
+
+    const entryData = {
+      tenantId: note.tenantId,
+      date: note.date,
+      transactionType: "Adjustment",
+      sourceTransaction: {
+        model: "MaterialIssue",
+        id: note._id,
+        reference: note.noteNo,
+      },
+      project: note.project,
+      description: `Material ${isIssue ? "issue" : "return"} ${note.noteNo}`,
+      lines: lines,
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry for the variances of a posted stock count
+   * - Loss: Debit Stock Adjustment Expense, Credit Inventory
+   * - Gain: Debit Inventory, Credit Stock Adjustment Expense
+   * Inventory is posted to the accounts of the items' categories.
+   * @returns {Promise<Object|null>} Journal entry, or null when the count
+   *   matched the books
+   */
+  static async createStockAdjustmentJournalEntry(
+    count,
+    userId,
+    session = null
+  ) {
+    const varianceLines = count.lines.filter((line) => line.varianceValue);
+    if (varianceLines.length === 0) return null;
+
+    const adjustmentAccount = await this.getOrCreateAccount(
+      "5200",
+      "Stock Adjustment Expense",
+      "Expense",
+      count.tenantId,
+      session
+    );
+    const inventoryAccounts = await this.getItemAccounts(
+      "inventory",
+      varianceLines,
+      count.tenantId,
+      session
+    );
+
+    const lines = varianceLines.map((line) => ({
+      account: adjustmentAccount._id,
+      accountCode: adjustmentAccount.code || "5200",
+      accountName: adjustmentAccount.name || "Stock Adjustment Expense",
+      accountType: "Expense",
+      debit: line.varianceValue < 0 ? -line.varianceValue : 0,
+      credit: line.varianceValue > 0 ? line.varianceValue : 0,
+      description: `${line.itemCode} ${line.reason.toLowerCase()}: ${
+        line.varianceQuantity
+      } ${line.unit || ""}`.trim(),
+    }));
+
+    this.totalByAccount(
+      inventoryAccounts.map((account, index) => ({
+        account,
+        amount: varianceLines[index].varianceValue,
+      }))
+    ).forEach(({ account, amount: netValue }) => {
+      if (netValue === 0) return;
+      lines.push({
+        ...this.itemAccountLine("inventory", account),
+        debit: netValue > 0 ? netValue : 0,
+        credit: netValue < 0 ? -netValue : 0,
+        description: `Stock count ${count.countNo} variance`,
       });
-    }
+    });
 
     const entryData = {
-      date: cashPayment.date,
-      transactionType: "Payment",
+      tenantId: count.tenantId,
+      date: count.date,
+      transactionType: "Adjustment",
       sourceTransaction: {
-        model: "CashPayment",
-        id: cashPayment._id,
-        reference: cashPayment.serialNo,
+        model: "StockCount",
+        id: count._id,
+        reference: count.countNo,
       },
-      project: cashPayment.project,
-      description: `Cash Payment ${cashPayment.serialNo}`,
+      description: `Stock count ${count.countNo}`,
       lines: lines,
     };
 
-    return await this.createJournalEntry(entryData, userId);
+    return await this.createJournalEntry(entryData, userId, session);
   }
 
   /**
    * Create payment receipt journal entry (when customer pays)
    * This reduces accounts receivable and increases cash/bank
    */
-  static async createPaymentReceiptEntry(payment, userId) {
+  static async createPaymentReceiptEntry(payment, userId, session = null) {
     const paymentAccount =
       payment.paymentMethod === "Cash"
-        ? await this.getOrCreateAccount("1000", "Cash Account", "Asset")
-        : await this.getOrCreateAccount(
-            "1100",
-            `Bank - ${payment.bankName || "Account"}`,
-            "Asset"
+        ? await this.getOrCreateAccount(
+            "1000",
+            "Cash Account",
+            "Asset",
+            payment.tenantId,
+            session
+          )
+        : await this.getBankLedgerAccount(
+            payment.tenantId,
+            payment.bankAccountRef,
+            payment.bankName,
+            session
           );
 
     const receivableAccount = await this.getOrCreateAccount(
       "1200",
       "Accounts Receivable",
-      "Asset"
+      "Asset",
+      payment.tenantId,
+      session
     );
 
     const lines = [
@@ -442,6 +1345,7 @@ class AccountingService {
     ];
 
     const entryData = {
+      tenantId: payment.tenantId,
       date: payment.date || new Date(),
       transactionType: "Receipt",
       sourceTransaction: {
@@ -452,27 +1356,199 @@ class AccountingService {
       lines: lines,
     };
 
-    return await this.createJournalEntry(entryData, userId);
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry for a customer receipt
+   * Allocated amount settles receivables, the rest is held as a customer advance
+   */
+  static async createCustomerReceiptJournalEntry(
+    receipt,
+    userId,
+    session = null
+  ) {
+    const paymentAccount = receipt.cheque
+      ? await this.getChequeHoldingAccount(
+          "Received",
+          receipt.tenantId,
+          session
+        )
+      : receipt.paymentMethod === "Cash"
+        ? await this.getOrCreateAccount(
+            "1000",
+            "Cash Account",
+            "Asset",
+            receipt.tenantId,
+            session
+          )
+        : await this.getBankLedgerAccount(
+            receipt.tenantId,
+            receipt.bankAccountRef,
+            receipt.bankName,
+            session
+          );
+
+    const lines = [
+      {
+        account: paymentAccount._id,
+        accountCode: paymentAccount.code,
+        accountName: paymentAccount.name,
+        accountType: "Asset",
+        debit: receipt.amount,
+        credit: 0,
+        description: `Receipt ${receipt.receiptNo} from ${receipt.customerName}`,
+      },
+    ];
+
+    if (receipt.allocatedAmount > 0) {
+      const receivableAccount = await this.getOrCreateAccount(
+        "1200",
+        "Accounts Receivable",
+        "Asset",
+        receipt.tenantId,
+        session
+      );
+
+      lines.push({
+        account: receivableAccount._id,
+        accountCode: receivableAccount.code || "1200",
+        accountName: receivableAccount.name || "Accounts Receivable",
+        accountType: "Asset",
+        debit: 0,
+        credit: receipt.allocatedAmount,
+        description: `Receipt ${receipt.receiptNo} against open invoices`,
+      });
+    }
+
+    if (receipt.unallocatedAmount > 0) {
+      const advanceAccount = await this.getOrCreateAccount(
+        "2300",
+        "Customer Advances",
+        "Liability",
+        receipt.tenantId,
+        session
+      );
+
+      lines.push({
+        account: advanceAccount._id,
+        accountCode: advanceAccount.code || "2300",
+        accountName: advanceAccount.name || "Customer Advances",
+        accountType: "Liability",
+        debit: 0,
+        credit: receipt.unallocatedAmount,
+        description: `Advance from ${receipt.customerName}`,
+      });
+    }
+
+    const entryData = {
+      tenantId: receipt.tenantId,
+      date: receipt.date || new Date(),
+      transactionType: "Receipt",
+      sourceTransaction: {
+        model: "CustomerReceipt",
+        id: receipt._id,
+        reference: receipt.receiptNo,
+      },
+      project: receipt.project,
+      description: `Customer receipt ${receipt.receiptNo} - ${receipt.customerName}`,
+      lines: lines,
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry when a customer advance is applied to open items
+   * Moves the amount from Customer Advances to Accounts Receivable
+   */
+  static async createAdvanceAllocationJournalEntry(
+    receipt,
+    amount,
+    userId,
+    session = null
+  ) {
+    const advanceAccount = await this.getOrCreateAccount(
+      "2300",
+      "Customer Advances",
+      "Liability",
+      receipt.tenantId,
+      session
+    );
+    const receivableAccount = await this.getOrCreateAccount(
+      "1200",
+      "Accounts Receivable",
+      "Asset",
+      receipt.tenantId,
+      session
+    );
+
+    const lines = [
+      {
+        account: advanceAccount._id,
+        accountCode: advanceAccount.code || "2300",
+        accountName: advanceAccount.name || "Customer Advances",
+        accountType: "Liability",
+        debit: amount,
+        credit: 0,
+        description: `Advance applied from receipt ${receipt.receiptNo}`,
+      },
+      {
+        account: receivableAccount._id,
+        accountCode: receivableAccount.code || "1200",
+        accountName: receivableAccount.name || "Accounts Receivable",
+        accountType: "Asset",
+        debit: 0,
+        credit: amount,
+        description: `Advance applied against open invoices`,
+      },
+    ];
+
+    const entryData = {
+      tenantId: receipt.tenantId,
+      date: new Date(),
+      transactionType: "Adjustment",
+      sourceTransaction: {
+        model: "CustomerReceipt",
+        id: receipt._id,
+        reference: receipt.receiptNo,
+      },
+      project: receipt.project,
+      description: `Advance allocation - receipt ${receipt.receiptNo}`,
+      lines: lines,
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
   }
 
   /**
    * Create supplier payment journal entry (when paying supplier)
    * This reduces accounts payable and decreases cash/bank
    */
-  static async createSupplierPaymentEntry(payment, userId) {
-    const paymentAccount =
-      payment.paymentMethod === "Cash"
-        ? await this.getOrCreateAccount("1000", "Cash Account", "Asset")
-        : await this.getOrCreateAccount(
-            "1100",
-            `Bank - ${payment.bankName || "Account"}`,
-            "Asset"
+  static async createSupplierPaymentEntry(payment, userId, session = null) {
+    const paymentAccount = payment.cheque
+      ? await this.getChequeHoldingAccount("Issued", payment.tenantId, session)
+      : payment.paymentMethod === "Cash"
+        ? await this.getOrCreateAccount(
+            "1000",
+            "Cash Account",
+            "Asset",
+            payment.tenantId,
+            session
+          )
+        : await this.getBankLedgerAccount(
+            payment.tenantId,
+            payment.bankAccountRef,
+            payment.bankName,
+            session
           );
 
     const payableAccount = await this.getOrCreateAccount(
       "2000",
       "Accounts Payable",
-      "Liability"
+      "Liability",
+      payment.tenantId,
+      session
     );
 
     const lines = [
@@ -489,7 +1565,7 @@ class AccountingService {
         account: paymentAccount._id,
         accountCode: paymentAccount.code,
         accountName: paymentAccount.name,
-        accountType: "Asset",
+        accountType: paymentAccount.accountType || "Asset",
         debit: 0,
         credit: payment.amount,
         description: `Payment to supplier via ${payment.paymentMethod}`,
@@ -497,32 +1573,413 @@ class AccountingService {
     ];
 
     const entryData = {
+      tenantId: payment.tenantId,
       date: payment.date || new Date(),
       transactionType: "Payment",
-      sourceTransaction: {
+      sourceTransaction: payment.sourceTransaction || {
         model: "Manual",
         reference: payment.reference,
       },
+      project: payment.project,
       description: `Payment to supplier ${payment.supplierName}`,
       lines: lines,
     };
 
-    return await this.createJournalEntry(entryData, userId);
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Ledger accounts document lines post to for their items
+   * An item uses the account its category names, or the one named by the
+   * nearest category above it, or else the default account.
+   * @param {String} kind - inventory, cogs or revenue
+   * @param {Array} itemLines - Lines with item or itemCode
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} session - Mongoose session for transaction
+   * @returns {Promise<Array>} Chart of accounts entry for each line
+   */
+  static async getItemAccounts(kind, itemLines, tenantId, session = null) {
+    const defaultAccount = ItemCategory.getDefaultAccount(kind);
+    const defaults = await ItemCategoryService.getItemDefaults(
+      tenantId,
+      itemLines,
+      session
+    );
+
+    const accountsByCode = new Map();
+    const accounts = [];
+    for (const lineDefaults of defaults) {
+      const code = lineDefaults[`${kind}AccountCode`] || defaultAccount.code;
+      if (!accountsByCode.has(code)) {
+        accountsByCode.set(
+          code,
+          await this.getOrCreateAccount(
+            code,
+            defaultAccount.name,
+            defaultAccount.type,
+            tenantId,
+            session
+          )
+        );
+      }
+      accounts.push(accountsByCode.get(code));
+    }
+    return accounts;
+  }
+
+  /**
+   * Account fields of a journal line posting to an item account
+   * @param {String} kind - inventory, cogs or revenue
+   * @param {Object} account - Chart of accounts entry
+   */
+  static itemAccountLine(kind, account) {
+    const defaultAccount = ItemCategory.getDefaultAccount(kind);
+    return {
+      account: account._id,
+      accountCode: account.code || defaultAccount.code,
+      accountName: account.name || defaultAccount.name,
+      accountType: account.accountType || defaultAccount.type,
+    };
+  }
+
+  /**
+   * Add up amounts by account, in the order the accounts first appear
+   * @param {Array} amounts - [{ account, amount }]
+   * @returns {Array} [{ account, amount }], one per account
+   */
+  static totalByAccount(amounts) {
+    const totals = new Map();
+    amounts.forEach(({ account, amount }) => {
+      const key = account._id.toString();
+      if (!totals.has(key)) totals.set(key, { account, amount: 0 });
+      totals.get(key).amount += amount || 0;
+    });
+    return [...totals.values()].map(({ account, amount }) => ({
+      account,
+      amount: Math.round(amount * 100) / 100,
+    }));
+  }
+
+  /**
+   * Share an amount over accounts in proportion to weights
+   * Rounding differences go to the largest share; with no weight at all
+   * the whole amount goes to the first account.
+   * @param {Number} amount - Amount to share
+   * @param {Array} shares - [{ account, weight }]
+   * @returns {Array} [{ account, amount }], one per account
+   */
+  static allocateByAccount(amount, shares) {
+    const weights = this.totalByAccount(
+      shares.map(({ account, weight }) => ({ account, amount: weight }))
+    ).filter((share) => share.amount > 0);
+    if (weights.length === 0) {
+      return shares.length > 0 ? [{ account: shares[0].account, amount }] : [];
+    }
+
+    const totalWeight = weights.reduce((sum, share) => sum + share.amount, 0);
+    const allocated = weights.map(({ account, amount: weight }) => ({
+      account,
+      amount: Math.round(((amount * weight) / totalWeight) * 100) / 100,
+    }));
+    const largest = allocated.reduce((max, share) =>
+      share.amount > max.amount ? share : max
+    );
+    largest.amount =
+      Math.round(
+        (largest.amount +
+          amount -
+          allocated.reduce((sum, share) => sum + share.amount, 0)) *
+          100
+      ) / 100;
+    return allocated;
+  }
+
+  /**
+   * Get the ledger account a tax type posts to
+   * Uses the tax code's own account when it names one
+   * @param {String} taxType - Output, Input or Withholding
+   * @param {String} taxCode - Tax code (optional)
+   * @param {String} tenantId - Tenant ID
+   */
+  static async getTaxAccount(taxType, taxCode, tenantId, session = null) {
+    const defaultAccount = TaxCode.getDefaultAccount(taxType);
+    let code = defaultAccount.code;
+    let name = defaultAccount.name;
+
+    if (taxCode) {
+      const tax = await TaxCode.findOne({ tenantId, code: taxCode }).session(
+        session
+      );
+      if (tax && tax.accountCode) {
+        code = tax.accountCode;
+        name = tax.accountName || name;
+      }
+    }
+
+    return await this.getOrCreateAccount(
+      code,
+      name,
+      defaultAccount.type,
+      tenantId,
+      session
+    );
+  }
+
+  /**
+   * Build journal lines for taxes on document lines, one per tax account
+   * Output and withholding taxes are credited, input tax is debited
+   * @param {String} taxType - Output, Input or Withholding
+   * @param {Array} taxedLines - Lines with taxCode and taxAmount
+   * @param {String} tenantId - Tenant ID
+   * @param {String} description - Journal line description
+   */
+  static async buildTaxLines(
+    taxType,
+    taxedLines,
+    tenantId,
+    description,
+    session = null
+  ) {
+    const amountsByAccount = {};
+
+    for (const taxedLine of taxedLines) {
+      if (!taxedLine.taxAmount) continue;
+
+      const account = await this.getTaxAccount(
+        taxType,
+        taxedLine.taxCode,
+        tenantId,
+        session
+      );
+      const key = account._id.toString();
+      if (!amountsByAccount[key]) {
+        amountsByAccount[key] = { account, amount: 0 };
+      }
+      amountsByAccount[key].amount += taxedLine.taxAmount;
+    }
+
+    return Object.values(amountsByAccount).map(({ account, amount }) => ({
+      account: account._id,
+      accountCode: account.code,
+      accountName: account.name,
+      accountType:
+        account.accountType || TaxCode.getDefaultAccount(taxType).type,
+      debit: taxType === "Input" ? amount : 0,
+      credit: taxType === "Input" ? 0 : amount,
+      description,
+    }));
+  }
+
+  /**
+   * Ledger account for money moved through a bank
+   * A selected bank account posts to its own chart of accounts entry;
+   * otherwise the shared Bank account (1100) is used
+   * @param {String} tenantId - Tenant ID
+   * @param {String} bankAccountRef - Bank account ID (optional)
+   * @param {String} bankName - Bank name for the shared account
+   * @param {Object} session - Mongoose session for transaction
+   * @returns {Promise<Object>} Chart of accounts entry
+   */
+  static async getBankLedgerAccount(
+    tenantId,
+    bankAccountRef,
+    bankName,
+    session = null
+  ) {
+    if (bankAccountRef) {
+      const bankAccount = await BankAccount.findOne({
+        _id: bankAccountRef,
+        tenantId,
+      }).session(session);
+      const account =
+        bankAccount &&
+        (await ChartOfAccount.findById(bankAccount.account).session(session));
+      if (account) return account;
+    }
+
+    return this.getOrCreateAccount(
+      "1100",
+      `Bank - ${bankName || "Account"}`,
+      "Asset",
+      tenantId,
+      session
+    );
+  }
+
+  /**
+   * Holding account for cheques that have not cleared yet
+   * Received cheques wait in Cheques in Hand (1150); issued cheques are owed
+   * through Issued Cheques Payable (2150) until the bank pays them
+   * @param {String} direction - "Received" or "Issued"
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} session - Mongoose session for transaction
+   * @returns {Promise<Object>} Chart of accounts entry
+   */
+  static async getChequeHoldingAccount(direction, tenantId, session = null) {
+    return direction === "Issued"
+      ? this.getOrCreateAccount(
+          "2150",
+          "Issued Cheques Payable",
+          "Liability",
+          tenantId,
+          session
+        )
+      : this.getOrCreateAccount(
+          "1150",
+          "Cheques in Hand",
+          "Asset",
+          tenantId,
+          session
+        );
+  }
+
+  /**
+   * Create journal entry when a cheque clears
+   * Moves a received cheque from Cheques in Hand into the bank, or pays an
+   * issued cheque out of the bank
+   */
+  static async createChequeClearingJournalEntry(
+    cheque,
+    userId,
+    session = null
+  ) {
+    const holdingAccount = await this.getChequeHoldingAccount(
+      cheque.direction,
+      cheque.tenantId,
+      session
+    );
+    const bankAccount = await this.getBankLedgerAccount(
+      cheque.tenantId,
+      cheque.bankAccountRef,
+      cheque.bankName,
+      session
+    );
+
+    const isReceived = cheque.direction === "Received";
+    const description = `Cheque ${cheque.chequeNo} ${
+      isReceived ? "from" : "to"
+    } ${cheque.partyName || "party"} cleared`;
+    const bankLine = {
+      account: bankAccount._id,
+      accountCode: bankAccount.code,
+      accountName: bankAccount.name,
+      accountType: "Asset",
+      debit: isReceived ? cheque.amount : 0,
+      credit: isReceived ? 0 : cheque.amount,
+      description,
+    };
+    const holdingLine = {
+      account: holdingAccount._id,
+      accountCode: holdingAccount.code,
+      accountName: holdingAccount.name,
+      accountType: holdingAccount.accountType,
+      debit: isReceived ? 0 : cheque.amount,
+      credit: isReceived ? cheque.amount : 0,
+      description,
+    };
+
+    const entryData = {
+      tenantId: cheque.tenantId,
+      date: cheque.clearedDate || new Date(),
+      transactionType: "Transfer",
+      sourceTransaction: {
+        model: "Cheque",
+        id: cheque._id,
+        reference: cheque.chequeNo,
+      },
+      project: cheque.project,
+      description: `Cheque ${cheque.chequeNo} cleared`,
+      lines: isReceived ? [bankLine, holdingLine] : [holdingLine, bankLine],
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
+  /**
+   * Create journal entry charging a customer for a bounced cheque
+   */
+  static async createChequeBounceFeeJournalEntry(
+    cheque,
+    userId,
+    session = null
+  ) {
+    const receivableAccount = await this.getOrCreateAccount(
+      "1200",
+      "Accounts Receivable",
+      "Asset",
+      cheque.tenantId,
+      session
+    );
+    const feeAccount = await this.getOrCreateAccount(
+      "4003",
+      "Cheque Bounce Charges",
+      "Revenue",
+      cheque.tenantId,
+      session
+    );
+
+    const entryData = {
+      tenantId: cheque.tenantId,
+      date: cheque.bouncedDate || new Date(),
+      transactionType: "Adjustment",
+      sourceTransaction: {
+        model: "Cheque",
+        id: cheque._id,
+        reference: cheque.chequeNo,
+      },
+      project: cheque.project,
+      description: `Bounce charges on cheque ${cheque.chequeNo}`,
+      lines: [
+        {
+          account: receivableAccount._id,
+          accountCode: receivableAccount.code || "1200",
+          accountName: receivableAccount.name || "Accounts Receivable",
+          accountType: "Asset",
+          debit: cheque.bounceFee,
+          credit: 0,
+          description: `Bounce charges billed to ${cheque.partyName}`,
+        },
+        {
+          account: feeAccount._id,
+          accountCode: feeAccount.code || "4003",
+          accountName: feeAccount.name || "Cheque Bounce Charges",
+          accountType: "Revenue",
+          debit: 0,
+          credit: cheque.bounceFee,
+          description: `Bounce charges on cheque ${cheque.chequeNo}`,
+        },
+      ],
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
   }
 
   /**
    * Helper method to get or create a chart of account
    * Handles both main accounts and sub-accounts
    */
-  static async getOrCreateAccount(code, name, type) {
+  static async getOrCreateAccount(
+    code,
+    name,
+    type,
+    tenantId = null,
+    session = null
+  ) {
+    // Scope lookups and new accounts to the tenant when one is given
+    const tenantScope = tenantId ? { tenantId } : {};
+
     // First try to find as a main account
-    let account = await ChartOfAccount.findOne({ code: code });
+    let account = await ChartOfAccount.findOne({
+      ...tenantScope,
+      code: code,
+    }).session(session);
 
     if (!account) {
       // Try to find as a sub-account or list account
       const parentAccount = await ChartOfAccount.findOne({
+        ...tenantScope,
         $or: [{ "subAccounts.code": code }, { "listAccounts.code": code }],
-      });
+      }).session(session);
 
       if (parentAccount) {
         // Return the parent account - it contains the sub-account
@@ -530,17 +1987,23 @@ class AccountingService {
       }
 
       // If still not found, create a new account
-      account = await ChartOfAccount.create({
-        code: code,
-        name: name,
-        accountType: type,
-        mainAccountType: null,
-        mainTypeCode: code,
-        mainAccountTypeText: name,
-        financialComponent: this.getFinancialComponent(type),
-        subAccounts: [],
-        listAccounts: [],
-      });
+      [account] = await ChartOfAccount.create(
+        [
+          {
+            ...tenantScope,
+            code: code,
+            name: name,
+            accountType: type,
+            mainAccountType: null,
+            mainTypeCode: code,
+            mainAccountTypeText: name,
+            financialComponent: this.getFinancialComponent(type),
+            subAccounts: [],
+            listAccounts: [],
+          },
+        ],
+        { session }
+      );
     }
 
     return account;
@@ -603,9 +2066,10 @@ class AccountingService {
    * Get project ledger showing all revenues and expenses for a project
    */
   static async getProjectLedger(projectId, startDate, endDate) {
+    // Reversed rows stay in so they net off against their reversal entries
     const query = {
       project: projectId,
-      status: "Active",
+      status: { $in: ["Active", "Reversed"] },
     };
 
     if (startDate || endDate) {
@@ -741,7 +2205,6 @@ class AccountingService {
 
     const purchases = await Purchase.find(query)
       .sort({ date: 1 })
-      .populate("item", "name itemCode")
       .populate("project", "name code");
 
     const totalPurchases = purchases.reduce((sum, p) => sum + p.netAmount, 0);
@@ -767,7 +2230,7 @@ class AccountingService {
         date: p.date,
         poNumber: p.purchaseOrderNo,
         invoiceNo: p.vendorInvoiceNo,
-        item: p.itemName,
+        item: p.lines.map((line) => line.itemName).join(", "),
         project: p.project?.name,
         amount: p.netAmount,
         paid: p.amountPaid || 0,
@@ -784,39 +2247,114 @@ class AccountingService {
   }
 
   /**
-   * Get inventory report showing stock levels and values
+   * Get inventory report showing stock levels and values, with stock per
+   * location and the quantities issued to and returned from project sites
+   * Stock is valued from the stock ledger; items that have not moved since
+   * the ledger started are shown at their purchase price. Quantities and
+   * rates are in each item's base unit, or in options.unit for the items
+   * that have it.
    */
-  static async getInventoryReport() {
+  static async getInventoryReport(tenantId, options = {}) {
     const Item = require("../models/Item");
+    const InventoryCostingService = require("./inventoryCostingService");
+    const MaterialIssueService = require("./materialIssueService");
+    const StockService = require("./stockService");
+    const UnitService = require("./unitService");
+
+    const filter = { isActive: true };
+    if (tenantId) filter.tenantId = tenantId;
 
-    const items = await Item.find({ isActive: true }).sort({
+    const items = await Item.find(filter).sort({
       categoryCode: 1,
       itemCode: 1,
     });
+    const movements = tenantId
+      ? await MaterialIssueService.getItemMovements(tenantId)
+      : new Map();
+    const movementOf = (item) =>
+      movements.get(String(item._id)) || { issued: 0, returned: 0 };
+    const valuation = tenantId
+      ? await InventoryCostingService.getValuation(tenantId)
+      : new Map();
+    const itemsById = new Map(items.map((item) => [String(item._id), item]));
+    const locations = new Map();
+    if (tenantId) {
+      for (const row of await StockService.getStockByLocation(tenantId)) {
+        const key = String(row.item._id);
+        const ledger = valuation.get(key);
+        const located =
+          ledger && ledger.locations.get(String(row.warehouse._id));
+        if (!locations.has(key)) locations.set(key, []);
+        locations.get(key).push({
+          warehouse: row.warehouse,
+          quantity: row.quantity,
+          inTransit: row.inTransit,
+          stockValue: located
+            ? located.value
+            : ledger
+            ? 0
+            : row.quantity * (itemsById.get(key)?.purchasePrice || 0),
+          stockStatus: row.stockStatus,
+        });
+      }
+    }
 
-    const inventory = items.map((item) => ({
-      itemCode: item.itemCode,
-      name: item.name,
-      category: item.categoryName,
-      subCategory: item.subCategoryName,
-      currentStock: item.currentStock,
-      unit: item.measurement,
-      purchasePrice: item.purchasePrice,
-      sellingPrice: item.sellingPrice,
-      stockValue: item.currentStock * item.purchasePrice,
-      minStockLevel: item.minStockLevel,
-      stockStatus:
-        item.currentStock <= item.minStockLevel
-          ? "Low Stock"
-          : item.currentStock === 0
-          ? "Out of Stock"
-          : "In Stock",
-    }));
+    const inventory = items.map((item) => {
+      const ledger = valuation.get(String(item._id));
+      const stockValue = ledger
+        ? ledger.value
+        : item.currentStock * item.purchasePrice;
+      const averageCost =
+        ledger && item.currentStock > 0
+          ? stockValue / item.currentStock
+          : item.averageCost || item.purchasePrice;
+      const display = UnitService.displayUnit(item, options.unit);
+      const inUnit = (quantity) =>
+        UnitService.fromBase(quantity, display.factor);
+      const perUnit = (rate) =>
+        Math.round(rate * display.factor * 10000) / 10000;
+      return {
+        itemCode: item.itemCode,
+        name: item.name,
+        category: item.categoryName,
+        subCategory: item.subCategoryName,
+        currentStock: inUnit(item.currentStock),
+        unit: display.unit,
+        baseUnit: item.measurement,
+        conversionFactor: display.factor,
+        purchasePrice: perUnit(item.purchasePrice),
+        sellingPrice: perUnit(item.sellingPrice),
+        averageCost: perUnit(averageCost),
+        stockValue,
+        inTransitValue: ledger ? ledger.inTransitValue : 0,
+        valuedFrom: ledger ? "Stock Ledger" : "Purchase Price",
+        minStockLevel: inUnit(item.minStockLevel),
+        locations: (locations.get(String(item._id)) || []).map(
+          (location) => ({
+            ...location,
+            quantity: inUnit(location.quantity),
+            inTransit: inUnit(location.inTransit),
+          })
+        ),
+        issuedToProjects: inUnit(movementOf(item).issued),
+        returnedFromProjects: inUnit(movementOf(item).returned),
+        stockStatus:
+          item.currentStock <= item.minStockLevel
+            ? "Low Stock"
+            : item.currentStock === 0
+            ? "Out of Stock"
+            : "In Stock",
+      };
+    });
 
     const totalStockValue = inventory.reduce(
       (sum, item) => sum + item.stockValue,
       0
     );
+    const totalInTransitValue = inventory.reduce(
+      (sum, item) => sum + item.inTransitValue,
+      0
+    );
     const lowStockItems = inventory.filter(
       (item) => item.stockStatus === "Low Stock"
     );
@@ -826,12 +2364,24 @@ class AccountingService {
 
     return {
       asOfDate: new Date(),
+      costingMethod: tenantId
+        ? await InventoryCostingService.getMethod(tenantId)
+        : undefined,
       items: inventory,
       summary: {
         totalItems: inventory.length,
         totalStockValue,
+        totalInTransitValue,
         lowStockCount: lowStockItems.length,
         outOfStockCount: outOfStockItems.length,
+        totalIssuedToProjects: inventory.reduce(
+          (sum, item) => sum + item.issuedToProjects,
+          0
+        ),
+        totalReturnedFromProjects: inventory.reduce(
+          (sum, item) => sum + item.returnedFromProjects,
+          0
+        ),
       },
       alerts: {
         lowStock: lowStockItems,
@@ -847,21 +2397,27 @@ class AccountingService {
    * Debit: Accounts Receivable - Customer (balance due)
    * Credit: Property Sales Revenue (total amount)
    */
-  static async createPlotBookingJournalEntry(plot, userId) {
+  static async createPlotBookingJournalEntry(plot, userId, session = null) {
     const revenueAccount = await this.getOrCreateAccount(
       "4001",
       "Property Sales Revenue",
-      "Revenue"
+      "Revenue",
+      plot.tenantId,
+      session
     );
     const receivableAccount = await this.getOrCreateAccount(
       "1200",
       "Accounts Receivable",
-      "Asset"
+      "Asset",
+      plot.tenantId,
+      session
     );
     const cashAccount = await this.getOrCreateAccount(
       "1000",
       "Cash Account",
-      "Asset"
+      "Asset",
+      plot.tenantId,
+      session
     );
 
     const lines = [];
@@ -908,6 +2464,7 @@ class AccountingService {
     });
 
     const entryData = {
+      tenantId: plot.tenantId,
       date: plot.bookingDate || new Date(),
       transactionType: "Booking",
       sourceTransaction: {
@@ -922,7 +2479,7 @@ class AccountingService {
       lines: lines,
     };
 
-    return await this.createJournalEntry(entryData, userId);
+    return await this.createJournalEntry(entryData, userId, session);
   }
 
   /**
@@ -931,16 +2488,20 @@ class AccountingService {
    * Debit: Cash Account (if additional payment received)
    * Credit: Accounts Receivable (if reducing balance)
    */
-  static async createPlotSaleJournalEntry(plot, userId) {
+  static async createPlotSaleJournalEntry(plot, userId, session = null) {
     const receivableAccount = await this.getOrCreateAccount(
       "1200",
       "Accounts Receivable",
-      "Asset"
+      "Asset",
+      plot.tenantId,
+      session
     );
     const cashAccount = await this.getOrCreateAccount(
       "1000",
       "Cash Account",
-      "Asset"
+      "Asset",
+      plot.tenantId,
+      session
     );
 
     const lines = [];
@@ -971,6 +2532,7 @@ class AccountingService {
       });
 
       const entryData = {
+        tenantId: plot.tenantId,
         date: plot.saleDate || new Date(),
         transactionType: "Sale",
         sourceTransaction: {
@@ -983,31 +2545,139 @@ class AccountingService {
         lines: lines,
       };
 
-      return await this.createJournalEntry(entryData, userId);
+      return await this.createJournalEntry(entryData, userId, session);
     }
 
     return null;
   }
 
+  /**
+   * Create journal entry for a plot installment receipt
+   * Debit: Cash/Bank (principal + late fee)
+   * Credit: Accounts Receivable (principal)
+   * Credit: Late Payment Charges (late fee, if any)
+   */
+  static async createInstallmentReceiptJournalEntry(
+    plot,
+    receipt,
+    userId,
+    session = null
+  ) {
+    const paymentAccount = receipt.cheque
+      ? await this.getChequeHoldingAccount("Received", plot.tenantId, session)
+      : receipt.paymentMethod === "Cash"
+        ? await this.getOrCreateAccount(
+            "1000",
+            "Cash Account",
+            "Asset",
+            plot.tenantId,
+            session
+          )
+        : await this.getBankLedgerAccount(
+            plot.tenantId,
+            receipt.bankAccountRef,
+            receipt.bankName,
+            session
+          );
+
+    const receivableAccount = await this.getOrCreateAccount(
+      "1200",
+      "Accounts Receivable",
+      "Asset",
+      plot.tenantId,
+      session
+    );
+
+    const amount = receipt.amount || 0;
+    const lateFee = receipt.lateFee || 0;
+
+    const lines = [
+      {
+        account: paymentAccount._id,
+        accountCode: paymentAccount.code,
+        accountName: paymentAccount.name,
+        accountType: "Asset",
+        debit: amount + lateFee,
+        credit: 0,
+        description: `Installment received for plot ${plot.plotNumber}`,
+      },
+      {
+        account: receivableAccount._id,
+        accountCode: receivableAccount.code || "1200",
+        accountName: receivableAccount.name || "Accounts Receivable",
+        accountType: "Asset",
+        debit: 0,
+        credit: amount,
+        description: `Installment against plot ${plot.plotNumber}`,
+      },
+    ];
+
+    if (lateFee > 0) {
+      const lateFeeAccount = await this.getOrCreateAccount(
+        "4002",
+        "Late Payment Charges",
+        "Revenue",
+        plot.tenantId,
+        session
+      );
+
+      lines.push({
+        account: lateFeeAccount._id,
+        accountCode: lateFeeAccount.code || "4002",
+        accountName: lateFeeAccount.name || "Late Payment Charges",
+        accountType: "Revenue",
+        debit: 0,
+        credit: lateFee,
+        description: `Late payment charges on plot ${plot.plotNumber}`,
+      });
+    }
+
+    const entryData = {
+      tenantId: plot.tenantId,
+      date: receipt.date || new Date(),
+      transactionType: "Receipt",
+      sourceTransaction: {
+        model: "Plot",
+        id: plot._id,
+        reference: receipt.receiptNo,
+      },
+      project: plot.project,
+      description: `Installment receipt ${receipt.receiptNo} - Plot ${plot.plotNumber}`,
+      lines: lines,
+    };
+
+    return await this.createJournalEntry(entryData, userId, session);
+  }
+
   /**
    * Create journal entry for a plot sales invoice
    * Similar format for consistency with plot sales
    */
-  static async createPlotSalesInvoiceJournalEntry(salesInvoice, userId) {
+  static async createPlotSalesInvoiceJournalEntry(
+    salesInvoice,
+    userId,
+    session = null
+  ) {
     const revenueAccount = await this.getOrCreateAccount(
       "4001",
       "Property Sales Revenue",
-      "Revenue"
+      "Revenue",
+      salesInvoice.tenantId,
+      session
     );
     const receivableAccount = await this.getOrCreateAccount(
       "1003",
       "Accounts Receivable",
-      "Asset"
+      "Asset",
+      salesInvoice.tenantId,
+      session
     );
     const cashAccount = await this.getOrCreateAccount(
       "1001",
       "Cash Account",
-      "Asset"
+      "Asset",
+      salesInvoice.tenantId,
+      session
     );
 
     const lines = [];
@@ -1023,22 +2693,24 @@ class AccountingService {
       description: `Plot sales receivable from ${salesInvoice.customerName}`,
     });
 
-    // Debit: Cash Account (if payment received)
-    if (salesInvoice.amountReceived > 0) {
+    // Debit: Cash Account (if payment received on the invoice; receipts
+    // allocated later post their own cash)
+    const cashReceived =
+      (salesInvoice.amountReceived || 0) - (salesInvoice.amountAllocated || 0);
+    if (cashReceived > 0) {
       lines.push({
         account: cashAccount._id,
         accountCode: cashAccount.code || "1001",
         accountName: cashAccount.name || "Cash Account",
         accountType: "Asset",
-        debit: salesInvoice.amountReceived,
+        debit: cashReceived,
         credit: 0,
         description: `Cash received from ${salesInvoice.customerName}`,
       });
     }
 
     // Credit: Property Sales Revenue (total)
-    const totalCredit =
-      salesInvoice.netTotal + (salesInvoice.amountReceived || 0);
+    const totalCredit = salesInvoice.netTotal + Math.max(cashReceived, 0);
     lines.push({
       account: revenueAccount._id,
       accountCode: revenueAccount.code || "4001",
@@ -1050,6 +2722,7 @@ class AccountingService {
     });
 
     const entryData = {
+      tenantId: salesInvoice.tenantId,
       date: salesInvoice.date,
       transactionType: "Sale",
       sourceTransaction: {
@@ -1062,42 +2735,45 @@ class AccountingService {
       lines: lines,
     };
 
-    return await this.createJournalEntry(entryData, userId);
+    return await this.createJournalEntry(entryData, userId, session);
   }
 
   /**
    * Reverse a journal entry
    */
-  static async reverseJournalEntry(entryId, userId, reason) {
-    const entry = await JournalEntry.findById(entryId);
+  static async reverseJournalEntry(entryId, userId, reason, session = null) {
+    if (!session) {
+      return await TransactionService.run((ownSession) =>
+        this.reverseJournalEntry(entryId, userId, reason, ownSession)
+      );
+    }
+
+    const entry = await JournalEntry.findById(entryId).session(session);
     if (!entry) {
       throw new Error("Journal entry not found");
     }
 
-    const reversalEntry = await entry.reverse(userId, reason);
+    // Reversing marks the original ledger rows, so their period must be open too
+    await FiscalPeriodService.assertPeriodOpen(
+      entry.tenantId,
+      entry.date,
+      userId,
+      session
+    );
+
+    const reversalEntry = await entry.reverse(userId, reason, session);
 
     // Post reversal to general ledger
-    const session = await JournalEntry.startSession();
-    session.startTransaction();
-
-    try {
-      await this.postToGeneralLedger(reversalEntry, session);
+    await this.postToGeneralLedger(reversalEntry, session);
 
-      // Mark original ledger entries as reversed
-      await GeneralLedger.updateMany(
-        { journalEntry: entryId },
-        { status: "Reversed" },
-        { session }
-      );
+    // Mark original ledger entries as reversed
+    await GeneralLedger.updateMany(
+      { journalEntry: entryId },
+      { status: "Reversed" },
+      { session }
+    );
 
-      await session.commitTransaction();
-      return reversalEntry;
-    } catch (error) {
-      await session.abortTransaction();
-      throw error;
-    } finally {
-      session.endSession();
-    }
+    return reversalEntry;
   }
 }
 
@@ -0,0 +1,161 @@
+const BankAccount = require("../models/BankAccount");
+const ChartOfAccount = require("../models/ChartOfAccount");
+const GeneralLedger = require("../models/GeneralLedger");
+const AccountingService = require("./accountingService");
+const TransactionService = require("./transactionService");
+
+// New bank ledger accounts are numbered 1101, 1102, ... under Bank (1100)
+const BANK_ACCOUNT_CODE_PATTERN = /^11\d\d$/;
+
+/**
+ * Bank Account Service - Tenant bank accounts and their ledger balances
+ */
+class BankAccountService {
+  /**
+   * Load an active bank account of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {String} bankAccountId - Bank account ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Bank account
+   */
+  static async resolveBankAccount(tenantId, bankAccountId, session = null) {
+    const bankAccount = await BankAccount.findOne({
+      _id: bankAccountId,
+      tenantId,
+    }).session(session);
+
+    if (!bankAccount) {
+      throw new Error("Bank account not found");
+    }
+    if (!bankAccount.isActive) {
+      throw new Error(`Bank account ${bankAccount.name} is inactive`);
+    }
+
+    return bankAccount;
+  }
+
+  /**
+   * Next free bank ledger account code (1101, 1102, ...)
+   * @param {String} tenantId - Tenant ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<String>} Account code
+   */
+  static async nextAccountCode(tenantId, session = null) {
+    const accounts = await ChartOfAccount.find({
+      tenantId,
+      code: BANK_ACCOUNT_CODE_PATTERN,
+    })
+      .select("code")
+      .session(session);
+
+    const highest = accounts.reduce(
+      (max, account) => Math.max(max, Number(account.code)),
+      1100
+    );
+    if (highest >= 1199) {
+      throw new Error("No free bank account codes left between 1101 and 1199");
+    }
+
+    return String(highest + 1);
+  }
+
+  /**
+   * Create a bank account together with its ledger account
+   * An existing Asset account can be linked by code instead
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { name, bankName, accountNumber, branch, iban,
+   *   accountCode }
+   * @param {String} userId - ID of the user creating the account
+   * @returns {Promise<Object>} Created bank account
+   */
+  static async createBankAccount(tenantId, data, userId) {
+    return TransactionService.run(async (session) => {
+      let account;
+      if (data.accountCode) {
+        account = await ChartOfAccount.findOne({
+          tenantId,
+          code: data.accountCode,
+        }).session(session);
+        if (!account) {
+          throw new Error(
+            `Account ${data.accountCode} not found in the chart of accounts`
+          );
+        }
+        if (account.accountType !== "Asset") {
+          throw new Error(
+            `Account ${data.accountCode} is not an Asset account`
+          );
+        }
+
+        const linked = await BankAccount.findOne({
+          tenantId,
+          accountCode: account.code,
+        }).session(session);
+        if (linked) {
+          throw new Error(
+            `Account ${account.code} is already linked to bank account ${linked.name}`
+          );
+        }
+      } else {
+        account = await AccountingService.getOrCreateAccount(
+          await this.nextAccountCode(tenantId, session),
+          `Bank - ${data.name}`,
+          "Asset",
+          tenantId,
+          session
+        );
+      }
+
+      const [bankAccount] = await BankAccount.create(
+        [
+          {
+            tenantId,
+            name: data.name,
+            bankName: data.bankName,
+            accountNumber: data.accountNumber,
+            branch: data.branch,
+            iban: data.iban,
+            account: account._id,
+            accountCode: account.code,
+            createdBy: userId,
+          },
+        ],
+        { session }
+      );
+
+      return bankAccount;
+    });
+  }
+
+  /**
+   * Ledger balance of a bank account
+   * @param {Object} bankAccount - Bank account document
+   * @param {Date} asOfDate - Last date included
+   * @returns {Promise<Number>} Debit-minus-credit balance
+   */
+  static async getBalance(bankAccount, asOfDate = new Date()) {
+    const result = await GeneralLedger.aggregate([
+      {
+        $match: {
+          tenantId: bankAccount.tenantId,
+          accountCode: bankAccount.accountCode,
+          status: "Active",
+          date: { $lte: new Date(asOfDate) },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          totalDebit: { $sum: "$debit" },
+          totalCredit: { $sum: "$credit" },
+        },
+      },
+    ]);
+
+    return result.length > 0
+      ? Math.round((result[0].totalDebit - result[0].totalCredit) * 100) / 100
+      : 0;
+  }
+}
+
+module.exports = BankAccountService;
@@ -0,0 +1,715 @@
+const BankReconciliation = require("../models/BankReconciliation");
+const BankAccount = require("../models/BankAccount");
+const GeneralLedger = require("../models/GeneralLedger");
+const BankPayment = require("../models/BankPayment");
+const BankReceipt = require("../models/BankReceipt");
+const ContraVoucher = require("../models/ContraVoucher");
+const Cheque = require("../models/Cheque");
+const CustomerReceipt = require("../models/CustomerReceipt");
+const SupplierPayment = require("../models/SupplierPayment");
+const BankAccountService = require("./bankAccountService");
+const TransactionService = require("./transactionService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ledger rows more than this many days from a statement line are only
+// auto-matched when the cheque number agrees
+const DATE_TOLERANCE_DAYS = 7;
+
+// Header names recognised in bank statement CSVs (compared lower-case)
+const COLUMN_ALIASES = {
+  date: ["date", "transaction date", "txn date", "value date", "posting date"],
+  description: [
+    "description",
+    "narration",
+    "details",
+    "particulars",
+    "remarks",
+  ],
+  reference: [
+    "reference",
+    "ref",
+    "ref no",
+    "cheque",
+    "cheque no",
+    "cheque number",
+    "chq no",
+    "instrument no",
+  ],
+  withdrawal: ["withdrawal", "withdrawals", "debit", "dr", "paid out"],
+  deposit: ["deposit", "deposits", "credit", "cr", "paid in"],
+  amount: ["amount"],
+  balance: ["balance", "running balance", "closing balance"],
+};
+
+// Source documents whose cheque number is used for matching
+const CHEQUE_SOURCES = {
+  BankPayment,
+  BankReceipt,
+  CustomerReceipt,
+  SupplierPayment,
+  ContraVoucher,
+  Cheque,
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// The request sanitiser HTML-escapes every body string ("/" arrives as
+// "&#x2F;"); statements are parsed from the text the bank wrote
+const decodeEntities = (text) =>
+  String(text || "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;/g, "'")
+    .replace(/&#x2F;/g, "/")
+    .replace(/&amp;/g, "&");
+
+// Cheque numbers compare on their digits only ("CHQ-00123" = "123")
+const normalizeCheque = (value) =>
+  String(value || "")
+    .replace(/\D/g, "")
+    .replace(/^0+/, "");
+
+/**
+ * Bank Reconciliation Service - Statement import, matching against the
+ * bank's ledger rows and the reconciliation report
+ */
+class BankReconciliationService {
+  /**
+   * Split CSV text into rows of fields (quoted fields may hold commas,
+   * quotes and line breaks)
+   * @param {String} text - CSV text
+   * @returns {Array<Array<String>>} Rows
+   */
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ",") {
+        row.push(field.trim());
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field.trim());
+        if (row.some((value) => value !== "")) rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    row.push(field.trim());
+    if (row.some((value) => value !== "")) rows.push(row);
+
+    return rows;
+  }
+
+  /**
+   * Parse a statement amount ("1,250.00", "(300)", "-300", "")
+   * @param {String} value - Amount text
+   * @returns {Number} Amount, 0 when blank
+   */
+  static parseAmount(value) {
+    const text = String(value || "").replace(/[,\s]/g, "");
+    if (!text) return 0;
+
+    const negative = /^\(.*\)$/.test(text);
+    const amount = Number(text.replace(/[()]/g, ""));
+    if (isNaN(amount)) {
+      throw new Error(`Invalid amount "${value}" in statement`);
+    }
+
+    return roundAmount(negative ? -amount : amount);
+  }
+
+  /**
+   * Parse a statement date; dd/mm/yyyy and dd-mm-yyyy are read day first
+   * @param {String} value - Date text
+   * @returns {Date} Date
+   */
+  static parseDate(value) {
+    const text = String(value || "").trim();
+    const dayFirst = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    const date = dayFirst
+      ? new Date(
+          Number(dayFirst[3]),
+          Number(dayFirst[2]) - 1,
+          Number(dayFirst[1])
+        )
+      : new Date(text);
+
+    if (!text || isNaN(date.getTime())) {
+      throw new Error(`Invalid date "${value}" in statement`);
+    }
+    return date;
+  }
+
+  /**
+   * Turn statement CSV text into statement lines
+   * The first row must be a header. Withdrawals and deposits come from
+   * separate columns or from one signed amount column (deposits positive).
+   * HTML entities left by the request sanitiser are decoded first.
+   * @param {String} csv - CSV text
+   * @param {Object} columns - Header overrides, e.g. { date: "Txn Dt" }
+   * @returns {Array} Statement lines
+   */
+  static parseStatement(csv, columns = {}) {
+    const rows = this.parseCsv(decodeEntities(csv));
+    if (rows.length < 2) {
+      throw new Error(
+        "The statement must have a header row and at least one line"
+      );
+    }
+
+    const headers = rows[0].map((header) => header.toLowerCase());
+    const indexOf = (key) => {
+      const names = columns[key]
+        ? [decodeEntities(columns[key]).toLowerCase()]
+        : COLUMN_ALIASES[key];
+      return headers.findIndex((header) => names.includes(header));
+    };
+
+    const index = {};
+    Object.keys(COLUMN_ALIASES).forEach((key) => {
+      index[key] = indexOf(key);
+    });
+
+    if (index.date < 0) {
+      throw new Error("The statement has no date column");
+    }
+    if (index.amount < 0 && index.withdrawal < 0 && index.deposit < 0) {
+      throw new Error(
+        "The statement needs withdrawal and deposit columns or an amount column"
+      );
+    }
+
+    const value = (row, key) => (index[key] >= 0 ? row[index[key]] : "");
+
+    return rows.slice(1).map((row, i) => {
+      let withdrawal;
+      let deposit;
+      if (index.withdrawal >= 0 || index.deposit >= 0) {
+        withdrawal = Math.abs(this.parseAmount(value(row, "withdrawal")));
+        deposit = Math.abs(this.parseAmount(value(row, "deposit")));
+      } else {
+        const amount = this.parseAmount(value(row, "amount"));
+        withdrawal = amount < 0 ? -amount : 0;
+        deposit = amount > 0 ? amount : 0;
+      }
+
+      if (withdrawal === 0 && deposit === 0) {
+        throw new Error(`Statement line ${i + 1} has no amount`);
+      }
+
+      const balance = value(row, "balance");
+      return {
+        date: this.parseDate(value(row, "date")),
+        description: value(row, "description"),
+        reference: value(row, "reference"),
+        withdrawal,
+        deposit,
+        balance: balance ? this.parseAmount(balance) : undefined,
+      };
+    });
+  }
+
+  /**
+   * Import a bank statement as a draft reconciliation and auto-match it
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { bankAccount, csv, columns, fileName,
+   *   statementStartDate, statementEndDate, openingBalance, closingBalance }
+   * @param {String} userId - ID of the user importing the statement
+   * @returns {Promise<Object>} Reconciliation
+   */
+  static async importStatement(tenantId, data, userId) {
+    const bankAccount = await BankAccountService.resolveBankAccount(
+      tenantId,
+      data.bankAccount
+    );
+    const lines = this.parseStatement(data.csv, data.columns);
+
+    const dates = lines.map((line) => line.date.getTime());
+    const movement = roundAmount(
+      lines.reduce((sum, line) => sum + line.deposit - line.withdrawal, 0)
+    );
+
+    // Balances come from the request, else from the statement's balance column
+    const firstLine = lines[0];
+    const lastLine = lines[lines.length - 1];
+    let openingBalance = Number(data.openingBalance);
+    if (data.openingBalance === undefined || isNaN(openingBalance)) {
+      openingBalance =
+        firstLine.balance !== undefined
+          ? roundAmount(
+              firstLine.balance - firstLine.deposit + firstLine.withdrawal
+            )
+          : 0;
+    }
+    let closingBalance = Number(data.closingBalance);
+    if (data.closingBalance === undefined || isNaN(closingBalance)) {
+      closingBalance =
+        lastLine.balance !== undefined
+          ? lastLine.balance
+          : roundAmount(openingBalance + movement);
+    }
+
+    const reconciliation = await BankReconciliation.create({
+      tenantId,
+      bankAccount: bankAccount._id,
+      accountCode: bankAccount.accountCode,
+      statementStartDate: data.statementStartDate
+        ? new Date(data.statementStartDate)
+        : new Date(Math.min(...dates)),
+      statementEndDate: data.statementEndDate
+        ? new Date(data.statementEndDate)
+        : new Date(Math.max(...dates)),
+      openingBalance,
+      closingBalance,
+      fileName: data.fileName,
+      lines,
+      createdBy: userId,
+    });
+
+    if (data.autoMatch === false) return reconciliation;
+    return this.autoMatch(reconciliation, userId);
+  }
+
+  /**
+   * Ledger rows on the bank account not yet cleared by another
+   * reconciliation, with the cheque number of their source document
+   * @param {Object} reconciliation - Reconciliation document
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Array>} Ledger rows (plain objects)
+   */
+  static async getCandidateEntries(reconciliation, session = null) {
+    const latestDate = new Date(
+      reconciliation.statementEndDate.getTime() + DATE_TOLERANCE_DAYS * DAY_MS
+    );
+
+    const rows = await GeneralLedger.find({
+      tenantId: reconciliation.tenantId,
+      accountCode: reconciliation.accountCode,
+      status: "Active",
+      date: { $lte: latestDate },
+      $or: [
+        { bankReconciliation: null },
+        { bankReconciliation: reconciliation._id },
+      ],
+    })
+      .sort({ date: 1, createdAt: 1 })
+      .session(session)
+      .lean();
+
+    return this.attachChequeNumbers(rows, reconciliation.tenantId, session);
+  }
+
+  /**
+   * Copy the cheque number of each row's source document onto the row
+   * @param {Array} rows - Ledger rows (plain objects)
+   * @param {String} tenantId - Tenant ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Array>} The same rows
+   */
+  static async attachChequeNumbers(rows, tenantId, session = null) {
+    for (const [model, Model] of Object.entries(CHEQUE_SOURCES)) {
+      const ids = rows
+        .filter((row) => row.sourceTransaction?.model === model)
+        .map((row) => row.sourceTransaction.id);
+      if (ids.length === 0) continue;
+
+      const documents = await Model.find({ _id: { $in: ids }, tenantId })
+        .select("chequeNo")
+        .session(session);
+      const chequeById = new Map(
+        documents.map((document) => [String(document._id), document.chequeNo])
+      );
+
+      rows.forEach((row) => {
+        if (row.sourceTransaction?.model === model) {
+          row.chequeNo = chequeById.get(String(row.sourceTransaction.id));
+        }
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Clear ledger rows against a statement line
+   * @param {Object} reconciliation - Reconciliation document
+   * @param {Object} line - Statement line
+   * @param {Array} rowIds - Ledger row IDs
+   * @param {String} matchType - "Auto" or "Manual"
+   * @param {String} userId - ID of the user matching
+   * @param {ClientSession} session - Transaction session
+   */
+  static async applyMatch(
+    reconciliation,
+    line,
+    rowIds,
+    matchType,
+    userId,
+    session
+  ) {
+    line.status = "Matched";
+    line.matchType = matchType;
+    line.ledgerEntries = rowIds;
+    line.matchedAt = new Date();
+    line.matchedBy = userId;
+
+    await GeneralLedger.updateMany(
+      { _id: { $in: rowIds }, tenantId: reconciliation.tenantId },
+      { bankReconciliation: reconciliation._id, clearedDate: line.date },
+      { session }
+    );
+  }
+
+  /**
+   * Match unmatched statement lines to single ledger rows by amount,
+   * cheque number and date
+   * A row whose cheque number agrees is preferred; otherwise the row of the
+   * same amount closest in date within the tolerance is taken.
+   * @param {Object} reconciliation - Draft reconciliation
+   * @param {String} userId - ID of the user running the match
+   * @returns {Promise<Object>} Updated reconciliation
+   */
+  static async autoMatch(reconciliation, userId) {
+    if (reconciliation.status !== "Draft") {
+      throw new Error("Only draft reconciliations can be matched");
+    }
+
+    return TransactionService.run(async (session) => {
+      const candidates = await this.getCandidateEntries(
+        reconciliation,
+        session
+      );
+
+      const used = new Set();
+      reconciliation.lines.forEach((line) => {
+        line.ledgerEntries.forEach((id) => used.add(String(id)));
+      });
+
+      for (const line of reconciliation.lines) {
+        if (line.status === "Matched") continue;
+
+        const amount = roundAmount(line.deposit - line.withdrawal);
+        const cheque = normalizeCheque(line.reference);
+
+        const ranked = candidates
+          .filter((row) => !used.has(String(row._id)))
+          .filter((row) => Math.abs(row.debit - row.credit - amount) < 0.01)
+          .map((row) => ({
+            row,
+            chequeMatch:
+              cheque !== "" && normalizeCheque(row.chequeNo) === cheque,
+            days: Math.abs(line.date - row.date) / DAY_MS,
+          }))
+          .filter((c) => c.chequeMatch || c.days <= DATE_TOLERANCE_DAYS)
+          .sort((a, b) => b.chequeMatch - a.chequeMatch || a.days - b.days);
+
+        if (ranked.length === 0) continue;
+
+        const match = ranked[0].row;
+        used.add(String(match._id));
+        await this.applyMatch(
+          reconciliation,
+          line,
+          [match._id],
+          "Auto",
+          userId,
+          session
+        );
+      }
+
+      await reconciliation.save({ session });
+      return reconciliation;
+    });
+  }
+
+  /**
+   * Match a statement line to one or more ledger rows by hand
+   * The rows must total the line amount (e.g. one deposit of several receipts)
+   * @param {Object} reconciliation - Draft reconciliation
+   * @param {String} lineId - Statement line ID
+   * @param {Array} ledgerEntryIds - Ledger row IDs
+   * @param {String} userId - ID of the user matching
+   * @returns {Promise<Object>} Updated reconciliation
+   */
+  static async matchLine(reconciliation, lineId, ledgerEntryIds, userId) {
+    if (reconciliation.status !== "Draft") {
+      throw new Error("Only draft reconciliations can be matched");
+    }
+
+    const line = reconciliation.lines.id(lineId);
+    if (!line) {
+      throw new Error("Statement line not found");
+    }
+    if (line.status === "Matched") {
+      throw new Error("Statement line is already matched; unmatch it first");
+    }
+
+    const ids = [...new Set((ledgerEntryIds || []).map(String))];
+    if (ids.length === 0) {
+      throw new Error("Select at least one ledger entry to match");
+    }
+
+    return TransactionService.run(async (session) => {
+      const candidates = await this.getCandidateEntries(
+        reconciliation,
+        session
+      );
+      const used = new Set();
+      reconciliation.lines.forEach((l) => {
+        l.ledgerEntries.forEach((id) => used.add(String(id)));
+      });
+
+      const rows = ids.map((id) => {
+        const row = candidates.find((c) => String(c._id) === id);
+        if (!row || used.has(id)) {
+          throw new Error(
+            `Ledger entry ${id} is not an uncleared entry of this bank account`
+          );
+        }
+        return row;
+      });
+
+      const amount = roundAmount(line.deposit - line.withdrawal);
+      const total = roundAmount(
+        rows.reduce((sum, row) => sum + row.debit - row.credit, 0)
+      );
+      if (Math.abs(total - amount) > 0.01) {
+        throw new Error(
+          `Selected entries total ${total} but the statement line is ${amount}`
+        );
+      }
+
+      await this.applyMatch(
+        reconciliation,
+        line,
+        rows.map((row) => row._id),
+        "Manual",
+        userId,
+        session
+      );
+
+      await reconciliation.save({ session });
+      return reconciliation;
+    });
+  }
+
+  /**
+   * Undo the match of a statement line
+   * @param {Object} reconciliation - Draft reconciliation
+   * @param {String} lineId - Statement line ID
+   * @returns {Promise<Object>} Updated reconciliation
+   */
+  static async unmatchLine(reconciliation, lineId) {
+    if (reconciliation.status !== "Draft") {
+      throw new Error("Only draft reconciliations can be changed");
+    }
+
+    const line = reconciliation.lines.id(lineId);
+    if (!line) {
+      throw new Error("Statement line not found");
+    }
+    if (line.status !== "Matched") {
+      throw new Error("Statement line is not matched");
+    }
+
+    return TransactionService.run(async (session) => {
+      await GeneralLedger.updateMany(
+        {
+          _id: { $in: line.ledgerEntries },
+          tenantId: reconciliation.tenantId,
+        },
+        { $unset: { bankReconciliation: 1, clearedDate: 1 } },
+        { session }
+      );
+
+      line.status = "Unmatched";
+      line.matchType = undefined;
+      line.ledgerEntries = [];
+      line.matchedAt = undefined;
+      line.matchedBy = undefined;
+
+      await reconciliation.save({ session });
+      return reconciliation;
+    });
+  }
+
+  /**
+   * Reconciliation report as of the statement end date
+   * Book balance is reconciled to the statement closing balance through
+   * uncleared cheques (payments in the books not yet on the statement) and
+   * deposits in transit (receipts in the books not yet on the statement).
+   * @param {Object} reconciliation - Reconciliation document
+   * @returns {Promise<Object>} Report
+   */
+  static async getReport(reconciliation) {
+    const { tenantId, accountCode } = reconciliation;
+    const asOfDate = reconciliation.statementEndDate;
+    const bankAccount = await BankAccount.findOne({
+      _id: reconciliation.bankAccount,
+      tenantId,
+    });
+
+    const bookBalance = await BankAccountService.getBalance(
+      { tenantId, accountCode },
+      asOfDate
+    );
+
+    // Rows in the books by the statement date and not cleared by then,
+    // including rows a later statement cleared
+    const outstanding = await GeneralLedger.find({
+      tenantId,
+      accountCode,
+      status: "Active",
+      date: { $lte: asOfDate },
+      $or: [{ clearedDate: null }, { clearedDate: { $gt: asOfDate } }],
+    })
+      .sort({ date: 1, createdAt: 1 })
+      .lean();
+    await this.attachChequeNumbers(outstanding, tenantId);
+
+    const toItem = (row) => ({
+      _id: row._id,
+      date: row.date,
+      entryNumber: row.entryNumber,
+      description: row.description,
+      reference: row.sourceTransaction?.reference,
+      chequeNo: row.chequeNo,
+      amount: roundAmount(Math.abs(row.debit - row.credit)),
+    });
+
+    const depositsInTransit = outstanding
+      .filter((row) => row.debit > row.credit)
+      .map(toItem);
+    const unclearedCheques = outstanding
+      .filter((row) => row.credit > row.debit)
+      .map(toItem);
+
+    const totalDepositsInTransit = roundAmount(
+      depositsInTransit.reduce((sum, item) => sum + item.amount, 0)
+    );
+    const totalUnclearedCheques = roundAmount(
+      unclearedCheques.reduce((sum, item) => sum + item.amount, 0)
+    );
+    const adjustedBankBalance = roundAmount(
+      reconciliation.closingBalance +
+        totalDepositsInTransit -
+        totalUnclearedCheques
+    );
+
+    // Statement lines with nothing in the books yet (charges, profit, ...)
+    const unmatchedLines = reconciliation.lines
+      .filter((line) => line.status !== "Matched")
+      .map((line) => ({
+        _id: line._id,
+        date: line.date,
+        description: line.description,
+        reference: line.reference,
+        withdrawal: line.withdrawal,
+        deposit: line.deposit,
+      }));
+
+    const difference = roundAmount(adjustedBankBalance - bookBalance);
+
+    return {
+      bankAccount: bankAccount
+        ? {
+            _id: bankAccount._id,
+            name: bankAccount.name,
+            bankName: bankAccount.bankName,
+            accountNumber: bankAccount.accountNumber,
+          }
+        : { _id: reconciliation.bankAccount },
+      accountCode,
+      statementStartDate: reconciliation.statementStartDate,
+      statementEndDate: asOfDate,
+      status: reconciliation.status,
+      statementBalance: reconciliation.closingBalance,
+      depositsInTransit: {
+        items: depositsInTransit,
+        total: totalDepositsInTransit,
+      },
+      unclearedCheques: {
+        items: unclearedCheques,
+        total: totalUnclearedCheques,
+      },
+      adjustedBankBalance,
+      bookBalance,
+      unmatchedStatementLines: unmatchedLines,
+      difference,
+      isReconciled: Math.abs(difference) < 0.01,
+    };
+  }
+
+  /**
+   * Complete a reconciliation once the adjusted bank balance agrees with
+   * the books; completed reconciliations can no longer be changed
+   * @param {Object} reconciliation - Draft reconciliation
+   * @param {String} userId - ID of the user completing it
+   * @returns {Promise<Object>} Completed reconciliation
+   */
+  static async completeReconciliation(reconciliation, userId) {
+    if (reconciliation.status !== "Draft") {
+      throw new Error("Reconciliation is already completed");
+    }
+
+    const report = await this.getReport(reconciliation);
+    if (!report.isReconciled) {
+      throw new Error(
+        `Adjusted bank balance (${report.adjustedBankBalance}) does not agree with the book balance (${report.bookBalance}); difference ${report.difference}`
+      );
+    }
+
+    reconciliation.status = "Completed";
+    reconciliation.completedAt = new Date();
+    reconciliation.completedBy = userId;
+    await reconciliation.save();
+
+    return reconciliation;
+  }
+
+  /**
+   * Delete a draft reconciliation and release the rows it cleared
+   * @param {Object} reconciliation - Draft reconciliation
+   */
+  static async deleteReconciliation(reconciliation) {
+    if (reconciliation.status !== "Draft") {
+      throw new Error("Completed reconciliations cannot be deleted");
+    }
+
+    await TransactionService.run(async (session) => {
+      await GeneralLedger.updateMany(
+        {
+          tenantId: reconciliation.tenantId,
+          bankReconciliation: reconciliation._id,
+        },
+        { $unset: { bankReconciliation: 1, clearedDate: 1 } },
+        { session }
+      );
+      await reconciliation.deleteOne({ session });
+    });
+  }
+}
+
+module.exports = BankReconciliationService;
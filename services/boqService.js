@@ -0,0 +1,926 @@
+const Boq = require("../models/Boq");
+const BoqRevision = require("../models/BoqRevision");
+const Item = require("../models/Item");
+const Project = require("../models/Project");
+const Purchase = require("../models/Purchase");
+const VariationOrder = require("../models/VariationOrder");
+const MaterialIssueService = require("./materialIssueService");
+const PaymentCertificateService = require("./paymentCertificateService");
+const ProjectBudgetService = require("./projectBudgetService");
+const TransactionService = require("./transactionService");
+const UnitService = require("./unitService");
+
+const RESOURCE_TYPES = [
+  "Material",
+  "Labour",
+  "Equipment",
+  "Subcontract",
+  "Other",
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * BOQ Service - Bills of quantities of contract projects, their rate
+ * analysis, revisions and variation orders, and the BOQ as the baseline for
+ * budgets and material consumption
+ */
+class BoqService {
+  /**
+   * Load a project of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Project
+   */
+  static async getProject(tenantId, projectId, session = null) {
+    const project = await Project.findOne({ _id: projectId, tenantId }).session(
+      session
+    );
+    if (!project) throw notFound("Project not found");
+    return project;
+  }
+
+  /**
+   * Load the BOQ of a project
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} BOQ
+   */
+  static async getBoq(tenantId, projectId, session = null) {
+    const boq = await Boq.findOne({ tenantId, project: projectId }).session(
+      session
+    );
+    if (!boq) throw notFound("No BOQ has been set for this project");
+    return boq;
+  }
+
+  /**
+   * Find the inventory item a BOQ line or resource refers to
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} ref - { item, itemCode }
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Item, or null when none is referenced
+   */
+  static async resolveItem(tenantId, ref, session = null) {
+    if (!ref.item && !ref.itemCode) return null;
+
+    const filter = ref.item
+      ? { _id: ref.item, tenantId }
+      : { itemCode: String(ref.itemCode).toUpperCase(), tenantId };
+    const item = await Item.findOne(filter).session(session);
+    if (!item) {
+      throw new Error(`Item ${ref.itemCode || ref.item} not found`);
+    }
+    return item;
+  }
+
+  /**
+   * Validate BOQ lines and their rate analysis
+   * @param {String} tenantId - Tenant ID
+   * @param {Array} lines - [{ _id, itemNo, description, unit, quantity,
+   *   rate, item, itemCode, costCode, rateAnalysis, overheadPercent,
+   *   profitPercent }]
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Array>} BOQ lines ready to save
+   */
+  static async buildLines(tenantId, lines, session = null) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error("Please provide at least one BOQ line");
+    }
+
+    const boqLines = [];
+    for (const line of lines) {
+      const label = line.itemNo || line.description;
+      const quantity = Number(line.quantity);
+      const analysis = line.rateAnalysis || [];
+      // A rate analysis sets the rate, so none has to be given
+      const rate = analysis.length > 0 ? 0 : Number(line.rate);
+      if (
+        !line.description ||
+        !line.unit ||
+        isNaN(quantity) ||
+        quantity < 0 ||
+        isNaN(rate) ||
+        rate < 0
+      ) {
+        throw new Error(
+          "Each BOQ line requires a description, unit, quantity and a rate or rate analysis"
+        );
+      }
+      if (!Array.isArray(analysis)) {
+        throw new Error(`Rate analysis of BOQ item ${label} must be a list`);
+      }
+
+      const item = await this.resolveItem(tenantId, line, session);
+
+      const rateAnalysis = [];
+      for (const resource of analysis) {
+        const resourceItem = await this.resolveItem(
+          tenantId,
+          resource,
+          session
+        );
+        const resourceType =
+          resource.resourceType || (resourceItem ? "Material" : "Other");
+        const resourceQuantity = Number(resource.quantity);
+        const resourceRate =
+          resource.rate !== undefined
+            ? Number(resource.rate)
+            : resourceItem
+            ? resourceItem.purchasePrice
+            : NaN;
+        if (
+          !RESOURCE_TYPES.includes(resourceType) ||
+          isNaN(resourceQuantity) ||
+          resourceQuantity < 0 ||
+          isNaN(resourceRate) ||
+          resourceRate < 0
+        ) {
+          throw new Error(
+            `Each resource in the rate analysis of BOQ item ${label} requires a type, quantity and rate`
+          );
+        }
+        if (!resource.description && !resourceItem) {
+          throw new Error(
+            `Each resource in the rate analysis of BOQ item ${label} requires a description or item`
+          );
+        }
+        rateAnalysis.push({
+          resourceType,
+          item: resourceItem ? resourceItem._id : undefined,
+          itemCode: resourceItem ? resourceItem.itemCode : undefined,
+          description: resource.description || resourceItem.name,
+          unit: resource.unit || (resourceItem ? resourceItem.measurement : ""),
+          quantity: resourceQuantity,
+          rate: resourceRate,
+        });
+      }
+
+      boqLines.push({
+        ...(line._id && { _id: line._id }),
+        itemNo: line.itemNo,
+        description: line.description,
+        unit: line.unit,
+        quantity,
+        rate,
+        item: item ? item._id : undefined,
+        itemCode: item ? item.itemCode : undefined,
+        costCode: line.costCode,
+        rateAnalysis,
+        overheadPercent: Number(line.overheadPercent) || 0,
+        profitPercent: Number(line.profitPercent) || 0,
+      });
+    }
+
+    await ProjectBudgetService.resolveCostCodes(tenantId, boqLines, session);
+
+    return boqLines;
+  }
+
+  /**
+   * Quantity certified to date per BOQ line
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Map>} Cumulative quantity by BOQ line ID
+   */
+  static async getCertifiedQuantities(tenantId, projectId, session = null) {
+    const last = await PaymentCertificateService.getLastApproved(
+      tenantId,
+      projectId,
+      session
+    );
+    return new Map(
+      (last ? last.lines : []).map((line) => [
+        String(line.boqLine),
+        line.cumulativeQuantity,
+      ])
+    );
+  }
+
+  /**
+   * Check a set of BOQ lines still covers the work already certified
+   * @param {Object} boq - BOQ document with the new lines set
+   * @param {Map} certified - Certified quantity by BOQ line ID
+   */
+  static checkCertifiedWork(boq, certified) {
+    const lines = new Map(boq.lines.map((line) => [String(line._id), line]));
+    for (const [id, quantity] of certified) {
+      if (quantity <= 0) continue;
+      const line = lines.get(id);
+      if (!line) {
+        throw new Error("BOQ lines that have been certified cannot be removed");
+      }
+      if (line.quantity < quantity) {
+        throw new Error(
+          `Quantity of BOQ item ${line.itemNo || line.description} cannot go below the ${quantity} ${line.unit} already certified`
+        );
+      }
+    }
+  }
+
+  /**
+   * Save the BOQ and record it as a new revision
+   * @param {Object} boq - BOQ document with its changes applied
+   * @param {Object} options - { reason, variationOrder, userId }
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Saved BOQ
+   */
+  static async saveRevision(boq, options, session = null) {
+    if (!boq.isNew) boq.revision += 1;
+    boq.updatedBy = options.userId;
+    await boq.save({ session });
+
+    await BoqRevision.create(
+      [
+        {
+          tenantId: boq.tenantId,
+          boq: boq._id,
+          project: boq.project,
+          revision: boq.revision,
+          reason: options.reason,
+          variationOrder: options.variationOrder,
+          lines: boq.lines.map((line) => ({
+            boqLine: line._id,
+            itemNo: line.itemNo,
+            description: line.description,
+            unit: line.unit,
+            quantity: line.quantity,
+            rate: line.rate,
+            amount: line.amount,
+            itemCode: line.itemCode,
+            costCode: line.costCode,
+          })),
+          totalAmount: boq.totalAmount,
+          createdBy: options.userId,
+        },
+      ],
+      { session }
+    );
+
+    return boq;
+  }
+
+  /**
+   * Create or replace the BOQ of a project
+   * Lines keep their _id so certificates stay linked to them. Replacing an
+   * existing BOQ needs a reason and makes a new revision; certified lines
+   * cannot be removed or cut below the quantity certified.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {Object} data - { lines, reason }
+   * @param {String} userId - ID of the user saving the BOQ
+   * @returns {Promise<Object>} BOQ
+   */
+  static async saveBoq(tenantId, projectId, data, userId) {
+    return TransactionService.run(async (session) => {
+      const project = await this.getProject(tenantId, projectId, session);
+      const lines = await this.buildLines(tenantId, data.lines, session);
+
+      let boq = await Boq.findOne({ tenantId, project: project._id }).session(
+        session
+      );
+      if (!boq) {
+        boq = new Boq({ tenantId, project: project._id, createdBy: userId });
+      } else if (!data.reason) {
+        throw new Error("Please give a reason for revising the BOQ");
+      }
+
+      const existing = new Map(
+        boq.lines.map((line) => [String(line._id), line])
+      );
+      for (const line of lines) {
+        if (!line._id) continue;
+        const current = existing.get(String(line._id));
+        if (!current) {
+          throw new Error(`BOQ line ${line._id} not found`);
+        }
+        line.variationOrder = current.variationOrder;
+      }
+
+      boq.lines = lines;
+      this.checkCertifiedWork(
+        boq,
+        await this.getCertifiedQuantities(tenantId, project._id, session)
+      );
+
+      return this.saveRevision(
+        boq,
+        { reason: data.reason || "Original BOQ", userId },
+        session
+      );
+    });
+  }
+
+  /**
+   * Revision history of a project's BOQ, newest first
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @returns {Promise<Array>} Revisions without their lines
+   */
+  static async getRevisions(tenantId, projectId) {
+    await this.getProject(tenantId, projectId);
+    return BoqRevision.find({ tenantId, project: projectId })
+      .select("-lines")
+      .populate("variationOrder", "voNumber title")
+      .populate("createdBy", "name email")
+      .sort({ revision: -1 });
+  }
+
+  /**
+   * One revision of a project's BOQ with its lines
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {Number} revision - Revision number
+   * @returns {Promise<Object>} BOQ revision
+   */
+  static async getRevision(tenantId, projectId, revision) {
+    const boqRevision = await BoqRevision.findOne({
+      tenantId,
+      project: projectId,
+      revision: Number(revision),
+    })
+      .populate("variationOrder", "voNumber title")
+      .populate("createdBy", "name email");
+    if (!boqRevision) throw notFound("BOQ revision not found");
+    return boqRevision;
+  }
+
+  /**
+   * Validate the lines of a variation order against the BOQ
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} boq - BOQ of the project
+   * @param {Array} lines - [{ changeType, boqLine, itemNo, description,
+   *   unit, quantity, rate, item, itemCode, costCode }]
+   * @returns {Promise<Array>} Variation lines ready to save
+   */
+  static async buildVariationLines(tenantId, boq, lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error("Please provide at least one variation line");
+    }
+
+    const boqLines = new Map(boq.lines.map((line) => [String(line._id), line]));
+    const changed = new Set();
+    const variationLines = [];
+    for (const line of lines) {
+      const quantity = Number(line.quantity);
+      if (isNaN(quantity) || quantity === 0) {
+        throw new Error("Each variation line requires a quantity");
+      }
+
+      if (line.changeType === "Change") {
+        const boqLine = boqLines.get(String(line.boqLine));
+        if (!boqLine) {
+          throw new Error(`BOQ line ${line.boqLine} not found`);
+        }
+        if (changed.has(String(boqLine._id))) {
+          throw new Error(
+            `BOQ item ${boqLine.itemNo || boqLine.description} is changed more than once`
+          );
+        }
+        changed.add(String(boqLine._id));
+        if (boqLine.quantity + quantity < 0) {
+          throw new Error(
+            `Cannot omit more than the ${boqLine.quantity} ${boqLine.unit} of BOQ item ${boqLine.itemNo || boqLine.description}`
+          );
+        }
+        // Changes are valued at the contract rate
+        variationLines.push({
+          changeType: "Change",
+          boqLine: boqLine._id,
+          itemNo: boqLine.itemNo,
+          description: boqLine.description,
+          unit: boqLine.unit,
+          quantity,
+          rate: boqLine.rate,
+          item: boqLine.item,
+          itemCode: boqLine.itemCode,
+          costCode: boqLine.costCode,
+        });
+      } else if (line.changeType === "Add") {
+        const rate = Number(line.rate);
+        if (
+          !line.description ||
+          !line.unit ||
+          quantity < 0 ||
+          isNaN(rate) ||
+          rate < 0
+        ) {
+          throw new Error(
+            "New items require a description, unit, quantity and rate"
+          );
+        }
+        const item = await this.resolveItem(tenantId, line);
+        variationLines.push({
+          changeType: "Add",
+          itemNo: line.itemNo,
+          description: line.description,
+          unit: line.unit,
+          quantity,
+          rate,
+          item: item ? item._id : undefined,
+          itemCode: item ? item.itemCode : undefined,
+          costCode: line.costCode,
+        });
+      } else {
+        throw new Error("Variation line changeType must be Add or Change");
+      }
+    }
+
+    await ProjectBudgetService.resolveCostCodes(tenantId, variationLines);
+
+    return variationLines;
+  }
+
+  /**
+   * Load a variation order of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {String} variationOrderId - Variation order ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Variation order
+   */
+  static async getVariationOrder(tenantId, variationOrderId, session = null) {
+    const variationOrder = await VariationOrder.findOne({
+      _id: variationOrderId,
+      tenantId,
+    }).session(session);
+    if (!variationOrder) throw notFound("Variation order not found");
+    return variationOrder;
+  }
+
+  /**
+   * Draft a variation order against a project's BOQ
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { project, date, title, reason, lines }
+   * @param {String} userId - ID of the user raising the order
+   * @returns {Promise<Object>} Draft variation order
+   */
+  static async createVariationOrder(tenantId, data, userId) {
+    if (!data.project || !data.title) {
+      throw new Error("Please provide a project and title");
+    }
+    const project = await this.getProject(tenantId, data.project);
+    const boq = await this.getBoq(tenantId, project._id);
+    const lines = await this.buildVariationLines(tenantId, boq, data.lines);
+
+    const count = await VariationOrder.countDocuments({ tenantId });
+    return VariationOrder.create({
+      tenantId,
+      voNumber: `VO${String(count + 1).padStart(6, "0")}`,
+      project: project._id,
+      date: data.date,
+      title: data.title,
+      reason: data.reason,
+      lines,
+      createdBy: userId,
+    });
+  }
+
+  /**
+   * Update a draft variation order
+   * @param {String} tenantId - Tenant ID
+   * @param {String} variationOrderId - Variation order ID
+   * @param {Object} data - { date, title, reason, lines }
+   * @returns {Promise<Object>} Updated variation order
+   */
+  static async updateVariationOrder(tenantId, variationOrderId, data) {
+    const variationOrder = await this.getVariationOrder(
+      tenantId,
+      variationOrderId
+    );
+    if (variationOrder.status !== "Draft") {
+      throw new Error("Only draft variation orders can be changed");
+    }
+
+    for (const field of ["date", "title", "reason"]) {
+      if (data[field] !== undefined) variationOrder[field] = data[field];
+    }
+    if (data.lines !== undefined) {
+      const boq = await this.getBoq(tenantId, variationOrder.project);
+      variationOrder.lines = await this.buildVariationLines(
+        tenantId,
+        boq,
+        data.lines
+      );
+    }
+    await variationOrder.save();
+
+    return variationOrder;
+  }
+
+  /**
+   * Delete a draft variation order
+   * @param {String} tenantId - Tenant ID
+   * @param {String} variationOrderId - Variation order ID
+   * @returns {Promise<Object>} Deleted variation order
+   */
+  static async deleteVariationOrder(tenantId, variationOrderId) {
+    const variationOrder = await this.getVariationOrder(
+      tenantId,
+      variationOrderId
+    );
+    if (variationOrder.status !== "Draft") {
+      throw new Error("Only draft variation orders can be deleted");
+    }
+
+    await VariationOrder.deleteOne({ _id: variationOrder._id, tenantId });
+    return variationOrder;
+  }
+
+  /**
+   * Approve a variation order and apply it to the BOQ
+   * Changed lines take the new quantity and new items are added, as a new
+   * BOQ revision. A project with a contract value has it adjusted by the
+   * order total.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} variationOrderId - Variation order ID
+   * @param {String} userId - ID of the approving user
+   * @returns {Promise<Object>} { variationOrder, boq }
+   */
+  static async approveVariationOrder(tenantId, variationOrderId, userId) {
+    return TransactionService.run(async (session) => {
+      const variationOrder = await this.getVariationOrder(
+        tenantId,
+        variationOrderId,
+        session
+      );
+      if (variationOrder.status !== "Draft") {
+        throw new Error(
+          `Variation order is already ${variationOrder.status.toLowerCase()}`
+        );
+      }
+
+      const project = await this.getProject(
+        tenantId,
+        variationOrder.project,
+        session
+      );
+      const boq = await this.getBoq(tenantId, project._id, session);
+      const boqLines = new Map(
+        boq.lines.map((line) => [String(line._id), line])
+      );
+
+      for (const line of variationOrder.lines) {
+        if (line.changeType === "Change") {
+          const boqLine = boqLines.get(String(line.boqLine));
+          if (!boqLine) {
+            throw new Error(
+              `BOQ item ${line.itemNo || line.description} is no longer on the BOQ`
+            );
+          }
+          boqLine.quantity = roundQuantity(boqLine.quantity + line.quantity);
+          if (boqLine.quantity < 0) {
+            throw new Error(
+              `Cannot omit more than the quantity of BOQ item ${line.itemNo || line.description}`
+            );
+          }
+        } else {
+          boq.lines.push({
+            itemNo: line.itemNo,
+            description: line.description,
+            unit: line.unit,
+            quantity: line.quantity,
+            rate: line.rate,
+            item: line.item,
+            itemCode: line.itemCode,
+            costCode: line.costCode,
+            variationOrder: variationOrder._id,
+          });
+        }
+      }
+
+      this.checkCertifiedWork(
+        boq,
+        await this.getCertifiedQuantities(tenantId, project._id, session)
+      );
+      await this.saveRevision(
+        boq,
+        {
+          reason: `Variation order ${variationOrder.voNumber}: ${variationOrder.title}`,
+          variationOrder: variationOrder._id,
+          userId,
+        },
+        session
+      );
+
+      if (project.valueOfJob > 0) {
+        project.valueOfJob = round(
+          project.valueOfJob + variationOrder.totalAmount
+        );
+        await project.save({ session });
+      }
+
+      variationOrder.status = "Approved";
+      variationOrder.boqRevision = boq.revision;
+      variationOrder.approvedBy = userId;
+      variationOrder.approvedAt = new Date();
+      await variationOrder.save({ session });
+
+      return { variationOrder, boq };
+    });
+  }
+
+  /**
+   * Reject a draft variation order
+   * @param {String} tenantId - Tenant ID
+   * @param {String} variationOrderId - Variation order ID
+   * @param {String} reason - Why it was rejected
+   * @param {String} userId - ID of the rejecting user
+   * @returns {Promise<Object>} Rejected variation order
+   */
+  static async rejectVariationOrder(
+    tenantId,
+    variationOrderId,
+    reason,
+    userId
+  ) {
+    const variationOrder = await this.getVariationOrder(
+      tenantId,
+      variationOrderId
+    );
+    if (variationOrder.status !== "Draft") {
+      throw new Error(
+        `Variation order is already ${variationOrder.status.toLowerCase()}`
+      );
+    }
+
+    variationOrder.status = "Rejected";
+    variationOrder.rejectionReason = reason;
+    variationOrder.approvedBy = userId;
+    variationOrder.approvedAt = new Date();
+    await variationOrder.save();
+
+    return variationOrder;
+  }
+
+  /**
+   * Variation summary of a BOQ: the original contract amount and the
+   * approved variations on top of it
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} boq - BOQ document
+   * @returns {Promise<Object>} { originalAmount, approvedVariations,
+   *   pendingVariations, totalAmount }
+   */
+  static async getVariationSummary(tenantId, boq) {
+    const orders = await VariationOrder.find({
+      tenantId,
+      project: boq.project,
+      status: { $in: ["Draft", "Approved"] },
+    }).select("status totalAmount");
+
+    const sumOf = (status) =>
+      round(
+        orders
+          .filter((order) => order.status === status)
+          .reduce((sum, order) => sum + order.totalAmount, 0)
+      );
+    const approvedVariations = sumOf("Approved");
+
+    return {
+      originalAmount: round(boq.totalAmount - approvedVariations),
+      approvedVariations,
+      pendingVariations: sumOf("Draft"),
+      totalAmount: boq.totalAmount,
+    };
+  }
+
+  /**
+   * Replace the project budget with the cost of its BOQ per cost code
+   * A line's cost is its rate analysis direct cost; lines without an
+   * analysis are budgeted at their amount.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {String} userId - ID of the user saving the budget
+   * @returns {Promise<Object>} Project budget
+   */
+  static async buildBudgetFromBoq(tenantId, projectId, userId) {
+    const project = await this.getProject(tenantId, projectId);
+    const boq = await this.getBoq(tenantId, project._id);
+
+    const missing = boq.lines.filter((line) => !line.costCode);
+    if (missing.length > 0) {
+      throw new Error(
+        `BOQ items ${missing
+          .map((line) => line.itemNo || line.description)
+          .join(", ")} have no cost code`
+      );
+    }
+
+    const amounts = new Map();
+    for (const line of boq.lines) {
+      const cost =
+        line.rateAnalysis.length > 0
+          ? line.unitCost * line.quantity
+          : line.amount;
+      amounts.set(line.costCode, (amounts.get(line.costCode) || 0) + cost);
+    }
+
+    return ProjectBudgetService.saveBudget(
+      tenantId,
+      project._id,
+      {
+        lines: [...amounts].map(([costCode, amount]) => ({
+          costCode,
+          amount: round(amount),
+        })),
+        notes: `Baseline from BOQ revision ${boq.revision}`,
+      },
+      userId
+    );
+  }
+
+  /**
+   * Material quantities of a BOQ per item
+   * Lines linked to an item supply their quantity of it; rate analysis
+   * resources need their quantity per unit times the line quantity.
+   * @param {Object} boq - BOQ document
+   * @param {Map} certified - Certified quantity by BOQ line ID
+   * @returns {Map} { item, itemCode, unit, boqQuantity, certifiedQuantity }
+   *   by item ID
+   */
+  static getMaterialQuantities(boq, certified) {
+    const materials = new Map();
+    const add = (ref, unit, perUnit, line) => {
+      const key = String(ref.item);
+      if (!materials.has(key)) {
+        materials.set(key, {
+          item: ref.item,
+          itemCode: ref.itemCode,
+          unit,
+          boqQuantity: 0,
+          certifiedQuantity: 0,
+        });
+      }
+      const material = materials.get(key);
+      material.boqQuantity += perUnit * line.quantity;
+      material.certifiedQuantity +=
+        perUnit * (certified.get(String(line._id)) || 0);
+    };
+
+    for (const line of boq.lines) {
+      if (line.item) add(line, line.unit, 1, line);
+      for (const resource of line.rateAnalysis) {
+        if (resource.item) {
+          add(resource, resource.unit, resource.quantity, line);
+        }
+      }
+    }
+
+    return materials;
+  }
+
+  /**
+   * Material consumption of a project against its BOQ quantities
+   * Consumed is the material issued to the project net of returns;
+   * purchases billed to the project are shown alongside. Expected to date
+   * is the BOQ quantity for the work certified so far.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @returns {Promise<Object>} Consumption report
+   */
+  static async getMaterialConsumption(tenantId, projectId) {
+    const project = await this.getProject(tenantId, projectId);
+    const boq = await this.getBoq(tenantId, project._id);
+    const materials = this.getMaterialQuantities(
+      boq,
+      await this.getCertifiedQuantities(tenantId, project._id)
+    );
+
+    const purchased = await Purchase.aggregate([
+      {
+        $match: {
+          tenantId,
+          project: project._id,
+          isActive: true,
+          status: { $ne: "cancelled" },
+        },
+      },
+      { $unwind: "$lines" },
+      {
+        $group: {
+          _id: "$lines.item",
+          itemCode: { $first: "$lines.itemCode" },
+          quantity: {
+            $sum: { $ifNull: ["$lines.baseQuantity", "$lines.quantity"] },
+          },
+          amount: { $sum: "$lines.netAmount" },
+        },
+      },
+    ]);
+
+    const issued = await MaterialIssueService.getProjectBalances(
+      tenantId,
+      project._id
+    );
+
+    const rows = new Map(
+      [...materials].map(([key, material]) => [
+        key,
+        {
+          ...material,
+          purchasedQuantity: 0,
+          consumedQuantity: 0,
+          consumedAmount: 0,
+        },
+      ])
+    );
+    const rowFor = (item, itemCode, unit) => {
+      const key = String(item);
+      if (!rows.has(key)) {
+        rows.set(key, {
+          item,
+          itemCode,
+          unit,
+          boqQuantity: 0,
+          certifiedQuantity: 0,
+          purchasedQuantity: 0,
+          consumedQuantity: 0,
+          consumedAmount: 0,
+        });
+      }
+      return rows.get(key);
+    };
+    for (const entry of purchased) {
+      rowFor(entry._id, entry.itemCode).purchasedQuantity += entry.quantity;
+    }
+    for (const [key, balance] of issued) {
+      const row = rowFor(key);
+      row.consumedQuantity +=
+        balance.issuedQuantity - balance.returnedQuantity;
+      row.consumedAmount += balance.issuedAmount - balance.returnedAmount;
+    }
+
+    const items = await Item.find({
+      tenantId,
+      _id: { $in: [...rows.values()].map((row) => row.item) },
+    }).select("itemCode name measurement unitConversions");
+    const itemsById = new Map(items.map((item) => [String(item._id), item]));
+
+    // Purchases and issues are counted in the item's base unit; BOQ
+    // quantities in another of its units are converted to match
+    const toBase = (item, unit) => {
+      if (!item) return null;
+      try {
+        return UnitService.getUnit(item, unit).factor;
+      } catch (unitError) {
+        return null;
+      }
+    };
+
+    const lines = [...rows.values()]
+      .map((row) => {
+        const item = itemsById.get(String(row.item));
+        const factor = toBase(item, row.unit);
+        const boqQuantity = roundQuantity(row.boqQuantity * (factor || 1));
+        const expectedToDate = roundQuantity(
+          row.certifiedQuantity * (factor || 1)
+        );
+        const consumedQuantity = roundQuantity(row.consumedQuantity);
+        return {
+          item: row.item,
+          itemCode: item ? item.itemCode : row.itemCode,
+          itemName: item ? item.name : "",
+          unit: factor
+            ? item.measurement
+            : row.unit || (item ? item.measurement : ""),
+          boqQuantity,
+          expectedToDate,
+          purchasedQuantity: roundQuantity(row.purchasedQuantity),
+          consumedQuantity,
+          consumedAmount: round(row.consumedAmount),
+          remainingQuantity: roundQuantity(boqQuantity - consumedQuantity),
+          varianceToDate: roundQuantity(consumedQuantity - expectedToDate),
+          percentConsumed:
+            boqQuantity > 0 ? round((consumedQuantity / boqQuantity) * 100) : 0,
+          status:
+            boqQuantity === 0
+              ? "not in BOQ"
+              : consumedQuantity > boqQuantity
+              ? "over"
+              : "within",
+        };
+      })
+      .sort((a, b) => (a.itemCode || "").localeCompare(b.itemCode || ""));
+
+    return {
+      project: {
+        _id: project._id,
+        name: project.name,
+        code: project.code,
+      },
+      boqRevision: boq.revision,
+      lines,
+    };
+  }
+}
+
+module.exports = BoqService;
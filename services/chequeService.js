@@ -0,0 +1,427 @@
+const Cheque = require("../models/Cheque");
+const Customer = require("../models/Customer");
+const Plot = require("../models/Plot");
+const BankPayment = require("../models/BankPayment");
+const CustomerReceipt = require("../models/CustomerReceipt");
+const SupplierPayment = require("../models/SupplierPayment");
+const JournalEntry = require("../models/JournalEntry");
+const AccountingService = require("./accountingService");
+const BankAccountService = require("./bankAccountService");
+const TransactionService = require("./transactionService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses a cheque can move to from each status, per direction
+const TRANSITIONS = {
+  Received: {
+    Pending: ["Deposited", "Cancelled"],
+    Deposited: ["Cleared", "Bounced", "Cancelled"],
+    Cleared: ["Bounced"],
+  },
+  Issued: {
+    Pending: ["Cleared", "Bounced", "Cancelled"],
+    Cleared: ["Bounced"],
+  },
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Cheque Service - Register of received and issued cheques and their
+ * deposit, clearing and bounce
+ */
+class ChequeService {
+  /**
+   * Check a cheque payment carries the details the register needs
+   * @param {Object} data - { chequeNo, chequeDate }
+   */
+  static assertChequeDetails(data) {
+    if (!data.chequeNo || !data.chequeDate) {
+      throw new Error(
+        "Cheque number and cheque date are required for cheque payments"
+      );
+    }
+    if (isNaN(new Date(data.chequeDate).getTime())) {
+      throw new Error("Please provide a valid cheque date");
+    }
+  }
+
+  /**
+   * Add a cheque to the register as Pending
+   * @param {Object} data - Cheque fields including direction and source
+   * @param {String} userId - ID of the user recording the cheque
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Created cheque
+   */
+  static async registerCheque(data, userId, session = null) {
+    this.assertChequeDetails(data);
+
+    const [cheque] = await Cheque.create(
+      [
+        {
+          ...data,
+          status: "Pending",
+          statusHistory: [{ status: "Pending", changedBy: userId }],
+          createdBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    return cheque;
+  }
+
+  /**
+   * Move a cheque to a new status, checking the transition is allowed
+   * @param {Object} cheque - Cheque document
+   * @param {String} status - New status
+   * @param {String} userId - ID of the user making the change
+   * @param {String} remarks - Note kept in the status history (optional)
+   */
+  static setStatus(cheque, status, userId, remarks) {
+    const allowed = TRANSITIONS[cheque.direction][cheque.status] || [];
+    if (!allowed.includes(status)) {
+      throw new Error(
+        `A ${cheque.status.toLowerCase()} ${cheque.direction.toLowerCase()} cheque cannot be marked ${status.toLowerCase()}`
+      );
+    }
+
+    cheque.status = status;
+    cheque.statusHistory.push({ status, remarks, changedBy: userId });
+  }
+
+  /**
+   * Cancel the cheque of a receipt or payment that is being cancelled
+   * Bounced and cancelled cheques are left as they are; a cleared cheque
+   * has already moved money and must be bounced instead
+   * @param {String} chequeId - Cheque ID
+   * @param {String} tenantId - Tenant ID
+   * @param {String} userId - ID of the user cancelling
+   * @param {String} reason - Cancellation reason
+   * @param {ClientSession} session - Transaction session (optional)
+   */
+  static async releaseCheque(chequeId, tenantId, userId, reason, session) {
+    const cheque = await Cheque.findOne({ _id: chequeId, tenantId }).session(
+      session
+    );
+    if (!cheque || ["Bounced", "Cancelled"].includes(cheque.status)) return;
+
+    if (cheque.status === "Cleared") {
+      const error = new Error(
+        `Cheque ${cheque.chequeNo} has already cleared; record it as bounced instead`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    this.setStatus(cheque, "Cancelled", userId, reason);
+    await cheque.save({ session });
+  }
+
+  /**
+   * Deposit a received cheque into one of the tenant's bank accounts
+   * @param {Object} cheque - Cheque document
+   * @param {Object} data - { bankAccountRef, date, remarks }
+   * @param {String} userId - ID of the user depositing
+   * @returns {Promise<Object>} Updated cheque
+   */
+  static async depositCheque(cheque, data, userId) {
+    if (cheque.direction !== "Received") {
+      throw new Error("Only received cheques are deposited");
+    }
+
+    const date = data.date ? new Date(data.date) : new Date();
+    if (toDateKey(date) < toDateKey(cheque.chequeDate)) {
+      throw new Error(
+        `Cheque ${cheque.chequeNo} is post-dated to ${toDateKey(
+          cheque.chequeDate
+        )} and cannot be deposited before then`
+      );
+    }
+
+    const bankAccountRef = data.bankAccountRef || cheque.bankAccountRef;
+    if (!bankAccountRef) {
+      throw new Error("Please select the bank account the cheque is deposited into");
+    }
+    const bankAccount = await BankAccountService.resolveBankAccount(
+      cheque.tenantId,
+      bankAccountRef
+    );
+
+    this.setStatus(cheque, "Deposited", userId, data.remarks);
+    cheque.bankAccountRef = bankAccount._id;
+    cheque.bankName = bankAccount.bankName;
+    cheque.depositedDate = date;
+    await cheque.save();
+
+    return cheque;
+  }
+
+  /**
+   * Clear a cheque and post the bank side of it
+   * @param {Object} cheque - Cheque document
+   * @param {Object} data - { date, remarks }
+   * @param {String} userId - ID of the user clearing
+   * @returns {Promise<Object>} Updated cheque
+   */
+  static async clearCheque(cheque, data, userId) {
+    const date = data.date ? new Date(data.date) : new Date();
+    if (toDateKey(date) < toDateKey(cheque.chequeDate)) {
+      throw new Error(
+        `Cheque ${cheque.chequeNo} is post-dated to ${toDateKey(
+          cheque.chequeDate
+        )} and cannot clear before then`
+      );
+    }
+
+    this.setStatus(cheque, "Cleared", userId, data.remarks);
+    cheque.clearedDate = date;
+
+    return await TransactionService.run(async (session) => {
+      const journalEntry =
+        await AccountingService.createChequeClearingJournalEntry(
+          cheque,
+          userId,
+          session
+        );
+      cheque.clearingEntry = journalEntry._id;
+      await cheque.save({ session });
+
+      return cheque;
+    });
+  }
+
+  /**
+   * Record a bounced cheque
+   * Reverses the clearing entry (if any) and the receipt or payment the
+   * cheque settled, which puts the customer, plot or supplier balance back.
+   * A received cheque can also carry a bounce fee charged to the customer.
+   * @param {Object} cheque - Cheque document
+   * @param {Object} data - { date, reason, bounceFee }
+   * @param {String} userId - ID of the user recording the bounce
+   * @returns {Promise<Object>} Updated cheque
+   */
+  static async bounceCheque(cheque, data, userId) {
+    const bounceFee = roundAmount(Number(data.bounceFee) || 0);
+    if (bounceFee < 0) {
+      throw new Error("Bounce fee cannot be negative");
+    }
+    if (bounceFee > 0 && cheque.direction !== "Received") {
+      throw new Error("A bounce fee can only be charged on received cheques");
+    }
+    if (bounceFee > 0 && !cheque.customer) {
+      throw new Error(
+        "A bounce fee needs the customer the cheque was received from"
+      );
+    }
+
+    const wasCleared = cheque.status === "Cleared";
+    const reason = `Cheque ${cheque.chequeNo} bounced${
+      data.reason ? `: ${data.reason}` : ""
+    }`;
+    this.setStatus(cheque, "Bounced", userId, data.reason);
+    cheque.bouncedDate = data.date ? new Date(data.date) : new Date();
+    cheque.bounceReason = data.reason;
+
+    return await TransactionService.run(async (session) => {
+      if (wasCleared && cheque.clearingEntry) {
+        await AccountingService.reverseJournalEntry(
+          cheque.clearingEntry,
+          userId,
+          reason,
+          session
+        );
+      }
+
+      // Saved first so cancelling the source leaves the cheque as bounced
+      await cheque.save({ session });
+      await this.reverseSource(cheque, userId, reason, session);
+
+      if (bounceFee > 0) {
+        cheque.bounceFee = bounceFee;
+        const journalEntry =
+          await AccountingService.createChequeBounceFeeJournalEntry(
+            cheque,
+            userId,
+            session
+          );
+        cheque.bounceFeeEntry = journalEntry._id;
+
+        await Customer.findByIdAndUpdate(
+          cheque.customer,
+          { $inc: { balance: bounceFee } },
+          { session }
+        );
+        await cheque.save({ session });
+      }
+
+      return cheque;
+    });
+  }
+
+  /**
+   * Undo the receipt or payment a bounced cheque settled
+   * @param {Object} cheque - Cheque document
+   * @param {String} userId - ID of the user recording the bounce
+   * @param {String} reason - Reversal reason
+   * @param {ClientSession} session - Transaction session
+   */
+  static async reverseSource(cheque, userId, reason, session) {
+    const { tenantId } = cheque;
+    const { model, id, reference } = cheque.source;
+
+    // Loaded here to avoid a require cycle; both services release the
+    // cheque when their documents are cancelled
+    const ReceiptService = require("./receiptService");
+    const PayablesService = require("./payablesService");
+
+    if (model === "CustomerReceipt") {
+      const receipt = await CustomerReceipt.findOne({ _id: id, tenantId })
+        .session(session);
+      if (receipt && receipt.status !== "Cancelled") {
+        await ReceiptService.cancelReceipt(receipt, userId, reason, session);
+      }
+    } else if (model === "SupplierPayment") {
+      const payment = await SupplierPayment.findOne({ _id: id, tenantId })
+        .session(session);
+      if (payment && payment.status !== "Cancelled") {
+        await PayablesService.cancelPayment(payment, userId, reason, session);
+      }
+    } else if (model === "BankPayment") {
+      const payment = await BankPayment.findOne({ _id: id, tenantId }).session(
+        session
+      );
+      if (!payment || payment.cancel) return;
+
+      const existingEntry = await JournalEntry.findOne({
+        tenantId,
+        status: "Posted",
+        "sourceTransaction.model": "BankPayment",
+        "sourceTransaction.id": payment._id,
+      }).session(session);
+      if (existingEntry) {
+        await AccountingService.reverseJournalEntry(
+          existingEntry._id,
+          userId,
+          reason,
+          session
+        );
+      }
+
+      await PayablesService.reverseBillPayments(
+        tenantId,
+        payment.billAllocations,
+        payment._id,
+        session
+      );
+      payment.billAllocations = [];
+      payment.cancel = true;
+      await payment.save({ session });
+    } else if (model === "Plot") {
+      const plot = await Plot.findOne({ _id: id, tenantId }).session(session);
+      const receipt = plot?.installmentReceipts.find(
+        (r) => r.receiptNo === reference
+      );
+      if (!receipt) return;
+
+      if (receipt.journalEntry) {
+        await AccountingService.reverseJournalEntry(
+          receipt.journalEntry,
+          userId,
+          reason,
+          session
+        );
+      }
+
+      plot.reverseInstallmentPayment(receipt.allocations);
+      plot.amountReceived = Math.max(
+        roundAmount((plot.amountReceived || 0) - receipt.amount),
+        0
+      );
+      plot.installmentReceipts = plot.installmentReceipts.filter(
+        (r) => r.receiptNo !== reference
+      );
+      await plot.save({ session });
+
+      if (plot.customer) {
+        await Customer.findByIdAndUpdate(
+          plot.customer,
+          { $inc: { balance: receipt.amount } },
+          { session }
+        );
+      }
+    }
+  }
+
+  /**
+   * Uncleared cheques falling due in a date range, grouped by cheque date
+   * Cheques due before the range that are still uncleared are listed as
+   * overdue
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} options - { startDate, endDate, direction }
+   * @returns {Promise<Object>} { startDate, endDate, days, overdue, totals }
+   */
+  static async getMaturityCalendar(tenantId, options = {}) {
+    const startDate = options.startDate
+      ? new Date(options.startDate)
+      : new Date(new Date().setHours(0, 0, 0, 0));
+    const endDate = options.endDate
+      ? new Date(options.endDate)
+      : new Date(startDate.getTime() + 30 * DAY_MS);
+    endDate.setHours(23, 59, 59, 999);
+
+    const filter = {
+      tenantId,
+      status: { $in: ["Pending", "Deposited"] },
+      chequeDate: { $lte: endDate },
+    };
+    if (options.direction) filter.direction = options.direction;
+
+    const cheques = await Cheque.find(filter)
+      .populate("customer", "name code")
+      .populate("supplier", "name code")
+      .populate("plot", "plotNumber")
+      .sort({ chequeDate: 1, chequeNo: 1 });
+
+    const emptyTotals = () => ({
+      received: { count: 0, amount: 0 },
+      issued: { count: 0, amount: 0 },
+    });
+    const addTo = (totals, cheque) => {
+      const side = cheque.direction === "Received" ? "received" : "issued";
+      totals[side].count += 1;
+      totals[side].amount = roundAmount(totals[side].amount + cheque.amount);
+    };
+
+    const overdue = { cheques: [], ...emptyTotals() };
+    const days = new Map();
+    const totals = emptyTotals();
+    for (const cheque of cheques) {
+      if (cheque.chequeDate < startDate) {
+        overdue.cheques.push(cheque);
+        addTo(overdue, cheque);
+        continue;
+      }
+
+      const key = toDateKey(cheque.chequeDate);
+      if (!days.has(key)) {
+        days.set(key, { date: key, cheques: [], ...emptyTotals() });
+      }
+      addTo(days.get(key), cheque);
+      days.get(key).cheques.push(cheque);
+      addTo(totals, cheque);
+    }
+
+    return {
+      startDate,
+      endDate,
+      days: [...days.values()],
+      overdue,
+      totals,
+    };
+  }
+}
+
+module.exports = ChequeService;
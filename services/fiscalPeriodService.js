@@ -0,0 +1,209 @@
+const FiscalPeriod = require("../models/FiscalPeriod");
+const Tenant = require("../models/Tenant");
+const User = require("../models/User");
+
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// Allowed status changes: target status -> statuses it can be reached from
+const TRANSITIONS = {
+  "Soft Closed": ["Open"],
+  "Hard Closed": ["Open", "Soft Closed"],
+  Open: ["Soft Closed", "Hard Closed"],
+};
+
+/**
+ * Fiscal Period Service - Tenant fiscal calendar and period locking
+ */
+class FiscalPeriodService {
+  /**
+   * Get the first month (1-12) of a tenant's fiscal year
+   * @param {String} tenantId - Tenant ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Number>} Start month, January when not configured
+   */
+  static async getStartMonth(tenantId, session = null) {
+    const tenant = await Tenant.findOne({ tenantId })
+      .select("fiscalYearStartMonth")
+      .session(session);
+    return (tenant && tenant.fiscalYearStartMonth) || 1;
+  }
+
+  /**
+   * Fiscal year and period of a date
+   * The fiscal year is named after the calendar year it ends in
+   * @param {Date} date - Date to place
+   * @param {Number} startMonth - First month of the fiscal year (1-12)
+   * @returns {Object} { fiscalYear, fiscalPeriod }
+   */
+  static getFiscalPosition(date, startMonth = 1) {
+    const value = new Date(date);
+    const month = value.getMonth() + 1;
+
+    return {
+      fiscalYear:
+        value.getFullYear() + (startMonth > 1 && month >= startMonth ? 1 : 0),
+      fiscalPeriod: ((month - startMonth + 12) % 12) + 1,
+    };
+  }
+
+  /**
+   * First and last moment of a fiscal year
+   * @param {Number} fiscalYear - Fiscal year
+   * @param {Number} startMonth - First month of the fiscal year (1-12)
+   * @returns {Object} { startDate, endDate }
+   */
+  static getFiscalYearRange(fiscalYear, startMonth = 1) {
+    const firstYear = startMonth > 1 ? fiscalYear - 1 : fiscalYear;
+
+    return {
+      startDate: new Date(firstYear, startMonth - 1, 1),
+      endDate: new Date(firstYear + 1, startMonth - 1, 0, 23, 59, 59, 999),
+    };
+  }
+
+  /**
+   * Create the twelve monthly periods of a fiscal year, all open
+   * @param {String} tenantId - Tenant ID
+   * @param {Number} fiscalYear - Fiscal year to open
+   * @param {String} userId - ID of the user opening the year
+   * @returns {Promise<Array>} Created periods
+   */
+  static async generatePeriods(tenantId, fiscalYear, userId) {
+    const existing = await FiscalPeriod.countDocuments({
+      tenantId,
+      fiscalYear,
+    });
+    if (existing > 0) {
+      throw new Error(`Fiscal year ${fiscalYear} has already been opened`);
+    }
+
+    const startMonth = await this.getStartMonth(tenantId);
+    const firstYear = startMonth > 1 ? fiscalYear - 1 : fiscalYear;
+
+    const periods = [];
+    for (let i = 0; i < 12; i++) {
+      const startDate = new Date(firstYear, startMonth - 1 + i, 1);
+      const endDate = new Date(
+        startDate.getFullYear(),
+        startDate.getMonth() + 1,
+        0,
+        23,
+        59,
+        59,
+        999
+      );
+
+      periods.push({
+        tenantId,
+        fiscalYear,
+        period: i + 1,
+        name: `${MONTH_NAMES[startDate.getMonth()]} ${startDate.getFullYear()}`,
+        startDate,
+        endDate,
+        status: "Open",
+        history: [{ action: "Opened", toStatus: "Open", user: userId }],
+      });
+    }
+
+    return FiscalPeriod.insertMany(periods);
+  }
+
+  /**
+   * Find the period a date falls in
+   * @param {String} tenantId - Tenant ID
+   * @param {Date} date - Date to look up
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object|null>} Period, or null when none is defined
+   */
+  static async findPeriod(tenantId, date, session = null) {
+    const value = new Date(date);
+    return FiscalPeriod.findOne({
+      tenantId,
+      startDate: { $lte: value },
+      endDate: { $gte: value },
+    }).session(session);
+  }
+
+  /**
+   * Reject postings dated in a closed period
+   * Dates without a defined period are treated as open. Soft-closed periods
+   * still accept postings from admins; hard-closed periods accept none.
+   * @param {String} tenantId - Tenant ID
+   * @param {Date} date - Document or entry date
+   * @param {String} userId - ID of the user posting
+   * @param {ClientSession} session - Transaction session (optional)
+   */
+  static async assertPeriodOpen(tenantId, date, userId, session = null) {
+    const period = await this.findPeriod(tenantId, date, session);
+    if (!period || period.status === "Open") return;
+
+    if (period.status === "Soft Closed" && userId) {
+      const user = await User.findById(userId).select("role").session(session);
+      if (user && user.role === "admin") return;
+    }
+
+    const error = new Error(
+      `Fiscal period ${period.name} (FY ${period.fiscalYear}) is ${period.status.toLowerCase()}; documents dated in it cannot be created, changed or deleted`
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+
+  /**
+   * Move a period to a new status and log the change
+   * @param {Object} period - Fiscal period document
+   * @param {String} status - "Open", "Soft Closed" or "Hard Closed"
+   * @param {String} userId - ID of the user making the change
+   * @param {String} reason - Reason (required when reopening)
+   * @returns {Promise<Object>} Updated period
+   */
+  static async changeStatus(period, status, userId, reason) {
+    const allowedFrom = TRANSITIONS[status];
+    if (!allowedFrom) {
+      throw new Error(`Invalid period status: ${status}`);
+    }
+    if (!allowedFrom.includes(period.status)) {
+      throw new Error(
+        `Cannot change period ${period.name} from ${period.status} to ${status}`
+      );
+    }
+    if (status === "Open" && !reason) {
+      throw new Error("A reason is required to reopen a period");
+    }
+
+    const fromStatus = period.status;
+    period.status = status;
+    if (status === "Open") {
+      period.closedAt = undefined;
+      period.closedBy = undefined;
+    } else {
+      period.closedAt = new Date();
+      period.closedBy = userId;
+    }
+    period.history.push({
+      action: status === "Open" ? "Reopened" : status,
+      fromStatus,
+      toStatus: status,
+      reason,
+      user: userId,
+    });
+    await period.save();
+
+    return period;
+  }
+}
+
+module.exports = FiscalPeriodService;
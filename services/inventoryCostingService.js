@@ -0,0 +1,405 @@
+const Item = require("../models/Item");
+const StockBalance = require("../models/StockBalance");
+const StockMovement = require("../models/StockMovement");
+const StockTransfer = require("../models/StockTransfer");
+const Tenant = require("../models/Tenant");
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+const sourceFilter = (tenantId, itemId, source) => ({
+  tenantId,
+  item: itemId,
+  "sourceTransaction.model": source.model,
+  "sourceTransaction.id": source.id,
+});
+
+/**
+ * Inventory Costing Service - Stock ledger valuation
+ * Every movement is valued at the tenant's costing method:
+ * - Weighted Average: stock leaves at the moving average cost
+ * - FIFO: stock leaves at the cost of the oldest receipts still on hand
+ * Undoing a document (cancel, delete, edit) moves the stock back at the
+ * cost the document moved it at, whatever the method.
+ */
+class InventoryCostingService {
+  /**
+   * Costing method configured for the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<String>} "Weighted Average" or "FIFO"
+   */
+  static async getMethod(tenantId, session = null) {
+    const tenant = await Tenant.findOne({ tenantId })
+      .select("inventoryCostingMethod")
+      .session(session);
+    return (tenant && tenant.inventoryCostingMethod) || "Weighted Average";
+  }
+
+  /**
+   * Average cost of an item's stock on hand, or its last known cost
+   * @param {Object} item - Item document
+   * @returns {Number} Unit cost
+   */
+  static currentCost(item) {
+    if (item.currentStock > 0 && item.stockValue > 0) {
+      return item.stockValue / item.currentStock;
+    }
+    return item.averageCost || item.purchasePrice || 0;
+  }
+
+  /**
+   * Value stock held before the ledger existed at the item's purchase price
+   * Call before the location balances change for the next movement.
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} item - Item document (valuation updated in place)
+   * @param {ClientSession} session - Transaction session (optional)
+   */
+  static async seedValuation(tenantId, item, session = null) {
+    if (!item.currentStock) return;
+
+    const valued = await StockMovement.exists({
+      tenantId,
+      item: item._id,
+    }).session(session);
+    if (valued) return;
+
+    const method = await this.getMethod(tenantId, session);
+
+    const balances = await StockBalance.find({
+      tenantId,
+      item: item._id,
+      quantity: { $ne: 0 },
+    }).session(session);
+
+    const unitCost = item.purchasePrice || 0;
+    let balanceQuantity = 0;
+    let balanceValue = 0;
+    const movements = balances.map((balance) => {
+      const value = roundAmount(balance.quantity * unitCost);
+      balanceQuantity = roundQuantity(balanceQuantity + balance.quantity);
+      balanceValue = roundAmount(balanceValue + value);
+      return {
+        tenantId,
+        date: item.createdAt,
+        item: item._id,
+        warehouse: balance.warehouse,
+        movementType: "Opening",
+        quantity: balance.quantity,
+        unitCost,
+        value,
+        balanceQuantity,
+        balanceValue,
+        remainingQuantity:
+          method === "FIFO" && balance.quantity > 0
+            ? balance.quantity
+            : undefined,
+        sourceTransaction: {
+          model: "Item",
+          id: item._id,
+          reference: item.itemCode,
+        },
+      };
+    });
+    if (movements.length === 0) return;
+
+    await StockMovement.create(movements, { session });
+    item.stockValue = balanceValue;
+    item.averageCost = unitCost;
+    await Item.updateOne(
+      { _id: item._id },
+      { $set: { stockValue: balanceValue, averageCost: unitCost } },
+      { session }
+    );
+  }
+
+  /**
+   * Net quantity and value a document has moved for an item so far
+   * @param {String} tenantId - Tenant ID
+   * @param {String} itemId - Item ID
+   * @param {Object} source - { model, id }
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} { quantity, value }
+   */
+  static async getSourceNet(tenantId, itemId, source, session = null) {
+    const movements = await StockMovement.find(
+      sourceFilter(tenantId, itemId, source)
+    ).session(session);
+    return movements.reduce(
+      (net, movement) => ({
+        quantity: roundQuantity(net.quantity + movement.quantity),
+        value: roundAmount(net.value + movement.value),
+      }),
+      { quantity: 0, value: 0 }
+    );
+  }
+
+  /**
+   * Consume FIFO layers, the document's own receipts first when undoing it
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} item - Item document
+   * @param {Number} quantity - Quantity leaving stock (positive)
+   * @param {Object} source - Document being undone (optional)
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Number>} Cost of the quantity consumed
+   */
+  static async consumeLayers(tenantId, item, quantity, source, session = null) {
+    const open = { tenantId, item: item._id, remainingQuantity: { $gt: 0 } };
+    const layers = source
+      ? await StockMovement.find({
+          ...open,
+          ...sourceFilter(tenantId, item._id, source),
+        })
+          .sort({ date: 1, createdAt: 1 })
+          .session(session)
+      : [];
+    const ownLayers = new Set(layers.map((layer) => String(layer._id)));
+    const oldestFirst = await StockMovement.find(open)
+      .sort({ date: 1, createdAt: 1 })
+      .session(session);
+    layers.push(
+      ...oldestFirst.filter((layer) => !ownLayers.has(String(layer._id)))
+    );
+
+    let remaining = quantity;
+    let cost = 0;
+    for (const layer of layers) {
+      if (remaining <= 0.0005) break;
+      const taken = Math.min(remaining, layer.remainingQuantity);
+      cost += taken * layer.unitCost;
+      remaining = roundQuantity(remaining - taken);
+      await StockMovement.updateOne(
+        { _id: layer._id },
+        {
+          $set: {
+            remainingQuantity: roundQuantity(layer.remainingQuantity - taken),
+          },
+        },
+        { session }
+      );
+    }
+
+    // Stock issued beyond the recorded layers goes at the last known cost
+    if (remaining > 0.0005) cost += remaining * this.currentCost(item);
+    return roundAmount(cost);
+  }
+
+  /**
+   * Value a movement and write it to the stock ledger
+   * Call after seedValuation() and before the item's currentStock is
+   * changed for the movement.
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} item - Item document as it was before the movement
+   * @param {String} warehouseId - Warehouse ID
+   * @param {Number} quantity - Positive into stock, negative out of stock
+   * @param {Object} options - { movementType, unitCost, source, date }
+   *   unitCost prices incoming stock (the average cost when omitted);
+   *   source is { model, id, reference } of the document moving the stock
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} { unitCost, value, stockValue, averageCost }
+   */
+  static async record(
+    tenantId,
+    item,
+    warehouseId,
+    quantity,
+    options = {},
+    session = null
+  ) {
+    const method = await this.getMethod(tenantId, session);
+    const onHand = item.currentStock || 0;
+    const stockValue = item.stockValue || 0;
+    const source = options.source && options.source.id ? options.source : null;
+
+    // Moving stock back the other way for a document undoes it at its cost
+    const sourceNet = source
+      ? await this.getSourceNet(tenantId, item._id, source, session)
+      : null;
+    const undoing = sourceNet && sourceNet.quantity * quantity < 0;
+
+    let value;
+    if (quantity > 0) {
+      const unitCost = undoing
+        ? sourceNet.value / sourceNet.quantity
+        : options.unitCost !== undefined && options.unitCost !== null
+        ? Number(options.unitCost)
+        : this.currentCost(item);
+      value = roundAmount(quantity * unitCost);
+    } else if (onHand > 0 && roundQuantity(onHand + quantity) === 0) {
+      // The last of the stock takes whatever value is left
+      value = -stockValue;
+      if (method === "FIFO") {
+        await this.consumeLayers(tenantId, item, -quantity, null, session);
+      }
+    } else if (method === "FIFO") {
+      value = -(await this.consumeLayers(
+        tenantId,
+        item,
+        -quantity,
+        undoing ? source : null,
+        session
+      ));
+    } else {
+      const unitCost = undoing
+        ? sourceNet.value / sourceNet.quantity
+        : this.currentCost(item);
+      value = roundAmount(quantity * unitCost);
+    }
+
+    const unitCost = roundCost(Math.abs(value / quantity));
+    const balanceQuantity = roundQuantity(onHand + quantity);
+    const balanceValue = roundAmount(stockValue + value);
+    const averageCost =
+      balanceQuantity > 0 ? roundCost(balanceValue / balanceQuantity) : unitCost;
+
+    await StockMovement.create(
+      [
+        {
+          tenantId,
+          date: options.date || new Date(),
+          item: item._id,
+          warehouse: warehouseId,
+          movementType: options.movementType || "Adjustment",
+          quantity,
+          unitCost,
+          value,
+          balanceQuantity,
+          balanceValue,
+          remainingQuantity:
+            method === "FIFO" && quantity > 0 ? quantity : undefined,
+          sourceTransaction: source
+            ? {
+                model: source.model,
+                id: source.id,
+                reference: source.reference,
+              }
+            : undefined,
+        },
+      ],
+      { session }
+    );
+
+    return { unitCost, value, stockValue: balanceValue, averageCost };
+  }
+
+  /**
+   * Stock ledger of an item, oldest movement first
+   * @param {String} tenantId - Tenant ID
+   * @param {String} itemId - Item ID
+   * @param {Object} filters - { warehouse, startDate, endDate } (optional)
+   * @returns {Promise<Array>} Movements
+   */
+  static async getItemLedger(tenantId, itemId, filters = {}) {
+    const query = { tenantId, item: itemId };
+    if (filters.warehouse) query.warehouse = filters.warehouse;
+    if (filters.startDate || filters.endDate) {
+      query.date = {};
+      if (filters.startDate) query.date.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.date.$lte = new Date(filters.endDate);
+    }
+
+    return StockMovement.find(query)
+      .populate("warehouse", "code name type")
+      .sort({ date: 1, createdAt: 1 });
+  }
+
+  /**
+   * Ledger quantity and value per item per location, with the value of
+   * stock dispatched on transfers not yet received
+   * @param {String} tenantId - Tenant ID
+   * @returns {Promise<Map>} Item ID -> { quantity, value, inTransitValue,
+   *   locations: Map warehouse ID -> { quantity, value } }
+   */
+  static async getValuation(tenantId) {
+    const rows = await StockMovement.aggregate([
+      { $match: { tenantId } },
+      {
+        $group: {
+          _id: { item: "$item", warehouse: "$warehouse" },
+          quantity: { $sum: "$quantity" },
+          value: { $sum: "$value" },
+        },
+      },
+    ]);
+
+    const valuation = new Map();
+    const entryFor = (itemId) => {
+      const key = String(itemId);
+      if (!valuation.has(key)) {
+        valuation.set(key, {
+          quantity: 0,
+          value: 0,
+          inTransitValue: 0,
+          locations: new Map(),
+        });
+      }
+      return valuation.get(key);
+    };
+
+    for (const row of rows) {
+      const entry = entryFor(row._id.item);
+      entry.quantity = roundQuantity(entry.quantity + row.quantity);
+      entry.value = roundAmount(entry.value + row.value);
+      entry.locations.set(String(row._id.warehouse), {
+        quantity: roundQuantity(row.quantity),
+        value: roundAmount(row.value),
+      });
+    }
+
+    const transfers = await StockTransfer.find({
+      tenantId,
+      status: "In Transit",
+    }).select("_id");
+    if (transfers.length > 0) {
+      const dispatched = await StockMovement.find({
+        tenantId,
+        "sourceTransaction.model": "StockTransfer",
+        "sourceTransaction.id": { $in: transfers.map((t) => t._id) },
+      });
+      for (const movement of dispatched) {
+        const entry = entryFor(movement.item);
+        entry.inTransitValue = roundAmount(
+          entry.inTransitValue - movement.value
+        );
+      }
+    }
+
+    return valuation;
+  }
+
+  /**
+   * Cost of goods sold and net materials issued to projects over a period
+   * @param {String} tenantId - Tenant ID
+   * @param {Date} startDate - Start date (optional)
+   * @param {Date} endDate - End date (optional)
+   * @returns {Promise<Object>} { costOfGoodsSold, materialsIssued }
+   */
+  static async getCostOfSales(tenantId, startDate, endDate) {
+    const match = {
+      tenantId,
+      movementType: { $in: ["Sale", "Material Issue", "Material Return"] },
+    };
+    if (startDate || endDate) {
+      match.date = {};
+      if (startDate) match.date.$gte = new Date(startDate);
+      if (endDate) match.date.$lte = new Date(endDate);
+    }
+
+    const rows = await StockMovement.aggregate([
+      { $match: match },
+      { $group: { _id: "$movementType", value: { $sum: "$value" } } },
+    ]);
+    const valueOf = (type) =>
+      (rows.find((row) => row._id === type) || { value: 0 }).value;
+
+    return {
+      costOfGoodsSold: roundAmount(-valueOf("Sale")),
+      materialsIssued: roundAmount(
+        -valueOf("Material Issue") - valueOf("Material Return")
+      ),
+    };
+  }
+}
+
+module.exports = InventoryCostingService;
@@ -0,0 +1,573 @@
+const mongoose = require("mongoose");
+const ChartOfAccount = require("../models/ChartOfAccount");
+const Item = require("../models/Item");
+const ItemCategory = require("../models/ItemCategory");
+const TaxCode = require("../models/TaxCode");
+
+const categoryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Default account fields of a category and the account type each needs
+const ACCOUNT_FIELDS = {
+  inventoryAccountCode: "Asset",
+  cogsAccountCode: "Expense",
+  revenueAccountCode: "Revenue",
+};
+const DEFAULT_FIELDS = [...Object.keys(ACCOUNT_FIELDS), "taxCode"];
+
+/**
+ * Item Category Service - The item category tree
+ * Categories nest to any depth. Each can name default ledger accounts and
+ * an output tax code; a category that leaves one empty takes it from the
+ * nearest category above it. Items keep the codes and names of their
+ * top-level category and their own category for filtering and reports.
+ */
+class ItemCategoryService {
+  /**
+   * Load a category of the tenant by ID or code
+   * @param {String} tenantId - Tenant ID
+   * @param {String} ref - Category ID or code
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Category
+   */
+  static async getCategory(tenantId, ref, session = null) {
+    const category = await ItemCategory.findOne(
+      mongoose.isValidObjectId(ref)
+        ? { _id: ref, tenantId }
+        : { code: String(ref).toUpperCase(), tenantId }
+    ).session(session);
+    if (!category) {
+      throw categoryError(`Item category ${ref} not found`, 404);
+    }
+    return category;
+  }
+
+  /**
+   * A category and the categories above it, top-level first
+   * @param {Object} category - Category
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Array>} Categories from the top of the tree down
+   */
+  static async getLineage(category, session = null) {
+    if (category.ancestors.length === 0) return [category];
+
+    const ancestors = await ItemCategory.find({
+      tenantId: category.tenantId,
+      _id: { $in: category.ancestors },
+    }).session(session);
+    const byId = new Map(ancestors.map((entry) => [String(entry._id), entry]));
+
+    return [
+      ...category.ancestors
+        .map((id) => byId.get(String(id)))
+        .filter(Boolean),
+      category,
+    ];
+  }
+
+  /**
+   * Defaults that apply to a category's items
+   * The nearest category naming a default wins.
+   * @param {Array} lineage - Categories from the top of the tree down
+   * @returns {Object} { inventoryAccountCode, cogsAccountCode,
+   *   revenueAccountCode, taxCode }, undefined where none is named
+   */
+  static resolveDefaults(lineage) {
+    const defaults = {};
+    DEFAULT_FIELDS.forEach((field) => {
+      const source = [...lineage].reverse().find((entry) => entry[field]);
+      defaults[field] = source ? source[field] : undefined;
+    });
+    return defaults;
+  }
+
+  /**
+   * Defaults that apply to the items of document lines
+   * @param {String} tenantId - Tenant ID
+   * @param {Array} itemLines - Lines with item (ID) or itemCode
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Array>} Defaults for each line (see
+   *   resolveDefaults); empty for items without a category
+   */
+  static async getItemDefaults(tenantId, itemLines, session = null) {
+    const ids = itemLines.map((line) => line.item).filter(Boolean);
+    const codes = itemLines
+      .filter((line) => !line.item && line.itemCode)
+      .map((line) => String(line.itemCode).toUpperCase());
+    const items = await Item.find({
+      tenantId,
+      $or: [{ _id: { $in: ids } }, { itemCode: { $in: codes } }],
+      category: { $ne: null },
+    })
+      .select("itemCode category")
+      .session(session);
+    if (items.length === 0) return itemLines.map(() => ({}));
+
+    const categories = await ItemCategory.find({
+      tenantId,
+      _id: { $in: items.map((item) => item.category) },
+    }).session(session);
+    const ancestors = await ItemCategory.find({
+      tenantId,
+      _id: { $in: categories.flatMap((category) => category.ancestors) },
+    }).session(session);
+    const byId = new Map(
+      [...ancestors, ...categories].map((entry) => [String(entry._id), entry])
+    );
+
+    const defaultsByItem = new Map();
+    items.forEach((item) => {
+      const category = byId.get(String(item.category));
+      if (!category) return;
+      const defaults = this.resolveDefaults(
+        [...category.ancestors, category._id]
+          .map((id) => byId.get(String(id)))
+          .filter(Boolean)
+      );
+      defaultsByItem.set(String(item._id), defaults);
+      defaultsByItem.set(item.itemCode, defaults);
+    });
+
+    return itemLines.map(
+      (line) =>
+        defaultsByItem.get(
+          line.item
+            ? String(line.item._id || line.item)
+            : String(line.itemCode || "").toUpperCase()
+        ) || {}
+    );
+  }
+
+  /**
+   * Category fields kept on an item
+   * @param {Array} lineage - Categories from the top of the tree down
+   * @returns {Object} { category, categoryCode, categoryName,
+   *   subCategoryCode, subCategoryName }
+   */
+  static itemFields(lineage) {
+    const top = lineage[0];
+    const own = lineage[lineage.length - 1];
+    const nested = lineage.length > 1;
+    return {
+      category: own._id,
+      categoryCode: top.code,
+      categoryName: top.name,
+      subCategoryCode: nested ? own.code : "",
+      subCategoryName: nested ? own.name : "",
+    };
+  }
+
+  /**
+   * Put an item in a category
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} item - Item document (not saved)
+   * @param {String} ref - Category ID or code
+   */
+  static async assignItem(tenantId, item, ref) {
+    const category = await this.getCategory(tenantId, ref);
+    if (!category.isActive) {
+      throw categoryError(`Item category ${category.code} is inactive`);
+    }
+    Object.assign(item, this.itemFields(await this.getLineage(category)));
+  }
+
+  /**
+   * Category of the tree matching free-text category codes
+   * @param {String} tenantId - Tenant ID
+   * @param {String} categoryCode - Category code
+   * @param {String} subCategoryCode - Sub-category code (optional)
+   * @returns {Promise<Object|null>} Active category with the sub-category
+   *   code, or else the category code; null when the tree has neither
+   */
+  static async findByCodes(tenantId, categoryCode, subCategoryCode) {
+    for (const code of [subCategoryCode, categoryCode]) {
+      if (!code) continue;
+      const category = await ItemCategory.findOne({
+        tenantId,
+        code: String(code).toUpperCase(),
+        isActive: true,
+      });
+      if (category) return category;
+    }
+    return null;
+  }
+
+  /**
+   * IDs of a category and every category below it
+   * @param {Object} category - Category
+   * @returns {Promise<Array>} Category IDs
+   */
+  static async getBranchIds(category) {
+    const descendants = await ItemCategory.find({
+      tenantId: category.tenantId,
+      ancestors: category._id,
+    }).select("_id");
+    return [category._id, ...descendants.map((entry) => entry._id)];
+  }
+
+  /**
+   * Make sure the default accounts and tax code of a category exist
+   * Accounts must be main accounts of the chart of the matching type and
+   * the tax code an active output tax.
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} defaults - Default fields being set
+   */
+  static async validateDefaults(tenantId, defaults) {
+    for (const [field, accountType] of Object.entries(ACCOUNT_FIELDS)) {
+      if (!defaults[field]) continue;
+
+      const account = await ChartOfAccount.findOne({
+        tenantId,
+        code: defaults[field],
+      });
+      if (!account) {
+        throw categoryError(`Account ${defaults[field]} not found`);
+      }
+      if (account.accountType && account.accountType !== accountType) {
+        throw categoryError(
+          `Account ${defaults[field]} must be an account of type ${accountType}`
+        );
+      }
+    }
+
+    if (defaults.taxCode) {
+      const tax = await TaxCode.findOne({
+        tenantId,
+        code: defaults.taxCode,
+        isActive: true,
+      });
+      if (!tax || tax.taxType !== "Output") {
+        throw categoryError(
+          `Tax code ${defaults.taxCode} is not an active output tax`
+        );
+      }
+    }
+  }
+
+  /**
+   * Default fields given in a request; an empty value clears the default
+   * @param {Object} data - Request body
+   * @returns {Object} Default fields present in the body
+   */
+  static pickDefaults(data) {
+    const defaults = {};
+    DEFAULT_FIELDS.forEach((field) => {
+      if (data[field] === undefined) return;
+      const value = data[field] ? String(data[field]).trim() : "";
+      if (!value) defaults[field] = undefined;
+      else defaults[field] = field === "taxCode" ? value.toUpperCase() : value;
+    });
+    return defaults;
+  }
+
+  /**
+   * Where a category sits under a parent
+   * @param {String} tenantId - Tenant ID
+   * @param {String} parentRef - Parent category ID or code; none for a
+   *   top-level category
+   * @returns {Promise<Object>} { parent, ancestors, level }
+   */
+  static async placeUnder(tenantId, parentRef) {
+    if (!parentRef) return { parent: null, ancestors: [], level: 0 };
+
+    const parent = await this.getCategory(tenantId, parentRef);
+    if (!parent.isActive) {
+      throw categoryError(`Item category ${parent.code} is inactive`);
+    }
+    return {
+      parent: parent._id,
+      ancestors: [...parent.ancestors, parent._id],
+      level: parent.level + 1,
+    };
+  }
+
+  /**
+   * Create a category
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { code, name, description, parent,
+   *   inventoryAccountCode, cogsAccountCode, revenueAccountCode, taxCode }
+   * @param {String} userId - ID of the user creating it
+   * @returns {Promise<Object>} Category
+   */
+  static async createCategory(tenantId, data, userId) {
+    const defaults = this.pickDefaults(data);
+    await this.validateDefaults(tenantId, defaults);
+
+    return ItemCategory.create({
+      tenantId,
+      code: data.code,
+      name: data.name,
+      description: data.description,
+      ...(await this.placeUnder(tenantId, data.parent)),
+      ...defaults,
+      createdBy: userId,
+    });
+  }
+
+  /**
+   * Update a category
+   * Moving a category takes its whole branch with it; a category cannot
+   * be moved under itself or one of its own sub-categories. Items in the
+   * branch are updated when codes, names or places change.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} categoryId - Category ID
+   * @param {Object} data - Fields to change; parent null moves it to the
+   *   top of the tree
+   * @returns {Promise<Object>} Updated category
+   */
+  static async updateCategory(tenantId, categoryId, data) {
+    const category = await this.getCategory(tenantId, categoryId);
+    const defaults = this.pickDefaults(data);
+    await this.validateDefaults(tenantId, defaults);
+
+    let refreshItems = false;
+    if (data.code && data.code.toUpperCase() !== category.code) {
+      category.code = data.code;
+      refreshItems = true;
+    }
+    if (data.name && data.name !== category.name) {
+      category.name = data.name;
+      refreshItems = true;
+    }
+    if (data.description !== undefined) {
+      category.description = data.description;
+    }
+    Object.assign(category, defaults);
+
+    const oldAncestors = category.ancestors.map(String);
+    if (
+      data.parent !== undefined &&
+      String(data.parent || "") !== String(category.parent || "")
+    ) {
+      const place = await this.placeUnder(tenantId, data.parent);
+      if (
+        place.ancestors.some((id) => String(id) === String(category._id))
+      ) {
+        throw categoryError(
+          `Item category ${category.code} cannot be moved under itself`
+        );
+      }
+      Object.assign(category, place);
+      refreshItems = true;
+    }
+
+    await category.save();
+
+    // Re-root the branch below a moved category
+    const descendants = await ItemCategory.find({
+      tenantId,
+      ancestors: category._id,
+    });
+    if (category.ancestors.map(String).join() !== oldAncestors.join()) {
+      for (const descendant of descendants) {
+        const below = descendant.ancestors.slice(oldAncestors.length);
+        descendant.ancestors = [...category.ancestors, ...below];
+        descendant.level = descendant.ancestors.length;
+        await descendant.save();
+      }
+    }
+
+    if (refreshItems) {
+      for (const entry of [category, ...descendants]) {
+        await Item.updateMany(
+          { tenantId, category: entry._id },
+          this.itemFields(await this.getLineage(entry))
+        );
+      }
+    }
+
+    return category;
+  }
+
+  /**
+   * Deactivate a category
+   * Categories are kept for the items and documents that used them; one
+   * with active sub-categories or items cannot be deactivated.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} categoryId - Category ID
+   * @returns {Promise<Object>} Deactivated category
+   */
+  static async deactivateCategory(tenantId, categoryId) {
+    const category = await this.getCategory(tenantId, categoryId);
+
+    const activeChildren = await ItemCategory.countDocuments({
+      tenantId,
+      parent: category._id,
+      isActive: true,
+    });
+    if (activeChildren > 0) {
+      throw categoryError(
+        `Item category ${category.code} has ${activeChildren} active sub-categories`
+      );
+    }
+    const activeItems = await Item.countDocuments({
+      tenantId,
+      category: category._id,
+      isActive: true,
+    });
+    if (activeItems > 0) {
+      throw categoryError(
+        `Item category ${category.code} has ${activeItems} active items`
+      );
+    }
+
+    category.isActive = false;
+    await category.save();
+    return category;
+  }
+
+  /**
+   * Categories of the tenant as a tree
+   * @param {String} tenantId - Tenant ID
+   * @param {Boolean} includeInactive - Include deactivated categories
+   * @returns {Promise<Array>} Top-level categories, each with children
+   */
+  static async getTree(tenantId, includeInactive = false) {
+    const filter = { tenantId };
+    if (!includeInactive) filter.isActive = true;
+    const categories = await ItemCategory.find(filter).sort({ code: 1 });
+
+    const nodes = new Map(
+      categories.map((category) => [
+        String(category._id),
+        { ...category.toObject(), children: [] },
+      ])
+    );
+    const roots = [];
+    nodes.forEach((node) => {
+      const parent = node.parent && nodes.get(String(node.parent));
+      if (parent) parent.children.push(node);
+      else roots.push(node);
+    });
+    return roots;
+  }
+
+  /**
+   * Roll totals of categories up the tree
+   * Each category's totals include those of every category below it.
+   * Totals of items without a category are reported as Uncategorised.
+   * @param {String} tenantId - Tenant ID
+   * @param {Map} totals - Category ID (or null) => { field: number }
+   * @param {Array} fields - Fields to roll up
+   * @returns {Promise<Array>} Top-level categories with totals and
+   *   children, largest first by the first field
+   */
+  static async rollUp(tenantId, totals, fields) {
+    const tree = await this.getTree(tenantId, true);
+    const nodes = new Map();
+    const index = (node) => {
+      fields.forEach((field) => {
+        node[field] = 0;
+      });
+      nodes.set(String(node._id), node);
+      node.children.forEach(index);
+    };
+    tree.forEach(index);
+
+    const uncategorised = { code: null, name: "Uncategorised", children: [] };
+    fields.forEach((field) => {
+      uncategorised[field] = 0;
+    });
+
+    totals.forEach((values, categoryId) => {
+      const node = categoryId && nodes.get(String(categoryId));
+      const targets = node
+        ? [
+            ...node.ancestors.map((id) => nodes.get(String(id))),
+            node,
+          ].filter(Boolean)
+        : [uncategorised];
+      targets.forEach((target) => {
+        fields.forEach((field) => {
+          target[field] += values[field] || 0;
+        });
+      });
+    });
+
+    const shape = (node) => ({
+      _id: node._id,
+      code: node.code,
+      name: node.name,
+      level: node.level || 0,
+      ...Object.fromEntries(
+        fields.map((field) => [field, Math.round(node[field] * 100) / 100])
+      ),
+      children: node.children
+        .filter((child) => fields.some((field) => child[field]))
+        .sort((a, b) => b[fields[0]] - a[fields[0]])
+        .map(shape),
+    });
+
+    return [...tree, uncategorised]
+      .filter((node) => fields.some((field) => node[field]))
+      .sort((a, b) => b[fields[0]] - a[fields[0]])
+      .map(shape);
+  }
+
+  /**
+   * Build the tree from the free-text categories of existing items
+   * Each category code becomes a top-level category and each
+   * sub-category code a category below it. Items without a category are
+   * linked to the matching one.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} userId - ID of the user importing
+   * @returns {Promise<Object>} { created, linked }
+   */
+  static async importFromItems(tenantId, userId) {
+    const items = await Item.find({
+      tenantId,
+      category: null,
+      categoryCode: { $nin: [null, ""] },
+    });
+
+    const byCode = new Map(
+      (await ItemCategory.find({ tenantId })).map((category) => [
+        category.code,
+        category,
+      ])
+    );
+    let created = 0;
+    const findOrCreate = async (code, name, parent) => {
+      const existing = byCode.get(code);
+      if (existing) return existing;
+
+      const category = await ItemCategory.create({
+        tenantId,
+        code,
+        name: name || code,
+        parent: parent ? parent._id : null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : [],
+        level: parent ? parent.level + 1 : 0,
+        createdBy: userId,
+      });
+      byCode.set(code, category);
+      created += 1;
+      return category;
+    };
+
+    let linked = 0;
+    for (const item of items) {
+      let category = await findOrCreate(item.categoryCode, item.categoryName);
+      if (item.subCategoryCode) {
+        const sub = await findOrCreate(
+          item.subCategoryCode,
+          item.subCategoryName,
+          category
+        );
+        // A sub-category code already used elsewhere in the tree
+        if (String(sub.parent) === String(category._id)) category = sub;
+      }
+
+      Object.assign(item, this.itemFields(await this.getLineage(category)));
+      await item.save();
+      linked += 1;
+    }
+
+    return { created, linked };
+  }
+}
+
+module.exports = ItemCategoryService;
@@ -0,0 +1,441 @@
+const mongoose = require("mongoose");
+const Item = require("../models/Item");
+const MaterialIssue = require("../models/MaterialIssue");
+const Project = require("../models/Project");
+const AccountingService = require("./accountingService");
+const ProjectBudgetService = require("./projectBudgetService");
+const StockService = require("./stockService");
+const TransactionService = require("./transactionService");
+const UnitService = require("./unitService");
+
+const NOTE_PREFIXES = { Issue: "MIN", Return: "MRN" };
+
+const round = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Material Issue Service - Material issued from store to project sites and
+ * returned back, with its stock movement and project cost posting
+ */
+class MaterialIssueService {
+  /**
+   * Next note number for a tenant, e.g. MIN000001 or MRN000001
+   * @param {String} tenantId - Tenant ID
+   * @param {String} type - Issue or Return
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<String>} Note number
+   */
+  static async nextNoteNo(tenantId, type, session = null) {
+    const count = await MaterialIssue.countDocuments({
+      tenantId,
+      type,
+    }).session(session);
+    return `${NOTE_PREFIXES[type]}${String(count + 1).padStart(6, "0")}`;
+  }
+
+  /**
+   * Quantities (in base units) and cost issued to a project per item, net
+   * of returns
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Map>} { issuedQuantity, issuedAmount,
+   *   returnedQuantity, returnedAmount } by item ID
+   */
+  static async getProjectBalances(tenantId, projectId, session = null) {
+    const rows = await MaterialIssue.aggregate([
+      {
+        $match: {
+          tenantId,
+          project: new mongoose.Types.ObjectId(String(projectId)),
+          status: "Posted",
+        },
+      },
+      { $unwind: "$lines" },
+      {
+        $group: {
+          _id: { item: "$lines.item", type: "$type" },
+          quantity: {
+            $sum: { $ifNull: ["$lines.baseQuantity", "$lines.quantity"] },
+          },
+          amount: { $sum: "$lines.amount" },
+        },
+      },
+    ]).session(session);
+
+    const balances = new Map();
+    for (const row of rows) {
+      const key = String(row._id.item);
+      if (!balances.has(key)) {
+        balances.set(key, {
+          issuedQuantity: 0,
+          issuedAmount: 0,
+          returnedQuantity: 0,
+          returnedAmount: 0,
+        });
+      }
+      const balance = balances.get(key);
+      if (row._id.type === "Issue") {
+        balance.issuedQuantity += row.quantity;
+        balance.issuedAmount += row.amount;
+      } else {
+        balance.returnedQuantity += row.quantity;
+        balance.returnedAmount += row.amount;
+      }
+    }
+
+    return balances;
+  }
+
+  /**
+   * Validate note lines and price them
+   * Lines can be entered in any of the item's units. Issues are priced at
+   * the item's purchase price until moveStock() charges them at their stock
+   * ledger cost. Returns are credited at the average cost the project was
+   * charged for the item, and cannot exceed what is still out on site.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} type - Issue or Return
+   * @param {String} projectId - Project ID
+   * @param {Array} lines - [{ item, itemCode, quantity, unit, costCode }]
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Array>} Note lines ready to save
+   */
+  static async buildLines(tenantId, type, projectId, lines, session = null) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error("Please provide at least one line");
+    }
+
+    const noteLines = [];
+    const baseUnits = new Map();
+    for (const line of lines) {
+      const quantity = Number(line.quantity);
+      if (!(line.item || line.itemCode) || !(quantity > 0)) {
+        throw new Error(
+          "Each line requires an item and a quantity greater than zero"
+        );
+      }
+
+      const item = await Item.findOne(
+        line.item
+          ? { _id: line.item, tenantId }
+          : { itemCode: String(line.itemCode).toUpperCase(), tenantId }
+      ).session(session);
+      if (!item) {
+        throw new Error(`Item ${line.itemCode || line.item} not found`);
+      }
+
+      const unit = UnitService.convert(
+        item,
+        roundQuantity(quantity),
+        line.unit
+      );
+      baseUnits.set(String(item._id), item.measurement);
+      noteLines.push({
+        item: item._id,
+        itemCode: item.itemCode,
+        itemName: item.name,
+        quantity: roundQuantity(quantity),
+        ...unit,
+        rate: (item.purchasePrice || 0) * unit.conversionFactor,
+        costCode: line.costCode,
+      });
+    }
+
+    await ProjectBudgetService.resolveCostCodes(tenantId, noteLines, session);
+
+    if (type === "Return") {
+      const balances = await this.getProjectBalances(
+        tenantId,
+        projectId,
+        session
+      );
+      const returning = new Map();
+      for (const line of noteLines) {
+        const key = String(line.item);
+        returning.set(key, (returning.get(key) || 0) + line.baseQuantity);
+      }
+
+      for (const line of noteLines) {
+        const balance = balances.get(String(line.item));
+        const onSite = balance
+          ? roundQuantity(balance.issuedQuantity - balance.returnedQuantity)
+          : 0;
+        if (returning.get(String(line.item)) > onSite) {
+          const baseUnit = baseUnits.get(String(line.item));
+          throw new Error(
+            `Cannot return more ${line.itemName} than the ${onSite} ${baseUnit} issued to the project`
+          );
+        }
+        line.rate = round(
+          ((balance.issuedAmount - balance.returnedAmount) / onSite) *
+            line.conversionFactor
+        );
+      }
+    }
+
+    return noteLines;
+  }
+
+  /**
+   * Move stock for a note's lines at its location
+   * Stock moves in the items' base units. Lines issued from stock are
+   * repriced at the cost they left stock at.
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} note - { _id, noteNo, type, date, lines }
+   * @param {String} warehouseId - Warehouse ID
+   * @param {Number} direction - -1 to take stock out, 1 to put it back
+   * @param {ClientSession} session - Transaction session
+   */
+  static async moveStock(tenantId, note, warehouseId, direction, session) {
+    for (const line of note.lines) {
+      const valuation = await StockService.adjust(
+        tenantId,
+        line.item,
+        warehouseId,
+        direction * UnitService.baseQuantity(line),
+        session,
+        {
+          movementType:
+            note.type === "Issue" ? "Material Issue" : "Material Return",
+          unitCost: line.rate / (line.conversionFactor || 1),
+          source: {
+            model: "MaterialIssue",
+            id: note._id,
+            reference: note.noteNo,
+          },
+          date: note.date,
+        }
+      );
+      if (valuation && note.type === "Issue" && direction < 0) {
+        line.rate = -valuation.value / line.quantity;
+      }
+    }
+  }
+
+  /**
+   * Record a material issue or return note
+   * Stock, the note and its journal entry commit together.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} type - Issue or Return
+   * @param {Object} data - { project, date, warehouse, siteContact,
+   *   remarks, lines }
+   * @param {String} userId - ID of the user recording the note
+   * @returns {Promise<Object>} Posted note
+   */
+  static async createNote(tenantId, type, data, userId) {
+    if (!data.project) {
+      throw new Error("Please provide a project");
+    }
+
+    return TransactionService.run(async (session) => {
+      const project = await Project.findOne({
+        _id: data.project,
+        tenantId,
+      }).session(session);
+      if (!project) throw notFound("Project not found");
+      const warehouse = await StockService.resolveWarehouse(
+        tenantId,
+        data.warehouse,
+        session
+      );
+
+      const lines = await this.buildLines(
+        tenantId,
+        type,
+        project._id,
+        data.lines,
+        session
+      );
+
+      const noteId = new mongoose.Types.ObjectId();
+      const noteNo = await this.nextNoteNo(tenantId, type, session);
+      const date = data.date ? new Date(data.date) : new Date();
+      await this.moveStock(
+        tenantId,
+        { _id: noteId, noteNo, type, date, lines },
+        warehouse._id,
+        type === "Issue" ? -1 : 1,
+        session
+      );
+
+      const [note] = await MaterialIssue.create(
+        [
+          {
+            _id: noteId,
+            tenantId,
+            noteNo,
+            type,
+            date,
+            project: project._id,
+            warehouse: warehouse._id,
+            siteContact: data.siteContact,
+            lines,
+            remarks: data.remarks,
+            createdBy: userId,
+          },
+        ],
+        { session }
+      );
+
+      const journalEntry =
+        await AccountingService.createMaterialIssueJournalEntry(
+          note,
+          userId,
+          session
+        );
+      note.journalEntry = journalEntry._id;
+      await note.save({ session });
+
+      return note;
+    });
+  }
+
+  /**
+   * Cancel a posted note
+   * The journal entry is reversed and the stock moved back. An issue
+   * cannot be cancelled once its material has been returned from site.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} noteId - Note ID
+   * @param {String} reason - Why the note is cancelled
+   * @param {String} userId - ID of the cancelling user
+   * @returns {Promise<Object>} Cancelled note
+   */
+  static async cancelNote(tenantId, noteId, reason, userId) {
+    return TransactionService.run(async (session) => {
+      const note = await MaterialIssue.findOne({
+        _id: noteId,
+        tenantId,
+      }).session(session);
+      if (!note) throw notFound("Material note not found");
+      if (note.status !== "Posted") {
+        throw new Error(`Note ${note.noteNo} is already cancelled`);
+      }
+
+      if (note.type === "Issue") {
+        const balances = await this.getProjectBalances(
+          tenantId,
+          note.project,
+          session
+        );
+        for (const line of note.lines) {
+          const balance = balances.get(String(line.item));
+          const onSite = balance.issuedQuantity - balance.returnedQuantity;
+          if (onSite - UnitService.baseQuantity(line) < -0.0005) {
+            throw new Error(
+              `${line.itemName} from note ${note.noteNo} has already been returned from site`
+            );
+          }
+        }
+      }
+
+      await this.moveStock(
+        tenantId,
+        note,
+        await StockService.warehouseIdFor(tenantId, note.warehouse, session),
+        note.type === "Issue" ? 1 : -1,
+        session
+      );
+
+      if (note.journalEntry) {
+        await AccountingService.reverseJournalEntry(
+          note.journalEntry,
+          userId,
+          reason || `Material note ${note.noteNo} cancelled`,
+          session
+        );
+      }
+
+      note.status = "Cancelled";
+      note.cancelledBy = userId;
+      note.cancelledAt = new Date();
+      if (reason) {
+        note.remarks = note.remarks
+          ? `${note.remarks} | Cancelled: ${reason}`
+          : `Cancelled: ${reason}`;
+      }
+      await note.save({ session });
+
+      return note;
+    });
+  }
+
+  /**
+   * Material issued to a project per item, net of returns
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @returns {Promise<Object>} { items, totals }
+   */
+  static async getProjectMaterials(tenantId, projectId) {
+    const balances = await this.getProjectBalances(tenantId, projectId);
+    const items = await Item.find({
+      tenantId,
+      _id: { $in: [...balances.keys()] },
+    }).select("itemCode name measurement");
+    const itemsById = new Map(items.map((item) => [String(item._id), item]));
+
+    const rows = [...balances].map(([key, balance]) => {
+      const item = itemsById.get(key);
+      return {
+        item: key,
+        itemCode: item ? item.itemCode : "",
+        itemName: item ? item.name : "",
+        unit: item ? item.measurement : "",
+        issuedQuantity: roundQuantity(balance.issuedQuantity),
+        returnedQuantity: roundQuantity(balance.returnedQuantity),
+        netQuantity: roundQuantity(
+          balance.issuedQuantity - balance.returnedQuantity
+        ),
+        issuedAmount: round(balance.issuedAmount),
+        returnedAmount: round(balance.returnedAmount),
+        netAmount: round(balance.issuedAmount - balance.returnedAmount),
+      };
+    });
+    rows.sort((a, b) => a.itemCode.localeCompare(b.itemCode));
+
+    return {
+      items: rows,
+      totals: {
+        issuedAmount: round(rows.reduce((s, r) => s + r.issuedAmount, 0)),
+        returnedAmount: round(rows.reduce((s, r) => s + r.returnedAmount, 0)),
+        netAmount: round(rows.reduce((s, r) => s + r.netAmount, 0)),
+      },
+    };
+  }
+
+  /**
+   * Quantities issued to and returned from projects per item
+   * @param {String} tenantId - Tenant ID
+   * @returns {Promise<Map>} { issued, returned } by item ID
+   */
+  static async getItemMovements(tenantId) {
+    const rows = await MaterialIssue.aggregate([
+      { $match: { tenantId, status: "Posted" } },
+      { $unwind: "$lines" },
+      {
+        $group: {
+          _id: { item: "$lines.item", type: "$type" },
+          quantity: {
+            $sum: { $ifNull: ["$lines.baseQuantity", "$lines.quantity"] },
+          },
+        },
+      },
+    ]);
+
+    const movements = new Map();
+    for (const row of rows) {
+      const key = String(row._id.item);
+      if (!movements.has(key)) movements.set(key, { issued: 0, returned: 0 });
+      movements.get(key)[row._id.type === "Issue" ? "issued" : "returned"] +=
+        row.quantity;
+    }
+    return movements;
+  }
+}
+
+module.exports = MaterialIssueService;
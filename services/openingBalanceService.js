@@ -0,0 +1,409 @@
+const mongoose = require("mongoose");
+const ChartOfAccount = require("../models/ChartOfAccount");
+const Customer = require("../models/Customer");
+const Supplier = require("../models/Supplier");
+const Item = require("../models/Item");
+const OpeningBalance = require("../models/OpeningBalance");
+const AccountingService = require("./accountingService");
+const StockService = require("./stockService");
+const TransactionService = require("./transactionService");
+
+// Control accounts the customer, supplier and stock detail must agree with
+const CONTROL_ACCOUNTS = {
+  customers: {
+    code: "1200",
+    name: "Accounts Receivable",
+    type: "Asset",
+    label: "customer open amounts",
+  },
+  suppliers: {
+    code: "2000",
+    name: "Accounts Payable",
+    type: "Liability",
+    label: "supplier open amounts",
+  },
+  items: {
+    code: "1300",
+    name: "Inventory",
+    type: "Asset",
+    label: "opening stock value",
+  },
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Opening Balance Service - One-time import of a new tenant's trial
+ * balance, customer and supplier open amounts and stock on hand
+ */
+class OpeningBalanceService {
+  /**
+   * Find a chart of accounts entry for an opening balance line
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} control - { code, name, type } used when not found
+   * @param {Boolean} create - Create the account when it does not exist
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Account (unsaved placeholder when not created)
+   */
+  static async getControlAccount(tenantId, control, create, session = null) {
+    const account = await ChartOfAccount.findOne({
+      tenantId,
+      code: control.code,
+    }).session(session);
+    if (account) return account;
+
+    if (!create) {
+      return {
+        _id: null,
+        code: control.code,
+        name: control.name,
+        accountType: control.type,
+      };
+    }
+
+    return AccountingService.getOrCreateAccount(
+      control.code,
+      control.name,
+      control.type,
+      tenantId,
+      session
+    );
+  }
+
+  /**
+   * Validate the wizard input and build the opening journal entry
+   * Customer, supplier and stock detail post to their control accounts;
+   * when the trial balance also lists a control account the figures must
+   * agree. Debits must equal credits across the whole entry.
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { asOfDate, accounts, customers, suppliers, items }
+   * @param {Boolean} create - Create missing control accounts
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Entry data and sub-ledger balances
+   */
+  static async buildOpeningBalances(tenantId, data, create, session = null) {
+    const asOfDate = data.asOfDate ? new Date(data.asOfDate) : new Date();
+    if (isNaN(asOfDate.getTime())) {
+      throw new Error("Please provide a valid asOfDate");
+    }
+
+    // Trial balance figures
+    const lines = [];
+    for (const row of data.accounts || []) {
+      const code = String(row.accountCode || "").trim();
+      const debit = round(Number(row.debit) || 0);
+      const credit = round(Number(row.credit) || 0);
+
+      if (!code) {
+        throw new Error("Each trial balance line requires an accountCode");
+      }
+      if (debit < 0 || credit < 0) {
+        throw new Error(`Account ${code} cannot have a negative amount`);
+      }
+      if (debit > 0 && credit > 0) {
+        throw new Error(`Account ${code} cannot have both debit and credit`);
+      }
+      if (debit === 0 && credit === 0) continue;
+      if (lines.some((line) => line.accountCode === code)) {
+        throw new Error(`Account ${code} is listed more than once`);
+      }
+
+      const account = await ChartOfAccount.findOne({ tenantId, code }).session(
+        session
+      );
+      if (!account) {
+        throw new Error(`Account ${code} not found in the chart of accounts`);
+      }
+      if (!account.accountType) {
+        throw new Error(`Account ${code} has no account type`);
+      }
+
+      lines.push({
+        account: account._id,
+        accountCode: code,
+        accountName: account.name,
+        accountType: account.accountType,
+        debit,
+        credit,
+        description: "Opening balance",
+      });
+    }
+
+    // Customer open amounts
+    const customers = [];
+    for (const row of data.customers || []) {
+      const code = String(row.code || "")
+        .trim()
+        .toUpperCase();
+      const amount = round(Number(row.amount) || 0);
+      if (!code || amount <= 0) {
+        throw new Error(
+          "Each customer balance requires a code and an amount greater than zero"
+        );
+      }
+      if (customers.some((c) => c.code === code)) {
+        throw new Error(`Customer ${code} is listed more than once`);
+      }
+
+      const customer = await Customer.findOne({ tenantId, code }).session(
+        session
+      );
+      if (!customer) {
+        throw new Error(`Customer ${code} not found`);
+      }
+      customers.push({
+        customer: customer._id,
+        code,
+        name: customer.name,
+        amount,
+      });
+    }
+
+    // Supplier open amounts
+    const suppliers = [];
+    for (const row of data.suppliers || []) {
+      const code = String(row.code || "").trim();
+      const amount = round(Number(row.amount) || 0);
+      if (!code || amount <= 0) {
+        throw new Error(
+          "Each supplier balance requires a code and an amount greater than zero"
+        );
+      }
+      if (suppliers.some((s) => s.code === code)) {
+        throw new Error(`Supplier ${code} is listed more than once`);
+      }
+
+      const supplier = await Supplier.findOne({ tenantId, code }).session(
+        session
+      );
+      if (!supplier) {
+        throw new Error(`Supplier ${code} not found`);
+      }
+      suppliers.push({
+        supplier: supplier._id,
+        code,
+        name: supplier.name,
+        amount,
+      });
+    }
+
+    // Opening stock with cost
+    const items = [];
+    for (const row of data.items || []) {
+      const itemCode = String(row.itemCode || "")
+        .trim()
+        .toUpperCase();
+      const quantity = Number(row.quantity) || 0;
+      const unitCost = Number(row.unitCost) || 0;
+      if (!itemCode || quantity <= 0 || unitCost < 0) {
+        throw new Error(
+          "Each opening stock line requires an itemCode, a quantity greater than zero and a unit cost"
+        );
+      }
+      const warehouse = row.warehouse
+        ? await StockService.resolveWarehouse(tenantId, row.warehouse, session)
+        : null;
+      const warehouseId = warehouse ? String(warehouse._id) : "";
+      if (
+        items.some(
+          (i) =>
+            i.itemCode === itemCode &&
+            String(i.warehouse || "") === warehouseId
+        )
+      ) {
+        throw new Error(`Item ${itemCode} is listed more than once`);
+      }
+
+      const item = await Item.findOne({ tenantId, itemCode }).session(session);
+      if (!item) {
+        throw new Error(`Item ${itemCode} not found`);
+      }
+      items.push({
+        item: item._id,
+        itemCode,
+        name: item.name,
+        quantity,
+        unitCost,
+        value: round(quantity * unitCost),
+        warehouse: warehouse ? warehouse._id : undefined,
+      });
+    }
+
+    // Post the detail to its control account, or check it against the
+    // trial balance figure for that account
+    const details = { customers, suppliers, items };
+    for (const [key, control] of Object.entries(CONTROL_ACCOUNTS)) {
+      const total = round(
+        details[key].reduce((sum, d) => sum + (d.amount || d.value), 0)
+      );
+      if (total === 0) continue;
+
+      const isDebit = control.type === "Asset";
+      const listed = lines.find((line) => line.accountCode === control.code);
+      if (listed) {
+        const listedAmount = isDebit
+          ? listed.debit - listed.credit
+          : listed.credit - listed.debit;
+        if (Math.abs(listedAmount - total) > 0.01) {
+          throw new Error(
+            `Account ${control.code} (${listedAmount}) does not agree with the ${control.label} (${total})`
+          );
+        }
+        continue;
+      }
+
+      const account = await this.getControlAccount(
+        tenantId,
+        control,
+        create,
+        session
+      );
+      lines.push({
+        account: account._id,
+        accountCode: control.code,
+        accountName: account.name || control.name,
+        accountType: control.type,
+        debit: isDebit ? total : 0,
+        credit: isDebit ? 0 : total,
+        description: `Opening balance - ${control.label}`,
+      });
+    }
+
+    if (lines.length < 2) {
+      throw new Error("Opening balances need at least two accounts");
+    }
+
+    const totalDebit = round(lines.reduce((sum, l) => sum + l.debit, 0));
+    const totalCredit = round(lines.reduce((sum, l) => sum + l.credit, 0));
+    if (Math.abs(totalDebit - totalCredit) > 0.01) {
+      throw new Error(
+        `Opening balances are not balanced. Debits (${totalDebit}) must equal Credits (${totalCredit})`
+      );
+    }
+
+    return {
+      asOfDate,
+      entry: {
+        tenantId,
+        date: asOfDate,
+        transactionType: "Opening Balance",
+        sourceTransaction: {
+          model: "OpeningBalance",
+          reference: "Opening balances",
+        },
+        description: "Opening balances",
+        lines,
+      },
+      customers,
+      suppliers,
+      items,
+      totalDebit,
+      totalCredit,
+    };
+  }
+
+  /**
+   * Validate opening balances and show the entry without posting it
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - Wizard input
+   * @returns {Promise<Object>} Entry data and sub-ledger balances
+   */
+  static async previewOpeningBalances(tenantId, data) {
+    const existing = await OpeningBalance.findOne({ tenantId });
+    if (existing) {
+      throw new Error("Opening balances have already been imported");
+    }
+
+    return this.buildOpeningBalances(tenantId, data, false);
+  }
+
+  /**
+   * Post the opening journal entry and the sub-ledger balances together
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - Wizard input
+   * @param {String} userId - ID of the user importing the balances
+   * @returns {Promise<Object>} Opening balance record
+   */
+  static async importOpeningBalances(tenantId, data, userId) {
+    const existing = await OpeningBalance.findOne({ tenantId });
+    if (existing) {
+      throw new Error("Opening balances have already been imported");
+    }
+
+    return await TransactionService.run(async (session) => {
+      const result = await this.buildOpeningBalances(
+        tenantId,
+        data,
+        true,
+        session
+      );
+
+      // The entry points back at the import record, so its ID is fixed
+      // up front
+      const openingBalanceId = new mongoose.Types.ObjectId();
+      result.entry.sourceTransaction.id = openingBalanceId;
+      const journalEntry = await AccountingService.createJournalEntry(
+        result.entry,
+        userId,
+        session
+      );
+
+      for (const c of result.customers) {
+        await Customer.findByIdAndUpdate(
+          c.customer,
+          { $inc: { balance: c.amount } },
+          { session }
+        );
+      }
+      for (const s of result.suppliers) {
+        await Supplier.findByIdAndUpdate(
+          s.supplier,
+          { $inc: { balance: s.amount } },
+          { session }
+        );
+      }
+      for (const i of result.items) {
+        await StockService.adjust(
+          tenantId,
+          i.item,
+          await StockService.warehouseIdFor(tenantId, i.warehouse, session),
+          i.quantity,
+          session,
+          {
+            movementType: "Opening",
+            unitCost: i.unitCost,
+            source: { model: "OpeningBalance", id: openingBalanceId },
+            date: result.asOfDate,
+          }
+        );
+        await Item.findByIdAndUpdate(
+          i.item,
+          { $set: { purchasePrice: i.unitCost } },
+          { session }
+        );
+      }
+
+      const [openingBalance] = await OpeningBalance.create(
+        [
+          {
+            _id: openingBalanceId,
+            tenantId,
+            asOfDate: result.asOfDate,
+            journalEntry: journalEntry._id,
+            customers: result.customers,
+            suppliers: result.suppliers,
+            items: result.items,
+            totalDebit: result.totalDebit,
+            totalCredit: result.totalCredit,
+            importedBy: userId,
+          },
+        ],
+        { session }
+      );
+
+      return openingBalance;
+    });
+  }
+}
+
+module.exports = OpeningBalanceService;
@@ -0,0 +1,523 @@
+const SupplierPayment = require("../models/SupplierPayment");
+const Supplier = require("../models/Supplier");
+const Purchase = require("../models/Purchase");
+const AccountingService = require("./accountingService");
+const TransactionService = require("./transactionService");
+const BankAccountService = require("./bankAccountService");
+const ChequeService = require("./chequeService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGEING_BUCKETS = [
+  "current",
+  "days1to30",
+  "days31to60",
+  "days61to90",
+  "over90",
+];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Payables Service - Supplier payment vouchers, bill settlement and
+ * aged payables
+ */
+class PayablesService {
+  /**
+   * Generate the next supplier payment voucher number for a tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<String>} Voucher number (e.g. SPV000001)
+   */
+  static async generateVoucherNo(tenantId, session = null) {
+    const count = await SupplierPayment.countDocuments({ tenantId }).session(
+      session
+    );
+    return `SPV${String(count + 1).padStart(6, "0")}`;
+  }
+
+  /**
+   * Validate bill allocations and apply them to the loaded bills in memory
+   * Nothing is saved; call recordBillPayments once posting succeeds
+   * @param {String} tenantId - Tenant ID
+   * @param {String|null} vendorCode - Restrict bills to this supplier (optional)
+   * @param {Array} allocations - [{ purchase | serialNo, amount }]
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} { allocations, purchases }
+   */
+  static async prepareBillAllocations(
+    tenantId,
+    vendorCode,
+    allocations,
+    session = null
+  ) {
+    const purchases = new Map();
+    const prepared = [];
+
+    for (const allocation of allocations || []) {
+      const amount = roundAmount(Number(allocation.amount) || 0);
+      if (amount <= 0) {
+        throw new Error("Each allocation requires an amount greater than zero");
+      }
+      if (!allocation.purchase && !allocation.serialNo) {
+        throw new Error("Each allocation requires a purchase bill");
+      }
+
+      const filter = { tenantId };
+      if (allocation.purchase) filter._id = allocation.purchase;
+      else filter.serialNo = String(allocation.serialNo).toUpperCase();
+      if (vendorCode) filter.vendorCode = vendorCode.toUpperCase();
+
+      const found = await Purchase.findOne(filter).session(session);
+      if (!found) {
+        throw new Error(
+          `Purchase bill ${
+            allocation.serialNo || allocation.purchase
+          } not found${vendorCode ? " for this supplier" : ""}`
+        );
+      }
+      // Reuse the in-memory copy when a bill is allocated twice
+      const purchase = purchases.get(String(found._id)) || found;
+      if (purchase.status === "cancelled") {
+        throw new Error(`Purchase bill ${purchase.serialNo} is cancelled`);
+      }
+
+      const outstanding = roundAmount(
+        purchase.netAmount - (purchase.amountPaid || 0)
+      );
+      if (amount > outstanding + 0.01) {
+        throw new Error(
+          `Allocation exceeds the outstanding balance of bill ${purchase.serialNo} (${outstanding})`
+        );
+      }
+
+      purchase.amountPaid = roundAmount((purchase.amountPaid || 0) + amount);
+      purchases.set(String(purchase._id), purchase);
+
+      prepared.push({
+        purchase: purchase._id,
+        serialNo: purchase.serialNo,
+        vendorInvoiceNo: purchase.vendorInvoiceNo,
+        amount,
+      });
+    }
+
+    return { allocations: prepared, purchases };
+  }
+
+  /**
+   * Save bills settled by a payment and record the payment on each bill
+   * @param {Map} purchases - Bills returned by prepareBillAllocations
+   * @param {Array} allocations - Allocations for this payment
+   * @param {Object} payment - { paymentModel, paymentId, reference, date, description }
+   * @param {ClientSession} session - Transaction session (optional)
+   */
+  static async recordBillPayments(
+    purchases,
+    allocations,
+    payment,
+    session = null
+  ) {
+    for (const purchase of purchases.values()) {
+      for (const allocation of allocations) {
+        if (String(allocation.purchase) !== String(purchase._id)) continue;
+
+        purchase.payments.push({
+          paymentModel: payment.paymentModel,
+          paymentId: payment.paymentId,
+          reference: payment.reference,
+          amount: allocation.amount,
+          date: payment.date || new Date(),
+          description: payment.description,
+        });
+      }
+      await purchase.save({ session });
+    }
+  }
+
+  /**
+   * Undo the bill settlements made by a payment
+   * @param {String} tenantId - Tenant ID
+   * @param {Array} allocations - [{ purchase, amount }]
+   * @param {String} paymentId - Payment whose entries are removed from the bills
+   * @param {ClientSession} session - Transaction session (optional)
+   */
+  static async reverseBillPayments(
+    tenantId,
+    allocations,
+    paymentId,
+    session = null
+  ) {
+    for (const allocation of allocations || []) {
+      const purchase = await Purchase.findOne({
+        _id: allocation.purchase,
+        tenantId,
+      }).session(session);
+      if (!purchase) continue;
+
+      purchase.amountPaid = Math.max(
+        roundAmount((purchase.amountPaid || 0) - allocation.amount),
+        0
+      );
+      purchase.payments = purchase.payments.filter(
+        (p) => String(p.paymentId) !== String(paymentId)
+      );
+      await purchase.save({ session });
+    }
+  }
+
+  /**
+   * Create and post a supplier payment voucher in one transaction
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - Voucher fields and bill allocations
+   * @param {String} userId - ID of the user recording the payment
+   * @returns {Promise<Object>} Saved voucher
+   */
+  static async createPayment(tenantId, data, userId) {
+    return TransactionService.run(async (session) => {
+      const supplier = await Supplier.findOne({
+        _id: data.supplier,
+        tenantId,
+      }).session(session);
+      if (!supplier) {
+        throw new Error("Supplier not found");
+      }
+
+      const bankAccount =
+        data.paymentMethod !== "Cash" && data.bankAccountRef
+          ? await BankAccountService.resolveBankAccount(
+              tenantId,
+              data.bankAccountRef,
+              session
+            )
+          : null;
+
+      const { allocations, purchases } = await this.prepareBillAllocations(
+        tenantId,
+        supplier.code,
+        data.allocations,
+        session
+      );
+
+      const payment = new SupplierPayment({
+        tenantId,
+        voucherNo:
+          data.voucherNo || (await this.generateVoucherNo(tenantId, session)),
+        date: data.date ? new Date(data.date) : new Date(),
+        supplier: supplier._id,
+        supplierCode: supplier.code,
+        supplierName: supplier.name,
+        paymentMethod: data.paymentMethod,
+        bankAccountRef: bankAccount ? bankAccount._id : undefined,
+        bankName: bankAccount ? bankAccount.bankName : data.bankName,
+        chequeNo: data.chequeNo,
+        chequeDate: data.chequeDate,
+        reference: data.reference,
+        amount: roundAmount(Number(data.amount)),
+        allocations,
+        project: data.project || undefined,
+        description: data.description,
+        createdBy: userId,
+      });
+      await payment.validate();
+
+      // Cheques stay in Issued Cheques Payable until the bank pays them
+      if (payment.paymentMethod === "Cheque") {
+        const cheque = await ChequeService.registerCheque(
+          {
+            tenantId,
+            direction: "Issued",
+            chequeNo: payment.chequeNo,
+            chequeDate: payment.chequeDate,
+            amount: payment.amount,
+            bankAccountRef: payment.bankAccountRef,
+            bankName: payment.bankName,
+            supplier: supplier._id,
+            project: payment.project,
+            partyName: supplier.name,
+            source: {
+              model: "SupplierPayment",
+              id: payment._id,
+              reference: payment.voucherNo,
+            },
+          },
+          userId,
+          session
+        );
+        payment.cheque = cheque._id;
+      }
+
+      const journalEntry = await AccountingService.createSupplierPaymentEntry(
+        {
+          tenantId,
+          supplierName: payment.supplierName,
+          amount: payment.amount,
+          paymentMethod: payment.paymentMethod,
+          cheque: payment.cheque,
+          bankAccountRef: payment.bankAccountRef,
+          bankName: payment.bankName,
+          date: payment.date,
+          project: payment.project,
+          sourceTransaction: {
+            model: "SupplierPayment",
+            id: payment._id,
+            reference: payment.voucherNo,
+          },
+        },
+        userId,
+        session
+      );
+      payment.journalEntry = journalEntry._id;
+
+      await payment.save({ session });
+      await this.recordBillPayments(
+        purchases,
+        payment.allocations,
+        {
+          paymentModel: "SupplierPayment",
+          paymentId: payment._id,
+          reference: payment.voucherNo,
+          date: payment.date,
+          description: payment.description || `Payment ${payment.voucherNo}`,
+        },
+        session
+      );
+
+      return payment;
+    });
+  }
+
+  /**
+   * Settle bills from the unallocated part of a voucher
+   * The amount was already posted to Accounts Payable, so no journal entry
+   * @param {Object} payment - Supplier payment document
+   * @param {Array} allocations - [{ purchase | serialNo, amount }]
+   * @returns {Promise<Object>} Updated voucher
+   */
+  static async allocatePayment(payment, allocations) {
+    if (payment.status === "Cancelled") {
+      throw new Error("Cannot allocate a cancelled payment");
+    }
+
+    return TransactionService.run(async (session) => {
+      const prepared = await this.prepareBillAllocations(
+        payment.tenantId,
+        payment.supplierCode,
+        allocations,
+        session
+      );
+      const amount = roundAmount(
+        prepared.allocations.reduce((sum, a) => sum + a.amount, 0)
+      );
+      if (amount <= 0) {
+        throw new Error("Please provide at least one allocation");
+      }
+      if (amount > payment.unallocatedAmount + 0.01) {
+        throw new Error(
+          `Allocations exceed the unallocated amount of ${payment.unallocatedAmount}`
+        );
+      }
+
+      const startIndex = payment.allocations.length;
+      prepared.allocations.forEach((allocation) => {
+        payment.allocations.push(allocation);
+      });
+      await payment.save({ session });
+      await this.recordBillPayments(
+        prepared.purchases,
+        payment.allocations.slice(startIndex),
+        {
+          paymentModel: "SupplierPayment",
+          paymentId: payment._id,
+          reference: payment.voucherNo,
+          date: new Date(),
+          description: `Allocation of payment ${payment.voucherNo}`,
+        },
+        session
+      );
+
+      return payment;
+    });
+  }
+
+  /**
+   * Cancel a voucher: reverse its journal entry and reopen the bills
+   * @param {Object} payment - Supplier payment document
+   * @param {String} userId - ID of the user cancelling
+   * @param {String} reason - Cancellation reason
+   * @param {ClientSession} session - Caller's transaction session (optional;
+   *   a new transaction is started without one)
+   * @returns {Promise<Object>} Cancelled voucher
+   */
+  static async cancelPayment(payment, userId, reason, session = null) {
+    if (payment.status === "Cancelled") {
+      throw new Error("Payment is already cancelled");
+    }
+
+    const cancel = async (session) => {
+      const reversalReason =
+        reason || `Supplier payment ${payment.voucherNo} cancelled`;
+      if (payment.cheque) {
+        await ChequeService.releaseCheque(
+          payment.cheque,
+          payment.tenantId,
+          userId,
+          reversalReason,
+          session
+        );
+      }
+
+      if (payment.journalEntry) {
+        await AccountingService.reverseJournalEntry(
+          payment.journalEntry,
+          userId,
+          reversalReason,
+          session
+        );
+      }
+
+      await this.reverseBillPayments(
+        payment.tenantId,
+        payment.allocations,
+        payment._id,
+        session
+      );
+
+      payment.status = "Cancelled";
+      payment.cancelledAt = new Date();
+      payment.cancelledBy = userId;
+      payment.cancellationReason = reason;
+      await payment.save({ session });
+
+      return payment;
+    };
+
+    return session ? cancel(session) : TransactionService.run(cancel);
+  }
+
+  /**
+   * Aged payables per supplier, computed from open bills
+   * Bills age from their due date (or bill date when no due date is set)
+   * @param {String} tenantId - Tenant ID
+   * @param {Date} asOfDate - Ageing date
+   * @param {String} supplierCode - Limit to one supplier (optional)
+   * @returns {Promise<Object>} { asOfDate, suppliers, totals }
+   */
+  static async getAgedPayables(tenantId, asOfDate = new Date(), supplierCode) {
+    const billFilter = {
+      tenantId,
+      status: { $ne: "cancelled" },
+      paymentStatus: { $ne: "paid" },
+      date: { $lte: asOfDate },
+    };
+    const paymentFilter = {
+      tenantId,
+      status: "Posted",
+      unallocatedAmount: { $gt: 0 },
+      date: { $lte: asOfDate },
+    };
+    if (supplierCode) {
+      billFilter.vendorCode = supplierCode.toUpperCase();
+      paymentFilter.supplierCode = supplierCode.toUpperCase();
+    }
+
+    const bills = await Purchase.find(billFilter)
+      .select(
+        "serialNo vendorInvoiceNo vendorCode vendorName date dueDate netAmount amountPaid"
+      )
+      .sort({ date: 1 });
+    const onAccountPayments = await SupplierPayment.find(paymentFilter).select(
+      "supplierCode supplierName unallocatedAmount"
+    );
+
+    const emptyBuckets = () =>
+      AGEING_BUCKETS.reduce((buckets, key) => ({ ...buckets, [key]: 0 }), {});
+
+    const bySupplier = new Map();
+    const getSupplier = (code, name) => {
+      const key = code || name;
+      if (!bySupplier.has(key)) {
+        bySupplier.set(key, {
+          supplierCode: code || "",
+          supplierName: name,
+          ...emptyBuckets(),
+          totalOutstanding: 0,
+          unallocatedPayments: 0,
+          netPayable: 0,
+          bills: [],
+        });
+      }
+      return bySupplier.get(key);
+    };
+
+    for (const bill of bills) {
+      const outstanding = roundAmount(bill.netAmount - (bill.amountPaid || 0));
+      if (outstanding <= 0.01) continue;
+
+      const dueDate = bill.dueDate || bill.date;
+      const daysOverdue = Math.floor((asOfDate - dueDate) / DAY_MS);
+      let bucket = "current";
+      if (daysOverdue > 90) bucket = "over90";
+      else if (daysOverdue > 60) bucket = "days61to90";
+      else if (daysOverdue > 30) bucket = "days31to60";
+      else if (daysOverdue > 0) bucket = "days1to30";
+
+      const supplier = getSupplier(bill.vendorCode, bill.vendorName);
+      supplier[bucket] = roundAmount(supplier[bucket] + outstanding);
+      supplier.totalOutstanding = roundAmount(
+        supplier.totalOutstanding + outstanding
+      );
+      supplier.bills.push({
+        _id: bill._id,
+        serialNo: bill.serialNo,
+        vendorInvoiceNo: bill.vendorInvoiceNo,
+        date: bill.date,
+        dueDate,
+        netAmount: bill.netAmount,
+        amountPaid: bill.amountPaid || 0,
+        outstanding,
+        daysOverdue: Math.max(daysOverdue, 0),
+        bucket,
+      });
+    }
+
+    for (const payment of onAccountPayments) {
+      const supplier = getSupplier(payment.supplierCode, payment.supplierName);
+      supplier.unallocatedPayments = roundAmount(
+        supplier.unallocatedPayments + payment.unallocatedAmount
+      );
+    }
+
+    const suppliers = [...bySupplier.values()]
+      .map((supplier) => ({
+        ...supplier,
+        netPayable: roundAmount(
+          supplier.totalOutstanding - supplier.unallocatedPayments
+        ),
+      }))
+      .sort((a, b) => b.totalOutstanding - a.totalOutstanding);
+
+    const totals = suppliers.reduce(
+      (sum, supplier) => {
+        [
+          ...AGEING_BUCKETS,
+          "totalOutstanding",
+          "unallocatedPayments",
+          "netPayable",
+        ].forEach((key) => {
+          sum[key] = roundAmount(sum[key] + supplier[key]);
+        });
+        return sum;
+      },
+      {
+        ...emptyBuckets(),
+        totalOutstanding: 0,
+        unallocatedPayments: 0,
+        netPayable: 0,
+      }
+    );
+
+    return { asOfDate, suppliers, totals };
+  }
+}
+
+module.exports = PayablesService;
@@ -0,0 +1,594 @@
+const Boq = require("../models/Boq");
+const Customer = require("../models/Customer");
+const GeneralLedger = require("../models/GeneralLedger");
+const PaymentCertificate = require("../models/PaymentCertificate");
+const Project = require("../models/Project");
+const SalesInvoice = require("../models/SalesInvoice");
+const TaxService = require("./taxService");
+const TransactionService = require("./transactionService");
+
+const round = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Payment Certificate Service - Interim payment certificates and progress
+ * billing of contract projects
+ */
+class PaymentCertificateService {
+  /**
+   * Load a project of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Project
+   */
+  static async getProject(tenantId, projectId, session = null) {
+    const project = await Project.findOne({ _id: projectId, tenantId }).session(
+      session
+    );
+    if (!project) throw notFound("Project not found");
+    return project;
+  }
+
+  /**
+   * Load a payment certificate of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {String} certificateId - Certificate ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Payment certificate
+   */
+  static async getCertificate(tenantId, certificateId, session = null) {
+    const certificate = await PaymentCertificate.findOne({
+      _id: certificateId,
+      tenantId,
+    }).session(session);
+    if (!certificate) throw notFound("Payment certificate not found");
+    return certificate;
+  }
+
+  /**
+   * Work certified to date per BOQ line on the last approved certificate
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Last approved certificate or null
+   */
+  static async getLastApproved(tenantId, projectId, session = null) {
+    return PaymentCertificate.findOne({
+      tenantId,
+      project: projectId,
+      status: "Approved",
+    })
+      .sort({ sequence: -1 })
+      .session(session);
+  }
+
+  /**
+   * Advance already recovered on approved certificates of a project
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Number>} Amount recovered
+   */
+  static async getAdvanceRecovered(tenantId, projectId, session = null) {
+    const certificates = await PaymentCertificate.find({
+      tenantId,
+      project: projectId,
+      status: "Approved",
+    })
+      .select("advanceRecovery")
+      .session(session);
+
+    return round(
+      certificates.reduce((sum, c) => sum + (c.advanceRecovery || 0), 0)
+    );
+  }
+
+  /**
+   * Work out the lines and amounts of a certificate
+   * Progress is entered as the cumulative percent complete per BOQ line;
+   * lines left out stay where the previous certificate put them. The
+   * current figures are the movement since that certificate.
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} certificate - Payment certificate document
+   * @param {Array} progress - [{ boqLine, cumulativePercent }] (optional)
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} The certificate with its figures set
+   */
+  static async calculateCertificate(
+    tenantId,
+    certificate,
+    progress,
+    session = null
+  ) {
+    const project = await this.getProject(
+      tenantId,
+      certificate.project,
+      session
+    );
+    const boq = await Boq.findOne({ tenantId, project: project._id }).session(
+      session
+    );
+    if (!boq || boq.lines.length === 0) {
+      throw new Error("The project has no BOQ to certify against");
+    }
+
+    const previous = await this.getLastApproved(
+      tenantId,
+      project._id,
+      session
+    );
+    const previousLines = new Map(
+      (previous ? previous.lines : []).map((line) => [
+        String(line.boqLine),
+        line,
+      ])
+    );
+    const currentLines = new Map(
+      certificate.lines.map((line) => [String(line.boqLine), line])
+    );
+
+    const percents = new Map();
+    if (progress !== undefined) {
+      if (!Array.isArray(progress)) {
+        throw new Error("Certificate lines must be a list");
+      }
+      const boqIds = new Set(boq.lines.map((line) => String(line._id)));
+      for (const entry of progress) {
+        const id = String(entry.boqLine);
+        const percent = Number(entry.cumulativePercent);
+        if (!boqIds.has(id)) {
+          throw new Error(`BOQ line ${entry.boqLine} not found`);
+        }
+        if (isNaN(percent) || percent < 0 || percent > 100) {
+          throw new Error(
+            "Cumulative percent complete must be between 0 and 100"
+          );
+        }
+        percents.set(id, percent);
+      }
+    }
+
+    certificate.lines = boq.lines.map((boqLine) => {
+      const id = String(boqLine._id);
+      const previousLine = previousLines.get(id);
+      const previousPercent = previousLine
+        ? previousLine.cumulativePercent
+        : 0;
+      const previousQuantity = previousLine
+        ? previousLine.cumulativeQuantity
+        : 0;
+      const previousAmount = previousLine ? previousLine.cumulativeAmount : 0;
+
+      const cumulativePercent = percents.has(id)
+        ? percents.get(id)
+        : currentLines.has(id)
+        ? currentLines.get(id).cumulativePercent
+        : previousPercent;
+      const label = boqLine.itemNo || boqLine.description;
+      if (cumulativePercent < previousPercent) {
+        throw new Error(
+          `Progress on BOQ item ${label} cannot go below the ${previousPercent}% already certified`
+        );
+      }
+
+      const cumulativeQuantity = roundQuantity(
+        (boqLine.quantity * cumulativePercent) / 100
+      );
+      const currentQuantity = roundQuantity(
+        Math.max(cumulativeQuantity - previousQuantity, 0)
+      );
+      const currentAmount = round(currentQuantity * boqLine.rate);
+
+      return {
+        boqLine: boqLine._id,
+        itemNo: boqLine.itemNo,
+        description: boqLine.description,
+        unit: boqLine.unit,
+        contractQuantity: boqLine.quantity,
+        rate: boqLine.rate,
+        contractAmount: boqLine.amount,
+        previousPercent,
+        cumulativePercent,
+        previousQuantity,
+        cumulativeQuantity,
+        previousAmount,
+        cumulativeAmount: round(previousAmount + currentAmount),
+        currentQuantity,
+        currentAmount,
+      };
+    });
+
+    const grossAmount = round(
+      certificate.lines.reduce((sum, line) => sum + line.currentAmount, 0)
+    );
+    certificate.previousGross = previous ? previous.grossToDate : 0;
+    certificate.grossAmount = grossAmount;
+    certificate.grossToDate = round(certificate.previousGross + grossAmount);
+
+    // Deductions follow the contract terms on the project
+    certificate.retentionPercent = project.retentionPercent || 0;
+    certificate.retentionAmount = round(
+      (grossAmount * certificate.retentionPercent) / 100
+    );
+
+    certificate.advanceRecoveryPercent = project.advanceRecoveryPercent || 0;
+    const advanceOutstanding = Math.max(
+      (project.advanceAmount || 0) -
+        (await this.getAdvanceRecovered(tenantId, project._id, session)),
+      0
+    );
+    certificate.advanceRecovery = round(
+      Math.min(
+        (grossAmount * certificate.advanceRecoveryPercent) / 100,
+        advanceOutstanding
+      )
+    );
+
+    certificate.taxPercent = 0;
+    if (certificate.taxCode) {
+      const taxCode = await TaxService.resolveTaxCode(
+        tenantId,
+        certificate.taxCode,
+        "Output"
+      );
+      certificate.taxCode = taxCode.code;
+      certificate.taxPercent = taxCode.rate;
+    }
+    certificate.taxAmount = TaxService.calculateTax(
+      grossAmount,
+      certificate.taxPercent
+    );
+
+    certificate.netAmount = round(
+      grossAmount -
+        certificate.retentionAmount -
+        certificate.advanceRecovery +
+        certificate.taxAmount
+    );
+
+    return certificate;
+  }
+
+  /**
+   * Copy the editable header fields of a certificate
+   * @param {Object} certificate - Payment certificate document
+   * @param {Object} data - { date, periodFrom, periodTo, taxCode, remarks }
+   */
+  static applyHeader(certificate, data) {
+    const fields = ["date", "periodFrom", "periodTo", "taxCode", "remarks"];
+    for (const field of fields) {
+      if (data[field] !== undefined) certificate[field] = data[field];
+    }
+  }
+
+  /**
+   * Draft the next payment certificate of a project
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { project, date, periodFrom, periodTo, taxCode,
+   *   remarks, lines: [{ boqLine, cumulativePercent }] }
+   * @param {String} userId - ID of the user drafting the certificate
+   * @returns {Promise<Object>} Draft certificate
+   */
+  static async createCertificate(tenantId, data, userId) {
+    if (!data.project) {
+      throw new Error("Please provide a project");
+    }
+    const project = await this.getProject(tenantId, data.project);
+    if (!project.customer) {
+      throw new Error(
+        "Please set the client of the project before certifying work"
+      );
+    }
+    const customer = await Customer.findOne({
+      _id: project.customer,
+      tenantId,
+    });
+    if (!customer) throw notFound("Customer not found");
+
+    const draft = await PaymentCertificate.exists({
+      tenantId,
+      project: project._id,
+      status: "Draft",
+    });
+    if (draft) {
+      throw new Error(
+        "The project already has a draft certificate; approve or delete it first"
+      );
+    }
+
+    const last = await PaymentCertificate.findOne({
+      tenantId,
+      project: project._id,
+    })
+      .sort({ sequence: -1 })
+      .select("sequence");
+    const count = await PaymentCertificate.countDocuments({ tenantId });
+
+    const certificate = new PaymentCertificate({
+      tenantId,
+      certificateNo: `IPC${String(count + 1).padStart(6, "0")}`,
+      sequence: last ? last.sequence + 1 : 1,
+      project: project._id,
+      customer: customer._id,
+      customerName: customer.name,
+      createdBy: userId,
+    });
+    this.applyHeader(certificate, data);
+
+    await this.calculateCertificate(tenantId, certificate, data.lines || []);
+    if (certificate.grossAmount <= 0) {
+      throw new Error("There is no new progress to certify");
+    }
+    await certificate.save();
+
+    return certificate;
+  }
+
+  /**
+   * Update a draft certificate; its figures are worked out again
+   * @param {String} tenantId - Tenant ID
+   * @param {String} certificateId - Certificate ID
+   * @param {Object} data - Header fields and lines as on create
+   * @returns {Promise<Object>} Updated certificate
+   */
+  static async updateCertificate(tenantId, certificateId, data) {
+    const certificate = await this.getCertificate(tenantId, certificateId);
+    if (certificate.status !== "Draft") {
+      throw new Error("Only draft certificates can be changed");
+    }
+
+    this.applyHeader(certificate, data);
+    await this.calculateCertificate(tenantId, certificate, data.lines);
+    await certificate.save();
+
+    return certificate;
+  }
+
+  /**
+   * Delete a draft certificate
+   * @param {String} tenantId - Tenant ID
+   * @param {String} certificateId - Certificate ID
+   * @returns {Promise<Object>} Deleted certificate
+   */
+  static async deleteCertificate(tenantId, certificateId) {
+    const certificate = await this.getCertificate(tenantId, certificateId);
+    if (certificate.status !== "Draft") {
+      throw new Error("Approved certificates cannot be deleted");
+    }
+
+    await PaymentCertificate.deleteOne({ _id: certificate._id, tenantId });
+    return certificate;
+  }
+
+  /**
+   * Approve a certificate and raise its sales invoice
+   * The figures are worked out again against the current BOQ. The invoice
+   * bills the gross work done less retention and advance recovery, and
+   * posts the deductions to Retention Receivable and Customer Advances.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} certificateId - Certificate ID
+   * @param {String} userId - ID of the approving user
+   * @returns {Promise<Object>} { certificate, salesInvoice }
+   */
+  static async approveCertificate(tenantId, certificateId, userId) {
+    return TransactionService.run(async (session) => {
+      const certificate = await this.getCertificate(
+        tenantId,
+        certificateId,
+        session
+      );
+      if (certificate.status !== "Draft") {
+        throw new Error("Certificate is already approved");
+      }
+
+      await this.calculateCertificate(
+        tenantId,
+        certificate,
+        undefined,
+        session
+      );
+      if (certificate.grossAmount <= 0) {
+        throw new Error("There is no new progress to certify");
+      }
+
+      const project = await this.getProject(
+        tenantId,
+        certificate.project,
+        session
+      );
+      const customer = await Customer.findOne({
+        _id: certificate.customer,
+        tenantId,
+      }).session(session);
+      if (!customer) throw notFound("Customer not found");
+
+      // One invoice item per BOQ line with work billed on this certificate
+      const items = certificate.lines
+        .map((line, index) => ({
+          itemType: "Inventory",
+          itemCode: `BOQ-${line.itemNo || index + 1}`,
+          description: `${line.description} (${line.previousPercent}% to ${line.cumulativePercent}%)`,
+          quantity: line.currentQuantity,
+          unit: line.unit,
+          rate: line.rate,
+          taxCode: certificate.taxCode || undefined,
+          taxPercent: certificate.taxPercent,
+          netAmount: line.currentAmount,
+        }))
+        .filter((item) => item.netAmount > 0);
+
+      const [salesInvoice] = await SalesInvoice.create(
+        [
+          {
+            tenantId,
+            date: certificate.date,
+            purchaseOrderNo: project.orderNo,
+            termsOfPayment: "Credit",
+            customer: customer._id,
+            customerCode: customer.code,
+            customerName: customer.name,
+            address: customer.address,
+            telephone: customer.phone,
+            items,
+            project: project._id,
+            jobNo: project.jobNo,
+            jobDescription: `Interim Payment Certificate No. ${certificate.sequence} (${certificate.certificateNo})`,
+            remarks: certificate.remarks,
+            paymentCertificate: certificate._id,
+            retentionAmount: certificate.retentionAmount,
+            advanceRecovery: certificate.advanceRecovery,
+            amountReceived: 0,
+            createdBy: userId,
+          },
+        ],
+        { session }
+      );
+
+      await Customer.findByIdAndUpdate(
+        customer._id,
+        {
+          $inc: {
+            totalPurchase: salesInvoice.netTotal,
+            balance: salesInvoice.balance,
+          },
+        },
+        { session }
+      );
+
+      certificate.status = "Approved";
+      certificate.salesInvoice = salesInvoice._id;
+      certificate.approvedBy = userId;
+      certificate.approvedAt = new Date();
+      await certificate.save({ session });
+
+      return { certificate, salesInvoice };
+    });
+  }
+
+  /**
+   * Progress billing position of a project
+   * Billed figures come from approved certificates; retention held is the
+   * project's Retention Receivable balance, so retention released by
+   * journal entry is reflected.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @returns {Promise<Object>} Billing summary
+   */
+  static async getBillingSummary(tenantId, projectId) {
+    const project = await this.getProject(tenantId, projectId);
+    const boq = await Boq.findOne({ tenantId, project: project._id });
+    const certificates = await PaymentCertificate.find({
+      tenantId,
+      project: project._id,
+      status: "Approved",
+    }).sort({ sequence: 1 });
+
+    const totals = certificates.reduce(
+      (acc, c) => {
+        acc.grossBilled += c.grossAmount;
+        acc.retentionDeducted += c.retentionAmount;
+        acc.advanceRecovered += c.advanceRecovery;
+        acc.taxAmount += c.taxAmount;
+        acc.netCertified += c.netAmount;
+        return acc;
+      },
+      {
+        grossBilled: 0,
+        retentionDeducted: 0,
+        advanceRecovered: 0,
+        taxAmount: 0,
+        netCertified: 0,
+      }
+    );
+
+    const retention = await GeneralLedger.aggregate([
+      {
+        $match: {
+          tenantId,
+          project: project._id,
+          accountCode: "1210",
+          status: { $in: ["Active", "Reversed"] },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          totalDebit: { $sum: "$debit" },
+          totalCredit: { $sum: "$credit" },
+        },
+      },
+    ]);
+    const retentionHeld =
+      retention.length > 0
+        ? retention[0].totalDebit - retention[0].totalCredit
+        : 0;
+
+    const boqTotal = boq ? boq.totalAmount : 0;
+    const contractValue = project.valueOfJob || boqTotal;
+    const last = certificates[certificates.length - 1];
+    const billedByLine = new Map(
+      (last ? last.lines : []).map((line) => [String(line.boqLine), line])
+    );
+
+    return {
+      project: {
+        _id: project._id,
+        name: project.name,
+        code: project.code,
+        customer: project.customer,
+      },
+      contractValue: round(contractValue),
+      boqTotal: round(boqTotal),
+      certificates: certificates.length,
+      lastCertificate: last
+        ? {
+            _id: last._id,
+            certificateNo: last.certificateNo,
+            sequence: last.sequence,
+            date: last.date,
+          }
+        : null,
+      grossBilledToDate: round(totals.grossBilled),
+      remainingContractValue: round(contractValue - totals.grossBilled),
+      percentBilled:
+        contractValue > 0
+          ? round((totals.grossBilled / contractValue) * 100)
+          : 0,
+      retentionDeducted: round(totals.retentionDeducted),
+      retentionHeld: round(retentionHeld),
+      advance: {
+        amount: project.advanceAmount || 0,
+        recovered: round(totals.advanceRecovered),
+        outstanding: round(
+          Math.max((project.advanceAmount || 0) - totals.advanceRecovered, 0)
+        ),
+      },
+      taxAmount: round(totals.taxAmount),
+      netCertified: round(totals.netCertified),
+      lines: (boq ? boq.lines : []).map((line) => {
+        const billed = billedByLine.get(String(line._id));
+        return {
+          boqLine: line._id,
+          itemNo: line.itemNo,
+          description: line.description,
+          unit: line.unit,
+          quantity: line.quantity,
+          rate: line.rate,
+          amount: line.amount,
+          percentComplete: billed ? billed.cumulativePercent : 0,
+          quantityBilled: billed ? billed.cumulativeQuantity : 0,
+          amountBilled: billed ? billed.cumulativeAmount : 0,
+        };
+      }),
+    };
+  }
+}
+
+module.exports = PaymentCertificateService;
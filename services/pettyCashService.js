@@ -0,0 +1,464 @@
+const ChartOfAccount = require("../models/ChartOfAccount");
+const PettyCashFund = require("../models/PettyCashFund");
+const PettyCashExpense = require("../models/PettyCashExpense");
+const PettyCashReplenishment = require("../models/PettyCashReplenishment");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const AccountingService = require("./accountingService");
+const BankAccountService = require("./bankAccountService");
+const TransactionService = require("./transactionService");
+
+// Petty cash ledger accounts are numbered 1051, 1052, ... under Cash (1000)
+const PETTY_CASH_CODE_PATTERN = /^10[5-9]\d$/;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Petty Cash Service - Imprest funds held by custodians, their expenses,
+ * approvals and replenishments
+ */
+class PettyCashService {
+  /**
+   * Next free petty cash ledger account code (1051, 1052, ...)
+   * @param {String} tenantId - Tenant ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<String>} Account code
+   */
+  static async nextAccountCode(tenantId, session = null) {
+    const accounts = await ChartOfAccount.find({
+      tenantId,
+      code: PETTY_CASH_CODE_PATTERN,
+    })
+      .select("code")
+      .session(session);
+
+    const highest = accounts.reduce(
+      (max, account) => Math.max(max, Number(account.code)),
+      1050
+    );
+    if (highest >= 1099) {
+      throw new Error(
+        "No free petty cash account codes left between 1051 and 1099"
+      );
+    }
+
+    return String(highest + 1);
+  }
+
+  /**
+   * Next document number for a tenant, e.g. PCE000001
+   * @param {Model} Model - Petty cash expense or replenishment model
+   * @param {String} prefix - Number prefix
+   * @param {String} tenantId - Tenant ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<String>} Document number
+   */
+  static async nextNumber(Model, prefix, tenantId, session = null) {
+    const count = await Model.countDocuments({ tenantId }).session(session);
+    return `${prefix}${String(count + 1).padStart(6, "0")}`;
+  }
+
+  /**
+   * Check the custodian and project of a fund belong to the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { custodian, project }
+   */
+  static async validateFundLinks(tenantId, data) {
+    if (data.custodian) {
+      const custodian = await User.findOne({ _id: data.custodian, tenantId });
+      if (!custodian) {
+        throw new Error("Custodian not found");
+      }
+    }
+    if (data.project) {
+      const project = await Project.findOne({ _id: data.project, tenantId });
+      if (!project) {
+        throw new Error("Project not found");
+      }
+    }
+  }
+
+  /**
+   * Create a petty cash fund with its own ledger account
+   * The fund starts empty; its first replenishment pays out the float
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { name, custodian, project, imprestAmount }
+   * @param {String} userId - ID of the user creating the fund
+   * @returns {Promise<Object>} Created fund
+   */
+  static async createFund(tenantId, data, userId) {
+    if (!data.name || !data.custodian || !(Number(data.imprestAmount) > 0)) {
+      throw new Error(
+        "Please provide the fund name, custodian and an imprest amount greater than zero"
+      );
+    }
+    await this.validateFundLinks(tenantId, data);
+
+    return TransactionService.run(async (session) => {
+      const account = await AccountingService.getOrCreateAccount(
+        await this.nextAccountCode(tenantId, session),
+        `Petty Cash - ${data.name}`,
+        "Asset",
+        tenantId,
+        session
+      );
+
+      const [fund] = await PettyCashFund.create(
+        [
+          {
+            tenantId,
+            name: data.name,
+            custodian: data.custodian,
+            project: data.project || undefined,
+            imprestAmount: roundAmount(Number(data.imprestAmount)),
+            account: account._id,
+            accountCode: account.code,
+            createdBy: userId,
+          },
+        ],
+        { session }
+      );
+
+      return fund;
+    });
+  }
+
+  /**
+   * Float position of a fund
+   * Cash in hand is the ledger balance less expenses still awaiting
+   * approval; the replenishment due tops the ledger balance back up to the
+   * imprest amount
+   * @param {Object} fund - Petty cash fund document
+   * @returns {Promise<Object>} Float status
+   */
+  static async getFundStatus(fund) {
+    // Same tenant-scoped ledger balance as a bank account's
+    const ledgerBalance = await BankAccountService.getBalance(fund);
+
+    const totals = await PettyCashExpense.aggregate([
+      {
+        $match: {
+          tenantId: fund.tenantId,
+          fund: fund._id,
+          status: { $in: ["Pending", "Approved"] },
+        },
+      },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          amount: { $sum: "$amount" },
+        },
+      },
+    ]);
+    const byStatus = (status) => {
+      const row = totals.find((t) => t._id === status);
+      return {
+        count: row ? row.count : 0,
+        amount: roundAmount(row ? row.amount : 0),
+      };
+    };
+    const pending = byStatus("Pending");
+    const approved = byStatus("Approved");
+    const cashInHand = roundAmount(ledgerBalance - pending.amount);
+
+    return {
+      imprestAmount: fund.imprestAmount,
+      ledgerBalance,
+      pendingExpenses: pending,
+      approvedExpenses: approved,
+      cashInHand,
+      replenishmentDue: Math.max(
+        roundAmount(fund.imprestAmount - ledgerBalance),
+        0
+      ),
+      // Share of the float spent, including expenses awaiting approval
+      utilisation: roundAmount(
+        ((fund.imprestAmount - cashInHand) / fund.imprestAmount) * 100
+      ),
+      lastReplenishedAt: fund.lastReplenishedAt,
+    };
+  }
+
+  /**
+   * Record an expense paid out of a fund, pending approval
+   * @param {Object} fund - Petty cash fund document
+   * @param {Object} data - { date, accountCode, accountName, description,
+   *   payee, billNo, project, amount }
+   * @param {String} userId - ID of the user recording the expense
+   * @returns {Promise<Object>} Created expense
+   */
+  static async recordExpense(fund, data, userId) {
+    if (!fund.isActive) {
+      throw new Error(`Petty cash fund ${fund.name} is inactive`);
+    }
+
+    const amount = roundAmount(Number(data.amount) || 0);
+    if (!data.accountCode || !data.accountName || amount <= 0) {
+      throw new Error(
+        "Each expense must have account code, name, and an amount greater than zero"
+      );
+    }
+
+    const { cashInHand } = await this.getFundStatus(fund);
+    if (amount > cashInHand + 0.01) {
+      throw new Error(
+        `Expense (${amount}) exceeds the cash in hand of ${fund.name} (${cashInHand})`
+      );
+    }
+
+    return PettyCashExpense.create({
+      tenantId: fund.tenantId,
+      fund: fund._id,
+      expenseNo: await this.nextNumber(
+        PettyCashExpense,
+        "PCE",
+        fund.tenantId
+      ),
+      date: data.date ? new Date(data.date) : new Date(),
+      accountCode: data.accountCode,
+      accountName: data.accountName,
+      description: data.description,
+      payee: data.payee,
+      billNo: data.billNo,
+      project: data.project || fund.project,
+      amount,
+      createdBy: userId,
+    });
+  }
+
+  /**
+   * Load pending expenses of a fund for approval or rejection
+   * @param {Object} fund - Petty cash fund document
+   * @param {Array} expenseIds - Expense IDs
+   * @returns {Promise<Array>} Expenses
+   */
+  static async getPendingExpenses(fund, expenseIds) {
+    if (!Array.isArray(expenseIds) || expenseIds.length === 0) {
+      throw new Error("Please select the expenses");
+    }
+
+    const expenses = await PettyCashExpense.find({
+      _id: { $in: expenseIds },
+      tenantId: fund.tenantId,
+      fund: fund._id,
+    });
+    if (expenses.length !== new Set(expenseIds.map(String)).size) {
+      throw new Error("One or more expenses were not found in this fund");
+    }
+
+    const notPending = expenses.find((e) => e.status !== "Pending");
+    if (notPending) {
+      throw new Error(
+        `Expense ${notPending.expenseNo} is already ${notPending.status.toLowerCase()}`
+      );
+    }
+
+    return expenses;
+  }
+
+  /**
+   * Approve a batch of expenses and post them in one journal entry
+   * @param {Object} fund - Petty cash fund document
+   * @param {Array} expenseIds - Expense IDs
+   * @param {String} userId - ID of the approver
+   * @param {Date} date - Posting date (defaults to today)
+   * @returns {Promise<Object>} { journalEntry, expenses }
+   */
+  static async approveExpenses(fund, expenseIds, userId, date) {
+    const expenses = await this.getPendingExpenses(fund, expenseIds);
+    const approvedAt = date ? new Date(date) : new Date();
+
+    return TransactionService.run(async (session) => {
+      const journalEntry =
+        await AccountingService.createPettyCashExpenseJournalEntry(
+          fund,
+          expenses,
+          approvedAt,
+          userId,
+          session
+        );
+
+      for (const expense of expenses) {
+        expense.status = "Approved";
+        expense.approvedBy = userId;
+        expense.approvedAt = approvedAt;
+        expense.journalEntry = journalEntry._id;
+        await expense.save({ session });
+      }
+
+      return { journalEntry, expenses };
+    });
+  }
+
+  /**
+   * Reject a batch of expenses; the custodian must account for the cash
+   * @param {Object} fund - Petty cash fund document
+   * @param {Array} expenseIds - Expense IDs
+   * @param {String} reason - Rejection reason
+   * @param {String} userId - ID of the approver
+   * @returns {Promise<Array>} Rejected expenses
+   */
+  static async rejectExpenses(fund, expenseIds, reason, userId) {
+    const expenses = await this.getPendingExpenses(fund, expenseIds);
+
+    return TransactionService.run(async (session) => {
+      for (const expense of expenses) {
+        expense.status = "Rejected";
+        expense.rejectionReason = reason;
+        expense.approvedBy = userId;
+        expense.approvedAt = new Date();
+        await expense.save({ session });
+      }
+
+      return expenses;
+    });
+  }
+
+  /**
+   * Top a fund back up to its imprest amount
+   * Covers the approved expenses posted since the last replenishment;
+   * expenses still pending approval wait for the next one
+   * @param {Object} fund - Petty cash fund document
+   * @param {Object} data - { date, paymentMethod, bankAccountRef, remarks }
+   * @param {String} userId - ID of the user replenishing
+   * @returns {Promise<Object>} Replenishment voucher
+   */
+  static async replenishFund(fund, data, userId) {
+    if (!fund.isActive) {
+      throw new Error(`Petty cash fund ${fund.name} is inactive`);
+    }
+
+    const paymentMethod = data.paymentMethod || "Cash";
+    if (!["Cash", "Bank Transfer"].includes(paymentMethod)) {
+      throw new Error("Payment method must be Cash or Bank Transfer");
+    }
+    const bankAccount =
+      paymentMethod === "Bank Transfer"
+        ? await BankAccountService.resolveBankAccount(
+            fund.tenantId,
+            data.bankAccountRef
+          )
+        : null;
+
+    const status = await this.getFundStatus(fund);
+    if (status.replenishmentDue <= 0) {
+      throw new Error(
+        `Petty cash fund ${fund.name} is already at its imprest amount`
+      );
+    }
+
+    return TransactionService.run(async (session) => {
+      const expenses = await PettyCashExpense.find({
+        tenantId: fund.tenantId,
+        fund: fund._id,
+        status: "Approved",
+      }).session(session);
+
+      const [replenishment] = await PettyCashReplenishment.create(
+        [
+          {
+            tenantId: fund.tenantId,
+            voucherNo: await this.nextNumber(
+              PettyCashReplenishment,
+              "PCR",
+              fund.tenantId,
+              session
+            ),
+            fund: fund._id,
+            date: data.date ? new Date(data.date) : new Date(),
+            paymentMethod,
+            bankAccountRef: bankAccount ? bankAccount._id : undefined,
+            balanceBefore: status.ledgerBalance,
+            amount: status.replenishmentDue,
+            imprestAmount: fund.imprestAmount,
+            expenses: expenses.map((e) => e._id),
+            expensesTotal: roundAmount(
+              expenses.reduce((sum, e) => sum + e.amount, 0)
+            ),
+            remarks: data.remarks,
+            createdBy: userId,
+          },
+        ],
+        { session }
+      );
+
+      const journalEntry =
+        await AccountingService.createPettyCashReplenishmentJournalEntry(
+          fund,
+          replenishment,
+          userId,
+          session
+        );
+      replenishment.journalEntry = journalEntry._id;
+      await replenishment.save({ session });
+
+      await PettyCashExpense.updateMany(
+        { _id: { $in: replenishment.expenses } },
+        { $set: { status: "Replenished", replenishment: replenishment._id } },
+        { session }
+      );
+
+      fund.lastReplenishedAt = replenishment.date;
+      await fund.save({ session });
+
+      return replenishment;
+    });
+  }
+
+  /**
+   * Float status of every fund, optionally for one custodian or project
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} filters - { custodian, project, includeInactive }
+   * @returns {Promise<Object>} { funds, totals }
+   */
+  static async getFloatReport(tenantId, filters = {}) {
+    const query = { tenantId };
+    if (filters.custodian) query.custodian = filters.custodian;
+    if (filters.project) query.project = filters.project;
+    if (!filters.includeInactive) query.isActive = true;
+
+    const funds = await PettyCashFund.find(query)
+      .populate("custodian", "name email")
+      .populate("project", "name")
+      .sort({ name: 1 });
+
+    const rows = [];
+    const totals = {
+      imprestAmount: 0,
+      ledgerBalance: 0,
+      pendingExpenses: 0,
+      cashInHand: 0,
+      replenishmentDue: 0,
+    };
+    for (const fund of funds) {
+      const status = await this.getFundStatus(fund);
+      rows.push({
+        fund: fund._id,
+        name: fund.name,
+        accountCode: fund.accountCode,
+        custodian: fund.custodian,
+        project: fund.project,
+        ...status,
+      });
+
+      totals.imprestAmount = roundAmount(
+        totals.imprestAmount + status.imprestAmount
+      );
+      totals.ledgerBalance = roundAmount(
+        totals.ledgerBalance + status.ledgerBalance
+      );
+      totals.pendingExpenses = roundAmount(
+        totals.pendingExpenses + status.pendingExpenses.amount
+      );
+      totals.cashInHand = roundAmount(totals.cashInHand + status.cashInHand);
+      totals.replenishmentDue = roundAmount(
+        totals.replenishmentDue + status.replenishmentDue
+      );
+    }
+
+    return { funds: rows, totals };
+  }
+}
+
+module.exports = PettyCashService;
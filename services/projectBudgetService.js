@@ -0,0 +1,381 @@
+const CostCode = require("../models/CostCode");
+const Project = require("../models/Project");
+const ProjectBudget = require("../models/ProjectBudget");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const GeneralLedger = require("../models/GeneralLedger");
+
+// Purchase orders that still commit money to their project
+const COMMITTING_ORDER_STATUSES = [
+  "Approved",
+  "Partially Received",
+  "Received",
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const monthOf = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+/**
+ * Project Budget Service - Project budgets by cost code and the
+ * budget-vs-actual report
+ */
+class ProjectBudgetService {
+  /**
+   * Check the cost codes on document lines and normalise them
+   * Lines without a cost code are left untagged
+   * @param {String} tenantId - Tenant ID
+   * @param {Array} lines - Lines with an optional costCode
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Map>} Cost code documents by code
+   */
+  static async resolveCostCodes(tenantId, lines, session = null) {
+    for (const line of lines) {
+      line.costCode = line.costCode
+        ? String(line.costCode).trim().toUpperCase()
+        : undefined;
+    }
+
+    const codes = [
+      ...new Set(lines.map((line) => line.costCode).filter(Boolean)),
+    ];
+    if (codes.length === 0) return new Map();
+
+    const costCodes = await CostCode.find({
+      tenantId,
+      code: { $in: codes },
+    }).session(session);
+    const byCode = new Map(costCodes.map((c) => [c.code, c]));
+
+    for (const code of codes) {
+      const costCode = byCode.get(code);
+      if (!costCode) {
+        throw new Error(`Cost code ${code} not found`);
+      }
+      if (!costCode.isActive) {
+        throw new Error(`Cost code ${code} is inactive`);
+      }
+    }
+
+    return byCode;
+  }
+
+  /**
+   * Load a project of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @returns {Promise<Object>} Project
+   */
+  static async getProject(tenantId, projectId) {
+    const project = await Project.findOne({ _id: projectId, tenantId });
+    if (!project) {
+      const error = new Error("Project not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    return project;
+  }
+
+  /**
+   * Validate budget lines and their monthly phasing
+   * @param {String} tenantId - Tenant ID
+   * @param {Array} lines - [{ costCode, amount, phasing: [{ month, amount }],
+   *   notes }]
+   * @returns {Promise<Array>} Budget lines ready to save
+   */
+  static async buildBudgetLines(tenantId, lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error("Please provide at least one budget line");
+    }
+
+    const budgetLines = lines.map((line) => ({
+      costCode: line.costCode,
+      amount: round(Number(line.amount)),
+      phasing: line.phasing || [],
+      notes: line.notes || "",
+    }));
+
+    for (const line of budgetLines) {
+      if (!line.costCode || isNaN(line.amount) || line.amount < 0) {
+        throw new Error(
+          "Each budget line requires a costCode and an amount of zero or more"
+        );
+      }
+    }
+
+    const costCodes = await this.resolveCostCodes(tenantId, budgetLines);
+
+    const seen = new Set();
+    for (const line of budgetLines) {
+      if (seen.has(line.costCode)) {
+        throw new Error(
+          `Cost code ${line.costCode} is budgeted more than once`
+        );
+      }
+      seen.add(line.costCode);
+      line.costCodeName = costCodes.get(line.costCode).name;
+
+      if (!Array.isArray(line.phasing)) {
+        throw new Error(
+          `Phasing of cost code ${line.costCode} must be a list`
+        );
+      }
+      if (line.phasing.length === 0) continue;
+
+      const months = new Set();
+      line.phasing = line.phasing.map((phase) => ({
+        month: String(phase.month || "").trim(),
+        amount: round(Number(phase.amount) || 0),
+      }));
+      for (const phase of line.phasing) {
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(phase.month)) {
+          throw new Error(
+            `Phase months of cost code ${line.costCode} must be in YYYY-MM format`
+          );
+        }
+        if (months.has(phase.month)) {
+          throw new Error(
+            `Month ${phase.month} is phased more than once for cost code ${line.costCode}`
+          );
+        }
+        if (phase.amount < 0) {
+          throw new Error(
+            `Phase amounts of cost code ${line.costCode} cannot be negative`
+          );
+        }
+        months.add(phase.month);
+      }
+      line.phasing.sort((a, b) => a.month.localeCompare(b.month));
+
+      const phased = round(
+        line.phasing.reduce((sum, phase) => sum + phase.amount, 0)
+      );
+      if (Math.abs(phased - line.amount) > 0.01) {
+        throw new Error(
+          `Phasing of cost code ${line.costCode} (${phased}) does not add up to its budget (${line.amount})`
+        );
+      }
+    }
+
+    return budgetLines;
+  }
+
+  /**
+   * Create or replace the budget of a project
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {Object} data - { lines, notes }
+   * @param {String} userId - ID of the user saving the budget
+   * @returns {Promise<Object>} Project budget
+   */
+  static async saveBudget(tenantId, projectId, data, userId) {
+    const project = await this.getProject(tenantId, projectId);
+    const lines = await this.buildBudgetLines(tenantId, data.lines);
+
+    let budget = await ProjectBudget.findOne({
+      tenantId,
+      project: project._id,
+    });
+    if (!budget) {
+      budget = new ProjectBudget({
+        tenantId,
+        project: project._id,
+        createdBy: userId,
+      });
+    }
+
+    budget.lines = lines;
+    if (data.notes !== undefined) budget.notes = data.notes;
+    budget.updatedBy = userId;
+    await budget.save();
+
+    return budget;
+  }
+
+  /**
+   * Budget, committed and actual cost of a project per cost code
+   * Committed is the unbilled part of approved purchase orders; actual is
+   * what has been posted to the ledger against the project. Remaining is
+   * the budget less both, and percentage used counts both as well.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {Object} options - { asOfDate }
+   * @returns {Promise<Object>} Budget-vs-actual report
+   */
+  static async getBudgetVsActual(tenantId, projectId, options = {}) {
+    const asOfDate = options.asOfDate ? new Date(options.asOfDate) : new Date();
+    if (isNaN(asOfDate.getTime())) {
+      throw new Error("Please provide a valid asOfDate");
+    }
+    asOfDate.setHours(23, 59, 59, 999);
+    const asOfMonth = monthOf(asOfDate);
+
+    const project = await this.getProject(tenantId, projectId);
+    const budget = await ProjectBudget.findOne({
+      tenantId,
+      project: project._id,
+    });
+
+    const rows = new Map();
+    const rowFor = (costCode, name) => {
+      if (!rows.has(costCode)) {
+        rows.set(costCode, {
+          costCode,
+          costCodeName: name || "",
+          budget: 0,
+          phasedBudget: 0,
+          committed: 0,
+          actual: 0,
+        });
+      }
+      return rows.get(costCode);
+    };
+
+    for (const line of budget ? budget.lines : []) {
+      const row = rowFor(line.costCode, line.costCodeName);
+      row.budget = line.amount;
+      // Budget planned up to the report month; unphased lines count in full
+      row.phasedBudget =
+        line.phasing.length > 0
+          ? line.phasing
+              .filter((phase) => phase.month <= asOfMonth)
+              .reduce((sum, phase) => sum + phase.amount, 0)
+          : line.amount;
+    }
+
+    // Committed: ordered but not yet billed
+    let unallocatedCommitted = 0;
+    const orders = await PurchaseOrder.find({
+      tenantId,
+      project: project._id,
+      status: { $in: COMMITTING_ORDER_STATUSES },
+    });
+    for (const order of orders) {
+      for (const line of order.lines) {
+        const open =
+          Math.max(line.quantity - (line.billedQty || 0), 0) * line.rate;
+        if (open <= 0) continue;
+        if (line.costCode) {
+          rowFor(line.costCode).committed += open;
+        } else {
+          unallocatedCommitted += open;
+        }
+      }
+    }
+
+    // Actual: ledger amounts posted against the project. A reversed entry
+    // and its reversal cancel out, so reversed rows are counted as well.
+    const ledger = await GeneralLedger.aggregate([
+      {
+        $match: {
+          tenantId,
+          project: project._id,
+          status: { $in: ["Active", "Reversed"] },
+          transactionType: { $ne: "Closing" },
+          date: { $lte: asOfDate },
+          $or: [
+            { costCode: { $nin: [null, ""] } },
+            { accountType: "Expense" },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: "$costCode",
+          totalDebit: { $sum: "$debit" },
+          totalCredit: { $sum: "$credit" },
+        },
+      },
+    ]);
+
+    let unallocatedActual = 0;
+    for (const entry of ledger) {
+      const amount = entry.totalDebit - entry.totalCredit;
+      if (entry._id) {
+        rowFor(entry._id).actual += amount;
+      } else {
+        unallocatedActual += amount;
+      }
+    }
+
+    // Names of cost codes that have spend but no budget line
+    const unnamed = [...rows.values()]
+      .filter((row) => !row.costCodeName)
+      .map((row) => row.costCode);
+    if (unnamed.length > 0) {
+      const costCodes = await CostCode.find({
+        tenantId,
+        code: { $in: unnamed },
+      });
+      for (const costCode of costCodes) {
+        rows.get(costCode.code).costCodeName = costCode.name;
+      }
+    }
+
+    const lines = [...rows.values()]
+      .map((row) => {
+        const used = row.committed + row.actual;
+        const percentageUsed = row.budget > 0 ? (used / row.budget) * 100 : 0;
+        return {
+          costCode: row.costCode,
+          costCodeName: row.costCodeName,
+          budget: round(row.budget),
+          phasedBudget: round(row.phasedBudget),
+          committed: round(row.committed),
+          actual: round(row.actual),
+          remaining: round(row.budget - used),
+          percentageUsed: round(percentageUsed),
+          status:
+            row.budget === 0 && used > 0
+              ? "unbudgeted"
+              : percentageUsed >= 100
+              ? "over"
+              : percentageUsed >= 90
+              ? "warning"
+              : "good",
+        };
+      })
+      .sort((a, b) => a.costCode.localeCompare(b.costCode));
+
+    const totals = lines.reduce(
+      (acc, line) => {
+        acc.budget += line.budget;
+        acc.phasedBudget += line.phasedBudget;
+        acc.committed += line.committed;
+        acc.actual += line.actual;
+        return acc;
+      },
+      { budget: 0, phasedBudget: 0, committed: 0, actual: 0 }
+    );
+    totals.committed += unallocatedCommitted;
+    totals.actual += unallocatedActual;
+    const totalUsed = totals.committed + totals.actual;
+
+    return {
+      project: {
+        _id: project._id,
+        name: project.name,
+        code: project.code,
+        estimatedCost: project.estimatedCost,
+      },
+      asOfDate,
+      hasBudget: !!budget,
+      lines,
+      unallocated: {
+        committed: round(unallocatedCommitted),
+        actual: round(unallocatedActual),
+      },
+      totals: {
+        budget: round(totals.budget),
+        phasedBudget: round(totals.phasedBudget),
+        committed: round(totals.committed),
+        actual: round(totals.actual),
+        remaining: round(totals.budget - totalUsed),
+        percentageUsed:
+          totals.budget > 0 ? round((totalUsed / totals.budget) * 100) : 0,
+      },
+    };
+  }
+}
+
+module.exports = ProjectBudgetService;
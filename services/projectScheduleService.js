@@ -0,0 +1,602 @@
+const Project = require("../models/Project");
+const ProjectTask = require("../models/ProjectTask");
+const User = require("../models/User");
+const TransactionService = require("./transactionService");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const parseDate = (value, field) => {
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Please provide a valid ${field}`);
+  }
+  return date;
+};
+
+/**
+ * Project Schedule Service - Work breakdown structure, progress roll-up
+ * and milestone delays
+ */
+class ProjectScheduleService {
+  /**
+   * Load a project of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Project
+   */
+  static async getProject(tenantId, projectId, session = null) {
+    const project = await Project.findOne({ _id: projectId, tenantId }).session(
+      session
+    );
+    if (!project) {
+      const error = new Error("Project not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    return project;
+  }
+
+  /**
+   * Whether a task or milestone is late and by how many days
+   * Open work is late once its planned end has passed; finished work is
+   * late when it finished after its planned end
+   * @param {Object} task - Task document or plain object
+   * @param {Date} today - Reference date
+   * @returns {Object} { isDelayed, delayDays }
+   */
+  static getDelay(task, today = new Date()) {
+    if (!task.plannedEnd) return { isDelayed: false, delayDays: 0 };
+
+    const due = startOfDay(task.plannedEnd);
+    const end =
+      task.percentComplete >= 100
+        ? startOfDay(task.actualEnd || today)
+        : startOfDay(today);
+    const delayDays = Math.max(Math.round((end - due) / DAY), 0);
+
+    return { isDelayed: delayDays > 0, delayDays };
+  }
+
+  /**
+   * Work weight of a leaf task for progress roll-up: its planned duration
+   * in days. Milestones carry no work.
+   * @param {Object} task - Task document
+   * @returns {Number} Weight
+   */
+  static getWeight(task) {
+    if (task.type === "Milestone") return 0;
+    if (!task.plannedStart || !task.plannedEnd) return 1;
+    const days = Math.round(
+      (startOfDay(task.plannedEnd) - startOfDay(task.plannedStart)) / DAY
+    );
+    return Math.max(days + 1, 1);
+  }
+
+  /**
+   * Progress of a group of sibling tasks, weighted by planned work
+   * A group of milestones only counts the share reached
+   * @param {Array} nodes - [{ weight, percentComplete, type }]
+   * @returns {Number} Percent complete
+   */
+  static rollUpProgress(nodes) {
+    const work = nodes.filter((node) => node.weight > 0);
+    if (work.length > 0) {
+      const total = work.reduce((sum, node) => sum + node.weight, 0);
+      const done = work.reduce(
+        (sum, node) => sum + node.weight * node.percentComplete,
+        0
+      );
+      return round(done / total);
+    }
+    if (nodes.length === 0) return 0;
+    const reached = nodes.filter((node) => node.percentComplete >= 100).length;
+    return round((reached / nodes.length) * 100);
+  }
+
+  /**
+   * Renumber the WBS, roll progress and dates up to the phases and store
+   * the overall progress on the project
+   * @param {Object} project - Project document
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Array>} Tasks of the project
+   */
+  static async refreshProject(project, session = null) {
+    const tasks = await ProjectTask.find({
+      tenantId: project.tenantId,
+      project: project._id,
+    }).session(session);
+
+    const children = new Map();
+    for (const task of tasks) {
+      const key = task.parent ? task.parent.toString() : "root";
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(task);
+    }
+    for (const list of children.values()) {
+      list.sort((a, b) => a.sequence - b.sequence || a.createdAt - b.createdAt);
+    }
+
+    // Walks a level of the tree and returns { weight, percentComplete } of
+    // each node there
+    const walk = (list, prefix) =>
+      list.map((task, index) => {
+        task.wbsCode = prefix ? `${prefix}.${index + 1}` : String(index + 1);
+
+        const kids = children.get(task._id.toString()) || [];
+        if (kids.length === 0) {
+          return {
+            weight: this.getWeight(task),
+            percentComplete: task.percentComplete,
+          };
+        }
+
+        const nodes = walk(kids, task.wbsCode);
+        task.percentComplete = this.rollUpProgress(nodes);
+
+        const dates = (field) =>
+          kids.filter((kid) => kid[field]).map((kid) => kid[field]);
+        const minDate = (field) =>
+          dates(field).reduce((min, d) => (!min || d < min ? d : min), null);
+        const maxDate = (field) =>
+          dates(field).reduce((max, d) => (!max || d > max ? d : max), null);
+        task.plannedStart = minDate("plannedStart") || task.plannedStart;
+        task.plannedEnd = maxDate("plannedEnd") || task.plannedEnd;
+        task.actualStart = minDate("actualStart");
+        task.actualEnd =
+          task.percentComplete >= 100 ? maxDate("actualEnd") : null;
+
+        return {
+          weight: nodes.reduce((sum, node) => sum + node.weight, 0),
+          percentComplete: task.percentComplete,
+        };
+      });
+
+    const roots = walk(children.get("root") || [], "");
+
+    for (const task of tasks) {
+      if (task.isModified()) await task.save({ session });
+    }
+
+    project.progress = this.rollUpProgress(roots);
+    await project.save({ session });
+
+    return tasks;
+  }
+
+  /**
+   * Validate task input and apply it to a task document
+   * @param {Object} task - New or existing task document
+   * @param {Object} data - Task fields from the request
+   * @param {Array} tasks - All other tasks of the project
+   * @param {ClientSession} session - Transaction session (optional)
+   */
+  static async applyTaskData(task, data, tasks, session = null) {
+    const byId = new Map(tasks.map((t) => [t._id.toString(), t]));
+    const id = task._id.toString();
+    const hasChildren = tasks.some(
+      (t) => t.parent && t.parent.toString() === id
+    );
+    const wasStarted = task.percentComplete > 0 || !!task.actualStart;
+
+    if (data.name !== undefined) task.name = data.name;
+    if (!task.name) {
+      throw new Error("Please provide a task name");
+    }
+    if (data.description !== undefined) task.description = data.description;
+    if (data.sequence !== undefined) task.sequence = Number(data.sequence) || 0;
+    if (data.notifyOnCompletion !== undefined) {
+      task.notifyOnCompletion = data.notifyOnCompletion !== false;
+    }
+
+    if (data.type !== undefined) {
+      if (!["Phase", "Task", "Milestone"].includes(data.type)) {
+        throw new Error("Type must be Phase, Task or Milestone");
+      }
+      if (data.type === "Milestone" && hasChildren) {
+        throw new Error("A milestone cannot have tasks under it");
+      }
+      task.type = data.type;
+    }
+
+    // Parent must be a phase or task of the same project, and not the task
+    // itself or anything under it
+    if (data.parent !== undefined) {
+      if (data.parent) {
+        const parent = byId.get(String(data.parent));
+        if (!parent) {
+          throw new Error("Parent task not found in this project");
+        }
+        if (parent.type === "Milestone") {
+          throw new Error("Tasks cannot be placed under a milestone");
+        }
+        for (let node = parent; node; ) {
+          if (node._id.toString() === id) {
+            throw new Error("A task cannot be placed under itself");
+          }
+          node = node.parent ? byId.get(node.parent.toString()) : null;
+        }
+        task.parent = parent._id;
+      } else {
+        task.parent = null;
+      }
+    }
+
+    if (data.responsible !== undefined) {
+      if (data.responsible) {
+        const user = await User.findOne({
+          _id: data.responsible,
+          tenantId: task.tenantId,
+        }).session(session);
+        if (!user) {
+          throw new Error("Responsible user not found");
+        }
+        task.responsible = user._id;
+      } else {
+        task.responsible = null;
+      }
+    }
+
+    for (const field of [
+      "plannedStart",
+      "plannedEnd",
+      "actualStart",
+      "actualEnd",
+    ]) {
+      if (data[field] !== undefined) {
+        task[field] = parseDate(data[field], field);
+      }
+    }
+    if (task.type === "Milestone" && task.plannedEnd) {
+      task.plannedStart = task.plannedEnd;
+    }
+
+    if (hasChildren) {
+      if (
+        data.percentComplete !== undefined ||
+        data.actualStart !== undefined ||
+        data.actualEnd !== undefined
+      ) {
+        throw new Error(
+          `Progress of ${task.name} is rolled up from the tasks under it`
+        );
+      }
+    } else {
+      if (task.type !== "Phase" && !task.plannedEnd) {
+        throw new Error(
+          task.type === "Milestone"
+            ? "Please provide the milestone due date (plannedEnd)"
+            : "Please provide plannedStart and plannedEnd"
+        );
+      }
+      if (task.type === "Task" && !task.plannedStart) {
+        throw new Error("Please provide plannedStart and plannedEnd");
+      }
+
+      if (data.percentComplete !== undefined) {
+        const percent = Number(data.percentComplete);
+        if (isNaN(percent) || percent < 0 || percent > 100) {
+          throw new Error("Percent complete must be between 0 and 100");
+        }
+        if (task.type === "Milestone" && percent !== 0 && percent !== 100) {
+          throw new Error("A milestone is either reached (100) or not (0)");
+        }
+        task.percentComplete = percent;
+        if (percent < 100) task.actualEnd = null;
+      } else if (data.actualEnd) {
+        // Giving a finish date completes the task
+        task.percentComplete = 100;
+      }
+
+      if (task.percentComplete >= 100 && !task.actualEnd) {
+        task.actualEnd = new Date();
+      }
+      if (task.percentComplete > 0 && !task.actualStart) {
+        task.actualStart = task.actualEnd || new Date();
+      }
+    }
+
+    if (
+      task.plannedStart &&
+      task.plannedEnd &&
+      task.plannedEnd < task.plannedStart
+    ) {
+      throw new Error("plannedEnd cannot be before plannedStart");
+    }
+    if (
+      task.actualStart &&
+      task.actualEnd &&
+      task.actualEnd < task.actualStart
+    ) {
+      throw new Error("actualEnd cannot be before actualStart");
+    }
+
+    // Dependencies are other tasks of the project and may not loop back
+    if (data.dependencies !== undefined) {
+      const dependencies = [...new Set((data.dependencies || []).map(String))];
+      for (const dependencyId of dependencies) {
+        if (dependencyId === id) {
+          throw new Error("A task cannot depend on itself");
+        }
+        if (!byId.has(dependencyId)) {
+          throw new Error("Dependency not found in this project");
+        }
+      }
+
+      const leadsBack = (fromId, seen = new Set()) => {
+        if (fromId === id) return true;
+        if (seen.has(fromId)) return false;
+        seen.add(fromId);
+        const from = byId.get(fromId);
+        return (from ? from.dependencies : []).some((d) =>
+          leadsBack(d.toString(), seen)
+        );
+      };
+      const loop = dependencies.find((dependencyId) => leadsBack(dependencyId));
+      if (loop) {
+        throw new Error(
+          `${byId.get(loop).name} already depends on ${task.name}`
+        );
+      }
+
+      task.dependencies = dependencies;
+    }
+
+    // Finish-to-start: work can only begin once its predecessors are done
+    const isStarted = task.percentComplete > 0 || !!task.actualStart;
+    if (isStarted && !wasStarted) {
+      const pending = task.dependencies
+        .map((d) => byId.get(d.toString()))
+        .filter((d) => d && d.percentComplete < 100);
+      if (pending.length > 0) {
+        throw new Error(
+          `${task.name} cannot start before ${pending
+            .map((d) => d.name)
+            .join(", ")} ${pending.length > 1 ? "are" : "is"} complete`
+        );
+      }
+    }
+  }
+
+  /**
+   * Add a phase, task or milestone to a project
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {Object} data - Task fields
+   * @param {String} userId - ID of the user adding the task
+   * @returns {Promise<Object>} { task, completedMilestones }
+   */
+  static async createTask(tenantId, projectId, data, userId) {
+    return TransactionService.run(async (session) => {
+      const project = await this.getProject(tenantId, projectId, session);
+      const tasks = await ProjectTask.find({
+        tenantId,
+        project: project._id,
+      }).session(session);
+
+      const task = new ProjectTask({
+        tenantId,
+        project: project._id,
+        type: data.type || "Task",
+        createdBy: userId,
+      });
+      if (data.sequence === undefined) {
+        // New tasks go to the end of their level
+        const siblings = tasks.filter(
+          (t) => String(t.parent || "") === String(data.parent || "")
+        );
+        task.sequence = siblings.reduce(
+          (max, t) => Math.max(max, t.sequence + 1),
+          0
+        );
+      }
+      await this.applyTaskData(task, data, tasks, session);
+      await task.save({ session });
+
+      await this.refreshProject(project, session);
+
+      return {
+        task,
+        completedMilestones:
+          task.type === "Milestone" && task.percentComplete >= 100
+            ? [task]
+            : [],
+      };
+    });
+  }
+
+  /**
+   * Update a task, its progress or its place in the structure
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {String} taskId - Task ID
+   * @param {Object} data - Task fields to change
+   * @returns {Promise<Object>} { task, completedMilestones }
+   */
+  static async updateTask(tenantId, projectId, taskId, data) {
+    return TransactionService.run(async (session) => {
+      const project = await this.getProject(tenantId, projectId, session);
+      const tasks = await ProjectTask.find({
+        tenantId,
+        project: project._id,
+      }).session(session);
+
+      const task = tasks.find((t) => t._id.toString() === String(taskId));
+      if (!task) {
+        const error = new Error("Task not found");
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const wasReached =
+        task.type === "Milestone" && task.percentComplete >= 100;
+      await this.applyTaskData(task, data, tasks, session);
+      await task.save({ session });
+
+      await this.refreshProject(project, session);
+
+      return {
+        task,
+        completedMilestones:
+          task.type === "Milestone" &&
+          task.percentComplete >= 100 &&
+          !wasReached
+            ? [task]
+            : [],
+      };
+    });
+  }
+
+  /**
+   * Remove a task that has nothing under it
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {String} taskId - Task ID
+   */
+  static async deleteTask(tenantId, projectId, taskId) {
+    return TransactionService.run(async (session) => {
+      const project = await this.getProject(tenantId, projectId, session);
+      const task = await ProjectTask.findOne({
+        _id: taskId,
+        tenantId,
+        project: project._id,
+      }).session(session);
+      if (!task) {
+        const error = new Error("Task not found");
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const childCount = await ProjectTask.countDocuments({
+        tenantId,
+        parent: task._id,
+      }).session(session);
+      if (childCount > 0) {
+        throw new Error(
+          `${task.name} has ${childCount} task(s) under it; move or delete them first`
+        );
+      }
+
+      await ProjectTask.updateMany(
+        { tenantId, project: project._id, dependencies: task._id },
+        { $pull: { dependencies: task._id } },
+        { session }
+      );
+      await task.deleteOne({ session });
+
+      await this.refreshProject(project, session);
+    });
+  }
+
+  /**
+   * Work breakdown tree of a project with progress and delays
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @returns {Promise<Object>} Schedule
+   */
+  static async getSchedule(tenantId, projectId) {
+    const project = await this.getProject(tenantId, projectId);
+    const tasks = await ProjectTask.find({ tenantId, project: project._id })
+      .populate("responsible", "name email")
+      .populate("dependencies", "name wbsCode status")
+      .sort({ sequence: 1, createdAt: 1 })
+      .lean();
+
+    const today = new Date();
+    const nodes = new Map(
+      tasks.map((task) => [
+        task._id.toString(),
+        { ...task, ...this.getDelay(task, today), children: [] },
+      ])
+    );
+
+    const tree = [];
+    for (const node of nodes.values()) {
+      const parent = node.parent ? nodes.get(node.parent.toString()) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        tree.push(node);
+      }
+    }
+
+    const milestones = [...nodes.values()].filter(
+      (node) => node.type === "Milestone"
+    );
+    const delayedMilestones = milestones.filter(
+      (node) => node.isDelayed && node.percentComplete < 100
+    );
+
+    return {
+      project: {
+        _id: project._id,
+        name: project.name,
+        code: project.code,
+        startDate: project.startDate,
+        completionDate: project.completionDate,
+        status: project.status,
+        progress: project.progress,
+      },
+      summary: {
+        progress: project.progress,
+        tasks: tasks.filter((t) => t.type !== "Milestone").length,
+        completedTasks: tasks.filter(
+          (t) => t.type !== "Milestone" && t.percentComplete >= 100
+        ).length,
+        delayedTasks: [...nodes.values()].filter(
+          (node) =>
+            node.type !== "Milestone" &&
+            node.isDelayed &&
+            node.percentComplete < 100
+        ).length,
+        milestones: milestones.length,
+        completedMilestones: milestones.filter(
+          (node) => node.percentComplete >= 100
+        ).length,
+        delayedMilestones: delayedMilestones.length,
+        isDelayed: delayedMilestones.length > 0,
+      },
+      tasks: tree,
+    };
+  }
+
+  /**
+   * Milestones of a project in due date order with their delay
+   * @param {String} tenantId - Tenant ID
+   * @param {String} projectId - Project ID
+   * @param {Object} options - { delayed } to list only late open milestones
+   * @returns {Promise<Array>} Milestones
+   */
+  static async getMilestones(tenantId, projectId, options = {}) {
+    const project = await this.getProject(tenantId, projectId);
+    const milestones = await ProjectTask.find({
+      tenantId,
+      project: project._id,
+      type: "Milestone",
+    })
+      .populate("responsible", "name email")
+      .sort({ plannedEnd: 1 })
+      .lean();
+
+    const today = new Date();
+    const result = milestones.map((milestone) => ({
+      ...milestone,
+      ...this.getDelay(milestone, today),
+    }));
+
+    return options.delayed
+      ? result.filter((m) => m.isDelayed && m.percentComplete < 100)
+      : result;
+  }
+}
+
+module.exports = ProjectScheduleService;
@@ -0,0 +1,184 @@
+const Tenant = require("../models/Tenant");
+const GoodsReceivedNote = require("../models/GoodsReceivedNote");
+
+const roundPercent = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Order-line units in one unit of a bill line (bills can be entered in any
+// of the item's units; matching is done in the order's unit)
+const toOrderUnit = (billLine, orderLine) =>
+  (billLine.conversionFactor || 1) / (orderLine.conversionFactor || 1);
+
+/**
+ * Purchase Matching Service - Three-way match of purchase order, goods
+ * received notes and the supplier bill
+ */
+class PurchaseMatchingService {
+  /**
+   * Get the tenant's quantity/price tolerance (in percent)
+   * @param {String} tenantId - Tenant ID
+   * @returns {Promise<Object>} { quantityPercent, pricePercent }
+   */
+  static async getTolerance(tenantId) {
+    const tenant = await Tenant.findOne({ tenantId }).select(
+      "purchaseMatchTolerance"
+    );
+    return {
+      quantityPercent: tenant?.purchaseMatchTolerance?.quantityPercent ?? 0,
+      pricePercent: tenant?.purchaseMatchTolerance?.pricePercent ?? 2,
+    };
+  }
+
+  /**
+   * Find the purchase order line a bill line belongs to
+   * Uses poLine when given, otherwise the first order line for the same item
+   */
+  static findOrderLine(purchaseOrder, billLine) {
+    if (billLine.poLine) {
+      return purchaseOrder.lines.id(billLine.poLine);
+    }
+    return purchaseOrder.lines.find(
+      (line) => line.item.toString() === billLine.item.toString()
+    );
+  }
+
+  /**
+   * Compare bill lines against the order (price) and the goods received but
+   * not yet billed (quantity). Variances beyond tolerance are flagged.
+   * Links each bill line to its order line via poLine and values it at the
+   * order rate in receivedValue.
+   * @param {Array} billLines - Purchase bill lines
+   * @param {Object} purchaseOrder - Purchase order document
+   * @param {Object} tolerance - { quantityPercent, pricePercent }
+   * @returns {Object} { matchStatus, variances }
+   */
+  static matchBill(billLines, purchaseOrder, tolerance) {
+    const variances = [];
+    // Quantity billed per order line on this bill
+    const billedOnBill = {};
+
+    for (const billLine of billLines) {
+      const orderLine = this.findOrderLine(purchaseOrder, billLine);
+
+      if (!orderLine) {
+        variances.push({
+          itemCode: billLine.itemCode,
+          itemName: billLine.itemName,
+          varianceType: "Unordered",
+          expected: 0,
+          actual: billLine.quantity,
+          variancePercent: 100,
+        });
+        continue;
+      }
+
+      billLine.poLine = orderLine._id;
+      const key = orderLine._id.toString();
+      const ratio = toOrderUnit(billLine, orderLine);
+      // Only goods received and not yet billed were valued on GRNs
+      const unbilledQty = Math.max(
+        0,
+        orderLine.receivedQty - orderLine.billedQty - (billedOnBill[key] || 0)
+      );
+      billLine.receivedValue = roundAmount(
+        Math.min(billLine.quantity * ratio, unbilledQty) * orderLine.rate
+      );
+      billedOnBill[key] = roundQuantity(
+        (billedOnBill[key] || 0) + billLine.quantity * ratio
+      );
+
+      // Price variance: bill rate vs order rate
+      if (orderLine.rate > 0) {
+        const priceVariance =
+          ((billLine.rate / ratio - orderLine.rate) / orderLine.rate) * 100;
+        if (Math.abs(priceVariance) > tolerance.pricePercent) {
+          variances.push({
+            itemCode: billLine.itemCode,
+            itemName: billLine.itemName,
+            varianceType: "Price",
+            expected: orderLine.rate,
+            actual: roundPercent(billLine.rate / ratio),
+            variancePercent: roundPercent(priceVariance),
+          });
+        }
+      }
+    }
+
+    // Quantity variance: billed vs received and not yet billed
+    for (const [orderLineId, billedQty] of Object.entries(billedOnBill)) {
+      const orderLine = purchaseOrder.lines.id(orderLineId);
+      const unbilledReceived = Math.max(
+        0,
+        orderLine.receivedQty - orderLine.billedQty
+      );
+      const quantityVariance =
+        unbilledReceived > 0
+          ? ((billedQty - unbilledReceived) / unbilledReceived) * 100
+          : 100;
+
+      if (Math.abs(quantityVariance) > tolerance.quantityPercent) {
+        variances.push({
+          itemCode: orderLine.itemCode,
+          itemName: orderLine.itemName,
+          varianceType: "Quantity",
+          expected: unbilledReceived,
+          actual: billedQty,
+          variancePercent: roundPercent(quantityVariance),
+        });
+      }
+    }
+
+    return {
+      matchStatus: variances.length > 0 ? "Variance" : "Matched",
+      variances,
+    };
+  }
+
+  /**
+   * Add (direction 1) or remove (direction -1) billed quantities on the
+   * purchase order and close it once everything ordered is received and billed
+   */
+  static applyBilledQuantities(purchaseOrder, billLines, direction) {
+    for (const billLine of billLines) {
+      if (!billLine.poLine) continue;
+      const orderLine = purchaseOrder.lines.id(billLine.poLine);
+      if (!orderLine) continue;
+
+      orderLine.billedQty = Math.max(
+        0,
+        roundQuantity(
+          orderLine.billedQty +
+            direction * billLine.quantity * toOrderUnit(billLine, orderLine)
+        )
+      );
+    }
+
+    const fullyBilled = purchaseOrder.lines.every(
+      (line) =>
+        line.billedQty >= line.quantity && line.receivedQty >= line.quantity
+    );
+    if (fullyBilled) {
+      purchaseOrder.status = "Closed";
+    } else {
+      if (purchaseOrder.status === "Closed") {
+        purchaseOrder.status = "Received";
+      }
+      purchaseOrder.refreshReceiptStatus();
+    }
+  }
+
+  /**
+   * Mark the GRNs included in a bill as billed (or back to received)
+   */
+  static async setGoodsReceivedNotesBilled(grnIds, billed, session = null) {
+    if (!grnIds || grnIds.length === 0) return;
+    await GoodsReceivedNote.updateMany(
+      { _id: { $in: grnIds } },
+      { status: billed ? "Billed" : "Received" },
+      { session }
+    );
+  }
+}
+
+module.exports = PurchaseMatchingService;
@@ -0,0 +1,680 @@
+const Item = require("../models/Item");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const PurchaseRequisition = require("../models/PurchaseRequisition");
+const RequestApproval = require("../models/RequestApproval");
+const StockMovement = require("../models/StockMovement");
+const StockTransfer = require("../models/StockTransfer");
+const Supplier = require("../models/Supplier");
+const ProjectBudgetService = require("./projectBudgetService");
+const StockService = require("./stockService");
+const UnitService = require("./unitService");
+
+const round = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Stock movements that count as consumption (returns reduce it)
+const CONSUMPTION_MOVEMENTS = ["Sale", "Material Issue", "Material Return"];
+// Orders and requisitions whose quantities are still to arrive
+const OPEN_ORDER_STATUSES = [
+  "Draft",
+  "Pending Approval",
+  "Approved",
+  "Partially Received",
+];
+const OPEN_REQUISITION_STATUSES = ["Draft", "Pending Approval"];
+
+// Defaults of the reorder engine, overridable per run
+const REORDER_DEFAULTS = {
+  lookbackDays: 90,
+  leadTimeDays: 7,
+  coverDays: 30,
+};
+
+const requisitionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Purchase Requisition Service - Requests to buy stock and the reorder
+ * engine that raises them
+ * An item is due for reordering when its stock on hand, in transit and on
+ * order falls to its reorder point. Without a set reorder point, it is
+ * the average daily consumption over the lead time plus the minimum stock
+ * level. Requisitions are approved through a request approval and then
+ * become one purchase order per supplier.
+ */
+class PurchaseRequisitionService {
+  /**
+   * Load a requisition of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {String} requisitionId - Requisition ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Requisition
+   */
+  static async getRequisition(tenantId, requisitionId, session = null) {
+    const requisition = await PurchaseRequisition.findOne({
+      _id: requisitionId,
+      tenantId,
+    }).session(session);
+    if (!requisition) {
+      throw requisitionError("Purchase requisition not found", 404);
+    }
+    return requisition;
+  }
+
+  /**
+   * Make sure a requisition is at the expected stage
+   * @param {Object} requisition - Requisition
+   * @param {Array} statuses - Allowed statuses
+   */
+  static assertStatus(requisition, statuses) {
+    if (!statuses.includes(requisition.status)) {
+      throw requisitionError(
+        `Purchase requisition ${
+          requisition.requisitionNo
+        } is ${requisition.status.toLowerCase()}`
+      );
+    }
+  }
+
+  /**
+   * Next requisition number of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @returns {Promise<String>} Requisition number
+   */
+  static async nextNumber(tenantId) {
+    const count = await PurchaseRequisition.countDocuments({ tenantId });
+    return `PR${String(count + 1).padStart(6, "0")}`;
+  }
+
+  /**
+   * Base quantity consumed of each item since a date
+   * @param {String} tenantId - Tenant ID
+   * @param {Date} since - Start of the period
+   * @returns {Promise<Map>} Item ID => quantity consumed
+   */
+  static async getConsumption(tenantId, since) {
+    const rows = await StockMovement.aggregate([
+      {
+        $match: {
+          tenantId,
+          movementType: { $in: CONSUMPTION_MOVEMENTS },
+          date: { $gte: since },
+        },
+      },
+      { $group: { _id: "$item", quantity: { $sum: "$quantity" } } },
+    ]);
+    return new Map(
+      rows.map((row) => [String(row._id), Math.max(-row.quantity, 0)])
+    );
+  }
+
+  /**
+   * Base quantity of each item still to arrive
+   * Open purchase orders count what is not yet received; requisitions not
+   * yet ordered count in full.
+   * @param {String} tenantId - Tenant ID
+   * @returns {Promise<Object>} { inTransit, onOrder }, Maps of item ID =>
+   *   quantity
+   */
+  static async getIncoming(tenantId) {
+    const add = (map, itemId, quantity) =>
+      map.set(String(itemId), (map.get(String(itemId)) || 0) + quantity);
+
+    const inTransit = new Map();
+    const transfers = await StockTransfer.find({
+      tenantId,
+      status: "In Transit",
+    });
+    transfers.forEach((transfer) =>
+      transfer.lines.forEach((line) =>
+        add(inTransit, line.item, UnitService.baseQuantity(line))
+      )
+    );
+
+    const onOrder = new Map();
+    const orders = await PurchaseOrder.find({
+      tenantId,
+      status: { $in: OPEN_ORDER_STATUSES },
+    });
+    orders.forEach((order) =>
+      order.lines.forEach((line) => {
+        const outstanding = (line.quantity || 0) - (line.receivedQty || 0);
+        if (outstanding > 0) {
+          add(
+            onOrder,
+            line.item,
+            outstanding * (line.conversionFactor || 1)
+          );
+        }
+      })
+    );
+    const requisitions = await PurchaseRequisition.find({
+      tenantId,
+      status: { $in: OPEN_REQUISITION_STATUSES },
+    });
+    requisitions.forEach((requisition) =>
+      requisition.lines.forEach((line) =>
+        add(onOrder, line.item, UnitService.baseQuantity(line))
+      )
+    );
+
+    return { inTransit, onOrder };
+  }
+
+  /**
+   * Reorder position of stock items
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} options - { lookbackDays, leadTimeDays, coverDays,
+   *   item, all } (optional); `all` includes items not due for reordering
+   * @returns {Promise<Array>} Rows with the quantity to order, in base
+   *   units, items due for reordering first
+   */
+  static async getSuggestions(tenantId, options = {}) {
+    const settings = { ...REORDER_DEFAULTS };
+    Object.keys(REORDER_DEFAULTS).forEach((key) => {
+      const value = Number(options[key]);
+      if (options[key] !== undefined && value >= 0) settings[key] = value;
+    });
+    settings.lookbackDays = Math.max(settings.lookbackDays, 1);
+
+    const itemFilter = {
+      tenantId,
+      isActive: true,
+      itemType: { $in: ["Material", "Equipment"] },
+    };
+    if (options.item) itemFilter._id = options.item;
+    const items = await Item.find(itemFilter)
+      .populate("preferredSupplier", "code name status")
+      .sort({ itemCode: 1 });
+
+    const consumption = await this.getConsumption(
+      tenantId,
+      new Date(Date.now() - settings.lookbackDays * DAY)
+    );
+    const { inTransit, onOrder } = await this.getIncoming(tenantId);
+
+    const rows = items.map((item) => {
+      const id = String(item._id);
+      const onHand = item.currentStock || 0;
+      const available = roundQuantity(
+        onHand + (inTransit.get(id) || 0) + (onOrder.get(id) || 0)
+      );
+      const averageDailyUsage = roundQuantity(
+        (consumption.get(id) || 0) / settings.lookbackDays
+      );
+      const leadTimeDays =
+        item.leadTimeDays !== undefined && item.leadTimeDays !== null
+          ? item.leadTimeDays
+          : settings.leadTimeDays;
+      const reorderPoint =
+        item.reorderPoint !== undefined && item.reorderPoint !== null
+          ? item.reorderPoint
+          : Math.ceil(
+              averageDailyUsage * leadTimeDays + (item.minStockLevel || 0)
+            );
+
+      // Order whole lots of the reorder quantity, or else enough to get
+      // back to the reorder point with cover for the period on top
+      let suggestedQuantity = 0;
+      if (reorderPoint > 0 && available <= reorderPoint) {
+        suggestedQuantity =
+          item.reorderQuantity > 0
+            ? item.reorderQuantity *
+              Math.max(
+                1,
+                Math.ceil((reorderPoint - available) / item.reorderQuantity)
+              )
+            : Math.ceil(
+                reorderPoint -
+                  available +
+                  Math.max(
+                    averageDailyUsage * settings.coverDays,
+                    item.minStockLevel || 0
+                  )
+              );
+      }
+
+      return {
+        item: {
+          _id: item._id,
+          itemCode: item.itemCode,
+          name: item.name,
+          unit: item.measurement,
+          purchasePrice: item.purchasePrice || 0,
+        },
+        preferredSupplier: item.preferredSupplier || null,
+        onHand,
+        inTransit: inTransit.get(id) || 0,
+        onOrder: onOrder.get(id) || 0,
+        available,
+        averageDailyUsage,
+        leadTimeDays,
+        reorderPoint,
+        reorderQuantity: item.reorderQuantity || 0,
+        suggestedQuantity: Math.max(suggestedQuantity, 0),
+        estimatedAmount: round(
+          Math.max(suggestedQuantity, 0) * (item.purchasePrice || 0)
+        ),
+      };
+    });
+
+    return rows
+      .filter((row) => options.all || row.suggestedQuantity > 0)
+      .sort((a, b) => (b.suggestedQuantity > 0) - (a.suggestedQuantity > 0));
+  }
+
+  /**
+   * Raise draft requisitions for the items due for reordering
+   * One requisition per preferred supplier, plus one for items without a
+   * preferred supplier. Items already on an open requisition or order
+   * count that quantity as incoming, so running again does not order
+   * twice.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} userId - ID of the user running the engine
+   * @param {Object} options - Reorder options (see getSuggestions) and
+   *   warehouse to deliver to (the default location when not given)
+   * @returns {Promise<Array>} Requisitions created
+   */
+  static async generateRequisitions(tenantId, userId, options = {}) {
+    const suggestions = await this.getSuggestions(tenantId, {
+      ...options,
+      all: false,
+    });
+    if (suggestions.length === 0) return [];
+
+    const warehouse = await StockService.resolveWarehouse(
+      tenantId,
+      options.warehouse
+    );
+
+    const bySupplier = new Map();
+    suggestions.forEach((row) => {
+      const supplier =
+        row.preferredSupplier && row.preferredSupplier.status !== "inactive"
+          ? row.preferredSupplier
+          : null;
+      const key = supplier ? String(supplier._id) : "";
+      if (!bySupplier.has(key)) bySupplier.set(key, { supplier, rows: [] });
+      bySupplier.get(key).rows.push(row);
+    });
+
+    const requisitions = [];
+    for (const { supplier, rows } of bySupplier.values()) {
+      const leadTimeDays = Math.max(...rows.map((row) => row.leadTimeDays));
+      requisitions.push(
+        await PurchaseRequisition.create({
+          tenantId,
+          requisitionNo: await this.nextNumber(tenantId),
+          requiredBy: new Date(Date.now() + leadTimeDays * DAY),
+          source: "Reorder",
+          supplier: supplier ? supplier._id : undefined,
+          warehouse: warehouse._id,
+          lines: rows.map((row) => ({
+            item: row.item._id,
+            itemCode: row.item.itemCode,
+            itemName: row.item.name,
+            quantity: row.suggestedQuantity,
+            unit: row.item.unit,
+            conversionFactor: 1,
+            baseQuantity: row.suggestedQuantity,
+            rate: row.item.purchasePrice,
+            reorder: {
+              available: row.available,
+              reorderPoint: row.reorderPoint,
+              averageDailyUsage: row.averageDailyUsage,
+              leadTimeDays: row.leadTimeDays,
+            },
+          })),
+          remarks: "Raised by the reorder engine",
+          createdBy: userId,
+        })
+      );
+    }
+
+    return requisitions;
+  }
+
+  /**
+   * Build requisition lines from a request body
+   * Rates default to the item's purchase price in the unit entered.
+   * @param {String} tenantId - Tenant ID
+   * @param {Array} lines - [{ item or itemCode, quantity, unit, rate,
+   *   supplier, costCode, description }]
+   * @returns {Promise<Array>} Requisition lines
+   */
+  static async buildLines(tenantId, lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw requisitionError("Please provide at least one line");
+    }
+
+    const built = [];
+    for (const line of lines) {
+      if (!(line.item || line.itemCode) || !(Number(line.quantity) > 0)) {
+        throw requisitionError("Each line requires an item and a quantity");
+      }
+      const item = await Item.findOne(
+        line.item
+          ? { _id: line.item, tenantId }
+          : { itemCode: String(line.itemCode).toUpperCase(), tenantId }
+      );
+      if (!item) {
+        throw requisitionError(
+          `Item ${line.itemCode || line.item} not found`,
+          404
+        );
+      }
+      if (line.supplier) await this.getSupplier(tenantId, line.supplier);
+
+      const unit = UnitService.convert(item, line.quantity, line.unit);
+      built.push({
+        item: item._id,
+        itemCode: item.itemCode,
+        itemName: item.name,
+        description: line.description || "",
+        quantity: Number(line.quantity),
+        ...unit,
+        rate:
+          line.rate !== undefined
+            ? Number(line.rate)
+            : round((item.purchasePrice || 0) * unit.conversionFactor),
+        supplier: line.supplier || undefined,
+        costCode: line.costCode,
+      });
+    }
+
+    await ProjectBudgetService.resolveCostCodes(tenantId, built);
+    return built;
+  }
+
+  /**
+   * Load an active supplier of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {String} supplierId - Supplier ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Supplier
+   */
+  static async getSupplier(tenantId, supplierId, session = null) {
+    const supplier = await Supplier.findOne({
+      _id: supplierId,
+      tenantId,
+    }).session(session);
+    if (!supplier) throw requisitionError("Supplier not found", 404);
+    if (supplier.status === "inactive") {
+      throw requisitionError(`Supplier ${supplier.name} is inactive`);
+    }
+    return supplier;
+  }
+
+  /**
+   * Raise a requisition by hand
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { date, requiredBy, supplier, warehouse,
+   *   project, lines, remarks }
+   * @param {String} userId - ID of the user raising it
+   * @returns {Promise<Object>} Draft requisition
+   */
+  static async createRequisition(tenantId, data, userId) {
+    if (data.supplier) await this.getSupplier(tenantId, data.supplier);
+    const warehouse = await StockService.resolveWarehouse(
+      tenantId,
+      data.warehouse
+    );
+    const lines = await this.buildLines(tenantId, data.lines);
+
+    return PurchaseRequisition.create({
+      tenantId,
+      requisitionNo: await this.nextNumber(tenantId),
+      date: data.date,
+      requiredBy: data.requiredBy,
+      supplier: data.supplier || undefined,
+      warehouse: warehouse._id,
+      project: data.project || undefined,
+      lines,
+      remarks: data.remarks,
+      createdBy: userId,
+    });
+  }
+
+  /**
+   * Change a draft requisition
+   * @param {String} tenantId - Tenant ID
+   * @param {String} requisitionId - Requisition ID
+   * @param {Object} data - Fields to change (see createRequisition)
+   * @returns {Promise<Object>} Requisition
+   */
+  static async updateRequisition(tenantId, requisitionId, data) {
+    const requisition = await this.getRequisition(tenantId, requisitionId);
+    this.assertStatus(requisition, ["Draft"]);
+
+    if (data.supplier !== undefined) {
+      if (data.supplier) await this.getSupplier(tenantId, data.supplier);
+      requisition.supplier = data.supplier || undefined;
+    }
+    if (data.warehouse) {
+      requisition.warehouse = (
+        await StockService.resolveWarehouse(tenantId, data.warehouse)
+      )._id;
+    }
+    if (data.lines) {
+      requisition.lines = await this.buildLines(tenantId, data.lines);
+    }
+    if (data.date) requisition.date = data.date;
+    if (data.requiredBy !== undefined) requisition.requiredBy = data.requiredBy;
+    if (data.project !== undefined) {
+      requisition.project = data.project || undefined;
+    }
+    if (data.remarks !== undefined) requisition.remarks = data.remarks;
+
+    await requisition.save();
+    return requisition;
+  }
+
+  /**
+   * Send a requisition for approval
+   * Raises a create_purchase_order request approval; every line needs a
+   * supplier, its own or the requisition's.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} requisitionId - Requisition ID
+   * @param {String} userId - ID of the submitting user
+   * @returns {Promise<Object>} { requisition, request }
+   */
+  static async submitRequisition(tenantId, requisitionId, userId) {
+    const requisition = await this.getRequisition(tenantId, requisitionId);
+    this.assertStatus(requisition, ["Draft"]);
+
+    const missing = requisition.lines.filter(
+      (line) => !(line.supplier || requisition.supplier)
+    );
+    if (missing.length > 0) {
+      throw requisitionError(
+        `Choose a supplier for ${missing
+          .map((line) => line.itemCode)
+          .join(", ")}`
+      );
+    }
+
+    const request = await RequestApproval.create({
+      tenantId,
+      userId,
+      requestType: "create_purchase_order",
+      requestData: {
+        requisition: requisition._id,
+        requisitionNo: requisition.requisitionNo,
+        source: requisition.source,
+        lines: requisition.lines.length,
+        totalAmount: requisition.totalAmount,
+      },
+      entityId: requisition._id,
+    });
+
+    requisition.status = "Pending Approval";
+    requisition.approvalRequest = request._id;
+    requisition.submittedBy = userId;
+    requisition.submittedAt = new Date();
+    requisition.rejectionReason = undefined;
+    await requisition.save();
+
+    return { requisition, request };
+  }
+
+  /**
+   * Turn an approved requisition into purchase orders
+   * Called when its request approval is approved. One approved order is
+   * raised per supplier.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} requisitionId - Requisition ID
+   * @param {String} userId - ID of the approving admin
+   * @param {ClientSession} session - Transaction session
+   * @returns {Promise<Array>} Purchase orders
+   */
+  static async convertToOrders(tenantId, requisitionId, userId, session) {
+    const requisition = await this.getRequisition(
+      tenantId,
+      requisitionId,
+      session
+    );
+    this.assertStatus(requisition, ["Pending Approval"]);
+
+    const bySupplier = new Map();
+    requisition.lines.forEach((line) => {
+      const key = String(line.supplier || requisition.supplier);
+      if (!bySupplier.has(key)) bySupplier.set(key, []);
+      bySupplier.get(key).push(line);
+    });
+
+    const warehouse = requisition.warehouse
+      ? await StockService.resolveWarehouse(
+          tenantId,
+          requisition.warehouse,
+          session
+        )
+      : null;
+    let count = await PurchaseOrder.countDocuments({ tenantId }).session(
+      session
+    );
+
+    const orders = [];
+    for (const [supplierId, lines] of bySupplier) {
+      const supplier = await this.getSupplier(tenantId, supplierId, session);
+      count += 1;
+      const [order] = await PurchaseOrder.create(
+        [
+          {
+            tenantId,
+            poNumber: `PO${String(count).padStart(6, "0")}`,
+            date: new Date(),
+            expectedDeliveryDate: requisition.requiredBy,
+            supplier: supplier._id,
+            vendorCode: supplier.code,
+            vendorName: supplier.name,
+            project: requisition.project || null,
+            deliveryLocation: warehouse ? warehouse.name : "",
+            purchaseRequisition: requisition._id,
+            lines: lines.map((line) => ({
+              item: line.item,
+              itemCode: line.itemCode,
+              itemName: line.itemName,
+              description: line.description || "",
+              quantity: line.quantity,
+              unit: line.unit,
+              conversionFactor: line.conversionFactor,
+              baseQuantity: line.baseQuantity,
+              rate: line.rate,
+              costCode: line.costCode,
+            })),
+            remarks: `From requisition ${requisition.requisitionNo}`,
+            status: "Approved",
+            approvedBy: userId,
+            approvedAt: new Date(),
+            createdBy: requisition.createdBy,
+          },
+        ],
+        { session }
+      );
+      lines.forEach((line) => {
+        line.purchaseOrder = order._id;
+      });
+      orders.push(order);
+    }
+
+    requisition.status = "Ordered";
+    requisition.purchaseOrders = orders.map((order) => order._id);
+    requisition.approvedBy = userId;
+    requisition.approvedAt = new Date();
+    await requisition.save({ session });
+
+    return orders;
+  }
+
+  /**
+   * Close a requisition whose request approval was rejected
+   * @param {String} tenantId - Tenant ID
+   * @param {String} requisitionId - Requisition ID
+   * @param {String} reason - Why it was rejected
+   * @returns {Promise<Object>} Rejected requisition
+   */
+  static async rejectRequisition(tenantId, requisitionId, reason) {
+    const requisition = await this.getRequisition(tenantId, requisitionId);
+    this.assertStatus(requisition, ["Pending Approval"]);
+
+    requisition.status = "Rejected";
+    requisition.rejectionReason = reason;
+    await requisition.save();
+    return requisition;
+  }
+
+  /**
+   * Take a requisition back to draft when its approval request is
+   * withdrawn
+   * @param {String} tenantId - Tenant ID
+   * @param {String} requisitionId - Requisition ID
+   * @returns {Promise<Object>} Draft requisition
+   */
+  static async withdrawRequisition(tenantId, requisitionId) {
+    const requisition = await this.getRequisition(tenantId, requisitionId);
+    this.assertStatus(requisition, ["Pending Approval"]);
+
+    requisition.status = "Draft";
+    requisition.approvalRequest = undefined;
+    await requisition.save();
+    return requisition;
+  }
+
+  /**
+   * Cancel a requisition that has not been ordered
+   * A pending approval request is closed with it.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} requisitionId - Requisition ID
+   * @param {String} reason - Why it is cancelled (optional)
+   * @returns {Promise<Object>} Cancelled requisition
+   */
+  static async cancelRequisition(tenantId, requisitionId, reason) {
+    const requisition = await this.getRequisition(tenantId, requisitionId);
+    this.assertStatus(requisition, ["Draft", "Pending Approval"]);
+
+    if (requisition.approvalRequest) {
+      await RequestApproval.updateOne(
+        { _id: requisition.approvalRequest, tenantId, status: "pending" },
+        {
+          status: "rejected",
+          adminResponse: "Requisition cancelled",
+        }
+      );
+    }
+
+    requisition.status = "Cancelled";
+    if (reason) {
+      requisition.remarks = requisition.remarks
+        ? `${requisition.remarks} | Cancelled: ${reason}`
+        : `Cancelled: ${reason}`;
+    }
+    await requisition.save();
+    return requisition;
+  }
+}
+
+module.exports = PurchaseRequisitionService;
@@ -0,0 +1,594 @@
+const CustomerReceipt = require("../models/CustomerReceipt");
+const Customer = require("../models/Customer");
+const SalesInvoice = require("../models/SalesInvoice");
+const Plot = require("../models/Plot");
+const AccountingService = require("./accountingService");
+const TransactionService = require("./transactionService");
+const BankAccountService = require("./bankAccountService");
+const ChequeService = require("./chequeService");
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Receipt Service - Customer receipts and their allocation to open
+ * sales invoices and plot installments
+ */
+class ReceiptService {
+  /**
+   * Generate the next receipt number for a tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<String>} Receipt number (e.g. RC000001)
+   */
+  static async generateReceiptNo(tenantId, session = null) {
+    const count = await CustomerReceipt.countDocuments({ tenantId }).session(
+      session
+    );
+    return `RC${String(count + 1).padStart(6, "0")}`;
+  }
+
+  /**
+   * Validate allocations and apply them to the loaded invoices/plots in memory
+   * Nothing is saved; call saveAllocatedDocuments once posting succeeds
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} customer - Customer document
+   * @param {Array} allocations - [{ salesInvoice | invoiceNo, amount }] or
+   *   [{ plot, amount, installments: [{ installmentNo, amount }] }]
+   * @param {Date} date - Receipt date (used for installment paid dates)
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} { allocations, invoices, plots }
+   */
+  static async prepareAllocations(
+    tenantId,
+    customer,
+    allocations,
+    date,
+    session = null
+  ) {
+    const invoices = new Map();
+    const plots = new Map();
+    const prepared = [];
+
+    for (const allocation of allocations || []) {
+      const amount = roundAmount(Number(allocation.amount) || 0);
+      if (amount <= 0) {
+        throw new Error("Each allocation requires an amount greater than zero");
+      }
+
+      if (allocation.salesInvoice || allocation.invoiceNo) {
+        const filter = { tenantId, customer: customer._id };
+        if (allocation.salesInvoice) filter._id = allocation.salesInvoice;
+        else filter.serialNo = allocation.invoiceNo;
+
+        const found = await SalesInvoice.findOne(filter).session(session);
+        if (!found) {
+          throw new Error(
+            `Sales invoice ${
+              allocation.invoiceNo || allocation.salesInvoice
+            } not found for this customer`
+          );
+        }
+        // Reuse the in-memory copy when an invoice is allocated twice
+        const invoice = invoices.get(String(found._id)) || found;
+        if (invoice.status === "cancelled") {
+          throw new Error(`Sales invoice ${invoice.serialNo} is cancelled`);
+        }
+
+        const outstanding = roundAmount(
+          invoice.netTotal - (invoice.amountReceived || 0)
+        );
+        if (amount > outstanding + 0.01) {
+          throw new Error(
+            `Allocation exceeds the outstanding balance of invoice ${invoice.serialNo} (${outstanding})`
+          );
+        }
+
+        invoice.amountReceived = roundAmount(
+          (invoice.amountReceived || 0) + amount
+        );
+        invoice.amountAllocated = roundAmount(
+          (invoice.amountAllocated || 0) + amount
+        );
+        invoices.set(String(invoice._id), invoice);
+
+        prepared.push({
+          allocationType: "SalesInvoice",
+          salesInvoice: invoice._id,
+          invoiceNo: invoice.serialNo,
+          amount,
+        });
+      } else if (allocation.plot) {
+        const found = await Plot.findOne({
+          _id: allocation.plot,
+          tenantId,
+          customer: customer._id,
+        }).session(session);
+        if (!found) {
+          throw new Error("Plot not found for this customer");
+        }
+        const plot = plots.get(String(found._id)) || found;
+
+        let applied = [];
+        if (plot.installments && plot.installments.length > 0) {
+          applied = plot.allocateInstallmentPayment(
+            amount,
+            date,
+            allocation.installments
+          );
+        } else {
+          const outstanding = roundAmount(
+            (plot.finalPrice || 0) - (plot.amountReceived || 0)
+          );
+          if (amount > outstanding + 0.01) {
+            throw new Error(
+              `Allocation exceeds the outstanding balance of plot ${plot.plotNumber} (${outstanding})`
+            );
+          }
+        }
+
+        plot.amountReceived = roundAmount((plot.amountReceived || 0) + amount);
+        plots.set(String(plot._id), plot);
+
+        prepared.push({
+          allocationType: "PlotInstallment",
+          plot: plot._id,
+          plotNumber: plot.plotNumber,
+          installments: applied.map((a) => ({
+            installmentNo: a.installmentNo,
+            amount: a.amount,
+          })),
+          amount,
+        });
+      } else {
+        throw new Error("Each allocation requires a sales invoice or a plot");
+      }
+    }
+
+    return { allocations: prepared, invoices, plots };
+  }
+
+  /**
+   * Save the invoices and plots touched by prepareAllocations
+   * Plot allocations are also recorded in the plot's installment receipts
+   */
+  static async saveAllocatedDocuments(
+    receipt,
+    allocations,
+    invoices,
+    plots,
+    session = null
+  ) {
+    for (const invoice of invoices.values()) {
+      await invoice.save({ session });
+    }
+
+    for (const plot of plots.values()) {
+      for (const allocation of allocations) {
+        if (String(allocation.plot) !== String(plot._id)) continue;
+
+        plot.installmentReceipts.push({
+          receiptNo: receipt.receiptNo,
+          date: allocation.allocatedAt || receipt.date,
+          amount: allocation.amount,
+          paymentMethod: receipt.paymentMethod,
+          bankName: receipt.bankName,
+          chequeNo: receipt.chequeNo,
+          chequeDate: receipt.chequeDate,
+          reference: receipt.reference,
+          allocations: allocation.installments,
+          journalEntry: allocation.journalEntry,
+          receivedBy: receipt.createdBy,
+        });
+      }
+      await plot.save({ session });
+    }
+  }
+
+  /**
+   * Record a receipt against a single plot within the caller's transaction
+   * Applies it to the installment schedule, registers the cheque, posts the
+   * journal entry, adds it to the plot's receipts and reduces the customer's
+   * balance
+   * @param {Object} plot - Plot document
+   * @param {Object} data - Amount, late fee, date, payment and cheque details,
+   * reference and optional installment allocations
+   * @param {String} userId - ID of the user recording the receipt
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Receipt added to the plot and its journal entry
+   */
+  static async recordPlotReceipt(plot, data, userId, session = null) {
+    const amount = Number(data.amount);
+    const date = data.date ? new Date(data.date) : new Date();
+    const paymentMethod = data.paymentMethod || "Cash";
+    if (paymentMethod === "Cheque") {
+      ChequeService.assertChequeDetails(data);
+    }
+
+    let applied = [];
+    if (plot.installments && plot.installments.length > 0) {
+      applied = plot.allocateInstallmentPayment(
+        amount,
+        date,
+        data.allocations,
+        Number(data.lateFee) || 0
+      );
+    } else {
+      const outstanding = roundAmount(
+        plot.getContractPrice() - (plot.amountReceived || 0)
+      );
+      if (amount > outstanding + 0.01) {
+        throw new Error(
+          `Receipt exceeds the outstanding balance of plot ${plot.plotNumber} (${outstanding})`
+        );
+      }
+    }
+
+    const receipt = {
+      receiptNo: `${plot.plotNumber}-R${String(
+        plot.installmentReceipts.length + 1
+      ).padStart(3, "0")}`,
+      date,
+      amount,
+      lateFee: applied.reduce((sum, a) => sum + (a.lateFee || 0), 0),
+      paymentMethod,
+      bankName: data.bankName,
+      chequeNo: data.chequeNo,
+      chequeDate: data.chequeDate,
+      reference: data.reference,
+      allocations: applied,
+      receivedBy: userId,
+    };
+
+    // Post-dated cheques wait in Cheques in Hand until they clear
+    if (paymentMethod === "Cheque") {
+      const customer = plot.customer
+        ? await Customer.findById(plot.customer).select("name").session(session)
+        : null;
+      const cheque = await ChequeService.registerCheque(
+        {
+          tenantId: plot.tenantId,
+          direction: "Received",
+          chequeNo: data.chequeNo,
+          chequeDate: data.chequeDate,
+          amount: receipt.amount + receipt.lateFee,
+          drawerBank: data.bankName,
+          customer: plot.customer,
+          plot: plot._id,
+          project: plot.project,
+          partyName: customer ? customer.name : `Plot ${plot.plotNumber}`,
+          source: {
+            model: "Plot",
+            id: plot._id,
+            reference: receipt.receiptNo,
+          },
+        },
+        userId,
+        session
+      );
+      receipt.cheque = cheque._id;
+    }
+
+    const journalEntry =
+      await AccountingService.createInstallmentReceiptJournalEntry(
+        plot,
+        receipt,
+        userId,
+        session
+      );
+    receipt.journalEntry = journalEntry._id;
+
+    plot.installmentReceipts.push(receipt);
+    plot.amountReceived = (plot.amountReceived || 0) + receipt.amount;
+    await plot.save({ session });
+
+    if (plot.customer) {
+      await Customer.findByIdAndUpdate(
+        plot.customer,
+        { $inc: { balance: -receipt.amount } },
+        { session }
+      );
+    }
+
+    return {
+      receipt: plot.installmentReceipts[plot.installmentReceipts.length - 1],
+      journalEntry,
+    };
+  }
+
+  /**
+   * Create and post a customer receipt in one transaction
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - Receipt fields and allocations
+   * @param {String} userId - ID of the user recording the receipt
+   * @returns {Promise<Object>} Saved receipt
+   */
+  static async createReceipt(tenantId, data, userId) {
+    return TransactionService.run(async (session) => {
+      const customer = await Customer.findOne({
+        _id: data.customer,
+        tenantId,
+      }).session(session);
+      if (!customer) {
+        throw new Error("Customer not found");
+      }
+
+      const bankAccount =
+        data.paymentMethod !== "Cash" && data.bankAccountRef
+          ? await BankAccountService.resolveBankAccount(
+              tenantId,
+              data.bankAccountRef,
+              session
+            )
+          : null;
+
+      const date = data.date ? new Date(data.date) : new Date();
+      const { allocations, invoices, plots } = await this.prepareAllocations(
+        tenantId,
+        customer,
+        data.allocations,
+        date,
+        session
+      );
+
+      const receipt = new CustomerReceipt({
+        tenantId,
+        receiptNo:
+          data.receiptNo || (await this.generateReceiptNo(tenantId, session)),
+        date,
+        customer: customer._id,
+        customerCode: customer.code,
+        customerName: customer.name,
+        paymentMethod: data.paymentMethod,
+        bankAccountRef: bankAccount ? bankAccount._id : undefined,
+        bankName: bankAccount ? bankAccount.bankName : data.bankName,
+        chequeNo: data.chequeNo,
+        chequeDate: data.chequeDate,
+        reference: data.reference,
+        amount: roundAmount(Number(data.amount)),
+        allocations,
+        project: data.project || undefined,
+        description: data.description,
+        createdBy: userId,
+      });
+      await receipt.validate();
+
+      // Cheques wait in Cheques in Hand until they clear
+      if (receipt.paymentMethod === "Cheque") {
+        const cheque = await ChequeService.registerCheque(
+          {
+            tenantId,
+            direction: "Received",
+            chequeNo: receipt.chequeNo,
+            chequeDate: receipt.chequeDate,
+            amount: receipt.amount,
+            drawerBank: data.bankName,
+            bankAccountRef: receipt.bankAccountRef,
+            bankName: bankAccount ? bankAccount.bankName : undefined,
+            customer: customer._id,
+            project: receipt.project,
+            partyName: customer.name,
+            source: {
+              model: "CustomerReceipt",
+              id: receipt._id,
+              reference: receipt.receiptNo,
+            },
+          },
+          userId,
+          session
+        );
+        receipt.cheque = cheque._id;
+      }
+
+      const journalEntry =
+        await AccountingService.createCustomerReceiptJournalEntry(
+          receipt,
+          userId,
+          session
+        );
+      receipt.journalEntry = journalEntry._id;
+      receipt.allocations.forEach((allocation) => {
+        allocation.journalEntry = journalEntry._id;
+      });
+
+      await receipt.save({ session });
+      await this.saveAllocatedDocuments(
+        receipt,
+        receipt.allocations,
+        invoices,
+        plots,
+        session
+      );
+
+      await Customer.findByIdAndUpdate(
+        customer._id,
+        {
+          $inc: {
+            balance: -receipt.allocatedAmount,
+            advanceBalance: receipt.unallocatedAmount,
+          },
+        },
+        { session }
+      );
+
+      return receipt;
+    });
+  }
+
+  /**
+   * Apply a receipt's unallocated advance to open invoices or plots
+   * @param {Object} receipt - Customer receipt document
+   * @param {Array} allocations - Same shape as for createReceipt
+   * @param {String} userId - ID of the user making the allocation
+   * @returns {Promise<Object>} Updated receipt
+   */
+  static async allocateAdvance(receipt, allocations, userId) {
+    if (receipt.status === "Cancelled") {
+      throw new Error("Cannot allocate a cancelled receipt");
+    }
+
+    return TransactionService.run(async (session) => {
+      const customer = await Customer.findOne({
+        _id: receipt.customer,
+        tenantId: receipt.tenantId,
+      }).session(session);
+      if (!customer) {
+        throw new Error("Customer not found");
+      }
+
+      const prepared = await this.prepareAllocations(
+        receipt.tenantId,
+        customer,
+        allocations,
+        new Date(),
+        session
+      );
+      const amount = roundAmount(
+        prepared.allocations.reduce((sum, a) => sum + a.amount, 0)
+      );
+      if (amount <= 0) {
+        throw new Error("Please provide at least one allocation");
+      }
+      if (amount > receipt.unallocatedAmount + 0.01) {
+        throw new Error(
+          `Allocations exceed the unallocated amount of ${receipt.unallocatedAmount}`
+        );
+      }
+
+      const journalEntry =
+        await AccountingService.createAdvanceAllocationJournalEntry(
+          receipt,
+          amount,
+          userId,
+          session
+        );
+
+      const startIndex = receipt.allocations.length;
+      prepared.allocations.forEach((allocation) => {
+        receipt.allocations.push({
+          ...allocation,
+          journalEntry: journalEntry._id,
+        });
+      });
+      await receipt.save({ session });
+      await this.saveAllocatedDocuments(
+        receipt,
+        receipt.allocations.slice(startIndex),
+        prepared.invoices,
+        prepared.plots,
+        session
+      );
+
+      await Customer.findByIdAndUpdate(
+        customer._id,
+        { $inc: { balance: -amount, advanceBalance: -amount } },
+        { session }
+      );
+
+      return receipt;
+    });
+  }
+
+  /**
+   * Cancel a receipt: undo its allocations and reverse its journal entries
+   * @param {Object} receipt - Customer receipt document
+   * @param {String} userId - ID of the user cancelling
+   * @param {String} reason - Cancellation reason
+   * @param {ClientSession} session - Caller's transaction session (optional;
+   *   a new transaction is started without one)
+   * @returns {Promise<Object>} Cancelled receipt
+   */
+  static async cancelReceipt(receipt, userId, reason, session = null) {
+    if (receipt.status === "Cancelled") {
+      throw new Error("Receipt is already cancelled");
+    }
+
+    const cancel = async (session) => {
+      const reversalReason = reason || `Receipt ${receipt.receiptNo} cancelled`;
+      if (receipt.cheque) {
+        await ChequeService.releaseCheque(
+          receipt.cheque,
+          receipt.tenantId,
+          userId,
+          reversalReason,
+          session
+        );
+      }
+
+      const journalEntryIds = new Set(
+        [
+          receipt.journalEntry,
+          ...receipt.allocations.map((a) => a.journalEntry),
+        ]
+          .filter(Boolean)
+          .map(String)
+      );
+      for (const journalEntryId of journalEntryIds) {
+        await AccountingService.reverseJournalEntry(
+          journalEntryId,
+          userId,
+          reversalReason,
+          session
+        );
+      }
+
+      for (const allocation of receipt.allocations) {
+        if (allocation.allocationType === "SalesInvoice") {
+          const invoice = await SalesInvoice.findOne({
+            _id: allocation.salesInvoice,
+            tenantId: receipt.tenantId,
+          }).session(session);
+          if (invoice) {
+            invoice.amountReceived = Math.max(
+              roundAmount((invoice.amountReceived || 0) - allocation.amount),
+              0
+            );
+            invoice.amountAllocated = Math.max(
+              roundAmount((invoice.amountAllocated || 0) - allocation.amount),
+              0
+            );
+            await invoice.save({ session });
+          }
+        } else {
+          const plot = await Plot.findOne({
+            _id: allocation.plot,
+            tenantId: receipt.tenantId,
+          }).session(session);
+          if (plot) {
+            plot.reverseInstallmentPayment(allocation.installments);
+            plot.amountReceived = Math.max(
+              roundAmount((plot.amountReceived || 0) - allocation.amount),
+              0
+            );
+            plot.installmentReceipts = plot.installmentReceipts.filter(
+              (r) => r.receiptNo !== receipt.receiptNo
+            );
+            await plot.save({ session });
+          }
+        }
+      }
+
+      await Customer.findByIdAndUpdate(
+        receipt.customer,
+        {
+          $inc: {
+            balance: receipt.allocatedAmount,
+            advanceBalance: -receipt.unallocatedAmount,
+          },
+        },
+        { session }
+      );
+
+      receipt.status = "Cancelled";
+      receipt.cancelledAt = new Date();
+      receipt.cancelledBy = userId;
+      receipt.cancellationReason = reason;
+      await receipt.save({ session });
+
+      return receipt;
+    };
+
+    return session ? cancel(session) : TransactionService.run(cancel);
+  }
+}
+
+module.exports = ReceiptService;
@@ -0,0 +1,372 @@
+const Item = require("../models/Item");
+const StockCount = require("../models/StockCount");
+const ItemCategory = require("../models/ItemCategory");
+const AccountingService = require("./accountingService");
+const InventoryCostingService = require("./inventoryCostingService");
+const ItemCategoryService = require("./itemCategoryService");
+const StockService = require("./stockService");
+const TransactionService = require("./transactionService");
+const UnitService = require("./unitService");
+
+const round = (value) => Math.round(value * 100) / 100;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Stock Count Service - Physical stock-takes and inventory adjustments
+ * A count freezes the quantities on the books at one location, takes the
+ * counted quantities, and once approved posts the variances to stock and
+ * to the stock adjustment expense account.
+ */
+class StockCountService {
+  /**
+   * Load a count of the tenant
+   * @param {String} tenantId - Tenant ID
+   * @param {String} countId - Stock count ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Stock count
+   */
+  static async getCount(tenantId, countId, session = null) {
+    const count = await StockCount.findOne({
+      _id: countId,
+      tenantId,
+    }).session(session);
+    if (!count) throw notFound("Stock count not found");
+    return count;
+  }
+
+  /**
+   * Make sure a count is at the expected stage
+   * @param {Object} count - Stock count
+   * @param {String} status - Expected status
+   */
+  static assertStatus(count, status) {
+    if (count.status !== status) {
+      throw new Error(
+        `Stock count ${count.countNo} is ${count.status.toLowerCase()}`
+      );
+    }
+  }
+
+  /**
+   * Snapshot line for an item at the count's location
+   * @param {Object} item - Item document
+   * @param {Number} systemQuantity - Quantity on the books
+   * @returns {Object} Count line
+   */
+  static snapshotLine(item, systemQuantity) {
+    return {
+      item: item._id,
+      itemCode: item.itemCode,
+      itemName: item.name,
+      unit: item.measurement,
+      systemQuantity: roundQuantity(systemQuantity),
+      unitCost: round(InventoryCostingService.currentCost(item)),
+    };
+  }
+
+  /**
+   * Start a stock count, freezing the quantities on the books
+   * Items held at the location are included, limited to a category (with
+   * the categories below it) or a list of items when given; listed items are included even with no
+   * stock. Only one count can be open at a location.
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { warehouse, date, categoryCode, items, remarks }
+   * @param {String} userId - ID of the user starting the count
+   * @returns {Promise<Object>} Stock count
+   */
+  static async createCount(tenantId, data, userId) {
+    const warehouse = await StockService.resolveWarehouse(
+      tenantId,
+      data.warehouse
+    );
+
+    const openCount = await StockCount.findOne({
+      tenantId,
+      warehouse: warehouse._id,
+      status: { $in: ["Counting", "Submitted"] },
+    });
+    if (openCount) {
+      throw new Error(
+        `Stock count ${openCount.countNo} is already open at ${warehouse.name}`
+      );
+    }
+
+    const itemFilter = { tenantId, isActive: true, itemType: { $ne: "Plot" } };
+    if (data.categoryCode) {
+      const categoryCode = String(data.categoryCode).toUpperCase();
+      const category = await ItemCategory.findOne({
+        tenantId,
+        code: categoryCode,
+      });
+      if (category) {
+        itemFilter.category = {
+          $in: await ItemCategoryService.getBranchIds(category),
+        };
+      } else {
+        itemFilter.categoryCode = categoryCode;
+      }
+    }
+    const listed = Array.isArray(data.items) && data.items.length > 0;
+    if (listed) itemFilter._id = { $in: data.items };
+    const items = await Item.find(itemFilter).sort({ itemCode: 1 });
+
+    const onBooks = new Map(
+      (
+        await StockService.getStockByLocation(tenantId, {
+          warehouse: warehouse._id,
+        })
+      ).map((row) => [String(row.item._id), row.quantity])
+    );
+
+    const lines = items
+      .filter((item) => listed || onBooks.get(String(item._id)))
+      .map((item) =>
+        this.snapshotLine(item, onBooks.get(String(item._id)) || 0)
+      );
+
+    const number = await StockCount.countDocuments({ tenantId });
+    return StockCount.create({
+      tenantId,
+      countNo: `SC${String(number + 1).padStart(6, "0")}`,
+      date: data.date,
+      warehouse: warehouse._id,
+      categoryCode: data.categoryCode,
+      lines,
+      remarks: data.remarks,
+      createdBy: userId,
+    });
+  }
+
+  /**
+   * Enter counted quantities
+   * Items found that were not in the snapshot are added with the quantity
+   * on the books now. Quantities counted in another of the item's units
+   * are converted to its base unit. A countedQuantity of null clears the
+   * count.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} countId - Stock count ID
+   * @param {Array} lines - [{ item, itemCode, countedQuantity, unit,
+   *   reason, remarks }]
+   * @returns {Promise<Object>} Stock count
+   */
+  static async enterCounts(tenantId, countId, lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error("Please provide at least one line");
+    }
+
+    const count = await this.getCount(tenantId, countId);
+    this.assertStatus(count, "Counting");
+
+    for (const entry of lines) {
+      if (!(entry.item || entry.itemCode)) {
+        throw new Error("Each line requires an item");
+      }
+      const counted =
+        entry.countedQuantity === null
+          ? null
+          : Number(entry.countedQuantity);
+      if (counted !== null && !(counted >= 0)) {
+        throw new Error("Counted quantity must be zero or more");
+      }
+
+      const item = await Item.findOne(
+        entry.item
+          ? { _id: entry.item, tenantId }
+          : { itemCode: String(entry.itemCode).toUpperCase(), tenantId }
+      );
+      if (!item) {
+        throw new Error(`Item ${entry.itemCode || entry.item} not found`);
+      }
+
+      let line = count.lines.find(
+        (countLine) => String(countLine.item) === String(item._id)
+      );
+      if (!line) {
+        count.lines.push(
+          this.snapshotLine(
+            item,
+            await StockService.getAvailable(tenantId, item, count.warehouse)
+          )
+        );
+        line = count.lines[count.lines.length - 1];
+      }
+
+      line.countedQuantity =
+        counted === null
+          ? undefined
+          : UnitService.convert(item, counted, entry.unit).baseQuantity;
+      if (entry.reason) line.reason = entry.reason;
+      if (entry.remarks !== undefined) line.remarks = entry.remarks;
+    }
+
+    await count.save();
+    return count;
+  }
+
+  /**
+   * Send a count for approval
+   * @param {String} tenantId - Tenant ID
+   * @param {String} countId - Stock count ID
+   * @param {String} userId - ID of the submitting user
+   * @returns {Promise<Object>} Submitted stock count
+   */
+  static async submitCount(tenantId, countId, userId) {
+    const count = await this.getCount(tenantId, countId);
+    this.assertStatus(count, "Counting");
+
+    const counted = count.lines.filter(
+      (line) =>
+        line.countedQuantity !== undefined && line.countedQuantity !== null
+    );
+    if (counted.length === 0) {
+      throw new Error("Enter the counted quantities before submitting");
+    }
+
+    count.status = "Submitted";
+    count.submittedBy = userId;
+    count.submittedAt = new Date();
+    count.rejectionReason = undefined;
+    await count.save();
+
+    return count;
+  }
+
+  /**
+   * Approve a submitted count and post its variances
+   * Each variance is applied to the stock on hand now, so stock moved
+   * since the snapshot is kept. Losses leave at the ledger cost and gains
+   * come in at the cost when the count started.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} countId - Stock count ID
+   * @param {String} userId - ID of the approving user
+   * @returns {Promise<Object>} Posted stock count
+   */
+  static async approveCount(tenantId, countId, userId) {
+    return TransactionService.run(async (session) => {
+      const count = await this.getCount(tenantId, countId, session);
+      this.assertStatus(count, "Submitted");
+
+      count.status = "Posted";
+      for (const line of count.lines) {
+        if (!line.varianceQuantity) continue;
+
+        const valuation = await StockService.adjust(
+          tenantId,
+          line.item,
+          count.warehouse,
+          line.varianceQuantity,
+          session,
+          {
+            allowNegative: true,
+            movementType: "Adjustment",
+            unitCost: line.unitCost,
+            source: {
+              model: "StockCount",
+              id: count._id,
+              reference: count.countNo,
+            },
+            date: count.date,
+          }
+        );
+        line.varianceValue = valuation ? valuation.value : 0;
+      }
+
+      count.approvedBy = userId;
+      count.approvedAt = new Date();
+      await count.save({ session });
+
+      const journalEntry =
+        await AccountingService.createStockAdjustmentJournalEntry(
+          count,
+          userId,
+          session
+        );
+      if (journalEntry) {
+        count.journalEntry = journalEntry._id;
+        await count.save({ session });
+      }
+
+      return count;
+    });
+  }
+
+  /**
+   * Send a submitted count back for recounting
+   * @param {String} tenantId - Tenant ID
+   * @param {String} countId - Stock count ID
+   * @param {String} reason - Why it was rejected
+   * @returns {Promise<Object>} Stock count, counting again
+   */
+  static async rejectCount(tenantId, countId, reason) {
+    const count = await this.getCount(tenantId, countId);
+    this.assertStatus(count, "Submitted");
+
+    count.status = "Counting";
+    count.rejectionReason = reason;
+    await count.save();
+
+    return count;
+  }
+
+  /**
+   * Cancel a count that has not been posted
+   * @param {String} tenantId - Tenant ID
+   * @param {String} countId - Stock count ID
+   * @param {String} reason - Why the count is cancelled (optional)
+   * @returns {Promise<Object>} Cancelled stock count
+   */
+  static async cancelCount(tenantId, countId, reason) {
+    const count = await this.getCount(tenantId, countId);
+    if (!["Counting", "Submitted"].includes(count.status)) {
+      throw new Error(
+        `Stock count ${count.countNo} is ${count.status.toLowerCase()}`
+      );
+    }
+
+    count.status = "Cancelled";
+    if (reason) {
+      count.remarks = count.remarks
+        ? `${count.remarks} | Cancelled: ${reason}`
+        : `Cancelled: ${reason}`;
+    }
+    await count.save();
+
+    return count;
+  }
+
+  /**
+   * Variance summary of a count
+   * @param {Object} count - Stock count
+   * @returns {Object} { lines, counted, uncounted, gains, losses,
+   *   gainValue, lossValue, netValue }
+   */
+  static getVarianceSummary(count) {
+    const counted = count.lines.filter(
+      (line) =>
+        line.countedQuantity !== undefined && line.countedQuantity !== null
+    );
+    const gains = counted.filter((line) => line.varianceQuantity > 0);
+    const losses = counted.filter((line) => line.varianceQuantity < 0);
+    const total = (lines) =>
+      round(lines.reduce((sum, line) => sum + line.varianceValue, 0));
+
+    return {
+      lines: count.lines.length,
+      counted: counted.length,
+      uncounted: count.lines.length - counted.length,
+      gains: gains.length,
+      losses: losses.length,
+      gainValue: total(gains),
+      lossValue: total(losses),
+      netValue: total(counted),
+    };
+  }
+}
+
+module.exports = StockCountService;
@@ -0,0 +1,388 @@
+const mongoose = require("mongoose");
+const Item = require("../models/Item");
+const InventoryCostingService = require("./inventoryCostingService");
+const UnitService = require("./unitService");
+const StockBalance = require("../models/StockBalance");
+const StockTransfer = require("../models/StockTransfer");
+const Warehouse = require("../models/Warehouse");
+
+const stockError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Stock Service - Stock held per item per location
+ * Every stock movement goes through adjust(), which keeps the location
+ * balance, the item's total currentStock and the stock ledger in step.
+ */
+class StockService {
+  /**
+   * The tenant's default location, created as the central warehouse the
+   * first time it is needed
+   * @param {String} tenantId - Tenant ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Warehouse
+   */
+  static async getDefaultWarehouse(tenantId, session = null) {
+    const existing = await Warehouse.findOne({
+      tenantId,
+      isDefault: true,
+    }).session(session);
+    if (existing) return existing;
+
+    return Warehouse.findOneAndUpdate(
+      { tenantId, code: "MAIN" },
+      {
+        $set: { isDefault: true, isActive: true },
+        $setOnInsert: { name: "Central Warehouse", type: "Warehouse" },
+      },
+      { upsert: true, new: true, session }
+    );
+  }
+
+  /**
+   * Find an active location by ID or code, or the default when none given
+   * @param {String} tenantId - Tenant ID
+   * @param {String} ref - Warehouse ID or code (optional)
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Warehouse
+   */
+  static async resolveWarehouse(tenantId, ref, session = null) {
+    if (!ref) return this.getDefaultWarehouse(tenantId, session);
+
+    const warehouse = await Warehouse.findOne(
+      mongoose.isValidObjectId(ref)
+        ? { _id: ref, tenantId }
+        : { code: String(ref).toUpperCase(), tenantId }
+    ).session(session);
+    if (!warehouse) {
+      throw stockError(`Warehouse ${ref} not found`, 404);
+    }
+    if (!warehouse.isActive) {
+      throw stockError(`Warehouse ${warehouse.code} is inactive`);
+    }
+    return warehouse;
+  }
+
+  /**
+   * Location a saved document moved its stock at
+   * Documents from before locations existed used the default.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} warehouseId - Warehouse stored on the document
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<ObjectId>} Warehouse ID
+   */
+  static async warehouseIdFor(tenantId, warehouseId, session = null) {
+    if (warehouseId) return warehouseId;
+    return (await this.getDefaultWarehouse(tenantId, session))._id;
+  }
+
+  /**
+   * Put stock held before locations existed at the default location
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} item - Item document
+   * @param {ClientSession} session - Transaction session (optional)
+   */
+  static async seedBalance(tenantId, item, session = null) {
+    if (!item.currentStock) return;
+
+    const tracked = await StockBalance.exists({
+      tenantId,
+      item: item._id,
+    }).session(session);
+    if (tracked) return;
+
+    const warehouse = await this.getDefaultWarehouse(tenantId, session);
+    await StockBalance.create(
+      [
+        {
+          tenantId,
+          item: item._id,
+          warehouse: warehouse._id,
+          quantity: item.currentStock,
+        },
+      ],
+      { session }
+    );
+  }
+
+  /**
+   * Move an item's stock in or out of a location and record it on the
+   * stock ledger
+   * Stock cannot go below zero at the location unless allowNegative is
+   * set, as when reversing a receipt.
+   * @param {String} tenantId - Tenant ID
+   * @param {String} itemId - Item ID
+   * @param {String} warehouseId - Warehouse ID
+   * @param {Number} quantity - Positive to add stock, negative to take out
+   * @param {ClientSession} session - Transaction session (optional)
+   * @param {Object} options - { allowNegative, movementType, unitCost,
+   *   source, date } (see InventoryCostingService.record)
+   * @returns {Promise<Object|null>} { unitCost, value } the movement was
+   *   valued at, or null when the item does not exist
+   */
+  static async adjust(
+    tenantId,
+    itemId,
+    warehouseId,
+    quantity,
+    session = null,
+    options = {}
+  ) {
+    const item = await Item.findOne({ _id: itemId, tenantId }).session(
+      session
+    );
+    if (!item) return null;
+    if (!quantity) return { unitCost: 0, value: 0 };
+
+    await this.seedBalance(tenantId, item, session);
+    await InventoryCostingService.seedValuation(tenantId, item, session);
+
+    const filter = { tenantId, item: item._id, warehouse: warehouseId };
+    if (quantity < 0 && !options.allowNegative) {
+      filter.quantity = { $gte: -quantity - 0.0005 };
+    }
+    const balance = await StockBalance.findOneAndUpdate(
+      filter,
+      { $inc: { quantity } },
+      {
+        upsert: quantity > 0 || options.allowNegative === true,
+        new: true,
+        session,
+      }
+    );
+    if (!balance) {
+      const warehouse = await Warehouse.findById(warehouseId).session(
+        session
+      );
+      throw stockError(
+        `Insufficient stock of ${item.name} at ${
+          warehouse ? warehouse.name : "the location"
+        }`
+      );
+    }
+
+    const valuation = await InventoryCostingService.record(
+      tenantId,
+      item,
+      warehouseId,
+      quantity,
+      options,
+      session
+    );
+    await Item.updateOne(
+      { _id: item._id },
+      {
+        $inc: { currentStock: quantity },
+        $set: {
+          stockValue: valuation.stockValue,
+          averageCost: valuation.averageCost,
+        },
+      },
+      { session }
+    );
+    return { unitCost: valuation.unitCost, value: valuation.value };
+  }
+
+  /**
+   * Quantity of an item on hand at a location
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} item - Item document
+   * @param {String} warehouseId - Warehouse ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Number>} Quantity on hand
+   */
+  static async getAvailable(tenantId, item, warehouseId, session = null) {
+    const balances = await StockBalance.find({
+      tenantId,
+      item: item._id,
+    }).session(session);
+
+    if (balances.length === 0) {
+      // Untracked stock sits at the default location
+      const warehouse = await this.getDefaultWarehouse(tenantId, session);
+      return String(warehouse._id) === String(warehouseId)
+        ? item.currentStock || 0
+        : 0;
+    }
+
+    const balance = balances.find(
+      (b) => String(b.warehouse) === String(warehouseId)
+    );
+    return balance ? balance.quantity : 0;
+  }
+
+  /**
+   * Stock on hand and in transit per item per location
+   * Quantities are in each item's base unit, or in `unit` for the items
+   * that have it.
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} filters - { item, warehouse, unit } (optional)
+   * @returns {Promise<Array>} Rows by item and location
+   */
+  static async getStockByLocation(tenantId, filters = {}) {
+    const defaultWarehouse = await this.getDefaultWarehouse(tenantId);
+    const warehouseFilter = filters.warehouse
+      ? String(filters.warehouse)
+      : null;
+
+    const balanceQuery = { tenantId };
+    if (filters.item) balanceQuery.item = filters.item;
+    if (warehouseFilter) balanceQuery.warehouse = warehouseFilter;
+    const balances = await StockBalance.find(balanceQuery);
+
+    // Transfers on their way count against the destination
+    const transferQuery = { tenantId, status: "In Transit" };
+    if (warehouseFilter) transferQuery.toWarehouse = warehouseFilter;
+    const transfers = await StockTransfer.find(transferQuery);
+    const inTransit = new Map();
+    for (const transfer of transfers) {
+      for (const line of transfer.lines) {
+        if (filters.item && String(line.item) !== String(filters.item)) {
+          continue;
+        }
+        const key = `${line.item}:${transfer.toWarehouse}`;
+        inTransit.set(
+          key,
+          (inTransit.get(key) || 0) + UnitService.baseQuantity(line)
+        );
+      }
+    }
+
+    const rows = new Map();
+    const rowFor = (itemId, warehouseId) => {
+      const key = `${itemId}:${warehouseId}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          item: String(itemId),
+          warehouse: String(warehouseId),
+          quantity: 0,
+          inTransit: inTransit.get(key) || 0,
+          minStockLevel: null,
+        });
+      }
+      return rows.get(key);
+    };
+
+    for (const balance of balances) {
+      const row = rowFor(balance.item, balance.warehouse);
+      row.quantity = balance.quantity;
+      if (balance.minStockLevel !== undefined) {
+        row.minStockLevel = balance.minStockLevel;
+      }
+    }
+    for (const key of inTransit.keys()) {
+      const [itemId, warehouseId] = key.split(":");
+      rowFor(itemId, warehouseId);
+    }
+
+    // Stock held before locations existed sits at the default location
+    if (!warehouseFilter || warehouseFilter === String(defaultWarehouse._id)) {
+      const tracked = await StockBalance.distinct("item", { tenantId });
+      const itemQuery = {
+        tenantId,
+        currentStock: { $ne: 0 },
+        _id: { $nin: tracked },
+      };
+      if (filters.item) itemQuery._id.$eq = filters.item;
+      const untracked = await Item.find(itemQuery).select("currentStock");
+      for (const item of untracked) {
+        rowFor(item._id, defaultWarehouse._id).quantity = item.currentStock;
+      }
+    }
+
+    const items = await Item.find({
+      tenantId,
+      _id: { $in: [...rows.values()].map((row) => row.item) },
+    }).select(
+      "itemCode name measurement unitConversions minStockLevel itemType isActive"
+    );
+    const warehouses = await Warehouse.find({
+      tenantId,
+      _id: { $in: [...rows.values()].map((row) => row.warehouse) },
+    }).select("code name type project");
+    const itemsById = new Map(items.map((item) => [String(item._id), item]));
+    const warehousesById = new Map(
+      warehouses.map((warehouse) => [String(warehouse._id), warehouse])
+    );
+
+    return [...rows.values()]
+      .filter((row) => itemsById.has(row.item))
+      .map((row) => {
+        const item = itemsById.get(row.item);
+        const warehouse = warehousesById.get(row.warehouse);
+        const minStockLevel =
+          row.minStockLevel !== null
+            ? row.minStockLevel
+            : item.minStockLevel || 0;
+        const display = UnitService.displayUnit(item, filters.unit);
+        const inUnit = (quantity) =>
+          UnitService.fromBase(quantity, display.factor);
+        return {
+          item: {
+            _id: item._id,
+            itemCode: item.itemCode,
+            name: item.name,
+            unit: display.unit,
+            baseUnit: item.measurement,
+            itemType: item.itemType,
+            isActive: item.isActive,
+          },
+          warehouse: warehouse
+            ? {
+                _id: warehouse._id,
+                code: warehouse.code,
+                name: warehouse.name,
+                type: warehouse.type,
+                project: warehouse.project,
+              }
+            : { _id: row.warehouse },
+          quantity: inUnit(row.quantity),
+          inTransit: inUnit(row.inTransit),
+          minStockLevel: inUnit(minStockLevel),
+          stockStatus:
+            row.quantity <= 0
+              ? "Out of Stock"
+              : row.quantity <= minStockLevel
+              ? "Low Stock"
+              : "In Stock",
+        };
+      })
+      .sort(
+        (a, b) =>
+          a.item.itemCode.localeCompare(b.item.itemCode) ||
+          (a.warehouse.code || "").localeCompare(b.warehouse.code || "")
+      );
+  }
+
+  /**
+   * Set the low-stock level of an item at one location
+   * @param {String} tenantId - Tenant ID
+   * @param {String} itemId - Item ID
+   * @param {String} warehouseId - Warehouse ID
+   * @param {Number|null} minStockLevel - Level, or null for the item's own
+   * @returns {Promise<Object>} Stock balance
+   */
+  static async setMinStockLevel(tenantId, itemId, warehouseId, minStockLevel) {
+    const item = await Item.findOne({ _id: itemId, tenantId });
+    if (!item) throw stockError("Item not found", 404);
+    if (minStockLevel !== null && !(Number(minStockLevel) >= 0)) {
+      throw stockError("Minimum stock level cannot be negative");
+    }
+
+    await this.seedBalance(tenantId, item);
+    const update =
+      minStockLevel === null
+        ? { $unset: { minStockLevel: 1 } }
+        : { $set: { minStockLevel: Number(minStockLevel) } };
+    return StockBalance.findOneAndUpdate(
+      { tenantId, item: item._id, warehouse: warehouseId },
+      update,
+      { upsert: true, new: true }
+    );
+  }
+}
+
+module.exports = StockService;
@@ -0,0 +1,240 @@
+const mongoose = require("mongoose");
+const Item = require("../models/Item");
+const StockTransfer = require("../models/StockTransfer");
+const StockService = require("./stockService");
+const TransactionService = require("./transactionService");
+const UnitService = require("./unitService");
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Ledger details for stock moved by a transfer
+const movementOf = (transfer, movementType) => ({
+  movementType,
+  source: {
+    model: "StockTransfer",
+    id: transfer._id,
+    reference: transfer.transferNo,
+  },
+  date: transfer.date,
+});
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Stock Transfer Service - Moving stock between warehouses and site stores
+ */
+class StockTransferService {
+  /**
+   * Validate transfer lines against the item master
+   * Lines can be entered in any of the item's units.
+   * @param {String} tenantId - Tenant ID
+   * @param {Array} lines - [{ item, itemCode, quantity, unit }]
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Array>} Transfer lines ready to save
+   */
+  static async buildLines(tenantId, lines, session = null) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error("Please provide at least one line");
+    }
+
+    const transferLines = [];
+    for (const line of lines) {
+      const quantity = Number(line.quantity);
+      if (!(line.item || line.itemCode) || !(quantity > 0)) {
+        throw new Error(
+          "Each line requires an item and a quantity greater than zero"
+        );
+      }
+
+      const item = await Item.findOne(
+        line.item
+          ? { _id: line.item, tenantId }
+          : { itemCode: String(line.itemCode).toUpperCase(), tenantId }
+      ).session(session);
+      if (!item) {
+        throw new Error(`Item ${line.itemCode || line.item} not found`);
+      }
+
+      transferLines.push({
+        item: item._id,
+        itemCode: item.itemCode,
+        itemName: item.name,
+        quantity: roundQuantity(quantity),
+        ...UnitService.convert(item, roundQuantity(quantity), line.unit),
+      });
+    }
+
+    return transferLines;
+  }
+
+  /**
+   * Dispatch stock from one location to another
+   * The stock leaves the source now and stays in transit until received,
+   * carrying the cost it left at.
+   * @param {String} tenantId - Tenant ID
+   * @param {Object} data - { fromWarehouse, toWarehouse, date, vehicleNo,
+   *   remarks, lines }
+   * @param {String} userId - ID of the dispatching user
+   * @returns {Promise<Object>} Transfer
+   */
+  static async createTransfer(tenantId, data, userId) {
+    if (!data.fromWarehouse || !data.toWarehouse) {
+      throw new Error("Please provide the source and destination locations");
+    }
+
+    return TransactionService.run(async (session) => {
+      const from = await StockService.resolveWarehouse(
+        tenantId,
+        data.fromWarehouse,
+        session
+      );
+      const to = await StockService.resolveWarehouse(
+        tenantId,
+        data.toWarehouse,
+        session
+      );
+      if (String(from._id) === String(to._id)) {
+        throw new Error("Source and destination must be different locations");
+      }
+
+      const lines = await this.buildLines(tenantId, data.lines, session);
+      const count = await StockTransfer.countDocuments({ tenantId }).session(
+        session
+      );
+      const dispatch = {
+        _id: new mongoose.Types.ObjectId(),
+        transferNo: `TRF${String(count + 1).padStart(6, "0")}`,
+        date: data.date ? new Date(data.date) : new Date(),
+      };
+      for (const line of lines) {
+        await StockService.adjust(
+          tenantId,
+          line.item,
+          from._id,
+          -UnitService.baseQuantity(line),
+          session,
+          movementOf(dispatch, "Transfer Out")
+        );
+      }
+
+      const [transfer] = await StockTransfer.create(
+        [
+          {
+            ...dispatch,
+            tenantId,
+            fromWarehouse: from._id,
+            toWarehouse: to._id,
+            lines,
+            vehicleNo: data.vehicleNo,
+            remarks: data.remarks,
+            dispatchedBy: userId,
+          },
+        ],
+        { session }
+      );
+
+      return transfer;
+    });
+  }
+
+  /**
+   * Load a transfer that is still in transit
+   * @param {String} tenantId - Tenant ID
+   * @param {String} transferId - Transfer ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Transfer
+   */
+  static async getInTransit(tenantId, transferId, session = null) {
+    const transfer = await StockTransfer.findOne({
+      _id: transferId,
+      tenantId,
+    }).session(session);
+    if (!transfer) throw notFound("Stock transfer not found");
+    if (transfer.status !== "In Transit") {
+      throw new Error(
+        `Transfer ${transfer.transferNo} is already ${transfer.status.toLowerCase()}`
+      );
+    }
+    return transfer;
+  }
+
+  /**
+   * Receive a transfer at its destination
+   * @param {String} tenantId - Tenant ID
+   * @param {String} transferId - Transfer ID
+   * @param {String} userId - ID of the receiving user
+   * @returns {Promise<Object>} Received transfer
+   */
+  static async receiveTransfer(tenantId, transferId, userId) {
+    return TransactionService.run(async (session) => {
+      const transfer = await this.getInTransit(tenantId, transferId, session);
+
+      for (const line of transfer.lines) {
+        await StockService.adjust(
+          tenantId,
+          line.item,
+          transfer.toWarehouse,
+          UnitService.baseQuantity(line),
+          session,
+          {
+            ...movementOf(transfer, "Transfer In"),
+            date: new Date(),
+          }
+        );
+      }
+
+      transfer.status = "Received";
+      transfer.receivedBy = userId;
+      transfer.receivedAt = new Date();
+      await transfer.save({ session });
+
+      return transfer;
+    });
+  }
+
+  /**
+   * Cancel a transfer in transit, returning the stock to its source
+   * @param {String} tenantId - Tenant ID
+   * @param {String} transferId - Transfer ID
+   * @param {String} reason - Why the transfer is cancelled (optional)
+   * @param {String} userId - ID of the cancelling user
+   * @returns {Promise<Object>} Cancelled transfer
+   */
+  static async cancelTransfer(tenantId, transferId, reason, userId) {
+    return TransactionService.run(async (session) => {
+      const transfer = await this.getInTransit(tenantId, transferId, session);
+
+      for (const line of transfer.lines) {
+        await StockService.adjust(
+          tenantId,
+          line.item,
+          transfer.fromWarehouse,
+          UnitService.baseQuantity(line),
+          session,
+          {
+            ...movementOf(transfer, "Transfer Out"),
+            date: new Date(),
+          }
+        );
+      }
+
+      transfer.status = "Cancelled";
+      transfer.cancelledBy = userId;
+      transfer.cancelledAt = new Date();
+      if (reason) {
+        transfer.remarks = transfer.remarks
+          ? `${transfer.remarks} | Cancelled: ${reason}`
+          : `Cancelled: ${reason}`;
+      }
+      await transfer.save({ session });
+
+      return transfer;
+    });
+  }
+}
+
+module.exports = StockTransferService;
@@ -0,0 +1,185 @@
+const TaxCode = require("../models/TaxCode");
+const SalesInvoice = require("../models/SalesInvoice");
+const Purchase = require("../models/Purchase");
+const BankPayment = require("../models/BankPayment");
+const CashPayment = require("../models/CashPayment");
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Tax Service - Resolves tenant tax codes and builds tax summaries
+ */
+class TaxService {
+  /**
+   * Find an active tax code of the expected type
+   * @param {String} tenantId - Tenant ID
+   * @param {String} code - Tax code (e.g. GST17)
+   * @param {String} taxType - Output, Input or Withholding
+   * @returns {Promise<Object>} Tax code document
+   */
+  static async resolveTaxCode(tenantId, code, taxType) {
+    const taxCode = await TaxCode.findOne({
+      tenantId,
+      code: code.toUpperCase(),
+      isActive: true,
+    });
+
+    if (!taxCode) {
+      throw new Error(`Tax code ${code} not found`);
+    }
+    if (taxType && taxCode.taxType !== taxType) {
+      throw new Error(
+        `Tax code ${taxCode.code} is a ${taxCode.taxType.toLowerCase()} tax, expected ${taxType.toLowerCase()}`
+      );
+    }
+
+    return taxCode;
+  }
+
+  /**
+   * Resolve the withholding tax to deduct from a payment
+   * A tax code wins over an explicit rate
+   * @returns {Promise<Object>} { withholdingTaxCode, withholdingTaxRate }
+   */
+  static async resolveWithholding(tenantId, withholdingTaxCode, rate) {
+    if (withholdingTaxCode) {
+      const taxCode = await this.resolveTaxCode(
+        tenantId,
+        withholdingTaxCode,
+        "Withholding"
+      );
+      return {
+        withholdingTaxCode: taxCode.code,
+        withholdingTaxRate: taxCode.rate,
+      };
+    }
+
+    return {
+      withholdingTaxCode: "",
+      withholdingTaxRate: Number(rate) || 0,
+    };
+  }
+
+  /**
+   * Compute the tax on a base amount
+   */
+  static calculateTax(baseAmount, rate) {
+    return roundAmount(((baseAmount || 0) * (rate || 0)) / 100);
+  }
+
+  /**
+   * Tax summary for a period, grouped by tax code
+   * Output tax from sales invoices, input tax from purchase bills and
+   * withholding tax deducted on bank/cash payments
+   * @param {String} tenantId - Tenant ID
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @returns {Promise<Object>} Tax summary
+   */
+  static async getTaxSummary(tenantId, startDate, endDate) {
+    const dateFilter = { $gte: startDate, $lte: endDate };
+
+    const addToGroup = (groups, code, rate, taxableAmount, taxAmount) => {
+      const key = code || `RATE-${rate || 0}`;
+      if (!groups[key]) {
+        groups[key] = {
+          taxCode: code || null,
+          rate: rate || 0,
+          documents: 0,
+          taxableAmount: 0,
+          taxAmount: 0,
+        };
+      }
+      groups[key].documents += 1;
+      groups[key].taxableAmount = roundAmount(
+        groups[key].taxableAmount + taxableAmount
+      );
+      groups[key].taxAmount = roundAmount(groups[key].taxAmount + taxAmount);
+    };
+
+    // Output tax on sales invoices
+    const output = {};
+    const invoices = await SalesInvoice.find({
+      tenantId,
+      date: dateFilter,
+      status: { $ne: "cancelled" },
+    });
+    invoices.forEach((invoice) => {
+      invoice.items.forEach((item) => {
+        if (!item.taxAmount) return;
+        addToGroup(
+          output,
+          item.taxCode,
+          item.taxPercent,
+          item.grossAmount - (item.discount || 0),
+          item.taxAmount
+        );
+      });
+    });
+
+    // Input tax on purchase bills
+    const input = {};
+    const purchases = await Purchase.find({
+      tenantId,
+      date: dateFilter,
+      status: { $ne: "cancelled" },
+    });
+    purchases.forEach((purchase) => {
+      purchase.lines.forEach((line) => {
+        if (!line.taxAmount) return;
+        addToGroup(
+          input,
+          line.taxCode,
+          line.taxPercent,
+          line.grossAmount - (line.discount || 0),
+          line.taxAmount
+        );
+      });
+    });
+
+    // Withholding tax deducted on payments
+    const withholding = {};
+    const paymentFilter = {
+      tenantId,
+      date: dateFilter,
+      cancel: { $ne: true },
+      withholdingTaxAmount: { $gt: 0 },
+    };
+    const [bankPayments, cashPayments] = await Promise.all([
+      BankPayment.find(paymentFilter),
+      CashPayment.find(paymentFilter),
+    ]);
+    [...bankPayments, ...cashPayments].forEach((payment) => {
+      addToGroup(
+        withholding,
+        payment.withholdingTaxCode,
+        payment.withholdingTaxRate,
+        payment.totalAmount,
+        payment.withholdingTaxAmount
+      );
+    });
+
+    const total = (groups) =>
+      roundAmount(
+        Object.values(groups).reduce((sum, group) => sum + group.taxAmount, 0)
+      );
+
+    const outputTax = total(output);
+    const inputTax = total(input);
+    const withholdingTax = total(withholding);
+
+    return {
+      period: { startDate, endDate },
+      outputTax: { total: outputTax, byTaxCode: Object.values(output) },
+      inputTax: { total: inputTax, byTaxCode: Object.values(input) },
+      withholdingTax: {
+        total: withholdingTax,
+        byTaxCode: Object.values(withholding),
+      },
+      netSalesTaxPayable: roundAmount(outputTax - inputTax),
+      totalPayable: roundAmount(outputTax - inputTax + withholdingTax),
+    };
+  }
+}
+
+module.exports = TaxService;
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+/**
+ * Transaction Service - Runs a unit of work inside a MongoDB transaction
+ */
+class TransactionService {
+  /**
+   * Run work inside one session transaction
+   * Every write made with the session commits together or not at all
+   * @param {Function} work - async (session) => result
+   * @returns {Promise<*>} Result of the work
+   */
+  static async run(work) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const result = await work(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = TransactionService;
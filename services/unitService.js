@@ -0,0 +1,137 @@
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const key = (unit) =>
+  String(unit || "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Unit Service - Units of measure of items
+ * Stock is kept and costed in an item's base unit (its `measurement`). An
+ * item can also be bought, sold and issued in other units, each holding a
+ * fixed number of base units (e.g. 1 ton = 1000 kg). Document lines keep
+ * the quantity as entered with its conversionFactor and baseQuantity.
+ */
+class UnitService {
+  /**
+   * Units an item can be entered in, its base unit first
+   * @param {Object} item - Item document
+   * @returns {Array} [{ unit, factor, isBase }]
+   */
+  static getUnits(item) {
+    return [
+      { unit: item.measurement, factor: 1, isBase: true },
+      ...(item.unitConversions || []).map((conversion) => ({
+        unit: conversion.unit,
+        factor: conversion.factor,
+        isBase: false,
+      })),
+    ];
+  }
+
+  /**
+   * Look up one of an item's units (case-insensitive)
+   * @param {Object} item - Item document
+   * @param {String} unit - Unit name; the base unit when not given
+   * @returns {Object} { unit, factor, isBase }
+   */
+  static getUnit(item, unit) {
+    const units = this.getUnits(item);
+    if (!unit) return units[0];
+
+    const match = units.find((entry) => key(entry.unit) === key(unit));
+    if (!match) {
+      throw new Error(
+        `${unit} is not a unit of ${item.itemCode}; use ${units
+          .map((entry) => entry.unit)
+          .join(", ")}`
+      );
+    }
+    return match;
+  }
+
+  /**
+   * Convert a quantity entered in one of an item's units
+   * @param {Object} item - Item document
+   * @param {Number} quantity - Quantity as entered
+   * @param {String} unit - Unit it was entered in (base unit when not given)
+   * @returns {Object} { unit, conversionFactor, baseQuantity }
+   */
+  static convert(item, quantity, unit) {
+    const entry = this.getUnit(item, unit);
+    return {
+      unit: entry.unit,
+      conversionFactor: entry.factor,
+      baseQuantity: roundQuantity(Number(quantity) * entry.factor),
+    };
+  }
+
+  /**
+   * Quantity of a document line in the item's base unit
+   * Lines saved before units of measure carry their quantity in base units.
+   * @param {Object} line - Document line with quantity and conversionFactor
+   * @param {String} field - Quantity field (default quantity)
+   * @returns {Number} Base quantity
+   */
+  static baseQuantity(line, field = "quantity") {
+    return roundQuantity((line[field] || 0) * (line.conversionFactor || 1));
+  }
+
+  /**
+   * Unit to show an item's quantities in
+   * Items that cannot be counted in the chosen unit stay in their base unit.
+   * @param {Object} item - Item document
+   * @param {String} unit - Chosen unit (optional)
+   * @returns {Object} { unit, factor }
+   */
+  static displayUnit(item, unit) {
+    const units = this.getUnits(item);
+    const match =
+      (unit && units.find((entry) => key(entry.unit) === key(unit))) ||
+      units[0];
+    return { unit: match.unit, factor: match.factor };
+  }
+
+  /**
+   * Express a base quantity in another unit
+   * @param {Number} baseQuantity - Quantity in the base unit
+   * @param {Number} factor - Base units per unit
+   * @returns {Number} Quantity in the unit
+   */
+  static fromBase(baseQuantity, factor) {
+    return roundQuantity(baseQuantity / (factor || 1));
+  }
+
+  /**
+   * Validate an item's unit conversions
+   * @param {String} measurement - Base unit
+   * @param {Array} conversions - [{ unit, factor }]
+   * @returns {Array} Conversions ready to save
+   */
+  static buildConversions(measurement, conversions) {
+    if (!Array.isArray(conversions)) {
+      throw new Error("unitConversions must be a list of { unit, factor }");
+    }
+
+    const seen = new Set();
+    return conversions.map((conversion) => {
+      const unit = String(conversion.unit || "").trim();
+      const factor = Number(conversion.factor);
+      if (!unit || !(factor > 0)) {
+        throw new Error(
+          "Each unit conversion requires a unit and a factor greater than zero"
+        );
+      }
+      if (key(unit) === key(measurement)) {
+        throw new Error(`${unit} is the item's base unit`);
+      }
+      if (seen.has(key(unit))) {
+        throw new Error(`Unit ${unit} is listed more than once`);
+      }
+      seen.add(key(unit));
+      return { unit, factor };
+    });
+  }
+}
+
+module.exports = UnitService;
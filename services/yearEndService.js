@@ -0,0 +1,400 @@
+const mongoose = require("mongoose");
+const GeneralLedger = require("../models/GeneralLedger");
+const ChartOfAccount = require("../models/ChartOfAccount");
+const FiscalPeriod = require("../models/FiscalPeriod");
+const YearEndClose = require("../models/YearEndClose");
+const AccountingService = require("./accountingService");
+const FiscalPeriodService = require("./fiscalPeriodService");
+const TransactionService = require("./transactionService");
+
+const DEFAULT_RETAINED_EARNINGS_CODE = "3100";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Line that brings a debit-minus-credit balance to zero
+const offsetLine = (account, balance, description) => ({
+  account: account.account,
+  accountCode: account.accountCode,
+  accountName: account.accountName,
+  accountType: account.accountType,
+  debit: balance < 0 ? -balance : 0,
+  credit: balance > 0 ? balance : 0,
+  description,
+});
+
+// Line that rebuilds a debit-minus-credit balance from zero
+const restoreLine = (account, balance, description) =>
+  offsetLine(account, -balance, description);
+
+const withTotals = (entry) => ({
+  ...entry,
+  totalDebit: round(entry.lines.reduce((sum, line) => sum + line.debit, 0)),
+  totalCredit: round(entry.lines.reduce((sum, line) => sum + line.credit, 0)),
+});
+
+/**
+ * Year-End Service - Closes a fiscal year and rolls its balances forward
+ *
+ * Closing a year posts three entries:
+ * - Closing entry at year end: Revenue and Expense to retained earnings
+ * - Balance close entry at year end: balance-sheet accounts to zero
+ * - Opening Balance entry on the first day of the next year: the same
+ *   balance-sheet balances brought back
+ * The ledger stays cumulative, so as-of reports are unchanged while the
+ * new year's account ledgers start from their opening balances. The profit
+ * and loss report skips Closing entries, so the closed year still shows
+ * its result.
+ */
+class YearEndService {
+  /**
+   * Debit-minus-credit balance of every account with activity up to a date
+   * @param {String} tenantId - Tenant ID
+   * @param {Date} asOfDate - Last date included
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Array>} Accounts with a non-zero balance
+   */
+  static async getAccountBalances(tenantId, asOfDate, session = null) {
+    const result = await GeneralLedger.aggregate([
+      {
+        $match: {
+          tenantId,
+          status: "Active",
+          date: { $lte: asOfDate },
+        },
+      },
+      {
+        $group: {
+          _id: "$accountCode",
+          account: { $first: "$account" },
+          accountName: { $first: "$accountName" },
+          accountType: { $first: "$accountType" },
+          totalDebit: { $sum: "$debit" },
+          totalCredit: { $sum: "$credit" },
+        },
+      },
+      {
+        $sort: { _id: 1 },
+      },
+    ]).session(session);
+
+    return result
+      .map((row) => ({
+        account: row.account,
+        accountCode: row._id,
+        accountName: row.accountName,
+        accountType: row.accountType,
+        balance: round(row.totalDebit - row.totalCredit),
+      }))
+      .filter((row) => row.balance !== 0);
+  }
+
+  /**
+   * Find the retained earnings account, creating it when asked to
+   * @param {String} tenantId - Tenant ID
+   * @param {String} code - Account code
+   * @param {Boolean} create - Create the account when it does not exist
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Account (unsaved placeholder when not created)
+   */
+  static async getRetainedEarningsAccount(
+    tenantId,
+    code,
+    create,
+    session = null
+  ) {
+    const account = await ChartOfAccount.findOne({ tenantId, code }).session(
+      session
+    );
+
+    if (account) {
+      if (account.accountType && account.accountType !== "Equity") {
+        throw new Error(
+          `Account ${code} is a ${account.accountType} account; retained earnings must be an Equity account`
+        );
+      }
+      return account;
+    }
+
+    if (!create) {
+      return { _id: null, code, name: "Retained Earnings" };
+    }
+
+    return AccountingService.getOrCreateAccount(
+      code,
+      "Retained Earnings",
+      "Equity",
+      tenantId,
+      session
+    );
+  }
+
+  /**
+   * Build the year-end entries without posting them
+   * @param {String} tenantId - Tenant ID
+   * @param {Number} fiscalYear - Fiscal year to close
+   * @param {Object} retainedEarnings - Retained earnings account
+   * @param {String} retainedEarningsCode - Retained earnings account code
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Object>} Year range, net profit and entry data
+   */
+  static async buildYearEndEntries(
+    tenantId,
+    fiscalYear,
+    retainedEarnings,
+    retainedEarningsCode,
+    session = null
+  ) {
+    const startMonth = await FiscalPeriodService.getStartMonth(
+      tenantId,
+      session
+    );
+    const { startDate, endDate } = FiscalPeriodService.getFiscalYearRange(
+      fiscalYear,
+      startMonth
+    );
+    const nextYearStart = new Date(endDate.getTime() + 1);
+
+    const balances = await this.getAccountBalances(tenantId, endDate, session);
+    const profitAndLoss = balances.filter(
+      (a) => a.accountType === "Revenue" || a.accountType === "Expense"
+    );
+    const balanceSheet = balances.filter(
+      (a) => a.accountType !== "Revenue" && a.accountType !== "Expense"
+    );
+
+    // Revenue carries credit (negative) balances, so profit is the negated sum
+    const netProfit = round(
+      -profitAndLoss.reduce((sum, a) => sum + a.balance, 0)
+    );
+
+    const retainedEarningsLine = {
+      account: retainedEarnings._id,
+      accountCode: retainedEarningsCode,
+      accountName: retainedEarnings.name || "Retained Earnings",
+      accountType: "Equity",
+    };
+
+    const sourceTransaction = {
+      model: "YearEndClose",
+      reference: `FY ${fiscalYear}`,
+    };
+
+    // Closing entry: zero every Revenue and Expense account into retained
+    // earnings
+    let closingEntry = null;
+    if (profitAndLoss.length > 0) {
+      const lines = profitAndLoss.map((a) =>
+        offsetLine(a, a.balance, `Close ${a.accountName} for FY ${fiscalYear}`)
+      );
+      if (netProfit !== 0) {
+        lines.push(
+          restoreLine(
+            retainedEarningsLine,
+            -netProfit,
+            `Net ${netProfit > 0 ? "profit" : "loss"} for FY ${fiscalYear}`
+          )
+        );
+      }
+
+      closingEntry = withTotals({
+        tenantId,
+        date: endDate,
+        transactionType: "Closing",
+        sourceTransaction,
+        description: `Year-end close FY ${fiscalYear} - profit and loss to retained earnings`,
+        lines,
+      });
+    }
+
+    // Balance-sheet balances after the profit or loss reaches retained
+    // earnings
+    const carryForward = balanceSheet.map((a) => ({ ...a }));
+    if (netProfit !== 0) {
+      const retained = carryForward.find(
+        (a) => a.accountCode === retainedEarningsCode
+      );
+      if (retained) {
+        retained.balance = round(retained.balance - netProfit);
+      } else {
+        carryForward.push({ ...retainedEarningsLine, balance: -netProfit });
+      }
+    }
+    const openingBalances = carryForward.filter((a) => a.balance !== 0);
+
+    let balanceCloseEntry = null;
+    let openingEntry = null;
+    if (openingBalances.length >= 2) {
+      balanceCloseEntry = withTotals({
+        tenantId,
+        date: endDate,
+        transactionType: "Closing",
+        sourceTransaction,
+        description: `Year-end close FY ${fiscalYear} - balance sheet carried forward`,
+        lines: openingBalances.map((a) =>
+          offsetLine(a, a.balance, `Carry forward to FY ${fiscalYear + 1}`)
+        ),
+      });
+
+      openingEntry = withTotals({
+        tenantId,
+        date: nextYearStart,
+        transactionType: "Opening Balance",
+        sourceTransaction,
+        description: `Opening balances FY ${fiscalYear + 1}`,
+        lines: openingBalances.map((a) =>
+          restoreLine(a, a.balance, `Opening balance from FY ${fiscalYear}`)
+        ),
+      });
+    }
+
+    return {
+      fiscalYear,
+      startDate,
+      endDate,
+      retainedEarningsAccountCode: retainedEarningsCode,
+      netProfit,
+      closingEntry,
+      balanceCloseEntry,
+      openingEntry,
+    };
+  }
+
+  /**
+   * Show the entries a year-end close would post
+   * @param {String} tenantId - Tenant ID
+   * @param {Number} fiscalYear - Fiscal year to close
+   * @param {String} retainedEarningsCode - Retained earnings account code
+   * @returns {Promise<Object>} Year-end entries, not posted
+   */
+  static async previewYearEnd(
+    tenantId,
+    fiscalYear,
+    retainedEarningsCode = DEFAULT_RETAINED_EARNINGS_CODE
+  ) {
+    const existing = await YearEndClose.findOne({ tenantId, fiscalYear });
+    if (existing) {
+      throw new Error(`Fiscal year ${fiscalYear} has already been closed`);
+    }
+
+    const retainedEarnings = await this.getRetainedEarningsAccount(
+      tenantId,
+      retainedEarningsCode,
+      false
+    );
+
+    return this.buildYearEndEntries(
+      tenantId,
+      fiscalYear,
+      retainedEarnings,
+      retainedEarningsCode
+    );
+  }
+
+  /**
+   * Post the year-end entries and record the close
+   * The year must have ended and none of its periods may still be open.
+   * The two closing entries are posted even when the year's periods are
+   * hard closed; the opening entry goes through the next year's period
+   * lock like any other entry.
+   * @param {String} tenantId - Tenant ID
+   * @param {Number} fiscalYear - Fiscal year to close
+   * @param {String} userId - ID of the user closing the year
+   * @param {String} retainedEarningsCode - Retained earnings account code
+   * @returns {Promise<Object>} Year-end close record
+   */
+  static async closeYear(
+    tenantId,
+    fiscalYear,
+    userId,
+    retainedEarningsCode = DEFAULT_RETAINED_EARNINGS_CODE
+  ) {
+    const existing = await YearEndClose.findOne({ tenantId, fiscalYear });
+    if (existing) {
+      throw new Error(`Fiscal year ${fiscalYear} has already been closed`);
+    }
+
+    const startMonth = await FiscalPeriodService.getStartMonth(tenantId);
+    const { endDate } = FiscalPeriodService.getFiscalYearRange(
+      fiscalYear,
+      startMonth
+    );
+    if (new Date() <= endDate) {
+      throw new Error(`Fiscal year ${fiscalYear} has not ended yet`);
+    }
+
+    const openPeriods = await FiscalPeriod.countDocuments({
+      tenantId,
+      fiscalYear,
+      status: "Open",
+    });
+    if (openPeriods > 0) {
+      throw new Error(
+        `Close all periods of fiscal year ${fiscalYear} before the year-end close`
+      );
+    }
+
+    return await TransactionService.run(async (session) => {
+      const retainedEarnings = await this.getRetainedEarningsAccount(
+        tenantId,
+        retainedEarningsCode,
+        true,
+        session
+      );
+
+      const result = await this.buildYearEndEntries(
+        tenantId,
+        fiscalYear,
+        retainedEarnings,
+        retainedEarningsCode,
+        session
+      );
+
+      if (!result.closingEntry && !result.openingEntry) {
+        throw new Error(
+          `Fiscal year ${fiscalYear} has no balances to close or carry forward`
+        );
+      }
+
+      // Entries point back at the close record, so its ID is fixed up front
+      const closeId = new mongoose.Types.ObjectId();
+      const post = async (entry, options = {}) => {
+        if (!entry) return null;
+        entry.sourceTransaction = { ...entry.sourceTransaction, id: closeId };
+        const journalEntry = await AccountingService.createJournalEntry(
+          entry,
+          userId,
+          session,
+          options
+        );
+        return journalEntry._id;
+      };
+
+      const [yearEndClose] = await YearEndClose.create(
+        [
+          {
+            _id: closeId,
+            tenantId,
+            fiscalYear,
+            startDate: result.startDate,
+            endDate: result.endDate,
+            retainedEarningsAccountCode: retainedEarningsCode,
+            netProfit: result.netProfit,
+            closingEntry: await post(result.closingEntry, {
+              yearEndClose: true,
+            }),
+            balanceCloseEntry: await post(result.balanceCloseEntry, {
+              yearEndClose: true,
+            }),
+            openingEntry: await post(result.openingEntry),
+            closedBy: userId,
+          },
+        ],
+        { session }
+      );
+
+      return yearEndClose;
+    });
+  }
+}
+
+module.exports = YearEndService;
@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const BankReconciliationService = require("../services/bankReconciliationService");
+
+// What the XSS sanitiser in index.js does to every request body string
+const escapeLikeRequestBody = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#x27;")
+    .replace(/\//g, "&#x2F;");
+
+test("parses a statement escaped by the request sanitiser", () => {
+  const csv = [
+    "Date,Description,Cheque No,Withdrawal,Deposit,Balance",
+    '15/01/2025,"Transfer to HBL, Lahore",000123,"1,250.00",,"8,750.00"',
+    "16/01/2025,O'Brien & Sons <ref>,,,300,\"9,050.00\"",
+  ].join("\r\n");
+
+  const lines = BankReconciliationService.parseStatement(
+    escapeLikeRequestBody(csv)
+  );
+
+  assert.equal(lines.length, 2);
+  assert.deepEqual(lines[0].date, new Date(2025, 0, 15));
+  assert.equal(lines[0].description, "Transfer to HBL, Lahore");
+  assert.equal(lines[0].reference, "000123");
+  assert.equal(lines[0].withdrawal, 1250);
+  assert.equal(lines[0].balance, 8750);
+  assert.deepEqual(lines[1].date, new Date(2025, 0, 16));
+  assert.equal(lines[1].description, "O'Brien & Sons <ref>");
+  assert.equal(lines[1].deposit, 300);
+});
+
+test("matches escaped header overrides", () => {
+  const csv = "Txn Dt,Dr/Cr Amount\n15/01/2025,-75";
+
+  const lines = BankReconciliationService.parseStatement(
+    escapeLikeRequestBody(csv),
+    { date: escapeLikeRequestBody("Txn Dt"), amount: "Dr/Cr Amount" }
+  );
+
+  assert.equal(lines[0].withdrawal, 75);
+});
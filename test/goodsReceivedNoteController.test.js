@@ -0,0 +1,149 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { useMemoryModels } = require("./helpers/memoryModels");
+
+const clearModels = useMemoryModels();
+const Item = require("../models/Item");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const GoodsReceivedNote = require("../models/GoodsReceivedNote");
+const Purchase = require("../models/Purchase");
+const GeneralLedger = require("../models/GeneralLedger");
+const {
+  createGoodsReceivedNote,
+  cancelGoodsReceivedNote,
+} = require("../controllers/goodsReceivedNoteController");
+const { createPurchase } = require("../controllers/purchaseController");
+
+const tenantId = new mongoose.Types.ObjectId().toString();
+const userId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const callController = async (handler, req) => {
+  const res = mockResponse();
+  await handler({ tenantId, user: { _id: userId }, ...req }, res);
+  return res;
+};
+
+// Net debit of an account across every ledger row, reversals included
+const ledgerBalance = async (accountCode) =>
+  Math.round(
+    (await GeneralLedger.find({ tenantId, accountCode })).reduce(
+      (sum, row) => sum + row.debit - row.credit,
+      0
+    ) * 100
+  ) / 100;
+
+// Approved order for 100 bags of cement at 10
+const createOrder = async () => {
+  const cement = await Item.create({
+    tenantId,
+    itemCode: "CEM",
+    name: "Cement",
+    measurement: "bag",
+    quantity: 0,
+  });
+  return PurchaseOrder.create({
+    tenantId,
+    poNumber: "PO-1",
+    date: new Date(),
+    supplier: new mongoose.Types.ObjectId(),
+    vendorName: "Supplier",
+    lines: [
+      {
+        item: cement._id,
+        itemCode: "CEM",
+        itemName: "Cement",
+        quantity: 100,
+        unit: "bag",
+        rate: 10,
+      },
+    ],
+    status: "Approved",
+  });
+};
+
+const receiveGoods = async (order, receivedQty) => {
+  const res = await callController(createGoodsReceivedNote, {
+    body: {
+      purchaseOrder: order._id,
+      lines: [{ poLine: order.lines[0]._id, receivedQty }],
+    },
+  });
+  assert.equal(res.statusCode, 201);
+  return res.body.data;
+};
+
+beforeEach(clearModels);
+
+test("a GRN debits inventory against goods received not invoiced", async () => {
+  const order = await createOrder();
+
+  const note = await receiveGoods(order, 100);
+
+  assert.ok(note.journalEntry);
+  assert.equal(await ledgerBalance("1300"), 1000);
+  assert.equal(await ledgerBalance("2050"), -1000);
+  const item = await Item.findById(order.lines[0].item);
+  assert.equal(item.stockValue, 1000);
+});
+
+test("the bill clears goods received not invoiced", async () => {
+  const order = await createOrder();
+  await receiveGoods(order, 100);
+
+  const res = await callController(createPurchase, {
+    body: {
+      serialNo: "PB-1",
+      date: new Date(),
+      vendorInvoiceNo: "INV-1",
+      purchaseOrder: order._id,
+      lines: [
+        {
+          item: order.lines[0].item,
+          itemCode: "CEM",
+          itemName: "Cement",
+          quantity: 100,
+          unit: "bag",
+          rate: 10.5,
+        },
+      ],
+      carriageFreight: 20,
+    },
+  });
+
+  assert.equal(res.statusCode, 201);
+  const bill = await Purchase.findOne({ tenantId, serialNo: "PB-1" });
+  assert.equal(bill.lines[0].receivedValue, 1000);
+  assert.equal(await ledgerBalance("2050"), 0);
+  assert.equal(await ledgerBalance("1300"), 1000);
+  assert.equal(await ledgerBalance("5300"), 70);
+  assert.equal(await ledgerBalance("2000"), -1070);
+});
+
+test("cancelling a GRN reverses its entry", async () => {
+  const order = await createOrder();
+  const note = await receiveGoods(order, 40);
+
+  const res = await callController(cancelGoodsReceivedNote, {
+    params: { id: note._id },
+  });
+
+  assert.equal(res.statusCode, 200);
+  const cancelled = await GoodsReceivedNote.findById(note._id);
+  assert.equal(cancelled.status, "Cancelled");
+  assert.equal(await ledgerBalance("1300"), 0);
+  assert.equal(await ledgerBalance("2050"), 0);
+});
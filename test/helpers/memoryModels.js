@@ -0,0 +1,322 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const TransactionService = require("../../services/transactionService");
+
+/**
+ * In-memory stand-ins for the Mongoose model statics the services use
+ * Service flows run end to end without a MongoDB server. Documents are
+ * still validated against their schemas and run their save hooks, so a
+ * write the database would reject fails here too.
+ */
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId) &&
+  !(value instanceof RegExp);
+
+// Read a dotted path; arrays along the way yield every element's value
+const getPath = (doc, key) =>
+  key.split(".").reduce((value, part) => {
+    if (value == null) return value;
+    if (Array.isArray(value)) return value.map((element) => element[part]);
+    return typeof value.get === "function" && !(value instanceof Map)
+      ? value.get(part)
+      : value[part];
+  }, doc);
+
+const equals = (value, expected) => {
+  if (Array.isArray(value)) {
+    return value.some((element) => equals(element, expected));
+  }
+  if (value == null || expected == null) return value == expected;
+  if (value instanceof Date || expected instanceof Date) {
+    return new Date(value).getTime() === new Date(expected).getTime();
+  }
+  return String(value) === String(expected);
+};
+
+const compare = (a, b) => {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+const matchesOperators = (value, operators) =>
+  Object.entries(operators).every(([operator, expected]) => {
+    switch (operator) {
+      case "$eq":
+        return equals(value, expected);
+      case "$ne":
+        return expected === null ? value != null : !equals(value, expected);
+      case "$gt":
+        return value != null && compare(value, expected) > 0;
+      case "$gte":
+        return value != null && compare(value, expected) >= 0;
+      case "$lt":
+        return value != null && compare(value, expected) < 0;
+      case "$lte":
+        return value != null && compare(value, expected) <= 0;
+      case "$in":
+        return expected.some((option) =>
+          option === null ? value == null : equals(value, option)
+        );
+      case "$nin":
+        return !expected.some((option) =>
+          option === null ? value == null : equals(value, option)
+        );
+      case "$exists":
+        return expected ? value !== undefined : value === undefined;
+      case "$regex":
+        return new RegExp(expected, operators.$options).test(value);
+      case "$options":
+        return true;
+      default:
+        throw new Error(`Query operator ${operator} is not supported`);
+    }
+  });
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+
+    const value = getPath(doc, key);
+    if (condition instanceof RegExp) return condition.test(value);
+    if (isPlainObject(condition)) return matchesOperators(value, condition);
+    if (condition === null) {
+      return value == null || (Array.isArray(value) && value.length === 0);
+    }
+    return equals(value, condition);
+  });
+
+const sortDocs = (docs, spec) => {
+  if (!spec) return docs;
+  const keys = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const order = compare(getPath(a, key), getPath(b, key));
+      if (order !== 0) return direction < 0 ? -order : order;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Chainable, awaitable query over the in-memory documents
+ */
+class MemoryQuery {
+  constructor(resolve) {
+    this.resolve = resolve;
+    this.sortSpec = null;
+    this.limitCount = null;
+  }
+
+  session() {
+    return this;
+  }
+
+  select() {
+    return this;
+  }
+
+  populate() {
+    return this;
+  }
+
+  lean() {
+    return this;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  exec() {
+    return Promise.resolve().then(() => this.resolve(this));
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.exec().then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.exec().catch(onRejected);
+  }
+}
+
+const applyUpdate = (doc, update, inserting = false) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (!key.startsWith("$")) doc.set(key, value);
+  }
+  for (const [key, value] of Object.entries(update.$set || {})) {
+    doc.set(key, value);
+  }
+  for (const [key, value] of Object.entries(update.$inc || {})) {
+    doc.set(key, (doc.get(key) || 0) + value);
+  }
+  for (const key of Object.keys(update.$unset || {})) {
+    doc.set(key, undefined);
+  }
+  for (const [key, value] of Object.entries(update.$push || {})) {
+    doc.get(key).push(value);
+  }
+  if (inserting) {
+    for (const [key, value] of Object.entries(update.$setOnInsert || {})) {
+      doc.set(key, value);
+    }
+  }
+};
+
+/**
+ * Replace a model's database statics with in-memory versions
+ * @param {Model} Model - Mongoose model
+ * @returns {Array} The model's document store
+ */
+const useMemoryModel = (Model) => {
+  const docs = [];
+  Model.memoryDocs = docs;
+
+  const store = async (doc) => {
+    await Model.schema.s.hooks.execPre("save", doc, []);
+    await doc.validate();
+    if (!docs.includes(doc)) docs.push(doc);
+    doc.isNew = false;
+    doc.$__reset();
+    await Model.schema.s.hooks.execPost("save", doc, [doc]);
+    return doc;
+  };
+
+  const findAll = (filter) => docs.filter((doc) => matches(doc, filter));
+  const findFirst = (filter) =>
+    new MemoryQuery(
+      (query) => sortDocs(findAll(filter), query.sortSpec)[0] || null
+    );
+
+  Model.prototype.save = async function () {
+    return store(this);
+  };
+
+  Model.create = async (input) => {
+    const created = [];
+    for (const data of Array.isArray(input) ? input : [input]) {
+      created.push(await store(new Model(data)));
+    }
+    return Array.isArray(input) ? created : created[0];
+  };
+
+  // Like the driver, insertMany validates but runs no save hooks
+  Model.insertMany = async (input) => {
+    const created = input.map((data) => new Model(data));
+    for (const doc of created) {
+      await doc.validate();
+    }
+    docs.push(...created);
+    return created;
+  };
+
+  Model.find = (filter) =>
+    new MemoryQuery((query) => {
+      const found = sortDocs(findAll(filter), query.sortSpec);
+      return query.limitCount ? found.slice(0, query.limitCount) : found;
+    });
+  Model.findOne = (filter) => findFirst(filter);
+  Model.findById = (id) => findFirst({ _id: id });
+  Model.exists = (filter) =>
+    new MemoryQuery(() => {
+      const found = findAll(filter)[0];
+      return found ? { _id: found._id } : null;
+    });
+  Model.countDocuments = (filter) =>
+    new MemoryQuery(() => findAll(filter).length);
+  Model.distinct = (key, filter) =>
+    new MemoryQuery(() => {
+      const values = new Map();
+      for (const doc of findAll(filter)) {
+        const value = getPath(doc, key);
+        if (value != null) values.set(String(value), value);
+      }
+      return [...values.values()];
+    });
+
+  Model.findOneAndUpdate = (filter, update, options = {}) =>
+    new MemoryQuery(() => {
+      let doc = findAll(filter)[0];
+      if (!doc && options.upsert) {
+        const seed = {};
+        for (const [key, value] of Object.entries(filter)) {
+          if (!key.startsWith("$") && !isPlainObject(value)) seed[key] = value;
+        }
+        doc = new Model(seed);
+        applyUpdate(doc, update, true);
+        docs.push(doc);
+        doc.isNew = false;
+        return doc;
+      }
+      if (doc) applyUpdate(doc, update);
+      return doc || null;
+    });
+  Model.findByIdAndUpdate = (id, update, options) =>
+    Model.findOneAndUpdate({ _id: id }, update, options);
+  Model.updateOne = (filter, update, options) =>
+    new MemoryQuery(async () => {
+      const doc = await Model.findOneAndUpdate(filter, update, options);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    });
+  Model.updateMany = (filter, update) =>
+    new MemoryQuery(() => {
+      const found = findAll(filter);
+      found.forEach((doc) => applyUpdate(doc, update));
+      return { matchedCount: found.length, modifiedCount: found.length };
+    });
+  Model.deleteMany = (filter) =>
+    new MemoryQuery(() => {
+      const found = findAll(filter);
+      found.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+      return { deletedCount: found.length };
+    });
+  Model.deleteOne = (filter) =>
+    new MemoryQuery(() => {
+      const found = findAll(filter)[0];
+      if (found) docs.splice(docs.indexOf(found), 1);
+      return { deletedCount: found ? 1 : 0 };
+    });
+  Model.aggregate = () => {
+    throw new Error(`${Model.modelName}.aggregate is not supported in memory`);
+  };
+
+  return docs;
+};
+
+/**
+ * Load every model and back them all with in-memory stores
+ * Transactions run their work straight away with a placeholder session.
+ * @returns {Function} Clears every store between tests
+ */
+const useMemoryModels = () => {
+  const modelsDir = path.join(__dirname, "..", "..", "models");
+  for (const file of fs.readdirSync(modelsDir)) {
+    if (file.endsWith(".js")) require(path.join(modelsDir, file));
+  }
+
+  const stores = Object.values(mongoose.models).map(useMemoryModel);
+  TransactionService.run = async (work) => work({});
+
+  return () => stores.forEach((docs) => docs.splice(0, docs.length));
+};
+
+module.exports = { useMemoryModels, useMemoryModel };
@@ -0,0 +1,128 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { useMemoryModels } = require("./helpers/memoryModels");
+
+const clearModels = useMemoryModels();
+const User = require("../models/User");
+const Customer = require("../models/Customer");
+const SalesInvoice = require("../models/SalesInvoice");
+const GeneralLedger = require("../models/GeneralLedger");
+const ReceiptService = require("../services/receiptService");
+const {
+  updateSalesInvoice,
+} = require("../controllers/salesInvoiceController");
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// Net debit of an account across every ledger row, reversals included
+const ledgerBalance = async (accountCode) =>
+  (await GeneralLedger.find({ tenantId, accountCode })).reduce(
+    (sum, row) => sum + row.debit - row.credit,
+    0
+  );
+
+// Invoice of 100 with 40 taken at the sale and 30 received afterwards
+const createPaidInvoice = async () => {
+  // New invoices post their sale entry as the tenant's admin
+  await User.create({
+    _id: userId,
+    tenantId,
+    name: "Admin",
+    email: "admin@example.com",
+    password: "secret123",
+    role: "admin",
+  });
+  const customer = await Customer.create({
+    tenantId,
+    code: "C001",
+    name: "Client",
+    email: "client@example.com",
+    phone: "0300",
+    address: "Lahore",
+  });
+  const invoice = await SalesInvoice.create({
+    tenantId,
+    serialNo: "SI-1",
+    date: new Date(),
+    customer: customer._id,
+    customerCode: customer.code,
+    customerName: customer.name,
+    items: [
+      {
+        itemType: "Inventory",
+        itemCode: "SRV",
+        quantity: 1,
+        unit: "nos",
+        rate: 100,
+        netAmount: 100,
+      },
+    ],
+    amountReceived: 40,
+  });
+  await ReceiptService.createReceipt(
+    tenantId,
+    {
+      customer: customer._id,
+      amount: 30,
+      paymentMethod: "Cash",
+      allocations: [{ salesInvoice: invoice._id, amount: 30 }],
+    },
+    userId
+  );
+  return invoice;
+};
+
+const updateInvoice = async (invoice, body) => {
+  const res = mockResponse();
+  await updateSalesInvoice(
+    {
+      tenantId,
+      params: { id: invoice._id },
+      user: { _id: userId },
+      body,
+    },
+    res
+  );
+  return res;
+};
+
+beforeEach(clearModels);
+
+test("editing an invoice after a receipt counts the cash once", async () => {
+  const invoice = await createPaidInvoice();
+  assert.equal(await ledgerBalance("1000"), 70);
+  assert.equal(await ledgerBalance("1200"), 30);
+
+  const res = await updateInvoice(invoice, { carriageFreight: 10 });
+
+  assert.equal(res.statusCode, 200);
+  const saved = await SalesInvoice.findById(invoice._id);
+  assert.equal(saved.amountReceived, 70);
+  assert.equal(saved.amountAllocated, 30);
+  assert.equal(await ledgerBalance("1000"), 70);
+  assert.equal(await ledgerBalance("1200"), 40);
+});
+
+test("amount received cannot drop below what receipts paid", async () => {
+  const invoice = await createPaidInvoice();
+
+  const res = await updateInvoice(invoice, { amountReceived: 20 });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal((await SalesInvoice.findById(invoice._id)).amountReceived, 70);
+});
@@ -0,0 +1,73 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { useMemoryModels } = require("./helpers/memoryModels");
+
+const clearModels = useMemoryModels();
+const Item = require("../models/Item");
+const JournalEntry = require("../models/JournalEntry");
+const GeneralLedger = require("../models/GeneralLedger");
+const StockService = require("../services/stockService");
+const StockCountService = require("../services/stockCountService");
+
+const tenantId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+beforeEach(clearModels);
+
+test("approving a count with a variance posts it to the ledger", async () => {
+  const cement = await Item.create({
+    tenantId,
+    itemCode: "CEM",
+    name: "Cement",
+    measurement: "bag",
+    quantity: 0,
+    purchasePrice: 10,
+  });
+  const warehouse = await StockService.getDefaultWarehouse(tenantId);
+  await StockService.adjust(tenantId, cement._id, warehouse._id, 100, null, {
+    movementType: "Purchase",
+    unitCost: 10,
+  });
+
+  const count = await StockCountService.createCount(
+    tenantId,
+    { warehouse: warehouse.code },
+    userId
+  );
+  await StockCountService.enterCounts(tenantId, count._id, [
+    { itemCode: "CEM", countedQuantity: 95, reason: "Wastage" },
+  ]);
+  await StockCountService.submitCount(tenantId, count._id, userId);
+
+  const posted = await StockCountService.approveCount(
+    tenantId,
+    count._id,
+    userId
+  );
+
+  assert.equal(posted.status, "Posted");
+  assert.equal(posted.lines[0].varianceQuantity, -5);
+  assert.equal(posted.lines[0].varianceValue, -50);
+
+  const item = await Item.findById(cement._id);
+  assert.equal(item.currentStock, 95);
+  assert.equal(item.stockValue, 950);
+
+  const entry = await JournalEntry.findById(posted.journalEntry);
+  assert.equal(entry.sourceTransaction.model, "StockCount");
+  assert.equal(entry.totalDebit, 50);
+
+  const ledger = await GeneralLedger.find({ journalEntry: entry._id });
+  assert.equal(ledger.length, 2);
+  assert.ok(
+    ledger.every((line) => line.sourceTransaction.model === "StockCount")
+  );
+  assert.deepEqual(
+    ledger.map((line) => [line.accountCode, line.debit, line.credit]).sort(),
+    [
+      ["1300", 0, 50],
+      ["5200", 50, 0],
+    ]
+  );
+});